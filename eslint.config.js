@@ -32,6 +32,9 @@ export default [
                 exports: 'readonly',
                 Buffer: 'readonly',
                 URL: 'readonly',
+                URLSearchParams: 'readonly',
+                fetch: 'readonly', // Built into Node 18+
+                AbortController: 'readonly',
                 setTimeout: 'readonly',
                 setInterval: 'readonly',
                 clearTimeout: 'readonly',
@@ -179,6 +182,7 @@ export default [
                 process: 'readonly',
                 console: 'readonly',
                 Buffer: 'readonly',
+                URL: 'readonly',
                 setTimeout: 'readonly',
                 setInterval: 'readonly',
                 clearTimeout: 'readonly',
@@ -224,6 +228,9 @@ export default [
             'tests/unit/connection-status.test.js',
             'tests/unit/game-state-manager.test.js',
             'tests/unit/player-interaction-manager.test.js',
+            'tests/unit/power-up-registry.test.js',
+            'tests/unit/adaptive-difficulty.test.js',
+            'tests/unit/question-branching.test.js',
             'tests/unit/translations-parity.test.js'
         ],
         languageOptions: {
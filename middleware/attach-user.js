@@ -3,27 +3,33 @@
  *
  * Reads the session cookie, verifies its signature, and attaches
  * `req.user = { id, username }` (or null) to every downstream handler.
+ * The Socket.IO counterpart does the same for `socket.data.user` from the
+ * handshake cookie, so a signed-in host's games know their owner.
  *
  * Never errors — if anything about the cookie is malformed or the user
- * record no longer exists, `req.user` is simply null and the request
+ * record no longer exists, the user is simply null and the request
  * proceeds as anonymous.
  */
 
+/**
+ * Resolve the signed-in user from a Cookie header
+ * @returns {{id: string, username: string}|null}
+ */
+function userFromCookieHeader(cookieHeader, { sessionService, userService }) {
+    const raw = sessionService.readCookieFromHeader(cookieHeader);
+    if (!raw) return null;
+
+    const session = sessionService.verifySession(raw);
+    if (!session) return null;
+
+    return userService.getUser(session.uid);
+}
+
 function createAttachUser({ sessionService, userService, logger }) {
     return function attachUser(req, res, next) {
         req.user = null;
         try {
-            const cookieHeader = req.headers.cookie;
-            const raw = sessionService.readCookieFromHeader(cookieHeader);
-            if (!raw) return next();
-
-            const session = sessionService.verifySession(raw);
-            if (!session) return next();
-
-            const user = userService.getUser(session.uid);
-            if (!user) return next();
-
-            req.user = user;
+            req.user = userFromCookieHeader(req.headers.cookie, { sessionService, userService });
         } catch (err) {
             logger.warn('attach-user middleware error:', err.message);
             req.user = null;
@@ -32,6 +38,23 @@ function createAttachUser({ sessionService, userService, logger }) {
     };
 }
 
+/**
+ * Socket.IO middleware (`io.use`) setting `socket.data.user` from the
+ * handshake cookie. Anonymous sockets connect as before.
+ */
+function createSocketAttachUser({ sessionService, userService, logger }) {
+    return function attachSocketUser(socket, next) {
+        socket.data.user = null;
+        try {
+            socket.data.user = userFromCookieHeader(socket.handshake.headers.cookie, { sessionService, userService });
+        } catch (err) {
+            logger.warn('attach-user socket middleware error:', err.message);
+            socket.data.user = null;
+        }
+        return next();
+    };
+}
+
 /**
  * Gate that requires an authenticated user. Returns 401 otherwise.
  */
@@ -45,4 +68,4 @@ function requireUser(req, res, next) {
     return next();
 }
 
-module.exports = { createAttachUser, requireUser };
+module.exports = { createAttachUser, createSocketAttachUser, requireUser };
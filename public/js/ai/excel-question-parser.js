@@ -38,11 +38,11 @@ export class ExcelQuestionParser {
     }
 
     /**
-     * Parse Excel file and return structured data
-     * @param {File} file - Excel file to parse
-     * @returns {Promise<Object>} Parsed data with rows and metadata
+     * Read the first sheet of an Excel file
+     * @param {File} file - Excel file to read
+     * @returns {Promise<{sheetName: string, worksheet: Object}>}
      */
-    async parseFile(file) {
+    async readFirstSheet(file) {
         if (!XLSX) {
             throw new Error('Excel processing library not available');
         }
@@ -56,18 +56,8 @@ export class ExcelQuestionParser {
                         const data = new Uint8Array(e.target.result);
                         const workbook = XLSX.read(data, { type: 'array' });
 
-                        const firstSheetName = workbook.SheetNames[0];
-                        const worksheet = workbook.Sheets[firstSheetName];
-                        const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-
-                        logger.debug('Excel data parsed:', jsonData.length, 'rows');
-
-                        resolve({
-                            data: jsonData,
-                            filename: file.name,
-                            sheetName: firstSheetName,
-                            rowCount: jsonData.length
-                        });
+                        const sheetName = workbook.SheetNames[0];
+                        resolve({ sheetName, worksheet: workbook.Sheets[sheetName] });
                     },
                     { operation: 'excel-file-parsing' },
                     (error) => reject(new Error('Failed to parse Excel file: ' + error.message))
@@ -79,6 +69,36 @@ export class ExcelQuestionParser {
         });
     }
 
+    /**
+     * Parse Excel file and return structured data
+     * @param {File} file - Excel file to parse
+     * @returns {Promise<Object>} Parsed data with rows and metadata
+     */
+    async parseFile(file) {
+        const { sheetName, worksheet } = await this.readFirstSheet(file);
+        const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+
+        logger.debug('Excel data parsed:', jsonData.length, 'rows');
+
+        return {
+            data: jsonData,
+            filename: file.name,
+            sheetName,
+            rowCount: jsonData.length
+        };
+    }
+
+    /**
+     * First sheet of an Excel file as CSV, for the template-based question
+     * import (no AI involved)
+     * @param {File} file - Excel file
+     * @returns {Promise<string>} CSV text
+     */
+    async readAsCsv(file) {
+        const { worksheet } = await this.readFirstSheet(file);
+        return XLSX.utils.sheet_to_csv(worksheet, { blankrows: false });
+    }
+
     /**
      * Detect Excel format (headers, question column, answer columns)
      * @param {Array} jsonData - Parsed Excel data
@@ -0,0 +1,407 @@
+/**
+ * AssignmentModeManager
+ * Orchestrates self-paced homework assignments opened from a shared link
+ * (`?assignment=<code>`). Same wiring as PracticeModeManager, but the session
+ * is server-side: AssignmentSession relays the server's questions and scores
+ * through a LocalEventBus to the regular player UI.
+ */
+
+import { LocalEventBus } from '../events/local-event-bus.js';
+import { AssignmentSession, requestAssignmentAPI, getSavedAttempt, forgetAttempt } from './assignment-session.js';
+import { logger } from '../core/config.js';
+import { getTranslation } from '../utils/translation-manager.js';
+import { dom, escapeHtml } from '../utils/dom.js';
+import { confirmModal } from '../utils/modal-utils.js';
+import { toastNotifications } from '../utils/toast-notifications.js';
+
+// Matches PracticeModeManager: advance once the 4s result display is done
+const ADVANCE_DELAY_MS = 4500;
+
+// Handler key -> event name, for removing listeners on cleanup
+const EVENT_NAMES = {
+    gameStarted: 'game-started',
+    questionStart: 'question-start',
+    submitAnswer: 'submit-answer',
+    playerResult: 'player-result',
+    questionEnd: 'question-end',
+    gameEnd: 'game-end',
+    assignmentError: 'assignment-error'
+};
+
+/**
+ * Translate a server messageKey, falling back to its message
+ * @param {Error} error - Error from requestAssignmentAPI
+ * @returns {string}
+ */
+function errorMessage(error) {
+    if (error?.messageKey) {
+        const translated = getTranslation(error.messageKey);
+        if (translated && translated !== error.messageKey) return translated;
+    }
+    return error?.message || getTranslation('error_failed_load_assignment');
+}
+
+/**
+ * Format an ISO date for display in the browser's locale
+ * @param {string} iso - ISO date
+ * @returns {string}
+ */
+function formatDate(iso) {
+    return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+export class AssignmentModeManager {
+    /**
+     * Create an AssignmentModeManager
+     * @param {Object} gameManager - GameManager instance
+     * @param {Object} uiManager - UIManager instance
+     */
+    constructor(gameManager, uiManager) {
+        this.gameManager = gameManager;
+        this.uiManager = uiManager;
+
+        /** @type {LocalEventBus|null} */
+        this.eventBus = null;
+
+        /** @type {AssignmentSession|null} */
+        this.session = null;
+
+        /** @type {Object|null} Assignment info from the server */
+        this.assignment = null;
+
+        this.isActive = false;
+        this._advanceTimer = null;
+        this._boundHandlers = {};
+    }
+
+    /**
+     * Open an assignment: show its intro (name entry, or resume) in the overlay
+     * @param {string} code - Assignment code from the link
+     * @returns {Promise<boolean>} Whether the assignment could be loaded
+     */
+    async openAssignment(code) {
+        if (this.isActive) {
+            logger.warn('[AssignmentModeManager] Already in an assignment');
+            return false;
+        }
+
+        try {
+            this.assignment = await requestAssignmentAPI(`api/assignments/${encodeURIComponent(code)}`);
+        } catch (error) {
+            logger.error('[AssignmentModeManager] Failed to load assignment:', error);
+            toastNotifications.show(errorMessage(error), 'error');
+            return false;
+        }
+
+        this.showIntro();
+        return true;
+    }
+
+    /**
+     * Render the intro overlay for the loaded assignment
+     * @param {string} [error] - Message to show under the form
+     */
+    showIntro(error = '') {
+        const overlay = dom.get('assignment-overlay');
+        if (!overlay) return;
+
+        const assignment = this.assignment;
+        const saved = getSavedAttempt(assignment.code);
+
+        let body;
+        if (assignment.status === 'scheduled') {
+            body = `<p class="assignment-intro-status">${escapeHtml(getTranslation('assignment_opens_at', [formatDate(assignment.opensAt)]))}</p>`;
+        } else if (assignment.status === 'closed' && !saved) {
+            body = `<p class="assignment-intro-status">${escapeHtml(getTranslation('assignment_closed'))}</p>`;
+        } else if (saved) {
+            body = `
+                <button id="assignment-resume-btn" class="primary-button">
+                    ${escapeHtml(getTranslation('assignment_continue_as', [saved.name]))}
+                </button>`;
+        } else {
+            body = `
+                <input id="assignment-name-input" class="assignment-name-input" type="text" maxlength="20"
+                    autocomplete="off" placeholder="${escapeHtml(getTranslation('player_name'))}" />
+                <button id="assignment-start-btn" class="primary-button">
+                    ${escapeHtml(getTranslation('assignment_start'))}
+                </button>`;
+        }
+
+        overlay.innerHTML = `
+            <div class="practice-results-content assignment-intro">
+                <h2>${escapeHtml(assignment.title)}</h2>
+                <p class="assignment-intro-meta">
+                    ${escapeHtml(getTranslation('assignment_question_count', [assignment.questionCount]))}
+                    · ${escapeHtml(getTranslation('assignment_due', [formatDate(assignment.closesAt)]))}
+                </p>
+                <p class="assignment-intro-hint">${escapeHtml(getTranslation('assignment_intro_hint'))}</p>
+                <div class="practice-actions assignment-intro-actions">${body}</div>
+                <p class="assignment-intro-error${error ? '' : ' hidden'}">${escapeHtml(error)}</p>
+                <div class="practice-actions">
+                    <button id="assignment-exit-btn" class="secondary-button">
+                        ${escapeHtml(getTranslation('exit'))}
+                    </button>
+                </div>
+            </div>
+        `;
+        overlay.classList.remove('hidden');
+
+        dom.get('assignment-exit-btn')?.addEventListener('click', () => this.exitAssignment());
+        dom.get('assignment-resume-btn')?.addEventListener('click', () => this.beginAttempt(saved));
+
+        const nameInput = dom.get('assignment-name-input');
+        const startBtn = dom.get('assignment-start-btn');
+        if (nameInput && startBtn) {
+            const start = () => {
+                const name = nameInput.value.trim();
+                if (name) this.beginAttempt(null, name);
+            };
+            startBtn.addEventListener('click', start);
+            nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') start();
+            });
+            nameInput.focus();
+        }
+    }
+
+    /**
+     * Start a new attempt or resume a saved one, and switch to the player screen
+     * @param {Object|null} saved - Saved attempt to resume
+     * @param {string} [name] - Name for a new attempt
+     */
+    async beginAttempt(saved, name = '') {
+        this.eventBus = new LocalEventBus({ debug: false });
+        this.session = new AssignmentSession(this.assignment, this.eventBus);
+        this.gameManager.setEventBus(this.eventBus);
+        this.registerEventHandlers();
+        this.isActive = true;
+
+        try {
+            if (saved) {
+                await this.session.resume(saved);
+            } else {
+                await this.session.start(name);
+            }
+        } catch (error) {
+            logger.error('[AssignmentModeManager] Could not start attempt:', error);
+            // The server no longer knows this attempt (e.g. assignment deleted and re-published)
+            if (saved && error.status === 404) {
+                forgetAttempt(this.assignment.code);
+            }
+            this.updateUIForAssignmentMode(false);
+            this.cleanup();
+            this.uiManager.showScreen('main-menu');
+            this.showIntro(errorMessage(error));
+        }
+    }
+
+    /**
+     * Register event handlers for session events. Mirrors PracticeModeManager.
+     */
+    registerEventHandlers() {
+        this._boundHandlers.gameStarted = () => {
+            dom.get('assignment-overlay')?.classList.add('hidden');
+            this.uiManager.showScreen('player-game-screen');
+            this.updateUIForAssignmentMode(true);
+        };
+
+        this._boundHandlers.questionStart = (data) => {
+            if (this._advanceTimer) {
+                clearTimeout(this._advanceTimer);
+                this._advanceTimer = null;
+            }
+
+            this.gameManager.displayQuestion(data);
+
+            const playerTimer = document.getElementById('player-timer');
+            if (playerTimer) playerTimer.classList.remove('hidden');
+
+            // A resumed question continues where its server-side timer is
+            this.gameManager.startTimer(data.remainingMs);
+        };
+
+        this._boundHandlers.submitAnswer = (data) => {
+            this.session?.submitAnswer(data.answer).catch(error => this.handleError(error));
+        };
+
+        this._boundHandlers.playerResult = (data) => {
+            this.gameManager.showPlayerResult(data);
+        };
+
+        this._boundHandlers.questionEnd = () => {
+            this.gameManager.stopTimer();
+            this._advanceTimer = setTimeout(() => {
+                this._advanceTimer = null;
+                if (this.isActive && this.session) {
+                    this.session.nextQuestion().catch(error => this.handleError(error));
+                }
+            }, ADVANCE_DELAY_MS);
+        };
+
+        this._boundHandlers.gameEnd = (data) => {
+            this.handleGameEnd(data);
+        };
+
+        this._boundHandlers.assignmentError = (error) => {
+            this.handleError(error);
+        };
+
+        Object.entries(EVENT_NAMES).forEach(([key, event]) => {
+            this.eventBus.on(event, this._boundHandlers[key]);
+        });
+    }
+
+    /**
+     * Surface a failed request. The attempt is kept on the server, so the
+     * student can reload the link and continue.
+     * @param {Error} error - Error from the session
+     */
+    handleError(error) {
+        logger.error('[AssignmentModeManager] Assignment request failed:', error);
+        toastNotifications.show(errorMessage(error), 'error');
+    }
+
+    /**
+     * Show the submission summary
+     * @param {Object} data - game-end data from the session
+     */
+    handleGameEnd(data) {
+        if (this._advanceTimer) {
+            clearTimeout(this._advanceTimer);
+            this._advanceTimer = null;
+        }
+        this.gameManager.stopTimer();
+
+        const overlay = dom.get('assignment-overlay');
+        if (!overlay) return;
+
+        const heading = data.status === 'closed'
+            ? getTranslation('assignment_closed')
+            : getTranslation('assignment_submitted');
+
+        overlay.innerHTML = `
+            <div class="practice-results-content">
+                <h2>${escapeHtml(heading)}</h2>
+
+                <div class="practice-score-display">
+                    <div class="practice-score">${escapeHtml(String(data.finalScore))}</div>
+                    <div class="practice-score-label">${escapeHtml(getTranslation('points'))}</div>
+                </div>
+
+                <div class="practice-stats">
+                    <div class="practice-stat">
+                        <span class="stat-value">${escapeHtml(String(data.answeredQuestions))}/${escapeHtml(String(data.totalQuestions))}</span>
+                        <span class="stat-label">${escapeHtml(getTranslation('assignment_answered'))}</span>
+                    </div>
+                </div>
+
+                <p class="assignment-intro-hint">${escapeHtml(getTranslation('assignment_submitted_hint'))}</p>
+
+                <div class="practice-actions">
+                    <button id="assignment-exit-btn" class="primary-button">
+                        ${escapeHtml(getTranslation('exit'))}
+                    </button>
+                </div>
+            </div>
+        `;
+        overlay.classList.remove('hidden');
+        dom.get('assignment-exit-btn')?.addEventListener('click', () => this.exitAssignment());
+    }
+
+    /**
+     * Leave the assignment and return to the main menu. An unfinished
+     * attempt stays on the server and resumes from the same link.
+     */
+    exitAssignment() {
+        this.updateUIForAssignmentMode(false);
+        this.cleanup();
+        this.assignment = null;
+
+        dom.get('assignment-overlay')?.classList.add('hidden');
+
+        // Drop ?assignment= so a reload lands on the main menu
+        const url = new URL(window.location.href);
+        if (url.searchParams.has('assignment')) {
+            url.searchParams.delete('assignment');
+            window.history.replaceState(null, '', url.toString());
+        }
+
+        this.uiManager.showScreen('main-menu');
+    }
+
+    /**
+     * Show/hide the assignment badge and wire its home button
+     * @param {boolean} isAssignment - Whether entering or leaving assignment mode
+     */
+    updateUIForAssignmentMode(isAssignment) {
+        const indicator = dom.get('assignment-mode-indicator');
+        if (indicator) {
+            indicator.classList.toggle('hidden', !isAssignment);
+        }
+
+        const homeBtn = dom.get('assignment-home-btn');
+        if (homeBtn) {
+            if (isAssignment && !this._boundHandlers.homeClick) {
+                this._boundHandlers.homeClick = () => this.confirmExit();
+                homeBtn.addEventListener('click', this._boundHandlers.homeClick);
+            } else if (!isAssignment && this._boundHandlers.homeClick) {
+                homeBtn.removeEventListener('click', this._boundHandlers.homeClick);
+                delete this._boundHandlers.homeClick;
+            }
+        }
+
+        document.body.classList.toggle('assignment-mode', isAssignment);
+    }
+
+    /**
+     * Confirm before leaving mid-assignment
+     */
+    async confirmExit() {
+        const confirmed = await confirmModal(getTranslation('confirm_exit_assignment'), {
+            confirmText: getTranslation('confirm_ok'),
+            cancelText: getTranslation('cancel')
+        });
+        if (confirmed) {
+            this.exitAssignment();
+        }
+    }
+
+    /**
+     * Clean up timers, the session and event handlers
+     */
+    cleanup() {
+        if (this._advanceTimer) {
+            clearTimeout(this._advanceTimer);
+            this._advanceTimer = null;
+        }
+
+        if (this.gameManager) {
+            this.gameManager.stopTimer();
+            this.gameManager.timerManager?.cleanup();
+        }
+
+        if (this.session) {
+            this.session.cleanup();
+            this.session = null;
+        }
+
+        if (this.eventBus) {
+            Object.entries(EVENT_NAMES).forEach(([key, event]) => {
+                if (this._boundHandlers[key]) {
+                    this.eventBus.off(event, this._boundHandlers[key]);
+                    delete this._boundHandlers[key];
+                }
+            });
+            this.eventBus.disconnect();
+            this.eventBus = null;
+        }
+
+        if (this.gameManager) {
+            this.gameManager.setEventBus(null);
+        }
+
+        this.isActive = false;
+    }
+}
+
+export default AssignmentModeManager;
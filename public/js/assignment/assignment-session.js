@@ -0,0 +1,230 @@
+/**
+ * AssignmentSession
+ * Client side of a self-paced homework attempt. The server keeps the quiz,
+ * the timer and the score (routes/assignments.js); this class turns its
+ * responses into the same events LocalGameSession emits, so the player UI
+ * renders an assignment exactly like a practice run.
+ */
+
+import { logger } from '../core/config.js';
+import { APIHelper } from '../utils/api-helper.js';
+import { getJSON, setJSON } from '../utils/storage-utils.js';
+
+// attempt tokens by assignment code, so a student can close the tab and resume
+const ATTEMPTS_KEY = 'assignmentAttempts';
+
+/**
+ * Error carrying the server's messageKey
+ */
+export class AssignmentRequestError extends Error {
+    constructor(message, messageKey, status) {
+        super(message);
+        this.name = 'AssignmentRequestError';
+        this.messageKey = messageKey;
+        this.status = status;
+    }
+}
+
+/**
+ * Call an assignment endpoint
+ * @param {string} endpoint - Path below the API root
+ * @param {Object} [options] - fetch options; `body` is sent as JSON
+ * @returns {Promise<Object>} Parsed response
+ * @throws {AssignmentRequestError} On a non-2xx response
+ */
+export async function requestAssignmentAPI(endpoint, options = {}) {
+    const init = { method: options.method || 'GET', headers: {} };
+    if (options.body !== undefined) {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(options.body);
+    }
+
+    const response = await APIHelper.fetchAPI(endpoint, init);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new AssignmentRequestError(data.error || response.statusText, data.messageKey, response.status);
+    }
+    return data;
+}
+
+/**
+ * Saved attempt token for an assignment, if this browser started one
+ * @param {string} code - Assignment code
+ * @returns {{attemptToken: string, name: string}|null}
+ */
+export function getSavedAttempt(code) {
+    return getJSON(ATTEMPTS_KEY, {})?.[code] || null;
+}
+
+/**
+ * Remember an attempt so it can be resumed after a reload
+ * @param {string} code - Assignment code
+ * @param {{attemptToken: string, name: string}} attempt - Attempt from the server
+ */
+function saveAttempt(code, attempt) {
+    const attempts = getJSON(ATTEMPTS_KEY, {}) || {};
+    attempts[code] = attempt;
+    setJSON(ATTEMPTS_KEY, attempts);
+}
+
+/**
+ * Drop a saved attempt (finished, or unknown to the server)
+ * @param {string} code - Assignment code
+ */
+export function forgetAttempt(code) {
+    const attempts = getJSON(ATTEMPTS_KEY, {}) || {};
+    delete attempts[code];
+    setJSON(ATTEMPTS_KEY, attempts);
+}
+
+export class AssignmentSession {
+    /**
+     * Create an AssignmentSession
+     * @param {Object} assignment - Assignment info from GET api/assignments/:code
+     * @param {import('../events/local-event-bus.js').LocalEventBus} eventBus - Event bus for communication
+     */
+    constructor(assignment, eventBus) {
+        this.assignment = assignment;
+        this.eventBus = eventBus;
+
+        this.attemptToken = null;
+        this.playerName = null;
+        this.currentQuestion = null; // question-start payload of the open question
+        this.totalScore = 0;
+        this.questionTimer = null;
+        this.submitting = false;
+        this.active = false;
+    }
+
+    get attemptPath() {
+        return `api/assignments/${this.assignment.code}/attempts/${this.attemptToken}`;
+    }
+
+    /**
+     * Start a new attempt under the given name
+     * @param {string} name - Student name
+     */
+    async start(name) {
+        const attempt = await requestAssignmentAPI(`api/assignments/${this.assignment.code}/attempts`, {
+            method: 'POST',
+            body: { name }
+        });
+        saveAttempt(this.assignment.code, attempt);
+        await this.resume(attempt);
+    }
+
+    /**
+     * Continue an attempt started earlier
+     * @param {{attemptToken: string, name: string}} attempt - Saved attempt
+     */
+    async resume(attempt) {
+        this.attemptToken = attempt.attemptToken;
+        this.playerName = attempt.name;
+        this.active = true;
+
+        this.eventBus.emit('game-started', {
+            title: this.assignment.title,
+            totalQuestions: this.assignment.questionCount,
+            isAssignment: true
+        });
+
+        await this.nextQuestion();
+    }
+
+    /**
+     * Ask the server for the question the attempt is on. The server starts
+     * its timer now, or skips it if the student let it run out earlier.
+     */
+    async nextQuestion() {
+        if (!this.active) return;
+
+        const state = await requestAssignmentAPI(`${this.attemptPath}/question`, { method: 'POST' });
+        this.totalScore = state.score;
+
+        if (state.status !== 'question') {
+            this.endGame(state);
+            return;
+        }
+
+        this.currentQuestion = state.question;
+        this.eventBus.emit('question-start', state.question);
+
+        // The server decides; this only sends the "ran out of time" answer so
+        // the student is not left waiting on a question that already ended
+        this.clearTimer();
+        this.questionTimer = setTimeout(() => {
+            this.questionTimer = null;
+            this.submitAnswer(null).catch(error => this.eventBus.emit('assignment-error', error));
+        }, state.question.remainingMs);
+    }
+
+    /**
+     * Submit an answer to the open question (null when the timer ran out)
+     * @param {*} answer - Player's answer, in displayed option order
+     */
+    async submitAnswer(answer) {
+        if (!this.active || !this.currentQuestion || this.submitting) return;
+        this.submitting = true;
+        this.clearTimer();
+
+        const questionNumber = this.currentQuestion.questionNumber;
+        try {
+            const { result, state } = await requestAssignmentAPI(`${this.attemptPath}/answer`, {
+                method: 'POST',
+                body: { questionNumber, answer }
+            });
+            this.currentQuestion = null;
+            this.totalScore = result.totalScore;
+
+            this.eventBus.emit('player-result', result);
+            this.eventBus.emit('question-end', {
+                questionIndex: questionNumber - 1,
+                totalScore: result.totalScore,
+                finished: state.status !== 'question',
+                state
+            });
+        } finally {
+            this.submitting = false;
+        }
+    }
+
+    /**
+     * Report the end of the attempt
+     * @param {Object} state - Final attempt state from the server
+     */
+    endGame(state) {
+        this.clearTimer();
+        this.currentQuestion = null;
+
+        this.eventBus.emit('game-end', {
+            status: state.status,
+            finalScore: state.score,
+            totalQuestions: state.totalQuestions,
+            answeredQuestions: state.answeredQuestions,
+            closesAt: this.assignment.closesAt,
+            leaderboard: [{
+                name: this.playerName,
+                score: state.score
+            }]
+        });
+
+        logger.debug('[AssignmentSession] Attempt ended', state);
+    }
+
+    clearTimer() {
+        if (this.questionTimer) {
+            clearTimeout(this.questionTimer);
+            this.questionTimer = null;
+        }
+    }
+
+    /**
+     * Stop local timers. The attempt itself lives on the server and can be resumed.
+     */
+    cleanup() {
+        this.clearTimer();
+        this.active = false;
+    }
+}
+
+export default AssignmentSession;
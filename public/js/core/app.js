@@ -14,15 +14,19 @@ import { SoundManager } from '../audio/sound-manager.js';
 import { MathRenderer } from '../utils/math-renderer.js';
 // AI Generator will be lazy loaded when needed
 import { addQuestion, randomizeAnswers, shuffleArray } from '../utils/question-utils.js';
-import { translationManager, showErrorAlert } from '../utils/translation-manager.js';
+import { translationManager, showErrorAlert, getTranslation } from '../utils/translation-manager.js';
 import { toastNotifications } from '../utils/toast-notifications.js';
 import { connectionStatus } from '../utils/connection-status.js';
 import { APIHelper } from '../utils/api-helper.js';
 import { imagePathResolver } from '../utils/image-path-resolver.js';
-import { bindElement, dom, show, escapeHtmlPreservingLatex, isPhone } from '../utils/dom.js';
-import { readScoringConfigFromDOM } from '../utils/scoring-config.js';
+import { bindElement, dom, show, escapeHtml, escapeHtmlPreservingLatex, isPhone } from '../utils/dom.js';
+import { readScoringConfigFromDOM, DEFAULT_STREAK_BONUS, DEFAULT_COMEBACK_BONUS } from '../utils/scoring-config.js';
 import { getItem, setItem, getJSON, setJSON } from '../utils/storage-utils.js';
 import { PracticeModeManager } from '../practice/practice-mode-manager.js';
+import { AssignmentModeManager } from '../assignment/assignment-mode-manager.js';
+import { initReviewBanner } from '../review/review-banner.js';
+import { getBankDraws, resolveBankDraws } from '../quiz/modules/bank-draws.js';
+import { getPowerUpSettings } from '../quiz/modules/power-up-settings.js';
 import { SocketEventBus } from '../events/socket-event-bus.js';
 import { openModal, closeModal, createModalBindings, confirmModal } from '../utils/modal-utils.js';
 import { initHeaderController, syncEditorBreadcrumbTitle, setMuteStudentsState, isMuteStudentsActive } from '../ui/header-controller.js';
@@ -97,6 +101,9 @@ export class QuizGame {
         // Initialize practice mode manager
         this.practiceModeManager = new PracticeModeManager(this.gameManager, this.uiManager);
 
+        // Initialize assignment (homework) mode manager
+        this.assignmentModeManager = new AssignmentModeManager(this.gameManager, this.uiManager);
+
         // Initialize connection status monitoring
         connectionStatus.setSocket(this.socket);
         this.aiGenerator = null; // Will be lazy loaded when needed
@@ -105,6 +112,8 @@ export class QuizGame {
         this.initializeEventListeners();
         this.initializeToolbar();
         this.initializeImageDragDrop();
+        this.socketManager.rosterPicker.bind();
+        initReviewBanner(() => this.startReviewSession());
 
         // Make preview manager globally accessible for onclick handlers
         window.game = this;
@@ -390,6 +399,9 @@ export class QuizGame {
         bindElement('refresh-games', 'click', () => this.uiManager.refreshActiveGames());
         bindElement('back-to-join', 'click', () => this.uiManager.showScreen('join-screen'));
 
+        // Host roster: kick or ban players mid-game from the header player count
+        bindElement('host-roster-btn', 'click', () => this.gameManager.moderationManager.openRoster());
+
         // Player lobby name edit buttons
         bindElement('edit-name-btn', 'click', () => this.socketManager.showNameEditMode());
         bindElement('save-name-btn', 'click', () => this.submitNameChange());
@@ -614,10 +626,31 @@ export class QuizGame {
         }, TIMING.DOM_UPDATE_DELAY);
     }
 
+    /**
+     * Add a quiz's question bank draws to its own questions, warning when the
+     * bank had too few questions for a rule
+     * @param {Object[]} questions - The quiz's own questions
+     * @param {Array} [draws] - settings.bankDraws
+     * @returns {Promise<Object[]|null>} All questions, or null when the bank could not be reached
+     */
+    async _withBankDraws(questions, draws) {
+        try {
+            const result = await resolveBankDraws(questions, draws);
+            result.shortfalls.forEach(({ concept, requested, drawn }) => {
+                toastNotifications.warning(getTranslation('bank_draw_shortfall', [drawn, requested, concept]));
+            });
+            return result.questions;
+        } catch (error) {
+            logger.error('Question bank draw failed:', error);
+            showErrorAlert('error_failed_draw_questions');
+            return null;
+        }
+    }
+
     /**
      * Start hosting a game
      */
-    startHosting() {
+    async startHosting() {
         // Phones are join-and-play only. Checked before the debounce so the
         // flag is not consumed by a call that never hosts anything.
         if (isPhone()) {
@@ -646,13 +679,15 @@ export class QuizGame {
             return;
         }
 
-        const questions = this.quizManager.collectQuestions();
-        logger.debug('Collected questions:', questions);
-        if (questions.length === 0) {
+        const ownQuestions = this.quizManager.collectQuestions();
+        logger.debug('Collected questions:', ownQuestions);
+        if (ownQuestions.length === 0) {
             showErrorAlert('please_add_one_question');
             return;
         }
 
+        const questions = await this._withBankDraws(ownQuestions, getBankDraws());
+        if (!questions) return;
 
         // Get quiz settings
         const randomizeQuestions = dom.get('randomize-questions')?.checked;
@@ -667,6 +702,10 @@ export class QuizGame {
         // Get scoring configuration for the live game session (threshold in ms)
         const scoringConfig = readScoringConfigFromDOM(dom);
 
+        const teamMode = dom.get('team-mode')?.checked || false;
+        const eliminationMode = dom.get('elimination-mode')?.checked || false;
+        const adaptiveMode = dom.get('adaptive-mode')?.checked || false;
+
         // Process questions
         let processedQuestions = [...questions];
 
@@ -685,12 +724,15 @@ export class QuizGame {
             });
         }
 
+        const filename = this.quizManager.getLoadedFilename();
         const quizData = {
             quiz: {
                 title,
                 questions: processedQuestions,
+                ...(filename && { filename }),
                 manualAdvancement,
                 powerUpsEnabled,
+                powerUpSettings: getPowerUpSettings(),
                 showLeaderboardBetweenQuestions,
                 randomizeQuestions,
                 randomizeAnswers: shouldRandomizeAnswers,
@@ -700,6 +742,24 @@ export class QuizGame {
             }
         };
 
+        if (teamMode) {
+            quizData.quiz.teamMode = true;
+            quizData.quiz.teamCount = parseInt(dom.get('team-count')?.value) || 2;
+            quizData.quiz.teamAggregation = dom.get('team-aggregation')?.value || 'sum';
+            quizData.quiz.teamAssignment = dom.get('team-assignment')?.value || 'auto';
+        }
+
+        if (eliminationMode) {
+            quizData.quiz.eliminationMode = true;
+            quizData.quiz.eliminationSlowestPercent = parseInt(dom.get('elimination-slowest-percent')?.value) || 0;
+            quizData.quiz.eliminationRevivalEvery = parseInt(dom.get('elimination-revival-every')?.value) || 0;
+        }
+
+        if (adaptiveMode) {
+            quizData.quiz.adaptiveMode = true;
+            quizData.quiz.adaptiveQuestionCount = parseInt(dom.get('adaptive-question-count')?.value) || 0;
+        }
+
         // Create game through socket
         logger.debug('About to call createGame with data:', quizData);
         try {
@@ -1001,6 +1061,22 @@ export class QuizGame {
                         ${question.tolerance ? ` (±${question.tolerance})` : ''}
                     </div>
                 `;
+            } else if (question.type === 'text-input') {
+                questionHTML += `
+                    <div class="preview-answer">
+                        ${translationManager.getTranslationSync('correct_answer')}: ${escapeHtml((question.acceptedAnswers || []).join(' / '))}
+                    </div>
+                `;
+            } else if (question.type === 'matching') {
+                questionHTML += '<div class="preview-options">';
+                (question.pairs || []).forEach(pair => {
+                    questionHTML += `
+                        <div class="preview-option correct">
+                            ${this.mathRenderer.formatCodeBlocks(escapeHtml(pair.left))} → ${this.mathRenderer.formatCodeBlocks(escapeHtml(pair.right))}
+                        </div>
+                    `;
+                });
+                questionHTML += '</div>';
             }
 
             questionDiv.innerHTML = questionHTML;
@@ -1034,8 +1110,10 @@ export class QuizGame {
             { id: 'header-save-quiz', handler: () => this.quizManager.saveQuiz() },
             { id: 'toolbar-load', handler: () => this.quizManager.showLoadQuizModal() },
             { id: 'toolbar-ai-gen', handler: () => this.openAIGeneratorModal() },
+            { id: 'toolbar-question-bank', handler: () => this.openQuestionBank() },
             { id: 'toolbar-import', handler: () => this.quizManager.importQuiz() },
-            { id: 'toolbar-export', handler: () => this.quizManager.exportQuiz() },
+            { id: 'toolbar-export', handler: () => this.quizManager.showExportModal() },
+            { id: 'toolbar-print', handler: () => this.quizManager.showPaperTestModal() },
             { id: 'toolbar-results', handler: () => this.openResultsViewer() },
             { id: 'toolbar-top', handler: () => this.scrollToTop() },
             { id: 'toolbar-bottom', handler: () => this.scrollToBottom() }
@@ -1046,8 +1124,10 @@ export class QuizGame {
             { id: 'vtoolbar-save', handler: () => this.quizManager.saveQuiz() },
             { id: 'vtoolbar-load', handler: () => this.quizManager.showLoadQuizModal() },
             { id: 'vtoolbar-ai-gen', handler: () => this.openAIGeneratorModal() },
+            { id: 'vtoolbar-question-bank', handler: () => this.openQuestionBank() },
             { id: 'vtoolbar-import', handler: () => this.quizManager.importQuiz() },
-            { id: 'vtoolbar-export', handler: () => this.quizManager.exportQuiz() },
+            { id: 'vtoolbar-export', handler: () => this.quizManager.showExportModal() },
+            { id: 'vtoolbar-print', handler: () => this.quizManager.showPaperTestModal() },
             { id: 'vtoolbar-results', handler: () => this.openResultsViewer() }
         ];
 
@@ -1178,6 +1258,27 @@ export class QuizGame {
                     if (details) details.classList.toggle('hidden', !qsConsensus.checked);
                 });
             }
+            const qsTeam = dom.get('qs-team-mode');
+            if (qsTeam) {
+                qsTeam.addEventListener('change', () => {
+                    const details = dom.get('qs-team-details');
+                    if (details) details.classList.toggle('hidden', !qsTeam.checked);
+                });
+            }
+            const qsElimination = dom.get('qs-elimination-mode');
+            if (qsElimination) {
+                qsElimination.addEventListener('change', () => {
+                    const details = dom.get('qs-elimination-details');
+                    if (details) details.classList.toggle('hidden', !qsElimination.checked);
+                });
+            }
+            const qsAdaptive = dom.get('qs-adaptive-mode');
+            if (qsAdaptive) {
+                qsAdaptive.addEventListener('change', () => {
+                    const details = dom.get('qs-adaptive-details');
+                    if (details) details.classList.toggle('hidden', !qsAdaptive.checked);
+                });
+            }
         }
 
         // Load tree data BEFORE opening modal to avoid empty flash
@@ -1245,6 +1346,30 @@ export class QuizGame {
             const consensusDetails = dom.get('qs-consensus-details');
             if (consensusDetails) consensusDetails.classList.toggle('hidden', !consensus);
 
+            // Team settings
+            const teamMode = get('teamMode', 'teamMode', false);
+            setChecked('qs-team-mode', teamMode);
+            setValue('qs-team-count', get('teamCount', 'teamCount', 2));
+            setValue('qs-team-aggregation', get('teamAggregation', 'teamAggregation', 'sum'));
+            setValue('qs-team-assignment', get('teamAssignment', 'teamAssignment', 'auto'));
+            const teamDetails = dom.get('qs-team-details');
+            if (teamDetails) teamDetails.classList.toggle('hidden', !teamMode);
+
+            // Elimination settings
+            const eliminationMode = get('eliminationMode', 'eliminationMode', false);
+            setChecked('qs-elimination-mode', eliminationMode);
+            setValue('qs-elimination-slowest-percent', get('eliminationSlowestPercent', 'eliminationSlowestPercent', 0));
+            setValue('qs-elimination-revival-every', get('eliminationRevivalEvery', 'eliminationRevivalEvery', 0));
+            const eliminationDetails = dom.get('qs-elimination-details');
+            if (eliminationDetails) eliminationDetails.classList.toggle('hidden', !eliminationMode);
+
+            // Adaptive difficulty
+            const adaptiveMode = get('adaptiveMode', 'adaptiveMode', false);
+            setChecked('qs-adaptive-mode', adaptiveMode);
+            setValue('qs-adaptive-question-count', get('adaptiveQuestionCount', 'adaptiveQuestionCount', 0));
+            const adaptiveDetails = dom.get('qs-adaptive-details');
+            if (adaptiveDetails) adaptiveDetails.classList.toggle('hidden', !adaptiveMode);
+
             // Scoring config
             const sc = s.scoringConfig || {};
             setChecked('qs-time-bonus-enabled', sc.timeBonusEnabled ?? true);
@@ -1253,6 +1378,12 @@ export class QuizGame {
             setValue('qs-easy-multiplier', dm.easy ?? 1);
             setValue('qs-medium-multiplier', dm.medium ?? 2);
             setValue('qs-hard-multiplier', dm.hard ?? 3);
+            setChecked('qs-streak-bonus-enabled', sc.streakBonus?.enabled);
+            setValue('qs-streak-bonus-step', sc.streakBonus?.stepPercent ?? DEFAULT_STREAK_BONUS.stepPercent);
+            setValue('qs-streak-bonus-max', sc.streakBonus?.maxPercent ?? DEFAULT_STREAK_BONUS.maxPercent);
+            setChecked('qs-comeback-bonus-enabled', sc.comebackBonus?.enabled);
+            setValue('qs-comeback-bonus-misses', sc.comebackBonus?.afterMisses ?? DEFAULT_COMEBACK_BONUS.afterMisses);
+            setValue('qs-comeback-bonus-percent', sc.comebackBonus?.percent ?? DEFAULT_COMEBACK_BONUS.percent);
 
             // Position floating settings panel next to selected quiz
             const settingsPanel = dom.get('quick-start-settings');
@@ -1332,6 +1463,15 @@ export class QuizGame {
             consensusThreshold: dom.get('qs-consensus-threshold')?.value ?? '66',
             discussionTime: parseInt(dom.get('qs-discussion-time')?.value) || 30,
             allowChat: dom.get('qs-allow-chat')?.checked ?? false,
+            teamMode: dom.get('qs-team-mode')?.checked ?? false,
+            teamCount: parseInt(dom.get('qs-team-count')?.value) || 2,
+            teamAggregation: dom.get('qs-team-aggregation')?.value ?? 'sum',
+            teamAssignment: dom.get('qs-team-assignment')?.value ?? 'auto',
+            eliminationMode: dom.get('qs-elimination-mode')?.checked ?? false,
+            eliminationSlowestPercent: parseInt(dom.get('qs-elimination-slowest-percent')?.value) || 0,
+            eliminationRevivalEvery: parseInt(dom.get('qs-elimination-revival-every')?.value) || 0,
+            adaptiveMode: dom.get('qs-adaptive-mode')?.checked ?? false,
+            adaptiveQuestionCount: parseInt(dom.get('qs-adaptive-question-count')?.value) || 0,
             scoringConfig: readScoringConfigFromDOM(dom, { prefix: 'qs-' })
         };
     }
@@ -1414,7 +1554,8 @@ export class QuizGame {
             const panel = this._collectQuickStartSettings();
 
             const title = data.title || filename.replace('.json', '');
-            let questions = [...data.questions];
+            let questions = await this._withBankDraws([...data.questions], data.settings?.bankDraws);
+            if (!questions) return;
 
             if (panel.randomizeQuestions) questions = shuffleArray(questions);
             if (panel.randomizeAnswers) questions = randomizeAnswers(questions);
@@ -1424,8 +1565,11 @@ export class QuizGame {
                 quiz: {
                     title,
                     questions,
+                    filename,
                     manualAdvancement: panel.manualAdvancement,
                     powerUpsEnabled: panel.powerUpsEnabled,
+                    // Which power-ups and how many uses: as saved with the quiz
+                    powerUpSettings: data.settings?.powerUpSettings,
                     showLeaderboardBetweenQuestions: panel.showLeaderboardBetweenQuestions,
                     randomizeQuestions: panel.randomizeQuestions,
                     randomizeAnswers: panel.randomizeAnswers,
@@ -1442,6 +1586,24 @@ export class QuizGame {
                 quizData.quiz.allowChat = panel.allowChat;
             }
 
+            if (panel.teamMode) {
+                quizData.quiz.teamMode = true;
+                quizData.quiz.teamCount = panel.teamCount;
+                quizData.quiz.teamAggregation = panel.teamAggregation;
+                quizData.quiz.teamAssignment = panel.teamAssignment;
+            }
+
+            if (panel.eliminationMode) {
+                quizData.quiz.eliminationMode = true;
+                quizData.quiz.eliminationSlowestPercent = panel.eliminationSlowestPercent;
+                quizData.quiz.eliminationRevivalEvery = panel.eliminationRevivalEvery;
+            }
+
+            if (panel.adaptiveMode) {
+                quizData.quiz.adaptiveMode = true;
+                quizData.quiz.adaptiveQuestionCount = panel.adaptiveQuestionCount;
+            }
+
             this.socketManager.createGame(quizData);
         } catch (error) {
             logger.error('Quick start failed:', error);
@@ -1469,6 +1631,30 @@ export class QuizGame {
         }
     }
 
+    /**
+     * Start a review session with the learner's due review items
+     */
+    async startReviewSession() {
+        logger.debug('Starting review session');
+
+        const success = await this.practiceModeManager.startReviewSession();
+        if (!success) {
+            toastNotifications.show(
+                translationManager.getTranslationSync('review_nothing_due') || 'Nothing to review right now',
+                'info'
+            );
+        }
+    }
+
+    /**
+     * Open a homework assignment from its shared link
+     * @param {string} code - Assignment code
+     */
+    async openAssignment(code) {
+        logger.debug('Opening assignment:', code);
+        await this.assignmentModeManager.openAssignment(code);
+    }
+
     /**
      * Get socket connection status
      */
@@ -1532,6 +1718,22 @@ export class QuizGame {
         }
     }
 
+    /**
+     * Open the question bank (lazy loaded)
+     */
+    async openQuestionBank() {
+        if (!this.questionBankModal) {
+            try {
+                const { QuestionBankModal } = await import('../ui/components/question-bank-modal.js');
+                this.questionBankModal = new QuestionBankModal(this.quizManager);
+            } catch (error) {
+                logger.error('Failed to load question bank:', error);
+                return;
+            }
+        }
+        await this.questionBankModal.open();
+    }
+
     /**
      * Open Results Viewer with lazy loading
      */
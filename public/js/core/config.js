@@ -277,6 +277,7 @@ export const UI = {
     INITIAL_SPLIT_RATIO: 50,
     MAX_STAT_ITEMS: 6,        // Maximum stat items shown in statistics grid
     MAX_NUMERIC_DISPLAY: 6,   // Maximum numeric answers to display in stats
+    MAX_WORD_CLOUD_WORDS: 30, // Maximum distinct text answers shown in the word cloud
     DEFAULT_TIMER_SECONDS: 30 // Default question timer in seconds
 };
 
@@ -403,21 +404,3 @@ const SOCKET_EVENTS = {
     POWER_UP_RESULT: 'power-up-result'
 };
 
-// Power-up configuration
-export const POWER_UPS = {
-    ENABLED_BY_DEFAULT: false,
-    FIFTY_FIFTY: {
-        id: 'fifty-fifty',
-        usesPerGame: 1
-    },
-    EXTEND_TIME: {
-        id: 'extend-time',
-        usesPerGame: 1,
-        extraSeconds: 10
-    },
-    DOUBLE_POINTS: {
-        id: 'double-points',
-        usesPerGame: 1,
-        multiplier: 2
-    }
-};
\ No newline at end of file
@@ -24,7 +24,10 @@ import {
     updateGlobalTime,
     updateQuestionTypeFromPreview,
     toggleGlobalTimeModal,
-    toggleConsensusModeModal
+    toggleConsensusModeModal,
+    toggleTeamModeModal,
+    toggleEliminationModeModal,
+    toggleAdaptiveModeModal
 } from '../utils/globals.js';
 
 // [elementId, eventType, handler]. Handler receives the DOM event.
@@ -44,7 +47,10 @@ export const EVENT_BINDINGS = [
     // Quiz settings modal
     ['settings-modal-close-btn', 'click', () => closeQuizSettingsModal()],
     ['modal-use-global-time', 'change', () => toggleGlobalTimeModal()],
-    ['modal-consensus-mode', 'change', () => toggleConsensusModeModal()]
+    ['modal-consensus-mode', 'change', () => toggleConsensusModeModal()],
+    ['modal-team-mode', 'change', () => toggleTeamModeModal()],
+    ['modal-elimination-mode', 'change', () => toggleEliminationModeModal()],
+    ['modal-adaptive-mode', 'change', () => toggleAdaptiveModeModal()]
 ];
 
 /**
@@ -4,10 +4,10 @@
  */
 
 import { translationManager, getTranslation } from '../utils/translation-manager.js';
-import { TIMING, logger } from '../core/config.js';
+import { TIMING, COLORS, logger } from '../core/config.js';
 // MathRenderer and mathJaxService now handled by GameDisplayManager
 import { simpleMathJaxService } from '../utils/simple-mathjax-service.js';
-import { dom, escapeHtml, escapeHtmlPreservingLatex, hide } from '../utils/dom.js';
+import { dom, escapeHtml, escapeHtmlPreservingLatex, formatCodeBlocks, hide } from '../utils/dom.js';
 import { unifiedErrorHandler as errorBoundary } from '../utils/unified-error-handler.js';
 import { modalFeedback } from '../utils/modal-feedback.js';
 import { simpleResultsDownloader } from '../utils/simple-results-downloader.js';
@@ -25,6 +25,9 @@ import { PowerUpManager } from './modules/power-up-manager.js';
 import { ConsensusManager } from './modules/consensus-manager.js';
 import { DiscussionManager } from './modules/discussion-manager.js';
 import { StatisticsManager } from './modules/statistics-manager.js';
+import { PlayerModerationManager } from './modules/player-moderation-manager.js';
+import { TeamManager } from './modules/team-manager.js';
+import { EliminationManager } from './modules/elimination-manager.js';
 
 export class GameManager {
     constructor(socket, uiManager, soundManager, socketManager = null) {
@@ -46,13 +49,16 @@ export class GameManager {
         this.powerUpManager = new PowerUpManager();
         this.consensusManager = new ConsensusManager(this.stateManager, socketManager);
         this.discussionManager = new DiscussionManager(this.stateManager, socketManager);
+        this.moderationManager = new PlayerModerationManager(this.stateManager, socketManager);
+        this.teamManager = new TeamManager(this.stateManager, socketManager);
+        this.eliminationManager = new EliminationManager(this.stateManager);
 
         // Setup power-up callbacks
         this.powerUpManager.setExtendTimeCallback((extraSeconds) => {
             this.timerManager.extendTime(extraSeconds);
         });
-        this.powerUpManager.setFiftyFiftyCallback(() => {
-            this.applyFiftyFifty();
+        this.powerUpManager.setSkipCallback(() => {
+            this.markQuestionSkipped();
         });
 
         // Initialize DOM Manager with common game elements
@@ -89,6 +95,12 @@ export class GameManager {
         if (this.interactionManager) {
             this.interactionManager.socketManager = socketManager;
         }
+        if (this.moderationManager) {
+            this.moderationManager.socketManager = socketManager;
+        }
+        if (this.teamManager) {
+            this.teamManager.socketManager = socketManager;
+        }
         // Set socket on power-up manager for multiplayer mode
         if (this.powerUpManager && socketManager?.socket) {
             this.powerUpManager.setSocket(socketManager.socket);
@@ -204,6 +216,9 @@ export class GameManager {
         // Reset consensus mode for new question
         this.resetConsensusForQuestion();
 
+        // Ghost banner / revival round (elimination mode)
+        this.eliminationManager.startQuestion(data);
+
     }
 
     /**
@@ -322,32 +337,35 @@ export class GameManager {
         this.interactionManager.submitOrderingAnswer();
     }
 
+    /**
+     * Submit matching answer
+     */
+    submitMatchingAnswer() {
+        this.interactionManager.submitMatchingAnswer();
+    }
+
+    /**
+     * Submit text answer
+     */
+    submitTextAnswer() {
+        this.interactionManager.submitTextAnswer();
+    }
+
     // ==================== POWER-UP METHODS ====================
 
     /**
      * Initialize power-ups for a new game
      * @param {boolean} enabled - Whether power-ups are enabled for this game
+     * @param {Object} [catalogue] - Enabled power-ups with uses and parameters
+     * @param {Object} [state] - Uses left per power-up, when rejoining
      */
-    initializePowerUps(enabled) {
-        this.powerUpManager.initialize(enabled);
+    initializePowerUps(enabled, catalogue = null, state = null) {
+        this.powerUpManager.initialize(enabled, catalogue, state);
         if (enabled) {
             this.powerUpManager.bindEventListeners();
         }
     }
 
-    /**
-     * Apply 50-50 power-up to current question - hides half of the wrong answers
-     */
-    applyFiftyFifty() {
-        const currentQuestion = this.stateManager.getGameState().currentQuestion;
-        if (!currentQuestion || currentQuestion.correctAnswer === undefined) {
-            logger.warn('[GameManager] Cannot apply 50-50: no current question or correct answer');
-            return;
-        }
-
-        this.powerUpManager.applyFiftyFiftyToOptions(currentQuestion.correctAnswer);
-    }
-
     /**
      * Update power-up availability for new question
      * @param {string} questionType - Type of current question
@@ -355,23 +373,43 @@ export class GameManager {
     updatePowerUpsForQuestion(questionType) {
         if (!this.powerUpManager.enabled) return;
 
-        this.powerUpManager.resetFiftyFiftyOptions();
-        this.powerUpManager.updateFiftyFiftyAvailability(questionType);
+        this.powerUpManager.startQuestion(questionType);
     }
 
-    /** @returns {PowerUpManager} */
-    getPowerUpManager() {
-        return this.powerUpManager;
+    /**
+     * Apply a power-up-result from the server or the practice session
+     * @param {Object} data - Power-up result
+     */
+    applyPowerUpResult(data) {
+        this.powerUpManager.applyResult(data);
+    }
+
+    /**
+     * Skip power-up: the question counts as answered with no answer
+     */
+    markQuestionSkipped() {
+        this.stateManager.markAnswerSubmitted();
+        const playerTimer = document.getElementById('player-timer');
+        if (playerTimer) playerTimer.classList.add('hidden');
+        modalFeedback.showSubmission(getTranslation('question_skipped'), 2000);
     }
 
-    /** @returns {number} Points multiplier (1 or 2) */
-    getPointsMultiplier() {
-        return this.powerUpManager.getPointsMultiplier();
+    /**
+     * Second chance: the wrong answer was turned away, let the player answer again
+     * @param {number} pointsPercent - Share of the points the retry can still earn
+     */
+    allowAnswerRetry(pointsPercent) {
+        this.stateManager.allowAnswerRetry();
+        this.interactionManager.reset();
+        const playerTimer = document.getElementById('player-timer');
+        if (playerTimer) playerTimer.classList.remove('hidden');
+        this.powerUpManager.setAnswered(false);
+        modalFeedback.show(false, getTranslation('second_chance_retry', [pointsPercent]), null, 2500);
     }
 
-    /** Consume double points after scoring */
-    consumeDoublePoints() {
-        this.powerUpManager.consumeDoublePoints();
+    /** @returns {PowerUpManager} */
+    getPowerUpManager() {
+        return this.powerUpManager;
     }
 
     // ==================== END POWER-UP METHODS ====================
@@ -429,6 +467,22 @@ export class GameManager {
 
     // ==================== END CONSENSUS MODE METHODS ====================
 
+    /**
+     * Initialize elimination mode for a new game
+     * @param {Object|null} info - `elimination` from 'game-started' / 'rejoin-success'
+     */
+    initializeElimination(info) {
+        this.eliminationManager.initialize(info);
+    }
+
+    /**
+     * Show the outcome of a question's elimination phase
+     * @param {Object} data - 'elimination-update' payload
+     */
+    applyEliminationUpdate(data) {
+        this.eliminationManager.applyUpdate(data);
+    }
+
     // Answer submission feedback now handled by GameDisplayManager
 
     /**
@@ -445,10 +499,17 @@ export class GameManager {
             }
             this.stateManager.markResultShown();
 
+            // The result reports what the answer spent of any armed power-ups
+            this.powerUpManager.setAnswered(true);
+            this.powerUpManager.syncState(data.powerUps);
+
+            // Knocked out, still standing or back in (elimination mode)
+            const eliminationNote = this.eliminationManager.applyResult(data.elimination);
+
             const isCorrect = data.isCorrect !== undefined ? data.isCorrect : data.correct;
             const earnedPoints = data.points || 0;
             const explanation = data.explanation || null;
-            const partialScore = data.partialScore; // For ordering questions with partial credit
+            const partialScore = data.partialScore; // For ordering and matching questions with partial credit
             const isPoll = data.isPoll === true;
 
             // Poll: the response was recorded, but there is no verdict to give.
@@ -468,6 +529,12 @@ export class GameManager {
                 return;
             }
 
+            // Skipped with the skip power-up: nothing to mark right or wrong
+            if (data.skipped) {
+                modalFeedback.showNeutral(getTranslation('question_skipped'), explanation ? 0 : TIMING.RESULT_DISPLAY_DURATION, explanation);
+                return;
+            }
+
             // Determine if this is a partial correct (ordering question with some but not all correct)
             const isPartiallyCorrect = !isCorrect && partialScore !== undefined && partialScore > 0;
 
@@ -481,11 +548,40 @@ export class GameManager {
                 feedbackMessage = getTranslation('incorrect_answer_msg');
             }
 
+            // Eliminated players answer unscored
+            if (data.ghost) {
+                feedbackMessage = `${getTranslation('ghost_answer')} ${feedbackMessage}`;
+            }
+
+            // Text answers and matching pairs have no option to highlight, so
+            // name the accepted answers or the correct pairs
+            const resultType = data.questionType || data.type;
+            if (!isCorrect && (resultType === 'text-input' || resultType === 'matching') && data.correctAnswer) {
+                const accepted = Array.isArray(data.correctAnswer) ? data.correctAnswer.join(' / ') : data.correctAnswer;
+                feedbackMessage += ` ${getTranslation('correct_answer')}: ${accepted}`;
+            }
+
+            if (data.shielded) {
+                feedbackMessage += ` ${getTranslation('shield_kept_streak')}`;
+            }
+
+            // Streak and comeback bonuses (only in the breakdown when they paid out)
+            if (data.breakdown?.streakBonus > 0) {
+                feedbackMessage += ` ${getTranslation('streak_bonus_earned', [data.streak, data.breakdown.streakBonus])}`;
+            }
+            if (data.breakdown?.comebackBonus > 0) {
+                feedbackMessage += ` ${getTranslation('comeback_bonus_earned', [data.breakdown.comebackBonus])}`;
+            }
+
             // Add total score to message if available
             if (earnedPoints > 0 && data.totalScore !== undefined) {
                 feedbackMessage += ` (+${earnedPoints} ${getTranslation('points')})`;
             }
 
+            if (eliminationNote) {
+                feedbackMessage += ` ${eliminationNote}`;
+            }
+
             // No auto-dismiss when explanation is present — stays until next question or user tap
             const displayDuration = explanation ? 0 : TIMING.RESULT_DISPLAY_DURATION;
 
@@ -554,6 +650,7 @@ export class GameManager {
      * Show answer submitted feedback using modal system
      */
     showAnswerSubmitted(answer) {
+        this.powerUpManager.setAnswered(true);
         this.answerRevealManager.showAnswerSubmitted(answer);
     }
 
@@ -628,7 +725,8 @@ export class GameManager {
             '.option-display',          // Host option displays
             '.tf-option',               // True/false options
             '.checkbox-option',         // Multiple correct options
-            '.numeric-input-container'  // Numeric input area
+            '.numeric-input-container', // Numeric input area
+            '.text-input-container'     // Text answer input area
         ].join(', '));
 
         gameElements.forEach(element => {
@@ -737,6 +835,8 @@ export class GameManager {
             }
         } else if (questionType === 'ordering') {
             this.revealHostOrdering(data.correctOrder);
+        } else if (questionType === 'matching') {
+            this.revealHostMatching(data.pairs);
         }
     }
 
@@ -774,6 +874,32 @@ export class GameManager {
         });
     }
 
+    /**
+     * Reveal the pairs of a matching question on the host screen. The right
+     * column was shown in a shuffled order the host never learns, so the
+     * board is rebuilt with every pair lined up and the right tiles ringed.
+     * @param {Array<{left: string, right: string}>} pairs - Pairs in stored order
+     */
+    revealHostMatching(pairs) {
+        if (!Array.isArray(pairs) || pairs.length === 0) {
+            logger.warn('Matching reveal skipped: no pairs in payload');
+            return;
+        }
+
+        const container = dom.get('answer-options');
+        if (!container?.querySelector('.matching-board')) return;
+
+        QuestionTypeRegistry.renderHostOptions('matching', {
+            options: pairs.map(pair => pair.left),
+            matches: pairs.map(pair => pair.right)
+        }, container, { escapeHtml, escapeHtmlPreservingLatex, formatCodeBlocks, translationManager, COLORS });
+
+        container.querySelectorAll('.matching-right-item').forEach(item => {
+            item.classList.add('host-correct-order');
+        });
+        this.displayManager.renderQuestionMath(container);
+    }
+
     /**
      * Apply correct answer styling to host display element (thicker border)
      */
@@ -798,6 +924,10 @@ export class GameManager {
         } else if (questionType === 'numeric') {
             // Show numeric answer in options container (original style)
             this.showNumericCorrectAnswer(data.correctAnswer, data.tolerance);
+        } else if (questionType === 'text-input') {
+            // Accepted answers share the numeric top-frame display
+            const accepted = data.acceptedAnswers?.length ? data.acceptedAnswers.join(' / ') : data.correctAnswer;
+            this.showNumericCorrectAnswer(accepted, null);
         } else {
             // Highlight correct answers in the grid
             this.highlightCorrectAnswers(data);
@@ -921,6 +1051,7 @@ export class GameManager {
      */
     updateLiveAnswerCount(data) {
         this.statisticsManager.updateLiveAnswerCount(data);
+        this.eliminationManager.updateSurvivors(data?.survivors);
     }
 
     /**
@@ -1039,26 +1170,46 @@ export class GameManager {
 
     /**
      * Show leaderboard
+     * @param {Array} leaderboard - Top players
+     * @param {Array|null} [teamLeaderboard] - Team standings (team mode only)
      */
-    showLeaderboard(leaderboard) {
-        this.leaderboardManager.showLeaderboard(leaderboard);
+    showLeaderboard(leaderboard, teamLeaderboard = null) {
+        this.leaderboardManager.showLeaderboard(leaderboard, teamLeaderboard);
     }
 
     /**
      * Show final results
      * @param {Array} leaderboard - Final leaderboard data
      * @param {Object} [conceptMastery] - Optional personal concept mastery data for players
+     * @param {Array|null} [teamLeaderboard] - Final team standings (team mode only)
      */
-    showFinalResults(leaderboard, conceptMastery = null) {
+    showFinalResults(leaderboard, conceptMastery = null, teamLeaderboard = null) {
         // Delegate to LeaderboardManager with callback for saving results
         this.leaderboardManager.showFinalResults(
             leaderboard,
             this.socket,
             (lb) => this.saveGameResults(lb),
-            conceptMastery
+            conceptMastery,
+            teamLeaderboard
         );
     }
 
+    /**
+     * Show or hide the player's "download my report" link
+     * @param {{filename: string, player: string}|null} reportCard - From 'game-end'
+     */
+    showReportCardLink(reportCard) {
+        this.leaderboardManager.showReportCardLink(reportCard);
+    }
+
+    /**
+     * Show the player's own end-of-game badges
+     * @param {Array<{id: string, value: number}>|undefined} badges - From 'game-end'
+     */
+    showPlayerBadges(badges) {
+        this.leaderboardManager.showPlayerBadges(badges);
+    }
+
     /**
      * Update leaderboard display
      */
@@ -1096,8 +1247,10 @@ export class GameManager {
 
     /**
      * Update players list
+     * @param {Array} players - Roster entries
+     * @param {Array} [teams] - Teams of the game (team mode only)
      */
-    updatePlayersList(players) {
+    updatePlayersList(players, teams) {
         logger.debug('updatePlayersList called with:', players);
         const playersListElement = dom.get('players-list');
         logger.debug('playersListElement found:', !!playersListElement);
@@ -1113,6 +1266,8 @@ export class GameManager {
         }
 
         playersListElement.innerHTML = '';
+        this.moderationManager?.setPlayers(players);
+        this.teamManager?.setTeams(teams);
 
         const chipColors = [
             'var(--option-0-start)',
@@ -1155,6 +1310,8 @@ export class GameManager {
                 <span class="player-avatar ed-serif" aria-hidden="true">${escapeHtml(initial)}</span>
                 <span class="player-name">${escapeHtml(name)}</span>
             `;
+            this.teamManager?.decorateChip(playerElement, player);
+            this.moderationManager?.decorateChip(playerElement, player);
             playersListElement.appendChild(playerElement);
         });
 
@@ -1255,6 +1412,16 @@ export class GameManager {
         if (this.discussionManager) {
             this.discussionManager.reset();
         }
+        if (this.moderationManager) {
+            this.moderationManager.reset();
+        }
+        if (this.teamManager) {
+            this.teamManager.reset();
+        }
+        if (this.eliminationManager) {
+            this.eliminationManager.reset();
+            this.eliminationManager.render();
+        }
 
         // Hide the CSV download tool from previous game
         simpleResultsDownloader.hideDownloadTool();
@@ -1386,6 +1553,10 @@ export class GameManager {
         const numericInput = document.getElementById('numeric-answer-input');
         if (numericInput) numericInput.value = '';
 
+        // Reset text answer input
+        const textInput = document.getElementById('text-answer-input');
+        if (textInput) textInput.value = '';
+
         // Hide all answer type containers except default
         document.querySelectorAll('.player-answer-type').forEach(type => {
             type.classList.add('hidden');
@@ -54,7 +54,9 @@ export class AnswerRevealManager {
         }
 
         if (typeof answer === 'string') {
-            return answer.toUpperCase();
+            // Typed answers are shown as written; other strings are option keys
+            const questionType = this.stateManager.getGameState().currentQuestion?.type;
+            return questionType === 'text-input' ? answer : answer.toUpperCase();
         }
 
         if (typeof answer === 'number') {
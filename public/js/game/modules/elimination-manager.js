@@ -0,0 +1,156 @@
+/**
+ * Elimination Manager Module
+ * Elimination mode on the client: the host's survivors counter and the
+ * player's ghost banner, shown once they have been knocked out.
+ *
+ * The server decides who is out (Game.applyElimination); this module only
+ * renders what arrives with 'game-started', 'elimination-update',
+ * 'answer-count-update' and each player's 'player-result'.
+ */
+
+import { logger } from '../../core/config.js';
+import { getTranslation } from '../../utils/translation-manager.js';
+import { escapeHtml } from '../../utils/dom.js';
+
+export class EliminationManager {
+    /**
+     * @param {Object} stateManager - GameStateManager (host flag)
+     */
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+        this.reset();
+    }
+
+    /**
+     * Start a game. Turns the module off when elimination mode is not on.
+     * @param {Object|null} info - `elimination` from 'game-started' / 'rejoin-success':
+     *        `{ enabled, survivors, totalPlayers, eliminated? }`
+     */
+    initialize(info) {
+        this.reset();
+        if (!info?.enabled) {
+            this.render();
+            return;
+        }
+
+        this.enabled = true;
+        this.eliminated = info.eliminated === true;
+        this.survivors = info.survivors ?? 0;
+        this.totalPlayers = info.totalPlayers ?? this.survivors;
+        logger.debug('Elimination mode initialized', info);
+        this.render();
+    }
+
+    /**
+     * A question starts: ghosts are reminded they play unscored, or told a
+     * right answer on this revival round brings them back
+     * @param {Object} data - 'question-start' payload
+     */
+    startQuestion(data) {
+        if (!this.enabled) return;
+        this.revivalRound = data?.revivalRound === true;
+        this.roundNote = '';
+        this.render();
+    }
+
+    /**
+     * Outcome of a question's elimination phase, sent to the whole room
+     * @param {Object} data - 'elimination-update' payload
+     */
+    applyUpdate(data) {
+        if (!this.enabled || !data) return;
+
+        this.survivors = data.survivors;
+        this.totalPlayers = data.totalPlayers;
+
+        const notes = [];
+        if (data.eliminated?.length > 0) {
+            notes.push(getTranslation('elimination_round_out', [data.eliminated.join(', ')]));
+        }
+        if (data.revived?.length > 0) {
+            notes.push(getTranslation('elimination_round_revived', [data.revived.join(', ')]));
+        }
+        this.roundNote = notes.join(' · ');
+        this.render();
+    }
+
+    /**
+     * Survivor count from a live answer count
+     * @param {number|undefined} survivors - `survivors` of 'answer-count-update'
+     */
+    updateSurvivors(survivors) {
+        if (!this.enabled || typeof survivors !== 'number') return;
+        this.survivors = survivors;
+        this.render();
+    }
+
+    /**
+     * Take over the player's state from their question result
+     * @param {Object|undefined} elimination - `elimination` of 'player-result'
+     * @returns {string} Line for the result feedback, empty when there is nothing to say
+     */
+    applyResult(elimination) {
+        if (!this.enabled || !elimination) return '';
+
+        this.eliminated = elimination.eliminated === true;
+        this.survivors = elimination.survivors;
+        this.render();
+
+        if (elimination.eliminatedNow) return getTranslation('eliminated_now');
+        if (elimination.revived) return getTranslation('revived_now');
+        if (!this.eliminated) return getTranslation('survived_round', [elimination.survivors]);
+        return '';
+    }
+
+    /**
+     * Whether this player is out and answering as a ghost
+     * @returns {boolean}
+     */
+    isGhost() {
+        return this.enabled && this.eliminated;
+    }
+
+    /**
+     * Show the survivors counter (host) or the ghost banner (player)
+     */
+    render() {
+        const isHost = this.stateManager?.getGameState().isHost === true;
+
+        const counter = document.getElementById('survivors-counter');
+        if (counter) {
+            if (this.enabled && isHost) {
+                const count = escapeHtml(getTranslation('survivors_count', [this.survivors, this.totalPlayers]));
+                const note = this.roundNote ? `<span class="survivors-round-note">${escapeHtml(this.roundNote)}</span>` : '';
+                counter.innerHTML = `<span class="survivors-count">🛡️ ${count}</span>${note}`;
+                counter.classList.remove('hidden');
+            } else {
+                counter.innerHTML = '';
+                counter.classList.add('hidden');
+            }
+        }
+
+        const banner = document.getElementById('ghost-banner');
+        if (banner) {
+            if (this.enabled && !isHost && this.eliminated) {
+                banner.textContent = getTranslation(this.revivalRound ? 'ghost_banner_revival' : 'ghost_banner');
+                banner.classList.toggle('revival', this.revivalRound);
+                banner.classList.remove('hidden');
+            } else {
+                banner.textContent = '';
+                banner.classList.add('hidden');
+            }
+        }
+    }
+
+    /**
+     * Forget the game (ended / reset / mode off)
+     */
+    reset() {
+        this.enabled = false;
+        this.eliminated = false;
+        this.revivalRound = false;
+        this.survivors = 0;
+        this.totalPlayers = 0;
+        this.roundNote = '';
+    }
+}
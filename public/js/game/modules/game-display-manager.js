@@ -41,6 +41,8 @@ export class GameDisplayManager {
             trueFalseOptions: document.querySelectorAll('.tf-option'),
             checkboxOptions: document.querySelectorAll('.checkbox-option'),
             numericInput: document.getElementById('numeric-answer-input'),
+            textInput: document.getElementById('text-answer-input'),
+            textSubmitButton: document.getElementById('submit-text-input'),
             submitButton: document.getElementById('submit-numeric'),
             multipleSubmitButton: document.getElementById('submit-multiple')
         };
@@ -396,12 +398,22 @@ export class GameDisplayManager {
             elements.numericInput.disabled = false;
         }
 
+        // Reset text answer input
+        if (elements.textInput) {
+            elements.textInput.value = '';
+            elements.textInput.disabled = false;
+        }
+
         // Reset submit buttons
         if (elements.submitButton) {
             elements.submitButton.disabled = false;
             elements.submitButton.textContent = getTranslation('submit_answer');
         }
 
+        if (elements.textSubmitButton) {
+            elements.textSubmitButton.disabled = false;
+        }
+
         if (elements.multipleSubmitButton) {
             elements.multipleSubmitButton.disabled = false;
         }
@@ -120,6 +120,15 @@ export class GameStateManager {
         logger.debug('Answer marked as submitted');
     }
 
+    /**
+     * Accept another answer to the current question (second chance power-up)
+     */
+    allowAnswerRetry() {
+        this.answerSubmitted = false;
+        this.selectedAnswer = null;
+        logger.debug('Answer retry allowed');
+    }
+
     /**
      * Reset game state
      */
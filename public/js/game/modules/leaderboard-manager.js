@@ -9,6 +9,37 @@ import { logger, ANIMATION, TIMING, COLORS } from '../../core/config.js';
 import { dom, escapeHtml } from '../../utils/dom.js';
 import { simpleResultsDownloader } from '../../utils/simple-results-downloader.js';
 import { modalFeedback } from '../../utils/modal-feedback.js';
+import { getTeamLabel } from './team-manager.js';
+import { APIHelper } from '../../utils/api-helper.js';
+
+/**
+ * End-of-game badges from the server (services/badge-service.js): icon,
+ * name key and the key describing what earned it, filled in with the badge value
+ */
+const BADGES = {
+    'perfect-round': { icon: '💯', nameKey: 'badge_perfect_round', detailKey: 'badge_perfect_round_detail' },
+    'fastest-answer': { icon: '⚡', nameKey: 'badge_fastest_answer', detailKey: 'badge_fastest_answer_detail' },
+    'hot-streak': { icon: '🔥', nameKey: 'badge_hot_streak', detailKey: 'badge_hot_streak_detail' },
+    'most-improved': { icon: '📈', nameKey: 'badge_most_improved', detailKey: 'badge_most_improved_detail' },
+    'consensus-builder': { icon: '🤝', nameKey: 'badge_consensus_builder', detailKey: 'badge_consensus_builder_detail' }
+};
+
+/**
+ * Name and detail text of a badge
+ * @param {{id: string, value: number}} badge
+ * @returns {{icon: string, name: string, detail: string}|null} Null for a badge this client does not know
+ */
+function describeBadge(badge) {
+    const meta = BADGES[badge?.id];
+    if (!meta) return null;
+    // The fastest answer is sent in milliseconds
+    const value = badge.id === 'fastest-answer' ? (badge.value / 1000).toFixed(1) : badge.value;
+    return {
+        icon: meta.icon,
+        name: getTranslation(meta.nameKey),
+        detail: getTranslation(meta.detailKey, [value])
+    };
+}
 
 export class LeaderboardManager {
     /**
@@ -54,11 +85,13 @@ export class LeaderboardManager {
     /**
      * Show leaderboard screen
      * @param {Array} leaderboard - Array of player scores
+     * @param {Array|null} [teamLeaderboard] - Team standings (team mode only)
      */
-    showLeaderboard(leaderboard) {
+    showLeaderboard(leaderboard, teamLeaderboard = null) {
         this.dismissResultModal();
 
         this.updateLeaderboardDisplay(leaderboard);
+        this.renderTeamStandings('team-standings', teamLeaderboard);
 
         const gameState = this.stateManager.getGameState();
         this.uiManager.showScreen(gameState.isHost ? 'leaderboard-screen' : 'player-game-screen');
@@ -70,6 +103,7 @@ export class LeaderboardManager {
      * @param {Object} socket - Socket for player identification
      * @param {Function} saveResultsCallback - Callback to save results
      * @param {Object|null} conceptMastery - Personal concept mastery data for player
+     * @param {Array|null} [teamLeaderboard] - Final team standings (team mode only)
      */
     /**
      * Dismiss the per-question result modal before showing a results screen.
@@ -87,7 +121,7 @@ export class LeaderboardManager {
         modalFeedback.clearContent();
     }
 
-    showFinalResults(leaderboard, socket, saveResultsCallback, conceptMastery = null) {
+    showFinalResults(leaderboard, socket, saveResultsCallback, conceptMastery = null, teamLeaderboard = null) {
         logger.debug('showFinalResults called with leaderboard:', leaderboard);
 
         this.dismissResultModal();
@@ -99,6 +133,7 @@ export class LeaderboardManager {
         this.fanfarePlayed = true;
 
         this.updateLeaderboardDisplay(leaderboard);
+        this.renderTeamStandings('team-standings', teamLeaderboard);
 
         const gameState = this.stateManager.getGameState();
 
@@ -106,6 +141,8 @@ export class LeaderboardManager {
             this.showHostFinalResults(leaderboard, saveResultsCallback);
         } else {
             this.showPlayerFinalResults(leaderboard, socket, conceptMastery);
+            const ownTeamId = leaderboard?.find(player => player.id === socket?.id)?.teamId ?? null;
+            this.renderTeamStandings('player-team-standings', teamLeaderboard, ownTeamId);
         }
 
         this.stateManager.endGame();
@@ -228,9 +265,15 @@ export class LeaderboardManager {
             // the medal used to carry for positions 4+ would just be a duplicate.
             const medal = position === 1 ? '🥇 ' : position === 2 ? '🥈 ' : position === 3 ? '🥉 ' : '';
 
+            const teamTag = player.teamId
+                ? ` <span class="lb-team" data-team="${player.teamId}">${escapeHtml(getTeamLabel(player.teamId))}</span>`
+                : '';
+
+            if (player.eliminated) item.classList.add('eliminated');
+
             item.innerHTML = `
                 <span class="lb-rank ed-mono">${position}</span>
-                <span class="lb-name">${medal}${escapeHtml(player.name)}</span>
+                <span class="lb-name">${medal}${escapeHtml(player.name)}${teamTag}${this.renderEliminatedMark(player)}${this.renderBadgeIcons(player.badges)}</span>
                 <span class="lb-score ed-mono">${player.score} ${ptsLabel}</span>
             `;
 
@@ -238,6 +281,40 @@ export class LeaderboardManager {
         });
     }
 
+    /**
+     * Render team standings next to the individual leaderboard. Hidden when
+     * the game is not played in teams.
+     * @param {string} containerId - Element to render into
+     * @param {Array|null} teamLeaderboard - Teams ordered by score
+     * @param {number|null} [ownTeamId] - Team to highlight (the player's own)
+     */
+    renderTeamStandings(containerId, teamLeaderboard, ownTeamId = null) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        if (!Array.isArray(teamLeaderboard) || teamLeaderboard.length === 0) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        const ptsLabel = translationManager.getTranslationSync('pts') || 'pts';
+        const rows = teamLeaderboard.map((team, index) => `
+            <div class="team-standings-item${team.id === ownTeamId ? ' own-team' : ''}" role="listitem" data-team="${team.id}">
+                <span class="lb-rank ed-mono">${index + 1}</span>
+                <span class="team-standings-name">${escapeHtml(getTeamLabel(team.id))}</span>
+                <span class="team-standings-members">${escapeHtml(getTranslation('team_members', [team.memberCount]) || `${team.memberCount} players`)}</span>
+                <span class="lb-score ed-mono">${team.score} ${ptsLabel}</span>
+            </div>
+        `).join('');
+
+        container.innerHTML = `
+            <h3 class="team-standings-title">${escapeHtml(getTranslation('team_standings') || 'Team standings')}</h3>
+            ${rows}
+        `;
+        container.classList.remove('hidden');
+    }
+
     /**
      * Show player final screen
      * @param {Array} leaderboard - Final leaderboard
@@ -276,6 +353,86 @@ export class LeaderboardManager {
         this.uiManager.showScreen('player-final-screen');
     }
 
+    /**
+     * Point the final screen's "download my report" link at the player's
+     * report card in the saved results, or hide it when there is none
+     * @param {{filename: string, player: string}|null} reportCard - From 'game-end'
+     */
+    showReportCardLink(reportCard) {
+        const link = document.getElementById('download-my-report');
+        if (!link) return;
+
+        if (!reportCard?.filename || !reportCard.player) {
+            link.removeAttribute('href');
+            link.classList.add('hidden');
+            return;
+        }
+
+        link.href = APIHelper.getApiUrl(
+            `api/results/${encodeURIComponent(reportCard.filename)}/reports/${encodeURIComponent(reportCard.player)}`
+        );
+        link.classList.remove('hidden');
+    }
+
+    /**
+     * Ghost mark after the name of a player knocked out in elimination mode
+     * @param {Object} player - Leaderboard entry
+     * @returns {string} HTML, empty for a player still standing
+     */
+    renderEliminatedMark(player) {
+        if (!player?.eliminated) return '';
+        const label = escapeHtml(getTranslation('eliminated_label'));
+        return ` <span class="lb-eliminated" title="${label}" aria-label="${label}">👻</span>`;
+    }
+
+    /**
+     * Badge icons shown after a player's name in the final standings, with
+     * the badge name and what earned it as the tooltip
+     * @param {Array<{id: string, value: number}>|undefined} badges - From the leaderboard entry
+     * @returns {string} HTML, empty without badges
+     */
+    renderBadgeIcons(badges) {
+        const described = (badges || []).map(describeBadge).filter(Boolean);
+        if (described.length === 0) return '';
+
+        const icons = described.map(({ icon, name, detail }) => {
+            const title = escapeHtml(`${name}: ${detail}`);
+            return `<span class="lb-badge" title="${title}" aria-label="${title}">${icon}</span>`;
+        }).join('');
+        return ` <span class="lb-badges">${icons}</span>`;
+    }
+
+    /**
+     * Show the player's own badges on the final screen, or hide the panel
+     * when they earned none
+     * @param {Array<{id: string, value: number}>|undefined} badges - From 'game-end'
+     */
+    showPlayerBadges(badges) {
+        const container = document.getElementById('player-badges');
+        if (!container) return;
+
+        const described = (badges || []).map(describeBadge).filter(Boolean);
+        if (described.length === 0) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        const items = described.map(({ icon, name, detail }) => `
+            <li class="player-badge">
+                <span class="player-badge-icon" aria-hidden="true">${icon}</span>
+                <span class="player-badge-name">${escapeHtml(name)}</span>
+                <span class="player-badge-detail">${escapeHtml(detail)}</span>
+            </li>
+        `).join('');
+
+        container.innerHTML = `
+            <h3 data-translate="your_badges">${escapeHtml(getTranslation('your_badges'))}</h3>
+            <ul class="player-badge-list">${items}</ul>
+        `;
+        container.classList.remove('hidden');
+    }
+
     /**
      * Display personal concept mastery on player final screen
      * @param {Object|null} conceptMastery - Concept mastery data
@@ -382,7 +539,7 @@ export class LeaderboardManager {
             item.innerHTML = `
                 <span class="lb-rank ed-mono">${position}</span>
                 <span class="medal">${medal}</span>
-                <span class="player-name">${escapeHtml(player.name)}</span>
+                <span class="player-name">${escapeHtml(player.name)}${this.renderEliminatedMark(player)}${this.renderBadgeIcons(player.badges)}</span>
                 <span class="player-score ed-mono">${player.score} ${ptsLabel}</span>
             `;
 
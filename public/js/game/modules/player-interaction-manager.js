@@ -21,10 +21,13 @@ export class PlayerInteractionManager {
         this.submitMultipleCorrectAnswer = this.submitMultipleCorrectAnswer.bind(this);
         this.submitNumericAnswer = this.submitNumericAnswer.bind(this);
         this.submitOrderingAnswer = this.submitOrderingAnswer.bind(this);
+        this.submitMatchingAnswer = this.submitMatchingAnswer.bind(this);
+        this.submitTextAnswer = this.submitTextAnswer.bind(this);
 
         // Store bound handlers for cleanup (prevents memory leaks)
         this._handleOptionClick = this._handleOptionClick.bind(this);
         this._handleNumericKeypress = this._handleNumericKeypress.bind(this);
+        this._handleTextKeypress = this._handleTextKeypress.bind(this);
 
         // Track timeout IDs for cleanup
         this._errorTimeoutId = null;
@@ -56,6 +59,15 @@ export class PlayerInteractionManager {
         }
     }
 
+    /**
+     * Handler for text answer keypress (bound for cleanup)
+     */
+    _handleTextKeypress(event) {
+        if (event.key === 'Enter') {
+            this.submitTextAnswer();
+        }
+    }
+
     /**
      * Handle answer selection for multiple choice
      */
@@ -116,7 +128,7 @@ export class PlayerInteractionManager {
 
     /**
      * Submit answer by type - consolidated method using registry
-     * @param {string} type - Answer type: 'multiple-correct', 'numeric', 'ordering', or 'direct'
+     * @param {string} type - Answer type: 'multiple-correct', 'numeric', 'ordering', 'matching', 'text-input', or 'direct'
      * @param {*} directAnswer - Direct answer value for 'direct' type
      */
     submitAnswerByType(type, directAnswer = null) {
@@ -177,6 +189,30 @@ export class PlayerInteractionManager {
                 break;
             }
 
+            case 'matching': {
+                const container = document.getElementById('player-matching');
+                const answer = container ? QuestionTypeRegistry.extractAnswer('matching', container) : null;
+                if (!answer || answer.length === 0) {
+                    this.showError(getTranslation('please_match_items'));
+                    return;
+                }
+                logger.debug('Submitting matching answer:', answer);
+                this.submitAnswer(answer);
+                break;
+            }
+
+            case 'text-input': {
+                const container = document.getElementById('player-text-input');
+                const answer = container ? QuestionTypeRegistry.extractAnswer('text-input', container) : null;
+                if (!answer) {
+                    this.showError(getTranslation('please_enter_text_answer'));
+                    return;
+                }
+                logger.debug('Submitting text answer:', answer);
+                this.submitAnswer(answer);
+                break;
+            }
+
             case 'direct':
                 this.submitAnswer(directAnswer);
                 break;
@@ -200,6 +236,20 @@ export class PlayerInteractionManager {
         return this.submitAnswerByType('ordering');
     }
 
+    /**
+     * Submit matching answer
+     */
+    submitMatchingAnswer() {
+        return this.submitAnswerByType('matching');
+    }
+
+    /**
+     * Submit text answer
+     */
+    submitTextAnswer() {
+        return this.submitAnswerByType('text-input');
+    }
+
     /**
      * Submit answer to server or local game session
      */
@@ -352,7 +402,18 @@ export class PlayerInteractionManager {
             numericInput.addEventListener('keypress', this._handleNumericKeypress);
         }
 
-        // Note: Ordering submit button is wired up in question-renderer.js initializePlayerOrderingDragDrop()
+        // Text answer submit button and Enter key
+        const textSubmitBtn = document.getElementById('submit-text-input');
+        if (textSubmitBtn) {
+            textSubmitBtn.addEventListener('click', this.submitTextAnswer);
+        }
+
+        const textInput = document.getElementById('text-answer-input');
+        if (textInput) {
+            textInput.addEventListener('keypress', this._handleTextKeypress);
+        }
+
+        // Note: Ordering and matching submit buttons are wired up in question-renderer.js initializePlayerOrderingDragDrop()
 
         logger.debug('Player interaction event listeners setup');
     }
@@ -380,6 +441,16 @@ export class PlayerInteractionManager {
             numericInput.removeEventListener('keypress', this._handleNumericKeypress);
         }
 
+        const textSubmitBtn = document.getElementById('submit-text-input');
+        if (textSubmitBtn) {
+            textSubmitBtn.removeEventListener('click', this.submitTextAnswer);
+        }
+
+        const textInput = document.getElementById('text-answer-input');
+        if (textInput) {
+            textInput.removeEventListener('keypress', this._handleTextKeypress);
+        }
+
         // Note: Ordering submit button listener removed when container innerHTML is replaced
 
         logger.debug('Player interaction event listeners removed');
@@ -0,0 +1,248 @@
+/**
+ * Player Moderation Manager Module
+ * Host-side controls for removing players from a live game
+ *
+ * - Kick: the player is removed but may join again with the PIN
+ * - Ban: the player's name and device are refused for the rest of the game
+ *
+ * In the lobby each roster chip gets a remove button; during the game the
+ * header player count opens a roster dialog with the same actions.
+ */
+
+import { logger } from '../../core/config.js';
+import { getTranslation } from '../../utils/translation-manager.js';
+import { lockBodyScroll, unlockBodyScroll } from '../../utils/modal-utils.js';
+
+export class PlayerModerationManager {
+    /**
+     * @param {Object} stateManager - GameStateManager (host flag, PIN)
+     * @param {Object|null} socketManager - SocketManager used to send kick/ban
+     */
+    constructor(stateManager, socketManager = null) {
+        this.stateManager = stateManager;
+        this.socketManager = socketManager;
+
+        /** @type {Array<{id: string, name: string, disconnected?: boolean}>} */
+        this.players = [];
+
+        /** @type {HTMLElement|null} roster list while the roster dialog is open */
+        this.rosterList = null;
+
+        /** @type {Function|null} closes the open dialog, if any */
+        this.closeDialog = null;
+    }
+
+    /**
+     * Whether this client is hosting the current game
+     * @returns {boolean}
+     */
+    isHost() {
+        return this.stateManager?.getGameState().isHost === true;
+    }
+
+    /**
+     * Record the latest roster and refresh an open roster dialog
+     * @param {Array} players - Player list from 'player-list-update'
+     */
+    setPlayers(players) {
+        this.players = Array.isArray(players) ? players : [];
+        if (this.rosterList) {
+            this.renderRoster(this.rosterList);
+        }
+    }
+
+    /**
+     * Append a remove button to a lobby roster chip (host only)
+     * @param {HTMLElement} chip - The `.player-item` element
+     * @param {Object} player - Player entry with id and name
+     */
+    decorateChip(chip, player) {
+        if (!this.isHost() || !player?.id) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'player-remove-btn';
+        button.textContent = '×';
+        const label = getTranslation('remove_player_named', [player.name]) || `Remove ${player.name}`;
+        button.setAttribute('aria-label', label);
+        button.title = label;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.promptRemoval(player);
+        });
+        chip.appendChild(button);
+    }
+
+    /**
+     * Ask the host whether to kick or ban a single player
+     * @param {Object} player - Player entry with id and name
+     */
+    promptRemoval(player) {
+        this.openDialog((content, close) => {
+            const text = document.createElement('p');
+            text.textContent = getTranslation('remove_player_prompt', [player.name])
+                || `Remove ${player.name} from the game?`;
+            content.appendChild(text);
+
+            const hint = document.createElement('p');
+            hint.className = 'moderation-hint';
+            hint.textContent = getTranslation('remove_player_hint')
+                || 'Kicked players can join again. Banned players cannot rejoin this game.';
+            content.appendChild(hint);
+
+            const actions = document.createElement('div');
+            actions.className = 'modal-actions';
+
+            const cancelBtn = this.createButton('btn secondary', getTranslation('cancel') || 'Cancel', close);
+            const kickBtn = this.createButton('btn primary', getTranslation('kick_player') || 'Kick', () => {
+                this.removePlayer(player.id, false);
+                close();
+            });
+            const banBtn = this.createButton('btn danger', getTranslation('ban_player') || 'Ban', () => {
+                this.removePlayer(player.id, true);
+                close();
+            });
+
+            actions.append(cancelBtn, kickBtn, banBtn);
+            content.appendChild(actions);
+            return kickBtn;
+        });
+    }
+
+    /**
+     * Open the in-game roster dialog (host only)
+     */
+    openRoster() {
+        if (!this.isHost()) return;
+
+        this.openDialog((content, close) => {
+            const title = document.createElement('h3');
+            title.textContent = getTranslation('players') || 'Players';
+            content.appendChild(title);
+
+            const list = document.createElement('ul');
+            list.className = 'moderation-roster';
+            content.appendChild(list);
+            this.rosterList = list;
+            this.renderRoster(list);
+
+            const actions = document.createElement('div');
+            actions.className = 'modal-actions';
+            const closeBtn = this.createButton('btn secondary', getTranslation('close') || 'Close', close);
+            actions.appendChild(closeBtn);
+            content.appendChild(actions);
+            return closeBtn;
+        });
+    }
+
+    /**
+     * Render the roster rows, each with kick and ban actions
+     * @param {HTMLElement} list - The roster `<ul>`
+     */
+    renderRoster(list) {
+        list.innerHTML = '';
+
+        if (this.players.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'moderation-roster-empty';
+            empty.textContent = getTranslation('waiting_for_players') || 'Waiting for players...';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.players.forEach(player => {
+            const row = document.createElement('li');
+            row.className = 'moderation-roster-row';
+            row.classList.toggle('disconnected', !!player.disconnected);
+
+            const name = document.createElement('span');
+            name.className = 'moderation-roster-name';
+            name.textContent = player.name || '';
+            row.appendChild(name);
+
+            row.appendChild(this.createButton('btn secondary', getTranslation('kick_player') || 'Kick',
+                () => this.removePlayer(player.id, false)));
+            row.appendChild(this.createButton('btn danger', getTranslation('ban_player') || 'Ban',
+                () => this.removePlayer(player.id, true)));
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Send the kick or ban to the server. The roster refreshes from the
+     * resulting 'player-list-update', so nothing is removed locally.
+     * @param {string} playerId - Socket ID of the player
+     * @param {boolean} ban - Ban instead of kick
+     */
+    removePlayer(playerId, ban) {
+        if (!this.socketManager) {
+            logger.warn('[PlayerModerationManager] No socket manager, cannot remove player');
+            return;
+        }
+        this.socketManager.removePlayer(playerId, ban);
+    }
+
+    /**
+     * Build a small button
+     * @param {string} className - Button classes
+     * @param {string} text - Label
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement}
+     */
+    createButton(className, text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Show a dialog built like confirmModal (overlay click and Escape close it)
+     * @param {Function} build - (content, close) => element to focus
+     */
+    openDialog(build) {
+        if (this.closeDialog) this.closeDialog();
+
+        const modal = document.createElement('div');
+        modal.className = 'modal moderation-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+
+        const content = document.createElement('div');
+        content.className = 'modal-content';
+        modal.appendChild(content);
+
+        let escapeHandler = null;
+        const close = () => {
+            document.removeEventListener('keydown', escapeHandler);
+            modal.remove();
+            unlockBodyScroll();
+            this.rosterList = null;
+            this.closeDialog = null;
+        };
+        escapeHandler = (e) => {
+            if (e.key === 'Escape') close();
+        };
+
+        const focusTarget = build(content, close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+        document.addEventListener('keydown', escapeHandler);
+
+        document.body.appendChild(modal);
+        lockBodyScroll();
+        this.closeDialog = close;
+        focusTarget?.focus();
+    }
+
+    /**
+     * Close any open dialog and forget the roster (game ended / reset)
+     */
+    reset() {
+        if (this.closeDialog) this.closeDialog();
+        this.players = [];
+    }
+}
@@ -2,38 +2,78 @@
  * Power-Up Manager Module
  * Manages power-up logic, state, and UI for game power-ups
  *
- * Power-ups available:
- * - 50-50: Eliminates half the wrong answers (multiple-choice/true-false only)
- * - Extend Time: Adds extra seconds to the timer
- * - Double Points: 2x score on next correct answer
+ * The catalogue (which power-ups, uses per player, parameters) comes from
+ * the game: `powerUps` in game-started for live games, the quiz settings in
+ * practice mode. Definitions live in utils/power-up-registry.js. The server
+ * (or LocalGameSession) is authoritative: buttons show the state it reports
+ * back in power-up-result and player-result.
  */
 
-import { logger, POWER_UPS } from '../../core/config.js';
+import { logger } from '../../core/config.js';
+import { getTranslation } from '../../utils/translation-manager.js';
+import {
+    getPowerUp,
+    isPowerUpApplicable,
+    resolvePowerUpSettings,
+    createPowerUpState
+} from '../../utils/power-up-registry.js';
 
 /**
  * @typedef {Object} PowerUpState
- * @property {boolean} available - Whether the power-up can still be used
- * @property {boolean} used - Whether the power-up has been used
- * @property {boolean} [active] - Whether the power-up effect is currently active (for double-points)
+ * @property {number} remaining - Uses left this game
+ * @property {boolean} [active] - Armed and waiting for the next answer (double points, shield, second chance)
  */
 
 /**
- * @typedef {'fifty-fifty'|'extend-time'|'double-points'} PowerUpType
+ * Button face of each power-up: icon, label key and the catalogue
+ * parameters filled into the label and tooltip. Icons may depend on the
+ * catalogue too.
  */
+const POWER_UP_DISPLAY = {
+    'fifty-fifty': { icon: '½', label: 'fifty_fifty' },
+    'extend-time': { icon: '⏱️', label: 'extend_time', args: config => [config.extraSeconds] },
+    'double-points': { icon: config => `×${config.multiplier}`, label: 'double_points', args: config => [config.multiplier] },
+    'shield': { icon: '🛡️', label: 'power_up_shield' },
+    'second-chance': { icon: '🔁', label: 'power_up_second_chance', args: config => [config.pointsPercent] },
+    'skip': { icon: '⏭️', label: 'power_up_skip' },
+    'reveal-hint': { icon: '💡', label: 'power_up_reveal_hint' }
+};
+
+/** Translation key and arguments of each hint kind from the reveal-hint power-up */
+const HINT_TEXT = {
+    'exclude-option': () => ['hint_exclude_option', []],
+    'correct-count': hint => ['hint_correct_count', [hint.count]],
+    'range': hint => ['hint_range', [hint.min, hint.max]],
+    'first-letter': hint => ['hint_first_letter', [hint.letter, hint.length]],
+    'first-item': hint => ['hint_first_item', [hint.text]],
+    'pair': hint => ['hint_pair', [hint.left, hint.right]]
+};
 
 export class PowerUpManager {
     constructor() {
-        /** @type {Map<PowerUpType, PowerUpState>} */
+        /** @type {Map<string, PowerUpState>} */
         this.powerUps = new Map();
 
+        /** @type {Object} Resolved catalogue: `{ [id]: { uses, ...params } }` */
+        this.catalogue = {};
+
         /** @type {boolean} */
         this.enabled = false;
 
+        /** @type {string|null} Type of the current question */
+        this.questionType = null;
+
+        /** @type {boolean} Whether the player has answered the current question */
+        this.answered = false;
+
+        /** @type {string|null} Power-up sent for use, awaiting its result */
+        this.pending = null;
+
         /** @type {Function|null} */
         this.onExtendTime = null;
 
         /** @type {Function|null} */
-        this.onFiftyFifty = null;
+        this.onSkip = null;
 
         /** @type {import('../../events/event-bus-interface.js').IEventBus|null} */
         this.eventBus = null;
@@ -64,24 +104,27 @@ export class PowerUpManager {
     /**
      * Initialize power-ups for a new game
      * @param {boolean} powerUpsEnabled - Whether power-ups are enabled for this game
+     * @param {Object} [catalogue] - Resolved catalogue; defaults to the registry defaults
+     * @param {Object} [state] - Uses left per power-up (on rejoin); defaults to a full budget
      */
-    initialize(powerUpsEnabled) {
+    initialize(powerUpsEnabled, catalogue = null, state = null) {
         this.enabled = powerUpsEnabled;
+        this.pending = null;
+        this.answered = false;
 
         if (!powerUpsEnabled) {
             this.hideUI();
             return;
         }
 
-        // Reset power-up states
-        this.powerUps.set('fifty-fifty', { available: true, used: false });
-        this.powerUps.set('extend-time', { available: true, used: false });
-        this.powerUps.set('double-points', { available: true, used: false, active: false });
+        this.catalogue = catalogue || resolvePowerUpSettings();
+        this.powerUps = new Map(Object.entries(state || createPowerUpState(this.catalogue)));
 
+        this.renderButtons();
         this.showUI();
         this.updateAllButtons();
 
-        logger.debug('[PowerUpManager] Initialized with power-ups enabled');
+        logger.debug('[PowerUpManager] Initialized with power-ups:', Object.keys(this.catalogue));
     }
 
     /**
@@ -89,8 +132,11 @@ export class PowerUpManager {
      */
     reset() {
         this.powerUps.clear();
+        this.catalogue = {};
         this.enabled = false;
+        this.pending = null;
         this.hideUI();
+        this.hideHint();
         logger.debug('[PowerUpManager] Reset');
     }
 
@@ -109,25 +155,33 @@ export class PowerUpManager {
     }
 
     /**
-     * Use a power-up
-     * @param {PowerUpType} type - Type of power-up to use
-     * @returns {boolean} Whether the power-up was successfully used
+     * Check whether a power-up can be used right now
+     * @param {string} type - Power-up ID
+     * @returns {boolean}
      */
-    usePowerUp(type) {
-        if (!this.enabled) {
-            logger.debug('[PowerUpManager] Power-ups not enabled');
-            return false;
-        }
-
+    canUse(type) {
         const state = this.powerUps.get(type);
-        if (!state || !state.available || state.used) {
-            logger.debug(`[PowerUpManager] Cannot use ${type}: not available or already used`);
+        if (!this.enabled || !state || state.remaining <= 0 || state.active) return false;
+        if (this.pending || this.answered || !this.questionType) return false;
+        return isPowerUpApplicable(type, { type: this.questionType });
+    }
+
+    /**
+     * Ask the game to use a power-up. Its effect is applied when the result
+     * comes back (applyResult).
+     * @param {string} type - Power-up ID
+     * @returns {boolean} Whether the request was sent
+     */
+    usePowerUp(type) {
+        if (!this.canUse(type)) {
+            logger.debug(`[PowerUpManager] Cannot use ${type} now`);
             return false;
         }
 
         logger.debug(`[PowerUpManager] Using power-up: ${type}`);
+        this.pending = type;
+        this.updateAllButtons();
 
-        // Emit power-up use event to appropriate handler
         if (this.eventBus) {
             // Practice mode - use local event bus
             this.eventBus.emit('use-power-up', { type });
@@ -135,160 +189,187 @@ export class PowerUpManager {
             // Multiplayer mode - use socket
             this.socket.emit('use-power-up', { type });
         }
-
-        // Activate the power-up locally (UI updates)
-        switch (type) {
-            case 'fifty-fifty':
-                return this.activateFiftyFifty();
-            case 'extend-time':
-                return this.activateExtendTime();
-            case 'double-points':
-                return this.activateDoublePoints();
-            default:
-                logger.warn(`[PowerUpManager] Unknown power-up type: ${type}`);
-                return false;
-        }
+        return true;
     }
 
     /**
-     * Activate 50-50 power-up
-     * @returns {boolean}
+     * Apply a power-up-result from the game
+     * @param {Object} data - `{ success, type, remaining, ...effect }`
      */
-    activateFiftyFifty() {
-        const state = this.powerUps.get('fifty-fifty');
-        if (!state || !state.available) return false;
-
-        state.used = true;
-        state.available = false;
+    applyResult(data) {
+        this.pending = null;
 
-        if (this.onFiftyFifty) {
-            this.onFiftyFifty();
+        if (!data?.success) {
+            logger.warn('[PowerUpManager] Power-up failed:', data?.error);
+            this.updateAllButtons();
+            return;
         }
 
-        this.updateButton('fifty-fifty');
-        logger.debug('[PowerUpManager] 50-50 activated');
-        return true;
-    }
-
-    /**
-     * Apply 50-50 effect to answer options - hides half of the wrong answers
-     * @param {number} correctIndex - Index of the correct answer
-     */
-    applyFiftyFiftyToOptions(correctIndex) {
-        const options = document.querySelectorAll('#player-multiple-choice .player-option');
-        if (options.length < 4) {
-            logger.debug('[PowerUpManager] Not enough options for 50-50');
-            return;
+        const state = this.powerUps.get(data.type);
+        if (state) {
+            state.remaining = data.remaining ?? Math.max(0, state.remaining - 1);
+            if (getPowerUp(data.type)?.armed) {
+                state.active = true;
+            }
         }
 
-        // Get indices of wrong answers
-        const wrongIndices = [];
-        options.forEach((_, index) => {
-            if (index !== correctIndex) {
-                wrongIndices.push(index);
+        if (data.hiddenOptions) {
+            this.applyHiddenOptions(data.hiddenOptions);
+        }
+        if (data.extraSeconds && this.onExtendTime) {
+            this.onExtendTime(data.extraSeconds);
+        }
+        if (data.type === 'reveal-hint') {
+            this.showHint(data.hint);
+        }
+        if (data.skipped) {
+            this.answered = true;
+            if (this.onSkip) {
+                this.onSkip();
             }
-        });
+        }
 
-        // Randomly select half of wrong answers to hide
-        const numToHide = Math.ceil(wrongIndices.length / 2);
-        const shuffled = wrongIndices.sort(() => Math.random() - 0.5);
-        const indicesToHide = shuffled.slice(0, numToHide);
+        this.updateAllButtons();
+    }
 
-        // Hide the selected wrong options using CSS class
-        indicesToHide.forEach(index => {
-            const option = options[index];
-            if (option) {
-                option.classList.add('power-up-hidden');
-                option.disabled = true;
+    /**
+     * Take over the power-up state reported with a player-result (armed
+     * power-ups are spent by the answer it scored)
+     * @param {Object} [state] - `{ [id]: { remaining, active? } }`
+     */
+    syncState(state) {
+        if (!this.enabled || !state) return;
+        Object.entries(state).forEach(([id, value]) => {
+            if (this.powerUps.has(id)) {
+                this.powerUps.set(id, { ...value });
             }
         });
-
-        logger.debug(`[PowerUpManager] 50-50 applied, hid indices: ${indicesToHide}`);
+        this.updateAllButtons();
     }
 
     /**
-     * Apply server-computed 50-50 result - hides the exact options the server
-     * chose (already mapped to the player's shuffled option order).
+     * Hide answer options picked by 50-50 or a hint. Indices are in the
+     * player's displayed order; for true-false 0 is TRUE and 1 is FALSE.
      * @param {number[]} indices - Option indices to hide
      */
     applyHiddenOptions(indices) {
         if (!Array.isArray(indices)) return;
-        const options = document.querySelectorAll('#player-multiple-choice .player-option');
+
+        let options;
+        if (this.questionType === 'true-false') {
+            options = ['true', 'false'].map(value => document.querySelector(`.tf-option[data-answer="${value}"]`));
+        } else if (this.questionType === 'multiple-correct') {
+            options = Array.from(document.querySelectorAll('#player-multiple-correct .checkbox-option'));
+        } else {
+            options = Array.from(document.querySelectorAll('#player-multiple-choice .player-option'));
+        }
+
         indices.forEach(index => {
             const option = options[index];
-            if (option) {
-                option.classList.add('power-up-hidden');
-                option.disabled = true;
-            }
+            if (!option) return;
+            option.classList.add('power-up-hidden');
+            const control = option.matches('input, button') ? option : option.querySelector('input');
+            if (control) control.disabled = true;
         });
-        logger.debug(`[PowerUpManager] Applied server hidden options: ${indices}`);
+        logger.debug(`[PowerUpManager] Hid options: ${indices}`);
     }
 
     /**
-     * Activate Extend Time power-up
-     * @returns {boolean}
+     * Show a hint from the reveal-hint power-up
+     * @param {Object|null} hint - `{ kind, ... }`; null when the question has none
      */
-    activateExtendTime() {
-        const state = this.powerUps.get('extend-time');
-        if (!state || !state.available) return false;
-
-        state.used = true;
-        state.available = false;
-
-        if (this.onExtendTime) {
-            this.onExtendTime(POWER_UPS.EXTEND_TIME.extraSeconds);
+    showHint(hint) {
+        const element = document.getElementById('power-up-hint');
+        if (hint?.kind === 'exclude-option') {
+            this.applyHiddenOptions([hint.option]);
         }
+        if (!element) return;
 
-        this.updateButton('extend-time');
-        logger.debug(`[PowerUpManager] Extend Time activated (+${POWER_UPS.EXTEND_TIME.extraSeconds}s)`);
-        return true;
+        const [key, args] = HINT_TEXT[hint?.kind]?.(hint) || ['hint_unavailable', []];
+        element.textContent = `💡 ${getTranslation(key, args)}`;
+        element.classList.remove('hidden');
     }
 
     /**
-     * Activate Double Points power-up
-     * @returns {boolean}
+     * Hide the hint of the previous question
      */
-    activateDoublePoints() {
-        const state = this.powerUps.get('double-points');
-        if (!state || !state.available) return false;
-
-        state.used = true;
-        state.available = false;
-        state.active = true;
-
-        this.updateButton('double-points');
-        logger.debug('[PowerUpManager] Double Points activated');
-        return true;
+    hideHint() {
+        const element = document.getElementById('power-up-hint');
+        if (element) {
+            element.textContent = '';
+            element.classList.add('hidden');
+        }
     }
 
     /**
-     * Check if double points is currently active
-     * @returns {boolean}
+     * Prepare for a new question: show hidden options again, clear the hint
+     * and enable the power-ups that apply to this question type
+     * @param {string} questionType - Type of the new question
      */
-    isDoublePointsActive() {
-        const state = this.powerUps.get('double-points');
-        return state?.active === true;
+    startQuestion(questionType) {
+        this.questionType = questionType || 'multiple-choice';
+        this.answered = false;
+        this.pending = null;
+
+        document.querySelectorAll('.power-up-hidden').forEach(option => {
+            option.classList.remove('power-up-hidden');
+            const control = option.matches('input, button') ? option : option.querySelector('input');
+            if (control) control.disabled = false;
+        });
+        this.hideHint();
+        this.updateAllButtons();
     }
 
     /**
-     * Consume double points after scoring
-     * Called after a player submits an answer (correct or not)
+     * Mark the current question as answered (or open again after a second chance)
+     * @param {boolean} answered
      */
-    consumeDoublePoints() {
-        const state = this.powerUps.get('double-points');
-        if (state) {
-            state.active = false;
-            this.updateButton('double-points');
-            logger.debug('[PowerUpManager] Double Points consumed');
-        }
+    setAnswered(answered) {
+        this.answered = answered;
+        this.updateAllButtons();
     }
 
     /**
-     * Get the double points multiplier if active
-     * @returns {number} Multiplier (1 if not active, 2 if active)
+     * Build one button per power-up in the catalogue
      */
-    getPointsMultiplier() {
-        return this.isDoublePointsActive() ? POWER_UPS.DOUBLE_POINTS.multiplier : 1;
+    renderButtons() {
+        const container = document.getElementById('power-ups-container');
+        if (!container) return;
+
+        container.replaceChildren();
+        Object.entries(this.catalogue).forEach(([id, config]) => {
+            const display = POWER_UP_DISPLAY[id] || { icon: '⚡', label: id };
+            const args = display.args ? display.args(config) : [];
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.id = `power-up-${id}`;
+            button.className = 'power-up-btn';
+            button.dataset.powerUp = id;
+            button.setAttribute('data-translate-title', `${display.label}_tooltip`);
+            button.title = getTranslation(`${display.label}_tooltip`, args);
+
+            const icon = document.createElement('span');
+            icon.className = 'power-up-icon';
+            icon.textContent = typeof display.icon === 'function' ? display.icon(config) : display.icon;
+
+            const label = document.createElement('span');
+            label.className = 'power-up-label';
+            label.setAttribute('data-translate', display.label);
+            label.textContent = getTranslation(display.label, args);
+
+            const count = document.createElement('span');
+            count.className = 'power-up-count';
+            count.setAttribute('aria-hidden', 'true');
+
+            if (args.length > 0) {
+                button.setAttribute('data-translate-title-args', args.join(','));
+                label.setAttribute('data-translate-args', args.join(','));
+            }
+
+            button.append(icon, label, count);
+            container.appendChild(button);
+        });
     }
 
     /**
@@ -313,7 +394,7 @@ export class PowerUpManager {
 
     /**
      * Update a single power-up button state
-     * @param {PowerUpType} type - Power-up type
+     * @param {string} type - Power-up ID
      */
     updateButton(type) {
         const button = document.querySelector(`[data-power-up="${type}"]`);
@@ -325,15 +406,17 @@ export class PowerUpManager {
             return;
         }
 
-        button.disabled = state.used || !state.available;
-        button.classList.toggle('used', state.used);
+        const spent = state.remaining <= 0 && !state.active;
+        button.disabled = !this.canUse(type);
+        button.classList.toggle('used', spent);
         button.classList.toggle('active', state.active === true);
+        button.classList.toggle('unavailable', !spent && !state.active && !!this.questionType &&
+            !isPowerUpApplicable(type, { type: this.questionType }));
 
-        // Special handling for 50-50: disable if not applicable
-        if (type === 'fifty-fifty' && !state.used) {
-            const canUse = this.canUseFiftyFifty();
-            button.disabled = !canUse;
-            button.classList.toggle('unavailable', !canUse);
+        // Uses left, shown only when the budget allows more than one
+        const count = button.querySelector('.power-up-count');
+        if (count) {
+            count.textContent = (this.catalogue[type]?.uses || 1) > 1 ? `${state.remaining}` : '';
         }
     }
 
@@ -341,50 +424,7 @@ export class PowerUpManager {
      * Update all power-up buttons
      */
     updateAllButtons() {
-        this.updateButton('fifty-fifty');
-        this.updateButton('extend-time');
-        this.updateButton('double-points');
-    }
-
-    /**
-     * Update 50-50 availability based on current question type
-     * Should be called when question changes
-     * @param {string} questionType - Current question type
-     */
-    updateFiftyFiftyAvailability(questionType) {
-        const state = this.powerUps.get('fifty-fifty');
-        if (!state || state.used) return;
-
-        // 50-50 only available for multiple-choice
-        const available = questionType === 'multiple-choice';
-        state.available = available && !state.used;
-
-        this.updateButton('fifty-fifty');
-    }
-
-    /**
-     * Check if 50-50 can be used on current question
-     * @returns {boolean} Whether 50-50 is usable
-     */
-    canUseFiftyFifty() {
-        const state = this.powerUps.get('fifty-fifty');
-        if (!state || state.used || !state.available) {
-            return false;
-        }
-
-        // Check if there are enough visible options
-        const options = document.querySelectorAll('#player-multiple-choice .player-option:not(.power-up-hidden)');
-        return options.length >= 4;
-    }
-
-    /**
-     * Reset options hidden by 50-50 for new question
-     */
-    resetFiftyFiftyOptions() {
-        document.querySelectorAll('.player-option.power-up-hidden').forEach(option => {
-            option.classList.remove('power-up-hidden');
-            option.disabled = false;
-        });
+        this.powerUps.forEach((_, type) => this.updateButton(type));
     }
 
     /**
@@ -396,48 +436,11 @@ export class PowerUpManager {
     }
 
     /**
-     * Set callback for when 50-50 is activated
-     * @param {Function} callback - Callback to trigger 50-50 effect
+     * Set callback for when the question is skipped
+     * @param {Function} callback - Callback marking the question answered
      */
-    setFiftyFiftyCallback(callback) {
-        this.onFiftyFifty = callback;
-    }
-
-    /**
-     * Get power-up state for serialization
-     * @returns {Object} Serialized power-up state
-     */
-    getState() {
-        const state = {};
-        this.powerUps.forEach((value, key) => {
-            state[key] = { ...value };
-        });
-        return {
-            enabled: this.enabled,
-            powerUps: state
-        };
-    }
-
-    /**
-     * Restore power-up state from serialization
-     * @param {Object} state - Serialized state
-     */
-    restoreState(state) {
-        if (!state) return;
-
-        this.enabled = state.enabled;
-        if (state.powerUps) {
-            Object.entries(state.powerUps).forEach(([key, value]) => {
-                this.powerUps.set(key, { ...value });
-            });
-        }
-
-        if (this.enabled) {
-            this.showUI();
-            this.updateAllButtons();
-        } else {
-            this.hideUI();
-        }
+    setSkipCallback(callback) {
+        this.onSkip = callback;
     }
 
     /**
@@ -9,6 +9,12 @@ import { logger, TIMING, COLORS } from '../../core/config.js';
 import { escapeHtmlPreservingLatex, escapeHtml, formatCodeBlocks, show, hide } from '../../utils/dom.js';
 import { QuestionTypeRegistry } from '../../utils/question-type-registry.js';
 
+/** Reorderable list, submit button and GameManager submit method per drag-answered type */
+const DRAG_ANSWER_ELEMENTS = {
+    ordering: { containerId: 'player-ordering-container', submitButtonId: 'submit-ordering', submit: 'submitOrderingAnswer' },
+    matching: { containerId: 'player-matching-container', submitButtonId: 'submit-matching', submit: 'submitMatchingAnswer' }
+};
+
 export class QuestionRenderer {
     constructor(displayManager, stateManager, uiManager, gameManager) {
         this.displayManager = displayManager;
@@ -92,9 +98,9 @@ export class QuestionRenderer {
 
         const hostMultipleChoice = document.getElementById('host-multiple-choice');
 
-        if (data.type === 'numeric') {
+        if (data.type === 'numeric' || data.type === 'text-input') {
             hide(hostOptionsContainer);
-            // Hide the entire "Question Alternatives" frame for numeric questions
+            // Hide the entire "Question Alternatives" frame for free-answer questions
             if (hostMultipleChoice) {
                 hostMultipleChoice.classList.add('numeric-question-type');
             }
@@ -199,11 +205,11 @@ export class QuestionRenderer {
         };
         QuestionTypeRegistry.renderPlayerOptions(data.type, data, optionsContainer, helpers);
 
-        // Special handling for ordering after rendering
-        if (data.type === 'ordering') {
+        // Special handling for ordering and matching after rendering
+        if (DRAG_ANSWER_ELEMENTS[data.type]) {
             // Initialize drag-and-drop after a short delay to ensure DOM is ready
             setTimeout(() => {
-                this.initializePlayerOrderingDragDrop();
+                this.initializePlayerOrderingDragDrop(data.type);
             }, 100);
         }
 
@@ -213,16 +219,21 @@ export class QuestionRenderer {
 
 
     /**
-     * Initialize drag-and-drop for player ordering
+     * Initialize drag-and-drop for player ordering. Matching reuses it for
+     * its right column, which is reordered until each item sits next to
+     * its partner.
+     * @param {string} type - 'ordering' or 'matching'
      */
-    initializePlayerOrderingDragDrop() {
+    initializePlayerOrderingDragDrop(type = 'ordering') {
+        const { containerId, submitButtonId, submit } = DRAG_ANSWER_ELEMENTS[type];
+
         // Dynamically import and initialize the ordering drag-drop component
         import('../../utils/ordering-drag-drop.js').then(module => {
             const OrderingDragDrop = module.OrderingDragDrop;
-            const container = document.getElementById('player-ordering-container');
+            const container = document.getElementById(containerId);
 
             if (!container) {
-                logger.warn('Player ordering container not found');
+                logger.warn(`Player ${type} container not found`);
                 return;
             }
 
@@ -235,14 +246,14 @@ export class QuestionRenderer {
             });
 
             // Wire up the submit button (created dynamically by renderPlayerOptions)
-            const submitBtn = document.getElementById('submit-ordering');
+            const submitBtn = document.getElementById(submitButtonId);
             if (submitBtn) {
                 submitBtn.addEventListener('click', () => {
-                    this.gameManager.submitOrderingAnswer();
+                    this.gameManager[submit]();
                 });
             }
 
-            logger.debug('Player ordering drag-drop initialized');
+            logger.debug(`Player ${type} drag-drop initialized`);
         }).catch(err => {
             logger.error('Failed to load ordering drag-drop module:', err);
         });
@@ -289,6 +300,12 @@ export class QuestionRenderer {
             numericInput.value = '';
         }
 
+        // Clear text answer input
+        const textInput = document.getElementById('text-answer-input');
+        if (textInput) {
+            textInput.value = '';
+        }
+
         // Clear true/false selections
         document.querySelectorAll('.tf-option.selected').forEach(option => {
             option.classList.remove('selected');
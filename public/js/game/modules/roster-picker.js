@@ -0,0 +1,137 @@
+/**
+ * Roster Picker Module
+ * Join-screen controls for games whose host keeps a student roster: a list to
+ * pick your own name from, and a field for the student code printed on the
+ * roster. Either one links the player to their student profile.
+ *
+ * The roster is fetched with 'get-game-roster' once a full PIN is entered;
+ * the controls stay hidden for games without one. The server does the actual
+ * matching (PlayerManagementService.handlePlayerJoin).
+ */
+
+import { LIMITS, logger } from '../../core/config.js';
+import { dom, escapeHtml, show, hide } from '../../utils/dom.js';
+import { getTranslation } from '../../utils/translation-manager.js';
+
+const PIN_REGEX = /^\d{6}$/;
+const JOIN_CODE_REGEX = /^[A-Za-z0-9]{6}$/;
+
+export class RosterPicker {
+    /**
+     * @param {Object} socket - Socket.IO client socket
+     */
+    constructor(socket) {
+        this.socket = socket;
+
+        /** @type {string|null} PIN the shown roster belongs to */
+        this.pin = null;
+        /** @type {Array<{id: string, name: string}>} */
+        this.students = [];
+        /** @type {string} name filled in from the last pick, replaced on the next one */
+        this.autoFilledName = '';
+    }
+
+    /**
+     * Wire the join-screen inputs. Safe to call before the screen is shown.
+     */
+    bind() {
+        const pinInput = dom.get('game-pin-input');
+        const nameInput = dom.get('player-name');
+        const select = dom.get('roster-pick');
+
+        // PINs also arrive pre-filled (QR link, hero card); the name field
+        // gaining focus catches those
+        pinInput?.addEventListener('input', () => this.requestRoster(pinInput.value.trim()));
+        nameInput?.addEventListener('focus', () => this.requestRoster(pinInput?.value.trim()));
+        select?.addEventListener('change', () => this.handlePick(select.value));
+    }
+
+    /**
+     * Ask the server for the roster of a game, once per PIN
+     * @param {string} pin - Game PIN as typed
+     */
+    requestRoster(pin) {
+        if (!PIN_REGEX.test(pin || '')) {
+            this.clear();
+            return;
+        }
+        if (pin === this.pin) return;
+
+        this.pin = pin;
+        this.socket.emit('get-game-roster', { pin });
+    }
+
+    /**
+     * Show the roster controls for a 'game-roster' response
+     * @param {{pin: string, students: Array<{id: string, name: string}>}} data
+     */
+    render(data) {
+        if (!data || data.pin !== this.pin) return; // PIN changed since the request
+
+        this.students = Array.isArray(data.students) ? data.students : [];
+        const container = dom.get('roster-join');
+        const select = dom.get('roster-pick');
+        if (!container || !select) return;
+
+        if (this.students.length === 0) {
+            hide(container);
+            return;
+        }
+
+        const noneLabel = getTranslation('roster_pick_none') || 'I am not on the list';
+        select.innerHTML = `<option value="">${escapeHtml(noneLabel)}</option>` +
+            this.students
+                .map(student => `<option value="${escapeHtml(student.id)}">${escapeHtml(student.name)}</option>`)
+                .join('');
+        show(container, 'visible-block');
+        logger.debug(`[RosterPicker] Game ${data.pin} has a roster of ${this.students.length}`);
+    }
+
+    /**
+     * Fill the name field from a roster pick, unless the player typed their own
+     * @param {string} studentId - Picked student ID, or '' for "not on the list"
+     */
+    handlePick(studentId) {
+        const nameInput = dom.get('player-name');
+        const student = this.students.find(s => s.id === studentId);
+        if (!nameInput) return;
+
+        const current = nameInput.value.trim();
+        if (current && current !== this.autoFilledName) return;
+
+        // Roster names may be longer than a player name; the server checks the same limit
+        const name = student ? student.name.slice(0, LIMITS.MAX_PLAYER_NAME_LENGTH).trim() : '';
+        nameInput.value = name;
+        this.autoFilledName = name;
+    }
+
+    /**
+     * Student claim to send with 'player-join'. A typed code wins over a pick.
+     * @returns {{studentId?: string, joinCode?: string}}
+     */
+    getClaim() {
+        const code = dom.get('student-code-input')?.value.trim();
+        if (code && JOIN_CODE_REGEX.test(code)) {
+            return { joinCode: code.toUpperCase() };
+        }
+
+        const studentId = dom.get('roster-pick')?.value;
+        if (studentId && this.students.some(s => s.id === studentId)) {
+            return { studentId };
+        }
+        return {};
+    }
+
+    /**
+     * Hide the controls and forget the roster
+     */
+    clear() {
+        this.pin = null;
+        this.students = [];
+        this.autoFilledName = '';
+        const container = dom.get('roster-join');
+        if (container) hide(container);
+        const codeInput = dom.get('student-code-input');
+        if (codeInput) codeInput.value = '';
+    }
+}
@@ -1,7 +1,8 @@
 /**
  * Statistics Manager Module
  * Handles host-side answer statistics: live response counts, per-option/true-false
- * distributions, numeric and ordering breakdowns, and the editorial stat-bar overlay.
+ * distributions, numeric and ordering breakdowns, per-pair matching results,
+ * text-answer word clouds, and the editorial stat-bar overlay.
  * Extracted from game-manager.js for better separation of concerns.
  */
 
@@ -98,6 +99,13 @@ export class StatisticsManager {
             this.showNumericStatistics(data.answerCounts);
         } else if (questionType === 'ordering') {
             this.showOrderingStatistics(data.answerCounts);
+        } else if (questionType === 'text-input') {
+            this.showHostStatistics('text-input', { answerCounts: data.answerCounts });
+        } else if (questionType === 'matching') {
+            this.showHostStatistics('matching', {
+                answerCounts: data.answerCounts,
+                answeredPlayers: data.answeredPlayers || 0
+            });
         }
 
         // Render score breakdown for host (if enabled)
@@ -140,6 +148,14 @@ export class StatisticsManager {
             parts.push(`${getTranslation('time_bonus') || 'Time bonus'}: ${getTranslation('disabled') || 'OFF'}`);
         }
 
+        // Streak and comeback bonuses are opt-in, so only mention them when on
+        if (scoringInfo.streakBonusEnabled) {
+            parts.push(`${getTranslation('streak_bonus')}: ${getTranslation('enabled') || 'ON'}`);
+        }
+        if (scoringInfo.comebackBonusEnabled) {
+            parts.push(`${getTranslation('comeback_bonus')}: ${getTranslation('enabled') || 'ON'}`);
+        }
+
         contentSpan.textContent = parts.join(' | ');
         show(container, 'visible-flex');
     }
@@ -237,7 +253,7 @@ export class StatisticsManager {
     }
 
     /**
-     * Clear custom statistics displays (numeric and ordering) when switching question types
+     * Clear custom statistics displays (numeric, ordering, matching and word cloud) when switching question types
      */
     clearNumericStatisticsDisplay() {
         const numericStatsDiv = dom.get('numeric-stats-display');
@@ -248,14 +264,23 @@ export class StatisticsManager {
         if (orderingStatsDiv) {
             orderingStatsDiv.remove();
         }
+        const wordCloudDiv = dom.get('word-cloud-display');
+        if (wordCloudDiv) {
+            wordCloudDiv.remove();
+        }
+        const matchingStatsDiv = dom.get('matching-stats-display');
+        if (matchingStatsDiv) {
+            matchingStatsDiv.remove();
+        }
     }
 
     /**
      * Show statistics for host display - consolidated method
-     * @param {string} type - Question type: 'multiple-choice', 'true-false', or 'numeric'
+     * @param {string} type - Question type: 'multiple-choice', 'true-false', 'numeric', 'ordering', 'text-input' or 'matching'
      * @param {Object} options - Configuration object
      * @param {number} [options.optionCount] - Number of options for multiple choice
-     * @param {Object} [options.answerCounts] - Answer counts for numeric questions
+     * @param {Object} [options.answerCounts] - Answer counts for numeric, ordering, text-input and matching questions
+     * @param {number} [options.answeredPlayers] - Players who answered (matching percentages)
      */
     showHostStatistics(type, options = {}) {
         const statsContent = dom.get('stats-grid');
@@ -277,6 +302,12 @@ export class StatisticsManager {
             case 'ordering':
                 this.setupOrderingStats(options.answerCounts);
                 break;
+            case 'text-input':
+                this.setupWordCloudStats(options.answerCounts);
+                break;
+            case 'matching':
+                this.setupMatchingStats(options.answerCounts, options.answeredPlayers);
+                break;
             default:
                 logger.warn('Unknown statistics type:', type);
         }
@@ -417,6 +448,112 @@ export class StatisticsManager {
         });
     }
 
+    /**
+     * Setup word cloud statistics display for text answers. The server groups
+     * spellings that match after normalization; word size follows frequency.
+     */
+    setupWordCloudStats(answerCounts) {
+        // Hide all regular stat items
+        for (let i = 0; i < UI.MAX_STAT_ITEMS; i++) {
+            const statItem = dom.get(`stat-item-${i}`);
+            if (statItem) {
+                statItem.classList.add('hidden');
+                statItem.classList.remove('visible-flex');
+            }
+        }
+
+        const statsGrid = dom.get('stats-grid');
+        if (!statsGrid) return;
+
+        let cloud = dom.get('word-cloud-display');
+        if (!cloud) {
+            cloud = document.createElement('div');
+            cloud.id = 'word-cloud-display';
+            cloud.className = 'word-cloud-display';
+            statsGrid.appendChild(cloud);
+        }
+
+        cloud.innerHTML = '';
+
+        const words = Object.keys(answerCounts || {});
+        if (words.length === 0) {
+            cloud.innerHTML = `<div class="no-answers">${escapeHtml(getTranslation('no_answers_yet'))}</div>`;
+            return;
+        }
+
+        const sortedWords = words.sort((a, b) => answerCounts[b] - answerCounts[a]);
+        const maxCount = answerCounts[sortedWords[0]] || 1;
+
+        sortedWords.slice(0, UI.MAX_WORD_CLOUD_WORDS).forEach(word => {
+            const count = answerCounts[word] || 0;
+            const item = document.createElement('span');
+            item.className = 'word-cloud-item';
+            // Five size steps, from least to most frequent
+            item.dataset.size = String(Math.max(1, Math.ceil((count / maxCount) * 5)));
+            item.title = String(count);
+            item.textContent = word;
+            cloud.appendChild(item);
+        });
+    }
+
+    /**
+     * Setup per-pair statistics for matching questions: how many of the
+     * players who answered matched each left item correctly. Rows are
+     * labelled with the left item only, so the projected screen does not
+     * give the pairs away.
+     * @param {Object} answerCounts - Correct-match count keyed by pair index
+     * @param {number} answeredPlayers - Players who answered
+     */
+    setupMatchingStats(answerCounts, answeredPlayers = 0) {
+        // Hide all regular stat items
+        for (let i = 0; i < UI.MAX_STAT_ITEMS; i++) {
+            const statItem = dom.get(`stat-item-${i}`);
+            if (statItem) {
+                statItem.classList.add('hidden');
+                statItem.classList.remove('visible-flex');
+            }
+        }
+
+        const statsGrid = dom.get('stats-grid');
+        if (!statsGrid) return;
+
+        let matchingDisplay = dom.get('matching-stats-display');
+        if (!matchingDisplay) {
+            matchingDisplay = document.createElement('div');
+            matchingDisplay.id = 'matching-stats-display';
+            matchingDisplay.className = 'numeric-stats-display';
+            statsGrid.appendChild(matchingDisplay);
+        }
+
+        matchingDisplay.innerHTML = '';
+
+        if (answeredPlayers === 0) {
+            matchingDisplay.innerHTML = `<div class="no-answers">${escapeHtml(getTranslation('no_answers_yet'))}</div>`;
+            return;
+        }
+
+        const leftItems = this.stateManager.getGameState().currentQuestion?.options || [];
+        const header = document.createElement('h4');
+        header.textContent = getTranslation('matching_pair_stats');
+        matchingDisplay.appendChild(header);
+
+        Object.keys(answerCounts || {}).forEach(pairIndex => {
+            const count = answerCounts[pairIndex] || 0;
+            const percentage = Math.round((count / answeredPlayers) * 100);
+
+            const pairItem = document.createElement('div');
+            pairItem.className = 'numeric-stat-item';
+            pairItem.innerHTML = `
+                <div class="numeric-stat-label">${escapeHtml(leftItems[pairIndex] ?? translationManager.getOptionLetter(Number(pairIndex)))}</div>
+                <div class="numeric-stat-bar">
+                    <div class="numeric-stat-fill" style="width: ${percentage}%"></div>
+                </div>
+                <div class="numeric-stat-count">${count}/${answeredPlayers}</div>
+            `;
+            matchingDisplay.appendChild(pairItem);
+        });
+    }
+
     /**
      * Reset stat item values to defaults
      */
@@ -0,0 +1,118 @@
+/**
+ * Team Manager Module
+ * Team mode on the client: team badges on lobby roster chips and the host's
+ * lobby control for moving players between teams.
+ *
+ * The server owns membership (Game.assignTeam / autoAssignTeam); this module
+ * only renders what arrives on 'player-list-update' and sends 'assign-team'.
+ */
+
+import { logger } from '../../core/config.js';
+import { getTranslation } from '../../utils/translation-manager.js';
+
+/**
+ * Display label for a team. Teams are labelled client-side from their ID so
+ * the name follows the viewer's language.
+ * @param {number|null} teamId - Team ID
+ * @returns {string} Translated "Team N", or the unassigned label
+ */
+export function getTeamLabel(teamId) {
+    if (!teamId) {
+        return getTranslation('team_unassigned') || 'No team';
+    }
+    return getTranslation('team_label', [teamId]) || `Team ${teamId}`;
+}
+
+export class TeamManager {
+    /**
+     * @param {Object} stateManager - GameStateManager (host flag, PIN)
+     * @param {Object|null} socketManager - SocketManager used to send team moves
+     */
+    constructor(stateManager, socketManager = null) {
+        this.stateManager = stateManager;
+        this.socketManager = socketManager;
+
+        /** @type {Array<{id: number, name: string}>} teams of the current game, empty when team mode is off */
+        this.teams = [];
+    }
+
+    /**
+     * Whether the current game is played in teams
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.teams.length > 0;
+    }
+
+    /**
+     * Record the teams of the current game
+     * @param {Array|undefined} teams - Teams from 'game-created' / 'player-list-update'
+     */
+    setTeams(teams) {
+        if (Array.isArray(teams)) {
+            this.teams = teams;
+        }
+    }
+
+    /**
+     * Append a team badge to a lobby roster chip. For the host the badge is a
+     * button that moves the player to the next team.
+     * @param {HTMLElement} chip - The `.player-item` element
+     * @param {Object} player - Player entry with id, name and teamId
+     */
+    decorateChip(chip, player) {
+        if (!this.isEnabled() || !player) return;
+
+        const isHost = this.stateManager?.getGameState().isHost === true;
+        const badge = document.createElement(isHost ? 'button' : 'span');
+        badge.className = 'player-team-badge';
+        badge.textContent = getTeamLabel(player.teamId);
+        if (player.teamId) {
+            badge.dataset.team = String(player.teamId);
+        }
+
+        if (isHost && player.id) {
+            badge.type = 'button';
+            const label = getTranslation('change_team_named', [player.name]) || `Change team for ${player.name}`;
+            badge.setAttribute('aria-label', label);
+            badge.title = label;
+            badge.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.assignTeam(player.id, this.getNextTeamId(player.teamId));
+            });
+        }
+
+        chip.appendChild(badge);
+    }
+
+    /**
+     * Team after the given one, wrapping around
+     * @param {number|null} teamId - Current team ID
+     * @returns {number} Next team ID
+     */
+    getNextTeamId(teamId) {
+        const index = this.teams.findIndex(team => team.id === teamId);
+        return this.teams[(index + 1) % this.teams.length].id;
+    }
+
+    /**
+     * Ask the server to move a player. The chip refreshes from the resulting
+     * 'player-list-update', so nothing changes locally.
+     * @param {string} playerId - Socket ID of the player
+     * @param {number} teamId - Target team ID
+     */
+    assignTeam(playerId, teamId) {
+        if (!this.socketManager) {
+            logger.warn('[TeamManager] No socket manager, cannot change team');
+            return;
+        }
+        this.socketManager.assignTeam(playerId, teamId);
+    }
+
+    /**
+     * Forget the teams (game ended / reset)
+     */
+    reset() {
+        this.teams = [];
+    }
+}
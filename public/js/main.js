@@ -213,6 +213,13 @@ document.addEventListener('DOMContentLoaded', async () => {
             }, 100); // Small delay to ensure DOM is ready
         }
 
+        // Homework assignment links (?assignment=<code>) open the assignment intro
+        const assignmentFromURL = urlParams.get('assignment');
+        if (assignmentFromURL && window.game?.openAssignment) {
+            logger.debug('Assignment found in URL:', assignmentFromURL);
+            window.game.openAssignment(assignmentFromURL);
+        }
+
         // Initialize content density manager for smart spacing
         contentDensityManager.initialize();
         logger.debug('Content density manager initialized');
@@ -13,6 +13,19 @@ import {
     DEFAULT_TIME_BONUS_ENABLED,
     DEFAULT_TIME_BONUS_THRESHOLD
 } from '../utils/scoring-config.js';
+import {
+    getPowerUp,
+    resolvePowerUpSettings,
+    createPowerUpState,
+    isPowerUpApplicable
+} from '../utils/power-up-registry.js';
+import {
+    difficultyOf,
+    pickNextQuestion,
+    adaptiveQuestionCount,
+    answerAccuracy
+} from '../utils/adaptive-difficulty.js';
+import { hasBranching, resolveNextIndex } from '../utils/question-branching.js';
 
 /**
  * @typedef {Object} PracticeHistoryEntry
@@ -32,12 +45,18 @@ export class LocalGameSession {
      * @param {Object} quiz - Quiz data with title and questions
      * @param {import('../events/local-event-bus.js').LocalEventBus} eventBus - Event bus for communication
      * @param {Object} options - Configuration options
+     * @param {boolean} [options.recordHistory=true] - Track a personal best (off for review sessions, whose questions change)
+     * @param {boolean} [options.powerUpsEnabled=false] - Offer power-ups
+     * @param {Object} [options.powerUpSettings] - The quiz's per-power-up settings
+     * @param {boolean} [options.adaptiveMode=false] - Pick each question by the player's previous answer
+     * @param {number} [options.adaptiveQuestionCount=0] - Questions asked in adaptive mode (0 asks the whole quiz)
      */
     constructor(quiz, eventBus, options = {}) {
         this.quiz = quiz;
         this.eventBus = eventBus;
         this.options = {
             playerName: 'Player',
+            recordHistory: true,
             ...options
         };
 
@@ -49,6 +68,10 @@ export class LocalGameSession {
         this.gameStartTime = null;
         this.gameEndTime = null;
         this.questionTimer = null;
+        this.matchingMapping = null; // right-column shuffle of the current matching question
+        this.streak = 0; // consecutive correct answers (mirrors the server's player.streak)
+        this.misses = 0; // consecutive wrong answers, for the comeback bonus
+        this.retrying = false; // answering again after a second chance
 
         /** @type {GamePhase} */
         this.phase = 'lobby';
@@ -64,9 +87,25 @@ export class LocalGameSession {
         this.timeBonusEnabled = scoringConfig?.timeBonusEnabled ?? DEFAULT_TIME_BONUS_ENABLED;
         this.timeBonusThreshold = scoringConfig?.timeBonusThreshold ?? DEFAULT_TIME_BONUS_THRESHOLD;
 
-        // Power-ups state
+        // Power-ups: catalogue resolved from the quiz settings, as on the server
         this.powerUpsEnabled = options.powerUpsEnabled || false;
-        this.powerUps = this.createInitialPowerUpState();
+        this.powerUpConfig = this.powerUpsEnabled ? resolvePowerUpSettings(options.powerUpSettings) : {};
+        this.powerUps = createPowerUpState(this.powerUpConfig);
+
+        // Adaptive difficulty: as on the server (Game), quiz.questions holds
+        // the questions asked, each picked from the pool when it comes up
+        this.adaptiveMode = options.adaptiveMode === true;
+        this.questionPool = null;
+        this.adaptiveSourceIndices = [];
+        if (this.adaptiveMode) {
+            const count = adaptiveQuestionCount(quiz.questions.length, options.adaptiveQuestionCount);
+            this.questionPool = quiz.questions;
+            this.quiz = { ...quiz, questions: quiz.questions.slice(0, count) };
+        }
+
+        // Branching: a question's `next` rule picks the question after it by
+        // the player's answer, as Game.resolveBranch does by the room's
+        this.branching = !this.adaptiveMode && hasBranching(this.quiz.questions);
 
         // Load practice history from localStorage
         this.history = this.loadHistory();
@@ -94,12 +133,16 @@ export class LocalGameSession {
         this.currentQuestionIndex = -1;
         this.playerScore = 0;
         this.playerAnswers = [];
+        this.streak = 0;
+        this.misses = 0;
 
         // Emit game started event
         this.eventBus.emit('game-started', {
             title: this.quiz.title,
             totalQuestions: this.quiz.questions.length,
-            isPracticeMode: true
+            isPracticeMode: true,
+            powerUpsEnabled: this.powerUpsEnabled,
+            powerUps: this.powerUpConfig
         });
 
         // Start first question
@@ -110,7 +153,7 @@ export class LocalGameSession {
      * Advance to the next question
      */
     nextQuestion() {
-        this.currentQuestionIndex++;
+        this.currentQuestionIndex = this.branching ? this.resolveBranch() : this.currentQuestionIndex + 1;
 
         if (this.currentQuestionIndex >= this.quiz.questions.length) {
             // Game over
@@ -118,15 +161,17 @@ export class LocalGameSession {
             return;
         }
 
+        if (this.adaptiveMode) {
+            this.pickAdaptiveQuestion(this.currentQuestionIndex);
+        }
+
         const question = this.getCurrentQuestion();
         this.phase = 'question';
         this.questionStartTime = performance.now();
+        this.retrying = false;
 
         // Clear any existing timer
-        if (this.questionTimer) {
-            clearTimeout(this.questionTimer);
-            this.questionTimer = null;
-        }
+        this.clearQuestionTimer();
 
         // Emit question start event (matching server format - questionNumber is 1-indexed)
         // Support both 'time' and 'timeLimit' field names for compatibility
@@ -138,7 +183,8 @@ export class LocalGameSession {
             options: question.options || [],     // Options array
             type: question.type || 'multiple-choice',
             image: question.image || '',
-            timeLimit: questionTime
+            timeLimit: questionTime,
+            ...(question.type === 'matching' && this.createMatchingColumns(question))
         });
 
         // Set up question timer (track end time so power-ups can re-arm it)
@@ -149,6 +195,71 @@ export class LocalGameSession {
         }, timeLimit);
     }
 
+    /**
+     * Where the current question's branching rule leads, judged by the
+     * player's answer to it
+     * @returns {number} Index of the next question (questions.length or more ends the session)
+     */
+    resolveBranch() {
+        const index = this.currentQuestionIndex;
+        if (index < 0) return 0;
+
+        const question = this.quiz.questions[index];
+        const answer = this.playerAnswers.find(entry => entry.questionIndex === index);
+        const isChoice = (question.type || 'multiple-choice') === 'multiple-choice';
+        return resolveNextIndex(this.quiz.questions, index, {
+            accuracy: answerAccuracy(answer, question),
+            topOption: isChoice && Number.isInteger(answer?.answer) ? answer.answer : null
+        });
+    }
+
+    /**
+     * Pick the pool question asked at a position by the player's answer to
+     * the question before it. Mirrors Game.pickAdaptiveQuestion on the server.
+     * @param {number} index - Position in the session (0-based)
+     */
+    pickAdaptiveQuestion(index) {
+        const asked = this.adaptiveSourceIndices.slice(0, index);
+        const previous = this.playerAnswers.find(answer => answer.questionIndex === index - 1);
+        const accuracy = index > 0 ? answerAccuracy(previous, this.quiz.questions[index - 1]) : null;
+        const sourceIndex = pickNextQuestion(this.questionPool, asked, accuracy);
+        if (sourceIndex === -1) return;
+
+        this.adaptiveSourceIndices = [...asked, sourceIndex];
+        const picked = new Set(this.adaptiveSourceIndices);
+        const unasked = this.questionPool.filter((_, poolIndex) => !picked.has(poolIndex));
+        this.quiz.questions = [
+            ...this.quiz.questions.slice(0, index),
+            this.questionPool[sourceIndex],
+            ...unasked.slice(0, this.quiz.questions.length - index - 1)
+        ];
+
+        logger.debug(`[LocalGameSession] Adaptive pick for question ${index + 1}: ` +
+            `pool question ${sourceIndex + 1} (${difficultyOf(this.questionPool[sourceIndex])})`);
+    }
+
+    /**
+     * Left and shuffled right columns for a matching question. Mirrors
+     * Game.getMatchingColumns on the server; the mapping
+     * (mapping[shuffledIndex] = originalIndex) translates the answer back.
+     * @param {Object} question - Matching question
+     * @returns {{options: string[], matches: string[]}} Left and right items
+     */
+    createMatchingColumns(question) {
+        const pairs = question.pairs || [];
+        const mapping = pairs.map((_, index) => index);
+        for (let i = mapping.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [mapping[i], mapping[j]] = [mapping[j], mapping[i]];
+        }
+        this.matchingMapping = mapping;
+
+        return {
+            options: pairs.map(pair => pair.left),
+            matches: mapping.map(originalIndex => pairs[originalIndex].right)
+        };
+    }
+
     /**
      * Sanitize question data for player (hide correct answer)
      * @param {Object} question - Full question data
@@ -171,6 +282,16 @@ export class LocalGameSession {
         return sanitized;
     }
 
+    /**
+     * Stop the current question's timeout
+     */
+    clearQuestionTimer() {
+        if (this.questionTimer) {
+            clearTimeout(this.questionTimer);
+            this.questionTimer = null;
+        }
+    }
+
     /**
      * Handle question timeout
      */
@@ -202,17 +323,18 @@ export class LocalGameSession {
             return;
         }
 
-        // Clear the timer
-        if (this.questionTimer) {
-            clearTimeout(this.questionTimer);
-            this.questionTimer = null;
-        }
-
         const responseTime = performance.now() - this.questionStartTime;
         const question = this.getCurrentQuestion();
 
-        // Poll: no correct answer, no points, no verdict (mirrors ScoringService)
+        // Matching answers index the shuffled right column; score them in stored order
+        if (question.type === 'matching' && Array.isArray(answer) && this.matchingMapping) {
+            answer = answer.map(index => this.matchingMapping[index]);
+        }
+
+        // Poll: no correct answer, no points, no verdict (mirrors ScoringService).
+        // Armed power-ups stay banked for a scored question.
         if (question.isPoll === true) {
+            this.clearQuestionTimer();
             this.playerAnswers.push({
                 questionIndex: this.currentQuestionIndex,
                 answer,
@@ -228,10 +350,40 @@ export class LocalGameSession {
         // Score the answer
         const correctAnswer = this.getCorrectAnswer(question);
         const isCorrect = this.scoreAnswer(question.type, answer, correctAnswer, question);
+        const fullyCorrect = isCorrect === true || isCorrect === 1;
+        const armed = this.getArmedPowerUps();
+
+        // Second chance: a wrong first attempt is not recorded, the player
+        // answers again. Other armed power-ups wait for that answer.
+        if (armed.includes('second-chance') && !this.retrying && !fullyCorrect) {
+            this.powerUps['second-chance'].active = false;
+            this.retrying = true;
+            this.eventBus.emit('answer-retry', {
+                pointsPercent: this.powerUpConfig['second-chance'].pointsPercent
+            });
+            return;
+        }
+
+        this.clearQuestionTimer();
+        armed.forEach(id => { this.powerUps[id].active = false; });
 
         // Calculate points (returns object with points and breakdown)
-        const result = this.calculatePoints(isCorrect, question, responseTime);
-        const points = result.points;
+        const multiplier = armed.includes('double-points') ? this.powerUpConfig['double-points'].multiplier : 1;
+        const result = this.calculatePoints(isCorrect, question, responseTime, multiplier);
+        let points = result.points;
+        const breakdown = { ...result.breakdown };
+        if (this.retrying) {
+            breakdown.secondChancePercent = this.powerUpConfig['second-chance'].pointsPercent;
+            points = Math.floor(points * breakdown.secondChancePercent / 100);
+            this.retrying = false;
+        }
+
+        // A shield keeps the streak through a wrong answer
+        const shielded = !fullyCorrect && armed.includes('shield');
+        if (!shielded) {
+            this.streak = fullyCorrect ? this.streak + 1 : 0;
+            this.misses = fullyCorrect ? 0 : this.misses + 1;
+        }
 
         // Update score
         this.playerScore += points;
@@ -243,11 +395,12 @@ export class LocalGameSession {
             isCorrect,
             points: points,
             responseTime,
-            breakdown: result.breakdown
+            breakdown,
+            ...(shielded && { shielded: true })
         });
 
         // Reveal the answer with breakdown
-        this.revealAnswer(answer, isCorrect, points, result.breakdown);
+        this.revealAnswer(answer, isCorrect, points, breakdown, { shielded });
     }
 
     /**
@@ -256,13 +409,19 @@ export class LocalGameSession {
      * @param {boolean|number} isCorrect - Whether answer was correct (or partial credit)
      * @param {number} points - Points earned
      * @param {Object} breakdown - Score breakdown object
+     * @param {Object} [extra] - Power-up outcome: `{ skipped, shielded }`
      */
-    revealAnswer(playerAnswer, isCorrect, points, breakdown = null) {
+    revealAnswer(playerAnswer, isCorrect, points, breakdown = null, extra = {}) {
         this.phase = 'revealing';
 
         const question = this.getCurrentQuestion();
         const isPoll = question?.isPoll === true;
-        const correctAnswer = isPoll ? null : this.getCorrectAnswer(question);
+        let correctAnswer = isPoll ? null : this.getCorrectAnswer(question);
+
+        // Matching reveals the pairs as text, like the server (buildCorrectAnswerData)
+        if (question?.type === 'matching') {
+            correctAnswer = (question.pairs || []).map(pair => `${pair.left} → ${pair.right}`).join(', ');
+        }
 
         // Emit player result event
         this.eventBus.emit('player-result', {
@@ -274,7 +433,11 @@ export class LocalGameSession {
             correctAnswer,
             playerAnswer,
             questionIndex: this.currentQuestionIndex,
-            breakdown: breakdown
+            breakdown: breakdown,
+            skipped: extra.skipped === true,
+            shielded: extra.shielded === true,
+            streak: this.streak,
+            ...(this.powerUpsEnabled && { powerUps: this.powerUps })
         });
 
         // Emit question end event
@@ -318,6 +481,11 @@ export class LocalGameSession {
                 return question.numericAnswer !== undefined ? question.numericAnswer : question.correctAnswer;
             case 'ordering':
                 return question.correctOrder;
+            case 'text-input':
+                return question.acceptedAnswers || [];
+            case 'matching':
+                // Left item i pairs with right item i in the stored question
+                return (question.pairs || []).map((_, index) => index);
             default:
                 return question.correctAnswer !== undefined ? question.correctAnswer : question.correctIndex;
         }
@@ -339,6 +507,11 @@ export class LocalGameSession {
             options.tolerance = question.tolerance || SCORING.DEFAULT_NUMERIC_TOLERANCE || 0.1;
         }
 
+        // For text-input questions, pass the fuzzy edit-distance threshold
+        if (type === 'text-input') {
+            options.fuzzyThreshold = question.fuzzyThreshold || 0;
+        }
+
         return QuestionTypeRegistry.scoreAnswer(type, playerAnswer, correctAnswer, options);
     }
 
@@ -348,11 +521,10 @@ export class LocalGameSession {
      * @param {boolean|number} isCorrect - Whether correct (or partial credit)
      * @param {Object} question - Question data
      * @param {number} responseTime - Response time in ms
+     * @param {number} [doublePointsMultiplier=1] - Multiplier of an armed double-points power-up
      * @returns {Object} Points object with total and breakdown
      */
-    calculatePoints(isCorrect, question, responseTime) {
-        // Consume the double-points power-up (even on wrong answers, matching prior behavior)
-        const doublePointsMultiplier = this.getAndConsumeDoublePoints();
+    calculatePoints(isCorrect, question, responseTime, doublePointsMultiplier = 1) {
         const questionTimeSec = question.timeLimit || question.time || TIMING.DEFAULT_QUESTION_TIME;
 
         return computePoints({
@@ -363,118 +535,118 @@ export class LocalGameSession {
             config: {
                 timeBonusEnabled: this.timeBonusEnabled,
                 timeBonusThreshold: this.timeBonusThreshold,
-                difficultyMultipliers: this.difficultyMultipliers
+                difficultyMultipliers: this.difficultyMultipliers,
+                streakBonus: this.scoringConfig?.streakBonus,
+                comebackBonus: this.scoringConfig?.comebackBonus
             },
-            doublePointsMultiplier
+            doublePointsMultiplier,
+            streak: this.streak,
+            misses: this.misses
         });
     }
 
     // ==================== POWER-UP METHODS ====================
 
     /**
-     * Create initial power-up state object
-     * @returns {Object} Fresh power-up state
+     * Use a power-up. Mirrors Game.usePowerUp on the server; the result is
+     * emitted as power-up-result either way.
+     * @param {string} type - Power-up ID
+     * @param {Function} [random] - Random source for effects that pick options
+     * @returns {Object} Result with success, the type, uses left and effect fields
      */
-    createInitialPowerUpState() {
-        return {
-            'fifty-fifty': { available: true, used: false },
-            'extend-time': { available: true, used: false },
-            'double-points': { available: true, used: false, active: false }
-        };
+    usePowerUp(type, random = Math.random) {
+        const result = this.applyPowerUp(type, random);
+        this.eventBus.emit('power-up-result', result);
+        if (result.success) {
+            logger.debug(`[LocalGameSession] Power-up used: ${type}`);
+        }
+        return result;
     }
 
     /**
-     * Use a power-up
-     * @param {string} type - Power-up type
-     * @returns {Object} Result with success and any additional data
+     * Check and apply a power-up
+     * @param {string} type - Power-up ID
+     * @param {Function} random - Random source
+     * @returns {Object} Power-up result
      */
-    usePowerUp(type) {
+    applyPowerUp(type, random) {
         if (!this.powerUpsEnabled) {
-            return { success: false, error: 'Power-ups not enabled' };
+            return { success: false, error: 'Power-ups not enabled', messageKey: 'error_powerup_not_enabled' };
         }
 
         const powerUp = this.powerUps[type];
-        if (!powerUp || powerUp.used) {
-            return { success: false, error: powerUp ? 'Power-up already used' : 'Unknown power-up type' };
+        const definition = getPowerUp(type);
+        if (!powerUp || !definition) {
+            return { success: false, error: 'Unknown power-up type', messageKey: 'error_unknown_powerup' };
+        }
+        if (powerUp.remaining <= 0) {
+            return { success: false, error: 'Power-up already used', messageKey: 'error_powerup_already_used' };
         }
 
-        powerUp.used = true;
-        powerUp.available = false;
+        const question = this.getCurrentQuestion();
+        if (this.phase !== 'question' || !question || (this.retrying && type === 'second-chance')) {
+            return { success: false, error: 'Power-ups can only be used while answering', messageKey: 'error_powerup_unavailable' };
+        }
+        if (definition.armed && powerUp.active) {
+            return { success: false, error: 'Power-up already active', messageKey: 'error_powerup_active' };
+        }
+        if (!isPowerUpApplicable(type, question)) {
+            return { success: false, error: 'Power-up cannot be used on this question', messageKey: 'error_powerup_not_applicable' };
+        }
+
+        powerUp.remaining--;
+        if (definition.armed) {
+            powerUp.active = true;
+        }
 
-        const result = { success: true, type };
+        const result = {
+            success: true,
+            type,
+            remaining: powerUp.remaining,
+            ...definition.effect(question, this.powerUpConfig[type], random)
+        };
 
-        if (type === 'fifty-fifty') {
-            const question = this.getCurrentQuestion();
-            if (question?.type === 'multiple-choice') {
-                result.hiddenOptions = this.calculateHiddenOptions(question);
-            }
-        } else if (type === 'extend-time') {
-            const extraMs = 10000;
-            result.extraSeconds = 10;
+        if (type === 'extend-time') {
             // Re-arm the authoritative question timeout with the added time
-            if (this.questionTimer) {
-                clearTimeout(this.questionTimer);
-            }
-            this.questionEndsAt = (this.questionEndsAt || Date.now()) + extraMs;
+            this.clearQuestionTimer();
+            this.questionEndsAt = (this.questionEndsAt || Date.now()) + result.extraSeconds * 1000;
             const remainingMs = Math.max(0, this.questionEndsAt - Date.now());
             this.questionTimer = setTimeout(() => {
                 this.handleQuestionTimeout();
             }, remainingMs);
-        } else if (type === 'double-points') {
-            powerUp.active = true;
+        } else if (type === 'skip') {
+            // Reveal once the power-up result is out, like a submitted answer
+            this.clearQuestionTimer();
+            this.retrying = false;
+            this.playerAnswers.push({
+                questionIndex: this.currentQuestionIndex,
+                answer: null,
+                skipped: true,
+                isCorrect: false,
+                points: 0,
+                responseTime: performance.now() - this.questionStartTime
+            });
+            setTimeout(() => this.revealAnswer(null, false, 0, null, { skipped: true }), 0);
         }
 
-        this.eventBus.emit('power-up-result', result);
-        logger.debug(`[LocalGameSession] Power-up used: ${type}`);
         return result;
     }
 
     /**
-     * Calculate which options to hide for 50-50 power-up
-     * @param {Object} question - Current question
-     * @returns {number[]} Indices to hide
-     */
-    calculateHiddenOptions(question) {
-        const correctAnswer = question.correctAnswer;
-        const optionsCount = question.options?.length || 4;
-        const wrongIndices = [];
-
-        for (let i = 0; i < optionsCount; i++) {
-            if (i !== correctAnswer) wrongIndices.push(i);
-        }
-
-        const numToHide = Math.ceil(wrongIndices.length / 2);
-        const shuffled = wrongIndices.sort(() => Math.random() - 0.5);
-        return shuffled.slice(0, numToHide);
-    }
-
-    /**
-     * Get and consume double points multiplier
-     * @returns {number} Multiplier (1 or 2)
+     * Armed power-ups (double points, shield, second chance) waiting for the next scored answer
+     * @returns {string[]} IDs of the active power-ups
      */
-    getAndConsumeDoublePoints() {
-        const doublePoints = this.powerUps['double-points'];
-        if (doublePoints?.active) {
-            doublePoints.active = false;
-            return 2;
-        }
-        return 1;
-    }
-
-    /**
-     * Consume double points without returning multiplier
-     */
-    consumeDoublePoints() {
-        if (this.powerUps['double-points']) {
-            this.powerUps['double-points'].active = false;
-        }
+    getArmedPowerUps() {
+        return Object.entries(this.powerUps)
+            .filter(([, state]) => state.active)
+            .map(([id]) => id);
     }
 
     /**
      * Reset power-ups for new game
      */
     resetPowerUps() {
-        this.powerUps = this.createInitialPowerUpState();
+        this.powerUps = createPowerUpState(this.powerUpConfig);
     }
 
     // ==================== END POWER-UP METHODS ====================
@@ -490,7 +662,9 @@ export class LocalGameSession {
         const correctCount = this.playerAnswers.filter(a => a.isCorrect === true || (typeof a.isCorrect === 'number' && a.isCorrect >= 0.5)).length;
 
         // Check for personal best
-        const isNewBest = this.updatePersonalBest(this.playerScore, totalTime);
+        const isNewBest = this.options.recordHistory
+            ? this.updatePersonalBest(this.playerScore, totalTime)
+            : false;
 
         // Get current best for comparison
         const quizKey = this.getQuizKey();
@@ -499,7 +673,8 @@ export class LocalGameSession {
         // Emit game end event
         this.eventBus.emit('game-end', {
             finalScore: this.playerScore,
-            totalQuestions: this.quiz.questions.length,
+            // A branching session skips questions: count the ones asked
+            totalQuestions: this.branching ? this.playerAnswers.length : this.quiz.questions.length,
             correctAnswers: correctCount,
             totalTime,
             playerAnswers: this.playerAnswers,
@@ -1,12 +1,16 @@
 /**
  * PracticeModeManager
  * Orchestrates single-player practice mode
- * Entry point for starting practice sessions with saved quizzes
+ * Entry point for starting practice sessions with saved quizzes, and for
+ * review sessions built from the learner's spaced-repetition queue
+ * (review/review-queue.js). Questions missed in practice go into that queue.
  */
 
 import { LocalEventBus } from '../events/local-event-bus.js';
 import { LocalGameSession } from './local-game-session.js';
-import { logger } from '../core/config.js';
+import { reviewQueue, gradeAnswer } from '../review/review-queue.js';
+import { resolveBankDraws } from '../quiz/modules/bank-draws.js';
+import { logger, TIMING } from '../core/config.js';
 import { getTranslation } from '../utils/translation-manager.js';
 import { APIHelper } from '../utils/api-helper.js';
 import { dom, escapeHtml } from '../utils/dom.js';
@@ -35,6 +39,9 @@ export class PracticeModeManager {
         /** @type {string|null} */
         this.currentQuizFilename = null;
 
+        /** @type {Object[]|null} Review items being played, in question order (review sessions only) */
+        this.reviewItems = null;
+
         this.isActive = false;
 
         // Bound handlers for cleanup
@@ -54,19 +61,62 @@ export class PracticeModeManager {
 
         logger.debug('[PracticeModeManager] Starting practice mode for:', quizFilename);
 
-        try {
-            // Load the quiz
-            const quiz = await this.loadQuiz(quizFilename);
-            if (!quiz) {
-                return false;
-            }
+        // Load the quiz
+        const quiz = await this.loadQuiz(quizFilename);
+        if (!quiz) {
+            return false;
+        }
+
+        return this.startSession(quiz, { quizFilename });
+    }
+
+    /**
+     * Start a review session with the learner's due review items
+     * @returns {Promise<boolean>} False when already active or nothing is due
+     */
+    async startReviewSession() {
+        if (this.isActive) {
+            logger.warn('[PracticeModeManager] Already in practice mode');
+            return false;
+        }
+
+        await reviewQueue.ready();
+        const items = reviewQueue.buildSession();
+        if (items.length === 0) {
+            logger.debug('[PracticeModeManager] No review items due');
+            return false;
+        }
 
+        logger.debug(`[PracticeModeManager] Starting review session with ${items.length} item(s)`);
+        this.reviewItems = items;
+        const quiz = {
+            title: getTranslation('review_session_title') || 'Review',
+            questions: items.map(item => item.question)
+        };
+        const started = this.startSession(quiz, { quizFilename: null, recordHistory: false });
+        if (!started) {
+            this.reviewItems = null;
+        }
+        return started;
+    }
+
+    /**
+     * Run a loaded quiz through a LocalGameSession
+     * @param {Object} quiz - Quiz data
+     * @param {Object} options
+     * @param {string|null} options.quizFilename - Saved quiz filename (null for a review session)
+     * @param {boolean} [options.recordHistory=true] - Whether to track a personal best
+     * @returns {boolean} Success status
+     */
+    startSession(quiz, { quizFilename, recordHistory = true }) {
+        try {
             this.currentQuiz = quiz;
             this.currentQuizFilename = quizFilename;
             this.isActive = true;
 
             // Check if power-ups are enabled (from quiz settings or UI checkbox)
-            const powerUpsEnabled = quiz.powerUpsEnabled ||
+            const powerUpsEnabled = quiz.settings?.powerUpsEnabled ||
+                quiz.powerUpsEnabled ||
                 dom.get('enable-power-ups')?.checked ||
                 false;
 
@@ -79,7 +129,11 @@ export class PracticeModeManager {
                 playerName: getTranslation('player') || 'Player',
                 quizFilename: quizFilename,
                 powerUpsEnabled: powerUpsEnabled,
-                scoringConfig: scoringConfig
+                powerUpSettings: quiz.settings?.powerUpSettings,
+                adaptiveMode: quiz.settings?.adaptiveMode === true,
+                adaptiveQuestionCount: quiz.settings?.adaptiveQuestionCount,
+                scoringConfig: scoringConfig,
+                recordHistory: recordHistory
             });
 
             // Wire up GameManager with event bus
@@ -113,6 +167,9 @@ export class PracticeModeManager {
     async loadQuiz(filename) {
         try {
             const quiz = await APIHelper.fetchAPIJSON(`api/quiz/${encodeURIComponent(filename)}`);
+            // Question bank draws are picked afresh for every session
+            const { questions } = await resolveBankDraws(quiz.questions, quiz.settings?.bankDraws);
+            quiz.questions = questions;
             logger.debug('[PracticeModeManager] Quiz loaded:', quiz.title);
             return quiz;
         } catch (error) {
@@ -134,7 +191,7 @@ export class PracticeModeManager {
 
             // Initialize power-ups if enabled
             if (this.gameSession?.powerUpsEnabled) {
-                this.gameManager.initializePowerUps(true);
+                this.gameManager.initializePowerUps(true, this.gameSession.powerUpConfig);
             }
         };
         this.eventBus.on('game-started', this._boundHandlers.gameStarted);
@@ -221,23 +278,17 @@ export class PracticeModeManager {
         // Power-up result (from game session)
         this._boundHandlers.powerUpResult = (data) => {
             logger.debug('[PracticeModeManager] Power-up result:', data);
-            if (data.success) {
-                const powerUpManager = this.gameManager.getPowerUpManager();
-                if (data.type === 'fifty-fifty' && data.hiddenOptions) {
-                    // Apply 50-50 effect
-                    const question = this.gameSession.getCurrentQuestion();
-                    if (question) {
-                        powerUpManager?.applyFiftyFiftyToOptions(question.correctAnswer);
-                    }
-                } else if (data.type === 'extend-time' && data.extraSeconds) {
-                    // Extend time
-                    this.gameManager.timerManager?.extendTime(data.extraSeconds);
-                }
-                // double-points is applied automatically in scoring
-            }
+            this.gameManager.applyPowerUpResult(data);
         };
         this.eventBus.on('power-up-result', this._boundHandlers.powerUpResult);
 
+        // Second chance turned a wrong answer away (from game session)
+        this._boundHandlers.answerRetry = (data) => {
+            logger.debug('[PracticeModeManager] Answer retry:', data);
+            this.gameManager.allowAnswerRetry(data.pointsPercent);
+        };
+        this.eventBus.on('answer-retry', this._boundHandlers.answerRetry);
+
         logger.debug('[PracticeModeManager] Event handlers registered');
     }
 
@@ -265,6 +316,38 @@ export class PracticeModeManager {
 
         // Show practice-specific results
         this.showPracticeResults(data);
+
+        this.updateReviewQueue(data).catch(error => {
+            logger.warn('[PracticeModeManager] Failed to update review queue:', error);
+        });
+    }
+
+    /**
+     * Feed the session into the review queue: a review session reschedules its
+     * items, a practice session adds the questions that were missed
+     * @param {Object} data - Game end data
+     * @returns {Promise<void>}
+     */
+    async updateReviewQueue(data) {
+        const answers = new Map((data.playerAnswers || []).map(answer => [answer.questionIndex, answer]));
+
+        if (this.reviewItems) {
+            const reviews = this.reviewItems.map((item, index) => ({
+                id: item.id,
+                grade: gradeAnswer(answers.get(index), item.question.timeLimit || TIMING.DEFAULT_QUESTION_TIME)
+            }));
+            await reviewQueue.recordReviews(reviews);
+            return;
+        }
+
+        // The session's own quiz: in adaptive mode it holds only the questions asked
+        const quiz = this.gameSession?.quiz || this.currentQuiz;
+        if (!quiz) return;
+        const missed = quiz.questions.filter((question, index) => {
+            const isCorrect = answers.get(index)?.isCorrect;
+            return question.isPoll !== true && isCorrect !== true && isCorrect !== 1;
+        });
+        await reviewQueue.addMissed(missed, quiz.title);
     }
 
     /**
@@ -287,6 +370,13 @@ export class PracticeModeManager {
         const seconds = totalSeconds % 60;
         const timeFormatted = minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
 
+        // A review session continues only while other items are due
+        const canContinue = !this.reviewItems ||
+            reviewQueue.getDueCount(this.reviewItems.map(item => item.id)) > 0;
+        const continueLabel = this.reviewItems
+            ? (getTranslation('review_more') || 'Review more')
+            : (getTranslation('try_again') || 'Try Again');
+
         // Build results HTML
         resultsContainer.innerHTML = `
             <div class="practice-results-content">
@@ -312,7 +402,11 @@ export class PracticeModeManager {
                     </div>
                 </div>
 
-                ${data.isNewPersonalBest ? `
+                ${this.reviewItems ? `
+                    <div class="personal-best-info">
+                        <span>${escapeHtml(getTranslation('review_session_done') || 'Answers you missed come back sooner; the rest wait longer.')}</span>
+                    </div>
+                ` : data.isNewPersonalBest ? `
                     <div class="new-personal-best">
                         <span class="best-icon">🏆</span>
                         <span>${escapeHtml(getTranslation('new_personal_best') || 'New Personal Best!')}</span>
@@ -324,9 +418,11 @@ export class PracticeModeManager {
                 `}
 
                 <div class="practice-actions">
-                    <button id="practice-try-again" class="primary-button">
-                        ${escapeHtml(getTranslation('try_again') || 'Try Again')}
-                    </button>
+                    ${canContinue ? `
+                        <button id="practice-try-again" class="primary-button">
+                            ${escapeHtml(continueLabel)}
+                        </button>
+                    ` : ''}
                     <button id="practice-exit" class="secondary-button">
                         ${escapeHtml(getTranslation('exit') || 'Exit')}
                     </button>
@@ -359,6 +455,7 @@ export class PracticeModeManager {
      */
     async restartPractice() {
         const filename = this.currentQuizFilename;
+        const wasReview = this.reviewItems !== null;
 
         // IMPORTANT: Update UI BEFORE cleanup to properly remove event listeners
         this.updateUIForPracticeMode(false);
@@ -373,7 +470,9 @@ export class PracticeModeManager {
         }
 
         // Start fresh
-        if (filename) {
+        if (wasReview) {
+            await this.startReviewSession();
+        } else if (filename) {
             await this.startPracticeMode(filename);
         }
     }
@@ -486,7 +585,10 @@ export class PracticeModeManager {
                     playerResult: 'player-result',
                     questionEnd: 'question-end',
                     gameEnd: 'game-end',
-                    nextQuestion: 'next-question'
+                    nextQuestion: 'next-question',
+                    usePowerUp: 'use-power-up',
+                    powerUpResult: 'power-up-result',
+                    answerRetry: 'answer-retry'
                 };
                 const eventName = eventMap[key];
                 if (eventName && this._boundHandlers[key]) {
@@ -507,6 +609,7 @@ export class PracticeModeManager {
         // Reset state
         this.currentQuiz = null;
         this.currentQuizFilename = null;
+        this.reviewItems = null;
         this.isActive = false;
     }
 
@@ -19,6 +19,9 @@
  *   - MC/multi: no correct option checked       → 'no_correct'
  *   - MC/multi: a checked correct option empty  → 'correct_empty'
  *   - numeric: empty/NaN answer                 → 'no_numeric'
+ *   - text-input: no accepted answer            → 'no_accepted_answer'
+ *   - matching: a row with only one side filled → 'incomplete_pair'
+ *   - matching: fewer than 2 complete pairs     → 'too_few_pairs'
  * Warnings never hard-block Crear Sala/save — the existing save-time
  * validation stays authoritative.
  *
@@ -43,7 +46,10 @@ const CODE_LABELS = {
     no_correct: 'val_no_correct',
     correct_empty: 'val_correct_empty',
     too_few_options: 'val_too_few_options',
-    no_numeric: 'val_no_numeric'
+    no_numeric: 'val_no_numeric',
+    no_accepted_answer: 'val_no_accepted_answer',
+    incomplete_pair: 'val_incomplete_pair',
+    too_few_pairs: 'val_too_few_pairs'
 };
 
 let initialized = false;
@@ -119,6 +125,30 @@ function validateChoiceQuestion(item, type, index, warnings) {
     }
 }
 
+/**
+ * Validate a matching question. Rows with both sides empty are unused, as
+ * in extraction; a half-filled row is an error of its own.
+ */
+function validateMatchingQuestion(item, index, warnings) {
+    let complete = 0;
+    let incomplete = false;
+    item.querySelectorAll('.matching-options .matching-pair').forEach(row => {
+        const left = row.querySelector('.matching-left')?.value?.trim();
+        const right = row.querySelector('.matching-right')?.value?.trim();
+        if (left && right) {
+            complete++;
+        } else if (left || right) {
+            incomplete = true;
+        }
+    });
+
+    if (incomplete) {
+        warnings.push({ questionIndex: index, code: 'incomplete_pair', message: t('val_incomplete_pair') });
+    } else if (complete < 2) {
+        warnings.push({ questionIndex: index, code: 'too_few_pairs', message: t('val_too_few_pairs') });
+    }
+}
+
 /**
  * Validate the live editor DOM. Pure read — no side effects.
  * @returns {Array<{questionIndex: number, code: string, message: string, badOptionIndices?: number[]}>}
@@ -143,6 +173,13 @@ export function validateEditorState() {
             if (!raw || isNaN(parseFloat(raw))) {
                 warnings.push({ questionIndex: index, code: 'no_numeric', message: t('val_no_numeric') });
             }
+        } else if (type === 'text-input') {
+            const raw = item.querySelector('.text-input-answers')?.value?.trim();
+            if (!raw) {
+                warnings.push({ questionIndex: index, code: 'no_accepted_answer', message: t('val_no_accepted_answer') });
+            }
+        } else if (type === 'matching') {
+            validateMatchingQuestion(item, index, warnings);
         }
     });
 
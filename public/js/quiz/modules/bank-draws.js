@@ -0,0 +1,70 @@
+/**
+ * Question bank draws
+ *
+ * A quiz can pull random questions from the question bank each time it
+ * starts: `settings.bankDraws` lists rules of the form "N questions tagged
+ * <concept>" (optionally of one difficulty). The rules of the quiz open in the
+ * editor live here (edited in the question bank modal, saved and restored by
+ * settings-persistence.js); resolveBankDraws() turns rules into questions when
+ * a live game or practice session starts.
+ */
+
+import { APIHelper } from '../../utils/api-helper.js';
+
+// Mirrors bankDrawSchema in services/validation-schemas.js
+export const MAX_BANK_DRAWS = 10;
+export const MAX_DRAW_COUNT = 50;
+
+let bankDraws = [];
+
+/**
+ * Draw rules of the quiz in the editor
+ * @returns {Array<{concept: string, count: number, difficulty?: string}>}
+ */
+export function getBankDraws() {
+    return bankDraws.map(draw => ({ ...draw }));
+}
+
+/**
+ * Replace the editor's draw rules (announces 'bankDrawsChanged')
+ * @param {Array|undefined} draws - Rules from a saved quiz, or nothing to clear them
+ */
+export function setBankDraws(draws) {
+    bankDraws = (Array.isArray(draws) ? draws : [])
+        .filter(draw => draw && typeof draw.concept === 'string' && draw.concept.trim())
+        .slice(0, MAX_BANK_DRAWS)
+        .map(draw => ({
+            concept: draw.concept.trim(),
+            count: Math.min(MAX_DRAW_COUNT, Math.max(1, parseInt(draw.count, 10) || 1)),
+            ...(draw.difficulty && { difficulty: draw.difficulty })
+        }));
+    document.dispatchEvent(new CustomEvent('bankDrawsChanged'));
+}
+
+/**
+ * Append questions drawn from the bank to a quiz's own questions. Draws
+ * never repeat a question the quiz already contains.
+ * @param {Object[]} questions - The quiz's own questions
+ * @param {Array} [draws] - Draw rules; nothing is requested when empty
+ * @returns {Promise<{questions: Object[], shortfalls: Array<{concept: string, requested: number, drawn: number}>}>}
+ * @throws {Error} When the bank cannot be reached
+ */
+export async function resolveBankDraws(questions, draws) {
+    if (!Array.isArray(draws) || draws.length === 0) {
+        return { questions, shortfalls: [] };
+    }
+
+    const result = await APIHelper.fetchAPIJSON('api/question-bank/draw', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            draws,
+            excludeTexts: questions.map(q => q.question).filter(Boolean)
+        })
+    });
+
+    return {
+        questions: [...questions, ...result.questions],
+        shortfalls: result.shortfalls || []
+    };
+}
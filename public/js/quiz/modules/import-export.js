@@ -1,7 +1,18 @@
 /**
  * Quiz import / export
  *
- * File-based import (JSON upload) and export (JSON download) of quizzes.
+ * File-based import and export of quizzes. Export offers a choice of formats
+ * (EXPORT_FORMATS): a `.quizix` package (a zip with the quiz, its settings and
+ * every image and video it uses, built by POST /api/quiz-package/export), the
+ * questions alone as Moodle GIFT or Moodle XML (POST
+ * /api/question-formats/export), or the questions and their images as an IMS
+ * QTI 2.1 or 3.0 package (POST /api/qti-package/export). Import picks the
+ * format from the file extension: a package, whose media the server
+ * re-uploads, a bare quiz JSON file, a Moodle file or a spreadsheet in the
+ * column template converted by POST /api/question-formats/import (XLSX
+ * workbooks are turned into CSV here first), or a QTI `.zip` (POST
+ * /api/qti-package/import). Conversion notes, such as a spreadsheet's
+ * invalid rows, are listed in the import report dialog.
  * Extracted from quiz-manager.js as a move-and-delegate refactor: QuizManager
  * keeps thin `importQuiz`/`handleFileImport`/`exportQuiz` methods that call
  * these functions, passing the manager instance for shared state and helpers.
@@ -9,6 +20,37 @@
 
 import { translationManager, showErrorAlert, showSuccessAlert } from '../../utils/translation-manager.js';
 import { dom } from '../../utils/dom.js';
+import { APIHelper } from '../../utils/api-helper.js';
+import { toastNotifications } from '../../utils/toast-notifications.js';
+import { openModal, closeModal } from '../../utils/modal-utils.js';
+import { logger } from '../../core/config.js';
+import { excelQuestionParser } from '../../ai/excel-question-parser.js';
+
+const PACKAGE_EXTENSION = '.quizix';
+const QTI_EXTENSION = '.zip';
+
+// Download formats offered in the export dialog. `withSettings` formats carry
+// the quiz settings; the others only hold questions. QTI formats name the
+// version to write instead of a question format.
+const EXPORT_FORMATS = {
+    quizix: { endpoint: 'api/quiz-package/export', extension: PACKAGE_EXTENSION, withSettings: true },
+    gift: { endpoint: 'api/question-formats/export', extension: '.gift.txt' },
+    'moodle-xml': { endpoint: 'api/question-formats/export', extension: '.moodle.xml' },
+    'qti-2.1': { endpoint: 'api/qti-package/export', extension: '.qti.zip', qtiVersion: '2.1' },
+    'qti-3.0': { endpoint: 'api/qti-package/export', extension: '.qti.zip', qtiVersion: '3.0' },
+    csv: { endpoint: 'api/question-formats/export', extension: '.csv' }
+};
+
+// Question formats converted on the server, by file extension
+const QUESTION_FORMAT_EXTENSIONS = {
+    '.gift': 'gift',
+    '.txt': 'gift',
+    '.xml': 'moodle-xml',
+    '.csv': 'csv'
+};
+
+// Workbooks read in the browser and imported as CSV
+const WORKBOOK_EXTENSIONS = ['.xlsx', '.xls'];
 
 /**
  * Import quiz from file (opens the hidden file input)
@@ -20,6 +62,144 @@ export async function importQuiz() {
     }
 }
 
+/**
+ * Upload a `.quizix` package; the server stores its media and returns the
+ * quiz pointing at them
+ * @param {File} file - Package file
+ * @returns {Promise<Object|null>} Quiz data, or null when the server refused the package (already reported)
+ */
+async function importPackage(file) {
+    const formData = new FormData();
+    formData.append('package', file);
+
+    const response = await APIHelper.fetchAPI('api/quiz-package/import', { method: 'POST', body: formData });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        showErrorAlert(result.messageKey || 'failed_import_quiz');
+        return null;
+    }
+
+    if (result.missingMedia?.length > 0) {
+        toastNotifications.warning(translationManager.getTranslationSync('package_missing_media', [result.missingMedia.length]));
+    }
+    if (result.rejectedMedia?.length > 0) {
+        toastNotifications.warning(translationManager.getTranslationSync('package_rejected_media', [result.rejectedMedia.length]));
+    }
+    return result.quiz;
+}
+
+/**
+ * Turn a server-side conversion result into a new quiz, reporting what was
+ * skipped. Untitled results are titled after the file.
+ * @param {File} file - Imported file
+ * @param {Response} response - Conversion response: { questions, warnings, skipped, title? }
+ * @returns {Promise<Object|null>} Quiz data, or null when nothing could be converted (already reported)
+ */
+async function convertedQuiz(file, response) {
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        showErrorAlert(result.messageKey || 'failed_import_quiz');
+        return null;
+    }
+
+    if (result.warnings?.length > 0) {
+        logger.warn(`Import of ${file.name}:`, result.warnings);
+    }
+    if (result.questions.length === 0) {
+        showImportReport('format_import_no_questions', [], result.warnings);
+        return null;
+    }
+    if (result.skipped > 0) {
+        showImportReport('format_import_skipped', [result.skipped], result.warnings);
+    } else if (result.warnings?.length > 0) {
+        showImportReport('format_import_notes', [], result.warnings);
+    }
+
+    return {
+        title: result.title || file.name.replace(/(\.(gift|moodle|qti))?\.[^.]+$/i, ''),
+        questions: result.questions
+    };
+}
+
+/**
+ * List what an import left out or changed, one line per question or row
+ * @param {string} summaryKey - Translation key of the summary line
+ * @param {Array} summaryParams - Its parameters
+ * @param {string[]} [notes] - Conversion warnings from the server
+ */
+function showImportReport(summaryKey, summaryParams, notes = []) {
+    const modal = dom.get('import-report-modal');
+    const summary = translationManager.getTranslationSync(summaryKey, summaryParams);
+    if (!modal) {
+        toastNotifications.warning(summary);
+        return;
+    }
+
+    dom.get('import-report-summary').textContent = summary;
+    const list = dom.get('import-report-list');
+    list.replaceChildren(...notes.map(note => {
+        const item = document.createElement('li');
+        item.textContent = note;
+        return item;
+    }));
+
+    const closeBtn = dom.get('close-import-report');
+    if (closeBtn) {
+        closeBtn.onclick = () => {
+            closeModal(modal);
+            modal.classList.remove('visible-flex');
+            modal.classList.add('hidden');
+        };
+    }
+
+    openModal(modal);
+    modal.classList.remove('hidden');
+    modal.classList.add('visible-flex');
+}
+
+/**
+ * Convert another quiz system's file (Moodle GIFT or XML) or a spreadsheet
+ * into a new quiz
+ * @param {File} file - Question file
+ * @param {string} format - Server-side format name
+ * @param {string} [content] - File text, when it is not the file's own (workbooks read as CSV)
+ * @returns {Promise<Object|null>} Quiz data, or null when nothing could be converted (already reported)
+ */
+async function importQuestionFormat(file, format, content) {
+    const response = await APIHelper.fetchAPI('api/question-formats/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ format, content: content ?? await file.text() })
+    });
+    return convertedQuiz(file, response);
+}
+
+/**
+ * Import the first sheet of an Excel workbook in the column template
+ * @param {File} file - .xlsx or .xls workbook
+ * @returns {Promise<Object|null>} Quiz data, or null when nothing could be converted (already reported)
+ */
+async function importWorkbook(file) {
+    if (!excelQuestionParser.isAvailable()) {
+        showErrorAlert('excel_lib_not_available');
+        return null;
+    }
+    return importQuestionFormat(file, 'csv', await excelQuestionParser.readAsCsv(file));
+}
+
+/**
+ * Upload an IMS QTI package; the server converts its items and stores their images
+ * @param {File} file - QTI content package (.zip)
+ * @returns {Promise<Object|null>} Quiz data, or null when nothing could be converted (already reported)
+ */
+async function importQtiPackage(file) {
+    const formData = new FormData();
+    formData.append('package', file);
+
+    const response = await APIHelper.fetchAPI('api/qti-package/import', { method: 'POST', body: formData });
+    return convertedQuiz(file, response);
+}
+
 /**
  * Handle file import
  */
@@ -27,14 +207,29 @@ export async function handleFileImport(manager, event) {
     const file = event.target.files[0];
     if (!file) return;
 
-    if (!file.name.endsWith('.json')) {
+    const name = file.name.toLowerCase();
+    const extension = name.slice(name.lastIndexOf('.'));
+    const questionFormat = QUESTION_FORMAT_EXTENSIONS[extension];
+    const isWorkbook = WORKBOOK_EXTENSIONS.includes(extension);
+    if (extension !== PACKAGE_EXTENSION && extension !== QTI_EXTENSION && extension !== '.json' && !questionFormat && !isWorkbook) {
         showErrorAlert('invalid_file_format');
         return;
     }
 
     await manager.errorHandler.wrapAsyncOperation(async () => {
-        const text = await file.text();
-        const quizData = JSON.parse(text);
+        let quizData;
+        if (extension === PACKAGE_EXTENSION) {
+            quizData = await importPackage(file);
+        } else if (extension === QTI_EXTENSION) {
+            quizData = await importQtiPackage(file);
+        } else if (isWorkbook) {
+            quizData = await importWorkbook(file);
+        } else if (questionFormat) {
+            quizData = await importQuestionFormat(file, questionFormat);
+        } else {
+            quizData = JSON.parse(await file.text());
+        }
+        if (!quizData) return;
 
         // Validate quiz data structure
         if (!quizData.title || !quizData.questions || !Array.isArray(quizData.questions)) {
@@ -64,9 +259,43 @@ export async function handleFileImport(manager, event) {
 }
 
 /**
- * Export quiz to file
+ * Show the export dialog; picking a format downloads the quiz in it
  */
-export async function exportQuiz(manager) {
+export function showExportModal(manager) {
+    const modal = dom.get('export-quiz-modal');
+    if (!modal) {
+        exportQuiz(manager);
+        return;
+    }
+
+    const hide = () => {
+        closeModal(modal);
+        modal.classList.remove('visible-flex');
+        modal.classList.add('hidden');
+    };
+
+    modal.querySelectorAll('[data-export-format]').forEach(button => {
+        button.onclick = () => {
+            hide();
+            exportQuiz(manager, button.dataset.exportFormat);
+        };
+    });
+    const cancelBtn = dom.get('cancel-export');
+    if (cancelBtn) {
+        cancelBtn.onclick = hide;
+    }
+
+    openModal(modal);
+    modal.classList.remove('hidden');
+    modal.classList.add('visible-flex');
+}
+
+/**
+ * Export quiz to a file
+ * @param {Object} manager - QuizManager
+ * @param {string} [format='quizix'] - Key of EXPORT_FORMATS
+ */
+export async function exportQuiz(manager, format = 'quizix') {
     const title = dom.get('quiz-title')?.value?.trim();
     if (!title) {
         showErrorAlert('please_enter_quiz_title');
@@ -79,24 +308,40 @@ export async function exportQuiz(manager) {
         return;
     }
 
-    const quizData = {
-        title: title,
-        questions: questions,
-        createdAt: new Date().toISOString()
-    };
+    const { endpoint, extension, withSettings, qtiVersion } = EXPORT_FORMATS[format];
+    let quizData;
+    if (withSettings) {
+        quizData = { title, questions, settings: manager.collectSettings() };
+    } else if (qtiVersion) {
+        quizData = { version: qtiVersion, title, questions };
+    } else {
+        quizData = { format, title, questions };
+    }
 
     await manager.errorHandler.wrapAsyncOperation(async () => {
-        const dataStr = JSON.stringify(quizData, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        const response = await APIHelper.fetchAPI(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(quizData)
+        });
+        if (!response.ok) {
+            throw new Error(`Quiz export (${format}) failed: ${response.status}`);
+        }
 
+        const url = URL.createObjectURL(await response.blob());
         const link = document.createElement('a');
-        link.href = URL.createObjectURL(dataBlob);
-        link.download = `${title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.json`;
+        link.href = url;
+        link.download = `${title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}${extension}`;
         link.click();
+        URL.revokeObjectURL(url);
 
+        const skipped = Number(response.headers?.get('X-Skipped-Questions')) || 0;
+        if (skipped > 0) {
+            toastNotifications.warning(translationManager.getTranslationSync('format_export_skipped', [skipped]));
+        }
         showSuccessAlert('quiz_exported_successfully');
     }, {
-        context: { operation: 'exportQuiz', title },
+        context: { operation: 'exportQuiz', title, format },
         fallback: () => showErrorAlert('failed_export_quiz')
     });
 }
@@ -0,0 +1,396 @@
+/**
+ * Paper tests
+ *
+ * Printable worksheets for running the quiz in the editor on paper, e.g.
+ * when a room has no network. buildPaperVersions() lays out up to four
+ * versions (A-D), each with its own question and option order;
+ * paperTestMarkup() turns them into worksheet pages: the questions of each
+ * version, optionally a bubble answer sheet per version, and answer key pages
+ * at the end. Quiz text goes through the editor preview's formatting
+ * (PreviewRenderer.formatRichText) and the shared MathJax service before the
+ * markup is copied into a standalone document styled by css/paper-test.css,
+ * which is printed from a hidden frame (the browser's print dialog can also
+ * save it as PDF) or downloaded as HTML.
+ */
+
+import { translationManager, showErrorAlert } from '../../utils/translation-manager.js';
+import { dom, escapeHtml } from '../../utils/dom.js';
+import { openModal, closeModal } from '../../utils/modal-utils.js';
+import { shuffleArray } from '../../utils/question-utils.js';
+import { imagePathResolver } from '../../utils/image-path-resolver.js';
+import { PreviewRenderer } from '../../ui/modules/preview-renderer.js';
+import { logger } from '../../core/config.js';
+
+export const PAPER_VERSION_LABELS = ['A', 'B', 'C', 'D'];
+
+// Answered by marking one or more lettered options
+const CHOICE_TYPES = new Set(['multiple-choice', 'multiple-correct', 'true-false']);
+
+// Printed instruction under the question text, by type
+const TYPE_HINTS = {
+    'multiple-correct': 'paper_test_select_all_hint',
+    ordering: 'paper_test_order_hint',
+    matching: 'paper_test_matching_hint'
+};
+
+// Standalone stylesheet inlined into every worksheet document
+const PAPER_STYLESHEET = 'css/paper-test.css';
+
+// Print frames are removed after this long when the browser never fires afterprint
+const PRINT_FRAME_LIFETIME_MS = 60000;
+
+const renderer = new PreviewRenderer();
+
+function t(key, params) {
+    return translationManager.getTranslationSync(key, params);
+}
+
+function optionLetter(index) {
+    return String.fromCharCode(65 + index);
+}
+
+/**
+ * Print order for `count` entries
+ * @param {number} count - Number of entries
+ * @param {boolean} shuffle - Shuffle, or keep the saved order
+ * @param {boolean} [scramble=false] - Never return the saved order (it would give the answer away)
+ * @returns {number[]} Saved indices in print order
+ */
+function printOrder(count, shuffle, scramble = false) {
+    const indices = Array.from({ length: count }, (_, i) => i);
+    if (!shuffle && !scramble) {
+        return indices;
+    }
+    let order = shuffleArray(indices);
+    while (scramble && count > 1 && order.every((original, position) => original === position)) {
+        order = shuffleArray(indices);
+    }
+    return order;
+}
+
+/**
+ * Lay out one question for paper: options in print order and the answer key
+ * entry for that order. Ordering items and matching answers are always
+ * scrambled; true/false keeps True before False.
+ * @param {Object} question - Question as collected from the editor
+ * @param {boolean} shuffleOptions - Shuffle choice options
+ * @returns {{question: Object, options: string[], items: string[], key: string}}
+ */
+export function paperQuestion(question, shuffleOptions) {
+    const layout = { question, options: [], items: [], key: '' };
+
+    switch (question.type) {
+        case 'multiple-choice':
+        case 'multiple-correct': {
+            const options = question.options || [];
+            const order = printOrder(options.length, shuffleOptions);
+            const correct = question.type === 'multiple-choice'
+                ? [question.correctIndex ?? question.correctAnswer]
+                : (question.correctIndices || question.correctAnswers || []);
+            layout.options = order.map(i => options[i]);
+            layout.key = order
+                .map((original, position) => (correct.includes(original) ? optionLetter(position) : null))
+                .filter(Boolean)
+                .join(', ');
+            break;
+        }
+        case 'true-false':
+            layout.options = [t('true'), t('false')];
+            layout.key = question.correctAnswer ? 'A' : 'B';
+            break;
+        case 'ordering': {
+            const options = question.options || [];
+            const order = printOrder(options.length, true, true);
+            const correctOrder = question.correctOrder || options.map((_, i) => i);
+            layout.options = order.map(i => options[i]);
+            layout.key = correctOrder.map(original => optionLetter(order.indexOf(original))).join(' → ');
+            break;
+        }
+        case 'matching': {
+            const pairs = question.pairs || [];
+            const order = printOrder(pairs.length, true, true);
+            layout.items = pairs.map(pair => pair.left);
+            layout.options = order.map(i => pairs[i].right);
+            layout.key = pairs.map((_, i) => `${i + 1}–${optionLetter(order.indexOf(i))}`).join(', ');
+            break;
+        }
+        case 'numeric':
+            layout.key = question.tolerance
+                ? `${question.correctAnswer} ± ${question.tolerance}`
+                : String(question.correctAnswer);
+            break;
+        case 'text-input':
+            layout.key = (question.acceptedAnswers || []).join(' / ');
+            break;
+        default:
+            break;
+    }
+
+    if (question.isPoll) {
+        layout.key = t('paper_test_poll_key');
+    }
+    return layout;
+}
+
+/**
+ * Lay out the printed versions of a quiz
+ * @param {Object[]} questions - Questions as collected from the editor
+ * @param {Object} [options]
+ * @param {number} [options.versions=1] - Number of versions (1-4, labelled A-D)
+ * @param {boolean} [options.shuffleQuestions=false] - Own question order per version
+ * @param {boolean} [options.shuffleOptions=false] - Own option order per version
+ * @returns {Array<{label: string, questions: Object[]}>} Versions; each question
+ *   layout also carries `source`, its 1-based number in the quiz
+ */
+export function buildPaperVersions(questions, { versions = 1, shuffleQuestions = false, shuffleOptions = false } = {}) {
+    const count = Math.min(PAPER_VERSION_LABELS.length, Math.max(1, versions));
+    return PAPER_VERSION_LABELS.slice(0, count).map(label => ({
+        label,
+        questions: printOrder(questions.length, shuffleQuestions).map(i => ({
+            ...paperQuestion(questions[i], shuffleOptions),
+            source: i + 1
+        }))
+    }));
+}
+
+function richText(text) {
+    return renderer.formatRichText(String(text ?? ''));
+}
+
+function absoluteUrl(path) {
+    return new URL(imagePathResolver.toDisplayPath(path), document.baseURI).href;
+}
+
+function sheetHeader(title, heading, withFields) {
+    const fields = withFields
+        ? `<div class="paper-fields">${['paper_test_name', 'paper_test_class', 'paper_test_date']
+            .map(key => `<span class="paper-field">${escapeHtml(t(key))}</span>`).join('')}</div>`
+        : '';
+    const badge = heading ? `<span class="paper-version">${escapeHtml(heading)}</span>` : '';
+    return `<header class="paper-header"><h1>${escapeHtml(title)}</h1>${badge}${fields}</header>`;
+}
+
+function questionMarkup(layout, number, answerSpace) {
+    const { question, options, items } = layout;
+    const parts = [`<div class="paper-text">${richText(question.question)}</div>`];
+
+    if (TYPE_HINTS[question.type]) {
+        parts.push(`<p class="paper-hint">${escapeHtml(t(TYPE_HINTS[question.type]))}</p>`);
+    }
+    if (question.image) {
+        parts.push(`<img class="paper-image" src="${escapeHtml(absoluteUrl(question.image))}" alt="">`);
+    }
+    if (items.length > 0) {
+        const blank = answerSpace ? '<span class="paper-blank"></span>' : '';
+        parts.push(`<ol class="paper-options">${items.map((item, i) =>
+            `<li>${blank}<span class="paper-letter">${i + 1}.</span><span>${richText(item)}</span></li>`).join('')}</ol>`);
+    }
+    if (options.length > 0) {
+        parts.push(`<ol class="paper-options">${options.map((option, i) =>
+            `<li><span class="paper-letter">${optionLetter(i)}</span><span>${richText(option)}</span></li>`).join('')}</ol>`);
+    }
+    if (answerSpace && question.type === 'ordering') {
+        parts.push(`<div class="paper-answer-line">${options.map(() => '<span class="paper-blank"></span>').join(' ')}</div>`);
+    } else if (answerSpace && (question.type === 'numeric' || question.type === 'text-input')) {
+        parts.push('<div class="paper-answer-line"></div>');
+    }
+
+    return `<li class="paper-question"><span class="paper-number">${number}.</span><div class="paper-body">${parts.join('')}</div></li>`;
+}
+
+function bubbleRows(layout, number) {
+    const { question, options, items } = layout;
+    const bubbles = count => Array.from({ length: count }, (_, i) =>
+        `<span class="paper-bubble">${optionLetter(i)}</span>`).join('');
+    const row = (label, cells) => `<div class="paper-bubble-row"><span class="paper-number">${label}</span>${cells}</div>`;
+
+    if (items.length > 0) {
+        return items.map((_, i) => row(`${number}.${i + 1}`, bubbles(options.length))).join('');
+    }
+    if (CHOICE_TYPES.has(question.type)) {
+        return row(`${number}.`, bubbles(options.length));
+    }
+    return row(`${number}.`, '<span class="paper-write-in"></span>');
+}
+
+function answerKeyMarkup(version) {
+    const rows = version.questions.map((layout, i) =>
+        `<tr><td>${i + 1}</td><td>${richText(layout.key)}</td><td>${layout.source}</td></tr>`).join('');
+    return `<table class="paper-key"><thead><tr><th>#</th><th>${escapeHtml(t('paper_test_answer_column'))}</th>`
+        + `<th>${escapeHtml(t('paper_test_quiz_question_column'))}</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Worksheet pages for the given versions: each version's questions (and
+ * bubble sheet), then the answer keys so they can be pulled off the stack
+ * @param {string} title - Quiz title
+ * @param {Array} versions - From buildPaperVersions()
+ * @param {Object} [options]
+ * @param {boolean} [options.answerKey=false] - Add an answer key page per version
+ * @param {boolean} [options.bubbleSheet=false] - Add a bubble answer sheet per version;
+ *   answers are then marked there instead of next to the questions
+ * @returns {string} HTML of the `.paper-sheet` sections
+ */
+export function paperTestMarkup(title, versions, { answerKey = false, bubbleSheet = false } = {}) {
+    const labelled = versions.length > 1;
+    const heading = (prefix, label) => [prefix, labelled && t('paper_test_version', [label])].filter(Boolean).join(' — ');
+    const sheets = [];
+
+    for (const version of versions) {
+        const questions = version.questions.map((layout, i) => questionMarkup(layout, i + 1, !bubbleSheet)).join('');
+        sheets.push(`<section class="paper-sheet">${sheetHeader(title, heading('', version.label), true)}`
+            + `<ol class="paper-questions">${questions}</ol></section>`);
+
+        if (bubbleSheet) {
+            const rows = version.questions.map((layout, i) => bubbleRows(layout, i + 1)).join('');
+            sheets.push(`<section class="paper-sheet">${sheetHeader(title, heading(t('paper_test_answer_sheet'), version.label), true)}`
+                + `<div class="paper-bubble-rows">${rows}</div></section>`);
+        }
+    }
+
+    if (answerKey) {
+        for (const version of versions) {
+            sheets.push(`<section class="paper-sheet">${sheetHeader(title, heading(t('paper_test_answer_key'), version.label), false)}`
+                + `${answerKeyMarkup(version)}</section>`);
+        }
+    }
+
+    return sheets.join('');
+}
+
+/**
+ * Build the standalone worksheet document. The pages are typeset in the app
+ * first (offscreen), so MathJax output and its stylesheet can be copied out.
+ * @returns {Promise<string>} Complete HTML document
+ */
+async function paperTestDocument(title, versions, options) {
+    const staging = document.createElement('div');
+    staging.setAttribute('aria-hidden', 'true');
+    staging.style.position = 'absolute';
+    staging.style.left = '-10000px';
+    staging.style.width = '210mm';
+    staging.innerHTML = paperTestMarkup(title, versions, options);
+    document.body.appendChild(staging);
+
+    try {
+        await renderer.mathJaxService.render([staging]);
+        const response = await fetch(PAPER_STYLESHEET);
+        const stylesheet = response.ok ? await response.text() : '';
+        const mathStyles = document.getElementById('MJX-CHTML-styles')?.outerHTML || '';
+
+        return '<!DOCTYPE html>'
+            + `<html lang="${escapeHtml(translationManager.getCurrentLanguage())}"><head><meta charset="utf-8">`
+            + `<title>${escapeHtml(title)}</title><style>${stylesheet}</style>${mathStyles}</head>`
+            + `<body>${staging.innerHTML}</body></html>`;
+    } finally {
+        staging.remove();
+    }
+}
+
+/**
+ * Open the browser print dialog for a document, from a hidden frame
+ * @param {string} html - Complete HTML document
+ */
+function printDocument(html) {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    // Zero-sized rather than display:none, which some browsers print blank
+    Object.assign(frame.style, { position: 'fixed', right: '0', bottom: '0', width: '0', height: '0', border: '0' });
+    const remove = () => frame.remove();
+
+    // load fires once the frame's images are in
+    frame.onload = () => {
+        frame.contentWindow.addEventListener('afterprint', remove);
+        setTimeout(remove, PRINT_FRAME_LIFETIME_MS);
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    };
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+}
+
+function downloadDocument(html, title) {
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_paper_test.html`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Read the paper test dialog's choices
+ * @returns {{versions: number, shuffleQuestions: boolean, shuffleOptions: boolean, answerKey: boolean, bubbleSheet: boolean}}
+ */
+function readPaperTestOptions() {
+    return {
+        versions: parseInt(dom.get('paper-test-versions')?.value, 10) || 1,
+        shuffleQuestions: !!dom.get('paper-test-shuffle-questions')?.checked,
+        shuffleOptions: !!dom.get('paper-test-shuffle-options')?.checked,
+        answerKey: !!dom.get('paper-test-answer-key')?.checked,
+        bubbleSheet: !!dom.get('paper-test-bubble-sheet')?.checked
+    };
+}
+
+/**
+ * Show the paper test dialog; its buttons print or download the worksheets
+ * @param {Object} manager - QuizManager
+ */
+export function showPaperTestModal(manager) {
+    const modal = dom.get('paper-test-modal');
+    if (!modal) {
+        return;
+    }
+
+    const hide = () => {
+        closeModal(modal);
+        modal.classList.remove('visible-flex');
+        modal.classList.add('hidden');
+    };
+    const run = mode => () => {
+        hide();
+        createPaperTest(manager, readPaperTestOptions(), mode);
+    };
+
+    dom.get('paper-test-print').onclick = run('print');
+    dom.get('paper-test-download').onclick = run('download');
+    dom.get('cancel-paper-test').onclick = hide;
+
+    openModal(modal);
+    modal.classList.remove('hidden');
+    modal.classList.add('visible-flex');
+}
+
+/**
+ * Print or download paper test worksheets for the quiz in the editor
+ * @param {Object} manager - QuizManager
+ * @param {Object} options - Version, shuffle and page options (see readPaperTestOptions)
+ * @param {'print'|'download'} [mode='print'] - Open the print dialog, or save an HTML file
+ */
+export async function createPaperTest(manager, options, mode = 'print') {
+    const title = dom.get('quiz-title')?.value?.trim();
+    if (!title) {
+        showErrorAlert('please_enter_quiz_title');
+        return;
+    }
+
+    const questions = manager.collectQuestions();
+    if (questions.length === 0) {
+        showErrorAlert('please_add_one_question');
+        return;
+    }
+
+    await manager.errorHandler.wrapAsyncOperation(async () => {
+        const versions = buildPaperVersions(questions, options);
+        const html = await paperTestDocument(title, versions, options);
+        if (mode === 'download') {
+            downloadDocument(html, title);
+        } else {
+            printDocument(html);
+        }
+        logger.debug(`Paper test (${mode}): ${versions.length} versions of ${questions.length} questions`);
+    }, {
+        context: { operation: 'createPaperTest', title, mode },
+        fallback: () => showErrorAlert('paper_test_failed')
+    });
+}
@@ -0,0 +1,184 @@
+/**
+ * Per-quiz power-up settings
+ *
+ * Which power-ups a quiz offers, how many uses each player gets and their
+ * tunable values, saved as `settings.powerUpSettings`. The settings of the
+ * quiz open in the editor live here (saved and restored by
+ * settings-persistence.js) and are edited in the panel under the "Enable
+ * Power-Ups" option, both inline and in the settings modal. The game resolves
+ * them against the catalogue in utils/power-up-registry.js.
+ */
+
+import { getTranslation } from '../../utils/translation-manager.js';
+import { DEFAULT_USES, MAX_USES, listPowerUps } from '../../utils/power-up-registry.js';
+
+const PANEL_IDS = ['power-up-settings', 'modal-power-up-settings'];
+
+let powerUpSettings = {};
+
+/**
+ * Power-up settings of the quiz in the editor
+ * @returns {Object} `{ [id]: { enabled, uses, ...params } }`, only for power-ups that were changed
+ */
+export function getPowerUpSettings() {
+    return Object.fromEntries(
+        Object.entries(powerUpSettings).map(([id, entry]) => [id, { ...entry }])
+    );
+}
+
+/**
+ * Replace the editor's power-up settings and redraw the panels
+ * @param {Object|undefined} settings - Settings from a saved quiz, or nothing for the defaults
+ */
+export function setPowerUpSettings(settings) {
+    powerUpSettings = {};
+    for (const powerUp of listPowerUps()) {
+        const entry = settings?.[powerUp.id];
+        if (entry && typeof entry === 'object') {
+            powerUpSettings[powerUp.id] = readEntry(powerUp, entry);
+        }
+    }
+    renderPanels();
+}
+
+/**
+ * Keep only the known, in-range fields of one power-up's settings
+ * @param {Object} powerUp - Registry definition
+ * @param {Object} entry - Raw settings
+ * @returns {Object}
+ */
+function readEntry(powerUp, entry) {
+    const clean = { enabled: typeof entry.enabled === 'boolean' ? entry.enabled : powerUp.enabledByDefault };
+    const uses = parseInt(entry.uses, 10);
+    clean.uses = Math.min(MAX_USES, Math.max(1, isNaN(uses) ? DEFAULT_USES : uses));
+    for (const [name, bounds] of Object.entries(powerUp.params)) {
+        const value = parseInt(entry[name], 10);
+        clean[name] = Math.min(bounds.max, Math.max(bounds.min, isNaN(value) ? bounds.default : value));
+    }
+    return clean;
+}
+
+/**
+ * Current settings of one power-up, defaults filled in
+ * @param {Object} powerUp - Registry definition
+ * @returns {Object}
+ */
+function currentEntry(powerUp) {
+    return powerUpSettings[powerUp.id] || readEntry(powerUp, {});
+}
+
+/**
+ * @param {string} id - Power-up ID
+ * @returns {string} Translation key suffix, e.g. 'fifty_fifty'
+ */
+const keyOf = (id) => id.replace(/-/g, '_');
+
+/**
+ * Number input bound to one field of a power-up's settings
+ * @param {string} labelKey - Translation key of the label
+ * @param {string} field - Settings field
+ * @param {number} value - Current value
+ * @param {{min: number, max: number}} bounds
+ * @returns {HTMLLabelElement}
+ */
+function numberField(labelKey, field, value, bounds) {
+    const label = document.createElement('label');
+    label.className = 'power-up-setting-field';
+
+    const text = document.createElement('span');
+    text.setAttribute('data-translate', labelKey);
+    text.textContent = getTranslation(labelKey);
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'input-sm';
+    input.dataset.field = field;
+    input.min = bounds.min;
+    input.max = bounds.max;
+    input.step = 1;
+    input.value = value;
+
+    label.append(text, input);
+    return label;
+}
+
+/**
+ * Draw the settings rows into a panel
+ * @param {HTMLElement} container - Panel element
+ */
+function renderPanel(container) {
+    container.replaceChildren();
+    for (const powerUp of listPowerUps()) {
+        const entry = currentEntry(powerUp);
+        const nameKey = `power_up_name_${keyOf(powerUp.id)}`;
+
+        const row = document.createElement('div');
+        row.className = 'power-up-setting';
+        row.dataset.powerUp = powerUp.id;
+
+        const toggle = document.createElement('label');
+        toggle.className = 'power-up-setting-toggle';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.field = 'enabled';
+        checkbox.checked = entry.enabled;
+        const name = document.createElement('span');
+        name.setAttribute('data-translate', nameKey);
+        name.textContent = getTranslation(nameKey);
+        toggle.append(checkbox, name);
+
+        row.append(toggle, numberField('power_up_uses', 'uses', entry.uses, { min: 1, max: MAX_USES }));
+        for (const [field, bounds] of Object.entries(powerUp.params)) {
+            row.appendChild(numberField(`power_up_param_${field}`, field, entry[field], bounds));
+        }
+        container.appendChild(row);
+    }
+}
+
+/**
+ * Redraw every panel except the one being edited
+ * @param {HTMLElement} [source] - Panel the change came from
+ */
+function renderPanels(source = null) {
+    for (const id of PANEL_IDS) {
+        const container = document.getElementById(id);
+        if (container && container !== source) {
+            renderPanel(container);
+        }
+    }
+}
+
+/**
+ * Store an edit made in a panel
+ * @param {Event} event - Change event from a panel input
+ */
+function handlePanelChange(event) {
+    const input = event.target;
+    const row = input.closest('.power-up-setting');
+    const powerUp = listPowerUps().find(p => p.id === row?.dataset.powerUp);
+    if (!powerUp || !input.dataset.field) return;
+
+    const entry = { ...currentEntry(powerUp) };
+    entry[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+    powerUpSettings[powerUp.id] = readEntry(powerUp, entry);
+
+    // Show the clamped value, then bring the other panel in step
+    if (input.type !== 'checkbox') {
+        input.value = powerUpSettings[powerUp.id][input.dataset.field];
+    }
+    renderPanels(event.currentTarget);
+}
+
+/**
+ * Draw the panels and listen for edits. Safe to call once the DOM is ready.
+ */
+export function initPowerUpSettings() {
+    for (const id of PANEL_IDS) {
+        const container = document.getElementById(id);
+        if (container && !container.dataset.initialized) {
+            container.dataset.initialized = 'true';
+            container.addEventListener('change', handlePanelChange);
+        }
+    }
+    renderPanels();
+}
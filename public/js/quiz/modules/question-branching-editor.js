@@ -0,0 +1,56 @@
+/**
+ * Question branching in the editor
+ *
+ * Reads and fills the "Branching" section of a question element: the
+ * question's label and its `next` rule (see utils/question-branching.js).
+ * The option rule is shown with 1-based option numbers, as the editor lists
+ * the options, and stored 0-based like correctIndex.
+ */
+
+/**
+ * Label and `next` rule entered for a question
+ * @param {HTMLElement} questionElement - Question element of the editor
+ * @returns {{label?: string, next?: Object}} Only the fields that were filled in
+ */
+export function extractBranching(questionElement) {
+    const data = {};
+    const label = questionElement.querySelector('.question-label')?.value?.trim();
+    if (label) data.label = label;
+
+    const when = questionElement.querySelector('.branch-when')?.value;
+    if (!when) return data;
+
+    const next = { when, goTo: questionElement.querySelector('.branch-target')?.value?.trim() || '' };
+    if (when !== 'always') {
+        const value = parseInt(questionElement.querySelector('.branch-value')?.value, 10);
+        next.value = when === 'option' ? value - 1 : value;
+        const otherwise = questionElement.querySelector('.branch-otherwise')?.value?.trim();
+        if (otherwise) next.otherwise = otherwise;
+    }
+    data.next = next;
+    return data;
+}
+
+/**
+ * Show a question's label and `next` rule, or clear the section without them
+ * @param {HTMLElement} questionElement - Question element of the editor
+ * @param {Object} questionData - The question
+ */
+export function populateBranching(questionElement, questionData) {
+    const next = questionData.next;
+    const fields = {
+        '.question-label': questionData.label || '',
+        '.branch-when': next?.when || '',
+        '.branch-value': Number.isInteger(next?.value) ? String(next.when === 'option' ? next.value + 1 : next.value) : '',
+        '.branch-target': next?.goTo || '',
+        '.branch-otherwise': next?.otherwise || ''
+    };
+    for (const [selector, value] of Object.entries(fields)) {
+        const field = questionElement.querySelector(selector);
+        if (field) field.value = value;
+    }
+
+    // Keep the section open on questions that use it
+    const details = questionElement.querySelector('.branching-section details');
+    if (details && (questionData.label || next)) details.open = true;
+}
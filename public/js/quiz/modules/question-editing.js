@@ -19,6 +19,7 @@ import { imagePathResolver, loadImageWithRetry as sharedLoadImageWithRetry } fro
 import { QuestionTypeRegistry } from '../../utils/question-type-registry.js';
 import { dom, escapeHtml, show, hide } from '../../utils/dom.js';
 import { manimEditor } from '../manim-editor.js';
+import { populateBranching } from './question-branching-editor.js';
 
 // Shared translation fallback map used for cleaning translation keys from loaded data
 const TRANSLATION_FALLBACKS = {
@@ -230,6 +231,9 @@ export function populateBasicQuestionData(manager, questionElement, questionData
     if (questionData.concepts && Array.isArray(questionData.concepts)) {
         populateConceptTags(manager, questionElement, questionData.concepts);
     }
+
+    // Set branching label and rule
+    populateBranching(questionElement, questionData);
 }
 
 /**
@@ -8,26 +8,43 @@
 
 import { dom } from '../../utils/dom.js';
 import { logger } from '../../core/config.js';
-import { readScoringConfigFromDOM } from '../../utils/scoring-config.js';
+import { readScoringConfigFromDOM, DEFAULT_STREAK_BONUS, DEFAULT_COMEBACK_BONUS } from '../../utils/scoring-config.js';
+import { getBankDraws, setBankDraws } from './bank-draws.js';
+import { getPowerUpSettings, setPowerUpSettings } from './power-up-settings.js';
 
 /**
  * Collect game settings from host screen UI elements
  */
 export function collectSettings() {
+    const bankDraws = getBankDraws();
+    const powerUpSettings = getPowerUpSettings();
     return {
         randomizeQuestions: dom.get('randomize-questions')?.checked ?? false,
         randomizeAnswers: dom.get('randomize-answers')?.checked ?? false,
         useGlobalTime: dom.get('same-time-all')?.checked ?? false,
         globalTimeLimit: parseInt(dom.get('default-time')?.value) || 20,
         manualAdvance: dom.get('manual-advancement')?.checked ?? true,
+        powerUpsEnabled: dom.get('enable-power-ups')?.checked ?? false,
         showLeaderboardBetweenQuestions: dom.get('show-leaderboard-between')?.checked ?? true,
         consensusMode: dom.get('consensus-mode')?.checked ?? false,
         consensusThreshold: dom.get('consensus-threshold')?.value ?? '66',
         discussionTime: parseInt(dom.get('discussion-time')?.value) || 30,
         allowChat: dom.get('allow-chat')?.checked ?? false,
+        teamMode: dom.get('team-mode')?.checked ?? false,
+        teamCount: parseInt(dom.get('team-count')?.value) || 2,
+        teamAggregation: dom.get('team-aggregation')?.value ?? 'sum',
+        teamAssignment: dom.get('team-assignment')?.value ?? 'auto',
+        eliminationMode: dom.get('elimination-mode')?.checked ?? false,
+        eliminationSlowestPercent: parseInt(dom.get('elimination-slowest-percent')?.value) || 0,
+        eliminationRevivalEvery: parseInt(dom.get('elimination-revival-every')?.value) || 0,
+        adaptiveMode: dom.get('adaptive-mode')?.checked ?? false,
+        adaptiveQuestionCount: parseInt(dom.get('adaptive-question-count')?.value) || 0,
         // Saved to the quiz file: keep the threshold in raw seconds so it
         // round-trips with the seconds-based UI input (see restoreSettings).
-        scoringConfig: readScoringConfigFromDOM(dom, { thresholdToMs: false })
+        scoringConfig: readScoringConfigFromDOM(dom, { thresholdToMs: false }),
+        // Not DOM controls: edited in the question bank modal and the power-up panel
+        ...(bankDraws.length > 0 && { bankDraws }),
+        ...(Object.keys(powerUpSettings).length > 0 && { powerUpSettings })
     };
 }
 
@@ -35,6 +52,9 @@ export function collectSettings() {
  * Restore saved game settings to host screen UI elements
  */
 export function restoreSettings(settings) {
+    // A quiz without settings must not inherit the previous quiz's draws
+    setBankDraws(settings?.bankDraws);
+    setPowerUpSettings(settings?.powerUpSettings);
     if (!settings) return;
 
     const setChecked = (id, val) => { const el = dom.get(id); if (el) el.checked = !!val; };
@@ -48,12 +68,22 @@ export function restoreSettings(settings) {
     // `manualAdvance` key; they inherit the default rather than being
     // silently switched to auto-advance.
     setChecked('manual-advancement', settings.manualAdvance ?? true);
+    setChecked('enable-power-ups', settings.powerUpsEnabled);
     // Quizzes saved before this toggle existed keep the old behaviour (shown).
     setChecked('show-leaderboard-between', settings.showLeaderboardBetweenQuestions ?? true);
     setChecked('consensus-mode', settings.consensusMode);
     setValue('consensus-threshold', settings.consensusThreshold ?? '66');
     setValue('discussion-time', settings.discussionTime ?? 30);
     setChecked('allow-chat', settings.allowChat);
+    setChecked('team-mode', settings.teamMode);
+    setValue('team-count', settings.teamCount ?? 2);
+    setValue('team-aggregation', settings.teamAggregation ?? 'sum');
+    setValue('team-assignment', settings.teamAssignment ?? 'auto');
+    setChecked('elimination-mode', settings.eliminationMode);
+    setValue('elimination-slowest-percent', settings.eliminationSlowestPercent ?? 0);
+    setValue('elimination-revival-every', settings.eliminationRevivalEvery ?? 0);
+    setChecked('adaptive-mode', settings.adaptiveMode);
+    setValue('adaptive-question-count', settings.adaptiveQuestionCount ?? 0);
 
     // Restore scoring config (backward-compatible: missing = defaults)
     const sc = settings.scoringConfig;
@@ -66,6 +96,14 @@ export function restoreSettings(settings) {
             setValue('medium-multiplier', dm.medium ?? 2);
             setValue('hard-multiplier', dm.hard ?? 3);
         }
+        const streak = sc.streakBonus;
+        setChecked('streak-bonus-enabled', streak?.enabled);
+        setValue('streak-bonus-step', streak?.stepPercent ?? DEFAULT_STREAK_BONUS.stepPercent);
+        setValue('streak-bonus-max', streak?.maxPercent ?? DEFAULT_STREAK_BONUS.maxPercent);
+        const comeback = sc.comebackBonus;
+        setChecked('comeback-bonus-enabled', comeback?.enabled);
+        setValue('comeback-bonus-misses', comeback?.afterMisses ?? DEFAULT_COMEBACK_BONUS.afterMisses);
+        setValue('comeback-bonus-percent', comeback?.percent ?? DEFAULT_COMEBACK_BONUS.percent);
     }
 
     logger.debug('Game settings restored from quiz file');
@@ -19,8 +19,12 @@ import { authManager } from '../utils/auth-manager.js';
 import { manimEditor } from './manim-editor.js';
 import { resolveTimeLimit } from '../utils/question-utils.js';
 import * as settings from './modules/settings-persistence.js';
+import { initPowerUpSettings } from './modules/power-up-settings.js';
 import * as io from './modules/import-export.js';
+import * as paper from './modules/paper-test.js';
 import * as editing from './modules/question-editing.js';
+import { extractBranching } from './modules/question-branching-editor.js';
+import { validateBranching } from '../utils/question-branching.js';
 
 export class QuizManager {
     constructor(uiManager) {
@@ -55,12 +59,14 @@ export class QuizManager {
         // Bind cleanup method
         this.cleanup = this.cleanup.bind(this);
 
-        // Defer Manim init until DOM is fully loaded
+        // Defer Manim and power-up panel init until DOM is fully loaded
         const initVideo = () => this._initExistingVideoSections();
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', initVideo);
+            document.addEventListener('DOMContentLoaded', initPowerUpSettings);
         } else {
             setTimeout(initVideo, 0);
+            initPowerUpSettings();
         }
 
         // Also init video sections for questions added via the "Add Question" button
@@ -318,6 +324,9 @@ export class QuizManager {
             questionData.concepts = concepts;
         }
 
+        // Extract optional branching label and rule
+        Object.assign(questionData, extractBranching(questionElement));
+
         // Use QuestionTypeRegistry for type-specific data extraction
         Object.assign(questionData, QuestionTypeRegistry.extractData(questionType, questionElement));
 
@@ -365,6 +374,13 @@ export class QuizManager {
                     return 'invalid_ordering';
                 }
                 break;
+            case 'text-input':
+                if (!question.acceptedAnswers?.length) return 'text_input_needs_answer';
+                break;
+            case 'matching':
+                if (!(question.pairs?.length >= 2)) return 'matching_needs_two_pairs';
+                if (!QuestionTypeRegistry.validate('matching', question).valid) return 'invalid_matching';
+                break;
         }
         return null;
     }
@@ -390,9 +406,24 @@ export class QuizManager {
             }
         });
 
+        // Branching rules: known labels and no way round in circles
+        validateBranching(questions).forEach(({ index, messageKey }) => {
+            errors.push(`Question ${index + 1}: ${translationManager.getTranslationSync(messageKey)}`);
+        });
+
         return errors;
     }
 
+    /**
+     * Library file of the quiz in the editor: set when it was loaded from one
+     * and still has its title (a renamed quiz saves as a new file)
+     * @returns {string|null}
+     */
+    getLoadedFilename() {
+        const title = dom.get('quiz-title')?.value?.trim();
+        return this._loadedFilename && this._loadedTitle === title ? this._loadedFilename : null;
+    }
+
     /**
      * Save quiz - shows modal for optional password
      */
@@ -1346,9 +1377,24 @@ export class QuizManager {
 
     /**
      * Export quiz to file
+     * @param {string} [format] - Export format (default: .quizix package)
+     */
+    async exportQuiz(format) {
+        return io.exportQuiz(this, format);
+    }
+
+    /**
+     * Show the export format dialog
+     */
+    showExportModal() {
+        return io.showExportModal(this);
+    }
+
+    /**
+     * Show the paper test dialog (printable worksheets of the quiz)
      */
-    async exportQuiz() {
-        return io.exportQuiz(this);
+    showPaperTestModal() {
+        return paper.showPaperTestModal(this);
     }
 
     /**
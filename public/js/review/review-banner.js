@@ -0,0 +1,44 @@
+/**
+ * Review Banner
+ * Main-menu banner offering "Review due items" while the learner's review
+ * queue (review-queue.js) has questions due. Hidden otherwise.
+ */
+
+import { logger } from '../core/config.js';
+import { dom, show, hide } from '../utils/dom.js';
+import { getTranslation } from '../utils/translation-manager.js';
+import { reviewQueue } from './review-queue.js';
+
+/**
+ * Show or hide the banner for the current due count
+ */
+function renderBanner() {
+    const banner = dom.get('review-due-banner');
+    if (!banner) return;
+
+    const dueCount = reviewQueue.getDueCount();
+    if (dueCount === 0) {
+        hide(banner);
+        return;
+    }
+
+    // textContent = XSS-safe
+    const detail = dom.get('review-due-count');
+    if (detail) {
+        detail.textContent = getTranslation('review_due_count', [dueCount]) || `${dueCount} questions due`;
+    }
+    show(banner);
+}
+
+/**
+ * Wire the banner and load the review queue
+ * @param {Function} onStart - Starts a review session
+ */
+export function initReviewBanner(onStart) {
+    dom.get('review-due-btn')?.addEventListener('click', () => onStart());
+    window.addEventListener('review-queue-changed', renderBanner);
+    document.addEventListener('languageChanged', renderBanner);
+
+    reviewQueue.init();
+    logger.debug('Review banner initialized');
+}
@@ -0,0 +1,442 @@
+/**
+ * Review Queue
+ * Spaced-repetition queue of the questions a learner missed in live games and
+ * practice. Scheduling is SM-2: each review grades the answer 0-5, a failed
+ * item starts over at one day, a passed one waits 1, 6, then interval × ease
+ * days, and the ease factor drifts with how easy the answers were.
+ *
+ * The queue lives in localStorage, or on the server (`/api/review`) when the
+ * learner is signed in; items collected while signed out move to the account
+ * at the next sign-in. The scheduling itself always runs here.
+ */
+
+import { logger } from '../core/config.js';
+import { APIHelper } from '../utils/api-helper.js';
+import { authManager } from '../utils/auth-manager.js';
+import { getJSON, setJSON, removeItem } from '../utils/storage-utils.js';
+
+// Mirrors MAX_REVIEW_ITEMS in services/validation-schemas.js
+export const MAX_REVIEW_ITEMS = 500;
+
+// Questions per "Review due items" session
+export const REVIEW_SESSION_SIZE = 10;
+
+const STORAGE_KEY = 'reviewQueue';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_EASE = 5;
+const MAX_INTERVAL_DAYS = 3650;
+
+// SM-2 grades below this count as a lapse
+const PASSING_GRADE = 3;
+
+// What an item keeps of a question; mirrors REVIEW_QUESTION_FIELDS in services/game.js
+const QUESTION_FIELDS = [
+    'type', 'question', 'options', 'correctAnswer', 'correctIndex', 'correctAnswers',
+    'correctIndices', 'correctOrder', 'acceptedAnswers', 'fuzzyThreshold', 'tolerance',
+    'pairs', 'difficulty', 'timeLimit', 'explanation', 'image', 'concepts'
+];
+
+/**
+ * Copy of a question with only what a review needs to replay and score it
+ * @param {Object} question - Question from a quiz or a 'game-end' payload
+ * @returns {Object}
+ */
+export function toReviewQuestion(question) {
+    const copy = { type: 'multiple-choice' };
+    QUESTION_FIELDS.forEach(field => {
+        if (question[field] !== undefined) copy[field] = question[field];
+    });
+    // Older quiz files use `time`
+    if (copy.timeLimit === undefined && question.time !== undefined) {
+        copy.timeLimit = question.time;
+    }
+    return copy;
+}
+
+/**
+ * Stable ID for a question, so the same question missed again (in any quiz)
+ * updates its existing item. 32-bit FNV-1a over the parts that identify it.
+ * @param {Object} question - Question data
+ * @returns {string} Base-36 hash
+ */
+export function questionKey(question) {
+    const source = [
+        question.type || 'multiple-choice',
+        question.question,
+        JSON.stringify(question.options || question.pairs || [])
+    ].join('|');
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < source.length; i++) {
+        hash ^= source.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Concept tags of an item's question
+ * @param {Object} item - Review item
+ * @returns {string[]}
+ */
+function conceptsOf(item) {
+    return Array.isArray(item.question?.concepts) ? item.question.concepts : [];
+}
+
+/**
+ * SM-2 ease factor after a review
+ * @param {number} ease - Current ease factor
+ * @param {number} grade - Answer grade, 0-5
+ * @returns {number}
+ */
+function nextEase(ease, grade) {
+    const miss = 5 - grade;
+    const updated = ease + 0.1 - miss * (0.08 + miss * 0.02);
+    return Math.round(Math.min(MAX_EASE, Math.max(MIN_EASE, updated)) * 100) / 100;
+}
+
+/**
+ * SM-2 grade for an answer recorded by LocalGameSession
+ * @param {Object|undefined} answer - Entry from playerAnswers (undefined when never reached)
+ * @param {number} timeLimitSec - Question time limit
+ * @returns {number} 0 (no answer) to 5 (correct in under half the time)
+ */
+export function gradeAnswer(answer, timeLimitSec) {
+    if (!answer || answer.timedOut || answer.answer === null) return 0;
+
+    const { isCorrect } = answer;
+    if (isCorrect === true || isCorrect === 1) {
+        return answer.responseTime < (timeLimitSec * 1000) / 2 ? 5 : 4;
+    }
+    // Partial credit (ordering, matching)
+    if (typeof isCorrect === 'number' && isCorrect >= 0.5) return PASSING_GRADE;
+    return 1;
+}
+
+/**
+ * Schedule an item after a review
+ * @param {Object} item - Review item
+ * @param {number} grade - Answer grade, 0-5
+ * @param {number} [now] - Review time (ms)
+ * @returns {Object} Updated item
+ */
+export function scheduleReview(item, grade, now = Date.now()) {
+    const ease = nextEase(item.ease, grade);
+    const lastReviewed = new Date(now).toISOString();
+
+    if (grade < PASSING_GRADE) {
+        return {
+            ...item,
+            ease,
+            reps: 0,
+            lapses: item.lapses + 1,
+            interval: 1,
+            due: new Date(now + DAY_MS).toISOString(),
+            lastReviewed
+        };
+    }
+
+    const reps = item.reps + 1;
+    let interval;
+    if (reps === 1) interval = 1;
+    else if (reps === 2) interval = 6;
+    else interval = Math.min(MAX_INTERVAL_DAYS, Math.round(Math.max(item.interval, 1) * ease));
+
+    return {
+        ...item,
+        ease,
+        reps,
+        interval,
+        due: new Date(now + interval * DAY_MS).toISOString(),
+        lastReviewed
+    };
+}
+
+/**
+ * Add missed questions to a list of items. A question already in the queue
+ * lapses and is due again right away; a new one is due right away.
+ * @param {Object[]} items - Current items
+ * @param {Object[]} questions - Missed questions (playable copies)
+ * @param {string} [quizTitle] - Quiz the questions came from
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object[]} New item list
+ */
+export function mergeMissed(items, questions, quizTitle, now = Date.now()) {
+    const byId = new Map(items.map(item => [item.id, item]));
+    const nowIso = new Date(now).toISOString();
+
+    questions.map(toReviewQuestion).forEach(question => {
+        const id = questionKey(question);
+        const existing = byId.get(id);
+        byId.set(id, existing
+            ? {
+                ...existing,
+                question,
+                ease: nextEase(existing.ease, 1),
+                reps: 0,
+                lapses: existing.lapses + 1,
+                interval: 0,
+                due: nowIso
+            }
+            : {
+                id,
+                question,
+                ...(quizTitle && { quizTitle: String(quizTitle).slice(0, 200) }),
+                ease: INITIAL_EASE,
+                interval: 0,
+                reps: 0,
+                lapses: 0,
+                due: nowIso,
+                added: nowIso,
+                lastReviewed: null
+            });
+    });
+
+    return capItems([...byId.values()]);
+}
+
+/**
+ * Keep the queue within MAX_REVIEW_ITEMS, dropping the best-learned items
+ * (longest interval) first
+ * @param {Object[]} items
+ * @returns {Object[]}
+ */
+function capItems(items) {
+    if (items.length <= MAX_REVIEW_ITEMS) return items;
+    return [...items]
+        .sort((a, b) => a.interval - b.interval || Date.parse(a.due) - Date.parse(b.due))
+        .slice(0, MAX_REVIEW_ITEMS);
+}
+
+/**
+ * Order items so consecutive questions come from different concepts where
+ * possible (interleaved practice): always take from the concept with the most
+ * items left, other than the one just used. Untagged items stand alone.
+ * @param {Object[]} items - Items in priority order
+ * @returns {Object[]}
+ */
+export function interleaveByConcept(items) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = conceptsOf(item)[0]?.toLowerCase() ?? `\u0000${item.id}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+
+    const queues = [...groups.values()];
+    const ordered = [];
+    let last = null;
+    while (ordered.length < items.length) {
+        const candidates = queues
+            .filter(queue => queue.length > 0)
+            .sort((a, b) => b.length - a.length);
+        const next = candidates.find(queue => queue !== last) || candidates[0];
+        ordered.push(next.shift());
+        last = next;
+    }
+    return ordered;
+}
+
+/**
+ * Pick the items for a review session: the most overdue due items, topped up
+ * with not-yet-due items that share a concept with them, interleaved by concept
+ * @param {Object[]} items - All items
+ * @param {number} [now] - Current time (ms)
+ * @param {number} [size] - Session size
+ * @returns {Object[]} Empty when nothing is due
+ */
+export function buildReviewSession(items, now = Date.now(), size = REVIEW_SESSION_SIZE) {
+    const isDue = item => Date.parse(item.due) <= now;
+    const byDue = (a, b) => Date.parse(a.due) - Date.parse(b.due);
+
+    const picked = items.filter(isDue).sort(byDue).slice(0, size);
+    if (picked.length > 0 && picked.length < size) {
+        const concepts = new Set(picked.flatMap(item => conceptsOf(item).map(c => c.toLowerCase())));
+        const related = items
+            .filter(item => !isDue(item) && conceptsOf(item).some(c => concepts.has(c.toLowerCase())))
+            .sort(byDue)
+            .slice(0, size - picked.length);
+        picked.push(...related);
+    }
+    return interleaveByConcept(picked);
+}
+
+/**
+ * Combine two item lists, keeping the more recently touched copy of an item
+ * @param {Object[]} a
+ * @param {Object[]} b
+ * @returns {Object[]}
+ */
+function mergeItemLists(a, b) {
+    const touched = item => Date.parse(item.lastReviewed || item.added) || 0;
+    const byId = new Map(a.map(item => [item.id, item]));
+    b.forEach(item => {
+        const existing = byId.get(item.id);
+        if (!existing || touched(item) > touched(existing)) byId.set(item.id, item);
+    });
+    return capItems([...byId.values()]);
+}
+
+export class ReviewQueue {
+    constructor() {
+        /** @type {Object[]} */
+        this.items = [];
+        /** @type {Promise<void>|null} */
+        this._loading = null;
+        this._initialized = false;
+    }
+
+    /**
+     * Load the queue and follow sign-in changes. Safe to call more than once.
+     */
+    init() {
+        if (this._initialized) return;
+        this._initialized = true;
+        window.addEventListener('auth-changed', () => this.load());
+        this.load();
+    }
+
+    /**
+     * Wait for the current load to finish
+     * @returns {Promise<void>}
+     */
+    async ready() {
+        if (!this._loading) this.load();
+        await this._loading;
+    }
+
+    /**
+     * (Re)load the queue from the account or from localStorage
+     * @returns {Promise<void>}
+     */
+    load() {
+        this._loading = this._load().catch(error => {
+            logger.warn('[ReviewQueue] Failed to load review queue:', error.message);
+        });
+        return this._loading;
+    }
+
+    async _load() {
+        const stored = getJSON(STORAGE_KEY, []);
+        const localItems = Array.isArray(stored) ? stored.filter(item => item && item.id) : [];
+
+        if (!authManager.isAuthenticated) {
+            this.items = localItems;
+            this._notify();
+            return;
+        }
+
+        const data = await APIHelper.fetchAPIJSON('api/review', { credentials: 'same-origin' });
+        this.items = Array.isArray(data.items) ? data.items : [];
+
+        // Items collected while signed out move to the account
+        if (localItems.length > 0) {
+            this.items = mergeItemLists(this.items, localItems);
+            if (await this._saveToAccount()) {
+                removeItem(STORAGE_KEY);
+            }
+        }
+        this._notify();
+    }
+
+    /**
+     * Save to the account, falling back to localStorage so nothing is lost
+     * (it is merged into the account at the next load)
+     * @returns {Promise<boolean>} Whether the account save succeeded
+     */
+    async _saveToAccount() {
+        try {
+            const response = await APIHelper.fetchAPI('api/review', {
+                method: 'PUT',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ items: this.items })
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return true;
+        } catch (error) {
+            logger.warn('[ReviewQueue] Failed to save review queue to the account:', error.message);
+            setJSON(STORAGE_KEY, this.items);
+            return false;
+        }
+    }
+
+    /**
+     * Persist the queue and tell listeners
+     * @returns {Promise<void>}
+     */
+    async save() {
+        this.items = capItems(this.items);
+        if (authManager.isAuthenticated) {
+            await this._saveToAccount();
+        } else {
+            setJSON(STORAGE_KEY, this.items);
+        }
+        this._notify();
+    }
+
+    _notify() {
+        window.dispatchEvent(new CustomEvent('review-queue-changed', {
+            detail: { dueCount: this.getDueCount() }
+        }));
+    }
+
+    /**
+     * Add questions the learner missed
+     * @param {Object[]} questions - Playable question copies
+     * @param {string} [quizTitle] - Quiz they came from
+     * @returns {Promise<void>}
+     */
+    async addMissed(questions, quizTitle) {
+        if (!Array.isArray(questions) || questions.length === 0) return;
+        await this.ready();
+        this.items = mergeMissed(this.items, questions.filter(q => q && q.question), quizTitle);
+        logger.debug(`[ReviewQueue] Added ${questions.length} missed question(s); ${this.items.length} in queue`);
+        await this.save();
+    }
+
+    /**
+     * Reschedule reviewed items
+     * @param {Array<{id: string, grade: number}>} reviews - Grades from a review session
+     * @returns {Promise<void>}
+     */
+    async recordReviews(reviews) {
+        await this.ready();
+        const now = Date.now();
+        const grades = new Map(reviews.map(review => [review.id, review.grade]));
+        this.items = this.items.map(item => (grades.has(item.id) ? scheduleReview(item, grades.get(item.id), now) : item));
+        await this.save();
+    }
+
+    /**
+     * Number of items due now
+     * @param {string[]} [excludeIds] - Items to leave out (e.g. the ones just reviewed)
+     * @returns {number}
+     */
+    getDueCount(excludeIds = []) {
+        const now = Date.now();
+        const excluded = new Set(excludeIds);
+        return this.items.filter(item => !excluded.has(item.id) && Date.parse(item.due) <= now).length;
+    }
+
+    /**
+     * Earliest upcoming due date, or null for an empty queue
+     * @returns {string|null}
+     */
+    getNextDue() {
+        return this.items.reduce((next, item) => (!next || item.due < next ? item.due : next), null);
+    }
+
+    /**
+     * Items for a review session (see buildReviewSession)
+     * @returns {Object[]}
+     */
+    buildSession() {
+        return buildReviewSession(this.items);
+    }
+}
+
+export const reviewQueue = new ReviewQueue();
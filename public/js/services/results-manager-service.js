@@ -249,6 +249,39 @@ export class ResultsManagerService {
         }
     }
 
+    /**
+     * Download every player's report card for a result, as a zip of HTML or PDF files
+     * @param {string} filename - Result filename
+     * @param {string} [format='html'] - 'html' or 'pdf'
+     * @returns {Promise<string>} Downloaded file name
+     */
+    async downloadReportCards(filename, format = 'html') {
+        try {
+            const response = await this.fetchWithRetry(APIHelper.getApiUrl(`api/results/${filename}/reports?format=${format}`));
+            if (!response.ok) {
+                throw new Error(`Failed to export report cards: ${response.status}`);
+            }
+
+            const gamePin = filename.match(/results_(\d+)_/)?.[1] || 'unknown';
+            const downloadFilename = `report_cards_${gamePin}_${format}.zip`;
+            const url = window.URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = downloadFilename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+
+            logger.debug(`📊 Report cards downloaded as ${downloadFilename}`);
+            return downloadFilename;
+        } catch (error) {
+            logger.error(`❌ Error downloading report cards for ${filename}:`, error);
+            this.notifyListeners('error', error);
+            throw error;
+        }
+    }
+
     /**
      * Delete result
      */
@@ -8,6 +8,8 @@ import { unifiedErrorHandler as errorBoundary } from '../utils/unified-error-han
 import { logger, UI, TIMING } from '../core/config.js';
 import { uiStateManager } from '../utils/ui-state-manager.js';
 import { show, hide } from '../utils/dom.js';
+import { RosterPicker } from '../game/modules/roster-picker.js';
+import { reviewQueue } from '../review/review-queue.js';
 
 // How long to wait for the server's answer to 'player-join' before resending it.
 // Covers the slow case (phone still opening the socket over the tunnel) plus one
@@ -16,6 +18,10 @@ const JOIN_RESPONSE_TIMEOUT_MS = 6000;
 const JOIN_MAX_ATTEMPTS = 2;
 
 const RECONNECT_KEY = 'quizix_reconnect';
+// How long a disconnected host keeps trying host-rejoin. A plain network drop
+// gets 30s on the server, but a game resumed after a server restart waits 2
+// minutes — the restart itself eats into the window.
+const HOST_REJOIN_WINDOW_MS = 2 * 60 * 1000;
 const DEVICE_ID_KEY = 'quizix_device_id';
 const SESSION_BINDING_KEY = 'quizix_session_binding';
 
@@ -52,7 +58,8 @@ export class SocketManager {
         this.currentPlayerName = null; // Store current player name for language updates
         this.abortController = new AbortController(); // For cleanup of event listeners
         this._isReconnecting = false; // Guard: prevent session-check during socket reconnects
-        this._pendingJoin = null; // In-flight player-join attempt: { pin, playerName, attempts, timerId }
+        this._pendingJoin = null; // In-flight player-join attempt: { pin, playerName, studentClaim, attempts, timerId }
+        this.rosterPicker = new RosterPicker(socket); // Join-screen student roster controls
 
         // Cached DOM element references (lazy-loaded)
         this._cachedElements = {};
@@ -190,7 +197,8 @@ export class SocketManager {
             }
 
             // 🔧 FIX: Initialize empty player list for new lobby to prevent phantom players
-            this.gameManager.updatePlayersList([]);
+            // Team mode: the teams arrive here so the host lobby can label them
+            this.gameManager.updatePlayersList([], data.teams || []);
             this._lastPlayerCount = 0; // Reset player count tracking for join sounds
             logger.debug('🧹 Initialized empty player list for new lobby');
 
@@ -292,6 +300,11 @@ export class SocketManager {
             this.uiManager.showScreen('player-lobby');
         });
 
+        // Roster of the game whose PIN is on the join screen
+        this.socket.on('game-roster', (data) => {
+            this.rosterPicker.render(data);
+        });
+
         // Handle player name change response
         this.socket.on('name-changed', (data) => {
             logger.debug('Name changed:', data);
@@ -325,9 +338,12 @@ export class SocketManager {
             // Initialize consensus mode (resets cleanly when config is null/disabled)
             this.gameManager.initializeConsensusMode(data.consensusConfig);
 
+            // Survivors counter / ghost banner (turned off when elimination is null)
+            this.gameManager.initializeElimination(data.elimination);
+
             // Initialize power-ups for players (not host)
             if (!isHost && data.powerUpsEnabled) {
-                this.gameManager.initializePowerUps(true);
+                this.gameManager.initializePowerUps(true, data.powerUps);
             }
 
             if (isHost) {
@@ -338,22 +354,10 @@ export class SocketManager {
         });
 
         // Power-up result handler
+        // Effects arrive already mapped to the player's shuffled option order
         this.socket.on('power-up-result', (data) => {
             logger.debug('Power-up result:', data);
-            if (data.success) {
-                // Handle specific power-up effects
-                if (data.type === 'fifty-fifty' && data.hiddenOptions) {
-                    // Apply 50-50 effect using the server-computed hidden option
-                    // indices (already mapped to the player's shuffled order)
-                    this.gameManager.getPowerUpManager()?.applyHiddenOptions(data.hiddenOptions);
-                } else if (data.type === 'extend-time' && data.extraSeconds) {
-                    // Extend time effect is handled locally
-                    this.gameManager.timerManager?.extendTime(data.extraSeconds);
-                }
-                // double-points is handled automatically in scoring
-            } else {
-                logger.warn('Power-up failed:', data.error);
-            }
+            this.gameManager.applyPowerUpResult(data);
         });
 
         this.socket.on('question-start', errorBoundary.safeSocketHandler((data) => {
@@ -518,10 +522,19 @@ export class SocketManager {
 
             // Clear any remaining timers and show final results
             this.gameManager.stopTimer();
-            this.gameManager.showFinalResults(data.finalLeaderboard, data.conceptMastery);
+            this.gameManager.showFinalResults(data.finalLeaderboard, data.conceptMastery, data.teamLeaderboard);
+            this.gameManager.showReportCardLink(data.reportCard);
+            this.gameManager.showPlayerBadges(data.badges);
 
             // Mark player as having completed a game (hides first-game hints on next visit)
             localStorage.setItem('quiz_player_first_game', 'done');
+
+            // Players get the questions they missed, for their review queue
+            if (data.missedQuestions?.length > 0) {
+                reviewQueue.addMissed(data.missedQuestions, data.quizTitle).catch(error => {
+                    logger.warn('Failed to add missed questions to the review queue:', error);
+                });
+            }
         });
 
         // Handle game reset for rematch
@@ -574,6 +587,12 @@ export class SocketManager {
             this.gameManager.showAnswerSubmitted(data.answer);
         });
 
+        // Second chance: the wrong answer was not recorded, answer again
+        this.socket.on('answer-retry', (data) => {
+            logger.debug('Answer retry:', data);
+            this.gameManager.allowAnswerRetry(data.pointsPercent);
+        });
+
         // Server already has an answer on record for this question. Re-sync the
         // local flag so a client that lost its submitted-state stops accepting input.
         this.socket.on('answer-already-submitted', (data) => {
@@ -614,7 +633,13 @@ export class SocketManager {
         // Show leaderboard
         this.socket.on('show-leaderboard', (data) => {
             logger.debug('Showing leaderboard:', data);
-            this.gameManager.showLeaderboard(data.leaderboard);
+            this.gameManager.showLeaderboard(data.leaderboard, data.teamLeaderboard);
+        });
+
+        // Elimination mode: who went out and who came back this question
+        this.socket.on('elimination-update', (data) => {
+            logger.debug('Elimination update:', data);
+            this.gameManager.applyEliminationUpdate(data);
         });
 
         // Live answer count updates (during question)
@@ -655,7 +680,7 @@ export class SocketManager {
                 }
             }
 
-            this.gameManager.updatePlayersList(data.players);
+            this.gameManager.updatePlayersList(data.players, data.teams);
 
             // Update player count in lobby if we're in player lobby
             if (this.uiManager.currentScreen === 'player-lobby') {
@@ -752,6 +777,20 @@ export class SocketManager {
             translationManager.showAlert('info', reason);
         });
 
+        // Removed by the host. A banned player must not be pulled back in by
+        // the session binding or the reconnect data, so drop both.
+        this.socket.on('player-kicked', (data) => {
+            logger.info('Removed from game by host:', data);
+            localStorage.removeItem(SESSION_BINDING_KEY);
+            this._hideReconnectionOverlay();
+            this._clearReconnectionData();
+            this._hideRejoinBanner();
+            this.gameManager.stopTimer();
+            this.gameManager.resetGameState();
+            this.uiManager.showScreen('main-menu');
+            translationManager.showAlert('info', this._resolveServerMessage(data, 'player_kicked_notice'));
+        });
+
         this.socket.on('host-preparing-new-game', (data) => {
             logger.info('Host is preparing a new game, waiting for migration...');
 
@@ -779,7 +818,7 @@ export class SocketManager {
             // Try host rejoin first
             try {
                 const hostData = JSON.parse(sessionStorage.getItem('quizix_host_reconnect') || 'null');
-                if (hostData?.pin && (Date.now() - hostData.savedAt) < 30000) {
+                if (hostData?.pin && (Date.now() - hostData.savedAt) < HOST_REJOIN_WINDOW_MS) {
                     this.socket.emit('host-rejoin', { pin: hostData.pin, token: hostData.token });
                     sessionStorage.removeItem('quizix_host_reconnect');
                     return;
@@ -832,6 +871,12 @@ export class SocketManager {
                 logger.warn('Failed to update reconnection data:', e);
             }
 
+            // Rebuild the power-up bar with the uses this player has left
+            if (data.powerUps) {
+                this.gameManager.initializePowerUps(true, data.powerUps, data.powerUpState);
+            }
+            this.gameManager.initializeElimination(data.elimination);
+
             // Show appropriate screen based on game status
             if (data.gameStatus === 'lobby') {
                 this.uiManager.showScreen('player-lobby');
@@ -1024,7 +1069,7 @@ export class SocketManager {
     joinGame(pin, playerName) {
         logger.debug('Joining game:', { pin, playerName, connected: this.socket.connected });
         this.cancelPendingJoin();
-        this._pendingJoin = { pin, playerName, attempts: 0 };
+        this._pendingJoin = { pin, playerName, studentClaim: this.rosterPicker.getClaim(), attempts: 0 };
         this._setJoinBusy(true);
         this._sendJoinAttempt();
     }
@@ -1040,7 +1085,8 @@ export class SocketManager {
         this.socket.emit('player-join', {
             pin: pending.pin,
             name: pending.playerName,
-            deviceId: getOrCreateDeviceId()
+            deviceId: getOrCreateDeviceId(),
+            ...pending.studentClaim
         });
 
         pending.timerId = setTimeout(() => {
@@ -1274,6 +1320,30 @@ export class SocketManager {
         this.socket.emit('next-question');
     }
 
+    /**
+     * Remove a player from the hosted game (host only)
+     * @param {string} playerId - Socket ID of the player to remove
+     * @param {boolean} [ban=false] - Also refuse the player's name and device for the rest of the game
+     */
+    removePlayer(playerId, ban = false) {
+        const pin = this.gameManager.stateManager?.gamePin;
+        if (!pin || !playerId) return;
+        logger.debug(`${ban ? 'Banning' : 'Kicking'} player ${playerId}`);
+        this.socket.emit(ban ? 'ban-player' : 'kick-player', { pin, playerId });
+    }
+
+    /**
+     * Move a player to another team (host only, team mode lobby)
+     * @param {string} playerId - Socket ID of the player
+     * @param {number} teamId - Target team ID
+     */
+    assignTeam(playerId, teamId) {
+        const pin = this.gameManager.stateManager?.gamePin;
+        if (!pin || !playerId) return;
+        logger.debug(`Moving player ${playerId} to team ${teamId}`);
+        this.socket.emit('assign-team', { pin, playerId, teamId });
+    }
+
     /**
      * Leave game
      */
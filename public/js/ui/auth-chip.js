@@ -24,12 +24,14 @@ function renderChip(chip) {
 
     if (authManager.isAuthenticated) {
         const u = authManager.user;
-        const initial = (u.username || '?').charAt(0).toUpperCase();
+        // Accounts from an LMS launch have a generated username and the LMS name
+        const label = u.displayName || u.username;
+        const initial = (label || '?').charAt(0).toUpperCase();
         chip.classList.remove('anonymous');
         avatar.textContent = initial;
-        name.textContent = u.username;
+        name.textContent = label;
         name.removeAttribute('data-translate');
-        chip.setAttribute('aria-label', t('auth_signed_in_as', 'Signed in as') + ' ' + u.username);
+        chip.setAttribute('aria-label', t('auth_signed_in_as', 'Signed in as') + ' ' + label);
         chip.setAttribute('title', t('auth_logout_tooltip', 'Click to log out'));
     } else {
         chip.classList.add('anonymous');
@@ -44,7 +46,7 @@ function renderChip(chip) {
 async function onChipClick() {
     if (authManager.isAuthenticated) {
         const msg = t('auth_logout_confirm', 'Log out?');
-        const confirmed = await confirmModal(`${msg} (${authManager.user.username})`, {
+        const confirmed = await confirmModal(`${msg} (${authManager.user.displayName || authManager.user.username})`, {
             confirmText: t('confirm_ok', 'OK'),
             cancelText: t('cancel', 'Cancel')
         });
@@ -0,0 +1,303 @@
+/**
+ * Assignment Modal Component
+ * Publishes a saved quiz as a self-paced homework assignment and lists the
+ * assignments already published for it (share link, submissions, extend, delete)
+ */
+
+import { logger } from '../../core/config.js';
+import { translateOr as tr } from '../../utils/translation-manager.js';
+import { openModal, closeModal, createModalBindings, confirmModal } from '../../utils/modal-utils.js';
+import { escapeHtml, show, hide } from '../../utils/dom.js';
+import { APIHelper } from '../../utils/api-helper.js';
+import { toastNotifications } from '../../utils/toast-notifications.js';
+
+const DEFAULT_DURATION_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a Date for a datetime-local input (local time, minute precision)
+ */
+function toLocalInputValue(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Format an ISO date for display
+ */
+function formatDate(iso) {
+    return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Status of an assignment summary, matching AssignmentService.getStatus
+ */
+function statusOf(assignment, now = Date.now()) {
+    if (now < Date.parse(assignment.opensAt)) return 'scheduled';
+    if (now >= Date.parse(assignment.closesAt)) return 'closed';
+    return 'open';
+}
+
+/**
+ * Share link students open to take the assignment
+ */
+function shareLink(code) {
+    return `${APIHelper.getBaseUrl()}?assignment=${code}`;
+}
+
+export class AssignmentModal {
+    constructor() {
+        this.modal = null;
+        this.bindings = null;
+        this.quizFilename = null;
+        this.assignments = [];
+
+        this.createModal();
+    }
+
+    /**
+     * Create the modal DOM structure
+     */
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.id = 'assignment-modal';
+        this.modal.className = 'modal assignment-modal';
+        this.modal.classList.add('hidden');
+
+        this.modal.innerHTML = `
+            <div class="modal-content assignment-modal-content">
+                <h3 class="assignment-modal-title"></h3>
+                <p class="assignment-modal-message"></p>
+
+                <div class="assignment-modal-fields">
+                    <div class="assignment-modal-field">
+                        <label class="assignment-modal-label" for="assignment-opens-input"></label>
+                        <input type="datetime-local" id="assignment-opens-input" class="assignment-modal-input" />
+                    </div>
+                    <div class="assignment-modal-field">
+                        <label class="assignment-modal-label" for="assignment-closes-input"></label>
+                        <input type="datetime-local" id="assignment-closes-input" class="assignment-modal-input" />
+                    </div>
+                </div>
+
+                <p class="assignment-modal-error hidden"></p>
+
+                <div class="assignment-modal-actions">
+                    <button class="btn btn-secondary assignment-cancel-btn"></button>
+                    <button class="btn btn-primary assignment-publish-btn"></button>
+                </div>
+
+                <h4 class="assignment-list-title"></h4>
+                <ul class="assignment-list"></ul>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.assignment-cancel-btn').addEventListener('click', () => this.close());
+        this.modal.querySelector('.assignment-publish-btn').addEventListener('click', () => this.handlePublish());
+        this.modal.querySelector('.assignment-list').addEventListener('click', (e) => this.handleListClick(e));
+
+        this.bindings = createModalBindings(this.modal, () => this.close());
+    }
+
+    /**
+     * Open the modal for a quiz
+     * @param {string} filename - Quiz filename
+     * @param {string} [displayName] - Quiz name shown in the message
+     */
+    async open(filename, displayName = '') {
+        this.quizFilename = filename;
+
+        const title = tr('assign_as_homework', 'Assign as Homework');
+        this.modal.querySelector('.assignment-modal-title').textContent =
+            displayName ? `${title}: ${displayName}` : title;
+        this.modal.querySelector('.assignment-modal-message').textContent =
+            tr('assignment_publish_hint', 'Students take the quiz at their own pace between these dates using the link.');
+
+        const labels = this.modal.querySelectorAll('.assignment-modal-label');
+        labels[0].textContent = tr('assignment_opens', 'Opens');
+        labels[1].textContent = tr('assignment_closes', 'Closes');
+        this.modal.querySelector('.assignment-cancel-btn').textContent = tr('close', 'Close');
+        this.modal.querySelector('.assignment-publish-btn').textContent = tr('assignment_publish', 'Publish');
+        this.modal.querySelector('.assignment-list-title').textContent =
+            tr('assignment_existing', 'Published assignments');
+
+        const now = new Date();
+        this.modal.querySelector('#assignment-opens-input').value = toLocalInputValue(now);
+        this.modal.querySelector('#assignment-closes-input').value =
+            toLocalInputValue(new Date(now.getTime() + DEFAULT_DURATION_DAYS * DAY_MS));
+        hide(this.modal.querySelector('.assignment-modal-error'));
+
+        openModal(this.modal);
+        await this.refreshList();
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        closeModal(this.modal);
+        this.quizFilename = null;
+    }
+
+    /**
+     * Reload the list of assignments for the current quiz
+     */
+    async refreshList() {
+        const list = this.modal.querySelector('.assignment-list');
+        if (!this.quizFilename) return;
+
+        try {
+            const assignments = await APIHelper.requestJSON(`api/assignments?quiz=${encodeURIComponent(this.quizFilename)}`);
+            this.renderList(assignments);
+        } catch (error) {
+            logger.error('Failed to load assignments:', error);
+            list.innerHTML = `<li class="assignment-list-empty">${escapeHtml(error.message)}</li>`;
+        }
+    }
+
+    /**
+     * Render assignment summaries
+     */
+    renderList(assignments) {
+        const list = this.modal.querySelector('.assignment-list');
+        this.assignments = assignments;
+        if (assignments.length === 0) {
+            list.innerHTML = `<li class="assignment-list-empty">${escapeHtml(tr('assignment_none', 'No assignments yet'))}</li>`;
+            return;
+        }
+
+        list.innerHTML = assignments.map(assignment => {
+            const status = statusOf(assignment);
+            const link = shareLink(assignment.code);
+            const submitted = tr('assignment_submissions', 'Submitted: {0}')
+                .replace('{0}', `${assignment.submittedCount}/${assignment.attemptCount}`);
+            return `
+                <li class="assignment-item" data-code="${escapeHtml(assignment.code)}">
+                    <div class="assignment-item-header">
+                        <span class="assignment-code ed-mono">${escapeHtml(assignment.code)}</span>
+                        <span class="assignment-status assignment-status-${status}">${escapeHtml(tr(`assignment_status_${status}`, status))}</span>
+                    </div>
+                    <div class="assignment-item-dates">
+                        ${escapeHtml(formatDate(assignment.opensAt))} – ${escapeHtml(formatDate(assignment.closesAt))}
+                    </div>
+                    <div class="assignment-item-stats">${escapeHtml(submitted)}</div>
+                    <div class="assignment-item-link">
+                        <input type="text" class="assignment-link-input" readonly value="${escapeHtml(link)}" />
+                        <button class="btn btn-secondary btn-sm" data-action="copy">${escapeHtml(tr('copy', 'Copy'))}</button>
+                    </div>
+                    <div class="assignment-item-actions">
+                        <button class="btn btn-secondary btn-sm" data-action="extend">${escapeHtml(tr('assignment_extend', 'Extend 1 day'))}</button>
+                        <button class="btn btn-secondary btn-sm assignment-delete-btn" data-action="delete">${escapeHtml(tr('delete', 'Delete'))}</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Publish the quiz with the entered dates
+     */
+    async handlePublish() {
+        const opens = this.modal.querySelector('#assignment-opens-input').value;
+        const closes = this.modal.querySelector('#assignment-closes-input').value;
+        if (!opens || !closes) {
+            this.showError(tr('error_assignment_invalid_dates', 'Invalid open or close date'));
+            return;
+        }
+
+        const opensAt = new Date(opens);
+        const closesAt = new Date(closes);
+        if (closesAt <= opensAt) {
+            this.showError(tr('error_assignment_close_before_open', 'The close date must be after the open date'));
+            return;
+        }
+
+        try {
+            await APIHelper.requestJSON('api/assignments', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    quizFilename: this.quizFilename,
+                    opensAt: opensAt.toISOString(),
+                    closesAt: closesAt.toISOString()
+                })
+            });
+            hide(this.modal.querySelector('.assignment-modal-error'));
+            toastNotifications.success(tr('assignment_published', 'Assignment published'));
+            await this.refreshList();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle copy / extend / delete on a listed assignment
+     */
+    async handleListClick(e) {
+        const button = e.target.closest('button[data-action]');
+        const item = button?.closest('.assignment-item');
+        if (!item) return;
+        const code = item.dataset.code;
+
+        try {
+            switch (button.dataset.action) {
+                case 'copy':
+                    await navigator.clipboard.writeText(shareLink(code));
+                    toastNotifications.success(tr('link_copied', 'Link copied'));
+                    break;
+
+                case 'extend': {
+                    const assignment = this.assignments.find(a => a.code === code);
+                    if (!assignment) return;
+                    // Extend from now if the assignment already closed
+                    const base = Math.max(Date.parse(assignment.closesAt), Date.now());
+                    await APIHelper.requestJSON(`api/assignments/${code}`, {
+                        method: 'PATCH',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ closesAt: new Date(base + DAY_MS).toISOString() })
+                    });
+                    await this.refreshList();
+                    break;
+                }
+
+                case 'delete': {
+                    const confirmed = await confirmModal(
+                        tr('confirm_delete_assignment', 'Delete this assignment? Submitted results are kept.'),
+                        { confirmText: tr('delete', 'Delete'), cancelText: tr('cancel', 'Cancel'), danger: true }
+                    );
+                    if (!confirmed) return;
+                    await APIHelper.requestJSON(`api/assignments/${code}?confirm=true`, { method: 'DELETE' });
+                    await this.refreshList();
+                    break;
+                }
+            }
+        } catch (error) {
+            logger.error('Assignment action failed:', error);
+            toastNotifications.error(error.message);
+        }
+    }
+
+    /**
+     * Show error message
+     */
+    showError(message) {
+        const errorEl = this.modal.querySelector('.assignment-modal-error');
+        errorEl.textContent = message;
+        show(errorEl, 'visible-block');
+    }
+
+    /**
+     * Destroy the modal
+     */
+    destroy() {
+        if (this.bindings?.cleanup) {
+            this.bindings.cleanup();
+        }
+        this.modal?.remove();
+    }
+}
+
+export default AssignmentModal;
@@ -6,6 +6,7 @@
 import { logger } from '../../core/config.js';
 import { escapeHtml, show, hide } from '../../utils/dom.js';
 import { translationManager } from '../../utils/translation-manager.js';
+import { authManager } from '../../utils/auth-manager.js';
 
 // Helper for shorter translation calls
 const t = (key) => translationManager.getTranslationSync(key);
@@ -116,7 +117,15 @@ export class ContextMenu {
             items.push(
                 { action: 'quick-start', label: t('quick_start') || 'Quick Start', icon: '&#9889;' },
                 { action: 'load', label: t('load') || 'Load', icon: '&#128194;' },
-                { action: 'practice', label: t('practice') || 'Practice', icon: '&#127919;' },
+                { action: 'practice', label: t('practice') || 'Practice', icon: '&#127919;' }
+            );
+
+            // Publishing as homework follows the edit gate: own or ownerless quizzes
+            if (authManager.isAuthenticated && (data.owned || !data.ownerId)) {
+                items.push({ action: 'assign', label: t('assign_as_homework') || 'Assign as Homework', icon: '&#128197;' });
+            }
+
+            items.push(
                 { type: 'separator' },
                 { action: 'rename', label: t('rename') || 'Rename', icon: '&#9998;' },
                 { action: 'move', label: t('move_to') || 'Move To...', icon: '&#128194;' }
@@ -0,0 +1,302 @@
+/**
+ * Gradebook Modal Component
+ * Export grades from one or more saved sessions as an LMS gradebook CSV,
+ * opened from the results viewer: pick the sessions, how scores are
+ * normalized, the grading scale and the LMS column layout.
+ */
+
+import { logger } from '../../core/config.js';
+import { translateOr as tr } from '../../utils/translation-manager.js';
+import { openModal, closeModal, createModalBindings } from '../../utils/modal-utils.js';
+import { escapeHtml, show, hide } from '../../utils/dom.js';
+import { APIHelper } from '../../utils/api-helper.js';
+
+/**
+ * Parse custom bands written as "90=A, 75=B, 0=C"
+ * @param {string} text
+ * @returns {Array<{min: number, grade: string}>|null} null when an entry is malformed
+ */
+export function parseGradeBands(text) {
+    const entries = String(text || '').split(/[,;\n]/).map(entry => entry.trim()).filter(Boolean);
+    const bands = entries.map(entry => {
+        const match = entry.match(/^(\d+(?:\.\d+)?)\s*[=:]\s*(.+)$/);
+        return match ? { min: Number(match[1]), grade: match[2].trim() } : null;
+    });
+    return bands.length > 0 && bands.every(Boolean) ? bands : null;
+}
+
+export class GradebookModal {
+    constructor() {
+        this.modal = null;
+        this.bindings = null;
+
+        this.createModal();
+    }
+
+    /**
+     * Create the modal DOM structure
+     */
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.id = 'gradebook-modal';
+        this.modal.className = 'modal gradebook-modal';
+        this.modal.classList.add('hidden');
+
+        this.modal.innerHTML = `
+            <div class="modal-content gradebook-modal-content">
+                <h3 class="gradebook-modal-title"></h3>
+                <p class="gradebook-modal-message"></p>
+
+                <form class="gradebook-form">
+                    <fieldset class="gradebook-sessions">
+                        <legend class="gradebook-sessions-label"></legend>
+                        <ul class="gradebook-session-list"></ul>
+                    </fieldset>
+
+                    <div class="gradebook-options">
+                        <label>
+                            <span class="gradebook-normalization-label"></span>
+                            <select name="normalization">
+                                <option value="percent"></option>
+                                <option value="partial"></option>
+                                <option value="points"></option>
+                            </select>
+                        </label>
+                        <label>
+                            <span class="gradebook-scale-label"></span>
+                            <select name="scale">
+                                <option value="none"></option>
+                                <option value="letter"></option>
+                                <option value="chile"></option>
+                                <option value="custom"></option>
+                            </select>
+                        </label>
+                        <label class="gradebook-pass-percent hidden">
+                            <span class="gradebook-pass-percent-label"></span>
+                            <input type="number" name="passPercent" min="1" max="99" value="60" />
+                        </label>
+                        <label class="gradebook-bands hidden">
+                            <span class="gradebook-bands-label"></span>
+                            <input type="text" name="bands" placeholder="90=A, 75=B, 50=C, 0=D" autocomplete="off" />
+                        </label>
+                        <label>
+                            <span class="gradebook-layout-label"></span>
+                            <select name="layout">
+                                <option value="generic"></option>
+                                <option value="moodle">Moodle</option>
+                                <option value="canvas">Canvas</option>
+                                <option value="classroom">Google Classroom</option>
+                            </select>
+                        </label>
+                    </div>
+                    <p class="gradebook-modal-error hidden"></p>
+
+                    <div class="gradebook-modal-actions">
+                        <button type="button" class="btn btn-secondary gradebook-close-btn"></button>
+                        <button type="submit" class="btn btn-primary gradebook-export-btn"></button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        const form = this.modal.querySelector('.gradebook-form');
+        this.modal.querySelector('.gradebook-close-btn').addEventListener('click', () => this.close());
+        form.elements.scale.addEventListener('change', () => this.updateScaleOptions());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleExport();
+        });
+
+        this.bindings = createModalBindings(this.modal, () => this.close());
+    }
+
+    /**
+     * Open the modal with the given sessions to choose from
+     * @param {Array<{filename: string, quizTitle?: string, gamePin?: string, saved?: string, participantCount?: number}>} results -
+     *   Result summaries, as listed by GET /api/results
+     * @param {string[]} [selected] - Filenames to pre-select
+     */
+    open(results, selected = []) {
+        this.modal.querySelector('.gradebook-modal-title').textContent = tr('gradebook_export', 'Export gradebook');
+        this.modal.querySelector('.gradebook-modal-message').textContent =
+            tr('gradebook_hint', 'One row per student and one column per session. Students are matched across sessions by their roster code, otherwise by name.');
+        this.modal.querySelector('.gradebook-sessions-label').textContent = tr('gradebook_sessions', 'Sessions');
+        this.modal.querySelector('.gradebook-normalization-label').textContent = tr('gradebook_normalization', 'Score');
+        this.modal.querySelector('.gradebook-scale-label').textContent = tr('gradebook_scale', 'Grading scale');
+        this.modal.querySelector('.gradebook-pass-percent-label').textContent = tr('gradebook_pass_percent', '% for a 4.0');
+        this.modal.querySelector('.gradebook-bands-label').textContent = tr('gradebook_bands', 'Bands (minimum %=grade)');
+        this.modal.querySelector('.gradebook-layout-label').textContent = tr('gradebook_layout', 'Layout');
+        this.modal.querySelector('.gradebook-close-btn').textContent = tr('close', 'Close');
+        this.modal.querySelector('.gradebook-export-btn').textContent = tr('export_csv', 'Export CSV');
+
+        const form = this.modal.querySelector('.gradebook-form');
+        const optionLabels = {
+            normalization: {
+                percent: tr('gradebook_normalization_percent', '% correct'),
+                partial: tr('gradebook_normalization_partial', '% with partial credit'),
+                points: tr('gradebook_normalization_points', 'Game points')
+            },
+            scale: {
+                none: tr('gradebook_scale_none', 'None (score only)'),
+                letter: tr('gradebook_scale_letter', 'Letter (A–F)'),
+                chile: tr('gradebook_scale_chile', 'Chilean (1.0–7.0)'),
+                custom: tr('gradebook_scale_custom', 'Custom bands')
+            },
+            layout: {
+                generic: tr('gradebook_layout_generic', 'Spreadsheet')
+            }
+        };
+        Object.entries(optionLabels).forEach(([name, labels]) => {
+            Object.entries(labels).forEach(([value, label]) => {
+                form.elements[name].querySelector(`option[value="${value}"]`).textContent = label;
+            });
+        });
+
+        this.renderSessions(results, selected);
+        this.updateScaleOptions();
+        hide(this.modal.querySelector('.gradebook-modal-error'));
+        openModal(this.modal);
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        closeModal(this.modal);
+    }
+
+    /**
+     * List the sessions, newest first
+     */
+    renderSessions(results, selected) {
+        const sorted = [...results].sort((a, b) => new Date(b.saved || 0) - new Date(a.saved || 0));
+        this.modal.querySelector('.gradebook-session-list').innerHTML = sorted.map(result => {
+            const date = result.saved ? new Date(result.saved).toLocaleDateString(undefined, { dateStyle: 'medium' }) : '';
+            const players = `${result.participantCount || 0} ${tr('players', 'players')}`;
+            return `
+                <li>
+                    <label>
+                        <input type="checkbox" value="${escapeHtml(result.filename)}" ${selected.includes(result.filename) ? 'checked' : ''} />
+                        <span class="gradebook-session-title">${escapeHtml(result.quizTitle || tr('untitled_quiz', 'Untitled Quiz'))}</span>
+                        <span class="gradebook-session-meta">${escapeHtml([date, `PIN ${result.gamePin || ''}`, players].filter(Boolean).join(' · '))}</span>
+                    </label>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the pass percentage or band fields for the scales that use them
+     */
+    updateScaleOptions() {
+        const scale = this.modal.querySelector('.gradebook-form').elements.scale.value;
+        const passPercent = this.modal.querySelector('.gradebook-pass-percent');
+        const bands = this.modal.querySelector('.gradebook-bands');
+        if (scale === 'chile') {
+            show(passPercent);
+        } else {
+            hide(passPercent);
+        }
+        if (scale === 'custom') {
+            show(bands);
+        } else {
+            hide(bands);
+        }
+    }
+
+    /**
+     * Request body from the form, or null after showing what is missing
+     */
+    readOptions() {
+        const form = this.modal.querySelector('.gradebook-form');
+        const files = [...form.querySelectorAll('.gradebook-session-list input:checked')].map(input => input.value);
+        if (files.length === 0) {
+            this.showError(tr('gradebook_select_sessions', 'Select at least one session'));
+            return null;
+        }
+
+        const options = {
+            files,
+            normalization: form.elements.normalization.value,
+            scale: form.elements.scale.value,
+            layout: form.elements.layout.value
+        };
+        if (options.scale === 'chile') {
+            options.passPercent = Number(form.elements.passPercent.value) || 60;
+        }
+        if (options.scale === 'custom') {
+            const bands = parseGradeBands(form.elements.bands.value);
+            if (!bands) {
+                this.showError(tr('gradebook_invalid_bands', 'Write bands as minimum %=grade, separated by commas (e.g. 90=A, 0=F)'));
+                return null;
+            }
+            options.bands = bands;
+        }
+        return options;
+    }
+
+    /**
+     * Export the gradebook and download the CSV
+     */
+    async handleExport() {
+        const options = this.readOptions();
+        if (!options) {
+            return;
+        }
+        hide(this.modal.querySelector('.gradebook-modal-error'));
+
+        const button = this.modal.querySelector('.gradebook-export-btn');
+        button.disabled = true;
+        try {
+            const response = await APIHelper.fetchAPI('api/gradebook/export', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(options)
+            });
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                const fallback = body.error || tr('error_failed_export_gradebook', 'Failed to export gradebook');
+                throw new Error(body.messageKey ? tr(body.messageKey, fallback) : fallback);
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'gradebook.csv';
+            const url = window.URL.createObjectURL(await response.blob());
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+            this.close();
+        } catch (error) {
+            logger.error('Gradebook export failed:', error);
+            this.showError(error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Show error message
+     */
+    showError(message) {
+        const errorEl = this.modal.querySelector('.gradebook-modal-error');
+        errorEl.textContent = message;
+        show(errorEl, 'visible-block');
+    }
+
+    /**
+     * Destroy the modal
+     */
+    destroy() {
+        if (this.bindings?.cleanup) {
+            this.bindings.cleanup();
+        }
+        this.modal?.remove();
+    }
+}
@@ -0,0 +1,347 @@
+/**
+ * Question Bank Modal Component
+ * Opened from the quiz editor: search the questions of every quiz the user
+ * can see (text, type, difficulty, concept) and insert copies into the open
+ * quiz, and edit the quiz's random draws — N bank questions per concept,
+ * picked each time the quiz starts (quiz/modules/bank-draws.js).
+ */
+
+import { logger } from '../../core/config.js';
+import { translateOr as tr } from '../../utils/translation-manager.js';
+import { openModal, closeModal, createModalBindings } from '../../utils/modal-utils.js';
+import { escapeHtml } from '../../utils/dom.js';
+import { APIHelper } from '../../utils/api-helper.js';
+import { toastNotifications } from '../../utils/toast-notifications.js';
+import { QuestionTypeRegistry } from '../../utils/question-type-registry.js';
+import { getBankDraws, setBankDraws, MAX_BANK_DRAWS, MAX_DRAW_COUNT } from '../../quiz/modules/bank-draws.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Translate with {0}-style parameters
+ */
+function trf(key, fallback, params) {
+    return params.reduce((text, param, i) => text.replace(`{${i}}`, param), tr(key, fallback));
+}
+
+/**
+ * Translated label of a question type
+ */
+function typeLabel(typeId) {
+    let fallback = typeId;
+    try {
+        fallback = QuestionTypeRegistry.getLabel(typeId);
+    } catch {
+        // Unknown type: show the raw ID
+    }
+    return tr(`question_type_${typeId.replace(/-/g, '_')}`, fallback);
+}
+
+/**
+ * `<option>` list with a leading "any" entry
+ */
+function optionsHTML(values, labelFor, anyLabel, selected = '') {
+    const any = `<option value="">${escapeHtml(anyLabel)}</option>`;
+    return any + values.map(value =>
+        `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(labelFor(value))}</option>`
+    ).join('');
+}
+
+export class QuestionBankModal {
+    /**
+     * @param {Object} quizManager - Editor the picked questions are inserted into
+     */
+    constructor(quizManager) {
+        this.quizManager = quizManager;
+        this.modal = null;
+        this.bindings = null;
+        this.results = [];
+        this.concepts = [];
+        this.selected = new Set();
+
+        this.createModal();
+    }
+
+    /**
+     * Create the modal DOM structure
+     */
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.id = 'question-bank-modal';
+        this.modal.className = 'modal question-bank-modal';
+        this.modal.classList.add('hidden');
+
+        this.modal.innerHTML = `
+            <div class="modal-content question-bank-modal-content">
+                <h3 class="question-bank-title"></h3>
+
+                <form class="question-bank-search">
+                    <input type="search" class="question-bank-query" maxlength="200" autocomplete="off" />
+                    <select class="question-bank-type"></select>
+                    <select class="question-bank-difficulty"></select>
+                    <select class="question-bank-concept"></select>
+                    <button type="submit" class="btn btn-secondary question-bank-search-btn"></button>
+                </form>
+
+                <p class="question-bank-summary"></p>
+                <ul class="question-bank-results"></ul>
+                <div class="question-bank-insert-row">
+                    <button class="btn btn-primary question-bank-insert-btn" disabled></button>
+                </div>
+
+                <h4 class="question-bank-section-title question-bank-draws-title"></h4>
+                <p class="question-bank-hint"></p>
+                <ul class="question-bank-draws"></ul>
+                <form class="question-bank-draw-form">
+                    <select class="question-bank-draw-concept" required></select>
+                    <input type="number" class="question-bank-draw-count" min="1" max="${MAX_DRAW_COUNT}" value="3" required />
+                    <select class="question-bank-draw-difficulty"></select>
+                    <button type="submit" class="btn btn-secondary question-bank-draw-add"></button>
+                </form>
+
+                <div class="question-bank-modal-actions">
+                    <button class="btn btn-secondary question-bank-close-btn"></button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.question-bank-close-btn').addEventListener('click', () => this.close());
+        this.modal.querySelector('.question-bank-search').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.search();
+        });
+        ['.question-bank-type', '.question-bank-difficulty', '.question-bank-concept'].forEach(selector => {
+            this.modal.querySelector(selector).addEventListener('change', () => this.search());
+        });
+        this.modal.querySelector('.question-bank-results').addEventListener('change', (e) => {
+            const checkbox = e.target.closest('input[type="checkbox"][data-ref]');
+            if (!checkbox) return;
+            if (checkbox.checked) {
+                this.selected.add(checkbox.dataset.ref);
+            } else {
+                this.selected.delete(checkbox.dataset.ref);
+            }
+            this.updateInsertButton();
+        });
+        this.modal.querySelector('.question-bank-insert-btn').addEventListener('click', () => this.insertSelected());
+        this.modal.querySelector('.question-bank-draws').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-index]');
+            if (!button) return;
+            const draws = getBankDraws();
+            draws.splice(Number(button.dataset.index), 1);
+            this.updateDraws(draws);
+        });
+        this.modal.querySelector('.question-bank-draw-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addDraw();
+        });
+
+        this.bindings = createModalBindings(this.modal, () => this.close());
+    }
+
+    /**
+     * Open the modal with a fresh search
+     */
+    async open() {
+        this.modal.querySelector('.question-bank-title').textContent = tr('question_bank', 'Question bank');
+        const query = this.modal.querySelector('.question-bank-query');
+        query.placeholder = tr('question_bank_search_placeholder', 'Search questions, answers and concepts...');
+        query.setAttribute('aria-label', query.placeholder);
+        this.modal.querySelector('.question-bank-type').innerHTML =
+            optionsHTML(QuestionTypeRegistry.getTypeIds(), typeLabel, tr('question_bank_any_type', 'Any type'));
+        this.modal.querySelector('.question-bank-difficulty').innerHTML =
+            optionsHTML(DIFFICULTIES, d => tr(d, d), tr('question_bank_any_difficulty', 'Any difficulty'));
+        this.modal.querySelector('.question-bank-draw-difficulty').innerHTML =
+            optionsHTML(DIFFICULTIES, d => tr(d, d), tr('question_bank_any_difficulty', 'Any difficulty'));
+        this.modal.querySelector('.question-bank-search-btn').textContent = tr('question_bank_search', 'Search');
+        this.modal.querySelector('.question-bank-draws-title').textContent =
+            tr('question_bank_draws_title', 'Random questions at game start');
+        this.modal.querySelector('.question-bank-hint').textContent =
+            tr('question_bank_draws_hint', 'Each time this quiz starts, these questions are drawn at random from the bank and added after its own questions.');
+        const count = this.modal.querySelector('.question-bank-draw-count');
+        count.setAttribute('aria-label', tr('question_bank_draw_count', 'Number of questions'));
+        this.modal.querySelector('.question-bank-draw-add').textContent = tr('question_bank_add_draw', 'Add draw');
+        this.modal.querySelector('.question-bank-close-btn').textContent = tr('close', 'Close');
+
+        this.selected.clear();
+        this.updateInsertButton();
+        this.renderDraws();
+        openModal(this.modal);
+        await this.search();
+        query.focus();
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        closeModal(this.modal);
+    }
+
+    /**
+     * Run the search in the form
+     */
+    async search() {
+        const params = new URLSearchParams();
+        const fields = {
+            q: this.modal.querySelector('.question-bank-query').value.trim(),
+            type: this.modal.querySelector('.question-bank-type').value,
+            difficulty: this.modal.querySelector('.question-bank-difficulty').value,
+            concept: this.modal.querySelector('.question-bank-concept').value
+        };
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+
+        const summary = this.modal.querySelector('.question-bank-summary');
+        try {
+            const result = await APIHelper.requestJSON(`api/question-bank?${params}`);
+            this.results = result.items;
+            this.concepts = result.concepts;
+            summary.textContent = result.total > result.items.length
+                ? trf('question_bank_showing', 'Showing {0} of {1} questions', [result.items.length, result.total])
+                : trf('question_bank_found', '{0} questions found', [result.total]);
+            this.renderConceptOptions();
+            this.renderResults();
+        } catch (error) {
+            logger.error('Question bank search failed:', error);
+            this.results = [];
+            summary.textContent = error.message;
+            this.renderResults();
+        }
+    }
+
+    /**
+     * Fill both concept pickers, keeping their current choice
+     */
+    renderConceptOptions() {
+        const filter = this.modal.querySelector('.question-bank-concept');
+        filter.innerHTML = optionsHTML(this.concepts, c => c, tr('question_bank_any_concept', 'Any concept'), filter.value);
+
+        const drawConcept = this.modal.querySelector('.question-bank-draw-concept');
+        const current = drawConcept.value;
+        drawConcept.innerHTML = this.concepts.map(concept =>
+            `<option value="${escapeHtml(concept)}"${concept === current ? ' selected' : ''}>${escapeHtml(concept)}</option>`
+        ).join('');
+        drawConcept.disabled = this.concepts.length === 0;
+        this.modal.querySelector('.question-bank-draw-add').disabled = this.concepts.length === 0;
+    }
+
+    /**
+     * Render search results with their selection state
+     */
+    renderResults() {
+        const list = this.modal.querySelector('.question-bank-results');
+        if (this.results.length === 0) {
+            list.innerHTML = `<li class="question-bank-empty">${escapeHtml(tr('question_bank_empty', 'No matching questions'))}</li>`;
+            return;
+        }
+
+        list.innerHTML = this.results.map(item => {
+            const meta = [item.quizTitle, typeLabel(item.type), tr(item.difficulty, item.difficulty), ...item.concepts];
+            return `
+                <li class="question-bank-item">
+                    <label>
+                        <input type="checkbox" data-ref="${escapeHtml(item.ref)}"${this.selected.has(item.ref) ? ' checked' : ''} />
+                        <span class="question-bank-item-text">${escapeHtml(item.question)}</span>
+                    </label>
+                    <span class="question-bank-item-meta">${escapeHtml(meta.join(' · '))}</span>
+                </li>`;
+        }).join('');
+    }
+
+    /**
+     * Label the insert button with the selection size
+     */
+    updateInsertButton() {
+        const button = this.modal.querySelector('.question-bank-insert-btn');
+        button.textContent = trf('question_bank_insert', 'Insert {0} selected', [this.selected.size]);
+        button.disabled = this.selected.size === 0;
+    }
+
+    /**
+     * Copy the selected questions into the quiz being edited
+     */
+    async insertSelected() {
+        const refs = [...this.selected];
+        if (refs.length === 0) return;
+
+        const button = this.modal.querySelector('.question-bank-insert-btn');
+        button.disabled = true;
+        try {
+            const { questions } = await APIHelper.requestJSON('api/question-bank/questions', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refs })
+            });
+            for (const question of questions) {
+                await this.quizManager.addGeneratedQuestion(question);
+            }
+            this.quizManager.scheduleAutoSave?.();
+
+            toastNotifications.success(trf('question_bank_inserted', '{0} questions added to the quiz', [questions.length]));
+            this.selected.clear();
+            this.close();
+        } catch (error) {
+            logger.error('Question bank insert failed:', error);
+            toastNotifications.error(error.message);
+        } finally {
+            this.updateInsertButton();
+        }
+    }
+
+    /**
+     * Render the quiz's draw rules
+     */
+    renderDraws() {
+        const draws = getBankDraws();
+        const list = this.modal.querySelector('.question-bank-draws');
+        list.innerHTML = draws.length === 0
+            ? `<li class="question-bank-empty">${escapeHtml(tr('question_bank_no_draws', 'No random draws'))}</li>`
+            : draws.map((draw, index) => {
+                const difficulty = draw.difficulty ? ` (${tr(draw.difficulty, draw.difficulty)})` : '';
+                return `
+                    <li class="question-bank-draw">
+                        <span>${escapeHtml(`${draw.count} × ${draw.concept}${difficulty}`)}</span>
+                        <button class="btn btn-secondary btn-sm" data-index="${index}">${escapeHtml(tr('remove', 'Remove'))}</button>
+                    </li>`;
+            }).join('');
+
+        const full = draws.length >= MAX_BANK_DRAWS;
+        this.modal.querySelector('.question-bank-draw-form').classList.toggle('hidden', full);
+    }
+
+    /**
+     * Add the draw rule in the form
+     */
+    addDraw() {
+        const concept = this.modal.querySelector('.question-bank-draw-concept').value;
+        const count = parseInt(this.modal.querySelector('.question-bank-draw-count').value, 10);
+        const difficulty = this.modal.querySelector('.question-bank-draw-difficulty').value;
+        if (!concept || !(count >= 1)) return;
+
+        this.updateDraws([...getBankDraws(), { concept, count, ...(difficulty && { difficulty }) }]);
+    }
+
+    /**
+     * Store new draw rules on the quiz and re-render them
+     */
+    updateDraws(draws) {
+        setBankDraws(draws);
+        this.renderDraws();
+    }
+
+    /**
+     * Destroy the modal
+     */
+    destroy() {
+        if (this.bindings?.cleanup) {
+            this.bindings.cleanup();
+        }
+        this.modal?.remove();
+    }
+}
+
+export default QuestionBankModal;
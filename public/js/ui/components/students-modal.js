@@ -0,0 +1,380 @@
+/**
+ * Students Modal Component
+ * The signed-in teacher's student roster, opened from the results viewer:
+ * add students and hand out their join codes, and follow each student across
+ * games (accuracy trend and concept mastery over time), with CSV/JSON export.
+ */
+
+import { logger } from '../../core/config.js';
+import { translateOr as tr } from '../../utils/translation-manager.js';
+import { openModal, closeModal, createModalBindings, confirmModal } from '../../utils/modal-utils.js';
+import { escapeHtml, show, hide } from '../../utils/dom.js';
+import { APIHelper } from '../../utils/api-helper.js';
+import { toastNotifications } from '../../utils/toast-notifications.js';
+
+/**
+ * Format an ISO date for display (date only)
+ */
+function formatDate(iso) {
+    return iso ? new Date(iso).toLocaleDateString(undefined, { dateStyle: 'medium' }) : '–';
+}
+
+/**
+ * Percentage for display, or a dash when there is no data yet
+ */
+function formatPercent(value) {
+    return value === null || value === undefined ? '–' : `${value}%`;
+}
+
+/**
+ * Translated label of a StudentProgressService trend
+ */
+function trendLabel(trend) {
+    switch (trend) {
+        case 'improving':
+            return `↑ ${tr('student_trend_improving', 'Improving')}`;
+        case 'declining':
+            return `↓ ${tr('student_trend_declining', 'Declining')}`;
+        case 'steady':
+            return `→ ${tr('student_trend_steady', 'Steady')}`;
+        default:
+            return '–';
+    }
+}
+
+/**
+ * Horizontal bar for a 0–100 value
+ */
+function percentBar(value) {
+    const width = Math.max(0, Math.min(100, value || 0));
+    return `<span class="student-bar"><span class="student-bar-fill" style="width: ${width}%"></span></span>`;
+}
+
+export class StudentsModal {
+    constructor() {
+        this.modal = null;
+        this.bindings = null;
+        this.students = [];
+        this.profile = null;
+
+        this.createModal();
+    }
+
+    /**
+     * Create the modal DOM structure
+     */
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.id = 'students-modal';
+        this.modal.className = 'modal students-modal';
+        this.modal.classList.add('hidden');
+
+        this.modal.innerHTML = `
+            <div class="modal-content students-modal-content">
+                <div class="students-roster-view">
+                    <h3 class="students-modal-title"></h3>
+                    <p class="students-modal-message"></p>
+
+                    <form class="students-add-form">
+                        <input type="text" class="students-add-input" maxlength="50" autocomplete="off" />
+                        <button type="submit" class="btn btn-primary students-add-btn"></button>
+                    </form>
+                    <p class="students-modal-error hidden"></p>
+
+                    <ul class="students-list"></ul>
+                </div>
+
+                <div class="student-profile-view hidden">
+                    <button class="btn btn-secondary btn-sm student-profile-back"></button>
+                    <div class="student-profile"></div>
+                </div>
+
+                <div class="students-modal-actions">
+                    <button class="btn btn-secondary students-close-btn"></button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.students-close-btn').addEventListener('click', () => this.close());
+        this.modal.querySelector('.students-add-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAdd();
+        });
+        this.modal.querySelector('.students-list').addEventListener('click', (e) => this.handleListClick(e));
+        this.modal.querySelector('.student-profile-back').addEventListener('click', () => this.showRoster());
+        this.modal.querySelector('.student-profile').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-format]');
+            if (button && this.profile) {
+                this.downloadProfile(this.profile.student.id, button.dataset.format);
+            }
+        });
+
+        this.bindings = createModalBindings(this.modal, () => this.close());
+    }
+
+    /**
+     * Open the modal on the roster
+     */
+    async open() {
+        this.modal.querySelector('.students-modal-title').textContent = tr('students', 'Students');
+        this.modal.querySelector('.students-modal-message').textContent =
+            tr('students_hint', 'Students join your games by picking their name or entering their code, and each game is added to their profile.');
+        const input = this.modal.querySelector('.students-add-input');
+        input.placeholder = tr('student_name', 'Student name');
+        input.setAttribute('aria-label', input.placeholder);
+        this.modal.querySelector('.students-add-btn').textContent = tr('student_add', 'Add student');
+        this.modal.querySelector('.student-profile-back').textContent = `← ${tr('students', 'Students')}`;
+        this.modal.querySelector('.students-close-btn').textContent = tr('close', 'Close');
+        hide(this.modal.querySelector('.students-modal-error'));
+
+        this.showRoster();
+        openModal(this.modal);
+        await this.refreshList();
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        closeModal(this.modal);
+        this.profile = null;
+    }
+
+    /**
+     * Switch back from a profile to the roster
+     */
+    showRoster() {
+        this.profile = null;
+        hide(this.modal.querySelector('.student-profile-view'));
+        show(this.modal.querySelector('.students-roster-view'), 'visible-block');
+    }
+
+    /**
+     * Reload the roster with its progress summaries
+     */
+    async refreshList() {
+        const list = this.modal.querySelector('.students-list');
+        try {
+            this.renderList(await APIHelper.requestJSON('api/students'));
+        } catch (error) {
+            logger.error('Failed to load students:', error);
+            list.innerHTML = `<li class="students-list-empty">${escapeHtml(error.message)}</li>`;
+        }
+    }
+
+    /**
+     * Render roster entries
+     */
+    renderList(students) {
+        const list = this.modal.querySelector('.students-list');
+        this.students = students;
+        if (students.length === 0) {
+            list.innerHTML = `<li class="students-list-empty">${escapeHtml(tr('students_none', 'No students yet'))}</li>`;
+            return;
+        }
+
+        const gamesLabel = tr('student_games_played', 'Games played');
+        const accuracyLabel = tr('student_average_accuracy', 'Average accuracy');
+        list.innerHTML = students.map(student => `
+            <li class="student-item" data-id="${escapeHtml(student.id)}">
+                <div class="student-item-header">
+                    <span class="student-name">${escapeHtml(student.name)}</span>
+                    <span class="student-code ed-mono" title="${escapeHtml(tr('student_code', 'Student code'))}">${escapeHtml(student.joinCode)}</span>
+                </div>
+                <div class="student-item-stats">
+                    ${escapeHtml(gamesLabel)}: ${student.gamesPlayed}
+                    · ${escapeHtml(accuracyLabel)}: ${escapeHtml(formatPercent(student.averageAccuracy))}
+                    · ${escapeHtml(trendLabel(student.trend))}
+                </div>
+                <div class="student-item-actions">
+                    <button class="btn btn-secondary btn-sm" data-action="profile">${escapeHtml(tr('student_view_profile', 'View profile'))}</button>
+                    <button class="btn btn-secondary btn-sm" data-action="new-code">${escapeHtml(tr('student_new_code', 'New code'))}</button>
+                    <button class="btn btn-secondary btn-sm student-remove-btn" data-action="remove">${escapeHtml(tr('delete', 'Delete'))}</button>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Add the student typed in the form
+     */
+    async handleAdd() {
+        const input = this.modal.querySelector('.students-add-input');
+        const name = input.value.trim();
+        if (!name) {
+            this.showError(tr('error_student_name_length', 'Student name must be 1-50 characters'));
+            return;
+        }
+
+        try {
+            await APIHelper.requestJSON('api/students', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name })
+            });
+            input.value = '';
+            hide(this.modal.querySelector('.students-modal-error'));
+            await this.refreshList();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle profile / new code / remove on a listed student
+     */
+    async handleListClick(e) {
+        const button = e.target.closest('button[data-action]');
+        const item = button?.closest('.student-item');
+        if (!item) return;
+        const id = item.dataset.id;
+
+        try {
+            switch (button.dataset.action) {
+                case 'profile':
+                    await this.showProfile(id);
+                    break;
+
+                case 'new-code':
+                    await APIHelper.requestJSON(`api/students/${id}`, {
+                        method: 'PATCH',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ regenerateCode: true })
+                    });
+                    await this.refreshList();
+                    break;
+
+                case 'remove': {
+                    const confirmed = await confirmModal(
+                        tr('confirm_remove_student', 'Remove this student? Their progress history is deleted too.'),
+                        { confirmText: tr('delete', 'Delete'), cancelText: tr('cancel', 'Cancel'), danger: true }
+                    );
+                    if (!confirmed) return;
+                    await APIHelper.requestJSON(`api/students/${id}?confirm=true`, { method: 'DELETE' });
+                    await this.refreshList();
+                    break;
+                }
+            }
+        } catch (error) {
+            logger.error('Student action failed:', error);
+            toastNotifications.error(error.message);
+        }
+    }
+
+    /**
+     * Load and show one student's profile
+     * @param {string} id - Student ID
+     */
+    async showProfile(id) {
+        this.profile = await APIHelper.requestJSON(`api/students/${id}/profile`);
+        this.renderProfile(this.profile);
+        hide(this.modal.querySelector('.students-roster-view'));
+        show(this.modal.querySelector('.student-profile-view'), 'visible-block');
+    }
+
+    /**
+     * Render a profile from GET api/students/:id/profile
+     */
+    renderProfile(profile) {
+        const container = this.modal.querySelector('.student-profile');
+
+        const stats = [
+            [tr('student_games_played', 'Games played'), String(profile.gamesPlayed)],
+            [tr('student_average_accuracy', 'Average accuracy'), formatPercent(profile.averageAccuracy)],
+            [tr('student_recent_accuracy', 'Recent accuracy'), formatPercent(profile.recentAccuracy)],
+            [tr('student_trend', 'Trend'), trendLabel(profile.trend)]
+        ].map(([label, value]) => `
+            <div class="student-stat">
+                <span class="student-stat-value">${escapeHtml(value)}</span>
+                <span class="student-stat-label">${escapeHtml(label)}</span>
+            </div>
+        `).join('');
+
+        const games = profile.accuracyTrend.length === 0
+            ? `<p class="students-list-empty">${escapeHtml(tr('student_no_games', 'No games recorded yet'))}</p>`
+            : `<ul class="student-trend">${profile.accuracyTrend.map(game => `
+                <li class="student-trend-row">
+                    <span class="student-trend-date">${escapeHtml(formatDate(game.date))}</span>
+                    <span class="student-trend-quiz">${escapeHtml(game.quizTitle)}</span>
+                    ${percentBar(game.accuracy)}
+                    <span class="student-trend-value">${game.accuracy}%</span>
+                </li>`).join('')}
+            </ul>`;
+
+        const concepts = profile.concepts.length === 0
+            ? `<p class="students-list-empty">${escapeHtml(tr('student_no_concepts', 'No concept-tagged questions played yet'))}</p>`
+            : `<ul class="student-concepts">${profile.concepts.map(concept => `
+                <li class="student-concept-row" title="${escapeHtml(concept.history.map(h => `${formatDate(h.date)}: ${h.mastery}%`).join('\n'))}">
+                    <span class="student-concept-name">${escapeHtml(concept.name)}</span>
+                    ${percentBar(concept.mastery)}
+                    <span class="student-trend-value">${concept.mastery}%</span>
+                    <span class="student-concept-latest">${escapeHtml(tr('student_latest', 'Latest'))}: ${concept.latest}%</span>
+                </li>`).join('')}
+            </ul>`;
+
+        container.innerHTML = `
+            <h3 class="students-modal-title">${escapeHtml(profile.student.name)}</h3>
+            <div class="student-stats">${stats}</div>
+            <h4 class="student-section-title">${escapeHtml(tr('student_accuracy_trend', 'Accuracy by game'))}</h4>
+            ${games}
+            <h4 class="student-section-title">${escapeHtml(tr('student_concept_mastery', 'Concept mastery'))}</h4>
+            ${concepts}
+            <div class="student-export-actions">
+                <button class="btn btn-secondary btn-sm" data-format="csv">${escapeHtml(tr('export_csv', 'Export CSV'))}</button>
+                <button class="btn btn-secondary btn-sm" data-format="json">${escapeHtml(tr('export_json', 'Export JSON'))}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Download a profile export
+     * @param {string} id - Student ID
+     * @param {string} format - 'csv' or 'json'
+     */
+    async downloadProfile(id, format) {
+        try {
+            const response = await APIHelper.fetchAPI(`api/students/${id}/profile/export?format=${format}`);
+            if (!response.ok) {
+                throw new Error(tr('error_failed_export_profile', 'Failed to export student profile'));
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `student_progress.${format}`;
+            const url = window.URL.createObjectURL(await response.blob());
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            logger.error('Student profile export failed:', error);
+            toastNotifications.error(error.message);
+        }
+    }
+
+    /**
+     * Show error message
+     */
+    showError(message) {
+        const errorEl = this.modal.querySelector('.students-modal-error');
+        errorEl.textContent = message;
+        show(errorEl, 'visible-block');
+    }
+
+    /**
+     * Destroy the modal
+     */
+    destroy() {
+        if (this.bindings?.cleanup) {
+            this.bindings.cleanup();
+        }
+        this.modal?.remove();
+    }
+}
+
+export default StudentsModal;
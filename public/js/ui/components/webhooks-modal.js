@@ -0,0 +1,456 @@
+/**
+ * Webhooks Modal Component
+ * The signed-in user's outbound webhooks, opened from the results viewer:
+ * add a URL and the events it receives (its signing secret is shown once),
+ * send a test ping, and follow each delivery in the log, re-sending the
+ * ones that failed.
+ */
+
+import { logger } from '../../core/config.js';
+import { translateOr as tr } from '../../utils/translation-manager.js';
+import { openModal, closeModal, createModalBindings, confirmModal } from '../../utils/modal-utils.js';
+import { escapeHtml, show, hide } from '../../utils/dom.js';
+import { APIHelper } from '../../utils/api-helper.js';
+import { toastNotifications } from '../../utils/toast-notifications.js';
+
+// Event names from GET api/webhooks, with their labels
+const EVENT_LABELS = {
+    'game.started': ['webhook_event_game_started', 'Game started'],
+    'game.ended': ['webhook_event_game_ended', 'Game ended'],
+    'player.joined': ['webhook_event_player_joined', 'Player joined'],
+    'player.left': ['webhook_event_player_left', 'Player left'],
+    'results.saved': ['webhook_event_results_saved', 'Results saved'],
+    ping: ['webhook_test', 'Test']
+};
+
+const STATUS_LABELS = {
+    pending: ['webhook_status_pending', 'Pending'],
+    retrying: ['webhook_status_retrying', 'Retrying'],
+    delivered: ['webhook_status_delivered', 'Delivered'],
+    failed: ['webhook_status_failed', 'Failed']
+};
+
+function eventLabel(event) {
+    const [key, fallback] = EVENT_LABELS[event] || [null, event];
+    return key ? tr(key, fallback) : fallback;
+}
+
+function statusLabel(status) {
+    const [key, fallback] = STATUS_LABELS[status] || [null, status];
+    return key ? tr(key, fallback) : fallback;
+}
+
+/**
+ * Format an ISO timestamp for display
+ */
+function formatTime(iso) {
+    return iso ? new Date(iso).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' }) : '–';
+}
+
+/**
+ * Pretty-print a delivery body for the payload view
+ */
+function formatBody(body) {
+    try {
+        return JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+        return body || '';
+    }
+}
+
+export class WebhooksModal {
+    constructor() {
+        this.modal = null;
+        this.bindings = null;
+        this.hooks = [];
+        this.events = Object.keys(EVENT_LABELS).filter(event => event !== 'ping');
+        this.logHookId = null;
+
+        this.createModal();
+    }
+
+    /**
+     * Create the modal DOM structure
+     */
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.id = 'webhooks-modal';
+        this.modal.className = 'modal webhooks-modal';
+        this.modal.classList.add('hidden');
+
+        this.modal.innerHTML = `
+            <div class="modal-content webhooks-modal-content">
+                <div class="webhooks-list-view">
+                    <h3 class="webhooks-modal-title"></h3>
+                    <p class="webhooks-modal-message"></p>
+
+                    <form class="webhooks-add-form">
+                        <input type="url" class="webhooks-url-input" maxlength="2000" autocomplete="off" required />
+                        <input type="text" class="webhooks-description-input" maxlength="200" autocomplete="off" />
+                        <fieldset class="webhooks-events"></fieldset>
+                        <button type="submit" class="btn btn-primary webhooks-add-btn"></button>
+                    </form>
+                    <p class="webhooks-modal-error hidden"></p>
+
+                    <div class="webhooks-secret hidden">
+                        <p class="webhooks-secret-notice"></p>
+                        <code class="webhooks-secret-value ed-mono"></code>
+                        <button type="button" class="btn btn-secondary btn-sm webhooks-secret-copy"></button>
+                    </div>
+
+                    <ul class="webhooks-list"></ul>
+                </div>
+
+                <div class="webhooks-log-view hidden">
+                    <div class="webhooks-log-toolbar">
+                        <button class="btn btn-secondary btn-sm webhooks-log-back"></button>
+                        <button class="btn btn-secondary btn-sm webhooks-log-refresh"></button>
+                    </div>
+                    <h3 class="webhooks-modal-title webhooks-log-title"></h3>
+                    <ul class="webhooks-log"></ul>
+                </div>
+
+                <div class="webhooks-modal-actions">
+                    <button class="btn btn-secondary webhooks-close-btn"></button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+
+        this.modal.querySelector('.webhooks-close-btn').addEventListener('click', () => this.close());
+        this.modal.querySelector('.webhooks-add-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAdd();
+        });
+        this.modal.querySelector('.webhooks-secret-copy').addEventListener('click', () => this.copySecret());
+        this.modal.querySelector('.webhooks-list').addEventListener('click', (e) => this.handleListClick(e));
+        this.modal.querySelector('.webhooks-log').addEventListener('click', (e) => this.handleLogClick(e));
+        this.modal.querySelector('.webhooks-log-back').addEventListener('click', () => this.showList());
+        this.modal.querySelector('.webhooks-log-refresh').addEventListener('click', () => this.refreshLog());
+
+        this.bindings = createModalBindings(this.modal, () => this.close());
+    }
+
+    /**
+     * Open the modal on the webhook list
+     */
+    async open() {
+        this.modal.querySelector('.webhooks-list-view .webhooks-modal-title').textContent = tr('webhooks', 'Webhooks');
+        this.modal.querySelector('.webhooks-modal-message').textContent =
+            tr('webhooks_hint', 'Quizix posts signed JSON to these URLs when your games start and end, players join or leave, and results are saved.');
+        const urlInput = this.modal.querySelector('.webhooks-url-input');
+        urlInput.placeholder = 'https://example.com/quizix-hook';
+        urlInput.setAttribute('aria-label', tr('webhook_url', 'Webhook URL'));
+        const descriptionInput = this.modal.querySelector('.webhooks-description-input');
+        descriptionInput.placeholder = tr('webhook_description', 'Description (optional)');
+        descriptionInput.setAttribute('aria-label', descriptionInput.placeholder);
+        this.modal.querySelector('.webhooks-add-btn').textContent = tr('webhook_add', 'Add webhook');
+        this.modal.querySelector('.webhooks-secret-copy').textContent = tr('copy', 'Copy');
+        this.modal.querySelector('.webhooks-log-back').textContent = `← ${tr('webhooks', 'Webhooks')}`;
+        this.modal.querySelector('.webhooks-log-refresh').textContent = `↻ ${tr('refresh', 'Refresh')}`;
+        this.modal.querySelector('.webhooks-close-btn').textContent = tr('close', 'Close');
+        this.renderEventChoices();
+        hide(this.modal.querySelector('.webhooks-modal-error'));
+        hide(this.modal.querySelector('.webhooks-secret'));
+
+        this.showList();
+        openModal(this.modal);
+        await this.refreshList();
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        closeModal(this.modal);
+        // The secret is only ever shown once
+        this.modal.querySelector('.webhooks-secret-value').textContent = '';
+        hide(this.modal.querySelector('.webhooks-secret'));
+    }
+
+    /**
+     * Event checkboxes of the add form, all ticked
+     */
+    renderEventChoices() {
+        this.modal.querySelector('.webhooks-events').innerHTML = `
+            <legend>${escapeHtml(tr('webhook_events', 'Events'))}</legend>
+            ${this.events.map(event => `
+                <label class="webhooks-event-choice">
+                    <input type="checkbox" value="${escapeHtml(event)}" checked />
+                    ${escapeHtml(eventLabel(event))}
+                </label>`).join('')}
+        `;
+    }
+
+    /**
+     * Switch back from the delivery log to the webhook list
+     */
+    showList() {
+        this.logHookId = null;
+        hide(this.modal.querySelector('.webhooks-log-view'));
+        show(this.modal.querySelector('.webhooks-list-view'), 'visible-block');
+    }
+
+    /**
+     * Reload the webhook list
+     */
+    async refreshList() {
+        const list = this.modal.querySelector('.webhooks-list');
+        try {
+            const { hooks, events } = await APIHelper.requestJSON('api/webhooks');
+            if (Array.isArray(events) && events.join() !== this.events.join()) {
+                this.events = events;
+                this.renderEventChoices();
+            }
+            this.renderList(hooks);
+        } catch (error) {
+            logger.error('Failed to load webhooks:', error);
+            list.innerHTML = `<li class="webhooks-list-empty">${escapeHtml(error.message)}</li>`;
+        }
+    }
+
+    /**
+     * Render webhook entries
+     */
+    renderList(hooks) {
+        const list = this.modal.querySelector('.webhooks-list');
+        this.hooks = hooks;
+        if (hooks.length === 0) {
+            list.innerHTML = `<li class="webhooks-list-empty">${escapeHtml(tr('webhooks_none', 'No webhooks yet'))}</li>`;
+            return;
+        }
+
+        list.innerHTML = hooks.map(hook => `
+            <li class="webhook-item${hook.enabled ? '' : ' webhook-item-disabled'}" data-id="${escapeHtml(hook.id)}">
+                <div class="webhook-item-header">
+                    <span class="webhook-url">${escapeHtml(hook.url)}</span>
+                    ${hook.enabled ? '' : `<span class="webhook-badge">${escapeHtml(tr('webhook_disabled', 'Disabled'))}</span>`}
+                </div>
+                ${hook.description ? `<div class="webhook-description">${escapeHtml(hook.description)}</div>` : ''}
+                <div class="webhook-item-stats">
+                    ${hook.events.map(event => escapeHtml(eventLabel(event))).join(' · ')}
+                    · ${escapeHtml(tr('webhook_secret', 'Secret'))} <span class="ed-mono">${escapeHtml(hook.secretHint)}</span>
+                </div>
+                <div class="webhook-item-actions">
+                    <button class="btn btn-secondary btn-sm" data-action="log">${escapeHtml(tr('webhook_deliveries', 'Deliveries'))}</button>
+                    <button class="btn btn-secondary btn-sm" data-action="test">${escapeHtml(tr('webhook_test', 'Test'))}</button>
+                    <button class="btn btn-secondary btn-sm" data-action="toggle">${escapeHtml(hook.enabled ? tr('webhook_disable', 'Disable') : tr('webhook_enable', 'Enable'))}</button>
+                    <button class="btn btn-secondary btn-sm" data-action="secret">${escapeHtml(tr('webhook_new_secret', 'New secret'))}</button>
+                    <button class="btn btn-secondary btn-sm webhook-remove-btn" data-action="remove">${escapeHtml(tr('delete', 'Delete'))}</button>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Add the webhook described in the form
+     */
+    async handleAdd() {
+        const urlInput = this.modal.querySelector('.webhooks-url-input');
+        const descriptionInput = this.modal.querySelector('.webhooks-description-input');
+        const events = Array.from(this.modal.querySelectorAll('.webhooks-events input:checked')).map(input => input.value);
+        if (events.length === 0) {
+            this.showError(tr('webhook_pick_event', 'Pick at least one event'));
+            return;
+        }
+
+        try {
+            const hook = await APIHelper.requestJSON('api/webhooks', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ url: urlInput.value.trim(), events, description: descriptionInput.value.trim() })
+            });
+            urlInput.value = '';
+            descriptionInput.value = '';
+            hide(this.modal.querySelector('.webhooks-modal-error'));
+            this.showSecret(hook.secret);
+            await this.refreshList();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Show a newly issued secret, which the server will not return again
+     */
+    showSecret(secret) {
+        this.modal.querySelector('.webhooks-secret-notice').textContent =
+            tr('webhook_secret_notice', 'Copy the signing secret now; it will not be shown again.');
+        this.modal.querySelector('.webhooks-secret-value').textContent = secret;
+        show(this.modal.querySelector('.webhooks-secret'), 'visible-block');
+    }
+
+    async copySecret() {
+        const secret = this.modal.querySelector('.webhooks-secret-value').textContent;
+        try {
+            await navigator.clipboard.writeText(secret);
+            toastNotifications.success(tr('copied', 'Copied!'));
+        } catch (error) {
+            logger.warn('Clipboard write failed:', error);
+        }
+    }
+
+    /**
+     * Handle log / test / enable-disable / new secret / remove on a listed webhook
+     */
+    async handleListClick(e) {
+        const button = e.target.closest('button[data-action]');
+        const item = button?.closest('.webhook-item');
+        if (!item) return;
+        const id = item.dataset.id;
+        const hook = this.hooks.find(h => h.id === id);
+
+        try {
+            switch (button.dataset.action) {
+                case 'log':
+                    await this.showLog(id);
+                    break;
+
+                case 'test':
+                    await APIHelper.requestJSON(`api/webhooks/${id}/test`, { method: 'POST' });
+                    toastNotifications.success(tr('webhook_test_sent', 'Test delivery queued'));
+                    break;
+
+                case 'toggle':
+                    await APIHelper.requestJSON(`api/webhooks/${id}`, {
+                        method: 'PATCH',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ enabled: !hook?.enabled })
+                    });
+                    await this.refreshList();
+                    break;
+
+                case 'secret': {
+                    const confirmed = await confirmModal(
+                        tr('confirm_new_webhook_secret', 'Replace the signing secret? Deliveries signed with the old one will no longer verify.'),
+                        { confirmText: tr('webhook_new_secret', 'New secret'), cancelText: tr('cancel', 'Cancel') }
+                    );
+                    if (!confirmed) return;
+                    const updated = await APIHelper.requestJSON(`api/webhooks/${id}/secret`, { method: 'POST' });
+                    this.showSecret(updated.secret);
+                    await this.refreshList();
+                    break;
+                }
+
+                case 'remove': {
+                    const confirmed = await confirmModal(
+                        tr('confirm_remove_webhook', 'Delete this webhook? Deliveries still waiting to be retried are dropped.'),
+                        { confirmText: tr('delete', 'Delete'), cancelText: tr('cancel', 'Cancel'), danger: true }
+                    );
+                    if (!confirmed) return;
+                    await APIHelper.requestJSON(`api/webhooks/${id}`, { method: 'DELETE' });
+                    await this.refreshList();
+                    break;
+                }
+            }
+        } catch (error) {
+            logger.error('Webhook action failed:', error);
+            toastNotifications.error(error.message);
+        }
+    }
+
+    /**
+     * Show one webhook's delivery log
+     * @param {string} hookId - Webhook ID
+     */
+    async showLog(hookId) {
+        this.logHookId = hookId;
+        const hook = this.hooks.find(h => h.id === hookId);
+        this.modal.querySelector('.webhooks-log-title').textContent =
+            `${tr('webhook_deliveries', 'Deliveries')}: ${hook?.description || hook?.url || ''}`;
+        hide(this.modal.querySelector('.webhooks-list-view'));
+        show(this.modal.querySelector('.webhooks-log-view'), 'visible-block');
+        await this.refreshLog();
+    }
+
+    /**
+     * Reload the open delivery log
+     */
+    async refreshLog() {
+        if (!this.logHookId) return;
+        const log = this.modal.querySelector('.webhooks-log');
+        try {
+            this.renderLog(await APIHelper.requestJSON(`api/webhooks/deliveries?hookId=${encodeURIComponent(this.logHookId)}`));
+        } catch (error) {
+            logger.error('Failed to load webhook deliveries:', error);
+            log.innerHTML = `<li class="webhooks-list-empty">${escapeHtml(error.message)}</li>`;
+        }
+    }
+
+    /**
+     * Render delivery log entries, newest first
+     */
+    renderLog(deliveries) {
+        const log = this.modal.querySelector('.webhooks-log');
+        if (deliveries.length === 0) {
+            log.innerHTML = `<li class="webhooks-list-empty">${escapeHtml(tr('webhook_no_deliveries', 'Nothing sent yet'))}</li>`;
+            return;
+        }
+
+        const attemptsLabel = tr('webhook_attempts', 'Attempts');
+        log.innerHTML = deliveries.map(delivery => {
+            const finished = delivery.status === 'delivered' || delivery.status === 'failed';
+            const details = [
+                `${escapeHtml(attemptsLabel)}: ${delivery.attempts}`,
+                delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : '',
+                delivery.status === 'retrying' ? `${escapeHtml(tr('webhook_next_attempt', 'Next attempt'))}: ${escapeHtml(formatTime(delivery.nextAttemptAt))}` : ''
+            ].filter(Boolean).join(' · ');
+            return `
+                <li class="webhook-delivery" data-id="${escapeHtml(delivery.id)}">
+                    <div class="webhook-item-header">
+                        <span class="webhook-delivery-event">${escapeHtml(eventLabel(delivery.event))}</span>
+                        <span class="webhook-status webhook-status-${escapeHtml(delivery.status)}">${escapeHtml(statusLabel(delivery.status))}</span>
+                    </div>
+                    <div class="webhook-item-stats">${escapeHtml(formatTime(delivery.createdAt))} · ${details}</div>
+                    ${delivery.error ? `<div class="webhook-delivery-error">${escapeHtml(delivery.error)}</div>` : ''}
+                    <details class="webhook-delivery-payload">
+                        <summary>${escapeHtml(tr('webhook_payload', 'Payload'))}</summary>
+                        <pre class="ed-mono">${escapeHtml(formatBody(delivery.body))}</pre>
+                    </details>
+                    ${finished ? `<div class="webhook-item-actions">
+                        <button class="btn btn-secondary btn-sm" data-action="retry">${escapeHtml(tr('webhook_resend', 'Send again'))}</button>
+                    </div>` : ''}
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Send a logged delivery again
+     */
+    async handleLogClick(e) {
+        const button = e.target.closest('button[data-action="retry"]');
+        const item = button?.closest('.webhook-delivery');
+        if (!item) return;
+
+        try {
+            await APIHelper.requestJSON(`api/webhooks/deliveries/${item.dataset.id}/retry`, { method: 'POST' });
+            await this.refreshLog();
+        } catch (error) {
+            logger.error('Webhook retry failed:', error);
+            toastNotifications.error(error.message);
+        }
+    }
+
+    /**
+     * Show error message
+     */
+    showError(message) {
+        const errorEl = this.modal.querySelector('.webhooks-modal-error');
+        errorEl.textContent = message;
+        show(errorEl, 'visible-block');
+    }
+
+    /**
+     * Destroy the modal
+     */
+    destroy() {
+        if (this.bindings?.cleanup) {
+            this.bindings.cleanup();
+        }
+        this.modal?.remove();
+    }
+}
+
+export default WebhooksModal;
@@ -13,6 +13,7 @@ import { debounce } from '../utils/dom.js';
 import { FolderTree } from './components/folder-tree.js';
 import { ContextMenu } from './components/context-menu.js';
 import { PasswordModal } from './components/password-modal.js';
+import { AssignmentModal } from './components/assignment-modal.js';
 import { confirmModal } from '../utils/modal-utils.js';
 
 const SHOW_ONLY_MINE_KEY = 'file-manager-show-only-mine';
@@ -32,6 +33,7 @@ export class FileManager {
         this.folderTree = null;
         this.contextMenu = null;
         this.passwordModal = null;
+        this.assignmentModal = null;
         this.sessionTokens = new Map(); // itemId -> { token, expiresAt }
         this.treeData = null;
         this.filterBar = null;
@@ -331,6 +333,10 @@ export class FileManager {
                 await this.quickStartQuiz(id, data);
                 break;
 
+            case 'assign':
+                await this.assignQuiz(id, data);
+                break;
+
             case 'new-folder':
                 await this.createFolder(type === 'folder' ? id : null);
                 break;
@@ -406,6 +412,16 @@ export class FileManager {
         await this.executeQuizAction(filename, data, this.options.onQuickStart);
     }
 
+    /**
+     * Publish a quiz as a homework assignment
+     */
+    async assignQuiz(filename, data) {
+        if (!this.assignmentModal) {
+            this.assignmentModal = new AssignmentModal();
+        }
+        await this.assignmentModal.open(filename, data?.displayName || filename);
+    }
+
     /**
      * Create a new folder
      */
@@ -857,6 +873,7 @@ export class FileManager {
     destroy() {
         this.contextMenu?.destroy();
         this.passwordModal?.destroy();
+        this.assignmentModal?.destroy();
     }
 }
 
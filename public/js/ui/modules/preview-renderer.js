@@ -101,8 +101,7 @@ export class PreviewRenderer {
             return;
         }
 
-        // Escape untrusted quiz-authored text before formatting to prevent stored XSS
-        const formattedContent = this.formatCodeBlocks(escapeHtmlPreservingLatex(text));
+        const formattedContent = this.formatRichText(text);
         const hasLatex = this.mathJaxService.hasLatex(formattedContent);
 
         element.innerHTML = formattedContent;
@@ -304,8 +303,9 @@ export class PreviewRenderer {
         // Reset true/false buttons
         this.resetSplitTrueFalseButtons('true-false');
 
-        // Clear numeric input
+        // Clear numeric and text inputs
         this.resetSplitInputFields('numeric');
+        this.resetSplitInputFields('text-input');
     }
 
     /**
@@ -361,7 +361,9 @@ export class PreviewRenderer {
             'multiple-correct': 'preview-multiple-correct-split',
             'true-false': 'preview-true-false-split',
             'numeric': 'preview-numeric-split',
-            'ordering': 'preview-ordering-split'
+            'ordering': 'preview-ordering-split',
+            'text-input': 'preview-text-input-split',
+            'matching': 'preview-matching-split'
         };
 
         const containerId = containerMap[data.type];
@@ -392,6 +394,12 @@ export class PreviewRenderer {
             case 'ordering':
                 this.renderSplitOrderingPreview(data.options, data.correctOrder);
                 break;
+            case 'text-input':
+                this.renderSplitTextInputPreview();
+                break;
+            case 'matching':
+                this.renderMatchingPreview('preview-matching-split', data.pairs, 'split');
+                break;
         }
     }
 
@@ -546,6 +554,65 @@ export class PreviewRenderer {
         }
     }
 
+    /**
+     * Render text answer input preview
+     */
+    renderSplitTextInputPreview() {
+        const container = dom.get('preview-text-input-split');
+        const input = container?.querySelector('input');
+
+        if (input) {
+            input.placeholder = translationManager.getTranslationSync('enter_text_answer') || 'Type your answer';
+            input.disabled = true;
+        }
+    }
+
+    /**
+     * Render matching preview into a target container. The editor preview
+     * shows the answer key, so pairs stay lined up.
+     * Shared implementation for both desktop and mobile views
+     */
+    renderMatchingPreview(containerId, pairs, context = 'preview') {
+        const container = dom.get(containerId);
+        if (!container) {
+            logger.warn(`${context} matching container not found: ${containerId}`);
+            return;
+        }
+
+        if (!pairs || pairs.length === 0) {
+            container.innerHTML = `<p>${escapeHtml(translationManager.getTranslationSync('no_matching_pairs'))}</p>`;
+            return;
+        }
+
+        const hasLatexContent = pairs.some(pair => this.hasLatexContent(pair.left) || this.hasLatexContent(pair.right));
+
+        const leftHtml = pairs.map(pair => `
+            <div class="matching-left-item">${this.formatRichText(pair.left)}</div>
+        `).join('');
+        const rightHtml = pairs.map((pair, index) => {
+            const bgColor = COLORS.ORDERING_ITEM_COLORS[index % COLORS.ORDERING_ITEM_COLORS.length];
+            return `
+                <div class="ordering-display-item matching-right-item" style="background: ${bgColor};">
+                    <div class="ordering-item-content">${this.formatRichText(pair.right)}</div>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="ordering-player-instruction" data-translate="matching_player_instruction"></div>
+            <div class="matching-board" style="--matching-rows: ${pairs.length};">
+                <div class="matching-column matching-left">${leftHtml}</div>
+                <div class="matching-column ordering-display">${rightHtml}</div>
+            </div>
+        `;
+
+        translationManager.translateContainer(container);
+
+        if (hasLatexContent) {
+            this.renderLatexInContainer(container.querySelector('.matching-board'), context);
+        }
+    }
+
     /**
      * Render ordering preview (desktop split view)
      */
@@ -668,6 +735,15 @@ export class PreviewRenderer {
         container.appendChild(optionDiv);
     }
 
+    /**
+     * Format quiz-authored text as HTML: escaped first to prevent stored XSS,
+     * code blocks marked up, LaTeX left in place for MathJax. Also used for
+     * printed paper tests (quiz/modules/paper-test.js).
+     */
+    formatRichText(text) {
+        return this.formatCodeBlocks(escapeHtmlPreservingLatex(text));
+    }
+
     /**
      * Format code blocks in text (delegates to shared utility)
      */
@@ -752,7 +828,7 @@ export class PreviewRenderer {
         }
 
         const hasLatex = this.hasLatexContent(questionText);
-        const formattedText = this.formatCodeBlocks(escapeHtmlPreservingLatex(questionText));
+        const formattedText = this.formatRichText(questionText);
         previewElement.innerHTML = formattedText;
         // JS-owned content: keep the translation sweep off it (the element carries
         // data-translate="no_questions_to_preview" as its idle placeholder).
@@ -819,7 +895,9 @@ export class PreviewRenderer {
             'multiple-correct': () => this.renderMobileMultipleCorrectPreview(data.options, data.correctIndices),
             'true-false': () => this.renderMobileTrueFalsePreview(data.correctAnswer),
             'numeric': () => this.renderMobileNumericPreview(data.correctAnswer),
-            'ordering': () => this.renderMobileOrderingPreview(data.options, data.correctOrder)
+            'ordering': () => this.renderMobileOrderingPreview(data.options, data.correctOrder),
+            'text-input': () => this.renderMobileTextInputPreview(data.acceptedAnswers),
+            'matching': () => this.renderMobileMatchingPreview(data.pairs)
         };
 
         const renderer = rendererMap[data.type];
@@ -1018,6 +1096,23 @@ export class PreviewRenderer {
         }
     }
 
+    /**
+     * Render mobile text answer input, filled with the first accepted answer
+     */
+    renderMobileTextInputPreview(acceptedAnswers) {
+        const container = document.querySelector('#mobile-preview-answer-area .preview-text-input');
+        const input = container?.querySelector('input');
+
+        if (!container || !input) {
+            logger.warn('Mobile text input preview containers not found');
+            return;
+        }
+
+        container.classList.remove('hidden');
+        input.placeholder = translationManager.getTranslationSync('enter_text_answer') || 'Type your answer';
+        input.value = acceptedAnswers?.[0] || '';
+    }
+
     /**
      * Render mobile ordering preview
      */
@@ -1032,6 +1127,20 @@ export class PreviewRenderer {
         this.renderOrderingPreview('mobile-preview-ordering', options, correctOrder, 'mobile');
     }
 
+    /**
+     * Render mobile matching preview
+     */
+    renderMobileMatchingPreview(pairs) {
+        const container = document.querySelector('#mobile-preview-answer-area .preview-matching');
+        if (!container) {
+            logger.warn('Mobile matching preview container not found');
+            return;
+        }
+
+        container.classList.remove('hidden');
+        this.renderMatchingPreview('mobile-preview-matching', pairs, 'mobile');
+    }
+
     /**
      * Handle mobile question image
      */
@@ -299,7 +299,7 @@ export class PreviewManager {
     setupRealTimeSplitPreviewUpdates() {
         // Store listener references for cleanup
         this.listeners.inputHandler = (e) => {
-            if (e.target.matches('.question-text, .option, .numeric-answer, .numeric-tolerance, .ordering-option')) {
+            if (e.target.matches('.question-text, .option, .numeric-answer, .numeric-tolerance, .ordering-option, .text-input-answers, .matching-left, .matching-right')) {
                 this.updatePreviewDebounced();
                 // Smart auto-scroll with debouncing to prevent jumping
                 this.smartAutoScrollToEditedQuestion(e.target);
@@ -773,6 +773,16 @@ export class PreviewManager {
                             <div class="preview-answer-type preview-ordering" style="display: none;">
                                 <div class="preview-ordering-display mobile-ordering" id="mobile-preview-ordering"></div>
                             </div>
+
+                            <div class="preview-answer-type preview-matching" style="display: none;">
+                                <div class="preview-matching-display mobile-matching" id="mobile-preview-matching"></div>
+                            </div>
+
+                            <div class="preview-answer-type preview-text-input" style="display: none;">
+                                <div class="preview-numeric-input mobile-numeric">
+                                    <input type="text" placeholder="Type your answer" readonly>
+                                </div>
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -20,13 +20,16 @@ import { BASE_POINTS, getDifficultyMultiplier } from '../utils/scoring-config.js
 import { getEditorWarnings } from '../quiz/editor-validation.js';
 
 // Question type -> glyph modifier (colors live in app-screens.css, Stage B
-// section, on the shared option ramp: mc blue, tf green, num purple, ord amber)
+// section, on the shared option ramp: mc blue, tf green, num purple, ord amber,
+// txt cyan, mat rose)
 const TYPE_GLYPHS = {
     'multiple-choice': 'mc',
     'multiple-correct': 'mc',
     'true-false': 'tf',
     'numeric': 'num',
-    'ordering': 'ord'
+    'ordering': 'ord',
+    'text-input': 'txt',
+    'matching': 'mat'
 };
 
 // Editable fields whose changes should re-render the sidebar / preview meta
@@ -131,6 +134,7 @@ function renderSidebar() {
         `<div class="qs-rows">${rows}</div>` +
         '<div class="qs-footer">' +
         '<button type="button" class="qs-add-btn" id="sidebar-add-question">+ <span data-translate="add_question">Añadir pregunta</span></button>' +
+        '<button type="button" class="qs-add-btn" id="sidebar-question-bank" data-translate="question_bank_insert_from">Desde el banco</button>' +
         '</div>';
 
     translationManager.translateContainer(sidebar);
@@ -384,6 +388,10 @@ export function initQuestionSidebar() {
             dom.get('toolbar-add-question')?.click();
             return;
         }
+        if (event.target.closest('#sidebar-question-bank')) {
+            dom.get('toolbar-question-bank')?.click();
+            return;
+        }
         const row = event.target.closest('.qs-row');
         if (row && window.showQuestion) {
             window.showQuestion(parseInt(row.dataset.index, 10));
@@ -0,0 +1,105 @@
+/**
+ * Adaptive difficulty, client copy for practice mode (LocalGameSession).
+ *
+ * This MIRRORS services/adaptive-difficulty.js (the authoritative server
+ * implementation): same levels, thresholds and picking rules.
+ * tests/unit/adaptive-difficulty.test.js runs both side by side, so a change
+ * on one side must be made on the other.
+ */
+
+/** Difficulty levels, easiest first */
+export const DIFFICULTY_LEVELS = Object.freeze(['easy', 'medium', 'hard']);
+
+/** Level of the first question */
+export const START_DIFFICULTY = 'medium';
+
+/** Accuracy (percent) from which the next question is one level harder */
+export const RAISE_AT_PERCENT = 75;
+
+/** Accuracy (percent) below which the next question is one level easier */
+export const LOWER_BELOW_PERCENT = 40;
+
+/**
+ * @param {Object} question - Question data
+ * @returns {string} The question's difficulty level, 'medium' when unset or unknown
+ */
+export function difficultyOf(question) {
+    return DIFFICULTY_LEVELS.includes(question?.difficulty) ? question.difficulty : 'medium';
+}
+
+/**
+ * Level to aim for after a question
+ * @param {string} current - Level of the question just asked
+ * @param {number|null} accuracy - Percent answered right; null (a poll, nobody to count) keeps the level
+ * @returns {string} Target level
+ */
+export function nextDifficulty(current, accuracy) {
+    const level = DIFFICULTY_LEVELS.indexOf(current);
+    if (level === -1) return START_DIFFICULTY;
+    if (typeof accuracy !== 'number') return current;
+    if (accuracy >= RAISE_AT_PERCENT) return DIFFICULTY_LEVELS[Math.min(level + 1, DIFFICULTY_LEVELS.length - 1)];
+    if (accuracy < LOWER_BELOW_PERCENT) return DIFFICULTY_LEVELS[Math.max(level - 1, 0)];
+    return current;
+}
+
+/**
+ * Pool question to ask next: the first unasked one at the target level,
+ * else at the nearest level (the easier one on a tie)
+ * @param {Object[]} pool - All the quiz's questions
+ * @param {Set<number>|number[]} asked - Pool indices already asked
+ * @param {string} target - Level to aim for
+ * @returns {number} Pool index, or -1 when every question has been asked
+ */
+export function pickQuestion(pool, asked, target) {
+    const taken = asked instanceof Set ? asked : new Set(asked);
+    const targetLevel = Math.max(DIFFICULTY_LEVELS.indexOf(target), 0);
+
+    let best = -1;
+    let bestDistance = Infinity;
+    pool.forEach((question, index) => {
+        if (taken.has(index)) return;
+        const level = DIFFICULTY_LEVELS.indexOf(difficultyOf(question));
+        // Easier levels win ties: scaled distance, plus a half step when harder
+        const distance = Math.abs(level - targetLevel) * 2 + (level > targetLevel ? 1 : 0);
+        if (distance < bestDistance) {
+            best = index;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+/**
+ * Pool question to ask after the previous one
+ * @param {Object[]} pool - All the quiz's questions
+ * @param {number[]} asked - Pool indices asked so far, in order
+ * @param {number|null} accuracy - Percent answered right on the last of them
+ * @returns {number} Pool index, or -1 when every question has been asked
+ */
+export function pickNextQuestion(pool, asked, accuracy) {
+    const target = asked.length === 0
+        ? START_DIFFICULTY
+        : nextDifficulty(difficultyOf(pool[asked[asked.length - 1]]), accuracy);
+    return pickQuestion(pool, asked, target);
+}
+
+/**
+ * How many questions an adaptive game asks
+ * @param {number} poolSize - Questions in the pool
+ * @param {number} [requested] - Count set in the quiz; 0 or unset asks the whole pool
+ * @returns {number}
+ */
+export function adaptiveQuestionCount(poolSize, requested) {
+    return requested > 0 ? Math.min(requested, poolSize) : poolSize;
+}
+
+/**
+ * Accuracy of a single answer, for adapting to one player
+ * @param {Object|null|undefined} answer - Stored answer; none counts as wrong
+ * @param {Object} question - The question it answers
+ * @returns {number|null} 100 or 0, null for a poll
+ */
+export function answerAccuracy(answer, question) {
+    if (question?.isPoll === true || answer?.isPoll) return null;
+    return answer?.isCorrect === true ? 100 : 0;
+}
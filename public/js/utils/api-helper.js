@@ -4,6 +4,7 @@
  */
 
 import { logger } from '../core/config.js';
+import { translateOr } from './translation-manager.js';
 
 export class APIHelper {
     static getBaseUrl() {
@@ -51,4 +52,24 @@ export class APIHelper {
 
         return response.json();
     }
+
+    /**
+     * Like fetchAPIJSON, but a failed request throws the server's message:
+     * its `messageKey` translated, else its `error` text. The thrown error
+     * carries `messageKey` and `status`.
+     */
+    static async requestJSON(endpoint, options = {}) {
+        const response = await this.fetchAPI(endpoint, options);
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const message = data.messageKey ? translateOr(data.messageKey, data.error) : data.error;
+            const error = new Error(message || translateOr('action_failed', 'Action failed'));
+            error.messageKey = data.messageKey;
+            error.status = response.status;
+            throw error;
+        }
+
+        return data;
+    }
 }
\ No newline at end of file
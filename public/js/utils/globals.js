@@ -502,6 +502,33 @@ export function toggleConsensusModeModal() {
     consensusSettings.classList.toggle('hidden', !consensusMode.checked);
 }
 
+export function toggleTeamModeModal() {
+    const teamMode = dom.get('modal-team-mode');
+    const teamSettings = dom.get('modal-team-settings');
+
+    if (!teamMode || !teamSettings) return;
+
+    teamSettings.classList.toggle('hidden', !teamMode.checked);
+}
+
+export function toggleEliminationModeModal() {
+    const eliminationMode = dom.get('modal-elimination-mode');
+    const eliminationSettings = dom.get('modal-elimination-settings');
+
+    if (!eliminationMode || !eliminationSettings) return;
+
+    eliminationSettings.classList.toggle('hidden', !eliminationMode.checked);
+}
+
+export function toggleAdaptiveModeModal() {
+    const adaptiveMode = dom.get('modal-adaptive-mode');
+    const adaptiveSettings = dom.get('modal-adaptive-settings');
+
+    if (!adaptiveMode || !adaptiveSettings) return;
+
+    adaptiveSettings.classList.toggle('hidden', !adaptiveMode.checked);
+}
+
 export function toggleGlobalTimeModal() {
     const useGlobalTime = dom.get('modal-use-global-time');
     const globalTimeContainer = dom.get('modal-global-time-container');
@@ -549,6 +576,21 @@ function syncSettingsToModal() {
         consensusSettings.classList.toggle('hidden', !consensusMode.checked);
     }
 
+    syncCheckbox('team-mode', 'modal-team-mode');
+    syncInput('team-count', 'modal-team-count');
+    syncInput('team-aggregation', 'modal-team-aggregation');
+    syncInput('team-assignment', 'modal-team-assignment');
+    toggleTeamModeModal();
+
+    syncCheckbox('elimination-mode', 'modal-elimination-mode');
+    syncInput('elimination-slowest-percent', 'modal-elimination-slowest-percent');
+    syncInput('elimination-revival-every', 'modal-elimination-revival-every');
+    toggleEliminationModeModal();
+
+    syncCheckbox('adaptive-mode', 'modal-adaptive-mode');
+    syncInput('adaptive-question-count', 'modal-adaptive-question-count');
+    toggleAdaptiveModeModal();
+
     // Scoring options
     syncCheckbox('time-bonus-enabled', 'modal-time-bonus-enabled');
     syncInput('time-bonus-threshold', 'modal-time-bonus-threshold');
@@ -556,6 +598,12 @@ function syncSettingsToModal() {
     syncInput('easy-multiplier', 'modal-easy-multiplier');
     syncInput('medium-multiplier', 'modal-medium-multiplier');
     syncInput('hard-multiplier', 'modal-hard-multiplier');
+    syncCheckbox('streak-bonus-enabled', 'modal-streak-bonus-enabled');
+    syncInput('streak-bonus-step', 'modal-streak-bonus-step');
+    syncInput('streak-bonus-max', 'modal-streak-bonus-max');
+    syncCheckbox('comeback-bonus-enabled', 'modal-comeback-bonus-enabled');
+    syncInput('comeback-bonus-misses', 'modal-comeback-bonus-misses');
+    syncInput('comeback-bonus-percent', 'modal-comeback-bonus-percent');
 }
 
 function syncSettingsFromModal() {
@@ -580,6 +628,15 @@ function syncSettingsFromModal() {
     syncInput('modal-consensus-threshold', 'consensus-threshold');
     syncInput('modal-discussion-time', 'discussion-time');
     syncCheckbox('modal-allow-chat', 'allow-chat');
+    syncCheckbox('modal-team-mode', 'team-mode');
+    syncInput('modal-team-count', 'team-count');
+    syncInput('modal-team-aggregation', 'team-aggregation');
+    syncInput('modal-team-assignment', 'team-assignment');
+    syncCheckbox('modal-elimination-mode', 'elimination-mode');
+    syncInput('modal-elimination-slowest-percent', 'elimination-slowest-percent');
+    syncInput('modal-elimination-revival-every', 'elimination-revival-every');
+    syncCheckbox('modal-adaptive-mode', 'adaptive-mode');
+    syncInput('modal-adaptive-question-count', 'adaptive-question-count');
 
     // Scoring options
     syncCheckbox('modal-time-bonus-enabled', 'time-bonus-enabled');
@@ -588,6 +645,12 @@ function syncSettingsFromModal() {
     syncInput('modal-easy-multiplier', 'easy-multiplier');
     syncInput('modal-medium-multiplier', 'medium-multiplier');
     syncInput('modal-hard-multiplier', 'hard-multiplier');
+    syncCheckbox('modal-streak-bonus-enabled', 'streak-bonus-enabled');
+    syncInput('modal-streak-bonus-step', 'streak-bonus-step');
+    syncInput('modal-streak-bonus-max', 'streak-bonus-max');
+    syncCheckbox('modal-comeback-bonus-enabled', 'comeback-bonus-enabled');
+    syncInput('modal-comeback-bonus-misses', 'comeback-bonus-misses');
+    syncInput('modal-comeback-bonus-percent', 'comeback-bonus-percent');
 }
 
 function syncCheckbox(fromId, toId) {
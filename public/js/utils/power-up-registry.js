@@ -0,0 +1,280 @@
+/**
+ * Power-up registry, client copy for practice mode (LocalGameSession).
+ *
+ * This MIRRORS services/power-up-registry.js (the authoritative server
+ * implementation): same catalogue, defaults, limits and effects.
+ * tests/unit/power-up-registry.test.js runs both side by side, so a change
+ * on one side must be made on the other.
+ */
+
+/** Uses per player when a quiz does not set its own */
+export const DEFAULT_USES = 1;
+export const MAX_USES = 5;
+
+/**
+ * Power-up definitions, in display order.
+ * - enabledByDefault: on for quizzes saved before per-power-up settings existed
+ * - armed: stays active until the player's next scored answer, which consumes it
+ * - params: tunable values, `{ default, min, max }` (integers)
+ * - appliesTo(question): whether it can be used on this question
+ * - effect(question, settings, random): result fields sent back to the player
+ * @type {Map<string, Object>}
+ */
+const POWER_UPS = new Map();
+
+/**
+ * Add a power-up to the catalogue
+ * @param {Object} definition - Power-up definition (see POWER_UPS)
+ */
+export function registerPowerUp(definition) {
+    POWER_UPS.set(definition.id, {
+        enabledByDefault: false,
+        armed: false,
+        params: {},
+        appliesTo: () => true,
+        effect: () => ({}),
+        ...definition
+    });
+}
+
+/**
+ * @param {string} id - Power-up ID
+ * @returns {Object|null} Definition, or null for an unknown ID
+ */
+export function getPowerUp(id) {
+    return POWER_UPS.get(id) || null;
+}
+
+/**
+ * @returns {Object[]} All definitions, in display order
+ */
+export function listPowerUps() {
+    return Array.from(POWER_UPS.values());
+}
+
+/**
+ * Clamp a setting to an integer within bounds
+ * @param {*} value - Value from the quiz settings
+ * @param {{default: number, min: number, max: number}} bounds
+ * @returns {number}
+ */
+function clampSetting(value, bounds) {
+    const number = Number.isFinite(value) ? Math.round(value) : bounds.default;
+    return Math.min(bounds.max, Math.max(bounds.min, number));
+}
+
+/**
+ * Resolve a quiz's powerUpSettings into the game's catalogue. Unknown IDs
+ * are ignored and out-of-range values clamped; a power-up missing from the
+ * settings keeps its default on/off state.
+ * @param {Object} [settings] - `{ [id]: { enabled, uses, ...params } }`
+ * @returns {Object} `{ [id]: { uses, ...params } }` for each enabled power-up
+ */
+export function resolvePowerUpSettings(settings) {
+    const resolved = {};
+    for (const powerUp of POWER_UPS.values()) {
+        const entry = settings?.[powerUp.id] || {};
+        if (!(entry.enabled ?? powerUp.enabledByDefault)) continue;
+
+        const config = { uses: clampSetting(entry.uses, { default: DEFAULT_USES, min: 1, max: MAX_USES }) };
+        for (const [name, bounds] of Object.entries(powerUp.params)) {
+            config[name] = clampSetting(entry[name], bounds);
+        }
+        resolved[powerUp.id] = config;
+    }
+    return resolved;
+}
+
+/**
+ * Fresh per-player state for a resolved catalogue
+ * @param {Object} catalogue - Output of resolvePowerUpSettings()
+ * @returns {Object} `{ [id]: { remaining, active? } }`
+ */
+export function createPowerUpState(catalogue) {
+    const state = {};
+    for (const [id, config] of Object.entries(catalogue)) {
+        state[id] = { remaining: config.uses };
+        if (getPowerUp(id)?.armed) {
+            state[id].active = false;
+        }
+    }
+    return state;
+}
+
+/**
+ * @param {string} id - Power-up ID
+ * @param {Object} question - Current question
+ * @returns {boolean} True when the power-up can be used on this question
+ */
+export function isPowerUpApplicable(id, question) {
+    const powerUp = getPowerUp(id);
+    return !!powerUp && !!question && powerUp.appliesTo(question);
+}
+
+/**
+ * Correct answer key of a question (mirrors ScoringService.getCorrectAnswerKey)
+ * @param {Object} question - Question data
+ * @param {string} type - Question type
+ * @returns {*} Correct answer key
+ */
+function getCorrectAnswerKey(question, type) {
+    switch (type) {
+        case 'multiple-choice':
+            return question.correctIndex !== undefined ? question.correctIndex : question.correctAnswer;
+        case 'multiple-correct':
+            return question.correctIndices || question.correctAnswers || [];
+        case 'ordering':
+            return question.correctOrder || [];
+        case 'text-input':
+            return question.acceptedAnswers || [];
+        default:
+            return question.correctAnswer;
+    }
+}
+
+/**
+ * Options of a choice question as answer keys: indices for multiple-choice
+ * and multiple-correct, [true, false] for true-false
+ * @param {Object} question - Choice question
+ * @returns {{options: Array, isCorrect: Function}}
+ */
+function choiceOptions(question) {
+    const type = question.type || 'multiple-choice';
+    const correct = getCorrectAnswerKey(question, type);
+
+    if (type === 'true-false') {
+        const answer = correct === true || String(correct).toLowerCase() === 'true';
+        return { options: [true, false], isCorrect: (value) => value === answer };
+    }
+
+    const count = question.options?.length || 4;
+    const indices = Array.from({ length: count }, (_, index) => index);
+    if (type === 'multiple-correct') {
+        const correctSet = new Set(Array.isArray(correct) ? correct : []);
+        return { options: indices, isCorrect: (index) => correctSet.has(index) };
+    }
+    return { options: indices, isCorrect: (index) => index === correct };
+}
+
+/**
+ * Positions of the wrong options of a choice question, shuffled
+ * @param {Object} question - Choice question
+ * @param {Function} random - Random source in [0, 1)
+ * @returns {number[]} Option positions (for true-false: 0 = true, 1 = false)
+ */
+function shuffledWrongOptions(question, random) {
+    const { options, isCorrect } = choiceOptions(question);
+    const wrong = [];
+    options.forEach((value, position) => {
+        if (!isCorrect(value)) wrong.push(position);
+    });
+
+    for (let i = wrong.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [wrong[i], wrong[j]] = [wrong[j], wrong[i]];
+    }
+    return wrong;
+}
+
+/**
+ * Hint for the current question, from the question's own answer data
+ * @param {Object} question - Current question
+ * @param {Function} random - Random source in [0, 1)
+ * @returns {Object|null} `{ kind, ... }`, or null if no hint can be given
+ */
+function buildHint(question, random) {
+    const type = question.type || 'multiple-choice';
+    const correct = getCorrectAnswerKey(question, type);
+
+    switch (type) {
+        case 'multiple-choice': {
+            const [option] = shuffledWrongOptions(question, random);
+            return option === undefined ? null : { kind: 'exclude-option', option };
+        }
+        case 'multiple-correct':
+            return { kind: 'correct-count', count: Array.isArray(correct) ? correct.length : 0 };
+        case 'numeric': {
+            const value = parseFloat(correct);
+            if (isNaN(value)) return null;
+            // A window about 20% of the answer wide, placed at random around it
+            const span = Math.max(Math.abs(value) * 0.2, (question.tolerance || 0) * 2, 1);
+            const start = value - random() * span;
+            return { kind: 'range', min: Math.floor(start), max: Math.ceil(start + span) };
+        }
+        case 'text-input': {
+            const answer = (Array.isArray(correct) ? correct : [])
+                .map(text => String(text).trim())
+                .find(text => text !== '');
+            return answer ? { kind: 'first-letter', letter: answer[0], length: answer.length } : null;
+        }
+        case 'ordering': {
+            const first = question.options?.[correct[0]];
+            return first === undefined ? null : { kind: 'first-item', text: first };
+        }
+        case 'matching': {
+            const pairs = question.pairs || [];
+            if (pairs.length === 0) return null;
+            const pair = pairs[Math.floor(random() * pairs.length)];
+            return { kind: 'pair', left: pair.left, right: pair.right };
+        }
+        default:
+            return null;
+    }
+}
+
+const CHOICE_TYPES = ['multiple-choice', 'multiple-correct', 'true-false'];
+const HINT_TYPES = ['multiple-choice', 'multiple-correct', 'numeric', 'text-input', 'ordering', 'matching'];
+
+/**
+ * @param {Object} question
+ * @returns {boolean} True for a question with a correct answer
+ */
+const isGraded = (question) => question?.isPoll !== true;
+
+registerPowerUp({
+    id: 'fifty-fifty',
+    enabledByDefault: true,
+    appliesTo: (question) => isGraded(question) && CHOICE_TYPES.includes(question.type || 'multiple-choice'),
+    effect: (question, _settings, random) => {
+        const wrong = shuffledWrongOptions(question, random);
+        return { hiddenOptions: wrong.slice(0, Math.ceil(wrong.length / 2)) };
+    }
+});
+
+registerPowerUp({
+    id: 'extend-time',
+    enabledByDefault: true,
+    params: { extraSeconds: { default: 10, min: 5, max: 60 } },
+    effect: (_question, settings) => ({ extraSeconds: settings.extraSeconds })
+});
+
+registerPowerUp({
+    id: 'double-points',
+    enabledByDefault: true,
+    armed: true,
+    params: { multiplier: { default: 2, min: 2, max: 5 } },
+    effect: (_question, settings) => ({ multiplier: settings.multiplier })
+});
+
+registerPowerUp({
+    id: 'shield',
+    armed: true
+});
+
+registerPowerUp({
+    id: 'second-chance',
+    armed: true,
+    params: { pointsPercent: { default: 50, min: 10, max: 90 } },
+    effect: (_question, settings) => ({ pointsPercent: settings.pointsPercent })
+});
+
+registerPowerUp({
+    id: 'skip',
+    effect: () => ({ skipped: true })
+});
+
+registerPowerUp({
+    id: 'reveal-hint',
+    appliesTo: (question) => isGraded(question) && HINT_TYPES.includes(question.type || 'multiple-choice'),
+    effect: (question, _settings, random) => ({ hint: buildHint(question, random) })
+});
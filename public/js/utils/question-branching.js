@@ -0,0 +1,185 @@
+/**
+ * Question branching, client copy for practice mode (LocalGameSession) and
+ * the editor's save check.
+ *
+ * This MIRRORS services/question-branching.js (the authoritative server
+ * implementation): same rules, same loop check.
+ * tests/unit/question-branching.test.js runs both side by side, so a change
+ * on one side must be made on the other.
+ */
+
+/** Conditions a rule can test */
+export const BRANCH_CONDITIONS = Object.freeze(['always', 'accuracy-below', 'accuracy-at-least', 'option']);
+
+/** Longest label a question can carry */
+export const MAX_LABEL_LENGTH = 40;
+
+/**
+ * @param {Object[]} questions - Quiz questions
+ * @returns {boolean} Whether any question has a `next` rule
+ */
+export function hasBranching(questions) {
+    return Array.isArray(questions) && questions.some(question => question?.next);
+}
+
+/**
+ * @param {Object[]} questions - Quiz questions
+ * @param {string} label - Label to look for
+ * @returns {number} Index of the question with that label, -1 when there is none
+ */
+export function findLabel(questions, label) {
+    if (!label) return -1;
+    return questions.findIndex(question => question?.label === label);
+}
+
+/**
+ * Whether a rule's condition holds
+ * @param {Object} rule - The question's `next` rule
+ * @param {{accuracy: number|null, topOption: number|null}} outcome - How the question went:
+ *        percent answered right (null for a poll or nobody to count) and the option picked most
+ *        (null on a tie or without answers)
+ * @returns {boolean}
+ */
+export function conditionMet(rule, outcome) {
+    const accuracy = outcome?.accuracy;
+    switch (rule.when) {
+        case 'always':
+            return true;
+        case 'accuracy-below':
+            return typeof accuracy === 'number' && accuracy < rule.value;
+        case 'accuracy-at-least':
+            return typeof accuracy === 'number' && accuracy >= rule.value;
+        case 'option':
+            return typeof outcome?.topOption === 'number' && outcome.topOption === rule.value;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Index of the question to ask after one
+ * @param {Object[]} questions - Quiz questions
+ * @param {number} index - Index of the question just asked (-1 before the first)
+ * @param {Object} outcome - How it went (see conditionMet)
+ * @returns {number} Next index; questions.length or more means the quiz is over
+ */
+export function resolveNextIndex(questions, index, outcome) {
+    const rule = questions[index]?.next;
+    if (!rule) return index + 1;
+
+    const target = conditionMet(rule, outcome) ? rule.goTo : rule.otherwise;
+    const targetIndex = findLabel(questions, target);
+    return targetIndex === -1 ? index + 1 : targetIndex;
+}
+
+/**
+ * The option picked most often
+ * @param {Array<*>} answers - Chosen option indices (other values are ignored)
+ * @returns {number|null} Option index, null without answers or on a tie
+ */
+export function topOption(answers) {
+    const counts = new Map();
+    for (const answer of answers) {
+        if (Number.isInteger(answer)) counts.set(answer, (counts.get(answer) || 0) + 1);
+    }
+
+    let best = null;
+    let bestCount = 0;
+    let tied = false;
+    for (const [option, count] of counts) {
+        if (count > bestCount) {
+            best = option;
+            bestCount = count;
+            tied = false;
+        } else if (count === bestCount) {
+            tied = true;
+        }
+    }
+    return tied ? null : best;
+}
+
+/**
+ * Questions that can follow a question, for the loop check
+ * @param {Object[]} questions - Quiz questions
+ * @param {number} index - Question index
+ * @returns {number[]} Possible next indices (questions.length is the end)
+ */
+function successors(questions, index) {
+    const rule = questions[index]?.next;
+    if (!rule) return [index + 1];
+
+    const target = findLabel(questions, rule.goTo);
+    if (rule.when === 'always') return [target === -1 ? index + 1 : target];
+
+    const otherwise = findLabel(questions, rule.otherwise);
+    return [target === -1 ? index + 1 : target, otherwise === -1 ? index + 1 : otherwise];
+}
+
+/**
+ * Check a quiz's labels and rules. A flow that can come back to a question
+ * it already asked could go round forever, so any such loop is refused.
+ * @param {Object[]} questions - Quiz questions
+ * @returns {Array<{index: number, messageKey: string}>} Problems found, by question; empty when the flow is sound
+ */
+export function validateBranching(questions) {
+    const errors = [];
+    const seen = new Map();
+
+    questions.forEach((question, index) => {
+        const label = question?.label;
+        if (label === undefined || label === null || label === '') return;
+        if (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH) {
+            errors.push({ index, messageKey: 'branch_label_invalid' });
+        } else if (seen.has(label)) {
+            errors.push({ index, messageKey: 'branch_label_duplicate' });
+        } else {
+            seen.set(label, index);
+        }
+    });
+
+    questions.forEach((question, index) => {
+        const rule = question?.next;
+        if (!rule) return;
+        if (!BRANCH_CONDITIONS.includes(rule.when)) {
+            errors.push({ index, messageKey: 'branch_rule_invalid' });
+            return;
+        }
+        if (rule.when === 'option' && question.type !== 'multiple-choice') {
+            errors.push({ index, messageKey: 'branch_option_needs_choice' });
+            return;
+        }
+        if (rule.when !== 'always') {
+            const max = rule.when === 'option' ? (question.options?.length || 0) - 1 : 100;
+            if (!Number.isInteger(rule.value) || rule.value < 0 || rule.value > max) {
+                errors.push({ index, messageKey: 'branch_value_invalid' });
+                return;
+            }
+        }
+        if (!seen.has(rule.goTo) || (rule.otherwise && !seen.has(rule.otherwise))) {
+            errors.push({ index, messageKey: 'branch_target_missing' });
+        }
+    });
+    if (errors.length > 0) return errors;
+
+    // Depth-first search for a cycle: 1 = on the current path, 2 = done
+    const state = new Array(questions.length).fill(0);
+    const visit = (index) => {
+        if (index >= questions.length || state[index] === 2) return -1;
+        if (state[index] === 1) return index;
+        state[index] = 1;
+        for (const next of successors(questions, index)) {
+            const loopAt = visit(next);
+            if (loopAt !== -1) return loopAt;
+        }
+        state[index] = 2;
+        return -1;
+    };
+    for (let index = 0; index < questions.length; index++) {
+        const loopAt = visit(index);
+        if (loopAt !== -1) {
+            errors.push({ index: loopAt, messageKey: 'branch_loop' });
+            break;
+        }
+    }
+    return errors;
+}
@@ -37,9 +37,101 @@ function shuffleArray(array) {
     return shuffled;
 }
 
+/** Largest edit distance a text-input question may tolerate */
+const MAX_FUZZY_THRESHOLD = 3;
+
+/**
+ * Normalize free text for comparison: case, accents and whitespace are ignored
+ * Keep in sync with services/question-type-service.js
+ * @param {*} text - Raw text
+ * @returns {string} Normalized text ('' for non-strings)
+ */
+function normalizeText(text) {
+    if (typeof text !== 'string') return '';
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Minimum number of single-character edits
+ */
+function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
 /**
  * Question type definitions
  */
+/**
+ * Two-column matching board shared by the host and player views. The right
+ * column is an ordering list (see ordering-drag-drop.js); a CSS grid lines
+ * each right item up with the left item in the same row.
+ * @param {Object} data - Question data with `options` (left) and `matches` (right)
+ * @param {Object} helpers - escapeHtmlPreservingLatex, formatCodeBlocks, COLORS
+ * @param {boolean} movable - Add the up/down controls and the player container id
+ * @returns {string} Board HTML
+ */
+function buildMatchingBoard(data, helpers, movable) {
+    const { escapeHtmlPreservingLatex, formatCodeBlocks, COLORS } = helpers;
+    const itemColors = COLORS?.ORDERING_ITEM_COLORS || [
+        'rgba(59, 130, 246, 0.15)',
+        'rgba(16, 185, 129, 0.15)',
+        'rgba(245, 158, 11, 0.15)',
+        'rgba(239, 68, 68, 0.15)',
+        'rgba(139, 92, 246, 0.15)',
+        'rgba(236, 72, 153, 0.15)'
+    ];
+
+    const leftHtml = data.options.map(left => `
+        <div class="matching-left-item tex2jax_process">${formatCodeBlocks(escapeHtmlPreservingLatex(left || ''))}</div>
+    `).join('');
+
+    const moveControls = movable ? `
+        <div class="ordering-move-controls">
+            <button type="button" class="ordering-move-btn" data-move="up" draggable="false"
+                aria-label="Move up" data-translate-aria-label="ordering_move_up">&#9650;</button>
+            <button type="button" class="ordering-move-btn" data-move="down" draggable="false"
+                aria-label="Move down" data-translate-aria-label="ordering_move_down">&#9660;</button>
+        </div>
+    ` : '';
+
+    // FOUC Prevention: Add tex2jax_process class in HTML template
+    const rightHtml = data.matches.map((right, index) => `
+        <div class="ordering-display-item matching-right-item" data-original-index="${index}" data-order-index="${index}" style="background: ${itemColors[index % itemColors.length]};">
+            <div class="ordering-item-content tex2jax_process">${formatCodeBlocks(escapeHtmlPreservingLatex(right || ''))}</div>
+            ${moveControls}
+        </div>
+    `).join('');
+
+    const rightId = movable ? ' id="player-matching-container"' : '';
+    return `
+        <div class="matching-board" style="--matching-rows: ${data.options.length};">
+            <div class="matching-column matching-left">${leftHtml}</div>
+            <div class="matching-column ordering-display"${rightId}>${rightHtml}</div>
+        </div>
+    `;
+}
+
 const QUESTION_TYPES = {
     'multiple-choice': {
         id: 'multiple-choice',
@@ -892,6 +984,268 @@ const QUESTION_TYPES = {
             const items = orderingContainer.querySelectorAll('.ordering-display-item');
             return Array.from(items).map(item => parseInt(item.dataset.originalIndex));
         }
+    },
+
+    'text-input': {
+        id: 'text-input',
+        label: 'Text Input',
+
+        containerIds: {
+            player: 'player-text-input',
+            host: 'host-text-input',
+            preview: 'preview-text-input'
+        },
+
+        selectors: {
+            answersInput: '.text-input-answers',
+            fuzzyInput: '.text-input-fuzzy'
+        },
+
+        playerSelectors: {
+            optionsContainer: '.text-input-container'
+        },
+
+        extractData: (questionElement) => {
+            const answersInput = questionElement.querySelector('.text-input-answers');
+            const fuzzyInput = questionElement.querySelector('.text-input-fuzzy');
+
+            // One accepted answer per line
+            const acceptedAnswers = answersInput
+                ? answersInput.value.split('\n').map(line => line.trim()).filter(Boolean)
+                : [];
+            const fuzzyThreshold = fuzzyInput ? parseInt(fuzzyInput.value, 10) : 0;
+
+            return {
+                acceptedAnswers,
+                fuzzyThreshold: isNaN(fuzzyThreshold) ? 0 : fuzzyThreshold
+            };
+        },
+
+        populateQuestion: (questionElement, data) => {
+            const answersInput = questionElement.querySelector('.text-input-answers');
+            const fuzzyInput = questionElement.querySelector('.text-input-fuzzy');
+
+            if (answersInput && Array.isArray(data.acceptedAnswers)) {
+                answersInput.value = data.acceptedAnswers.join('\n');
+            }
+
+            if (fuzzyInput) {
+                fuzzyInput.value = data.fuzzyThreshold ?? 0;
+            }
+        },
+
+        validate: (data) => {
+            if (!Array.isArray(data.acceptedAnswers)) {
+                return { valid: false, error: 'Accepted answers must be an array' };
+            }
+
+            if (!data.acceptedAnswers.some(answer => normalizeText(answer) !== '')) {
+                return { valid: false, error: 'At least one accepted answer required' };
+            }
+
+            const threshold = data.fuzzyThreshold;
+            if (threshold !== undefined &&
+                (!Number.isInteger(threshold) || threshold < 0 || threshold > MAX_FUZZY_THRESHOLD)) {
+                return { valid: false, error: `Fuzzy threshold must be an integer from 0 to ${MAX_FUZZY_THRESHOLD}` };
+            }
+
+            return { valid: true };
+        },
+
+        scoreAnswer: (playerAnswer, acceptedAnswers, fuzzyThreshold = 0) => {
+            const answer = normalizeText(playerAnswer);
+            if (!answer || !Array.isArray(acceptedAnswers)) {
+                return false;
+            }
+
+            const threshold = Math.min(Math.max(parseInt(fuzzyThreshold, 10) || 0, 0), MAX_FUZZY_THRESHOLD);
+            return acceptedAnswers.some(accepted => {
+                const target = normalizeText(accepted);
+                if (!target) return false;
+                if (target === answer) return true;
+                return threshold > 0 && editDistance(answer, target) <= threshold;
+            });
+        },
+
+        renderHostOptions: (data, container, _helpers) => {
+            // Text input questions have no host options to display
+            container.classList.add('hidden');
+        },
+
+        renderPlayerOptions: (data, container, helpers) => {
+            const { translationManager } = helpers;
+            const input = container.querySelector('#text-answer-input');
+            const submitButton = container.querySelector('#submit-text-input');
+
+            if (input) {
+                input.value = '';
+                input.disabled = false;
+                const translation = translationManager.getTranslationSync
+                    ? translationManager.getTranslationSync('enter_text_answer')
+                    : 'Type your answer';
+                input.placeholder = translation || 'Type your answer';
+            }
+
+            if (submitButton) {
+                submitButton.disabled = false;
+            }
+        },
+
+        extractAnswer: (container) => {
+            const input = container.querySelector('#text-answer-input');
+            if (!input) return null;
+            const value = input.value.trim();
+            return value === '' ? null : value;
+        }
+    },
+
+    'matching': {
+        id: 'matching',
+        label: 'Matching',
+
+        containerIds: {
+            player: 'player-matching',
+            host: 'host-matching',
+            preview: 'preview-matching'
+        },
+
+        selectors: {
+            pairsContainer: '.matching-pairs',
+            pairs: '.matching-pairs .matching-pair'
+        },
+
+        playerSelectors: {
+            optionsContainer: '.matching-container'
+        },
+
+        extractData: (questionElement) => {
+            const pairsContainer = questionElement.querySelector('.matching-pairs');
+            if (!pairsContainer) {
+                return { pairs: [] };
+            }
+
+            // Rows with both sides empty are unused; half-filled rows are kept
+            // so validation can point them out
+            const pairs = Array.from(pairsContainer.querySelectorAll('.matching-pair'))
+                .map(row => ({
+                    left: row.querySelector('.matching-left')?.value.trim() || '',
+                    right: row.querySelector('.matching-right')?.value.trim() || ''
+                }))
+                .filter(pair => pair.left || pair.right);
+
+            return { pairs };
+        },
+
+        populateQuestion: (questionElement, data) => {
+            const pairsContainer = questionElement.querySelector('.matching-pairs');
+            if (!pairsContainer || !Array.isArray(data.pairs)) return;
+
+            // The editor starts with four rows; imported questions may have more
+            let rows = pairsContainer.querySelectorAll('.matching-pair');
+            while (rows.length > 0 && rows.length < data.pairs.length) {
+                const row = rows[rows.length - 1].cloneNode(true);
+                row.dataset.pair = rows.length;
+                row.querySelectorAll('input').forEach(input => { input.value = ''; });
+                pairsContainer.appendChild(row);
+                rows = pairsContainer.querySelectorAll('.matching-pair');
+            }
+
+            data.pairs.forEach((pair, index) => {
+                const left = rows[index]?.querySelector('.matching-left');
+                const right = rows[index]?.querySelector('.matching-right');
+                if (left) left.value = pair.left || '';
+                if (right) right.value = pair.right || '';
+            });
+        },
+
+        validate: (data) => {
+            if (!Array.isArray(data.pairs)) {
+                return { valid: false, error: 'Pairs must be an array' };
+            }
+
+            if (data.pairs.length < 2) {
+                return { valid: false, error: 'At least 2 pairs required for matching' };
+            }
+
+            const complete = data.pairs.every(pair =>
+                normalizeText(pair?.left) !== '' && normalizeText(pair?.right) !== '');
+            if (!complete) {
+                return { valid: false, error: 'Every pair needs a left and a right item' };
+            }
+
+            const rights = data.pairs.map(pair => normalizeText(pair.right));
+            if (new Set(rights).size !== rights.length) {
+                return { valid: false, error: 'Right items must be unique' };
+            }
+
+            return { valid: true };
+        },
+
+        /**
+         * Fraction of left items paired with the right item at the same
+         * index in correctMatches (0-1, partial credit)
+         */
+        scoreAnswer: (playerMatches, correctMatches) => {
+            if (!Array.isArray(playerMatches) || !Array.isArray(correctMatches)) {
+                return 0;
+            }
+
+            if (playerMatches.length !== correctMatches.length || correctMatches.length === 0) {
+                return 0;
+            }
+
+            const correctPairs = playerMatches.filter((val, index) => val === correctMatches[index]).length;
+            return correctPairs / correctMatches.length;
+        },
+
+        /**
+         * Both columns side by side. `matches` is the right column, already
+         * shuffled by the server, so the pairs are not shown lined up.
+         */
+        renderHostOptions: (data, container, helpers) => {
+            const { escapeHtmlPreservingLatex, formatCodeBlocks, COLORS } = helpers;
+            if (!data.options || data.options.length === 0 || !Array.isArray(data.matches)) {
+                container.classList.add('hidden');
+                return;
+            }
+
+            container.innerHTML = buildMatchingBoard(data, { escapeHtmlPreservingLatex, formatCodeBlocks, COLORS }, false);
+            container.classList.remove('hidden');
+        },
+
+        /**
+         * The left column is fixed; the right column is an ordering list the
+         * player rearranges until each item sits next to its partner.
+         */
+        renderPlayerOptions: (data, container, helpers) => {
+            const { escapeHtmlPreservingLatex, formatCodeBlocks, translationManager, COLORS } = helpers;
+            if (!data.options || data.options.length === 0 || !Array.isArray(data.matches)) {
+                return;
+            }
+
+            container.innerHTML = `
+                <div class="ordering-player-instruction" data-translate="matching_player_instruction"></div>
+                ${buildMatchingBoard(data, { escapeHtmlPreservingLatex, formatCodeBlocks, COLORS }, true)}
+                <button class="ordering-submit-button btn primary" id="submit-matching" data-translate="submit_answer"></button>
+            `;
+            container.classList.add('visible-flex');
+
+            // Translate dynamic content
+            if (translationManager?.translateContainer) {
+                translationManager.translateContainer(container);
+            }
+        },
+
+        /**
+         * For each left item, the index (in the order the player received the
+         * right column) of the right item placed next to it
+         */
+        extractAnswer: (container) => {
+            const rightColumn = container.querySelector('#player-matching-container');
+            if (!rightColumn) return null;
+            const items = rightColumn.querySelectorAll('.ordering-display-item');
+            return Array.from(items).map(item => parseInt(item.dataset.originalIndex));
+        }
     }
 };
 
@@ -1012,7 +1366,7 @@ export class QuestionTypeRegistry {
      * @param {*} playerAnswer - Player's answer
      * @param {*} correctAnswer - Correct answer
      * @param {Object} options - Additional options (e.g., tolerance for numeric)
-     * @returns {boolean} True if answer is correct
+     * @returns {boolean|number} True if answer is correct, 0-1 for partial credit (matching)
      */
     static scoreAnswer(typeId, playerAnswer, correctAnswer, options = {}) {
         try {
@@ -1023,6 +1377,11 @@ export class QuestionTypeRegistry {
                 return type.scoreAnswer(playerAnswer, correctAnswer, options.tolerance);
             }
 
+            // For text-input questions, pass the fuzzy edit-distance threshold
+            if (typeId === 'text-input') {
+                return type.scoreAnswer(playerAnswer, correctAnswer, options.fuzzyThreshold);
+            }
+
             return type.scoreAnswer(playerAnswer, correctAnswer);
         } catch (error) {
             logger.error(`Error scoring answer for type ${typeId}:`, error);
@@ -38,6 +38,8 @@ export class QuestionUtils {
                         <option value="true-false" data-translate="true_false">True/False</option>
                         <option value="numeric" data-translate="numeric_answer">Numeric Answer</option>
                         <option value="ordering" data-translate="ordering">Ordering</option>
+                        <option value="matching" data-translate="matching">Matching</option>
+                        <option value="text-input" data-translate="text_input">Text Answer</option>
                     </select>
                 </div>
 
@@ -319,12 +321,75 @@ export class QuestionUtils {
                 </div>
             </div>
 
+            <div class="answer-options matching-options" style="display: none;">
+                <div class="matching-instruction" data-translate="matching_instruction">Enter each item next to its match. Players see the right column shuffled.</div>
+                <div class="matching-pairs">
+                    <div class="matching-pair" data-pair="0">
+                        <input type="text" class="matching-left" placeholder="Term" data-translate-placeholder="matching_left_placeholder">
+                        <span class="matching-arrow">↔</span>
+                        <input type="text" class="matching-right" placeholder="Match" data-translate-placeholder="matching_right_placeholder">
+                    </div>
+                    <div class="matching-pair" data-pair="1">
+                        <input type="text" class="matching-left" placeholder="Term" data-translate-placeholder="matching_left_placeholder">
+                        <span class="matching-arrow">↔</span>
+                        <input type="text" class="matching-right" placeholder="Match" data-translate-placeholder="matching_right_placeholder">
+                    </div>
+                    <div class="matching-pair" data-pair="2">
+                        <input type="text" class="matching-left" placeholder="Term" data-translate-placeholder="matching_left_placeholder">
+                        <span class="matching-arrow">↔</span>
+                        <input type="text" class="matching-right" placeholder="Match" data-translate-placeholder="matching_right_placeholder">
+                    </div>
+                    <div class="matching-pair" data-pair="3">
+                        <input type="text" class="matching-left" placeholder="Term" data-translate-placeholder="matching_left_placeholder">
+                        <span class="matching-arrow">↔</span>
+                        <input type="text" class="matching-right" placeholder="Match" data-translate-placeholder="matching_right_placeholder">
+                    </div>
+                </div>
+            </div>
+
+            <div class="answer-options text-input-options" style="display: none;">
+                <label data-translate="accepted_answers">Accepted answers (one per line):</label>
+                <textarea class="text-input-answers" rows="3" placeholder="Paris" data-translate-placeholder="accepted_answers_placeholder" autocomplete="off" data-lpignore="true" data-1p-ignore></textarea>
+                <p class="text-input-hint" data-translate="text_input_match_hint">Case, accents and extra spaces are ignored.</p>
+                <label data-translate="fuzzy_threshold">Allowed typos:</label>
+                <select class="text-input-fuzzy">
+                    <option value="0" data-translate="fuzzy_exact">Exact match</option>
+                    <option value="1">1</option>
+                    <option value="2">2</option>
+                    <option value="3">3</option>
+                </select>
+            </div>
+
             <div class="explanation-section">
                 <details>
                     <summary><span data-translate="explanation_optional">Explanation (optional)</span><span class="explanation-hint" data-translate="explanation_hint">shown after answering</span></summary>
                     <textarea class="question-explanation" placeholder="Explain why the correct answer is correct..." data-translate-placeholder="explanation_placeholder"></textarea>
                 </details>
             </div>
+
+            <div class="explanation-section branching-section">
+                <details>
+                    <summary><span data-translate="branching_optional">Branching (optional)</span><span class="explanation-hint" data-translate="branching_hint">choose what comes next</span></summary>
+                    <div class="branching-fields">
+                        <label data-translate="branch_label">Label of this question:</label>
+                        <input type="text" class="question-label" maxlength="40" autocomplete="off">
+                        <label data-translate="branch_when">After this question:</label>
+                        <select class="branch-when">
+                            <option value="" data-translate="branch_when_none">Go on to the next question</option>
+                            <option value="always" data-translate="branch_when_always">Always jump</option>
+                            <option value="accuracy-below" data-translate="branch_when_accuracy_below">Jump if accuracy is below (%)</option>
+                            <option value="accuracy-at-least" data-translate="branch_when_accuracy_at_least">Jump if accuracy is at least (%)</option>
+                            <option value="option" data-translate="branch_when_option">Jump if most picked option is number</option>
+                        </select>
+                        <label data-translate="branch_value">Percent or option number:</label>
+                        <input type="number" class="branch-value" min="0" max="100" step="1">
+                        <label data-translate="branch_go_to">Jump to label:</label>
+                        <input type="text" class="branch-target" maxlength="40" autocomplete="off">
+                        <label data-translate="branch_otherwise">Otherwise go to label (optional):</label>
+                        <input type="text" class="branch-otherwise" maxlength="40" autocomplete="off">
+                    </div>
+                </details>
+            </div>
             </div>
         `;
     }
@@ -15,6 +15,10 @@ import { resultsManagerService } from '../services/results-manager-service.js';
 import { APIHelper } from './api-helper.js';
 import { SwipeToDelete } from './swipe-to-delete.js';
 import { bindElement, dom, show, hide } from './dom.js';
+import { authManager } from './auth-manager.js';
+import { StudentsModal } from '../ui/components/students-modal.js';
+import { GradebookModal } from '../ui/components/gradebook-modal.js';
+import { WebhooksModal } from '../ui/components/webhooks-modal.js';
 import {
     openModal,
     closeModal,
@@ -67,6 +71,8 @@ export class ResultsViewer {
     constructor() {
         this.filteredResults = null;
         this.currentDetailResult = null;
+        this.studentsModal = null; // Created on first use
+        this.gradebookModal = null; // Created on first use
 
         // Store modal binding handlers for cleanup
         this.modalHandlers = {
@@ -148,6 +154,7 @@ export class ResultsViewer {
         bindElement('sort-results', 'change', () => this.filterResults());
         bindElement('refresh-results', 'click', () => this.refreshResults());
         bindElement('download-result-csv', 'click', () => this.downloadCurrentResult());
+        bindElement('download-report-cards', 'click', () => this.downloadCurrentReportCards());
         bindElement('delete-result', 'click', () => this.deleteCurrentResult());
         bindElement('view-result-analytics', 'click', () => this.showCurrentResultAnalytics());
 
@@ -490,6 +497,12 @@ export class ResultsViewer {
         await this.quickDownload(this.currentDetailResult.filename);
     }
 
+    async downloadCurrentReportCards() {
+        if (!this.currentDetailResult) return;
+        const format = dom.get('report-card-format')?.value || 'html';
+        await resultsExporter.downloadReportCards(this.currentDetailResult.filename, format);
+    }
+
     // ========================================
     // Analytics
     // ========================================
@@ -804,6 +817,51 @@ export class ResultsViewer {
     /**
      * Show comparison modal for quizzes with multiple sessions
      */
+    /**
+     * Open the student roster and progress profiles (signed-in teachers only)
+     */
+    async showStudents() {
+        if (!authManager.isAuthenticated) {
+            showErrorAlert('students_sign_in_required');
+            return;
+        }
+        if (!this.studentsModal) {
+            this.studentsModal = new StudentsModal();
+        }
+        await this.studentsModal.open();
+    }
+
+    /**
+     * Open the webhook settings and delivery log (signed-in users only)
+     */
+    async showWebhooks() {
+        if (!authManager.isAuthenticated) {
+            showErrorAlert('webhooks_sign_in_required');
+            return;
+        }
+        if (!this.webhooksModal) {
+            this.webhooksModal = new WebhooksModal();
+        }
+        await this.webhooksModal.open();
+    }
+
+    /**
+     * Open the gradebook export over all saved sessions; when a search has
+     * narrowed the list, the sessions it shows start selected
+     */
+    showGradebook() {
+        const allResults = Array.from(resultsManagerService.resultsCache.values());
+        if (allResults.length === 0) {
+            showErrorAlert(getTranslation('no_results_found'));
+            return;
+        }
+        if (!this.gradebookModal) {
+            this.gradebookModal = new GradebookModal();
+        }
+        const selected = (this.filteredResults || []).map(r => r.filename);
+        this.gradebookModal.open(allResults, selected.length < allResults.length ? selected : []);
+    }
+
     showComparisonSelector() {
         const allResults = Array.from(resultsManagerService.resultsCache.values());
         const quizzesWithSessions = getQuizzesWithMultipleSessions(allResults);
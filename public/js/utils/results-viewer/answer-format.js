@@ -14,8 +14,10 @@
 
 import { getTranslation, getTrueFalseText } from '../translation-manager.js';
 
-// Ordering answers read as a sequence; every other multi-value answer is a set.
+// Ordering answers read as a sequence, accepted text answers as alternatives;
+// every other multi-value answer is a set.
 const ORDER_SEPARATOR = ' → ';
+const SEPARATORS = { 'ordering': ORDER_SEPARATOR, 'text-input': ' / ' };
 
 /**
  * Render a single answer component, resolving an option index to its text.
@@ -45,7 +47,13 @@ export function formatAnswerLabel(value, question) {
 
     if (Array.isArray(value)) {
         if (value.length === 0) return getTranslation('no_answer');
-        const separator = question?.type === 'ordering' ? ORDER_SEPARATOR : ', ';
+        // Matching answers hold a right-item index per left item
+        if (question?.type === 'matching' && Array.isArray(question.pairs)) {
+            return value.map((right, left) =>
+                `${question.pairs[left]?.left ?? left}${ORDER_SEPARATOR}${question.pairs[right]?.right ?? right}`
+            ).join('; ');
+        }
+        const separator = SEPARATORS[question?.type] || ', ';
         return value.map(item => formatAnswerComponent(item, options)).join(separator);
     }
 
@@ -75,6 +83,11 @@ export function getCorrectAnswerValue(question) {
             return question.correctIndices || question.correctAnswers;
         case 'ordering':
             return question.correctOrder;
+        case 'text-input':
+            return question.acceptedAnswers;
+        case 'matching':
+            // Left item i pairs with right item i in the stored question
+            return question.pairs?.map((_, index) => index);
         case 'multiple-choice':
             return question.correctIndex !== undefined ? question.correctIndex : question.correctAnswer;
         default:
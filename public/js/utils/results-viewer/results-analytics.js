@@ -332,6 +332,88 @@ function inferCorrectAnswer(results, questionIndex) {
     return bestAnswer ?? getTranslation('unknown');
 }
 
+/**
+ * Difficulty trajectory of an adaptive-difficulty result: the level of each
+ * question as it was asked. A live game has one path for the room (with the
+ * share of the room that got each question right); homework has one path
+ * per student (with whether they got it right).
+ * @param {Object} result - Quiz result data
+ * @returns {Object|null} `{mode: 'room', steps}` or `{mode: 'player', players}`,
+ *          null for a result that did not adapt
+ */
+export function calculateDifficultyTrajectory(result) {
+    const adaptive = result?.adaptive;
+    if (!adaptive) return null;
+
+    if (adaptive.mode === 'room') {
+        return {
+            mode: 'room',
+            steps: (adaptive.path || []).map((step, index) => ({
+                number: index + 1,
+                difficulty: step.difficulty || 'medium',
+                accuracy: typeof step.accuracy === 'number' ? step.accuracy : null
+            }))
+        };
+    }
+
+    const questions = result.questions || [];
+    return {
+        mode: 'player',
+        players: (result.results || [])
+            .filter(player => Array.isArray(player.questionOrder))
+            .map(player => ({
+                name: player.name,
+                steps: player.questionOrder.map((questionIndex, index) => {
+                    const answer = normalizeAnswerRecord(player.answers?.[questionIndex]);
+                    return {
+                        number: index + 1,
+                        questionNumber: questionIndex + 1,
+                        difficulty: questions[questionIndex]?.difficulty || 'medium',
+                        isCorrect: answer && !answer.isPoll ? answer.isCorrect : null
+                    };
+                })
+            }))
+    };
+}
+
+/**
+ * Render the difficulty trajectory section of the overview tab
+ * @param {Object|null} trajectory - From calculateDifficultyTrajectory
+ * @returns {string} HTML string, empty without a trajectory
+ */
+function renderDifficultyTrajectory(trajectory) {
+    if (!trajectory) return '';
+
+    const step = (difficulty, detail) => `
+        <span class="trajectory-step ${escapeHtml(difficulty)}">
+            <span class="trajectory-level">${escapeHtml(getTranslation(difficulty))}</span>
+            ${detail ? `<span class="trajectory-detail">${detail}</span>` : ''}
+        </span>`;
+    const path = (steps) => steps.join('<span class="trajectory-arrow" aria-hidden="true">→</span>');
+
+    let body;
+    if (trajectory.mode === 'room') {
+        body = `<div class="trajectory-path">${path(trajectory.steps.map(s =>
+            step(s.difficulty, `Q${s.number}${s.accuracy !== null ? ` · ${s.accuracy}%` : ''}`)))}</div>`;
+    } else if (trajectory.players.length > 0) {
+        body = trajectory.players.map(player => `
+            <div class="trajectory-player">
+                <span class="trajectory-player-name">${escapeHtml(player.name)}</span>
+                <div class="trajectory-path">${path(player.steps.map(s =>
+        step(s.difficulty, `Q${s.questionNumber}${s.isCorrect === null ? '' : s.isCorrect ? ' ✓' : ' ✗'}`)))}</div>
+            </div>`).join('');
+    } else {
+        body = `<p class="no-issues">${getTranslation('analytics_trajectory_empty')}</p>`;
+    }
+
+    return `
+        <div class="difficulty-trajectory">
+            <h3>${getTranslation(trajectory.mode === 'room' ? 'analytics_trajectory_room' : 'analytics_trajectory_player')}</h3>
+            ${body}
+        </div>
+    `;
+}
+
 /**
  * Render one hardest/easiest insight card, or a placeholder when no question
  * has any responses to rank.
@@ -436,6 +518,8 @@ export function createAnalyticsModal(result, analytics, summary, conceptData = n
                 <div class="chart-container">
                     <canvas id="time-vs-success-scatter" width="400" height="200"></canvas>
                 </div>
+
+                ${renderDifficultyTrajectory(calculateDifficultyTrajectory(result))}
             </div>
 
             <div class="tab-content" id="questions-tab">
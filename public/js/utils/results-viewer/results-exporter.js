@@ -73,6 +73,21 @@ export class ResultsExporter {
         }
     }
 
+    /**
+     * Download every player's report card for a result
+     * @param {string} filename - Result filename
+     * @param {string} [format='html'] - 'html' or 'pdf'
+     * @returns {Promise<void>}
+     */
+    async downloadReportCards(filename, format = 'html') {
+        try {
+            await resultsManagerService.downloadReportCards(filename, format);
+        } catch (error) {
+            logger.error('Error downloading report cards:', error);
+            showErrorAlert(getTranslation('export_failed_download'));
+        }
+    }
+
     /**
      * Show download options modal for a result
      * @param {string} filename - Result filename
@@ -17,6 +17,8 @@ export const TIME_BONUS_DIVISOR = 10;
 export const DEFAULT_DIFFICULTY_MULTIPLIERS = Object.freeze({ easy: 1, medium: 2, hard: 3 });
 export const DEFAULT_TIME_BONUS_ENABLED = true;
 export const DEFAULT_TIME_BONUS_THRESHOLD = 0;
+export const DEFAULT_STREAK_BONUS = Object.freeze({ stepPercent: 10, maxPercent: 50 });
+export const DEFAULT_COMEBACK_BONUS = Object.freeze({ afterMisses: 2, percent: 50 });
 
 // Fallback multiplier for an unknown/missing difficulty (matches server)
 const DEFAULT_DIFFICULTY_MULTIPLIER = 2;
@@ -35,11 +37,14 @@ const DEFAULT_DIFFICULTY_MULTIPLIER = 2;
  * @param {Object} [opts]
  * @param {string} [opts.prefix=''] - id prefix (e.g. 'qs-')
  * @param {boolean} [opts.thresholdToMs=true] - convert threshold seconds -> ms
- * @returns {{timeBonusEnabled: boolean, timeBonusThreshold: number, difficultyMultipliers: {easy: number, medium: number, hard: number}}}
+ * The streak and comeback bonuses are only included while switched on, so a
+ * quiz that never used them saves the same config as before.
+ *
+ * @returns {{timeBonusEnabled: boolean, timeBonusThreshold: number, difficultyMultipliers: {easy: number, medium: number, hard: number}, streakBonus?: Object, comebackBonus?: Object}}
  */
 export function readScoringConfigFromDOM(dom, { prefix = '', thresholdToMs = true } = {}) {
     const thresholdRaw = parseInt(dom.get(`${prefix}time-bonus-threshold`)?.value) || DEFAULT_TIME_BONUS_THRESHOLD;
-    return {
+    const config = {
         timeBonusEnabled: dom.get(`${prefix}time-bonus-enabled`)?.checked ?? DEFAULT_TIME_BONUS_ENABLED,
         timeBonusThreshold: thresholdToMs ? thresholdRaw * 1000 : thresholdRaw,
         difficultyMultipliers: {
@@ -48,6 +53,21 @@ export function readScoringConfigFromDOM(dom, { prefix = '', thresholdToMs = tru
             hard: parseFloat(dom.get(`${prefix}hard-multiplier`)?.value) || DEFAULT_DIFFICULTY_MULTIPLIERS.hard
         }
     };
+    if (dom.get(`${prefix}streak-bonus-enabled`)?.checked) {
+        config.streakBonus = {
+            enabled: true,
+            stepPercent: parseInt(dom.get(`${prefix}streak-bonus-step`)?.value) || DEFAULT_STREAK_BONUS.stepPercent,
+            maxPercent: parseInt(dom.get(`${prefix}streak-bonus-max`)?.value) || DEFAULT_STREAK_BONUS.maxPercent
+        };
+    }
+    if (dom.get(`${prefix}comeback-bonus-enabled`)?.checked) {
+        config.comebackBonus = {
+            enabled: true,
+            afterMisses: parseInt(dom.get(`${prefix}comeback-bonus-misses`)?.value) || DEFAULT_COMEBACK_BONUS.afterMisses,
+            percent: parseInt(dom.get(`${prefix}comeback-bonus-percent`)?.value) || DEFAULT_COMEBACK_BONUS.percent
+        };
+    }
+    return config;
 }
 
 /**
@@ -85,6 +105,36 @@ export function calculateTimeBonus(timeTaken, maxBonusValue, threshold = 0, deca
     return Math.floor(maxBonusValue * ratio);
 }
 
+/**
+ * Streak bonus points (mirrors ScoringService.calculateStreakBonus).
+ * @param {number} points - points of the answer before bonuses
+ * @param {number} streak - consecutive correct answers before this one
+ * @param {Object} [settings] - `config.streakBonus`
+ * @returns {number}
+ */
+export function calculateStreakBonus(points, streak, settings = null) {
+    if (!settings?.enabled || streak <= 0) return 0;
+    const stepPercent = settings.stepPercent ?? DEFAULT_STREAK_BONUS.stepPercent;
+    const maxPercent = settings.maxPercent ?? DEFAULT_STREAK_BONUS.maxPercent;
+    const percent = Math.min(maxPercent, stepPercent * streak);
+    return Math.floor(points * percent / 100);
+}
+
+/**
+ * Comeback bonus points (mirrors ScoringService.calculateComebackBonus).
+ * @param {number} basePoints - base points of the question
+ * @param {number} misses - consecutive wrong answers before this one
+ * @param {Object} [settings] - `config.comebackBonus`
+ * @returns {number}
+ */
+export function calculateComebackBonus(basePoints, misses, settings = null) {
+    if (!settings?.enabled) return 0;
+    const afterMisses = settings.afterMisses ?? DEFAULT_COMEBACK_BONUS.afterMisses;
+    if (misses < afterMisses) return 0;
+    const percent = settings.percent ?? DEFAULT_COMEBACK_BONUS.percent;
+    return Math.floor(basePoints * percent / 100);
+}
+
 /**
  * Calculate points for a single answer (mirrors ScoringService.calculateScore).
  *
@@ -96,9 +146,11 @@ export function calculateTimeBonus(timeTaken, maxBonusValue, threshold = 0, deca
  * @param {string} params.difficulty
  * @param {number} params.responseTime - response time in ms
  * @param {number} params.questionTimeLimitMs - decay window (question time limit in ms)
- * @param {Object} [params.config] - { timeBonusEnabled, timeBonusThreshold, difficultyMultipliers }
- * @param {number} [params.doublePointsMultiplier=1] - power-up multiplier (1 or 2)
- * @returns {{points: number, breakdown: {basePoints: number, timeBonus: number, difficultyMultiplier: number, doublePointsMultiplier: number}}}
+ * @param {Object} [params.config] - { timeBonusEnabled, timeBonusThreshold, difficultyMultipliers, streakBonus, comebackBonus }
+ * @param {number} [params.doublePointsMultiplier=1] - power-up multiplier
+ * @param {number} [params.streak=0] - consecutive correct answers before this one
+ * @param {number} [params.misses=0] - consecutive wrong answers before this one
+ * @returns {{points: number, breakdown: {basePoints: number, timeBonus: number, difficultyMultiplier: number, doublePointsMultiplier: number, streakBonus?: number, comebackBonus?: number}}}
  */
 export function calculatePoints({
     isCorrect,
@@ -106,7 +158,9 @@ export function calculatePoints({
     responseTime,
     questionTimeLimitMs,
     config = {},
-    doublePointsMultiplier = 1
+    doublePointsMultiplier = 1,
+    streak = 0,
+    misses = 0
 }) {
     const difficultyMultiplier = getDifficultyMultiplier(difficulty, config.difficultyMultipliers);
     const timeBonusEnabled = config.timeBonusEnabled ?? DEFAULT_TIME_BONUS_ENABLED;
@@ -135,10 +189,23 @@ export function calculatePoints({
         points = Math.floor(points * isCorrect);
     }
 
+    // Streak and comeback bonuses reward fully correct answers only
+    const fullyCorrect = isCorrect === true || isCorrect === 1;
+    const streakBonus = fullyCorrect ? calculateStreakBonus(points, streak, config.streakBonus) : 0;
+    const comebackBonus = fullyCorrect ? calculateComebackBonus(basePoints, misses, config.comebackBonus) : 0;
+    points += streakBonus + comebackBonus;
+
     points = points * doublePointsMultiplier;
 
     return {
         points,
-        breakdown: { basePoints, timeBonus: scaledTimeBonus, difficultyMultiplier, doublePointsMultiplier }
+        breakdown: {
+            basePoints,
+            timeBonus: scaledTimeBonus,
+            difficultyMultiplier,
+            doublePointsMultiplier,
+            ...(streakBonus > 0 && { streakBonus }),
+            ...(comebackBonus > 0 && { comebackBonus })
+        }
     };
 }
@@ -493,6 +493,14 @@ export function getTranslation(key, params = []) {
     return translationManager.getTranslationSync(key, params);
 }
 
+/**
+ * Translate with a fallback for keys that are missing (or not loaded yet)
+ */
+export function translateOr(key, fallback) {
+    const translated = translationManager.getTranslationSync(key);
+    return translated && translated !== key ? translated : fallback;
+}
+
 // Common utility functions for translation patterns
 /**
  * Show translated alert with error styling (now uses toast notifications)
@@ -604,17 +604,17 @@ export default {
     load: 'Laden',
 
     // Power-Ups
-    enable_power_ups: 'Power-Ups aktivieren (50-50, +10s, 2x Punkte)',
+    enable_power_ups: 'Power-Ups aktivieren',
     enable_power_ups_tooltip: 'Spielern erlauben, Power-Ups während des Spiels zu verwenden',
     show_leaderboard_between: 'Rangliste nach jeder Frage anzeigen',
     show_leaderboard_between_tooltip: 'Zeigt die Rangliste zwischen den Fragen; die Endrangliste erscheint immer',
     power_ups: 'Power-Ups',
     fifty_fifty: '50-50',
     fifty_fifty_tooltip: 'Die Hälfte der falschen Antworten entfernen',
-    extend_time: '+10s',
-    extend_time_tooltip: '10 Sekunden zum Timer hinzufügen',
-    double_points: '2× Punkte',
-    double_points_tooltip: 'Verdoppeln Sie Ihre Punkte bei der nächsten richtigen Antwort',
+    extend_time: '+{0}s',
+    extend_time_tooltip: '{0} Sekunden zum Timer hinzufügen',
+    double_points: '{0}× Punkte',
+    double_points_tooltip: 'Multiplizieren Sie Ihre Punkte bei der nächsten Antwort mit {0}',
     power_up_used: 'Power-up verwendet!',
 
     // Scoring Settings
@@ -1210,7 +1210,7 @@ export default {
 
     help_and_tour: 'Hilfe & Rundgang',
     restart_tour: 'Rundgang neu starten',
-    power_ups_help: 'Geben Sie Spielern besondere Fähigkeiten: 50-50 entfernt zwei falsche Antworten, +10s fügt extra Zeit hinzu, 2x verdoppelt die Punkte für eine Frage.',
+    power_ups_help: 'Geben Sie Spielern besondere Fähigkeiten: 50-50, Extrazeit, doppelte Punkte, ein Schild für ihre Serie, eine zweite Chance, Überspringen oder einen Hinweis. Unter „Power-Ups anpassen“ wählen Sie, welche es gibt und wie oft jeder Spieler sie nutzen darf.',
     consensus_mode_help: 'Spieler diskutieren und stimmen gemeinsam ab, bevor sie antworten. Das Team muss den Schwellenwert erreichen, um eine Antwort zu bestätigen.',
     create_first_quiz: 'Erstellen Sie Ihr erstes Quiz',
     try_ai_generation: 'Probieren Sie die KI-Generierung, um Fragen automatisch zu erstellen',
@@ -1556,5 +1556,425 @@ export default {
     consensus_of: 'von',
     threshold: 'Schwelle',
     unanimous: '100% (Einstimmig)',
-    ollama_server_url: 'Ollama-Server:'
+    ollama_server_url: 'Ollama-Server:',
+    // Host moderation (kick / ban)
+    manage_players: 'Spieler verwalten',
+    remove_player_named: '{0} entfernen',
+    remove_player_prompt: '{0} aus dem Spiel entfernen?',
+    remove_player_hint: 'Entfernte Spieler können erneut beitreten. Gesperrte Spieler können diesem Spiel nicht mehr beitreten.',
+    kick_player: 'Entfernen',
+    ban_player: 'Sperren',
+    player_kicked_notice: 'Der Host hat dich aus dem Spiel entfernt',
+    player_banned_notice: 'Der Host hat dich aus dem Spiel entfernt, du kannst nicht erneut beitreten',
+    error_player_banned: 'Du wurdest aus diesem Spiel entfernt',
+    error_failed_remove_player: 'Spieler konnte nicht entfernt werden',
+    error_not_authorized_host: 'Nur der Host kann Spieler entfernen',
+    // Text answer (fill-in-the-blank) questions
+    text_input: 'Textantwort',
+    accepted_answers: 'Akzeptierte Antworten (eine pro Zeile)',
+    accepted_answers_placeholder: 'Eine akzeptierte Antwort pro Zeile',
+    text_input_match_hint: 'Groß-/Kleinschreibung, Akzente und zusätzliche Leerzeichen werden ignoriert.',
+    fuzzy_threshold: 'Erlaubte Tippfehler',
+    fuzzy_exact: 'Exakte Übereinstimmung',
+    enter_text_answer: 'Antwort eingeben',
+    text_answer: 'Textantwort',
+    please_enter_text_answer: 'Bitte geben Sie eine Antwort ein',
+    text_input_needs_answer: 'Textfragen brauchen mindestens eine akzeptierte Antwort',
+    val_no_accepted_answer: 'keine akzeptierte Antwort',
+    // Matching (pair-up) questions
+    matching: 'Zuordnung',
+    matching_instruction: 'Trage jedes Element neben seinem Gegenstück ein. Die Spieler sehen die rechte Spalte gemischt.',
+    matching_left_placeholder: 'Begriff',
+    matching_right_placeholder: 'Gegenstück',
+    matching_player_instruction: 'Verschiebe mit den Pfeilen jedes Element rechts neben sein Gegenstück',
+    please_match_items: 'Bitte ordne die Elemente vor dem Absenden zu',
+    no_matching_pairs: 'Noch keine Paare',
+    matching_pair_stats: 'Richtige Zuordnungen pro Paar',
+    matching_needs_two_pairs: 'Zuordnungsfragen benötigen mindestens 2 Paare',
+    invalid_matching: 'Jedes Paar braucht beide Elemente, und jedes Gegenstück muss verschieden sein',
+    val_incomplete_pair: 'Paar unvollständig',
+    val_too_few_pairs: 'braucht 2 Paare',
+    // Homework assignments
+    assign_as_homework: 'Als Hausaufgabe zuweisen',
+    assignment_mode: 'Hausaufgabe',
+    assignment_publish_hint: 'Die Lernenden bearbeiten das Quiz über den Link in ihrem eigenen Tempo innerhalb dieses Zeitraums.',
+    assignment_opens: 'Beginnt',
+    assignment_closes: 'Endet',
+    assignment_publish: 'Veröffentlichen',
+    assignment_published: 'Hausaufgabe veröffentlicht',
+    assignment_existing: 'Veröffentlichte Hausaufgaben',
+    assignment_none: 'Noch keine Hausaufgaben',
+    assignment_submissions: 'Abgegeben: {0}',
+    assignment_extend: 'Um 1 Tag verlängern',
+    assignment_status_open: 'Offen',
+    assignment_status_scheduled: 'Geplant',
+    assignment_status_closed: 'Geschlossen',
+    confirm_delete_assignment: 'Diese Hausaufgabe löschen? Abgegebene Ergebnisse bleiben erhalten.',
+    copy: 'Kopieren',
+    link_copied: 'Link kopiert',
+    assignment_question_count: '{0} Fragen',
+    assignment_due: 'Fällig am {0}',
+    assignment_opens_at: 'Diese Hausaufgabe beginnt am {0}.',
+    assignment_closed: 'Diese Hausaufgabe ist geschlossen',
+    assignment_intro_hint: 'Jede Frage hat ein Zeitlimit. Du kannst die Seite schließen und vor Fristende weitermachen.',
+    assignment_start: 'Starten',
+    assignment_continue_as: 'Weiter als {0}',
+    assignment_submitted: 'Hausaufgabe abgegeben',
+    assignment_submitted_hint: 'Deine Antworten wurden für deine Lehrkraft gespeichert.',
+    assignment_answered: 'Beantwortet',
+    confirm_exit_assignment: 'Hausaufgabe verlassen? Du kannst später über denselben Link weitermachen.',
+    error_invalid_assignment_code: 'Ungültiger Hausaufgabencode',
+    error_assignment_not_found: 'Hausaufgabe nicht gefunden',
+    error_assignment_invalid_dates: 'Ungültiges Start- oder Enddatum',
+    error_assignment_close_before_open: 'Das Enddatum muss nach dem Startdatum liegen',
+    error_quiz_no_questions: 'Das Quiz enthält keine Fragen',
+    error_assignment_not_owner: 'Diese Hausaufgabe gehört dir nicht',
+    error_assignment_full: 'Diese Hausaufgabe hat die maximale Teilnehmerzahl erreicht',
+    error_assignment_not_open: 'Diese Hausaufgabe ist noch nicht geöffnet',
+    error_assignment_closed: 'Diese Hausaufgabe ist geschlossen',
+    error_attempt_not_found: 'Versuch nicht gefunden',
+    error_question_ended: 'Die Frage ist bereits beendet',
+    error_confirm_required: 'Bitte bestätige diese Aktion',
+    error_failed_list_assignments: 'Hausaufgaben konnten nicht geladen werden',
+    error_failed_create_assignment: 'Hausaufgabe konnte nicht erstellt werden',
+    error_assignment_quiz_protected: 'Passwortgeschützte Quiz können nicht als Hausaufgabe veröffentlicht werden',
+    error_failed_update_assignment: 'Hausaufgabe konnte nicht aktualisiert werden',
+    error_failed_delete_assignment: 'Hausaufgabe konnte nicht gelöscht werden',
+    error_failed_load_assignment: 'Hausaufgabe konnte nicht geladen werden',
+    error_failed_start_assignment: 'Hausaufgabe konnte nicht gestartet werden',
+    // Team mode
+    team_mode: 'Teammodus (Teams treten gegeneinander an)',
+    team_mode_tooltip: 'Spieler in Teams aufteilen, die gegeneinander antreten',
+    team_mode_help: 'Die Spieler werden in Teams aufgeteilt, die gegeneinander antreten. Die Teampunkte ergeben sich aus den Punkten der Mitglieder.',
+    team_count: 'Anzahl der Teams',
+    team_aggregation: 'Teampunkte',
+    team_aggregation_sum: 'Summe der Mitgliederpunkte',
+    team_aggregation_average: 'Durchschnitt der Mitgliederpunkte',
+    team_aggregation_best: 'Beste Mitgliederpunktzahl',
+    team_assignment: 'Teamzuteilung',
+    team_assignment_auto: 'Automatisch (beim Beitritt ausgeglichen)',
+    team_assignment_manual: 'Manuell (Host teilt in der Lobby zu)',
+    team_label: 'Team {0}',
+    team_unassigned: 'Kein Team',
+    change_team_named: 'Team von {0} ändern',
+    team_standings: 'Teamwertung',
+    team_members: '{0} Spieler',
+    error_team_mode_disabled: 'Der Teammodus ist nicht aktiviert',
+    error_team_not_found: 'Team nicht gefunden',
+    error_team_change_lobby_only: 'Teams können nur in der Lobby geändert werden',
+    error_failed_assign_team: 'Team konnte nicht geändert werden',
+    // Student roster and progress profiles
+    roster_pick_label: 'Such deinen Namen in der Klassenliste',
+    roster_pick_none: 'Ich stehe nicht auf der Liste',
+    student_code_placeholder: 'Oder gib deinen Schülercode ein',
+    student_code: 'Schülercode',
+    students: 'Schüler',
+    students_tooltip: 'Schülerliste und Fortschritt über mehrere Spiele',
+    students_hint: 'Schüler treten deinen Spielen bei, indem sie ihren Namen wählen oder ihren Code eingeben. Jedes Spiel wird ihrem Profil hinzugefügt.',
+    student_name: 'Name des Schülers',
+    student_add: 'Schüler hinzufügen',
+    students_none: 'Noch keine Schüler',
+    student_games_played: 'Gespielte Spiele',
+    student_average_accuracy: 'Durchschnittliche Genauigkeit',
+    student_recent_accuracy: 'Aktuelle Genauigkeit',
+    student_trend: 'Tendenz',
+    student_trend_improving: 'Steigend',
+    student_trend_declining: 'Fallend',
+    student_trend_steady: 'Gleichbleibend',
+    student_view_profile: 'Profil ansehen',
+    student_new_code: 'Neuer Code',
+    confirm_remove_student: 'Diesen Schüler entfernen? Sein Fortschrittsverlauf wird ebenfalls gelöscht.',
+    student_no_games: 'Noch keine Spiele erfasst',
+    student_no_concepts: 'Noch keine Fragen mit Konzepten gespielt',
+    student_latest: 'Zuletzt',
+    student_accuracy_trend: 'Genauigkeit pro Spiel',
+    student_concept_mastery: 'Konzeptbeherrschung',
+    students_sign_in_required: 'Melde dich an, um deine Schüler zu verwalten',
+    error_user_not_found: 'Benutzer nicht gefunden',
+    error_student_name_length: 'Der Schülername muss 1-50 Zeichen lang sein',
+    error_roster_full: 'Die Schülerliste ist voll',
+    error_student_not_found: 'Schüler nicht gefunden',
+    error_student_code_invalid: 'Unbekannter Schülercode',
+    error_student_already_joined: 'Dieser Schüler ist bereits im Spiel',
+    error_invalid_student_id: 'Ungültige Schüler-ID',
+    error_failed_list_students: 'Schüler konnten nicht geladen werden',
+    error_failed_add_student: 'Schüler konnte nicht hinzugefügt werden',
+    error_failed_update_student: 'Schüler konnte nicht aktualisiert werden',
+    error_failed_remove_student: 'Schüler konnte nicht entfernt werden',
+    error_failed_load_profile: 'Schülerprofil konnte nicht geladen werden',
+    error_failed_export_profile: 'Schülerprofil konnte nicht exportiert werden',
+    // Spaced-repetition review
+    review_session_title: 'Wiederholung',
+    review_session_done: 'Verpasste Fragen kommen früher wieder, die anderen später.',
+    review_more: 'Weiter wiederholen',
+    review_due_title: 'Zeit zum Wiederholen',
+    review_due_items: 'Fällige Fragen wiederholen',
+    review_due_count: '{0} verpasste Frage(n) zur Wiederholung fällig',
+    review_nothing_due: 'Gerade gibt es nichts zu wiederholen',
+    error_invalid_user_id: 'Ungültige Benutzer-ID',
+    error_failed_load_review: 'Wiederholungsliste konnte nicht geladen werden',
+    error_failed_save_review: 'Wiederholungsliste konnte nicht gespeichert werden',
+    // Question bank
+    question_bank: 'Fragenpool',
+    question_bank_tooltip: 'Fragenpool: Fragen aus deinen Quiz wiederverwenden',
+    question_bank_insert_from: 'Aus dem Fragenpool',
+    question_bank_search_placeholder: 'Fragen, Antworten und Konzepte suchen...',
+    question_bank_search: 'Suchen',
+    question_bank_any_type: 'Alle Typen',
+    question_bank_any_difficulty: 'Jede Schwierigkeit',
+    question_bank_any_concept: 'Alle Konzepte',
+    question_bank_found: '{0} Fragen gefunden',
+    question_bank_showing: '{0} von {1} Fragen angezeigt',
+    question_bank_empty: 'Keine passenden Fragen',
+    question_bank_insert: '{0} ausgewählte einfügen',
+    question_bank_inserted: '{0} Fragen zum Quiz hinzugefügt',
+    question_bank_draws_title: 'Zufällige Fragen beim Spielstart',
+    question_bank_draws_hint: 'Bei jedem Start dieses Quiz werden diese Fragen zufällig aus dem Pool gezogen und nach den eigenen Fragen angehängt.',
+    question_bank_draw_count: 'Anzahl der Fragen',
+    question_bank_add_draw: 'Ziehung hinzufügen',
+    question_bank_no_draws: 'Keine zufälligen Ziehungen',
+    bank_draw_shortfall: 'Nur {0} von {1} Fragen für „{2}“ gefunden',
+    question_type_text_input: 'Texteingabe',
+    question_type_matching: 'Zuordnung',
+    error_failed_search_bank: 'Fragenpool konnte nicht durchsucht werden',
+    error_failed_load_bank_questions: 'Fragen konnten nicht geladen werden',
+    error_failed_draw_questions: 'Fragen konnten nicht aus dem Fragenpool gezogen werden',
+    error_invalid_question_ref: 'Ungültiger Fragenverweis',
+    error_question_not_found: 'Frage nicht gefunden',
+    // Quiz packages (.quizix)
+    package_missing_media: '{0} Bilder oder Videos fehlten im Paket und werden nicht angezeigt',
+    package_rejected_media: '{0} Dateien im Paket waren keine gültigen Bilder oder Videos und wurden ausgelassen',
+    error_invalid_package: 'Diese Datei ist kein gültiges .quizix-Paket',
+    error_package_version_unsupported: 'Dieses Paket wurde mit einer neueren Version von Quizix Pro erstellt. Aktualisieren Sie diesen Server, um es zu importieren.',
+    error_package_too_large: 'Das Paket ist zu groß zum Importieren',
+    error_failed_export_package: 'Das Quiz-Paket konnte nicht erstellt werden',
+    // Export dialog and Moodle GIFT / XML import
+    export_quiz_title: 'Quiz exportieren',
+    export_format_quizix: 'Quizix-Paket (.quizix)',
+    export_format_quizix_hint: 'Fragen, Einstellungen, Bilder und Videos, zum Öffnen auf einem anderen Quizix-Server',
+    export_format_gift: 'Moodle GIFT (.txt)',
+    export_format_moodle_xml: 'Moodle XML (.xml)',
+    export_format_moodle_hint: 'Nur Fragen, für den Import in die Moodle-Fragensammlung',
+    format_import_skipped: '{0} Fragen konnten nicht umgewandelt werden und wurden übersprungen',
+    format_export_skipped: '{0} Fragen haben in diesem Format keine Entsprechung und wurden ausgelassen',
+    format_import_no_questions: 'Aus dieser Datei konnten keine Fragen importiert werden',
+    error_invalid_moodle_xml: 'Diese Datei ist kein Moodle-XML',
+    // IMS QTI packages
+    export_format_qti21: 'IMS QTI 2.1 (.zip)',
+    export_format_qti30: 'IMS QTI 3.0 (.zip)',
+    export_format_qti_hint: 'Fragen und Bilder, für Lernplattformen und Prüfungswerkzeuge',
+    error_invalid_qti_package: 'Diese Datei ist kein IMS-QTI-Paket',
+    // Spreadsheet question import
+    export_format_csv: 'Tabelle (.csv)',
+    export_format_csv_hint: 'Eine Frage pro Zeile, zum Bearbeiten in Excel und erneuten Importieren',
+    download_sheet_template: 'Leere Tabellenvorlage für den Fragenimport herunterladen',
+    import_report_title: 'Hinweise zum Import',
+    format_import_notes: 'Alle Fragen wurden importiert, mit diesen Hinweisen',
+    error_invalid_question_sheet: 'Die Tabelle hat keine Spalte „question“. Beginnen Sie mit der Vorlage.',
+    // Paper tests
+    print_paper_test_tooltip: 'Papiertest drucken',
+    paper_test_title: 'Papiertest drucken',
+    paper_test_versions: 'Versionen',
+    paper_test_shuffle_questions: 'Fragenreihenfolge je Version mischen',
+    paper_test_shuffle_options: 'Antwortoptionen je Version mischen',
+    paper_test_answer_key_option: 'Lösungsblätter',
+    paper_test_bubble_sheet_option: 'Antwortbogen zum Ankreuzen',
+    paper_test_hint: 'Wählen Sie im Druckdialog „Als PDF speichern“ für eine PDF-Kopie.',
+    paper_test_download: 'HTML herunterladen',
+    paper_test_print: 'Drucken',
+    paper_test_failed: 'Der Papiertest konnte nicht erstellt werden',
+    paper_test_name: 'Name',
+    paper_test_class: 'Klasse',
+    paper_test_date: 'Datum',
+    paper_test_version: 'Version {0}',
+    paper_test_answer_sheet: 'Antwortbogen',
+    paper_test_answer_key: 'Lösungen',
+    paper_test_answer_column: 'Antwort',
+    paper_test_quiz_question_column: 'Quizfrage',
+    paper_test_select_all_hint: 'Kreuzen Sie alle richtigen Antworten an.',
+    paper_test_order_hint: 'Schreiben Sie die Buchstaben in der richtigen Reihenfolge.',
+    paper_test_matching_hint: 'Schreiben Sie neben jeden Eintrag den Buchstaben der passenden Antwort.',
+    paper_test_poll_key: 'Meinungsfrage, jede Antwort',
+    // Report cards
+    download_my_report: 'Meinen Bericht herunterladen',
+    download_report_cards: 'Einzelberichte',
+    report_card_format: 'Format der Einzelberichte',
+    report_card_format_html: 'HTML',
+    report_card_format_pdf: 'PDF (nur lateinische Schrift)',
+    error_player_not_found: 'Spieler in diesem Ergebnis nicht gefunden',
+    // Gradebook export
+    gradebook: 'Notenbuch',
+    gradebook_tooltip: 'Noten für das Notenbuch einer Lernplattform exportieren',
+    gradebook_export: 'Notenbuch exportieren',
+    gradebook_hint: 'Eine Zeile pro Schüler und eine Spalte pro Sitzung. Schüler werden über ihren Klassencode zugeordnet, sonst über den Namen.',
+    gradebook_sessions: 'Sitzungen',
+    gradebook_normalization: 'Punktzahl',
+    gradebook_normalization_percent: '% richtig',
+    gradebook_normalization_partial: '% mit Teilpunkten',
+    gradebook_normalization_points: 'Spielpunkte',
+    gradebook_scale: 'Notenskala',
+    gradebook_scale_none: 'Keine (nur Punktzahl)',
+    gradebook_scale_letter: 'Buchstaben (A–F)',
+    gradebook_scale_chile: 'Chilenisch (1,0–7,0)',
+    gradebook_scale_custom: 'Eigene Stufen',
+    gradebook_pass_percent: '% für eine 4,0',
+    gradebook_bands: 'Stufen (Mindest-%=Note)',
+    gradebook_invalid_bands: 'Stufen als Mindest-%=Note angeben, durch Kommas getrennt (z. B. 90=A, 0=F)',
+    gradebook_layout: 'Format',
+    gradebook_layout_generic: 'Tabelle',
+    gradebook_select_sessions: 'Mindestens eine Sitzung auswählen',
+    error_invalid_gradebook_options: 'Ungültige Notenbuch-Optionen',
+    error_failed_export_gradebook: 'Notenbuch konnte nicht exportiert werden',
+    // LTI (LMS launches)
+    error_lti_not_configured: 'Die LMS-Anbindung ist auf diesem Server nicht eingerichtet',
+    error_lti_platform_unknown: 'Dieses LMS ist bei Quizix nicht registriert',
+    error_lti_state_invalid: 'Der Start ist abgelaufen oder wurde bereits verwendet. Starte erneut aus deinem Kurs.',
+    error_lti_launch_invalid: 'Der Start aus dem LMS konnte nicht überprüft werden',
+    error_lti_instructor_only: 'Nur Lehrkräfte können Quizix-Inhalte hinzufügen',
+    // Webhooks (webhooks-modal.js, routes/webhooks.js)
+    webhooks: 'Webhooks',
+    webhooks_tooltip: 'Spiel- und Ergebnisereignisse an andere Dienste senden',
+    webhooks_hint: 'Quizix sendet signiertes JSON an diese URLs, wenn deine Spiele starten und enden, Spieler beitreten oder gehen und Ergebnisse gespeichert werden.',
+    webhooks_sign_in_required: 'Melde dich an, um deine Webhooks zu verwalten',
+    webhooks_none: 'Noch keine Webhooks',
+    webhook_url: 'Webhook-URL',
+    webhook_description: 'Beschreibung (optional)',
+    webhook_add: 'Webhook hinzufügen',
+    webhook_events: 'Ereignisse',
+    webhook_event_game_started: 'Spiel gestartet',
+    webhook_event_game_ended: 'Spiel beendet',
+    webhook_event_player_joined: 'Spieler beigetreten',
+    webhook_event_player_left: 'Spieler gegangen',
+    webhook_event_results_saved: 'Ergebnisse gespeichert',
+    webhook_pick_event: 'Wähle mindestens ein Ereignis',
+    webhook_secret: 'Geheimnis',
+    webhook_secret_notice: 'Kopiere das Signaturgeheimnis jetzt; es wird nicht noch einmal angezeigt.',
+    webhook_disabled: 'Deaktiviert',
+    webhook_deliveries: 'Zustellungen',
+    webhook_test: 'Testen',
+    webhook_test_sent: 'Testzustellung eingereiht',
+    webhook_enable: 'Aktivieren',
+    webhook_disable: 'Deaktivieren',
+    webhook_new_secret: 'Neues Geheimnis',
+    confirm_new_webhook_secret: 'Signaturgeheimnis ersetzen? Mit dem alten signierte Zustellungen lassen sich dann nicht mehr prüfen.',
+    confirm_remove_webhook: 'Diesen Webhook löschen? Noch ausstehende Wiederholungen werden verworfen.',
+    webhook_no_deliveries: 'Noch nichts gesendet',
+    webhook_attempts: 'Versuche',
+    webhook_next_attempt: 'Nächster Versuch',
+    webhook_payload: 'Nutzdaten',
+    webhook_resend: 'Erneut senden',
+    webhook_status_pending: 'Ausstehend',
+    webhook_status_retrying: 'Wird wiederholt',
+    webhook_status_delivered: 'Zugestellt',
+    webhook_status_failed: 'Fehlgeschlagen',
+    error_webhook_url_invalid: 'Die Webhook-URL muss http oder https verwenden',
+    error_webhook_url_blocked: 'Die Webhook-URL zeigt auf eine private oder nicht erreichbare Adresse',
+    error_webhook_not_found: 'Webhook nicht gefunden',
+    error_webhook_limit: 'Höchstens 10 Webhooks pro Konto',
+    error_webhook_delivery_not_found: 'Zustellung nicht gefunden',
+    error_webhook_delivery_queued: 'Die Zustellung steht noch in der Warteschlange',
+    error_failed_list_webhooks: 'Webhooks konnten nicht geladen werden',
+    error_failed_save_webhook: 'Webhook konnte nicht gespeichert werden',
+    // Power-up registry: new power-ups, hints and per-quiz settings
+    power_up_shield: 'Schild',
+    power_up_shield_tooltip: 'Behalten Sie Ihre Serie, wenn die nächste Antwort falsch ist',
+    power_up_second_chance: '2. Chance',
+    power_up_second_chance_tooltip: 'Ist die nächste Antwort falsch, antworten Sie erneut für {0} % der Punkte',
+    power_up_skip: 'Überspringen',
+    power_up_skip_tooltip: 'Diese Frage überspringen, ohne die Serie zu unterbrechen',
+    power_up_reveal_hint: 'Hinweis',
+    power_up_reveal_hint_tooltip: 'Einen Hinweis zu dieser Frage anzeigen',
+    hint_exclude_option: 'Eine falsche Antwort wurde entfernt',
+    hint_correct_count: 'Es gibt {0} richtige Antworten',
+    hint_range: 'Die Antwort liegt zwischen {0} und {1}',
+    hint_first_letter: 'Die Antwort beginnt mit „{0}“ ({1} Zeichen)',
+    hint_first_item: 'Das erste Element ist „{0}“',
+    hint_pair: '„{0}“ gehört zu „{1}“',
+    hint_unavailable: 'Für diese Frage gibt es keinen Hinweis',
+    question_skipped: 'Frage übersprungen',
+    shield_kept_streak: '🛡️ Ihr Schild hat Ihre Serie gerettet.',
+    second_chance_retry: 'Nicht ganz – zweite Chance! Antworten Sie erneut für {0} % der Punkte.',
+    error_powerup_unavailable: 'Power-Ups können nur beim Antworten genutzt werden',
+    error_powerup_active: 'Power-up bereits aktiv',
+    error_powerup_not_applicable: 'Dieses Power-up kann bei dieser Frage nicht genutzt werden',
+    power_up_settings: 'Power-Ups anpassen',
+    power_up_name_fifty_fifty: '50-50',
+    power_up_name_extend_time: 'Extrazeit',
+    power_up_name_double_points: 'Doppelte Punkte',
+    power_up_name_shield: 'Schild',
+    power_up_name_second_chance: 'Zweite Chance',
+    power_up_name_skip: 'Überspringen',
+    power_up_name_reveal_hint: 'Hinweis',
+    power_up_uses: 'Einsätze pro Spieler',
+    power_up_param_extraSeconds: 'Zusätzliche Sekunden',
+    power_up_param_multiplier: 'Multiplikator',
+    power_up_param_pointsPercent: 'Punkte beim zweiten Versuch (%)',
+    // Streak and comeback bonuses, end-of-game badges
+    enable_streak_bonus: 'Serienbonus aktivieren',
+    streak_bonus_help: 'Jede weitere richtige Antwort in Folge bringt einen Prozentsatz der Punkte der Antwort zusätzlich, bis zum Maximum. Eine falsche Antwort beendet die Serie.',
+    streak_bonus_step: '% pro Antwort in Folge',
+    streak_bonus_max: 'Maximal %',
+    enable_comeback_bonus: 'Comeback-Bonus aktivieren',
+    comeback_bonus_help: 'Eine richtige Antwort nach mehreren falschen Antworten in Folge bringt zusätzlich einen Prozentsatz der Basispunkte.',
+    comeback_bonus_misses: 'Nach falschen Antworten',
+    comeback_bonus_percent: '% der Basispunkte',
+    streak_bonus: 'Serienbonus',
+    comeback_bonus: 'Comeback-Bonus',
+    streak_bonus_earned: '🔥 {0} in Folge: +{1}',
+    comeback_bonus_earned: 'Comeback! +{0}',
+    your_badges: 'Deine Abzeichen',
+    badge_perfect_round: 'Perfekte Runde',
+    badge_perfect_round_detail: 'Alle {0} Fragen richtig',
+    badge_fastest_answer: 'Schnellste Antwort',
+    badge_fastest_answer_detail: 'Richtig in {0} s',
+    badge_hot_streak: 'Glückssträhne',
+    badge_hot_streak_detail: '{0} richtig in Folge',
+    badge_most_improved: 'Größte Steigerung',
+    badge_most_improved_detail: '+{0} % Trefferquote in der zweiten Hälfte',
+    badge_consensus_builder: 'Brückenbauer',
+    badge_consensus_builder_detail: '{0}-mal die Teamantwort unterstützt',
+    // Elimination mode
+    elimination_mode: 'Eliminationsmodus (Wer bleibt übrig?)',
+    elimination_mode_tooltip: 'Eine falsche Antwort scheidet aus; wer am Ende übrig bleibt, gewinnt',
+    elimination_mode_help: 'Eine falsche Antwort scheidet aus. Ausgeschiedene spielen als Geister ohne Punkte weiter, und wer am Ende übrig bleibt, gewinnt.',
+    elimination_slowest_percent: 'Zusätzlich die Langsamsten ausscheiden lassen (%)',
+    elimination_revival_every: 'Wiederbelebungsrunde alle (Fragen, 0 = nie)',
+    survivors_count: '{0} von {1} noch im Spiel',
+    elimination_round_out: 'Ausgeschieden: {0}',
+    elimination_round_revived: 'Wieder dabei: {0}',
+    eliminated_now: 'Du bist raus! Spiel als Geist weiter.',
+    revived_now: 'Du bist wieder im Spiel!',
+    survived_round: 'Noch im Spiel ({0} übrig)',
+    ghost_banner: '👻 Du bist ein Geist: Deine Antworten zählen keine Punkte mehr.',
+    ghost_banner_revival: '✨ Wiederbelebungsrunde: Antworte richtig, um zurückzukehren!',
+    eliminated_label: 'Ausgeschieden',
+    ghost_answer: '👻 Geisterantwort:',
+    // Adaptive difficulty
+    adaptive_mode: 'Adaptive Schwierigkeit',
+    adaptive_mode_tooltip: 'Jede Frage danach auswählen, wie die vorige gelaufen ist',
+    adaptive_mode_help: 'Jede Frage wird danach ausgewählt, wie die vorige gelaufen ist: schwerer, wenn die meisten richtig lagen, leichter, wenn die meisten danebenlagen. Hausaufgaben und Übungen passen sich jedem Lernenden an.',
+    adaptive_question_count: 'Anzahl Fragen (0 = alle)',
+    analytics_trajectory_room: 'Verlauf der Schwierigkeit',
+    analytics_trajectory_player: 'Verlauf der Schwierigkeit je Lernendem',
+    analytics_trajectory_empty: 'Noch niemand hat begonnen.',
+    // Question branching
+    branching_optional: 'Verzweigung (optional)',
+    branching_hint: 'legt fest, was als Nächstes kommt',
+    branch_label: 'Bezeichnung dieser Frage:',
+    branch_when: 'Nach dieser Frage:',
+    branch_when_none: 'Mit der nächsten Frage weitermachen',
+    branch_when_always: 'Immer springen',
+    branch_when_accuracy_below: 'Springen, wenn die Trefferquote unter (%) liegt',
+    branch_when_accuracy_at_least: 'Springen, wenn die Trefferquote mindestens (%) beträgt',
+    branch_when_option: 'Springen, wenn die meistgewählte Option die Nummer ist',
+    branch_value: 'Prozent oder Optionsnummer:',
+    branch_go_to: 'Springen zu Bezeichnung:',
+    branch_otherwise: 'Sonst zu Bezeichnung (optional):',
+    branch_label_invalid: 'Die Bezeichnung ist zu lang (höchstens 40 Zeichen)',
+    branch_label_duplicate: 'Eine andere Frage hat bereits diese Bezeichnung',
+    branch_rule_invalid: 'Unbekannte Verzweigungsbedingung',
+    branch_option_needs_choice: 'Nur Multiple-Choice-Fragen können nach der meistgewählten Option verzweigen',
+    branch_value_invalid: 'Gib einen Prozentwert von 0 bis 100 oder die Nummer einer Option ein',
+    branch_target_missing: 'Keine Frage hat die Bezeichnung des Sprungziels',
+    branch_loop: 'Die Verzweigungsregeln können zu dieser Frage zurückführen und endlos kreisen'
 };
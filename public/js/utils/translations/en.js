@@ -687,17 +687,17 @@ export default {
     load: 'Load',
 
     // Power-Ups
-    enable_power_ups: 'Enable Power-Ups (50-50, +10s, 2x Points)',
+    enable_power_ups: 'Enable Power-Ups',
     enable_power_ups_tooltip: 'Allow players to use power-ups during the game',
     show_leaderboard_between: 'Show leaderboard after each question',
     show_leaderboard_between_tooltip: 'Show the standings between questions; the final leaderboard always appears',
     power_ups: 'Power-Ups',
     fifty_fifty: '50-50',
     fifty_fifty_tooltip: 'Remove half of the wrong answers',
-    extend_time: '+10s',
-    extend_time_tooltip: 'Add 10 seconds to the timer',
-    double_points: '2× Points',
-    double_points_tooltip: 'Double your points on the next correct answer',
+    extend_time: '+{0}s',
+    extend_time_tooltip: 'Add {0} seconds to the timer',
+    double_points: '{0}× Points',
+    double_points_tooltip: 'Multiply your points by {0} on your next answer',
     power_up_used: 'Power-up used!',
 
     // Scoring Settings
@@ -1342,7 +1342,7 @@ export default {
     export_question_text_header: 'Question Text',
     help_and_tour: 'Help & Tour',
     restart_tour: 'Restart Tour',
-    power_ups_help: 'Give players special abilities: 50-50 removes two wrong answers, +10s adds extra time, 2x doubles points for one question.',
+    power_ups_help: 'Give players special abilities: 50-50, extra time, double points, a shield for their streak, a second chance, a skip or a hint. Pick which ones and how many uses each player gets under “Customize power-ups”.',
     consensus_mode_help: 'Players discuss and vote together before answering. The team must reach the threshold to lock in an answer.',
     create_first_quiz: 'Create your first quiz',
     try_ai_generation: 'Try AI generation to create questions automatically',
@@ -1578,5 +1578,425 @@ export default {
     consensus_of: 'of',
     threshold: 'threshold',
     unanimous: '100% (Unanimous)',
-    ollama_server_url: 'Ollama Server:'
+    ollama_server_url: 'Ollama Server:',
+    // Host moderation (kick / ban)
+    manage_players: 'Manage players',
+    remove_player_named: 'Remove {0}',
+    remove_player_prompt: 'Remove {0} from the game?',
+    remove_player_hint: 'Kicked players can join again. Banned players cannot rejoin this game.',
+    kick_player: 'Kick',
+    ban_player: 'Ban',
+    player_kicked_notice: 'The host removed you from the game',
+    player_banned_notice: 'The host removed you from the game and you cannot rejoin',
+    error_player_banned: 'You have been removed from this game',
+    error_failed_remove_player: 'Failed to remove player',
+    error_not_authorized_host: 'Only the host can remove players',
+    // Text answer (fill-in-the-blank) questions
+    text_input: 'Text Answer',
+    accepted_answers: 'Accepted answers (one per line)',
+    accepted_answers_placeholder: 'One accepted answer per line',
+    text_input_match_hint: 'Case, accents and extra spaces are ignored.',
+    fuzzy_threshold: 'Allowed typos',
+    fuzzy_exact: 'Exact match',
+    enter_text_answer: 'Type your answer',
+    text_answer: 'Text answer',
+    please_enter_text_answer: 'Please type an answer',
+    text_input_needs_answer: 'Text answer questions need at least one accepted answer',
+    val_no_accepted_answer: 'no accepted answer',
+    // Matching (pair-up) questions
+    matching: 'Matching',
+    matching_instruction: 'Enter each item next to its match. Players see the right column shuffled.',
+    matching_left_placeholder: 'Term',
+    matching_right_placeholder: 'Match',
+    matching_player_instruction: 'Use the arrows to move each item on the right next to its match',
+    please_match_items: 'Please match the items before submitting',
+    no_matching_pairs: 'No pairs yet',
+    matching_pair_stats: 'Correct matches per pair',
+    matching_needs_two_pairs: 'Matching questions need at least 2 pairs',
+    invalid_matching: 'Every pair needs both items, and each match must be different',
+    val_incomplete_pair: 'pair missing a side',
+    val_too_few_pairs: 'needs 2 pairs',
+    // Homework assignments
+    assign_as_homework: 'Assign as Homework',
+    assignment_mode: 'Assignment',
+    assignment_publish_hint: 'Students take the quiz at their own pace between these dates using the link.',
+    assignment_opens: 'Opens',
+    assignment_closes: 'Closes',
+    assignment_publish: 'Publish',
+    assignment_published: 'Assignment published',
+    assignment_existing: 'Published assignments',
+    assignment_none: 'No assignments yet',
+    assignment_submissions: 'Submitted: {0}',
+    assignment_extend: 'Extend 1 day',
+    assignment_status_open: 'Open',
+    assignment_status_scheduled: 'Scheduled',
+    assignment_status_closed: 'Closed',
+    confirm_delete_assignment: 'Delete this assignment? Submitted results are kept.',
+    copy: 'Copy',
+    link_copied: 'Link copied',
+    assignment_question_count: '{0} questions',
+    assignment_due: 'Due {0}',
+    assignment_opens_at: 'This assignment opens on {0}.',
+    assignment_closed: 'This assignment is closed',
+    assignment_intro_hint: 'Each question is timed. You can close the page and continue later before the due date.',
+    assignment_start: 'Start',
+    assignment_continue_as: 'Continue as {0}',
+    assignment_submitted: 'Assignment submitted',
+    assignment_submitted_hint: 'Your answers have been saved for your teacher.',
+    assignment_answered: 'Answered',
+    confirm_exit_assignment: 'Leave the assignment? You can continue later from the same link.',
+    error_invalid_assignment_code: 'Invalid assignment code',
+    error_assignment_not_found: 'Assignment not found',
+    error_assignment_invalid_dates: 'Invalid open or close date',
+    error_assignment_close_before_open: 'The close date must be after the open date',
+    error_quiz_no_questions: 'Quiz has no questions',
+    error_assignment_not_owner: 'You do not own this assignment',
+    error_assignment_full: 'This assignment has reached its student limit',
+    error_assignment_not_open: 'This assignment is not open yet',
+    error_assignment_closed: 'This assignment is closed',
+    error_attempt_not_found: 'Attempt not found',
+    error_question_ended: 'Question has already ended',
+    error_confirm_required: 'Please confirm this action',
+    error_failed_list_assignments: 'Failed to list assignments',
+    error_failed_create_assignment: 'Failed to create assignment',
+    error_assignment_quiz_protected: 'Password-protected quizzes cannot be published as homework',
+    error_failed_update_assignment: 'Failed to update assignment',
+    error_failed_delete_assignment: 'Failed to delete assignment',
+    error_failed_load_assignment: 'Failed to load assignment',
+    error_failed_start_assignment: 'Failed to start assignment',
+    // Team mode
+    team_mode: 'Team Mode (Competing Teams)',
+    team_mode_tooltip: 'Split players into teams that compete against each other',
+    team_mode_help: 'Players are split into teams that compete against each other. Team scores are built from the members\' scores.',
+    team_count: 'Number of teams',
+    team_aggregation: 'Team score',
+    team_aggregation_sum: 'Sum of member scores',
+    team_aggregation_average: 'Average member score',
+    team_aggregation_best: 'Best member score',
+    team_assignment: 'Team assignment',
+    team_assignment_auto: 'Automatic (balanced on join)',
+    team_assignment_manual: 'Manual (host assigns in the lobby)',
+    team_label: 'Team {0}',
+    team_unassigned: 'No team',
+    change_team_named: 'Change team for {0}',
+    team_standings: 'Team standings',
+    team_members: '{0} players',
+    error_team_mode_disabled: 'Team mode is not enabled',
+    error_team_not_found: 'Team not found',
+    error_team_change_lobby_only: 'Teams can only be changed in the lobby',
+    error_failed_assign_team: 'Failed to change team',
+    // Student roster and progress profiles
+    roster_pick_label: 'Find your name on the class list',
+    roster_pick_none: 'I am not on the list',
+    student_code_placeholder: 'Or enter your student code',
+    student_code: 'Student code',
+    students: 'Students',
+    students_tooltip: 'Student roster and progress across games',
+    students_hint: 'Students join your games by picking their name or entering their code, and each game is added to their profile.',
+    student_name: 'Student name',
+    student_add: 'Add student',
+    students_none: 'No students yet',
+    student_games_played: 'Games played',
+    student_average_accuracy: 'Average accuracy',
+    student_recent_accuracy: 'Recent accuracy',
+    student_trend: 'Trend',
+    student_trend_improving: 'Improving',
+    student_trend_declining: 'Declining',
+    student_trend_steady: 'Steady',
+    student_view_profile: 'View profile',
+    student_new_code: 'New code',
+    confirm_remove_student: 'Remove this student? Their progress history is deleted too.',
+    student_no_games: 'No games recorded yet',
+    student_no_concepts: 'No concept-tagged questions played yet',
+    student_latest: 'Latest',
+    student_accuracy_trend: 'Accuracy by game',
+    student_concept_mastery: 'Concept mastery',
+    students_sign_in_required: 'Sign in to manage your students',
+    error_user_not_found: 'User not found',
+    error_student_name_length: 'Student name must be 1-50 characters',
+    error_roster_full: 'The roster is full',
+    error_student_not_found: 'Student not found',
+    error_student_code_invalid: 'Unknown student code',
+    error_student_already_joined: 'This student is already in the game',
+    error_invalid_student_id: 'Invalid student ID',
+    error_failed_list_students: 'Failed to list students',
+    error_failed_add_student: 'Failed to add student',
+    error_failed_update_student: 'Failed to update student',
+    error_failed_remove_student: 'Failed to remove student',
+    error_failed_load_profile: 'Failed to load student profile',
+    error_failed_export_profile: 'Failed to export student profile',
+    // Spaced-repetition review
+    review_session_title: 'Review',
+    review_session_done: 'Questions you missed come back sooner; the rest wait longer.',
+    review_more: 'Review more',
+    review_due_title: 'Time to review',
+    review_due_items: 'Review due items',
+    review_due_count: '{0} missed question(s) due for review',
+    review_nothing_due: 'Nothing to review right now',
+    error_invalid_user_id: 'Invalid user ID',
+    error_failed_load_review: 'Failed to load your review queue',
+    error_failed_save_review: 'Failed to save your review queue',
+    // Question bank
+    question_bank: 'Question bank',
+    question_bank_tooltip: 'Question bank: reuse questions from your quizzes',
+    question_bank_insert_from: 'From question bank',
+    question_bank_search_placeholder: 'Search questions, answers and concepts...',
+    question_bank_search: 'Search',
+    question_bank_any_type: 'Any type',
+    question_bank_any_difficulty: 'Any difficulty',
+    question_bank_any_concept: 'Any concept',
+    question_bank_found: '{0} questions found',
+    question_bank_showing: 'Showing {0} of {1} questions',
+    question_bank_empty: 'No matching questions',
+    question_bank_insert: 'Insert {0} selected',
+    question_bank_inserted: '{0} questions added to the quiz',
+    question_bank_draws_title: 'Random questions at game start',
+    question_bank_draws_hint: 'Each time this quiz starts, these questions are drawn at random from the bank and added after its own questions.',
+    question_bank_draw_count: 'Number of questions',
+    question_bank_add_draw: 'Add draw',
+    question_bank_no_draws: 'No random draws',
+    bank_draw_shortfall: 'Only {0} of {1} questions found for "{2}"',
+    question_type_text_input: 'Text Input',
+    question_type_matching: 'Matching',
+    error_failed_search_bank: 'Failed to search question bank',
+    error_failed_load_bank_questions: 'Failed to load questions',
+    error_failed_draw_questions: 'Failed to draw questions from the question bank',
+    error_invalid_question_ref: 'Invalid question reference',
+    error_question_not_found: 'Question not found',
+    // Quiz packages (.quizix)
+    package_missing_media: '{0} images or videos were not in the package and will not show',
+    package_rejected_media: '{0} files in the package were not valid images or videos and were left out',
+    error_invalid_package: 'This file is not a valid .quizix package',
+    error_package_version_unsupported: 'This package was made by a newer version of Quizix Pro. Update this server to import it.',
+    error_package_too_large: 'The package is too large to import',
+    error_failed_export_package: 'Failed to build the quiz package',
+    // Export dialog and Moodle GIFT / XML import
+    export_quiz_title: 'Export Quiz',
+    export_format_quizix: 'Quizix package (.quizix)',
+    export_format_quizix_hint: 'Questions, settings, images and videos, to open on another Quizix server',
+    export_format_gift: 'Moodle GIFT (.txt)',
+    export_format_moodle_xml: 'Moodle XML (.xml)',
+    export_format_moodle_hint: 'Questions only, for Moodle\'s question bank import',
+    format_import_skipped: '{0} questions could not be converted and were skipped',
+    format_export_skipped: '{0} questions have no equivalent in this format and were left out',
+    format_import_no_questions: 'No questions in this file could be imported',
+    error_invalid_moodle_xml: 'This file is not Moodle XML',
+    // IMS QTI packages
+    export_format_qti21: 'IMS QTI 2.1 (.zip)',
+    export_format_qti30: 'IMS QTI 3.0 (.zip)',
+    export_format_qti_hint: 'Questions and images, for LMSs and assessment tools',
+    error_invalid_qti_package: 'This file is not an IMS QTI package',
+    // Spreadsheet question import
+    export_format_csv: 'Spreadsheet (.csv)',
+    export_format_csv_hint: 'One question per row, to edit in Excel and import again',
+    download_sheet_template: 'Download a blank spreadsheet template for importing questions',
+    import_report_title: 'Import notes',
+    format_import_notes: 'All questions were imported, with these notes',
+    error_invalid_question_sheet: 'The spreadsheet has no "question" column. Start from the template.',
+    // Paper tests
+    print_paper_test_tooltip: 'Print paper test',
+    paper_test_title: 'Print paper test',
+    paper_test_versions: 'Versions',
+    paper_test_shuffle_questions: 'Shuffle question order in each version',
+    paper_test_shuffle_options: 'Shuffle answer options in each version',
+    paper_test_answer_key_option: 'Answer key pages',
+    paper_test_bubble_sheet_option: 'Bubble answer sheet',
+    paper_test_hint: 'Choose "Save as PDF" in the print dialog for a PDF copy.',
+    paper_test_download: 'Download HTML',
+    paper_test_print: 'Print',
+    paper_test_failed: 'Could not create the paper test',
+    paper_test_name: 'Name',
+    paper_test_class: 'Class',
+    paper_test_date: 'Date',
+    paper_test_version: 'Version {0}',
+    paper_test_answer_sheet: 'Answer sheet',
+    paper_test_answer_key: 'Answer key',
+    paper_test_answer_column: 'Answer',
+    paper_test_quiz_question_column: 'Quiz question',
+    paper_test_select_all_hint: 'Mark every correct answer.',
+    paper_test_order_hint: 'Write the letters in the correct order.',
+    paper_test_matching_hint: 'Write the letter of the matching answer next to each item.',
+    paper_test_poll_key: 'Opinion question, any answer',
+    // Report cards
+    download_my_report: 'Download my report',
+    download_report_cards: 'Report cards',
+    report_card_format: 'Report card format',
+    report_card_format_html: 'HTML',
+    report_card_format_pdf: 'PDF (Latin text only)',
+    error_player_not_found: 'Player not found in this result',
+    // Gradebook export
+    gradebook: 'Gradebook',
+    gradebook_tooltip: 'Export grades for an LMS gradebook',
+    gradebook_export: 'Export gradebook',
+    gradebook_hint: 'One row per student and one column per session. Students are matched across sessions by their roster code, otherwise by name.',
+    gradebook_sessions: 'Sessions',
+    gradebook_normalization: 'Score',
+    gradebook_normalization_percent: '% correct',
+    gradebook_normalization_partial: '% with partial credit',
+    gradebook_normalization_points: 'Game points',
+    gradebook_scale: 'Grading scale',
+    gradebook_scale_none: 'None (score only)',
+    gradebook_scale_letter: 'Letter (A–F)',
+    gradebook_scale_chile: 'Chilean (1.0–7.0)',
+    gradebook_scale_custom: 'Custom bands',
+    gradebook_pass_percent: '% for a 4.0',
+    gradebook_bands: 'Bands (minimum %=grade)',
+    gradebook_invalid_bands: 'Write bands as minimum %=grade, separated by commas (e.g. 90=A, 0=F)',
+    gradebook_layout: 'Layout',
+    gradebook_layout_generic: 'Spreadsheet',
+    gradebook_select_sessions: 'Select at least one session',
+    error_invalid_gradebook_options: 'Invalid gradebook options',
+    error_failed_export_gradebook: 'Failed to export gradebook',
+    // LTI (LMS launches)
+    error_lti_not_configured: 'LMS integration is not configured on this server',
+    error_lti_platform_unknown: 'This LMS is not registered with Quizix',
+    error_lti_state_invalid: 'The launch expired or was already used. Launch again from your course.',
+    error_lti_launch_invalid: 'The LMS launch could not be verified',
+    error_lti_instructor_only: 'Only instructors can add Quizix content',
+    // Webhooks (webhooks-modal.js, routes/webhooks.js)
+    webhooks: 'Webhooks',
+    webhooks_tooltip: 'Send game and results events to other services',
+    webhooks_hint: 'Quizix posts signed JSON to these URLs when your games start and end, players join or leave, and results are saved.',
+    webhooks_sign_in_required: 'Sign in to manage your webhooks',
+    webhooks_none: 'No webhooks yet',
+    webhook_url: 'Webhook URL',
+    webhook_description: 'Description (optional)',
+    webhook_add: 'Add webhook',
+    webhook_events: 'Events',
+    webhook_event_game_started: 'Game started',
+    webhook_event_game_ended: 'Game ended',
+    webhook_event_player_joined: 'Player joined',
+    webhook_event_player_left: 'Player left',
+    webhook_event_results_saved: 'Results saved',
+    webhook_pick_event: 'Pick at least one event',
+    webhook_secret: 'Secret',
+    webhook_secret_notice: 'Copy the signing secret now; it will not be shown again.',
+    webhook_disabled: 'Disabled',
+    webhook_deliveries: 'Deliveries',
+    webhook_test: 'Test',
+    webhook_test_sent: 'Test delivery queued',
+    webhook_enable: 'Enable',
+    webhook_disable: 'Disable',
+    webhook_new_secret: 'New secret',
+    confirm_new_webhook_secret: 'Replace the signing secret? Deliveries signed with the old one will no longer verify.',
+    confirm_remove_webhook: 'Delete this webhook? Deliveries still waiting to be retried are dropped.',
+    webhook_no_deliveries: 'Nothing sent yet',
+    webhook_attempts: 'Attempts',
+    webhook_next_attempt: 'Next attempt',
+    webhook_payload: 'Payload',
+    webhook_resend: 'Send again',
+    webhook_status_pending: 'Pending',
+    webhook_status_retrying: 'Retrying',
+    webhook_status_delivered: 'Delivered',
+    webhook_status_failed: 'Failed',
+    error_webhook_url_invalid: 'Webhook URL must be http or https',
+    error_webhook_url_blocked: 'Webhook URL points to a private or unreachable address',
+    error_webhook_not_found: 'Webhook not found',
+    error_webhook_limit: 'At most 10 webhooks per account',
+    error_webhook_delivery_not_found: 'Delivery not found',
+    error_webhook_delivery_queued: 'Delivery is still queued',
+    error_failed_list_webhooks: 'Failed to load webhooks',
+    error_failed_save_webhook: 'Failed to save webhook',
+    // Power-up registry: new power-ups, hints and per-quiz settings
+    power_up_shield: 'Shield',
+    power_up_shield_tooltip: 'Keep your streak if your next answer is wrong',
+    power_up_second_chance: '2nd Chance',
+    power_up_second_chance_tooltip: 'If your next answer is wrong, answer again for {0}% of the points',
+    power_up_skip: 'Skip',
+    power_up_skip_tooltip: 'Skip this question without breaking your streak',
+    power_up_reveal_hint: 'Hint',
+    power_up_reveal_hint_tooltip: 'Reveal a hint for this question',
+    hint_exclude_option: 'One wrong answer has been removed',
+    hint_correct_count: 'There are {0} correct answers',
+    hint_range: 'The answer is between {0} and {1}',
+    hint_first_letter: 'The answer starts with “{0}” ({1} characters)',
+    hint_first_item: 'The first item is “{0}”',
+    hint_pair: '“{0}” matches “{1}”',
+    hint_unavailable: 'No hint is available for this question',
+    question_skipped: 'Question skipped',
+    shield_kept_streak: '🛡️ Your shield kept your streak.',
+    second_chance_retry: 'Not quite — second chance! Answer again for {0}% of the points.',
+    error_powerup_unavailable: 'Power-ups can only be used while answering',
+    error_powerup_active: 'Power-up already active',
+    error_powerup_not_applicable: 'This power-up cannot be used on this question',
+    power_up_settings: 'Customize power-ups',
+    power_up_name_fifty_fifty: '50-50',
+    power_up_name_extend_time: 'Extra time',
+    power_up_name_double_points: 'Double points',
+    power_up_name_shield: 'Shield',
+    power_up_name_second_chance: 'Second chance',
+    power_up_name_skip: 'Skip',
+    power_up_name_reveal_hint: 'Hint',
+    power_up_uses: 'Uses per player',
+    power_up_param_extraSeconds: 'Extra seconds',
+    power_up_param_multiplier: 'Multiplier',
+    power_up_param_pointsPercent: 'Points on retry (%)',
+    // Streak and comeback bonuses, end-of-game badges
+    enable_streak_bonus: 'Enable streak bonus',
+    streak_bonus_help: 'Each correct answer in a row adds a percentage of the answer\'s points, up to the maximum. A wrong answer ends the streak.',
+    streak_bonus_step: '% per answer in a row',
+    streak_bonus_max: 'Maximum %',
+    enable_comeback_bonus: 'Enable comeback bonus',
+    comeback_bonus_help: 'A correct answer after several wrong answers in a row earns a percentage of the base points on top.',
+    comeback_bonus_misses: 'After wrong answers',
+    comeback_bonus_percent: '% of base points',
+    streak_bonus: 'Streak bonus',
+    comeback_bonus: 'Comeback bonus',
+    streak_bonus_earned: '🔥 {0} in a row: +{1}',
+    comeback_bonus_earned: 'Comeback! +{0}',
+    your_badges: 'Your Badges',
+    badge_perfect_round: 'Perfect Round',
+    badge_perfect_round_detail: 'All {0} questions right',
+    badge_fastest_answer: 'Fastest Answer',
+    badge_fastest_answer_detail: 'Correct in {0} s',
+    badge_hot_streak: 'Hot Streak',
+    badge_hot_streak_detail: '{0} correct in a row',
+    badge_most_improved: 'Most Improved',
+    badge_most_improved_detail: '+{0}% accuracy in the second half',
+    badge_consensus_builder: 'Consensus Builder',
+    badge_consensus_builder_detail: 'Backed the team answer {0} times',
+    // Elimination mode
+    elimination_mode: 'Elimination Mode (Last One Standing)',
+    elimination_mode_tooltip: 'A wrong answer knocks a player out; the last players standing win',
+    elimination_mode_help: 'A wrong answer knocks a player out. Knocked-out players keep answering as unscored ghosts, and the last players standing win.',
+    elimination_slowest_percent: 'Also knock out the slowest (%)',
+    elimination_revival_every: 'Revival round every (questions, 0 = never)',
+    survivors_count: '{0} of {1} still standing',
+    elimination_round_out: 'Out: {0}',
+    elimination_round_revived: 'Back in: {0}',
+    eliminated_now: 'You\'re out! Keep playing as a ghost.',
+    revived_now: 'You\'re back in the game!',
+    survived_round: 'Still standing ({0} left)',
+    ghost_banner: '👻 You\'re a ghost: your answers no longer score.',
+    ghost_banner_revival: '✨ Revival round: answer correctly to get back in!',
+    eliminated_label: 'Eliminated',
+    ghost_answer: '👻 Ghost answer:',
+    // Adaptive difficulty
+    adaptive_mode: 'Adaptive Difficulty',
+    adaptive_mode_tooltip: 'Pick each question by how the previous one went',
+    adaptive_mode_help: 'Each question is picked by how the previous one went: harder after most answered right, easier after most missed. Homework and practice adapt to each student.',
+    adaptive_question_count: 'Questions to ask (0 = all)',
+    analytics_trajectory_room: 'Difficulty trajectory',
+    analytics_trajectory_player: 'Difficulty trajectory per student',
+    analytics_trajectory_empty: 'No student has started yet.',
+    // Question branching
+    branching_optional: 'Branching (optional)',
+    branching_hint: 'choose what comes next',
+    branch_label: 'Label of this question:',
+    branch_when: 'After this question:',
+    branch_when_none: 'Go on to the next question',
+    branch_when_always: 'Always jump',
+    branch_when_accuracy_below: 'Jump if accuracy is below (%)',
+    branch_when_accuracy_at_least: 'Jump if accuracy is at least (%)',
+    branch_when_option: 'Jump if most picked option is number',
+    branch_value: 'Percent or option number:',
+    branch_go_to: 'Jump to label:',
+    branch_otherwise: 'Otherwise go to label (optional):',
+    branch_label_invalid: 'The label is too long (40 characters at most)',
+    branch_label_duplicate: 'Another question already has this label',
+    branch_rule_invalid: 'Unknown branching condition',
+    branch_option_needs_choice: 'Only multiple-choice questions can branch on the most picked option',
+    branch_value_invalid: 'Enter a percent from 0 to 100, or the number of one of the options',
+    branch_target_missing: 'No question has the label to jump to',
+    branch_loop: 'The branching rules can lead back to this question and loop forever'
 };
@@ -608,17 +608,17 @@ export default {
     load: 'Cargar',
 
     // Power-Ups
-    enable_power_ups: 'Activar Power-Ups (50-50, +10s, 2x Puntos)',
+    enable_power_ups: 'Activar Power-Ups',
     enable_power_ups_tooltip: 'Permitir a los jugadores usar power-ups durante el juego',
     show_leaderboard_between: 'Mostrar la clasificación después de cada pregunta',
     show_leaderboard_between_tooltip: 'Muestra la clasificación entre preguntas; la clasificación final siempre aparece',
     power_ups: 'Power-Ups',
     fifty_fifty: '50-50',
     fifty_fifty_tooltip: 'Eliminar la mitad de las respuestas incorrectas',
-    extend_time: '+10s',
-    extend_time_tooltip: 'Agregar 10 segundos al temporizador',
-    double_points: '2× Puntos',
-    double_points_tooltip: 'Duplicar tus puntos en la próxima respuesta correcta',
+    extend_time: '+{0}s',
+    extend_time_tooltip: 'Agregar {0} segundos al temporizador',
+    double_points: '{0}× Puntos',
+    double_points_tooltip: 'Multiplica por {0} tus puntos en la próxima respuesta',
     power_up_used: '¡Power-up usado!',
 
     // Scoring Settings
@@ -1231,7 +1231,7 @@ export default {
 
     help_and_tour: 'Ayuda y Tour',
     restart_tour: 'Reiniciar Tour',
-    power_ups_help: 'Dale a los jugadores habilidades especiales: 50-50 elimina dos respuestas incorrectas, +10s añade tiempo extra, 2x duplica los puntos en una pregunta.',
+    power_ups_help: 'Dale a los jugadores habilidades especiales: 50-50, tiempo extra, puntos dobles, un escudo para su racha, una segunda oportunidad, saltar o una pista. En «Personalizar power-ups» eliges cuáles y cuántos usos tiene cada jugador.',
     consensus_mode_help: 'Los jugadores discuten y votan juntos antes de responder. El equipo debe alcanzar el umbral para confirmar una respuesta.',
     create_first_quiz: 'Crea tu primer quiz',
     try_ai_generation: 'Prueba la generación con IA para crear preguntas automáticamente',
@@ -1571,5 +1571,425 @@ export default {
     consensus_of: 'de',
     threshold: 'umbral',
     unanimous: '100% (Unánime)',
-    ollama_server_url: 'Servidor Ollama:'
+    ollama_server_url: 'Servidor Ollama:',
+    // Host moderation (kick / ban)
+    manage_players: 'Gestionar jugadores',
+    remove_player_named: 'Quitar a {0}',
+    remove_player_prompt: '¿Quitar a {0} de la partida?',
+    remove_player_hint: 'Los jugadores expulsados pueden volver a unirse. Los bloqueados no pueden volver a esta partida.',
+    kick_player: 'Expulsar',
+    ban_player: 'Bloquear',
+    player_kicked_notice: 'El anfitrión te ha quitado de la partida',
+    player_banned_notice: 'El anfitrión te ha quitado de la partida y no puedes volver a unirte',
+    error_player_banned: 'Has sido eliminado de esta partida',
+    error_failed_remove_player: 'No se pudo quitar al jugador',
+    error_not_authorized_host: 'Solo el anfitrión puede quitar jugadores',
+    // Text answer (fill-in-the-blank) questions
+    text_input: 'Respuesta de texto',
+    accepted_answers: 'Respuestas aceptadas (una por línea)',
+    accepted_answers_placeholder: 'Una respuesta aceptada por línea',
+    text_input_match_hint: 'Se ignoran mayúsculas, acentos y espacios extra.',
+    fuzzy_threshold: 'Errores tipográficos permitidos',
+    fuzzy_exact: 'Coincidencia exacta',
+    enter_text_answer: 'Escribe tu respuesta',
+    text_answer: 'Respuesta de texto',
+    please_enter_text_answer: 'Por favor escribe una respuesta',
+    text_input_needs_answer: 'Las preguntas de texto necesitan al menos una respuesta aceptada',
+    val_no_accepted_answer: 'sin respuesta aceptada',
+    // Matching (pair-up) questions
+    matching: 'Emparejar',
+    matching_instruction: 'Escribe cada elemento junto a su pareja. Los jugadores ven la columna derecha mezclada.',
+    matching_left_placeholder: 'Término',
+    matching_right_placeholder: 'Pareja',
+    matching_player_instruction: 'Usa las flechas para mover cada elemento de la derecha junto a su pareja',
+    please_match_items: 'Empareja los elementos antes de enviar',
+    no_matching_pairs: 'Aún no hay parejas',
+    matching_pair_stats: 'Aciertos por pareja',
+    matching_needs_two_pairs: 'Las preguntas de emparejar necesitan al menos 2 parejas',
+    invalid_matching: 'Cada pareja necesita ambos elementos y cada pareja debe ser distinta',
+    val_incomplete_pair: 'pareja incompleta',
+    val_too_few_pairs: 'necesita 2 parejas',
+    // Homework assignments
+    assign_as_homework: 'Asignar como tarea',
+    assignment_mode: 'Tarea',
+    assignment_publish_hint: 'Los estudiantes hacen el cuestionario a su ritmo entre estas fechas usando el enlace.',
+    assignment_opens: 'Abre',
+    assignment_closes: 'Cierra',
+    assignment_publish: 'Publicar',
+    assignment_published: 'Tarea publicada',
+    assignment_existing: 'Tareas publicadas',
+    assignment_none: 'Aún no hay tareas',
+    assignment_submissions: 'Entregadas: {0}',
+    assignment_extend: 'Ampliar 1 día',
+    assignment_status_open: 'Abierta',
+    assignment_status_scheduled: 'Programada',
+    assignment_status_closed: 'Cerrada',
+    confirm_delete_assignment: '¿Eliminar esta tarea? Los resultados entregados se conservan.',
+    copy: 'Copiar',
+    link_copied: 'Enlace copiado',
+    assignment_question_count: '{0} preguntas',
+    assignment_due: 'Vence el {0}',
+    assignment_opens_at: 'Esta tarea abre el {0}.',
+    assignment_closed: 'Esta tarea está cerrada',
+    assignment_intro_hint: 'Cada pregunta tiene tiempo límite. Puedes cerrar la página y continuar más tarde antes de la fecha límite.',
+    assignment_start: 'Empezar',
+    assignment_continue_as: 'Continuar como {0}',
+    assignment_submitted: 'Tarea entregada',
+    assignment_submitted_hint: 'Tus respuestas se han guardado para tu profesor.',
+    assignment_answered: 'Respondidas',
+    confirm_exit_assignment: '¿Salir de la tarea? Puedes continuar más tarde desde el mismo enlace.',
+    error_invalid_assignment_code: 'Código de tarea no válido',
+    error_assignment_not_found: 'Tarea no encontrada',
+    error_assignment_invalid_dates: 'Fecha de apertura o cierre no válida',
+    error_assignment_close_before_open: 'La fecha de cierre debe ser posterior a la de apertura',
+    error_quiz_no_questions: 'El cuestionario no tiene preguntas',
+    error_assignment_not_owner: 'Esta tarea no es tuya',
+    error_assignment_full: 'Esta tarea alcanzó el límite de estudiantes',
+    error_assignment_not_open: 'Esta tarea aún no está abierta',
+    error_assignment_closed: 'Esta tarea está cerrada',
+    error_attempt_not_found: 'Intento no encontrado',
+    error_question_ended: 'La pregunta ya terminó',
+    error_confirm_required: 'Confirma esta acción',
+    error_failed_list_assignments: 'No se pudieron listar las tareas',
+    error_failed_create_assignment: 'No se pudo crear la tarea',
+    error_assignment_quiz_protected: 'Los cuestionarios protegidos con contraseña no se pueden publicar como tarea',
+    error_failed_update_assignment: 'No se pudo actualizar la tarea',
+    error_failed_delete_assignment: 'No se pudo eliminar la tarea',
+    error_failed_load_assignment: 'No se pudo cargar la tarea',
+    error_failed_start_assignment: 'No se pudo iniciar la tarea',
+    // Team mode
+    team_mode: 'Modo por equipos (equipos que compiten)',
+    team_mode_tooltip: 'Divide a los jugadores en equipos que compiten entre sí',
+    team_mode_help: 'Los jugadores se dividen en equipos que compiten entre sí. La puntuación del equipo se calcula a partir de la de sus miembros.',
+    team_count: 'Número de equipos',
+    team_aggregation: 'Puntuación del equipo',
+    team_aggregation_sum: 'Suma de las puntuaciones',
+    team_aggregation_average: 'Puntuación media de los miembros',
+    team_aggregation_best: 'Mejor puntuación del equipo',
+    team_assignment: 'Asignación de equipos',
+    team_assignment_auto: 'Automática (equilibrada al unirse)',
+    team_assignment_manual: 'Manual (el anfitrión asigna en la sala)',
+    team_label: 'Equipo {0}',
+    team_unassigned: 'Sin equipo',
+    change_team_named: 'Cambiar el equipo de {0}',
+    team_standings: 'Clasificación por equipos',
+    team_members: '{0} jugadores',
+    error_team_mode_disabled: 'El modo por equipos no está activado',
+    error_team_not_found: 'Equipo no encontrado',
+    error_team_change_lobby_only: 'Los equipos solo se pueden cambiar en la sala de espera',
+    error_failed_assign_team: 'No se pudo cambiar el equipo',
+    // Student roster and progress profiles
+    roster_pick_label: 'Busca tu nombre en la lista de clase',
+    roster_pick_none: 'No estoy en la lista',
+    student_code_placeholder: 'O introduce tu código de estudiante',
+    student_code: 'Código de estudiante',
+    students: 'Estudiantes',
+    students_tooltip: 'Lista de estudiantes y progreso entre partidas',
+    students_hint: 'Los estudiantes se unen a tus partidas eligiendo su nombre o introduciendo su código, y cada partida se añade a su perfil.',
+    student_name: 'Nombre del estudiante',
+    student_add: 'Añadir estudiante',
+    students_none: 'Aún no hay estudiantes',
+    student_games_played: 'Partidas jugadas',
+    student_average_accuracy: 'Precisión media',
+    student_recent_accuracy: 'Precisión reciente',
+    student_trend: 'Tendencia',
+    student_trend_improving: 'Mejorando',
+    student_trend_declining: 'Empeorando',
+    student_trend_steady: 'Estable',
+    student_view_profile: 'Ver perfil',
+    student_new_code: 'Nuevo código',
+    confirm_remove_student: '¿Eliminar a este estudiante? Su historial de progreso también se borrará.',
+    student_no_games: 'Aún no hay partidas registradas',
+    student_no_concepts: 'Aún no se han jugado preguntas con conceptos',
+    student_latest: 'Última',
+    student_accuracy_trend: 'Precisión por partida',
+    student_concept_mastery: 'Dominio de conceptos',
+    students_sign_in_required: 'Inicia sesión para gestionar a tus estudiantes',
+    error_user_not_found: 'Usuario no encontrado',
+    error_student_name_length: 'El nombre del estudiante debe tener entre 1 y 50 caracteres',
+    error_roster_full: 'La lista está llena',
+    error_student_not_found: 'Estudiante no encontrado',
+    error_student_code_invalid: 'Código de estudiante desconocido',
+    error_student_already_joined: 'Este estudiante ya está en la partida',
+    error_invalid_student_id: 'ID de estudiante no válido',
+    error_failed_list_students: 'No se pudo cargar la lista de estudiantes',
+    error_failed_add_student: 'No se pudo añadir el estudiante',
+    error_failed_update_student: 'No se pudo actualizar el estudiante',
+    error_failed_remove_student: 'No se pudo eliminar el estudiante',
+    error_failed_load_profile: 'No se pudo cargar el perfil del estudiante',
+    error_failed_export_profile: 'No se pudo exportar el perfil del estudiante',
+    // Spaced-repetition review
+    review_session_title: 'Repaso',
+    review_session_done: 'Las preguntas que fallaste volverán antes; las demás esperarán más.',
+    review_more: 'Repasar más',
+    review_due_title: 'Hora de repasar',
+    review_due_items: 'Repasar pendientes',
+    review_due_count: '{0} pregunta(s) fallada(s) pendientes de repaso',
+    review_nothing_due: 'No hay nada que repasar por ahora',
+    error_invalid_user_id: 'ID de usuario no válido',
+    error_failed_load_review: 'No se pudo cargar tu cola de repaso',
+    error_failed_save_review: 'No se pudo guardar tu cola de repaso',
+    // Question bank
+    question_bank: 'Banco de preguntas',
+    question_bank_tooltip: 'Banco de preguntas: reutiliza preguntas de tus cuestionarios',
+    question_bank_insert_from: 'Desde el banco',
+    question_bank_search_placeholder: 'Buscar preguntas, respuestas y conceptos...',
+    question_bank_search: 'Buscar',
+    question_bank_any_type: 'Cualquier tipo',
+    question_bank_any_difficulty: 'Cualquier dificultad',
+    question_bank_any_concept: 'Cualquier concepto',
+    question_bank_found: '{0} preguntas encontradas',
+    question_bank_showing: 'Mostrando {0} de {1} preguntas',
+    question_bank_empty: 'No hay preguntas que coincidan',
+    question_bank_insert: 'Insertar {0} seleccionadas',
+    question_bank_inserted: '{0} preguntas añadidas al cuestionario',
+    question_bank_draws_title: 'Preguntas aleatorias al iniciar',
+    question_bank_draws_hint: 'Cada vez que empieza este cuestionario, estas preguntas se sacan al azar del banco y se añaden tras sus propias preguntas.',
+    question_bank_draw_count: 'Número de preguntas',
+    question_bank_add_draw: 'Añadir sorteo',
+    question_bank_no_draws: 'Sin sorteos aleatorios',
+    bank_draw_shortfall: 'Solo se encontraron {0} de {1} preguntas para «{2}»',
+    question_type_text_input: 'Respuesta de texto',
+    question_type_matching: 'Emparejar',
+    error_failed_search_bank: 'No se pudo buscar en el banco de preguntas',
+    error_failed_load_bank_questions: 'No se pudieron cargar las preguntas',
+    error_failed_draw_questions: 'No se pudieron sacar preguntas del banco',
+    error_invalid_question_ref: 'Referencia de pregunta no válida',
+    error_question_not_found: 'Pregunta no encontrada',
+    // Quiz packages (.quizix)
+    package_missing_media: '{0} imágenes o vídeos no estaban en el paquete y no se mostrarán',
+    package_rejected_media: '{0} archivos del paquete no eran imágenes o vídeos válidos y se omitieron',
+    error_invalid_package: 'Este archivo no es un paquete .quizix válido',
+    error_package_version_unsupported: 'Este paquete se creó con una versión más reciente de Quizix Pro. Actualiza este servidor para importarlo.',
+    error_package_too_large: 'El paquete es demasiado grande para importarlo',
+    error_failed_export_package: 'No se pudo crear el paquete del quiz',
+    // Export dialog and Moodle GIFT / XML import
+    export_quiz_title: 'Exportar quiz',
+    export_format_quizix: 'Paquete Quizix (.quizix)',
+    export_format_quizix_hint: 'Preguntas, ajustes, imágenes y vídeos, para abrir en otro servidor Quizix',
+    export_format_gift: 'Moodle GIFT (.txt)',
+    export_format_moodle_xml: 'Moodle XML (.xml)',
+    export_format_moodle_hint: 'Solo preguntas, para importar en el banco de preguntas de Moodle',
+    format_import_skipped: '{0} preguntas no se pudieron convertir y se omitieron',
+    format_export_skipped: '{0} preguntas no tienen equivalente en este formato y se omitieron',
+    format_import_no_questions: 'No se pudo importar ninguna pregunta de este archivo',
+    error_invalid_moodle_xml: 'Este archivo no es Moodle XML',
+    // IMS QTI packages
+    export_format_qti21: 'IMS QTI 2.1 (.zip)',
+    export_format_qti30: 'IMS QTI 3.0 (.zip)',
+    export_format_qti_hint: 'Preguntas e imágenes, para LMS y herramientas de evaluación',
+    error_invalid_qti_package: 'Este archivo no es un paquete IMS QTI',
+    // Spreadsheet question import
+    export_format_csv: 'Hoja de cálculo (.csv)',
+    export_format_csv_hint: 'Una pregunta por fila, para editar en Excel e importar de nuevo',
+    download_sheet_template: 'Descargar una plantilla de hoja de cálculo para importar preguntas',
+    import_report_title: 'Notas de la importación',
+    format_import_notes: 'Se importaron todas las preguntas, con estas notas',
+    error_invalid_question_sheet: 'La hoja de cálculo no tiene una columna "question". Parte de la plantilla.',
+    // Paper tests
+    print_paper_test_tooltip: 'Imprimir examen en papel',
+    paper_test_title: 'Imprimir examen en papel',
+    paper_test_versions: 'Versiones',
+    paper_test_shuffle_questions: 'Mezclar el orden de las preguntas en cada versión',
+    paper_test_shuffle_options: 'Mezclar las opciones de respuesta en cada versión',
+    paper_test_answer_key_option: 'Páginas de solucionario',
+    paper_test_bubble_sheet_option: 'Hoja de respuestas para rellenar',
+    paper_test_hint: 'Elija "Guardar como PDF" en el diálogo de impresión para obtener un PDF.',
+    paper_test_download: 'Descargar HTML',
+    paper_test_print: 'Imprimir',
+    paper_test_failed: 'No se pudo crear el examen en papel',
+    paper_test_name: 'Nombre',
+    paper_test_class: 'Clase',
+    paper_test_date: 'Fecha',
+    paper_test_version: 'Versión {0}',
+    paper_test_answer_sheet: 'Hoja de respuestas',
+    paper_test_answer_key: 'Solucionario',
+    paper_test_answer_column: 'Respuesta',
+    paper_test_quiz_question_column: 'Pregunta del cuestionario',
+    paper_test_select_all_hint: 'Marque todas las respuestas correctas.',
+    paper_test_order_hint: 'Escriba las letras en el orden correcto.',
+    paper_test_matching_hint: 'Escriba junto a cada elemento la letra de la respuesta correspondiente.',
+    paper_test_poll_key: 'Pregunta de opinión, cualquier respuesta',
+    // Report cards
+    download_my_report: 'Descargar mi informe',
+    download_report_cards: 'Informes individuales',
+    report_card_format: 'Formato de los informes',
+    report_card_format_html: 'HTML',
+    report_card_format_pdf: 'PDF (solo texto latino)',
+    error_player_not_found: 'Jugador no encontrado en este resultado',
+    // Gradebook export
+    gradebook: 'Libro de calificaciones',
+    gradebook_tooltip: 'Exportar calificaciones para el libro de calificaciones de un LMS',
+    gradebook_export: 'Exportar calificaciones',
+    gradebook_hint: 'Una fila por estudiante y una columna por sesión. Los estudiantes se emparejan entre sesiones por su código de lista o, si no, por su nombre.',
+    gradebook_sessions: 'Sesiones',
+    gradebook_normalization: 'Puntuación',
+    gradebook_normalization_percent: '% correctas',
+    gradebook_normalization_partial: '% con crédito parcial',
+    gradebook_normalization_points: 'Puntos del juego',
+    gradebook_scale: 'Escala de calificación',
+    gradebook_scale_none: 'Ninguna (solo puntuación)',
+    gradebook_scale_letter: 'Letras (A–F)',
+    gradebook_scale_chile: 'Chilena (1,0–7,0)',
+    gradebook_scale_custom: 'Tramos personalizados',
+    gradebook_pass_percent: '% para un 4,0',
+    gradebook_bands: 'Tramos (% mínimo=nota)',
+    gradebook_invalid_bands: 'Escribe los tramos como % mínimo=nota, separados por comas (p. ej. 90=A, 0=F)',
+    gradebook_layout: 'Formato',
+    gradebook_layout_generic: 'Hoja de cálculo',
+    gradebook_select_sessions: 'Selecciona al menos una sesión',
+    error_invalid_gradebook_options: 'Opciones de calificaciones no válidas',
+    error_failed_export_gradebook: 'No se pudieron exportar las calificaciones',
+    // LTI (LMS launches)
+    error_lti_not_configured: 'La integración con el LMS no está configurada en este servidor',
+    error_lti_platform_unknown: 'Este LMS no está registrado en Quizix',
+    error_lti_state_invalid: 'El acceso ha caducado o ya se usó. Vuelve a abrirlo desde tu curso.',
+    error_lti_launch_invalid: 'No se pudo verificar el acceso desde el LMS',
+    error_lti_instructor_only: 'Solo el profesorado puede añadir contenido de Quizix',
+    // Webhooks (webhooks-modal.js, routes/webhooks.js)
+    webhooks: 'Webhooks',
+    webhooks_tooltip: 'Enviar eventos de partidas y resultados a otros servicios',
+    webhooks_hint: 'Quizix envía JSON firmado a estas URL cuando tus partidas empiezan y terminan, los jugadores entran o salen y se guardan los resultados.',
+    webhooks_sign_in_required: 'Inicia sesión para gestionar tus webhooks',
+    webhooks_none: 'Aún no hay webhooks',
+    webhook_url: 'URL del webhook',
+    webhook_description: 'Descripción (opcional)',
+    webhook_add: 'Añadir webhook',
+    webhook_events: 'Eventos',
+    webhook_event_game_started: 'Partida iniciada',
+    webhook_event_game_ended: 'Partida terminada',
+    webhook_event_player_joined: 'Jugador unido',
+    webhook_event_player_left: 'Jugador salió',
+    webhook_event_results_saved: 'Resultados guardados',
+    webhook_pick_event: 'Elige al menos un evento',
+    webhook_secret: 'Secreto',
+    webhook_secret_notice: 'Copia ahora el secreto de firma; no se volverá a mostrar.',
+    webhook_disabled: 'Desactivado',
+    webhook_deliveries: 'Entregas',
+    webhook_test: 'Probar',
+    webhook_test_sent: 'Entrega de prueba en cola',
+    webhook_enable: 'Activar',
+    webhook_disable: 'Desactivar',
+    webhook_new_secret: 'Nuevo secreto',
+    confirm_new_webhook_secret: '¿Sustituir el secreto de firma? Las entregas firmadas con el anterior dejarán de verificarse.',
+    confirm_remove_webhook: '¿Eliminar este webhook? Se descartarán las entregas pendientes de reintento.',
+    webhook_no_deliveries: 'Aún no se ha enviado nada',
+    webhook_attempts: 'Intentos',
+    webhook_next_attempt: 'Próximo intento',
+    webhook_payload: 'Contenido',
+    webhook_resend: 'Enviar de nuevo',
+    webhook_status_pending: 'Pendiente',
+    webhook_status_retrying: 'Reintentando',
+    webhook_status_delivered: 'Entregado',
+    webhook_status_failed: 'Fallido',
+    error_webhook_url_invalid: 'La URL del webhook debe ser http o https',
+    error_webhook_url_blocked: 'La URL del webhook apunta a una dirección privada o inaccesible',
+    error_webhook_not_found: 'Webhook no encontrado',
+    error_webhook_limit: 'Máximo 10 webhooks por cuenta',
+    error_webhook_delivery_not_found: 'Entrega no encontrada',
+    error_webhook_delivery_queued: 'La entrega sigue en cola',
+    error_failed_list_webhooks: 'No se pudieron cargar los webhooks',
+    error_failed_save_webhook: 'No se pudo guardar el webhook',
+    // Power-up registry: new power-ups, hints and per-quiz settings
+    power_up_shield: 'Escudo',
+    power_up_shield_tooltip: 'Conserva tu racha si tu próxima respuesta es incorrecta',
+    power_up_second_chance: '2.ª oportunidad',
+    power_up_second_chance_tooltip: 'Si tu próxima respuesta es incorrecta, responde de nuevo por el {0}% de los puntos',
+    power_up_skip: 'Saltar',
+    power_up_skip_tooltip: 'Salta esta pregunta sin romper tu racha',
+    power_up_reveal_hint: 'Pista',
+    power_up_reveal_hint_tooltip: 'Muestra una pista para esta pregunta',
+    hint_exclude_option: 'Se ha eliminado una respuesta incorrecta',
+    hint_correct_count: 'Hay {0} respuestas correctas',
+    hint_range: 'La respuesta está entre {0} y {1}',
+    hint_first_letter: 'La respuesta empieza por «{0}» ({1} caracteres)',
+    hint_first_item: 'El primer elemento es «{0}»',
+    hint_pair: '«{0}» corresponde a «{1}»',
+    hint_unavailable: 'No hay pista para esta pregunta',
+    question_skipped: 'Pregunta saltada',
+    shield_kept_streak: '🛡️ Tu escudo ha salvado tu racha.',
+    second_chance_retry: 'Casi: ¡segunda oportunidad! Responde de nuevo por el {0}% de los puntos.',
+    error_powerup_unavailable: 'Los power-ups solo se pueden usar mientras respondes',
+    error_powerup_active: 'Power-up ya activo',
+    error_powerup_not_applicable: 'Este power-up no se puede usar en esta pregunta',
+    power_up_settings: 'Personalizar power-ups',
+    power_up_name_fifty_fifty: '50-50',
+    power_up_name_extend_time: 'Tiempo extra',
+    power_up_name_double_points: 'Puntos dobles',
+    power_up_name_shield: 'Escudo',
+    power_up_name_second_chance: 'Segunda oportunidad',
+    power_up_name_skip: 'Saltar',
+    power_up_name_reveal_hint: 'Pista',
+    power_up_uses: 'Usos por jugador',
+    power_up_param_extraSeconds: 'Segundos extra',
+    power_up_param_multiplier: 'Multiplicador',
+    power_up_param_pointsPercent: 'Puntos al reintentar (%)',
+    // Streak and comeback bonuses, end-of-game badges
+    enable_streak_bonus: 'Activar bonificación por racha',
+    streak_bonus_help: 'Cada respuesta correcta seguida añade un porcentaje de los puntos de la respuesta, hasta el máximo. Una respuesta incorrecta termina la racha.',
+    streak_bonus_step: '% por respuesta seguida',
+    streak_bonus_max: 'Máximo %',
+    enable_comeback_bonus: 'Activar bonificación de remontada',
+    comeback_bonus_help: 'Una respuesta correcta tras varias incorrectas seguidas suma un porcentaje de los puntos base.',
+    comeback_bonus_misses: 'Tras respuestas incorrectas',
+    comeback_bonus_percent: '% de los puntos base',
+    streak_bonus: 'Bonificación por racha',
+    comeback_bonus: 'Bonificación de remontada',
+    streak_bonus_earned: '🔥 {0} seguidas: +{1}',
+    comeback_bonus_earned: '¡Remontada! +{0}',
+    your_badges: 'Tus insignias',
+    badge_perfect_round: 'Ronda perfecta',
+    badge_perfect_round_detail: 'Las {0} preguntas correctas',
+    badge_fastest_answer: 'Respuesta más rápida',
+    badge_fastest_answer_detail: 'Correcta en {0} s',
+    badge_hot_streak: 'Racha imparable',
+    badge_hot_streak_detail: '{0} correctas seguidas',
+    badge_most_improved: 'Mayor progreso',
+    badge_most_improved_detail: '+{0} % de aciertos en la segunda mitad',
+    badge_consensus_builder: 'Constructor de consenso',
+    badge_consensus_builder_detail: 'Apoyó la respuesta del equipo {0} veces',
+    // Elimination mode
+    elimination_mode: 'Modo eliminación (el último en pie)',
+    elimination_mode_tooltip: 'Una respuesta incorrecta elimina al jugador; ganan los últimos que quedan',
+    elimination_mode_help: 'Una respuesta incorrecta elimina al jugador. Los eliminados siguen respondiendo como fantasmas sin puntuar, y ganan los últimos que quedan.',
+    elimination_slowest_percent: 'Eliminar también a los más lentos (%)',
+    elimination_revival_every: 'Ronda de resurrección cada (preguntas, 0 = nunca)',
+    survivors_count: '{0} de {1} siguen en pie',
+    elimination_round_out: 'Eliminados: {0}',
+    elimination_round_revived: 'De vuelta: {0}',
+    eliminated_now: '¡Estás eliminado! Sigue jugando como fantasma.',
+    revived_now: '¡Vuelves a estar en el juego!',
+    survived_round: 'Sigues en pie (quedan {0})',
+    ghost_banner: '👻 Eres un fantasma: tus respuestas ya no puntúan.',
+    ghost_banner_revival: '✨ Ronda de resurrección: ¡acierta para volver!',
+    eliminated_label: 'Eliminado',
+    ghost_answer: '👻 Respuesta fantasma:',
+    // Adaptive difficulty
+    adaptive_mode: 'Dificultad adaptativa',
+    adaptive_mode_tooltip: 'Elegir cada pregunta según cómo fue la anterior',
+    adaptive_mode_help: 'Cada pregunta se elige según cómo fue la anterior: más difícil si la mayoría acertó, más fácil si la mayoría falló. Las tareas y la práctica se adaptan a cada estudiante.',
+    adaptive_question_count: 'Preguntas a plantear (0 = todas)',
+    analytics_trajectory_room: 'Trayectoria de dificultad',
+    analytics_trajectory_player: 'Trayectoria de dificultad por estudiante',
+    analytics_trajectory_empty: 'Ningún estudiante ha empezado todavía.',
+    // Question branching
+    branching_optional: 'Ramificación (opcional)',
+    branching_hint: 'elige qué viene después',
+    branch_label: 'Etiqueta de esta pregunta:',
+    branch_when: 'Después de esta pregunta:',
+    branch_when_none: 'Seguir con la siguiente pregunta',
+    branch_when_always: 'Saltar siempre',
+    branch_when_accuracy_below: 'Saltar si la precisión es inferior a (%)',
+    branch_when_accuracy_at_least: 'Saltar si la precisión es al menos (%)',
+    branch_when_option: 'Saltar si la opción más elegida es la número',
+    branch_value: 'Porcentaje o número de opción:',
+    branch_go_to: 'Saltar a la etiqueta:',
+    branch_otherwise: 'Si no, ir a la etiqueta (opcional):',
+    branch_label_invalid: 'La etiqueta es demasiado larga (40 caracteres como máximo)',
+    branch_label_duplicate: 'Otra pregunta ya tiene esta etiqueta',
+    branch_rule_invalid: 'Condición de ramificación desconocida',
+    branch_option_needs_choice: 'Solo las preguntas de opción múltiple pueden ramificar según la opción más elegida',
+    branch_value_invalid: 'Introduce un porcentaje de 0 a 100 o el número de una de las opciones',
+    branch_target_missing: 'Ninguna pregunta tiene la etiqueta de destino',
+    branch_loop: 'Las reglas de ramificación pueden volver a esta pregunta y repetirse sin fin'
 };
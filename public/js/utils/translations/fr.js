@@ -618,17 +618,17 @@ export default {
     load: 'Charger',
 
     // Power-Ups
-    enable_power_ups: 'Activer les Power-Ups (50-50, +10s, 2x Points)',
+    enable_power_ups: 'Activer les Power-Ups',
     enable_power_ups_tooltip: 'Permettre aux joueurs d\'utiliser les power-ups pendant le jeu',
     show_leaderboard_between: 'Afficher le classement après chaque question',
     show_leaderboard_between_tooltip: 'Affiche le classement entre les questions ; le classement final apparaît toujours',
     power_ups: 'Power-Ups',
     fifty_fifty: '50-50',
     fifty_fifty_tooltip: 'Supprimer la moitié des mauvaises réponses',
-    extend_time: '+10s',
-    extend_time_tooltip: 'Ajouter 10 secondes au chronomètre',
-    double_points: '2× Points',
-    double_points_tooltip: 'Doubler vos points sur la prochaine bonne réponse',
+    extend_time: '+{0}s',
+    extend_time_tooltip: 'Ajouter {0} secondes au chronomètre',
+    double_points: '{0}× Points',
+    double_points_tooltip: 'Multipliez vos points par {0} sur votre prochaine réponse',
     power_up_used: 'Power-up utilisé !',
 
     // Scoring Settings
@@ -1225,7 +1225,7 @@ export default {
 
     help_and_tour: 'Aide et Visite',
     restart_tour: 'Relancer la Visite',
-    power_ups_help: 'Donnez aux joueurs des capacités spéciales : 50-50 supprime deux mauvaises réponses, +10s ajoute du temps, 2x double les points pour une question.',
+    power_ups_help: 'Donnez aux joueurs des capacités spéciales : 50-50, temps supplémentaire, points doublés, un bouclier pour leur série, une seconde chance, passer la question ou un indice. Choisissez lesquels et combien d’utilisations chaque joueur reçoit dans « Personnaliser les power-ups ».',
     consensus_mode_help: 'Les joueurs discutent et votent ensemble avant de répondre. L\'équipe doit atteindre le seuil pour valider une réponse.',
     create_first_quiz: 'Créez votre premier quiz',
     try_ai_generation: 'Essayez la génération IA pour créer des questions automatiquement',
@@ -1571,5 +1571,425 @@ export default {
     consensus_of: 'sur',
     threshold: 'seuil',
     unanimous: '100% (Unanimité)',
-    ollama_server_url: 'Serveur Ollama :'
+    ollama_server_url: 'Serveur Ollama :',
+    // Host moderation (kick / ban)
+    manage_players: 'Gérer les joueurs',
+    remove_player_named: 'Retirer {0}',
+    remove_player_prompt: 'Retirer {0} de la partie ?',
+    remove_player_hint: 'Les joueurs exclus peuvent revenir. Les joueurs bannis ne peuvent plus rejoindre cette partie.',
+    kick_player: 'Exclure',
+    ban_player: 'Bannir',
+    player_kicked_notice: 'L\'hôte vous a retiré de la partie',
+    player_banned_notice: 'L\'hôte vous a retiré de la partie et vous ne pouvez pas la rejoindre',
+    error_player_banned: 'Vous avez été retiré de cette partie',
+    error_failed_remove_player: 'Impossible de retirer le joueur',
+    error_not_authorized_host: 'Seul l\'hôte peut retirer des joueurs',
+    // Text answer (fill-in-the-blank) questions
+    text_input: 'Réponse texte',
+    accepted_answers: 'Réponses acceptées (une par ligne)',
+    accepted_answers_placeholder: 'Une réponse acceptée par ligne',
+    text_input_match_hint: 'La casse, les accents et les espaces superflus sont ignorés.',
+    fuzzy_threshold: 'Fautes de frappe tolérées',
+    fuzzy_exact: 'Correspondance exacte',
+    enter_text_answer: 'Tapez votre réponse',
+    text_answer: 'Réponse texte',
+    please_enter_text_answer: 'Veuillez saisir une réponse',
+    text_input_needs_answer: 'Les questions à réponse texte nécessitent au moins une réponse acceptée',
+    val_no_accepted_answer: 'sans réponse acceptée',
+    // Matching (pair-up) questions
+    matching: 'Association',
+    matching_instruction: 'Saisissez chaque élément à côté de sa correspondance. Les joueurs voient la colonne de droite mélangée.',
+    matching_left_placeholder: 'Terme',
+    matching_right_placeholder: 'Correspondance',
+    matching_player_instruction: 'Utilisez les flèches pour placer chaque élément de droite à côté de sa correspondance',
+    please_match_items: 'Veuillez associer les éléments avant d\'envoyer',
+    no_matching_pairs: 'Aucune paire pour l\'instant',
+    matching_pair_stats: 'Bonnes associations par paire',
+    matching_needs_two_pairs: 'Les questions d\'association nécessitent au moins 2 paires',
+    invalid_matching: 'Chaque paire doit avoir ses deux éléments, et chaque correspondance doit être différente',
+    val_incomplete_pair: 'paire incomplète',
+    val_too_few_pairs: 'nécessite 2 paires',
+    // Homework assignments
+    assign_as_homework: 'Assigner comme devoir',
+    assignment_mode: 'Devoir',
+    assignment_publish_hint: 'Les élèves font le quiz à leur rythme entre ces dates grâce au lien.',
+    assignment_opens: 'Ouverture',
+    assignment_closes: 'Clôture',
+    assignment_publish: 'Publier',
+    assignment_published: 'Devoir publié',
+    assignment_existing: 'Devoirs publiés',
+    assignment_none: 'Aucun devoir pour le moment',
+    assignment_submissions: 'Rendus : {0}',
+    assignment_extend: 'Prolonger d\'1 jour',
+    assignment_status_open: 'Ouvert',
+    assignment_status_scheduled: 'Programmé',
+    assignment_status_closed: 'Clôturé',
+    confirm_delete_assignment: 'Supprimer ce devoir ? Les résultats rendus sont conservés.',
+    copy: 'Copier',
+    link_copied: 'Lien copié',
+    assignment_question_count: '{0} questions',
+    assignment_due: 'À rendre le {0}',
+    assignment_opens_at: 'Ce devoir ouvre le {0}.',
+    assignment_closed: 'Ce devoir est clôturé',
+    assignment_intro_hint: 'Chaque question est chronométrée. Vous pouvez fermer la page et reprendre avant la date limite.',
+    assignment_start: 'Commencer',
+    assignment_continue_as: 'Continuer en tant que {0}',
+    assignment_submitted: 'Devoir rendu',
+    assignment_submitted_hint: 'Vos réponses ont été enregistrées pour votre enseignant.',
+    assignment_answered: 'Répondues',
+    confirm_exit_assignment: 'Quitter le devoir ? Vous pourrez reprendre plus tard avec le même lien.',
+    error_invalid_assignment_code: 'Code de devoir invalide',
+    error_assignment_not_found: 'Devoir introuvable',
+    error_assignment_invalid_dates: 'Date d\'ouverture ou de clôture invalide',
+    error_assignment_close_before_open: 'La date de clôture doit être postérieure à la date d\'ouverture',
+    error_quiz_no_questions: 'Le quiz ne contient aucune question',
+    error_assignment_not_owner: 'Ce devoir ne vous appartient pas',
+    error_assignment_full: 'Ce devoir a atteint sa limite d\'élèves',
+    error_assignment_not_open: 'Ce devoir n\'est pas encore ouvert',
+    error_assignment_closed: 'Ce devoir est clôturé',
+    error_attempt_not_found: 'Tentative introuvable',
+    error_question_ended: 'La question est déjà terminée',
+    error_confirm_required: 'Veuillez confirmer cette action',
+    error_failed_list_assignments: 'Impossible de lister les devoirs',
+    error_failed_create_assignment: 'Impossible de créer le devoir',
+    error_assignment_quiz_protected: 'Les quiz protégés par mot de passe ne peuvent pas être publiés comme devoir',
+    error_failed_update_assignment: 'Impossible de mettre à jour le devoir',
+    error_failed_delete_assignment: 'Impossible de supprimer le devoir',
+    error_failed_load_assignment: 'Impossible de charger le devoir',
+    error_failed_start_assignment: 'Impossible de commencer le devoir',
+    // Team mode
+    team_mode: 'Mode équipes (équipes en compétition)',
+    team_mode_tooltip: 'Répartir les joueurs en équipes qui s\'affrontent',
+    team_mode_help: 'Les joueurs sont répartis en équipes qui s\'affrontent. Le score d\'une équipe est calculé à partir de celui de ses membres.',
+    team_count: 'Nombre d\'équipes',
+    team_aggregation: 'Score d\'équipe',
+    team_aggregation_sum: 'Somme des scores des membres',
+    team_aggregation_average: 'Score moyen des membres',
+    team_aggregation_best: 'Meilleur score d\'un membre',
+    team_assignment: 'Répartition des équipes',
+    team_assignment_auto: 'Automatique (équilibrée à l\'arrivée)',
+    team_assignment_manual: 'Manuelle (l\'hôte répartit dans le salon)',
+    team_label: 'Équipe {0}',
+    team_unassigned: 'Sans équipe',
+    change_team_named: 'Changer l\'équipe de {0}',
+    team_standings: 'Classement des équipes',
+    team_members: '{0} joueurs',
+    error_team_mode_disabled: 'Le mode équipes n\'est pas activé',
+    error_team_not_found: 'Équipe introuvable',
+    error_team_change_lobby_only: 'Les équipes ne peuvent être modifiées que dans le salon',
+    error_failed_assign_team: 'Impossible de changer d\'équipe',
+    // Student roster and progress profiles
+    roster_pick_label: 'Trouve ton nom dans la liste de la classe',
+    roster_pick_none: 'Je ne suis pas dans la liste',
+    student_code_placeholder: 'Ou saisis ton code élève',
+    student_code: 'Code élève',
+    students: 'Élèves',
+    students_tooltip: 'Liste des élèves et progression d\'une partie à l\'autre',
+    students_hint: 'Les élèves rejoignent tes parties en choisissant leur nom ou en saisissant leur code, et chaque partie est ajoutée à leur profil.',
+    student_name: 'Nom de l\'élève',
+    student_add: 'Ajouter un élève',
+    students_none: 'Aucun élève pour l\'instant',
+    student_games_played: 'Parties jouées',
+    student_average_accuracy: 'Précision moyenne',
+    student_recent_accuracy: 'Précision récente',
+    student_trend: 'Tendance',
+    student_trend_improving: 'En progrès',
+    student_trend_declining: 'En baisse',
+    student_trend_steady: 'Stable',
+    student_view_profile: 'Voir le profil',
+    student_new_code: 'Nouveau code',
+    confirm_remove_student: 'Retirer cet élève ? Son historique de progression sera aussi supprimé.',
+    student_no_games: 'Aucune partie enregistrée pour l\'instant',
+    student_no_concepts: 'Aucune question avec concepts jouée pour l\'instant',
+    student_latest: 'Dernière',
+    student_accuracy_trend: 'Précision par partie',
+    student_concept_mastery: 'Maîtrise des concepts',
+    students_sign_in_required: 'Connecte-toi pour gérer tes élèves',
+    error_user_not_found: 'Utilisateur introuvable',
+    error_student_name_length: 'Le nom de l\'élève doit comporter 1 à 50 caractères',
+    error_roster_full: 'La liste est pleine',
+    error_student_not_found: 'Élève introuvable',
+    error_student_code_invalid: 'Code élève inconnu',
+    error_student_already_joined: 'Cet élève est déjà dans la partie',
+    error_invalid_student_id: 'Identifiant d\'élève invalide',
+    error_failed_list_students: 'Impossible de charger les élèves',
+    error_failed_add_student: 'Impossible d\'ajouter l\'élève',
+    error_failed_update_student: 'Impossible de mettre à jour l\'élève',
+    error_failed_remove_student: 'Impossible de retirer l\'élève',
+    error_failed_load_profile: 'Impossible de charger le profil de l\'élève',
+    error_failed_export_profile: 'Impossible d\'exporter le profil de l\'élève',
+    // Spaced-repetition review
+    review_session_title: 'Révision',
+    review_session_done: 'Les questions manquées reviendront plus tôt ; les autres attendront plus longtemps.',
+    review_more: 'Réviser encore',
+    review_due_title: 'C\'est l\'heure de réviser',
+    review_due_items: 'Réviser les questions dues',
+    review_due_count: '{0} question(s) manquée(s) à réviser',
+    review_nothing_due: 'Rien à réviser pour le moment',
+    error_invalid_user_id: 'Identifiant utilisateur invalide',
+    error_failed_load_review: 'Impossible de charger votre file de révision',
+    error_failed_save_review: 'Impossible d\'enregistrer votre file de révision',
+    // Question bank
+    question_bank: 'Banque de questions',
+    question_bank_tooltip: 'Banque de questions : réutilisez les questions de vos quiz',
+    question_bank_insert_from: 'Depuis la banque',
+    question_bank_search_placeholder: 'Rechercher questions, réponses et concepts...',
+    question_bank_search: 'Rechercher',
+    question_bank_any_type: 'Tous les types',
+    question_bank_any_difficulty: 'Toute difficulté',
+    question_bank_any_concept: 'Tous les concepts',
+    question_bank_found: '{0} questions trouvées',
+    question_bank_showing: '{0} questions affichées sur {1}',
+    question_bank_empty: 'Aucune question correspondante',
+    question_bank_insert: 'Insérer {0} sélectionnées',
+    question_bank_inserted: '{0} questions ajoutées au quiz',
+    question_bank_draws_title: 'Questions aléatoires au lancement',
+    question_bank_draws_hint: 'À chaque lancement de ce quiz, ces questions sont tirées au hasard dans la banque et ajoutées après ses propres questions.',
+    question_bank_draw_count: 'Nombre de questions',
+    question_bank_add_draw: 'Ajouter un tirage',
+    question_bank_no_draws: 'Aucun tirage aléatoire',
+    bank_draw_shortfall: 'Seulement {0} questions sur {1} trouvées pour « {2} »',
+    question_type_text_input: 'Saisie de texte',
+    question_type_matching: 'Association',
+    error_failed_search_bank: 'Échec de la recherche dans la banque de questions',
+    error_failed_load_bank_questions: 'Échec du chargement des questions',
+    error_failed_draw_questions: 'Échec du tirage des questions dans la banque',
+    error_invalid_question_ref: 'Référence de question invalide',
+    error_question_not_found: 'Question introuvable',
+    // Quiz packages (.quizix)
+    package_missing_media: '{0} images ou vidéos manquaient dans le paquet et ne s\'afficheront pas',
+    package_rejected_media: '{0} fichiers du paquet n\'étaient pas des images ou vidéos valides et ont été ignorés',
+    error_invalid_package: 'Ce fichier n\'est pas un paquet .quizix valide',
+    error_package_version_unsupported: 'Ce paquet a été créé par une version plus récente de Quizix Pro. Mettez ce serveur à jour pour l\'importer.',
+    error_package_too_large: 'Le paquet est trop volumineux pour être importé',
+    error_failed_export_package: 'Impossible de créer le paquet du quiz',
+    // Export dialog and Moodle GIFT / XML import
+    export_quiz_title: 'Exporter le quiz',
+    export_format_quizix: 'Paquet Quizix (.quizix)',
+    export_format_quizix_hint: 'Questions, paramètres, images et vidéos, à ouvrir sur un autre serveur Quizix',
+    export_format_gift: 'Moodle GIFT (.txt)',
+    export_format_moodle_xml: 'Moodle XML (.xml)',
+    export_format_moodle_hint: 'Questions seulement, pour l\'import dans la banque de questions Moodle',
+    format_import_skipped: '{0} questions n\'ont pas pu être converties et ont été ignorées',
+    format_export_skipped: '{0} questions n\'ont pas d\'équivalent dans ce format et ont été omises',
+    format_import_no_questions: 'Aucune question de ce fichier n\'a pu être importée',
+    error_invalid_moodle_xml: 'Ce fichier n\'est pas au format Moodle XML',
+    // IMS QTI packages
+    export_format_qti21: 'IMS QTI 2.1 (.zip)',
+    export_format_qti30: 'IMS QTI 3.0 (.zip)',
+    export_format_qti_hint: 'Questions et images, pour les LMS et outils d\'évaluation',
+    error_invalid_qti_package: 'Ce fichier n\'est pas un paquet IMS QTI',
+    // Spreadsheet question import
+    export_format_csv: 'Tableur (.csv)',
+    export_format_csv_hint: 'Une question par ligne, à modifier dans Excel et réimporter',
+    download_sheet_template: 'Télécharger un modèle de tableur pour importer des questions',
+    import_report_title: 'Remarques sur l\'import',
+    format_import_notes: 'Toutes les questions ont été importées, avec ces remarques',
+    error_invalid_question_sheet: 'Le tableur n\'a pas de colonne « question ». Partez du modèle.',
+    // Paper tests
+    print_paper_test_tooltip: 'Imprimer un test papier',
+    paper_test_title: 'Imprimer un test papier',
+    paper_test_versions: 'Versions',
+    paper_test_shuffle_questions: 'Mélanger l\'ordre des questions dans chaque version',
+    paper_test_shuffle_options: 'Mélanger les options de réponse dans chaque version',
+    paper_test_answer_key_option: 'Pages de corrigé',
+    paper_test_bubble_sheet_option: 'Grille de réponses à cocher',
+    paper_test_hint: 'Choisissez « Enregistrer au format PDF » dans la boîte d\'impression pour une copie PDF.',
+    paper_test_download: 'Télécharger en HTML',
+    paper_test_print: 'Imprimer',
+    paper_test_failed: 'Impossible de créer le test papier',
+    paper_test_name: 'Nom',
+    paper_test_class: 'Classe',
+    paper_test_date: 'Date',
+    paper_test_version: 'Version {0}',
+    paper_test_answer_sheet: 'Feuille de réponses',
+    paper_test_answer_key: 'Corrigé',
+    paper_test_answer_column: 'Réponse',
+    paper_test_quiz_question_column: 'Question du quiz',
+    paper_test_select_all_hint: 'Cochez toutes les bonnes réponses.',
+    paper_test_order_hint: 'Écrivez les lettres dans le bon ordre.',
+    paper_test_matching_hint: 'Écrivez à côté de chaque élément la lettre de la réponse correspondante.',
+    paper_test_poll_key: 'Question d\'opinion, toute réponse',
+    // Report cards
+    download_my_report: 'Télécharger mon bilan',
+    download_report_cards: 'Bilans individuels',
+    report_card_format: 'Format des bilans',
+    report_card_format_html: 'HTML',
+    report_card_format_pdf: 'PDF (texte latin uniquement)',
+    error_player_not_found: 'Joueur introuvable dans ce résultat',
+    // Gradebook export
+    gradebook: 'Carnet de notes',
+    gradebook_tooltip: 'Exporter les notes vers le carnet de notes d\'un LMS',
+    gradebook_export: 'Exporter le carnet de notes',
+    gradebook_hint: 'Une ligne par élève et une colonne par session. Les élèves sont reconnus d\'une session à l\'autre par leur code, sinon par leur nom.',
+    gradebook_sessions: 'Sessions',
+    gradebook_normalization: 'Score',
+    gradebook_normalization_percent: '% de bonnes réponses',
+    gradebook_normalization_partial: '% avec crédit partiel',
+    gradebook_normalization_points: 'Points de jeu',
+    gradebook_scale: 'Barème',
+    gradebook_scale_none: 'Aucun (score seul)',
+    gradebook_scale_letter: 'Lettres (A–F)',
+    gradebook_scale_chile: 'Chilien (1,0–7,0)',
+    gradebook_scale_custom: 'Paliers personnalisés',
+    gradebook_pass_percent: '% pour un 4,0',
+    gradebook_bands: 'Paliers (% minimum=note)',
+    gradebook_invalid_bands: 'Écrivez les paliers sous la forme % minimum=note, séparés par des virgules (ex. 90=A, 0=F)',
+    gradebook_layout: 'Format',
+    gradebook_layout_generic: 'Tableur',
+    gradebook_select_sessions: 'Sélectionnez au moins une session',
+    error_invalid_gradebook_options: 'Options du carnet de notes non valides',
+    error_failed_export_gradebook: 'Échec de l\'export du carnet de notes',
+    // LTI (LMS launches)
+    error_lti_not_configured: 'L’intégration LMS n’est pas configurée sur ce serveur',
+    error_lti_platform_unknown: 'Ce LMS n’est pas enregistré dans Quizix',
+    error_lti_state_invalid: 'Le lancement a expiré ou a déjà été utilisé. Relancez depuis votre cours.',
+    error_lti_launch_invalid: 'Le lancement depuis le LMS n’a pas pu être vérifié',
+    error_lti_instructor_only: 'Seuls les enseignants peuvent ajouter du contenu Quizix',
+    // Webhooks (webhooks-modal.js, routes/webhooks.js)
+    webhooks: 'Webhooks',
+    webhooks_tooltip: 'Envoyer les événements de partie et de résultats à d’autres services',
+    webhooks_hint: 'Quizix envoie du JSON signé à ces URL quand vos parties commencent et se terminent, quand des joueurs rejoignent ou quittent, et quand les résultats sont enregistrés.',
+    webhooks_sign_in_required: 'Connectez-vous pour gérer vos webhooks',
+    webhooks_none: 'Aucun webhook pour l’instant',
+    webhook_url: 'URL du webhook',
+    webhook_description: 'Description (facultative)',
+    webhook_add: 'Ajouter un webhook',
+    webhook_events: 'Événements',
+    webhook_event_game_started: 'Partie commencée',
+    webhook_event_game_ended: 'Partie terminée',
+    webhook_event_player_joined: 'Joueur arrivé',
+    webhook_event_player_left: 'Joueur parti',
+    webhook_event_results_saved: 'Résultats enregistrés',
+    webhook_pick_event: 'Choisissez au moins un événement',
+    webhook_secret: 'Secret',
+    webhook_secret_notice: 'Copiez le secret de signature maintenant ; il ne sera plus affiché.',
+    webhook_disabled: 'Désactivé',
+    webhook_deliveries: 'Livraisons',
+    webhook_test: 'Tester',
+    webhook_test_sent: 'Livraison de test mise en file',
+    webhook_enable: 'Activer',
+    webhook_disable: 'Désactiver',
+    webhook_new_secret: 'Nouveau secret',
+    confirm_new_webhook_secret: 'Remplacer le secret de signature ? Les livraisons signées avec l’ancien ne seront plus vérifiables.',
+    confirm_remove_webhook: 'Supprimer ce webhook ? Les livraisons en attente de nouvel essai seront abandonnées.',
+    webhook_no_deliveries: 'Rien n’a encore été envoyé',
+    webhook_attempts: 'Tentatives',
+    webhook_next_attempt: 'Prochaine tentative',
+    webhook_payload: 'Contenu',
+    webhook_resend: 'Renvoyer',
+    webhook_status_pending: 'En attente',
+    webhook_status_retrying: 'Nouvel essai',
+    webhook_status_delivered: 'Livré',
+    webhook_status_failed: 'Échec',
+    error_webhook_url_invalid: 'L’URL du webhook doit être en http ou https',
+    error_webhook_url_blocked: 'L’URL du webhook pointe vers une adresse privée ou inaccessible',
+    error_webhook_not_found: 'Webhook introuvable',
+    error_webhook_limit: '10 webhooks au maximum par compte',
+    error_webhook_delivery_not_found: 'Livraison introuvable',
+    error_webhook_delivery_queued: 'La livraison est encore en file d’attente',
+    error_failed_list_webhooks: 'Impossible de charger les webhooks',
+    error_failed_save_webhook: 'Impossible d’enregistrer le webhook',
+    // Power-up registry: new power-ups, hints and per-quiz settings
+    power_up_shield: 'Bouclier',
+    power_up_shield_tooltip: 'Gardez votre série si votre prochaine réponse est fausse',
+    power_up_second_chance: '2e chance',
+    power_up_second_chance_tooltip: 'Si votre prochaine réponse est fausse, répondez à nouveau pour {0} % des points',
+    power_up_skip: 'Passer',
+    power_up_skip_tooltip: 'Passez cette question sans interrompre votre série',
+    power_up_reveal_hint: 'Indice',
+    power_up_reveal_hint_tooltip: 'Afficher un indice pour cette question',
+    hint_exclude_option: 'Une mauvaise réponse a été retirée',
+    hint_correct_count: 'Il y a {0} bonnes réponses',
+    hint_range: 'La réponse est entre {0} et {1}',
+    hint_first_letter: 'La réponse commence par « {0} » ({1} caractères)',
+    hint_first_item: 'Le premier élément est « {0} »',
+    hint_pair: '« {0} » correspond à « {1} »',
+    hint_unavailable: 'Aucun indice pour cette question',
+    question_skipped: 'Question passée',
+    shield_kept_streak: '🛡️ Votre bouclier a sauvé votre série.',
+    second_chance_retry: 'Pas tout à fait — seconde chance ! Répondez à nouveau pour {0} % des points.',
+    error_powerup_unavailable: 'Les power-ups ne s’utilisent que pendant la réponse',
+    error_powerup_active: 'Power-up déjà actif',
+    error_powerup_not_applicable: 'Ce power-up ne peut pas être utilisé sur cette question',
+    power_up_settings: 'Personnaliser les power-ups',
+    power_up_name_fifty_fifty: '50-50',
+    power_up_name_extend_time: 'Temps supplémentaire',
+    power_up_name_double_points: 'Points doublés',
+    power_up_name_shield: 'Bouclier',
+    power_up_name_second_chance: 'Seconde chance',
+    power_up_name_skip: 'Passer',
+    power_up_name_reveal_hint: 'Indice',
+    power_up_uses: 'Utilisations par joueur',
+    power_up_param_extraSeconds: 'Secondes en plus',
+    power_up_param_multiplier: 'Multiplicateur',
+    power_up_param_pointsPercent: 'Points au second essai (%)',
+    // Streak and comeback bonuses, end-of-game badges
+    enable_streak_bonus: 'Activer le bonus de série',
+    streak_bonus_help: 'Chaque bonne réponse d\'affilée ajoute un pourcentage des points de la réponse, jusqu\'au maximum. Une mauvaise réponse met fin à la série.',
+    streak_bonus_step: '% par réponse d\'affilée',
+    streak_bonus_max: 'Maximum %',
+    enable_comeback_bonus: 'Activer le bonus de retour',
+    comeback_bonus_help: 'Une bonne réponse après plusieurs mauvaises réponses d\'affilée rapporte en plus un pourcentage des points de base.',
+    comeback_bonus_misses: 'Après mauvaises réponses',
+    comeback_bonus_percent: '% des points de base',
+    streak_bonus: 'Bonus de série',
+    comeback_bonus: 'Bonus de retour',
+    streak_bonus_earned: '🔥 {0} d\'affilée : +{1}',
+    comeback_bonus_earned: 'Retour en force ! +{0}',
+    your_badges: 'Vos badges',
+    badge_perfect_round: 'Partie parfaite',
+    badge_perfect_round_detail: 'Les {0} questions justes',
+    badge_fastest_answer: 'Réponse la plus rapide',
+    badge_fastest_answer_detail: 'Juste en {0} s',
+    badge_hot_streak: 'Série brûlante',
+    badge_hot_streak_detail: '{0} bonnes réponses d\'affilée',
+    badge_most_improved: 'Plus grande progression',
+    badge_most_improved_detail: '+{0} % de réussite en seconde moitié',
+    badge_consensus_builder: 'Bâtisseur de consensus',
+    badge_consensus_builder_detail: 'A soutenu la réponse de l\'équipe {0} fois',
+    // Elimination mode
+    elimination_mode: 'Mode élimination (le dernier debout)',
+    elimination_mode_tooltip: 'Une mauvaise réponse élimine le joueur ; les derniers en lice gagnent',
+    elimination_mode_help: 'Une mauvaise réponse élimine le joueur. Les éliminés continuent de répondre en fantômes, sans points, et les derniers en lice gagnent.',
+    elimination_slowest_percent: 'Éliminer aussi les plus lents (%)',
+    elimination_revival_every: 'Manche de résurrection toutes les (questions, 0 = jamais)',
+    survivors_count: '{0} sur {1} encore en lice',
+    elimination_round_out: 'Éliminés : {0}',
+    elimination_round_revived: 'De retour : {0}',
+    eliminated_now: 'Tu es éliminé ! Continue en fantôme.',
+    revived_now: 'Te revoilà dans la partie !',
+    survived_round: 'Toujours en lice ({0} restants)',
+    ghost_banner: '👻 Tu es un fantôme : tes réponses ne rapportent plus de points.',
+    ghost_banner_revival: '✨ Manche de résurrection : réponds juste pour revenir !',
+    eliminated_label: 'Éliminé',
+    ghost_answer: '👻 Réponse fantôme :',
+    // Adaptive difficulty
+    adaptive_mode: 'Difficulté adaptative',
+    adaptive_mode_tooltip: 'Choisir chaque question selon le résultat de la précédente',
+    adaptive_mode_help: 'Chaque question est choisie selon le résultat de la précédente : plus difficile si la plupart ont bien répondu, plus facile si la plupart se sont trompés. Les devoirs et l’entraînement s’adaptent à chaque élève.',
+    adaptive_question_count: 'Questions à poser (0 = toutes)',
+    analytics_trajectory_room: 'Parcours de difficulté',
+    analytics_trajectory_player: 'Parcours de difficulté par élève',
+    analytics_trajectory_empty: 'Aucun élève n’a encore commencé.',
+    // Question branching
+    branching_optional: 'Embranchement (facultatif)',
+    branching_hint: 'choisir la suite',
+    branch_label: 'Étiquette de cette question :',
+    branch_when: 'Après cette question :',
+    branch_when_none: 'Passer à la question suivante',
+    branch_when_always: 'Toujours sauter',
+    branch_when_accuracy_below: 'Sauter si la réussite est inférieure à (%)',
+    branch_when_accuracy_at_least: 'Sauter si la réussite est d’au moins (%)',
+    branch_when_option: 'Sauter si l’option la plus choisie est la numéro',
+    branch_value: 'Pourcentage ou numéro d’option :',
+    branch_go_to: 'Sauter à l’étiquette :',
+    branch_otherwise: 'Sinon aller à l’étiquette (facultatif) :',
+    branch_label_invalid: 'L’étiquette est trop longue (40 caractères au plus)',
+    branch_label_duplicate: 'Une autre question porte déjà cette étiquette',
+    branch_rule_invalid: 'Condition d’embranchement inconnue',
+    branch_option_needs_choice: 'Seules les questions à choix multiple peuvent bifurquer selon l’option la plus choisie',
+    branch_value_invalid: 'Saisissez un pourcentage de 0 à 100 ou le numéro d’une des options',
+    branch_target_missing: 'Aucune question ne porte l’étiquette de destination',
+    branch_loop: 'Les règles d’embranchement peuvent ramener à cette question et boucler sans fin'
 };
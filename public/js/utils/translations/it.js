@@ -599,17 +599,17 @@ export default {
     load: 'Carica',
 
     // Power-Ups
-    enable_power_ups: 'Attiva Power-Up (50-50, +10s, 2x Punti)',
+    enable_power_ups: 'Attiva Power-Up',
     enable_power_ups_tooltip: 'Consenti ai giocatori di usare i power-up durante il gioco',
     show_leaderboard_between: 'Mostra la classifica dopo ogni domanda',
     show_leaderboard_between_tooltip: 'Mostra la classifica tra le domande; la classifica finale appare sempre',
     power_ups: 'Power-Up',
     fifty_fifty: '50-50',
     fifty_fifty_tooltip: 'Rimuovi metà delle risposte sbagliate',
-    extend_time: '+10s',
-    extend_time_tooltip: 'Aggiungi 10 secondi al timer',
-    double_points: '2× Punti',
-    double_points_tooltip: 'Raddoppia i tuoi punti sulla prossima risposta corretta',
+    extend_time: '+{0}s',
+    extend_time_tooltip: 'Aggiungi {0} secondi al timer',
+    double_points: '{0}× Punti',
+    double_points_tooltip: 'Moltiplica per {0} i tuoi punti alla prossima risposta',
     power_up_used: 'Power-up usato!',
 
     // Scoring Settings
@@ -1207,7 +1207,7 @@ export default {
     export_overall_trend: 'Overall Trend',
     help_and_tour: 'Aiuto e Tour',
     restart_tour: 'Riavvia Tour',
-    power_ups_help: 'Dai ai giocatori abilità speciali: 50-50 rimuove due risposte sbagliate, +10s aggiunge tempo extra, 2x raddoppia i punti per una domanda.',
+    power_ups_help: 'Dai ai giocatori abilità speciali: 50-50, tempo extra, punti doppi, uno scudo per la serie, una seconda possibilità, salta o un indizio. In «Personalizza power-up» scegli quali e quanti utilizzi ha ogni giocatore.',
     consensus_mode_help: 'I giocatori discutono e votano insieme prima di rispondere. La squadra deve raggiungere la soglia per confermare una risposta.',
     create_first_quiz: 'Crea il tuo primo quiz',
     try_ai_generation: 'Prova la generazione IA per creare domande automaticamente',
@@ -1554,5 +1554,425 @@ export default {
     consensus_of: 'di',
     threshold: 'soglia',
     unanimous: '100% (Unanime)',
-    ollama_server_url: 'Server Ollama:'
+    ollama_server_url: 'Server Ollama:',
+    // Host moderation (kick / ban)
+    manage_players: 'Gestisci giocatori',
+    remove_player_named: 'Rimuovi {0}',
+    remove_player_prompt: 'Rimuovere {0} dalla partita?',
+    remove_player_hint: 'I giocatori espulsi possono rientrare. Quelli bannati non possono più unirsi a questa partita.',
+    kick_player: 'Espelli',
+    ban_player: 'Banna',
+    player_kicked_notice: 'L\'host ti ha rimosso dalla partita',
+    player_banned_notice: 'L\'host ti ha rimosso dalla partita e non puoi rientrare',
+    error_player_banned: 'Sei stato rimosso da questa partita',
+    error_failed_remove_player: 'Impossibile rimuovere il giocatore',
+    error_not_authorized_host: 'Solo l\'host può rimuovere i giocatori',
+    // Text answer (fill-in-the-blank) questions
+    text_input: 'Risposta testuale',
+    accepted_answers: 'Risposte accettate (una per riga)',
+    accepted_answers_placeholder: 'Una risposta accettata per riga',
+    text_input_match_hint: 'Maiuscole, accenti e spazi in eccesso vengono ignorati.',
+    fuzzy_threshold: 'Errori di battitura consentiti',
+    fuzzy_exact: 'Corrispondenza esatta',
+    enter_text_answer: 'Scrivi la tua risposta',
+    text_answer: 'Risposta testuale',
+    please_enter_text_answer: 'Per favore scrivi una risposta',
+    text_input_needs_answer: 'Le domande a risposta testuale richiedono almeno una risposta accettata',
+    val_no_accepted_answer: 'nessuna risposta accettata',
+    // Matching (pair-up) questions
+    matching: 'Abbinamento',
+    matching_instruction: 'Inserisci ogni elemento accanto al suo abbinamento. I giocatori vedono la colonna destra mescolata.',
+    matching_left_placeholder: 'Termine',
+    matching_right_placeholder: 'Abbinamento',
+    matching_player_instruction: 'Usa le frecce per spostare ogni elemento a destra accanto al suo abbinamento',
+    please_match_items: 'Abbina gli elementi prima di inviare',
+    no_matching_pairs: 'Ancora nessuna coppia',
+    matching_pair_stats: 'Abbinamenti corretti per coppia',
+    matching_needs_two_pairs: 'Le domande di abbinamento richiedono almeno 2 coppie',
+    invalid_matching: 'Ogni coppia richiede entrambi gli elementi e ogni abbinamento deve essere diverso',
+    val_incomplete_pair: 'coppia incompleta',
+    val_too_few_pairs: 'servono 2 coppie',
+    // Homework assignments
+    assign_as_homework: 'Assegna come compito',
+    assignment_mode: 'Compito',
+    assignment_publish_hint: 'Gli studenti svolgono il quiz al proprio ritmo tra queste date usando il link.',
+    assignment_opens: 'Apertura',
+    assignment_closes: 'Chiusura',
+    assignment_publish: 'Pubblica',
+    assignment_published: 'Compito pubblicato',
+    assignment_existing: 'Compiti pubblicati',
+    assignment_none: 'Nessun compito ancora',
+    assignment_submissions: 'Consegnati: {0}',
+    assignment_extend: 'Estendi di 1 giorno',
+    assignment_status_open: 'Aperto',
+    assignment_status_scheduled: 'Programmato',
+    assignment_status_closed: 'Chiuso',
+    confirm_delete_assignment: 'Eliminare questo compito? I risultati consegnati vengono conservati.',
+    copy: 'Copia',
+    link_copied: 'Link copiato',
+    assignment_question_count: '{0} domande',
+    assignment_due: 'Scadenza {0}',
+    assignment_opens_at: 'Questo compito apre il {0}.',
+    assignment_closed: 'Questo compito è chiuso',
+    assignment_intro_hint: 'Ogni domanda è a tempo. Puoi chiudere la pagina e continuare più tardi prima della scadenza.',
+    assignment_start: 'Inizia',
+    assignment_continue_as: 'Continua come {0}',
+    assignment_submitted: 'Compito consegnato',
+    assignment_submitted_hint: 'Le tue risposte sono state salvate per l\'insegnante.',
+    assignment_answered: 'Risposte',
+    confirm_exit_assignment: 'Uscire dal compito? Puoi continuare più tardi dallo stesso link.',
+    error_invalid_assignment_code: 'Codice compito non valido',
+    error_assignment_not_found: 'Compito non trovato',
+    error_assignment_invalid_dates: 'Data di apertura o chiusura non valida',
+    error_assignment_close_before_open: 'La data di chiusura deve essere successiva a quella di apertura',
+    error_quiz_no_questions: 'Il quiz non ha domande',
+    error_assignment_not_owner: 'Questo compito non è tuo',
+    error_assignment_full: 'Questo compito ha raggiunto il limite di studenti',
+    error_assignment_not_open: 'Questo compito non è ancora aperto',
+    error_assignment_closed: 'Questo compito è chiuso',
+    error_attempt_not_found: 'Tentativo non trovato',
+    error_question_ended: 'La domanda è già terminata',
+    error_confirm_required: 'Conferma questa azione',
+    error_failed_list_assignments: 'Impossibile elencare i compiti',
+    error_failed_create_assignment: 'Impossibile creare il compito',
+    error_assignment_quiz_protected: 'I quiz protetti da password non possono essere pubblicati come compito',
+    error_failed_update_assignment: 'Impossibile aggiornare il compito',
+    error_failed_delete_assignment: 'Impossibile eliminare il compito',
+    error_failed_load_assignment: 'Impossibile caricare il compito',
+    error_failed_start_assignment: 'Impossibile iniziare il compito',
+    // Team mode
+    team_mode: 'Modalità squadre (squadre in competizione)',
+    team_mode_tooltip: 'Dividi i giocatori in squadre che competono tra loro',
+    team_mode_help: 'I giocatori sono divisi in squadre che competono tra loro. Il punteggio di squadra è calcolato dai punteggi dei membri.',
+    team_count: 'Numero di squadre',
+    team_aggregation: 'Punteggio di squadra',
+    team_aggregation_sum: 'Somma dei punteggi dei membri',
+    team_aggregation_average: 'Punteggio medio dei membri',
+    team_aggregation_best: 'Miglior punteggio di un membro',
+    team_assignment: 'Assegnazione delle squadre',
+    team_assignment_auto: 'Automatica (bilanciata all\'ingresso)',
+    team_assignment_manual: 'Manuale (l\'host assegna nella lobby)',
+    team_label: 'Squadra {0}',
+    team_unassigned: 'Nessuna squadra',
+    change_team_named: 'Cambia squadra di {0}',
+    team_standings: 'Classifica a squadre',
+    team_members: '{0} giocatori',
+    error_team_mode_disabled: 'La modalità squadre non è attiva',
+    error_team_not_found: 'Squadra non trovata',
+    error_team_change_lobby_only: 'Le squadre si possono cambiare solo nella lobby',
+    error_failed_assign_team: 'Impossibile cambiare squadra',
+    // Student roster and progress profiles
+    roster_pick_label: 'Trova il tuo nome nell\'elenco della classe',
+    roster_pick_none: 'Non sono nell\'elenco',
+    student_code_placeholder: 'Oppure inserisci il tuo codice studente',
+    student_code: 'Codice studente',
+    students: 'Studenti',
+    students_tooltip: 'Elenco studenti e progressi tra le partite',
+    students_hint: 'Gli studenti entrano nelle tue partite scegliendo il proprio nome o inserendo il proprio codice, e ogni partita viene aggiunta al loro profilo.',
+    student_name: 'Nome dello studente',
+    student_add: 'Aggiungi studente',
+    students_none: 'Ancora nessuno studente',
+    student_games_played: 'Partite giocate',
+    student_average_accuracy: 'Precisione media',
+    student_recent_accuracy: 'Precisione recente',
+    student_trend: 'Tendenza',
+    student_trend_improving: 'In miglioramento',
+    student_trend_declining: 'In calo',
+    student_trend_steady: 'Stabile',
+    student_view_profile: 'Vedi profilo',
+    student_new_code: 'Nuovo codice',
+    confirm_remove_student: 'Rimuovere questo studente? Anche la cronologia dei progressi verrà eliminata.',
+    student_no_games: 'Ancora nessuna partita registrata',
+    student_no_concepts: 'Ancora nessuna domanda con concetti giocata',
+    student_latest: 'Ultima',
+    student_accuracy_trend: 'Precisione per partita',
+    student_concept_mastery: 'Padronanza dei concetti',
+    students_sign_in_required: 'Accedi per gestire i tuoi studenti',
+    error_user_not_found: 'Utente non trovato',
+    error_student_name_length: 'Il nome dello studente deve avere da 1 a 50 caratteri',
+    error_roster_full: 'L\'elenco è pieno',
+    error_student_not_found: 'Studente non trovato',
+    error_student_code_invalid: 'Codice studente sconosciuto',
+    error_student_already_joined: 'Questo studente è già nella partita',
+    error_invalid_student_id: 'ID studente non valido',
+    error_failed_list_students: 'Impossibile caricare gli studenti',
+    error_failed_add_student: 'Impossibile aggiungere lo studente',
+    error_failed_update_student: 'Impossibile aggiornare lo studente',
+    error_failed_remove_student: 'Impossibile rimuovere lo studente',
+    error_failed_load_profile: 'Impossibile caricare il profilo dello studente',
+    error_failed_export_profile: 'Impossibile esportare il profilo dello studente',
+    // Spaced-repetition review
+    review_session_title: 'Ripasso',
+    review_session_done: 'Le domande sbagliate torneranno prima; le altre aspetteranno di più.',
+    review_more: 'Ripassa ancora',
+    review_due_title: 'È ora di ripassare',
+    review_due_items: 'Ripassa le domande in scadenza',
+    review_due_count: '{0} domanda/e sbagliata/e da ripassare',
+    review_nothing_due: 'Niente da ripassare per ora',
+    error_invalid_user_id: 'ID utente non valido',
+    error_failed_load_review: 'Impossibile caricare la coda di ripasso',
+    error_failed_save_review: 'Impossibile salvare la coda di ripasso',
+    // Question bank
+    question_bank: 'Banca delle domande',
+    question_bank_tooltip: 'Banca delle domande: riutilizza le domande dei tuoi quiz',
+    question_bank_insert_from: 'Dalla banca',
+    question_bank_search_placeholder: 'Cerca domande, risposte e concetti...',
+    question_bank_search: 'Cerca',
+    question_bank_any_type: 'Qualsiasi tipo',
+    question_bank_any_difficulty: 'Qualsiasi difficoltà',
+    question_bank_any_concept: 'Qualsiasi concetto',
+    question_bank_found: '{0} domande trovate',
+    question_bank_showing: 'Mostrate {0} di {1} domande',
+    question_bank_empty: 'Nessuna domanda corrispondente',
+    question_bank_insert: 'Inserisci {0} selezionate',
+    question_bank_inserted: '{0} domande aggiunte al quiz',
+    question_bank_draws_title: 'Domande casuali all\'avvio',
+    question_bank_draws_hint: 'A ogni avvio di questo quiz, queste domande vengono estratte a caso dalla banca e aggiunte dopo le sue domande.',
+    question_bank_draw_count: 'Numero di domande',
+    question_bank_add_draw: 'Aggiungi estrazione',
+    question_bank_no_draws: 'Nessuna estrazione casuale',
+    bank_draw_shortfall: 'Trovate solo {0} domande su {1} per «{2}»',
+    question_type_text_input: 'Risposta di testo',
+    question_type_matching: 'Abbinamento',
+    error_failed_search_bank: 'Impossibile cercare nella banca delle domande',
+    error_failed_load_bank_questions: 'Impossibile caricare le domande',
+    error_failed_draw_questions: 'Impossibile estrarre domande dalla banca',
+    error_invalid_question_ref: 'Riferimento alla domanda non valido',
+    error_question_not_found: 'Domanda non trovata',
+    // Quiz packages (.quizix)
+    package_missing_media: '{0} immagini o video non erano nel pacchetto e non verranno mostrati',
+    package_rejected_media: '{0} file del pacchetto non erano immagini o video validi e sono stati esclusi',
+    error_invalid_package: 'Questo file non è un pacchetto .quizix valido',
+    error_package_version_unsupported: 'Questo pacchetto è stato creato con una versione più recente di Quizix Pro. Aggiorna questo server per importarlo.',
+    error_package_too_large: 'Il pacchetto è troppo grande per essere importato',
+    error_failed_export_package: 'Impossibile creare il pacchetto del quiz',
+    // Export dialog and Moodle GIFT / XML import
+    export_quiz_title: 'Esporta quiz',
+    export_format_quizix: 'Pacchetto Quizix (.quizix)',
+    export_format_quizix_hint: 'Domande, impostazioni, immagini e video, da aprire su un altro server Quizix',
+    export_format_gift: 'Moodle GIFT (.txt)',
+    export_format_moodle_xml: 'Moodle XML (.xml)',
+    export_format_moodle_hint: 'Solo domande, per l\'importazione nel deposito domande di Moodle',
+    format_import_skipped: '{0} domande non sono state convertite e sono state saltate',
+    format_export_skipped: '{0} domande non hanno un equivalente in questo formato e sono state escluse',
+    format_import_no_questions: 'Non è stato possibile importare alcuna domanda da questo file',
+    error_invalid_moodle_xml: 'Questo file non è in formato Moodle XML',
+    // IMS QTI packages
+    export_format_qti21: 'IMS QTI 2.1 (.zip)',
+    export_format_qti30: 'IMS QTI 3.0 (.zip)',
+    export_format_qti_hint: 'Domande e immagini, per LMS e strumenti di valutazione',
+    error_invalid_qti_package: 'Questo file non è un pacchetto IMS QTI',
+    // Spreadsheet question import
+    export_format_csv: 'Foglio di calcolo (.csv)',
+    export_format_csv_hint: 'Una domanda per riga, da modificare in Excel e reimportare',
+    download_sheet_template: 'Scarica un modello di foglio di calcolo per importare domande',
+    import_report_title: 'Note sull\'importazione',
+    format_import_notes: 'Tutte le domande sono state importate, con queste note',
+    error_invalid_question_sheet: 'Il foglio di calcolo non ha una colonna "question". Parti dal modello.',
+    // Paper tests
+    print_paper_test_tooltip: 'Stampa verifica cartacea',
+    paper_test_title: 'Stampa verifica cartacea',
+    paper_test_versions: 'Versioni',
+    paper_test_shuffle_questions: 'Mescola l\'ordine delle domande in ogni versione',
+    paper_test_shuffle_options: 'Mescola le opzioni di risposta in ogni versione',
+    paper_test_answer_key_option: 'Pagine con le soluzioni',
+    paper_test_bubble_sheet_option: 'Foglio risposte a bolle',
+    paper_test_hint: 'Scegli "Salva come PDF" nella finestra di stampa per una copia PDF.',
+    paper_test_download: 'Scarica HTML',
+    paper_test_print: 'Stampa',
+    paper_test_failed: 'Impossibile creare la verifica cartacea',
+    paper_test_name: 'Nome',
+    paper_test_class: 'Classe',
+    paper_test_date: 'Data',
+    paper_test_version: 'Versione {0}',
+    paper_test_answer_sheet: 'Foglio risposte',
+    paper_test_answer_key: 'Soluzioni',
+    paper_test_answer_column: 'Risposta',
+    paper_test_quiz_question_column: 'Domanda del quiz',
+    paper_test_select_all_hint: 'Segna tutte le risposte corrette.',
+    paper_test_order_hint: 'Scrivi le lettere nell\'ordine corretto.',
+    paper_test_matching_hint: 'Scrivi accanto a ogni voce la lettera della risposta corrispondente.',
+    paper_test_poll_key: 'Domanda di opinione, qualsiasi risposta',
+    // Report cards
+    download_my_report: 'Scarica il mio report',
+    download_report_cards: 'Report individuali',
+    report_card_format: 'Formato dei report',
+    report_card_format_html: 'HTML',
+    report_card_format_pdf: 'PDF (solo testo latino)',
+    error_player_not_found: 'Giocatore non trovato in questo risultato',
+    // Gradebook export
+    gradebook: 'Registro voti',
+    gradebook_tooltip: 'Esporta i voti per il registro di un LMS',
+    gradebook_export: 'Esporta registro voti',
+    gradebook_hint: 'Una riga per studente e una colonna per sessione. Gli studenti sono abbinati tra le sessioni tramite il codice, altrimenti per nome.',
+    gradebook_sessions: 'Sessioni',
+    gradebook_normalization: 'Punteggio',
+    gradebook_normalization_percent: '% corrette',
+    gradebook_normalization_partial: '% con punteggio parziale',
+    gradebook_normalization_points: 'Punti di gioco',
+    gradebook_scale: 'Scala di valutazione',
+    gradebook_scale_none: 'Nessuna (solo punteggio)',
+    gradebook_scale_letter: 'Lettere (A–F)',
+    gradebook_scale_chile: 'Cilena (1,0–7,0)',
+    gradebook_scale_custom: 'Fasce personalizzate',
+    gradebook_pass_percent: '% per un 4,0',
+    gradebook_bands: 'Fasce (% minima=voto)',
+    gradebook_invalid_bands: 'Scrivi le fasce come % minima=voto, separate da virgole (es. 90=A, 0=F)',
+    gradebook_layout: 'Formato',
+    gradebook_layout_generic: 'Foglio di calcolo',
+    gradebook_select_sessions: 'Seleziona almeno una sessione',
+    error_invalid_gradebook_options: 'Opzioni del registro non valide',
+    error_failed_export_gradebook: 'Impossibile esportare il registro voti',
+    // LTI (LMS launches)
+    error_lti_not_configured: 'L’integrazione LMS non è configurata su questo server',
+    error_lti_platform_unknown: 'Questo LMS non è registrato su Quizix',
+    error_lti_state_invalid: 'L’avvio è scaduto o è già stato usato. Riavvia dal tuo corso.',
+    error_lti_launch_invalid: 'Impossibile verificare l’avvio dall’LMS',
+    error_lti_instructor_only: 'Solo i docenti possono aggiungere contenuti Quizix',
+    // Webhooks (webhooks-modal.js, routes/webhooks.js)
+    webhooks: 'Webhook',
+    webhooks_tooltip: 'Invia eventi di partite e risultati ad altri servizi',
+    webhooks_hint: 'Quizix invia JSON firmato a questi URL quando le tue partite iniziano e finiscono, i giocatori entrano o escono e i risultati vengono salvati.',
+    webhooks_sign_in_required: 'Accedi per gestire i tuoi webhook',
+    webhooks_none: 'Nessun webhook',
+    webhook_url: 'URL del webhook',
+    webhook_description: 'Descrizione (facoltativa)',
+    webhook_add: 'Aggiungi webhook',
+    webhook_events: 'Eventi',
+    webhook_event_game_started: 'Partita iniziata',
+    webhook_event_game_ended: 'Partita terminata',
+    webhook_event_player_joined: 'Giocatore entrato',
+    webhook_event_player_left: 'Giocatore uscito',
+    webhook_event_results_saved: 'Risultati salvati',
+    webhook_pick_event: 'Scegli almeno un evento',
+    webhook_secret: 'Segreto',
+    webhook_secret_notice: 'Copia ora il segreto di firma; non verrà più mostrato.',
+    webhook_disabled: 'Disattivato',
+    webhook_deliveries: 'Consegne',
+    webhook_test: 'Prova',
+    webhook_test_sent: 'Consegna di prova in coda',
+    webhook_enable: 'Attiva',
+    webhook_disable: 'Disattiva',
+    webhook_new_secret: 'Nuovo segreto',
+    confirm_new_webhook_secret: 'Sostituire il segreto di firma? Le consegne firmate con quello vecchio non saranno più verificabili.',
+    confirm_remove_webhook: 'Eliminare questo webhook? Le consegne in attesa di un nuovo tentativo verranno scartate.',
+    webhook_no_deliveries: 'Ancora nessun invio',
+    webhook_attempts: 'Tentativi',
+    webhook_next_attempt: 'Prossimo tentativo',
+    webhook_payload: 'Contenuto',
+    webhook_resend: 'Invia di nuovo',
+    webhook_status_pending: 'In attesa',
+    webhook_status_retrying: 'Nuovo tentativo',
+    webhook_status_delivered: 'Consegnato',
+    webhook_status_failed: 'Non riuscito',
+    error_webhook_url_invalid: 'L’URL del webhook deve essere http o https',
+    error_webhook_url_blocked: 'L’URL del webhook punta a un indirizzo privato o non raggiungibile',
+    error_webhook_not_found: 'Webhook non trovato',
+    error_webhook_limit: 'Al massimo 10 webhook per account',
+    error_webhook_delivery_not_found: 'Consegna non trovata',
+    error_webhook_delivery_queued: 'La consegna è ancora in coda',
+    error_failed_list_webhooks: 'Impossibile caricare i webhook',
+    error_failed_save_webhook: 'Impossibile salvare il webhook',
+    // Power-up registry: new power-ups, hints and per-quiz settings
+    power_up_shield: 'Scudo',
+    power_up_shield_tooltip: 'Mantieni la tua serie se la prossima risposta è sbagliata',
+    power_up_second_chance: '2ª possibilità',
+    power_up_second_chance_tooltip: 'Se la prossima risposta è sbagliata, rispondi di nuovo per il {0}% dei punti',
+    power_up_skip: 'Salta',
+    power_up_skip_tooltip: 'Salta questa domanda senza interrompere la serie',
+    power_up_reveal_hint: 'Indizio',
+    power_up_reveal_hint_tooltip: 'Mostra un indizio per questa domanda',
+    hint_exclude_option: 'Una risposta sbagliata è stata rimossa',
+    hint_correct_count: 'Ci sono {0} risposte corrette',
+    hint_range: 'La risposta è tra {0} e {1}',
+    hint_first_letter: 'La risposta inizia con «{0}» ({1} caratteri)',
+    hint_first_item: 'Il primo elemento è «{0}»',
+    hint_pair: '«{0}» corrisponde a «{1}»',
+    hint_unavailable: 'Nessun indizio per questa domanda',
+    question_skipped: 'Domanda saltata',
+    shield_kept_streak: '🛡️ Il tuo scudo ha salvato la serie.',
+    second_chance_retry: 'Non proprio: seconda possibilità! Rispondi di nuovo per il {0}% dei punti.',
+    error_powerup_unavailable: 'I power-up si possono usare solo mentre rispondi',
+    error_powerup_active: 'Power-up già attivo',
+    error_powerup_not_applicable: 'Questo power-up non si può usare su questa domanda',
+    power_up_settings: 'Personalizza power-up',
+    power_up_name_fifty_fifty: '50-50',
+    power_up_name_extend_time: 'Tempo extra',
+    power_up_name_double_points: 'Punti doppi',
+    power_up_name_shield: 'Scudo',
+    power_up_name_second_chance: 'Seconda possibilità',
+    power_up_name_skip: 'Salta',
+    power_up_name_reveal_hint: 'Indizio',
+    power_up_uses: 'Utilizzi per giocatore',
+    power_up_param_extraSeconds: 'Secondi extra',
+    power_up_param_multiplier: 'Moltiplicatore',
+    power_up_param_pointsPercent: 'Punti al secondo tentativo (%)',
+    // Streak and comeback bonuses, end-of-game badges
+    enable_streak_bonus: 'Attiva bonus serie',
+    streak_bonus_help: 'Ogni risposta corretta di fila aggiunge una percentuale dei punti della risposta, fino al massimo. Una risposta sbagliata interrompe la serie.',
+    streak_bonus_step: '% per risposta di fila',
+    streak_bonus_max: 'Massimo %',
+    enable_comeback_bonus: 'Attiva bonus rimonta',
+    comeback_bonus_help: 'Una risposta corretta dopo diverse risposte sbagliate di fila aggiunge una percentuale dei punti base.',
+    comeback_bonus_misses: 'Dopo risposte sbagliate',
+    comeback_bonus_percent: '% dei punti base',
+    streak_bonus: 'Bonus serie',
+    comeback_bonus: 'Bonus rimonta',
+    streak_bonus_earned: '🔥 {0} di fila: +{1}',
+    comeback_bonus_earned: 'Rimonta! +{0}',
+    your_badges: 'I tuoi badge',
+    badge_perfect_round: 'Partita perfetta',
+    badge_perfect_round_detail: 'Tutte le {0} domande giuste',
+    badge_fastest_answer: 'Risposta più veloce',
+    badge_fastest_answer_detail: 'Corretta in {0} s',
+    badge_hot_streak: 'Serie vincente',
+    badge_hot_streak_detail: '{0} giuste di fila',
+    badge_most_improved: 'Maggior miglioramento',
+    badge_most_improved_detail: '+{0}% di precisione nella seconda metà',
+    badge_consensus_builder: 'Costruttore di consenso',
+    badge_consensus_builder_detail: 'Ha sostenuto la risposta del team {0} volte',
+    // Elimination mode
+    elimination_mode: 'Modalità eliminazione (l\'ultimo in piedi)',
+    elimination_mode_tooltip: 'Una risposta sbagliata elimina il giocatore; vincono gli ultimi rimasti',
+    elimination_mode_help: 'Una risposta sbagliata elimina il giocatore. Gli eliminati continuano a rispondere come fantasmi senza punti e vincono gli ultimi rimasti.',
+    elimination_slowest_percent: 'Elimina anche i più lenti (%)',
+    elimination_revival_every: 'Round di resurrezione ogni (domande, 0 = mai)',
+    survivors_count: '{0} su {1} ancora in gioco',
+    elimination_round_out: 'Eliminati: {0}',
+    elimination_round_revived: 'Di nuovo in gioco: {0}',
+    eliminated_now: 'Sei eliminato! Continua a giocare come fantasma.',
+    revived_now: 'Sei di nuovo in gioco!',
+    survived_round: 'Ancora in gioco (ne restano {0})',
+    ghost_banner: '👻 Sei un fantasma: le tue risposte non danno più punti.',
+    ghost_banner_revival: '✨ Round di resurrezione: rispondi correttamente per rientrare!',
+    eliminated_label: 'Eliminato',
+    ghost_answer: '👻 Risposta fantasma:',
+    // Adaptive difficulty
+    adaptive_mode: 'Difficoltà adattiva',
+    adaptive_mode_tooltip: 'Scegliere ogni domanda in base a come è andata la precedente',
+    adaptive_mode_help: 'Ogni domanda viene scelta in base a come è andata la precedente: più difficile se la maggior parte ha risposto bene, più facile se la maggior parte ha sbagliato. Compiti ed esercitazioni si adattano a ogni studente.',
+    adaptive_question_count: 'Domande da porre (0 = tutte)',
+    analytics_trajectory_room: 'Andamento della difficoltà',
+    analytics_trajectory_player: 'Andamento della difficoltà per studente',
+    analytics_trajectory_empty: 'Nessuno studente ha ancora iniziato.',
+    // Question branching
+    branching_optional: 'Diramazione (facoltativa)',
+    branching_hint: 'scegli cosa viene dopo',
+    branch_label: 'Etichetta di questa domanda:',
+    branch_when: 'Dopo questa domanda:',
+    branch_when_none: 'Passa alla domanda successiva',
+    branch_when_always: 'Salta sempre',
+    branch_when_accuracy_below: 'Salta se la precisione è inferiore a (%)',
+    branch_when_accuracy_at_least: 'Salta se la precisione è almeno (%)',
+    branch_when_option: 'Salta se l’opzione più scelta è la numero',
+    branch_value: 'Percentuale o numero dell’opzione:',
+    branch_go_to: 'Salta all’etichetta:',
+    branch_otherwise: 'Altrimenti vai all’etichetta (facoltativa):',
+    branch_label_invalid: 'L’etichetta è troppo lunga (al massimo 40 caratteri)',
+    branch_label_duplicate: 'Un’altra domanda ha già questa etichetta',
+    branch_rule_invalid: 'Condizione di diramazione sconosciuta',
+    branch_option_needs_choice: 'Solo le domande a scelta multipla possono diramarsi in base all’opzione più scelta',
+    branch_value_invalid: 'Inserisci una percentuale da 0 a 100 o il numero di una delle opzioni',
+    branch_target_missing: 'Nessuna domanda ha l’etichetta di destinazione',
+    branch_loop: 'Le regole di diramazione possono tornare a questa domanda e ripetersi all’infinito'
 };
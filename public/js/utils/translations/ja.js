@@ -589,17 +589,17 @@ export default {
     load: '読み込む',
 
     // Power-Ups
-    enable_power_ups: 'パワーアップを有効にする（50-50、+10秒、2倍ポイント）',
+    enable_power_ups: 'パワーアップを有効にする',
     enable_power_ups_tooltip: 'ゲーム中にプレイヤーがパワーアップを使用できるようにする',
     show_leaderboard_between: '各問題の後にランキングを表示',
     show_leaderboard_between_tooltip: '問題の合間にランキングを表示します。最終ランキングは常に表示されます',
     power_ups: 'パワーアップ',
     fifty_fifty: '50-50',
     fifty_fifty_tooltip: '間違った回答の半分を削除',
-    extend_time: '+10秒',
-    extend_time_tooltip: 'タイマーに10秒追加',
-    double_points: '2倍ポイント',
-    double_points_tooltip: '次の正解でポイントを2倍にする',
+    extend_time: '+{0}秒',
+    extend_time_tooltip: 'タイマーに{0}秒追加',
+    double_points: '{0}倍ポイント',
+    double_points_tooltip: '次の回答のポイントを{0}倍にする',
     power_up_used: 'パワーアップを使用しました！',
 
     // Scoring Settings
@@ -1207,7 +1207,7 @@ export default {
     // Help & Tour
     help_and_tour: 'ヘルプとツアー',
     restart_tour: 'ツアーを再開',
-    power_ups_help: 'プレイヤーに特殊能力を付与：50-50は不正解を2つ削除、+10sは追加時間、2xは1問のポイントを2倍にします。',
+    power_ups_help: 'プレイヤーに特殊能力を付与：50-50、時間延長、ポイント倍増、連続正解を守るシールド、セカンドチャンス、スキップ、ヒント。「パワーアップをカスタマイズ」で種類と各プレイヤーの使用回数を選べます。',
     consensus_mode_help: 'プレイヤーは回答前に話し合い、一緒に投票します。チームは回答を確定するためにしきい値に達する必要があります。',
     create_first_quiz: '最初のクイズを作成',
     try_ai_generation: 'AI生成を試して自動的に問題を作成',
@@ -1553,5 +1553,425 @@ export default {
     consensus_of: '/',
     threshold: 'しきい値',
     unanimous: '100%（全員一致）',
-    ollama_server_url: 'Ollamaサーバー:'
+    ollama_server_url: 'Ollamaサーバー:',
+    // Host moderation (kick / ban)
+    manage_players: 'プレイヤーを管理',
+    remove_player_named: '{0} を退出させる',
+    remove_player_prompt: '{0} をゲームから退出させますか？',
+    remove_player_hint: 'キックされたプレイヤーは再参加できます。BANされたプレイヤーはこのゲームに再参加できません。',
+    kick_player: 'キック',
+    ban_player: 'BAN',
+    player_kicked_notice: 'ホストによってゲームから退出させられました',
+    player_banned_notice: 'ホストによってゲームから退出させられました。再参加はできません',
+    error_player_banned: 'このゲームから退出させられています',
+    error_failed_remove_player: 'プレイヤーを退出させられませんでした',
+    error_not_authorized_host: 'プレイヤーを退出させられるのはホストのみです',
+    // Text answer (fill-in-the-blank) questions
+    text_input: 'テキスト回答',
+    accepted_answers: '正解として認める回答（1行に1つ）',
+    accepted_answers_placeholder: '1行に1つの回答',
+    text_input_match_hint: '大文字・小文字、アクセント記号、余分な空白は区別されません。',
+    fuzzy_threshold: '許容するタイプミス',
+    fuzzy_exact: '完全一致',
+    enter_text_answer: '回答を入力',
+    text_answer: 'テキスト回答',
+    please_enter_text_answer: '回答を入力してください',
+    text_input_needs_answer: 'テキスト回答の問題には少なくとも1つの正解が必要です',
+    val_no_accepted_answer: '正解なし',
+    // Matching (pair-up) questions
+    matching: 'マッチング',
+    matching_instruction: '各項目を対応する項目の隣に入力してください。プレイヤーには右の列がシャッフルされて表示されます。',
+    matching_left_placeholder: '用語',
+    matching_right_placeholder: '対応する項目',
+    matching_player_instruction: '矢印で右側の各項目を対応する項目の隣に移動してください',
+    please_match_items: '送信する前に項目を対応させてください',
+    no_matching_pairs: 'ペアがまだありません',
+    matching_pair_stats: 'ペアごとの正解数',
+    matching_needs_two_pairs: 'マッチング問題には2つ以上のペアが必要です',
+    invalid_matching: '各ペアには両方の項目が必要で、対応する項目はそれぞれ異なる必要があります',
+    val_incomplete_pair: 'ペアが不完全',
+    val_too_few_pairs: '2つのペアが必要',
+    // Homework assignments
+    assign_as_homework: '宿題として配布',
+    assignment_mode: '宿題',
+    assignment_publish_hint: '生徒はリンクからこの期間内に自分のペースでクイズに取り組みます。',
+    assignment_opens: '開始',
+    assignment_closes: '締切',
+    assignment_publish: '公開',
+    assignment_published: '宿題を公開しました',
+    assignment_existing: '公開済みの宿題',
+    assignment_none: '宿題はまだありません',
+    assignment_submissions: '提出済み: {0}',
+    assignment_extend: '1日延長',
+    assignment_status_open: '受付中',
+    assignment_status_scheduled: '予定',
+    assignment_status_closed: '締切済み',
+    confirm_delete_assignment: 'この宿題を削除しますか？提出済みの結果は残ります。',
+    copy: 'コピー',
+    link_copied: 'リンクをコピーしました',
+    assignment_question_count: '{0} 問',
+    assignment_due: '締切 {0}',
+    assignment_opens_at: 'この宿題は {0} に開始します。',
+    assignment_closed: 'この宿題は締め切られました',
+    assignment_intro_hint: '各問題には制限時間があります。締切前であればページを閉じて後で続けられます。',
+    assignment_start: '開始',
+    assignment_continue_as: '{0} として続ける',
+    assignment_submitted: '宿題を提出しました',
+    assignment_submitted_hint: '回答は先生のために保存されました。',
+    assignment_answered: '回答数',
+    confirm_exit_assignment: '宿題を中断しますか？同じリンクから後で続けられます。',
+    error_invalid_assignment_code: '宿題コードが無効です',
+    error_assignment_not_found: '宿題が見つかりません',
+    error_assignment_invalid_dates: '開始日または締切日が無効です',
+    error_assignment_close_before_open: '締切日は開始日より後にしてください',
+    error_quiz_no_questions: 'クイズに問題がありません',
+    error_assignment_not_owner: 'この宿題の所有者ではありません',
+    error_assignment_full: 'この宿題は参加人数の上限に達しました',
+    error_assignment_not_open: 'この宿題はまだ開始されていません',
+    error_assignment_closed: 'この宿題は締め切られました',
+    error_attempt_not_found: '解答記録が見つかりません',
+    error_question_ended: 'この問題はすでに終了しています',
+    error_confirm_required: 'この操作を確認してください',
+    error_failed_list_assignments: '宿題一覧を取得できませんでした',
+    error_failed_create_assignment: '宿題を作成できませんでした',
+    error_assignment_quiz_protected: 'パスワードで保護されたクイズは宿題として公開できません',
+    error_failed_update_assignment: '宿題を更新できませんでした',
+    error_failed_delete_assignment: '宿題を削除できませんでした',
+    error_failed_load_assignment: '宿題を読み込めませんでした',
+    error_failed_start_assignment: '宿題を開始できませんでした',
+    // Team mode
+    team_mode: 'チームモード（チーム対抗）',
+    team_mode_tooltip: 'プレイヤーを対戦するチームに分けます',
+    team_mode_help: 'プレイヤーはチームに分かれて対戦します。チームの得点はメンバーの得点から計算されます。',
+    team_count: 'チーム数',
+    team_aggregation: 'チーム得点',
+    team_aggregation_sum: 'メンバー得点の合計',
+    team_aggregation_average: 'メンバー得点の平均',
+    team_aggregation_best: 'メンバーの最高得点',
+    team_assignment: 'チーム分け',
+    team_assignment_auto: '自動（参加時に均等化）',
+    team_assignment_manual: '手動（ホストがロビーで割り当て）',
+    team_label: 'チーム{0}',
+    team_unassigned: 'チームなし',
+    change_team_named: '{0}のチームを変更',
+    team_standings: 'チーム順位',
+    team_members: '{0}人',
+    error_team_mode_disabled: 'チームモードが有効になっていません',
+    error_team_not_found: 'チームが見つかりません',
+    error_team_change_lobby_only: 'チームはロビーでのみ変更できます',
+    error_failed_assign_team: 'チームを変更できませんでした',
+    // Student roster and progress profiles
+    roster_pick_label: 'クラス名簿から自分の名前を選んでください',
+    roster_pick_none: '名簿に載っていません',
+    student_code_placeholder: 'または生徒コードを入力',
+    student_code: '生徒コード',
+    students: '生徒',
+    students_tooltip: '生徒名簿とゲームをまたいだ進捗',
+    students_hint: '生徒は名前を選ぶかコードを入力してゲームに参加し、各ゲームがプロフィールに追加されます。',
+    student_name: '生徒の名前',
+    student_add: '生徒を追加',
+    students_none: '生徒はまだいません',
+    student_games_played: 'プレイしたゲーム',
+    student_average_accuracy: '平均正答率',
+    student_recent_accuracy: '最近の正答率',
+    student_trend: '傾向',
+    student_trend_improving: '向上中',
+    student_trend_declining: '低下中',
+    student_trend_steady: '横ばい',
+    student_view_profile: 'プロフィールを見る',
+    student_new_code: '新しいコード',
+    confirm_remove_student: 'この生徒を削除しますか？進捗履歴も削除されます。',
+    student_no_games: '記録されたゲームはまだありません',
+    student_no_concepts: '概念タグ付きの問題はまだプレイされていません',
+    student_latest: '最新',
+    student_accuracy_trend: 'ゲームごとの正答率',
+    student_concept_mastery: '概念の習熟度',
+    students_sign_in_required: '生徒を管理するにはサインインしてください',
+    error_user_not_found: 'ユーザーが見つかりません',
+    error_student_name_length: '生徒の名前は1～50文字にしてください',
+    error_roster_full: '名簿がいっぱいです',
+    error_student_not_found: '生徒が見つかりません',
+    error_student_code_invalid: '不明な生徒コードです',
+    error_student_already_joined: 'この生徒はすでにゲームに参加しています',
+    error_invalid_student_id: '無効な生徒IDです',
+    error_failed_list_students: '生徒一覧を取得できませんでした',
+    error_failed_add_student: '生徒を追加できませんでした',
+    error_failed_update_student: '生徒を更新できませんでした',
+    error_failed_remove_student: '生徒を削除できませんでした',
+    error_failed_load_profile: '生徒のプロフィールを読み込めませんでした',
+    error_failed_export_profile: '生徒のプロフィールをエクスポートできませんでした',
+    // Spaced-repetition review
+    review_session_title: '復習',
+    review_session_done: '間違えた問題は早めに、正解した問題は間隔をあけて再出題されます。',
+    review_more: 'さらに復習',
+    review_due_title: '復習の時間です',
+    review_due_items: '期限の問題を復習',
+    review_due_count: '復習期限の問題が {0} 問あります',
+    review_nothing_due: '今は復習する問題がありません',
+    error_invalid_user_id: 'ユーザーIDが無効です',
+    error_failed_load_review: '復習リストを読み込めませんでした',
+    error_failed_save_review: '復習リストを保存できませんでした',
+    // Question bank
+    question_bank: '問題バンク',
+    question_bank_tooltip: '問題バンク：クイズの問題を再利用',
+    question_bank_insert_from: '問題バンクから',
+    question_bank_search_placeholder: '問題・解答・概念を検索...',
+    question_bank_search: '検索',
+    question_bank_any_type: 'すべての種類',
+    question_bank_any_difficulty: 'すべての難易度',
+    question_bank_any_concept: 'すべての概念',
+    question_bank_found: '{0} 問見つかりました',
+    question_bank_showing: '{1} 問中 {0} 問を表示',
+    question_bank_empty: '該当する問題はありません',
+    question_bank_insert: '選択した {0} 問を挿入',
+    question_bank_inserted: '{0} 問をクイズに追加しました',
+    question_bank_draws_title: 'ゲーム開始時のランダム問題',
+    question_bank_draws_hint: 'このクイズを開始するたびに、これらの問題がバンクからランダムに選ばれ、クイズ自身の問題の後に追加されます。',
+    question_bank_draw_count: '問題数',
+    question_bank_add_draw: '抽選を追加',
+    question_bank_no_draws: 'ランダム抽選なし',
+    bank_draw_shortfall: '「{2}」の問題は {1} 問中 {0} 問しか見つかりませんでした',
+    question_type_text_input: 'テキスト入力',
+    question_type_matching: '組み合わせ',
+    error_failed_search_bank: '問題バンクを検索できませんでした',
+    error_failed_load_bank_questions: '問題を読み込めませんでした',
+    error_failed_draw_questions: '問題バンクから問題を抽選できませんでした',
+    error_invalid_question_ref: '無効な問題参照です',
+    error_question_not_found: '問題が見つかりません',
+    // Quiz packages (.quizix)
+    package_missing_media: '{0} 件の画像または動画がパッケージに含まれていないため表示されません',
+    package_rejected_media: 'パッケージ内の {0} 件のファイルは有効な画像または動画ではないため除外されました',
+    error_invalid_package: 'このファイルは有効な .quizix パッケージではありません',
+    error_package_version_unsupported: 'このパッケージは新しいバージョンの Quizix Pro で作成されています。インポートするにはサーバーを更新してください。',
+    error_package_too_large: 'パッケージが大きすぎるためインポートできません',
+    error_failed_export_package: 'クイズパッケージを作成できませんでした',
+    // Export dialog and Moodle GIFT / XML import
+    export_quiz_title: 'クイズをエクスポート',
+    export_format_quizix: 'Quizix パッケージ (.quizix)',
+    export_format_quizix_hint: '問題・設定・画像・動画を含み、別の Quizix サーバーで開けます',
+    export_format_gift: 'Moodle GIFT (.txt)',
+    export_format_moodle_xml: 'Moodle XML (.xml)',
+    export_format_moodle_hint: '問題のみ。Moodle の問題バンクへのインポート用',
+    format_import_skipped: '{0} 件の問題は変換できずスキップされました',
+    format_export_skipped: '{0} 件の問題はこの形式に対応するものがないため除外されました',
+    format_import_no_questions: 'このファイルからインポートできる問題はありませんでした',
+    error_invalid_moodle_xml: 'このファイルは Moodle XML ではありません',
+    // IMS QTI packages
+    export_format_qti21: 'IMS QTI 2.1 (.zip)',
+    export_format_qti30: 'IMS QTI 3.0 (.zip)',
+    export_format_qti_hint: '問題と画像。LMS や評価ツール向け',
+    error_invalid_qti_package: 'このファイルは IMS QTI パッケージではありません',
+    // Spreadsheet question import
+    export_format_csv: 'スプレッドシート (.csv)',
+    export_format_csv_hint: '1 行に 1 問。Excel で編集して再インポートできます',
+    download_sheet_template: '問題インポート用のスプレッドシートテンプレートをダウンロード',
+    import_report_title: 'インポートの注意事項',
+    format_import_notes: 'すべての問題をインポートしました（以下の注意事項があります）',
+    error_invalid_question_sheet: 'スプレッドシートに「question」列がありません。テンプレートから始めてください。',
+    // Paper tests
+    print_paper_test_tooltip: '紙のテストを印刷',
+    paper_test_title: '紙のテストを印刷',
+    paper_test_versions: 'バージョン',
+    paper_test_shuffle_questions: 'バージョンごとに問題の順序をシャッフル',
+    paper_test_shuffle_options: 'バージョンごとに選択肢をシャッフル',
+    paper_test_answer_key_option: '解答ページ',
+    paper_test_bubble_sheet_option: 'マークシート',
+    paper_test_hint: 'PDFが必要な場合は印刷ダイアログで「PDFに保存」を選んでください。',
+    paper_test_download: 'HTMLをダウンロード',
+    paper_test_print: '印刷',
+    paper_test_failed: '紙のテストを作成できませんでした',
+    paper_test_name: '氏名',
+    paper_test_class: 'クラス',
+    paper_test_date: '日付',
+    paper_test_version: 'バージョン {0}',
+    paper_test_answer_sheet: '解答用紙',
+    paper_test_answer_key: '解答',
+    paper_test_answer_column: '解答',
+    paper_test_quiz_question_column: 'クイズの問題番号',
+    paper_test_select_all_hint: '正しいものをすべて選びなさい。',
+    paper_test_order_hint: '正しい順に記号を書きなさい。',
+    paper_test_matching_hint: '各項目の横に対応する答えの記号を書きなさい。',
+    paper_test_poll_key: '意見を問う問題（正答なし）',
+    // Report cards
+    download_my_report: '自分のレポートをダウンロード',
+    download_report_cards: '個人レポート',
+    report_card_format: '個人レポートの形式',
+    report_card_format_html: 'HTML',
+    report_card_format_pdf: 'PDF（ラテン文字のみ）',
+    error_player_not_found: 'この結果にプレイヤーが見つかりません',
+    // Gradebook export
+    gradebook: '成績表',
+    gradebook_tooltip: 'LMSの成績表用に成績をエクスポート',
+    gradebook_export: '成績表をエクスポート',
+    gradebook_hint: '生徒ごとに1行、セッションごとに1列。生徒は名簿コード、なければ名前でセッション間を照合します。',
+    gradebook_sessions: 'セッション',
+    gradebook_normalization: 'スコア',
+    gradebook_normalization_percent: '正答率',
+    gradebook_normalization_partial: '部分点込みの%',
+    gradebook_normalization_points: 'ゲームのポイント',
+    gradebook_scale: '評価尺度',
+    gradebook_scale_none: 'なし（スコアのみ）',
+    gradebook_scale_letter: '文字（A〜F）',
+    gradebook_scale_chile: 'チリ式（1.0〜7.0）',
+    gradebook_scale_custom: 'カスタム区分',
+    gradebook_pass_percent: '4.0となる%',
+    gradebook_bands: '区分（最低%=評価）',
+    gradebook_invalid_bands: '区分は「最低%=評価」の形でカンマ区切りで入力してください（例: 90=A, 0=F）',
+    gradebook_layout: '形式',
+    gradebook_layout_generic: 'スプレッドシート',
+    gradebook_select_sessions: 'セッションを1つ以上選択してください',
+    error_invalid_gradebook_options: '成績表のオプションが無効です',
+    error_failed_export_gradebook: '成績表をエクスポートできませんでした',
+    // LTI (LMS launches)
+    error_lti_not_configured: 'このサーバーではLMS連携が設定されていません',
+    error_lti_platform_unknown: 'このLMSはQuizixに登録されていません',
+    error_lti_state_invalid: '起動の有効期限が切れたか、すでに使用されています。コースからもう一度起動してください。',
+    error_lti_launch_invalid: 'LMSからの起動を検証できませんでした',
+    error_lti_instructor_only: 'Quizixのコンテンツを追加できるのは講師のみです',
+    // Webhooks (webhooks-modal.js, routes/webhooks.js)
+    webhooks: 'Webhook',
+    webhooks_tooltip: 'ゲームと結果のイベントを他のサービスに送信',
+    webhooks_hint: 'ゲームの開始・終了、プレイヤーの参加・退出、結果の保存時に、Quizix は署名付き JSON をこれらの URL に送信します。',
+    webhooks_sign_in_required: 'Webhook を管理するにはサインインしてください',
+    webhooks_none: 'Webhook はまだありません',
+    webhook_url: 'Webhook URL',
+    webhook_description: '説明（任意）',
+    webhook_add: 'Webhook を追加',
+    webhook_events: 'イベント',
+    webhook_event_game_started: 'ゲーム開始',
+    webhook_event_game_ended: 'ゲーム終了',
+    webhook_event_player_joined: 'プレイヤー参加',
+    webhook_event_player_left: 'プレイヤー退出',
+    webhook_event_results_saved: '結果を保存',
+    webhook_pick_event: 'イベントを 1 つ以上選択してください',
+    webhook_secret: 'シークレット',
+    webhook_secret_notice: '署名シークレットを今すぐコピーしてください。再表示されません。',
+    webhook_disabled: '無効',
+    webhook_deliveries: '配信履歴',
+    webhook_test: 'テスト',
+    webhook_test_sent: 'テスト配信をキューに追加しました',
+    webhook_enable: '有効にする',
+    webhook_disable: '無効にする',
+    webhook_new_secret: '新しいシークレット',
+    confirm_new_webhook_secret: '署名シークレットを置き換えますか？古いシークレットで署名された配信は検証できなくなります。',
+    confirm_remove_webhook: 'この Webhook を削除しますか？再試行待ちの配信は破棄されます。',
+    webhook_no_deliveries: 'まだ送信されていません',
+    webhook_attempts: '試行回数',
+    webhook_next_attempt: '次回の試行',
+    webhook_payload: 'ペイロード',
+    webhook_resend: '再送信',
+    webhook_status_pending: '保留中',
+    webhook_status_retrying: '再試行中',
+    webhook_status_delivered: '配信済み',
+    webhook_status_failed: '失敗',
+    error_webhook_url_invalid: 'Webhook URL は http または https である必要があります',
+    error_webhook_url_blocked: 'Webhook URL がプライベートまたは到達できないアドレスを指しています',
+    error_webhook_not_found: 'Webhook が見つかりません',
+    error_webhook_limit: 'Webhook は 1 アカウントにつき 10 件までです',
+    error_webhook_delivery_not_found: '配信が見つかりません',
+    error_webhook_delivery_queued: '配信はまだキューにあります',
+    error_failed_list_webhooks: 'Webhook を読み込めませんでした',
+    error_failed_save_webhook: 'Webhook を保存できませんでした',
+    // Power-up registry: new power-ups, hints and per-quiz settings
+    power_up_shield: 'シールド',
+    power_up_shield_tooltip: '次の回答が不正解でも連続正解を維持',
+    power_up_second_chance: 'セカンドチャンス',
+    power_up_second_chance_tooltip: '次の回答が不正解なら、ポイントの{0}%で再回答できます',
+    power_up_skip: 'スキップ',
+    power_up_skip_tooltip: '連続正解を途切れさせずにこの問題をスキップ',
+    power_up_reveal_hint: 'ヒント',
+    power_up_reveal_hint_tooltip: 'この問題のヒントを表示',
+    hint_exclude_option: '不正解を1つ削除しました',
+    hint_correct_count: '正解は{0}個あります',
+    hint_range: '答えは{0}から{1}の間です',
+    hint_first_letter: '答えは「{0}」で始まります（{1}文字）',
+    hint_first_item: '最初の項目は「{0}」です',
+    hint_pair: '「{0}」は「{1}」と対応します',
+    hint_unavailable: 'この問題にはヒントがありません',
+    question_skipped: '問題をスキップしました',
+    shield_kept_streak: '🛡️ シールドが連続正解を守りました。',
+    second_chance_retry: '惜しい！セカンドチャンス：ポイントの{0}%で再回答できます。',
+    error_powerup_unavailable: 'パワーアップは回答中のみ使用できます',
+    error_powerup_active: 'パワーアップはすでに有効です',
+    error_powerup_not_applicable: 'このパワーアップはこの問題では使えません',
+    power_up_settings: 'パワーアップをカスタマイズ',
+    power_up_name_fifty_fifty: '50-50',
+    power_up_name_extend_time: '時間延長',
+    power_up_name_double_points: 'ポイント倍増',
+    power_up_name_shield: 'シールド',
+    power_up_name_second_chance: 'セカンドチャンス',
+    power_up_name_skip: 'スキップ',
+    power_up_name_reveal_hint: 'ヒント',
+    power_up_uses: 'プレイヤーごとの使用回数',
+    power_up_param_extraSeconds: '追加秒数',
+    power_up_param_multiplier: '倍率',
+    power_up_param_pointsPercent: '再回答時のポイント（%）',
+    // Streak and comeback bonuses, end-of-game badges
+    enable_streak_bonus: '連続正解ボーナスを有効にする',
+    streak_bonus_help: '連続で正解するたびに、その解答のポイントに一定の割合が上限まで加算されます。不正解で連続記録は途切れます。',
+    streak_bonus_step: '連続1問あたりの%',
+    streak_bonus_max: '上限 %',
+    enable_comeback_bonus: '挽回ボーナスを有効にする',
+    comeback_bonus_help: '連続で不正解が続いた後に正解すると、基本ポイントの一定割合が加算されます。',
+    comeback_bonus_misses: '不正解の回数',
+    comeback_bonus_percent: '基本ポイントの%',
+    streak_bonus: '連続正解ボーナス',
+    comeback_bonus: '挽回ボーナス',
+    streak_bonus_earned: '🔥 {0}問連続: +{1}',
+    comeback_bonus_earned: '挽回！ +{0}',
+    your_badges: '獲得バッジ',
+    badge_perfect_round: 'パーフェクト',
+    badge_perfect_round_detail: '全{0}問正解',
+    badge_fastest_answer: '最速解答',
+    badge_fastest_answer_detail: '{0}秒で正解',
+    badge_hot_streak: '連続正解',
+    badge_hot_streak_detail: '{0}問連続正解',
+    badge_most_improved: '急成長',
+    badge_most_improved_detail: '後半の正答率 +{0}%',
+    badge_consensus_builder: '合意の立役者',
+    badge_consensus_builder_detail: 'チームの解答を{0}回支持',
+    // Elimination mode
+    elimination_mode: 'サバイバルモード（最後の一人まで）',
+    elimination_mode_tooltip: '不正解で脱落し、最後まで残ったプレイヤーが勝ちます',
+    elimination_mode_help: '不正解で脱落します。脱落したプレイヤーは得点なしのゴーストとして回答を続け、最後まで残ったプレイヤーが勝ちます。',
+    elimination_slowest_percent: '最も遅いプレイヤーも脱落（%）',
+    elimination_revival_every: '復活ラウンドの間隔（問題数、0 = なし）',
+    survivors_count: '{1}人中{0}人が生存',
+    elimination_round_out: '脱落：{0}',
+    elimination_round_revived: '復活：{0}',
+    eliminated_now: '脱落！ゴーストとしてプレイを続けましょう。',
+    revived_now: 'ゲームに復活しました！',
+    survived_round: '生存中（残り{0}人）',
+    ghost_banner: '👻 ゴーストです：回答は得点になりません。',
+    ghost_banner_revival: '✨ 復活ラウンド：正解すれば復活できます！',
+    eliminated_label: '脱落',
+    ghost_answer: '👻 ゴースト回答：',
+    // Adaptive difficulty
+    adaptive_mode: '難易度の自動調整',
+    adaptive_mode_tooltip: '前の問題の結果に応じて次の問題を選びます',
+    adaptive_mode_help: '前の問題の結果に応じて次の問題を選びます。多くが正解すれば難しく、多くが間違えれば易しくなります。宿題と練習では生徒ごとに調整されます。',
+    adaptive_question_count: '出題数（0 = すべて）',
+    analytics_trajectory_room: '難易度の推移',
+    analytics_trajectory_player: '生徒ごとの難易度の推移',
+    analytics_trajectory_empty: 'まだ誰も開始していません。',
+    // Question branching
+    branching_optional: '分岐（任意）',
+    branching_hint: '次の問題を選ぶ',
+    branch_label: 'この問題のラベル：',
+    branch_when: 'この問題の後：',
+    branch_when_none: '次の問題へ進む',
+    branch_when_always: '常にジャンプ',
+    branch_when_accuracy_below: '正答率が（%）未満ならジャンプ',
+    branch_when_accuracy_at_least: '正答率が（%）以上ならジャンプ',
+    branch_when_option: '最も選ばれた選択肢が次の番号ならジャンプ',
+    branch_value: 'パーセントまたは選択肢の番号：',
+    branch_go_to: 'ジャンプ先のラベル：',
+    branch_otherwise: 'それ以外のジャンプ先ラベル（任意）：',
+    branch_label_invalid: 'ラベルが長すぎます（最大40文字）',
+    branch_label_duplicate: 'このラベルは別の問題で使われています',
+    branch_rule_invalid: '不明な分岐条件です',
+    branch_option_needs_choice: '最も選ばれた選択肢で分岐できるのは多肢選択問題だけです',
+    branch_value_invalid: '0〜100のパーセント、または選択肢の番号を入力してください',
+    branch_target_missing: 'ジャンプ先のラベルを持つ問題がありません',
+    branch_loop: '分岐ルールがこの問題に戻り、無限に繰り返す可能性があります'
 };
@@ -589,17 +589,17 @@ export default {
     load: 'Załaduj',
 
     // Power-Ups
-    enable_power_ups: 'Włącz Power-Upy (50-50, +10s, 2x Punkty)',
+    enable_power_ups: 'Włącz Power-Upy',
     enable_power_ups_tooltip: 'Pozwól graczom używać power-upów podczas gry',
     show_leaderboard_between: 'Pokaż ranking po każdym pytaniu',
     show_leaderboard_between_tooltip: 'Pokazuje ranking między pytaniami; ranking końcowy zawsze się pojawia',
     power_ups: 'Power-Upy',
     fifty_fifty: '50-50',
     fifty_fifty_tooltip: 'Usuń połowę błędnych odpowiedzi',
-    extend_time: '+10s',
-    extend_time_tooltip: 'Dodaj 10 sekund do timera',
-    double_points: '2× Punkty',
-    double_points_tooltip: 'Podwój swoje punkty za następną poprawną odpowiedź',
+    extend_time: '+{0}s',
+    extend_time_tooltip: 'Dodaj {0} sekund do timera',
+    double_points: '{0}× Punkty',
+    double_points_tooltip: 'Pomnóż swoje punkty przez {0} przy następnej odpowiedzi',
     power_up_used: 'Power-up użyty!',
 
     // Scoring Settings
@@ -1220,7 +1220,7 @@ export default {
     // Help & Tour
     help_and_tour: 'Pomoc i Przewodnik',
     restart_tour: 'Uruchom Przewodnik ponownie',
-    power_ups_help: 'Daj graczom specjalne umiejętności: 50-50 usuwa dwie błędne odpowiedzi, +10s dodaje dodatkowy czas, 2x podwaja punkty za jedno pytanie.',
+    power_ups_help: 'Daj graczom specjalne umiejętności: 50-50, dodatkowy czas, podwójne punkty, tarczę dla serii, drugą szansę, pominięcie lub podpowiedź. W „Dostosuj power-upy” wybierzesz, które i ile użyć ma każdy gracz.',
     consensus_mode_help: 'Gracze dyskutują i głosują razem przed odpowiedzią. Zespół musi osiągnąć próg, aby zatwierdzić odpowiedź.',
     create_first_quiz: 'Stwórz swój pierwszy quiz',
     try_ai_generation: 'Wypróbuj generowanie AI, aby automatycznie tworzyć pytania',
@@ -1569,5 +1569,425 @@ export default {
     consensus_of: 'z',
     threshold: 'próg',
     unanimous: '100% (Jednomyślnie)',
-    ollama_server_url: 'Serwer Ollama:'
+    ollama_server_url: 'Serwer Ollama:',
+    // Host moderation (kick / ban)
+    manage_players: 'Zarządzaj graczami',
+    remove_player_named: 'Usuń {0}',
+    remove_player_prompt: 'Usunąć {0} z gry?',
+    remove_player_hint: 'Wyrzuceni gracze mogą dołączyć ponownie. Zbanowani nie mogą wrócić do tej gry.',
+    kick_player: 'Wyrzuć',
+    ban_player: 'Zbanuj',
+    player_kicked_notice: 'Prowadzący usunął cię z gry',
+    player_banned_notice: 'Prowadzący usunął cię z gry i nie możesz dołączyć ponownie',
+    error_player_banned: 'Zostałeś usunięty z tej gry',
+    error_failed_remove_player: 'Nie udało się usunąć gracza',
+    error_not_authorized_host: 'Tylko prowadzący może usuwać graczy',
+    // Text answer (fill-in-the-blank) questions
+    text_input: 'Odpowiedź tekstowa',
+    accepted_answers: 'Akceptowane odpowiedzi (jedna w wierszu)',
+    accepted_answers_placeholder: 'Jedna akceptowana odpowiedź w wierszu',
+    text_input_match_hint: 'Wielkość liter, znaki diakrytyczne i dodatkowe spacje są ignorowane.',
+    fuzzy_threshold: 'Dozwolone literówki',
+    fuzzy_exact: 'Dokładne dopasowanie',
+    enter_text_answer: 'Wpisz odpowiedź',
+    text_answer: 'Odpowiedź tekstowa',
+    please_enter_text_answer: 'Wpisz odpowiedź',
+    text_input_needs_answer: 'Pytania tekstowe wymagają co najmniej jednej akceptowanej odpowiedzi',
+    val_no_accepted_answer: 'brak akceptowanej odpowiedzi',
+    // Matching (pair-up) questions
+    matching: 'Dopasowanie',
+    matching_instruction: 'Wpisz każdy element obok jego pary. Gracze widzą prawą kolumnę w losowej kolejności.',
+    matching_left_placeholder: 'Pojęcie',
+    matching_right_placeholder: 'Para',
+    matching_player_instruction: 'Użyj strzałek, aby przesunąć każdy element z prawej obok jego pary',
+    please_match_items: 'Dopasuj elementy przed wysłaniem',
+    no_matching_pairs: 'Brak par',
+    matching_pair_stats: 'Poprawne dopasowania dla każdej pary',
+    matching_needs_two_pairs: 'Pytania z dopasowaniem wymagają co najmniej 2 par',
+    invalid_matching: 'Każda para potrzebuje obu elementów, a każda odpowiedź musi być inna',
+    val_incomplete_pair: 'niepełna para',
+    val_too_few_pairs: 'wymaga 2 par',
+    // Homework assignments
+    assign_as_homework: 'Zadaj jako pracę domową',
+    assignment_mode: 'Praca domowa',
+    assignment_publish_hint: 'Uczniowie rozwiązują quiz we własnym tempie w tym terminie, korzystając z linku.',
+    assignment_opens: 'Otwarcie',
+    assignment_closes: 'Zamknięcie',
+    assignment_publish: 'Opublikuj',
+    assignment_published: 'Praca domowa opublikowana',
+    assignment_existing: 'Opublikowane prace domowe',
+    assignment_none: 'Brak prac domowych',
+    assignment_submissions: 'Oddane: {0}',
+    assignment_extend: 'Przedłuż o 1 dzień',
+    assignment_status_open: 'Otwarta',
+    assignment_status_scheduled: 'Zaplanowana',
+    assignment_status_closed: 'Zamknięta',
+    confirm_delete_assignment: 'Usunąć tę pracę domową? Oddane wyniki zostaną zachowane.',
+    copy: 'Kopiuj',
+    link_copied: 'Link skopiowany',
+    assignment_question_count: 'Pytania: {0}',
+    assignment_due: 'Termin: {0}',
+    assignment_opens_at: 'Ta praca domowa zostanie otwarta {0}.',
+    assignment_closed: 'Ta praca domowa jest zamknięta',
+    assignment_intro_hint: 'Każde pytanie ma limit czasu. Możesz zamknąć stronę i kontynuować później przed terminem.',
+    assignment_start: 'Rozpocznij',
+    assignment_continue_as: 'Kontynuuj jako {0}',
+    assignment_submitted: 'Praca domowa oddana',
+    assignment_submitted_hint: 'Twoje odpowiedzi zostały zapisane dla nauczyciela.',
+    assignment_answered: 'Odpowiedziane',
+    confirm_exit_assignment: 'Opuścić pracę domową? Możesz kontynuować później z tego samego linku.',
+    error_invalid_assignment_code: 'Nieprawidłowy kod pracy domowej',
+    error_assignment_not_found: 'Nie znaleziono pracy domowej',
+    error_assignment_invalid_dates: 'Nieprawidłowa data otwarcia lub zamknięcia',
+    error_assignment_close_before_open: 'Data zamknięcia musi być późniejsza niż data otwarcia',
+    error_quiz_no_questions: 'Quiz nie zawiera pytań',
+    error_assignment_not_owner: 'Ta praca domowa nie należy do Ciebie',
+    error_assignment_full: 'Ta praca domowa osiągnęła limit uczniów',
+    error_assignment_not_open: 'Ta praca domowa nie jest jeszcze otwarta',
+    error_assignment_closed: 'Ta praca domowa jest zamknięta',
+    error_attempt_not_found: 'Nie znaleziono podejścia',
+    error_question_ended: 'Pytanie już się zakończyło',
+    error_confirm_required: 'Potwierdź tę czynność',
+    error_failed_list_assignments: 'Nie udało się pobrać prac domowych',
+    error_failed_create_assignment: 'Nie udało się utworzyć pracy domowej',
+    error_assignment_quiz_protected: 'Quizów chronionych hasłem nie można opublikować jako pracy domowej',
+    error_failed_update_assignment: 'Nie udało się zaktualizować pracy domowej',
+    error_failed_delete_assignment: 'Nie udało się usunąć pracy domowej',
+    error_failed_load_assignment: 'Nie udało się wczytać pracy domowej',
+    error_failed_start_assignment: 'Nie udało się rozpocząć pracy domowej',
+    // Team mode
+    team_mode: 'Tryb drużynowy (rywalizujące drużyny)',
+    team_mode_tooltip: 'Podziel graczy na rywalizujące ze sobą drużyny',
+    team_mode_help: 'Gracze są dzieleni na rywalizujące drużyny. Wynik drużyny jest liczony z wyników jej członków.',
+    team_count: 'Liczba drużyn',
+    team_aggregation: 'Wynik drużyny',
+    team_aggregation_sum: 'Suma wyników członków',
+    team_aggregation_average: 'Średni wynik członków',
+    team_aggregation_best: 'Najlepszy wynik członka',
+    team_assignment: 'Przydział do drużyn',
+    team_assignment_auto: 'Automatyczny (równoważony przy dołączaniu)',
+    team_assignment_manual: 'Ręczny (host przydziela w poczekalni)',
+    team_label: 'Drużyna {0}',
+    team_unassigned: 'Bez drużyny',
+    change_team_named: 'Zmień drużynę gracza {0}',
+    team_standings: 'Klasyfikacja drużyn',
+    team_members: 'Graczy: {0}',
+    error_team_mode_disabled: 'Tryb drużynowy nie jest włączony',
+    error_team_not_found: 'Nie znaleziono drużyny',
+    error_team_change_lobby_only: 'Drużyny można zmieniać tylko w poczekalni',
+    error_failed_assign_team: 'Nie udało się zmienić drużyny',
+    // Student roster and progress profiles
+    roster_pick_label: 'Znajdź swoje imię na liście klasy',
+    roster_pick_none: 'Nie ma mnie na liście',
+    student_code_placeholder: 'Lub wpisz swój kod ucznia',
+    student_code: 'Kod ucznia',
+    students: 'Uczniowie',
+    students_tooltip: 'Lista uczniów i postępy w kolejnych grach',
+    students_hint: 'Uczniowie dołączają do gier, wybierając swoje imię lub wpisując kod, a każda gra trafia do ich profilu.',
+    student_name: 'Imię ucznia',
+    student_add: 'Dodaj ucznia',
+    students_none: 'Brak uczniów',
+    student_games_played: 'Rozegrane gry',
+    student_average_accuracy: 'Średnia trafność',
+    student_recent_accuracy: 'Ostatnia trafność',
+    student_trend: 'Trend',
+    student_trend_improving: 'Poprawa',
+    student_trend_declining: 'Spadek',
+    student_trend_steady: 'Stabilnie',
+    student_view_profile: 'Zobacz profil',
+    student_new_code: 'Nowy kod',
+    confirm_remove_student: 'Usunąć tego ucznia? Historia jego postępów również zostanie usunięta.',
+    student_no_games: 'Brak zapisanych gier',
+    student_no_concepts: 'Nie rozegrano jeszcze pytań z pojęciami',
+    student_latest: 'Ostatnio',
+    student_accuracy_trend: 'Trafność w poszczególnych grach',
+    student_concept_mastery: 'Opanowanie pojęć',
+    students_sign_in_required: 'Zaloguj się, aby zarządzać uczniami',
+    error_user_not_found: 'Nie znaleziono użytkownika',
+    error_student_name_length: 'Imię ucznia musi mieć od 1 do 50 znaków',
+    error_roster_full: 'Lista jest pełna',
+    error_student_not_found: 'Nie znaleziono ucznia',
+    error_student_code_invalid: 'Nieznany kod ucznia',
+    error_student_already_joined: 'Ten uczeń jest już w grze',
+    error_invalid_student_id: 'Nieprawidłowy identyfikator ucznia',
+    error_failed_list_students: 'Nie udało się wczytać uczniów',
+    error_failed_add_student: 'Nie udało się dodać ucznia',
+    error_failed_update_student: 'Nie udało się zaktualizować ucznia',
+    error_failed_remove_student: 'Nie udało się usunąć ucznia',
+    error_failed_load_profile: 'Nie udało się wczytać profilu ucznia',
+    error_failed_export_profile: 'Nie udało się wyeksportować profilu ucznia',
+    // Spaced-repetition review
+    review_session_title: 'Powtórka',
+    review_session_done: 'Błędnie rozwiązane pytania wrócą szybciej, pozostałe później.',
+    review_more: 'Powtarzaj dalej',
+    review_due_title: 'Czas na powtórkę',
+    review_due_items: 'Powtórz zaległe pytania',
+    review_due_count: 'Pytania do powtórki: {0}',
+    review_nothing_due: 'Na razie nie ma nic do powtórki',
+    error_invalid_user_id: 'Nieprawidłowy identyfikator użytkownika',
+    error_failed_load_review: 'Nie udało się wczytać kolejki powtórek',
+    error_failed_save_review: 'Nie udało się zapisać kolejki powtórek',
+    // Question bank
+    question_bank: 'Bank pytań',
+    question_bank_tooltip: 'Bank pytań: użyj ponownie pytań z twoich quizów',
+    question_bank_insert_from: 'Z banku pytań',
+    question_bank_search_placeholder: 'Szukaj pytań, odpowiedzi i pojęć...',
+    question_bank_search: 'Szukaj',
+    question_bank_any_type: 'Dowolny typ',
+    question_bank_any_difficulty: 'Dowolna trudność',
+    question_bank_any_concept: 'Dowolne pojęcie',
+    question_bank_found: 'Znaleziono pytań: {0}',
+    question_bank_showing: 'Pokazano {0} z {1} pytań',
+    question_bank_empty: 'Brak pasujących pytań',
+    question_bank_insert: 'Wstaw zaznaczone ({0})',
+    question_bank_inserted: 'Dodano pytania do quizu: {0}',
+    question_bank_draws_title: 'Losowe pytania na start gry',
+    question_bank_draws_hint: 'Przy każdym starcie quizu te pytania są losowane z banku i dodawane po jego własnych pytaniach.',
+    question_bank_draw_count: 'Liczba pytań',
+    question_bank_add_draw: 'Dodaj losowanie',
+    question_bank_no_draws: 'Brak losowań',
+    bank_draw_shortfall: 'Znaleziono tylko {0} z {1} pytań dla „{2}”',
+    question_type_text_input: 'Odpowiedź tekstowa',
+    question_type_matching: 'Dopasowanie',
+    error_failed_search_bank: 'Nie udało się przeszukać banku pytań',
+    error_failed_load_bank_questions: 'Nie udało się wczytać pytań',
+    error_failed_draw_questions: 'Nie udało się wylosować pytań z banku',
+    error_invalid_question_ref: 'Nieprawidłowe odwołanie do pytania',
+    error_question_not_found: 'Nie znaleziono pytania',
+    // Quiz packages (.quizix)
+    package_missing_media: '{0} obrazów lub filmów nie było w pakiecie i nie zostaną wyświetlone',
+    package_rejected_media: '{0} plików w pakiecie nie było prawidłowymi obrazami ani filmami i zostały pominięte',
+    error_invalid_package: 'Ten plik nie jest prawidłowym pakietem .quizix',
+    error_package_version_unsupported: 'Ten pakiet utworzono w nowszej wersji Quizix Pro. Zaktualizuj ten serwer, aby go zaimportować.',
+    error_package_too_large: 'Pakiet jest zbyt duży, aby go zaimportować',
+    error_failed_export_package: 'Nie udało się utworzyć pakietu quizu',
+    // Export dialog and Moodle GIFT / XML import
+    export_quiz_title: 'Eksportuj quiz',
+    export_format_quizix: 'Pakiet Quizix (.quizix)',
+    export_format_quizix_hint: 'Pytania, ustawienia, obrazy i filmy do otwarcia na innym serwerze Quizix',
+    export_format_gift: 'Moodle GIFT (.txt)',
+    export_format_moodle_xml: 'Moodle XML (.xml)',
+    export_format_moodle_hint: 'Tylko pytania, do importu w banku pytań Moodle',
+    format_import_skipped: '{0} pytań nie udało się przekonwertować i zostały pominięte',
+    format_export_skipped: '{0} pytań nie ma odpowiednika w tym formacie i zostały pominięte',
+    format_import_no_questions: 'Nie udało się zaimportować żadnego pytania z tego pliku',
+    error_invalid_moodle_xml: 'Ten plik nie jest w formacie Moodle XML',
+    // IMS QTI packages
+    export_format_qti21: 'IMS QTI 2.1 (.zip)',
+    export_format_qti30: 'IMS QTI 3.0 (.zip)',
+    export_format_qti_hint: 'Pytania i obrazy, dla platform LMS i narzędzi do oceniania',
+    error_invalid_qti_package: 'Ten plik nie jest pakietem IMS QTI',
+    // Spreadsheet question import
+    export_format_csv: 'Arkusz kalkulacyjny (.csv)',
+    export_format_csv_hint: 'Jedno pytanie w wierszu, do edycji w Excelu i ponownego importu',
+    download_sheet_template: 'Pobierz szablon arkusza do importu pytań',
+    import_report_title: 'Uwagi do importu',
+    format_import_notes: 'Zaimportowano wszystkie pytania, z następującymi uwagami',
+    error_invalid_question_sheet: 'Arkusz nie ma kolumny „question”. Zacznij od szablonu.',
+    // Paper tests
+    print_paper_test_tooltip: 'Drukuj test papierowy',
+    paper_test_title: 'Drukuj test papierowy',
+    paper_test_versions: 'Wersje',
+    paper_test_shuffle_questions: 'Mieszaj kolejność pytań w każdej wersji',
+    paper_test_shuffle_options: 'Mieszaj odpowiedzi w każdej wersji',
+    paper_test_answer_key_option: 'Strony z kluczem odpowiedzi',
+    paper_test_bubble_sheet_option: 'Karta odpowiedzi do zakreślania',
+    paper_test_hint: 'Aby uzyskać PDF, wybierz „Zapisz jako PDF” w oknie drukowania.',
+    paper_test_download: 'Pobierz HTML',
+    paper_test_print: 'Drukuj',
+    paper_test_failed: 'Nie udało się utworzyć testu papierowego',
+    paper_test_name: 'Imię i nazwisko',
+    paper_test_class: 'Klasa',
+    paper_test_date: 'Data',
+    paper_test_version: 'Wersja {0}',
+    paper_test_answer_sheet: 'Karta odpowiedzi',
+    paper_test_answer_key: 'Klucz odpowiedzi',
+    paper_test_answer_column: 'Odpowiedź',
+    paper_test_quiz_question_column: 'Pytanie w quizie',
+    paper_test_select_all_hint: 'Zaznacz wszystkie poprawne odpowiedzi.',
+    paper_test_order_hint: 'Wpisz litery we właściwej kolejności.',
+    paper_test_matching_hint: 'Obok każdego elementu wpisz literę pasującej odpowiedzi.',
+    paper_test_poll_key: 'Pytanie o opinię, dowolna odpowiedź',
+    // Report cards
+    download_my_report: 'Pobierz mój raport',
+    download_report_cards: 'Raporty uczniów',
+    report_card_format: 'Format raportów',
+    report_card_format_html: 'HTML',
+    report_card_format_pdf: 'PDF (tylko alfabet łaciński)',
+    error_player_not_found: 'Nie znaleziono gracza w tym wyniku',
+    // Gradebook export
+    gradebook: 'Dziennik ocen',
+    gradebook_tooltip: 'Eksportuj oceny do dziennika ocen platformy LMS',
+    gradebook_export: 'Eksportuj dziennik ocen',
+    gradebook_hint: 'Jeden wiersz na ucznia i jedna kolumna na sesję. Uczniowie są dopasowywani między sesjami po kodzie z listy, a w przeciwnym razie po imieniu.',
+    gradebook_sessions: 'Sesje',
+    gradebook_normalization: 'Wynik',
+    gradebook_normalization_percent: '% poprawnych',
+    gradebook_normalization_partial: '% z częściowym zaliczeniem',
+    gradebook_normalization_points: 'Punkty w grze',
+    gradebook_scale: 'Skala ocen',
+    gradebook_scale_none: 'Brak (tylko wynik)',
+    gradebook_scale_letter: 'Litery (A–F)',
+    gradebook_scale_chile: 'Chilijska (1,0–7,0)',
+    gradebook_scale_custom: 'Własne progi',
+    gradebook_pass_percent: '% na 4,0',
+    gradebook_bands: 'Progi (minimalny %=ocena)',
+    gradebook_invalid_bands: 'Wpisz progi jako minimalny %=ocena, oddzielone przecinkami (np. 90=A, 0=F)',
+    gradebook_layout: 'Układ',
+    gradebook_layout_generic: 'Arkusz kalkulacyjny',
+    gradebook_select_sessions: 'Wybierz co najmniej jedną sesję',
+    error_invalid_gradebook_options: 'Nieprawidłowe opcje dziennika ocen',
+    error_failed_export_gradebook: 'Nie udało się wyeksportować dziennika ocen',
+    // LTI (LMS launches)
+    error_lti_not_configured: 'Integracja z LMS nie jest skonfigurowana na tym serwerze',
+    error_lti_platform_unknown: 'Ten LMS nie jest zarejestrowany w Quizix',
+    error_lti_state_invalid: 'Uruchomienie wygasło lub zostało już użyte. Uruchom ponownie z kursu.',
+    error_lti_launch_invalid: 'Nie udało się zweryfikować uruchomienia z LMS',
+    error_lti_instructor_only: 'Tylko prowadzący mogą dodawać treści Quizix',
+    // Webhooks (webhooks-modal.js, routes/webhooks.js)
+    webhooks: 'Webhooki',
+    webhooks_tooltip: 'Wysyłaj zdarzenia gier i wyników do innych usług',
+    webhooks_hint: 'Quizix wysyła podpisany JSON na te adresy, gdy Twoje gry się zaczynają i kończą, gracze dołączają lub wychodzą oraz gdy wyniki są zapisywane.',
+    webhooks_sign_in_required: 'Zaloguj się, aby zarządzać webhookami',
+    webhooks_none: 'Brak webhooków',
+    webhook_url: 'Adres URL webhooka',
+    webhook_description: 'Opis (opcjonalnie)',
+    webhook_add: 'Dodaj webhook',
+    webhook_events: 'Zdarzenia',
+    webhook_event_game_started: 'Gra rozpoczęta',
+    webhook_event_game_ended: 'Gra zakończona',
+    webhook_event_player_joined: 'Gracz dołączył',
+    webhook_event_player_left: 'Gracz wyszedł',
+    webhook_event_results_saved: 'Wyniki zapisane',
+    webhook_pick_event: 'Wybierz co najmniej jedno zdarzenie',
+    webhook_secret: 'Sekret',
+    webhook_secret_notice: 'Skopiuj teraz sekret podpisu; nie zostanie ponownie wyświetlony.',
+    webhook_disabled: 'Wyłączony',
+    webhook_deliveries: 'Dostarczenia',
+    webhook_test: 'Test',
+    webhook_test_sent: 'Dostarczenie testowe w kolejce',
+    webhook_enable: 'Włącz',
+    webhook_disable: 'Wyłącz',
+    webhook_new_secret: 'Nowy sekret',
+    confirm_new_webhook_secret: 'Zastąpić sekret podpisu? Dostarczeń podpisanych starym nie będzie można już zweryfikować.',
+    confirm_remove_webhook: 'Usunąć ten webhook? Dostarczenia oczekujące na ponowienie zostaną porzucone.',
+    webhook_no_deliveries: 'Jeszcze nic nie wysłano',
+    webhook_attempts: 'Próby',
+    webhook_next_attempt: 'Następna próba',
+    webhook_payload: 'Treść',
+    webhook_resend: 'Wyślij ponownie',
+    webhook_status_pending: 'Oczekuje',
+    webhook_status_retrying: 'Ponawianie',
+    webhook_status_delivered: 'Dostarczono',
+    webhook_status_failed: 'Niepowodzenie',
+    error_webhook_url_invalid: 'Adres webhooka musi używać http lub https',
+    error_webhook_url_blocked: 'Adres webhooka wskazuje na adres prywatny lub nieosiągalny',
+    error_webhook_not_found: 'Nie znaleziono webhooka',
+    error_webhook_limit: 'Maksymalnie 10 webhooków na konto',
+    error_webhook_delivery_not_found: 'Nie znaleziono dostarczenia',
+    error_webhook_delivery_queued: 'Dostarczenie wciąż czeka w kolejce',
+    error_failed_list_webhooks: 'Nie udało się wczytać webhooków',
+    error_failed_save_webhook: 'Nie udało się zapisać webhooka',
+    // Power-up registry: new power-ups, hints and per-quiz settings
+    power_up_shield: 'Tarcza',
+    power_up_shield_tooltip: 'Zachowaj serię, jeśli następna odpowiedź będzie błędna',
+    power_up_second_chance: '2. szansa',
+    power_up_second_chance_tooltip: 'Jeśli następna odpowiedź będzie błędna, odpowiedz ponownie za {0}% punktów',
+    power_up_skip: 'Pomiń',
+    power_up_skip_tooltip: 'Pomiń to pytanie bez przerywania serii',
+    power_up_reveal_hint: 'Podpowiedź',
+    power_up_reveal_hint_tooltip: 'Pokaż podpowiedź do tego pytania',
+    hint_exclude_option: 'Usunięto jedną błędną odpowiedź',
+    hint_correct_count: 'Poprawnych odpowiedzi jest {0}',
+    hint_range: 'Odpowiedź mieści się między {0} a {1}',
+    hint_first_letter: 'Odpowiedź zaczyna się na „{0}” ({1} znaków)',
+    hint_first_item: 'Pierwszy element to „{0}”',
+    hint_pair: '„{0}” pasuje do „{1}”',
+    hint_unavailable: 'Brak podpowiedzi do tego pytania',
+    question_skipped: 'Pytanie pominięte',
+    shield_kept_streak: '🛡️ Tarcza uratowała Twoją serię.',
+    second_chance_retry: 'Nie do końca — druga szansa! Odpowiedz ponownie za {0}% punktów.',
+    error_powerup_unavailable: 'Power-upów można używać tylko podczas odpowiadania',
+    error_powerup_active: 'Power-up jest już aktywny',
+    error_powerup_not_applicable: 'Tego power-upa nie można użyć w tym pytaniu',
+    power_up_settings: 'Dostosuj power-upy',
+    power_up_name_fifty_fifty: '50-50',
+    power_up_name_extend_time: 'Dodatkowy czas',
+    power_up_name_double_points: 'Podwójne punkty',
+    power_up_name_shield: 'Tarcza',
+    power_up_name_second_chance: 'Druga szansa',
+    power_up_name_skip: 'Pominięcie',
+    power_up_name_reveal_hint: 'Podpowiedź',
+    power_up_uses: 'Użycia na gracza',
+    power_up_param_extraSeconds: 'Dodatkowe sekundy',
+    power_up_param_multiplier: 'Mnożnik',
+    power_up_param_pointsPercent: 'Punkty przy drugiej próbie (%)',
+    // Streak and comeback bonuses, end-of-game badges
+    enable_streak_bonus: 'Włącz premię za serię',
+    streak_bonus_help: 'Każda kolejna poprawna odpowiedź z rzędu dodaje procent punktów za odpowiedź, aż do maksimum. Błędna odpowiedź kończy serię.',
+    streak_bonus_step: '% za odpowiedź z rzędu',
+    streak_bonus_max: 'Maksymalnie %',
+    enable_comeback_bonus: 'Włącz premię za powrót',
+    comeback_bonus_help: 'Poprawna odpowiedź po kilku błędnych z rzędu daje dodatkowo procent punktów bazowych.',
+    comeback_bonus_misses: 'Po błędnych odpowiedziach',
+    comeback_bonus_percent: '% punktów bazowych',
+    streak_bonus: 'Premia za serię',
+    comeback_bonus: 'Premia za powrót',
+    streak_bonus_earned: '🔥 {0} z rzędu: +{1}',
+    comeback_bonus_earned: 'Powrót! +{0}',
+    your_badges: 'Twoje odznaki',
+    badge_perfect_round: 'Idealna runda',
+    badge_perfect_round_detail: 'Wszystkie {0} pytania poprawnie',
+    badge_fastest_answer: 'Najszybsza odpowiedź',
+    badge_fastest_answer_detail: 'Poprawnie w {0} s',
+    badge_hot_streak: 'Gorąca seria',
+    badge_hot_streak_detail: '{0} poprawnych z rzędu',
+    badge_most_improved: 'Największy postęp',
+    badge_most_improved_detail: '+{0}% trafności w drugiej połowie',
+    badge_consensus_builder: 'Budowniczy porozumienia',
+    badge_consensus_builder_detail: 'Poparcie odpowiedzi zespołu: {0} razy',
+    // Elimination mode
+    elimination_mode: 'Tryb eliminacji (ostatni na placu boju)',
+    elimination_mode_tooltip: 'Błędna odpowiedź eliminuje gracza; wygrywają ci, którzy zostaną do końca',
+    elimination_mode_help: 'Błędna odpowiedź eliminuje gracza. Wyeliminowani odpowiadają dalej jako duchy bez punktów, a wygrywają ci, którzy zostaną do końca.',
+    elimination_slowest_percent: 'Eliminuj też najwolniejszych (%)',
+    elimination_revival_every: 'Runda wskrzeszenia co (pytań, 0 = nigdy)',
+    survivors_count: '{0} z {1} wciąż w grze',
+    elimination_round_out: 'Odpadli: {0}',
+    elimination_round_revived: 'Wracają: {0}',
+    eliminated_now: 'Odpadasz! Graj dalej jako duch.',
+    revived_now: 'Wracasz do gry!',
+    survived_round: 'Wciąż w grze (zostało {0})',
+    ghost_banner: '👻 Jesteś duchem: twoje odpowiedzi nie dają już punktów.',
+    ghost_banner_revival: '✨ Runda wskrzeszenia: odpowiedz poprawnie, aby wrócić!',
+    eliminated_label: 'Wyeliminowany',
+    ghost_answer: '👻 Odpowiedź ducha:',
+    // Adaptive difficulty
+    adaptive_mode: 'Adaptacyjny poziom trudności',
+    adaptive_mode_tooltip: 'Wybieraj każde pytanie na podstawie wyniku poprzedniego',
+    adaptive_mode_help: 'Każde pytanie jest wybierane na podstawie wyniku poprzedniego: trudniejsze, gdy większość odpowiedziała dobrze, łatwiejsze, gdy większość się pomyliła. Zadania domowe i ćwiczenia dopasowują się do każdego ucznia.',
+    adaptive_question_count: 'Liczba pytań (0 = wszystkie)',
+    analytics_trajectory_room: 'Przebieg poziomu trudności',
+    analytics_trajectory_player: 'Przebieg poziomu trudności według ucznia',
+    analytics_trajectory_empty: 'Żaden uczeń jeszcze nie zaczął.',
+    // Question branching
+    branching_optional: 'Rozgałęzienie (opcjonalne)',
+    branching_hint: 'wybierz, co będzie dalej',
+    branch_label: 'Etykieta tego pytania:',
+    branch_when: 'Po tym pytaniu:',
+    branch_when_none: 'Przejdź do następnego pytania',
+    branch_when_always: 'Zawsze przeskocz',
+    branch_when_accuracy_below: 'Przeskocz, gdy trafność jest poniżej (%)',
+    branch_when_accuracy_at_least: 'Przeskocz, gdy trafność wynosi co najmniej (%)',
+    branch_when_option: 'Przeskocz, gdy najczęściej wybrana opcja ma numer',
+    branch_value: 'Procent lub numer opcji:',
+    branch_go_to: 'Przeskocz do etykiety:',
+    branch_otherwise: 'W przeciwnym razie przejdź do etykiety (opcjonalnie):',
+    branch_label_invalid: 'Etykieta jest za długa (maksymalnie 40 znaków)',
+    branch_label_duplicate: 'Inne pytanie ma już tę etykietę',
+    branch_rule_invalid: 'Nieznany warunek rozgałęzienia',
+    branch_option_needs_choice: 'Tylko pytania jednokrotnego wyboru mogą rozgałęziać się według najczęściej wybranej opcji',
+    branch_value_invalid: 'Podaj procent od 0 do 100 lub numer jednej z opcji',
+    branch_target_missing: 'Żadne pytanie nie ma etykiety docelowej',
+    branch_loop: 'Reguły rozgałęzień mogą wracać do tego pytania i zapętlić się bez końca'
 };
@@ -590,17 +590,17 @@ export default {
     load: 'Carregar',
 
     // Power-Ups
-    enable_power_ups: 'Ativar Power-Ups (50-50, +10s, 2x Pontos)',
+    enable_power_ups: 'Ativar Power-Ups',
     enable_power_ups_tooltip: 'Permitir que os jogadores usem power-ups durante o jogo',
     show_leaderboard_between: 'Mostrar a classificação após cada pergunta',
     show_leaderboard_between_tooltip: 'Mostra a classificação entre perguntas; a classificação final aparece sempre',
     power_ups: 'Power-Ups',
     fifty_fifty: '50-50',
     fifty_fifty_tooltip: 'Remover metade das respostas erradas',
-    extend_time: '+10s',
-    extend_time_tooltip: 'Adicionar 10 segundos ao cronômetro',
-    double_points: '2× Pontos',
-    double_points_tooltip: 'Duplicar seus pontos na próxima resposta correta',
+    extend_time: '+{0}s',
+    extend_time_tooltip: 'Adicionar {0} segundos ao cronômetro',
+    double_points: '{0}× Pontos',
+    double_points_tooltip: 'Multiplique seus pontos por {0} na próxima resposta',
     power_up_used: 'Power-up usado!',
 
     // Scoring Settings
@@ -1207,7 +1207,7 @@ export default {
     // Help & Tour
     help_and_tour: 'Ajuda e Tour',
     restart_tour: 'Reiniciar Tour',
-    power_ups_help: 'Dê aos jogadores habilidades especiais: 50-50 remove duas respostas erradas, +10s adiciona tempo extra, 2x dobra os pontos para uma pergunta.',
+    power_ups_help: 'Dê aos jogadores habilidades especiais: 50-50, tempo extra, pontos em dobro, um escudo para a sequência, uma segunda chance, pular ou uma dica. Em “Personalizar power-ups” escolha quais e quantos usos cada jogador tem.',
     consensus_mode_help: 'Os jogadores discutem e votam juntos antes de responder. A equipe deve atingir o limite para confirmar uma resposta.',
     create_first_quiz: 'Crie seu primeiro quiz',
     try_ai_generation: 'Experimente a geração com IA para criar perguntas automaticamente',
@@ -1553,5 +1553,425 @@ export default {
     consensus_of: 'de',
     threshold: 'limiar',
     unanimous: '100% (Unânime)',
-    ollama_server_url: 'Servidor Ollama:'
+    ollama_server_url: 'Servidor Ollama:',
+    // Host moderation (kick / ban)
+    manage_players: 'Gerenciar jogadores',
+    remove_player_named: 'Remover {0}',
+    remove_player_prompt: 'Remover {0} do jogo?',
+    remove_player_hint: 'Jogadores expulsos podem entrar novamente. Jogadores banidos não podem voltar a este jogo.',
+    kick_player: 'Expulsar',
+    ban_player: 'Banir',
+    player_kicked_notice: 'O anfitrião removeu você do jogo',
+    player_banned_notice: 'O anfitrião removeu você do jogo e você não pode voltar',
+    error_player_banned: 'Você foi removido deste jogo',
+    error_failed_remove_player: 'Falha ao remover o jogador',
+    error_not_authorized_host: 'Somente o anfitrião pode remover jogadores',
+    // Text answer (fill-in-the-blank) questions
+    text_input: 'Resposta em texto',
+    accepted_answers: 'Respostas aceitas (uma por linha)',
+    accepted_answers_placeholder: 'Uma resposta aceita por linha',
+    text_input_match_hint: 'Maiúsculas, acentos e espaços extras são ignorados.',
+    fuzzy_threshold: 'Erros de digitação permitidos',
+    fuzzy_exact: 'Correspondência exata',
+    enter_text_answer: 'Digite sua resposta',
+    text_answer: 'Resposta em texto',
+    please_enter_text_answer: 'Por favor, digite uma resposta',
+    text_input_needs_answer: 'Perguntas de texto precisam de pelo menos uma resposta aceita',
+    val_no_accepted_answer: 'sem resposta aceita',
+    // Matching (pair-up) questions
+    matching: 'Correspondência',
+    matching_instruction: 'Escreva cada item ao lado do seu par. Os jogadores veem a coluna da direita embaralhada.',
+    matching_left_placeholder: 'Termo',
+    matching_right_placeholder: 'Par',
+    matching_player_instruction: 'Use as setas para mover cada item da direita para junto do seu par',
+    please_match_items: 'Faça a correspondência dos itens antes de enviar',
+    no_matching_pairs: 'Ainda não há pares',
+    matching_pair_stats: 'Acertos por par',
+    matching_needs_two_pairs: 'Perguntas de correspondência precisam de pelo menos 2 pares',
+    invalid_matching: 'Cada par precisa dos dois itens, e cada correspondência deve ser diferente',
+    val_incomplete_pair: 'par incompleto',
+    val_too_few_pairs: 'precisa de 2 pares',
+    // Homework assignments
+    assign_as_homework: 'Atribuir como tarefa',
+    assignment_mode: 'Tarefa',
+    assignment_publish_hint: 'Os alunos fazem o quiz no seu ritmo entre estas datas usando o link.',
+    assignment_opens: 'Abre',
+    assignment_closes: 'Fecha',
+    assignment_publish: 'Publicar',
+    assignment_published: 'Tarefa publicada',
+    assignment_existing: 'Tarefas publicadas',
+    assignment_none: 'Ainda não há tarefas',
+    assignment_submissions: 'Entregues: {0}',
+    assignment_extend: 'Prorrogar 1 dia',
+    assignment_status_open: 'Aberta',
+    assignment_status_scheduled: 'Agendada',
+    assignment_status_closed: 'Encerrada',
+    confirm_delete_assignment: 'Excluir esta tarefa? Os resultados entregues são mantidos.',
+    copy: 'Copiar',
+    link_copied: 'Link copiado',
+    assignment_question_count: '{0} perguntas',
+    assignment_due: 'Prazo {0}',
+    assignment_opens_at: 'Esta tarefa abre em {0}.',
+    assignment_closed: 'Esta tarefa está encerrada',
+    assignment_intro_hint: 'Cada pergunta tem tempo limite. Você pode fechar a página e continuar depois, antes do prazo.',
+    assignment_start: 'Começar',
+    assignment_continue_as: 'Continuar como {0}',
+    assignment_submitted: 'Tarefa entregue',
+    assignment_submitted_hint: 'Suas respostas foram salvas para o seu professor.',
+    assignment_answered: 'Respondidas',
+    confirm_exit_assignment: 'Sair da tarefa? Você pode continuar depois pelo mesmo link.',
+    error_invalid_assignment_code: 'Código de tarefa inválido',
+    error_assignment_not_found: 'Tarefa não encontrada',
+    error_assignment_invalid_dates: 'Data de abertura ou encerramento inválida',
+    error_assignment_close_before_open: 'A data de encerramento deve ser posterior à de abertura',
+    error_quiz_no_questions: 'O quiz não tem perguntas',
+    error_assignment_not_owner: 'Esta tarefa não é sua',
+    error_assignment_full: 'Esta tarefa atingiu o limite de alunos',
+    error_assignment_not_open: 'Esta tarefa ainda não está aberta',
+    error_assignment_closed: 'Esta tarefa está encerrada',
+    error_attempt_not_found: 'Tentativa não encontrada',
+    error_question_ended: 'A pergunta já terminou',
+    error_confirm_required: 'Confirme esta ação',
+    error_failed_list_assignments: 'Falha ao listar tarefas',
+    error_failed_create_assignment: 'Falha ao criar a tarefa',
+    error_assignment_quiz_protected: 'Quizzes protegidos por senha não podem ser publicados como tarefa',
+    error_failed_update_assignment: 'Falha ao atualizar a tarefa',
+    error_failed_delete_assignment: 'Falha ao excluir a tarefa',
+    error_failed_load_assignment: 'Falha ao carregar a tarefa',
+    error_failed_start_assignment: 'Falha ao iniciar a tarefa',
+    // Team mode
+    team_mode: 'Modo de equipas (equipas em competição)',
+    team_mode_tooltip: 'Dividir os jogadores em equipas que competem entre si',
+    team_mode_help: 'Os jogadores são divididos em equipas que competem entre si. A pontuação da equipa é calculada a partir da dos seus membros.',
+    team_count: 'Número de equipas',
+    team_aggregation: 'Pontuação da equipa',
+    team_aggregation_sum: 'Soma das pontuações dos membros',
+    team_aggregation_average: 'Pontuação média dos membros',
+    team_aggregation_best: 'Melhor pontuação de um membro',
+    team_assignment: 'Atribuição de equipas',
+    team_assignment_auto: 'Automática (equilibrada ao entrar)',
+    team_assignment_manual: 'Manual (o anfitrião atribui na sala)',
+    team_label: 'Equipa {0}',
+    team_unassigned: 'Sem equipa',
+    change_team_named: 'Mudar a equipa de {0}',
+    team_standings: 'Classificação das equipas',
+    team_members: '{0} jogadores',
+    error_team_mode_disabled: 'O modo de equipas não está ativado',
+    error_team_not_found: 'Equipa não encontrada',
+    error_team_change_lobby_only: 'As equipas só podem ser alteradas na sala de espera',
+    error_failed_assign_team: 'Não foi possível mudar a equipa',
+    // Student roster and progress profiles
+    roster_pick_label: 'Encontre seu nome na lista da turma',
+    roster_pick_none: 'Não estou na lista',
+    student_code_placeholder: 'Ou digite seu código de aluno',
+    student_code: 'Código de aluno',
+    students: 'Alunos',
+    students_tooltip: 'Lista de alunos e progresso entre jogos',
+    students_hint: 'Os alunos entram nos seus jogos escolhendo o nome ou digitando o código, e cada jogo é adicionado ao perfil deles.',
+    student_name: 'Nome do aluno',
+    student_add: 'Adicionar aluno',
+    students_none: 'Nenhum aluno ainda',
+    student_games_played: 'Jogos jogados',
+    student_average_accuracy: 'Precisão média',
+    student_recent_accuracy: 'Precisão recente',
+    student_trend: 'Tendência',
+    student_trend_improving: 'Melhorando',
+    student_trend_declining: 'Piorando',
+    student_trend_steady: 'Estável',
+    student_view_profile: 'Ver perfil',
+    student_new_code: 'Novo código',
+    confirm_remove_student: 'Remover este aluno? O histórico de progresso também será excluído.',
+    student_no_games: 'Nenhum jogo registrado ainda',
+    student_no_concepts: 'Nenhuma pergunta com conceitos jogada ainda',
+    student_latest: 'Último',
+    student_accuracy_trend: 'Precisão por jogo',
+    student_concept_mastery: 'Domínio de conceitos',
+    students_sign_in_required: 'Entre para gerenciar seus alunos',
+    error_user_not_found: 'Usuário não encontrado',
+    error_student_name_length: 'O nome do aluno deve ter de 1 a 50 caracteres',
+    error_roster_full: 'A lista está cheia',
+    error_student_not_found: 'Aluno não encontrado',
+    error_student_code_invalid: 'Código de aluno desconhecido',
+    error_student_already_joined: 'Este aluno já está no jogo',
+    error_invalid_student_id: 'ID de aluno inválido',
+    error_failed_list_students: 'Falha ao listar alunos',
+    error_failed_add_student: 'Falha ao adicionar aluno',
+    error_failed_update_student: 'Falha ao atualizar aluno',
+    error_failed_remove_student: 'Falha ao remover aluno',
+    error_failed_load_profile: 'Falha ao carregar o perfil do aluno',
+    error_failed_export_profile: 'Falha ao exportar o perfil do aluno',
+    // Spaced-repetition review
+    review_session_title: 'Revisão',
+    review_session_done: 'As perguntas que você errou voltam mais cedo; as outras esperam mais.',
+    review_more: 'Revisar mais',
+    review_due_title: 'Hora de revisar',
+    review_due_items: 'Revisar itens pendentes',
+    review_due_count: '{0} pergunta(s) errada(s) para revisar',
+    review_nothing_due: 'Nada para revisar agora',
+    error_invalid_user_id: 'ID de usuário inválido',
+    error_failed_load_review: 'Falha ao carregar sua fila de revisão',
+    error_failed_save_review: 'Falha ao salvar sua fila de revisão',
+    // Question bank
+    question_bank: 'Banco de questões',
+    question_bank_tooltip: 'Banco de questões: reutilize questões dos seus quizzes',
+    question_bank_insert_from: 'Do banco de questões',
+    question_bank_search_placeholder: 'Pesquisar questões, respostas e conceitos...',
+    question_bank_search: 'Pesquisar',
+    question_bank_any_type: 'Qualquer tipo',
+    question_bank_any_difficulty: 'Qualquer dificuldade',
+    question_bank_any_concept: 'Qualquer conceito',
+    question_bank_found: '{0} questões encontradas',
+    question_bank_showing: 'Mostrando {0} de {1} questões',
+    question_bank_empty: 'Nenhuma questão encontrada',
+    question_bank_insert: 'Inserir {0} selecionadas',
+    question_bank_inserted: '{0} questões adicionadas ao quiz',
+    question_bank_draws_title: 'Questões aleatórias ao iniciar',
+    question_bank_draws_hint: 'Sempre que este quiz começa, estas questões são sorteadas do banco e adicionadas depois das suas próprias questões.',
+    question_bank_draw_count: 'Número de questões',
+    question_bank_add_draw: 'Adicionar sorteio',
+    question_bank_no_draws: 'Sem sorteios aleatórios',
+    bank_draw_shortfall: 'Apenas {0} de {1} questões encontradas para "{2}"',
+    question_type_text_input: 'Resposta de texto',
+    question_type_matching: 'Correspondência',
+    error_failed_search_bank: 'Falha ao pesquisar o banco de questões',
+    error_failed_load_bank_questions: 'Falha ao carregar as questões',
+    error_failed_draw_questions: 'Falha ao sortear questões do banco',
+    error_invalid_question_ref: 'Referência de questão inválida',
+    error_question_not_found: 'Questão não encontrada',
+    // Quiz packages (.quizix)
+    package_missing_media: '{0} imagens ou vídeos não estavam no pacote e não serão exibidos',
+    package_rejected_media: '{0} arquivos do pacote não eram imagens ou vídeos válidos e foram ignorados',
+    error_invalid_package: 'Este arquivo não é um pacote .quizix válido',
+    error_package_version_unsupported: 'Este pacote foi criado por uma versão mais recente do Quizix Pro. Atualize este servidor para importá-lo.',
+    error_package_too_large: 'O pacote é grande demais para importar',
+    error_failed_export_package: 'Falha ao criar o pacote do quiz',
+    // Export dialog and Moodle GIFT / XML import
+    export_quiz_title: 'Exportar quiz',
+    export_format_quizix: 'Pacote Quizix (.quizix)',
+    export_format_quizix_hint: 'Perguntas, configurações, imagens e vídeos, para abrir em outro servidor Quizix',
+    export_format_gift: 'Moodle GIFT (.txt)',
+    export_format_moodle_xml: 'Moodle XML (.xml)',
+    export_format_moodle_hint: 'Apenas perguntas, para importar no banco de questões do Moodle',
+    format_import_skipped: '{0} perguntas não puderam ser convertidas e foram ignoradas',
+    format_export_skipped: '{0} perguntas não têm equivalente neste formato e foram deixadas de fora',
+    format_import_no_questions: 'Nenhuma pergunta deste arquivo pôde ser importada',
+    error_invalid_moodle_xml: 'Este arquivo não é Moodle XML',
+    // IMS QTI packages
+    export_format_qti21: 'IMS QTI 2.1 (.zip)',
+    export_format_qti30: 'IMS QTI 3.0 (.zip)',
+    export_format_qti_hint: 'Perguntas e imagens, para LMS e ferramentas de avaliação',
+    error_invalid_qti_package: 'Este arquivo não é um pacote IMS QTI',
+    // Spreadsheet question import
+    export_format_csv: 'Planilha (.csv)',
+    export_format_csv_hint: 'Uma pergunta por linha, para editar no Excel e importar novamente',
+    download_sheet_template: 'Baixar um modelo de planilha para importar perguntas',
+    import_report_title: 'Notas da importação',
+    format_import_notes: 'Todas as perguntas foram importadas, com estas notas',
+    error_invalid_question_sheet: 'A planilha não tem a coluna "question". Comece pelo modelo.',
+    // Paper tests
+    print_paper_test_tooltip: 'Imprimir teste em papel',
+    paper_test_title: 'Imprimir teste em papel',
+    paper_test_versions: 'Versões',
+    paper_test_shuffle_questions: 'Embaralhar a ordem das perguntas em cada versão',
+    paper_test_shuffle_options: 'Embaralhar as opções de resposta em cada versão',
+    paper_test_answer_key_option: 'Páginas de gabarito',
+    paper_test_bubble_sheet_option: 'Folha de respostas para preencher',
+    paper_test_hint: 'Escolha "Salvar como PDF" na janela de impressão para obter um PDF.',
+    paper_test_download: 'Baixar HTML',
+    paper_test_print: 'Imprimir',
+    paper_test_failed: 'Não foi possível criar o teste em papel',
+    paper_test_name: 'Nome',
+    paper_test_class: 'Turma',
+    paper_test_date: 'Data',
+    paper_test_version: 'Versão {0}',
+    paper_test_answer_sheet: 'Folha de respostas',
+    paper_test_answer_key: 'Gabarito',
+    paper_test_answer_column: 'Resposta',
+    paper_test_quiz_question_column: 'Pergunta do quiz',
+    paper_test_select_all_hint: 'Marque todas as respostas corretas.',
+    paper_test_order_hint: 'Escreva as letras na ordem correta.',
+    paper_test_matching_hint: 'Escreva ao lado de cada item a letra da resposta correspondente.',
+    paper_test_poll_key: 'Pergunta de opinião, qualquer resposta',
+    // Report cards
+    download_my_report: 'Baixar meu relatório',
+    download_report_cards: 'Relatórios individuais',
+    report_card_format: 'Formato dos relatórios',
+    report_card_format_html: 'HTML',
+    report_card_format_pdf: 'PDF (somente texto latino)',
+    error_player_not_found: 'Jogador não encontrado neste resultado',
+    // Gradebook export
+    gradebook: 'Diário de notas',
+    gradebook_tooltip: 'Exportar notas para o diário de notas de um LMS',
+    gradebook_export: 'Exportar diário de notas',
+    gradebook_hint: 'Uma linha por aluno e uma coluna por sessão. Os alunos são associados entre sessões pelo código da turma ou, caso contrário, pelo nome.',
+    gradebook_sessions: 'Sessões',
+    gradebook_normalization: 'Pontuação',
+    gradebook_normalization_percent: '% de acertos',
+    gradebook_normalization_partial: '% com crédito parcial',
+    gradebook_normalization_points: 'Pontos do jogo',
+    gradebook_scale: 'Escala de notas',
+    gradebook_scale_none: 'Nenhuma (só pontuação)',
+    gradebook_scale_letter: 'Letras (A–F)',
+    gradebook_scale_chile: 'Chilena (1,0–7,0)',
+    gradebook_scale_custom: 'Faixas personalizadas',
+    gradebook_pass_percent: '% para 4,0',
+    gradebook_bands: 'Faixas (% mínimo=nota)',
+    gradebook_invalid_bands: 'Escreva as faixas como % mínimo=nota, separadas por vírgulas (ex.: 90=A, 0=F)',
+    gradebook_layout: 'Formato',
+    gradebook_layout_generic: 'Planilha',
+    gradebook_select_sessions: 'Selecione pelo menos uma sessão',
+    error_invalid_gradebook_options: 'Opções do diário de notas inválidas',
+    error_failed_export_gradebook: 'Falha ao exportar o diário de notas',
+    // LTI (LMS launches)
+    error_lti_not_configured: 'A integração com o LMS não está configurada neste servidor',
+    error_lti_platform_unknown: 'Este LMS não está registado no Quizix',
+    error_lti_state_invalid: 'O acesso expirou ou já foi usado. Abra novamente a partir do seu curso.',
+    error_lti_launch_invalid: 'Não foi possível verificar o acesso a partir do LMS',
+    error_lti_instructor_only: 'Apenas professores podem adicionar conteúdo do Quizix',
+    // Webhooks (webhooks-modal.js, routes/webhooks.js)
+    webhooks: 'Webhooks',
+    webhooks_tooltip: 'Enviar eventos de jogos e resultados para outros serviços',
+    webhooks_hint: 'O Quizix envia JSON assinado para estes URLs quando os seus jogos começam e terminam, jogadores entram ou saem e os resultados são guardados.',
+    webhooks_sign_in_required: 'Inicie sessão para gerir os seus webhooks',
+    webhooks_none: 'Ainda não há webhooks',
+    webhook_url: 'URL do webhook',
+    webhook_description: 'Descrição (opcional)',
+    webhook_add: 'Adicionar webhook',
+    webhook_events: 'Eventos',
+    webhook_event_game_started: 'Jogo iniciado',
+    webhook_event_game_ended: 'Jogo terminado',
+    webhook_event_player_joined: 'Jogador entrou',
+    webhook_event_player_left: 'Jogador saiu',
+    webhook_event_results_saved: 'Resultados guardados',
+    webhook_pick_event: 'Escolha pelo menos um evento',
+    webhook_secret: 'Segredo',
+    webhook_secret_notice: 'Copie agora o segredo de assinatura; não voltará a ser mostrado.',
+    webhook_disabled: 'Desativado',
+    webhook_deliveries: 'Entregas',
+    webhook_test: 'Testar',
+    webhook_test_sent: 'Entrega de teste em fila',
+    webhook_enable: 'Ativar',
+    webhook_disable: 'Desativar',
+    webhook_new_secret: 'Novo segredo',
+    confirm_new_webhook_secret: 'Substituir o segredo de assinatura? As entregas assinadas com o antigo deixarão de ser verificadas.',
+    confirm_remove_webhook: 'Eliminar este webhook? As entregas à espera de nova tentativa são descartadas.',
+    webhook_no_deliveries: 'Ainda nada foi enviado',
+    webhook_attempts: 'Tentativas',
+    webhook_next_attempt: 'Próxima tentativa',
+    webhook_payload: 'Conteúdo',
+    webhook_resend: 'Enviar novamente',
+    webhook_status_pending: 'Pendente',
+    webhook_status_retrying: 'A repetir',
+    webhook_status_delivered: 'Entregue',
+    webhook_status_failed: 'Falhou',
+    error_webhook_url_invalid: 'O URL do webhook tem de ser http ou https',
+    error_webhook_url_blocked: 'O URL do webhook aponta para um endereço privado ou inacessível',
+    error_webhook_not_found: 'Webhook não encontrado',
+    error_webhook_limit: 'No máximo 10 webhooks por conta',
+    error_webhook_delivery_not_found: 'Entrega não encontrada',
+    error_webhook_delivery_queued: 'A entrega ainda está em fila',
+    error_failed_list_webhooks: 'Não foi possível carregar os webhooks',
+    error_failed_save_webhook: 'Não foi possível guardar o webhook',
+    // Power-up registry: new power-ups, hints and per-quiz settings
+    power_up_shield: 'Escudo',
+    power_up_shield_tooltip: 'Mantenha sua sequência se a próxima resposta estiver errada',
+    power_up_second_chance: '2ª chance',
+    power_up_second_chance_tooltip: 'Se a próxima resposta estiver errada, responda de novo por {0}% dos pontos',
+    power_up_skip: 'Pular',
+    power_up_skip_tooltip: 'Pule esta pergunta sem quebrar sua sequência',
+    power_up_reveal_hint: 'Dica',
+    power_up_reveal_hint_tooltip: 'Mostrar uma dica para esta pergunta',
+    hint_exclude_option: 'Uma resposta errada foi removida',
+    hint_correct_count: 'Há {0} respostas corretas',
+    hint_range: 'A resposta está entre {0} e {1}',
+    hint_first_letter: 'A resposta começa com “{0}” ({1} caracteres)',
+    hint_first_item: 'O primeiro item é “{0}”',
+    hint_pair: '“{0}” corresponde a “{1}”',
+    hint_unavailable: 'Não há dica para esta pergunta',
+    question_skipped: 'Pergunta pulada',
+    shield_kept_streak: '🛡️ Seu escudo salvou sua sequência.',
+    second_chance_retry: 'Quase — segunda chance! Responda de novo por {0}% dos pontos.',
+    error_powerup_unavailable: 'Power-ups só podem ser usados enquanto você responde',
+    error_powerup_active: 'Power-up já ativo',
+    error_powerup_not_applicable: 'Este power-up não pode ser usado nesta pergunta',
+    power_up_settings: 'Personalizar power-ups',
+    power_up_name_fifty_fifty: '50-50',
+    power_up_name_extend_time: 'Tempo extra',
+    power_up_name_double_points: 'Pontos em dobro',
+    power_up_name_shield: 'Escudo',
+    power_up_name_second_chance: 'Segunda chance',
+    power_up_name_skip: 'Pular',
+    power_up_name_reveal_hint: 'Dica',
+    power_up_uses: 'Usos por jogador',
+    power_up_param_extraSeconds: 'Segundos extras',
+    power_up_param_multiplier: 'Multiplicador',
+    power_up_param_pointsPercent: 'Pontos na nova tentativa (%)',
+    // Streak and comeback bonuses, end-of-game badges
+    enable_streak_bonus: 'Ativar bônus de sequência',
+    streak_bonus_help: 'Cada resposta correta seguida acrescenta uma porcentagem dos pontos da resposta, até o máximo. Uma resposta errada encerra a sequência.',
+    streak_bonus_step: '% por resposta seguida',
+    streak_bonus_max: 'Máximo %',
+    enable_comeback_bonus: 'Ativar bônus de recuperação',
+    comeback_bonus_help: 'Uma resposta correta após várias erradas seguidas rende uma porcentagem extra dos pontos base.',
+    comeback_bonus_misses: 'Após respostas erradas',
+    comeback_bonus_percent: '% dos pontos base',
+    streak_bonus: 'Bônus de sequência',
+    comeback_bonus: 'Bônus de recuperação',
+    streak_bonus_earned: '🔥 {0} seguidas: +{1}',
+    comeback_bonus_earned: 'Recuperação! +{0}',
+    your_badges: 'Suas conquistas',
+    badge_perfect_round: 'Rodada perfeita',
+    badge_perfect_round_detail: 'Todas as {0} perguntas certas',
+    badge_fastest_answer: 'Resposta mais rápida',
+    badge_fastest_answer_detail: 'Correta em {0} s',
+    badge_hot_streak: 'Sequência quente',
+    badge_hot_streak_detail: '{0} certas seguidas',
+    badge_most_improved: 'Maior evolução',
+    badge_most_improved_detail: '+{0}% de acertos na segunda metade',
+    badge_consensus_builder: 'Construtor de consenso',
+    badge_consensus_builder_detail: 'Apoiou a resposta da equipe {0} vezes',
+    // Elimination mode
+    elimination_mode: 'Modo eliminação (o último de pé)',
+    elimination_mode_tooltip: 'Uma resposta errada elimina o jogador; ganham os últimos que restarem',
+    elimination_mode_help: 'Uma resposta errada elimina o jogador. Os eliminados continuam a responder como fantasmas sem pontos, e ganham os últimos que restarem.',
+    elimination_slowest_percent: 'Eliminar também os mais lentos (%)',
+    elimination_revival_every: 'Ronda de ressurreição a cada (perguntas, 0 = nunca)',
+    survivors_count: '{0} de {1} ainda em jogo',
+    elimination_round_out: 'Eliminados: {0}',
+    elimination_round_revived: 'De volta: {0}',
+    eliminated_now: 'Foste eliminado! Continua a jogar como fantasma.',
+    revived_now: 'Estás de volta ao jogo!',
+    survived_round: 'Ainda em jogo (restam {0})',
+    ghost_banner: '👻 És um fantasma: as tuas respostas já não pontuam.',
+    ghost_banner_revival: '✨ Ronda de ressurreição: acerta para voltar!',
+    eliminated_label: 'Eliminado',
+    ghost_answer: '👻 Resposta fantasma:',
+    // Adaptive difficulty
+    adaptive_mode: 'Dificuldade adaptativa',
+    adaptive_mode_tooltip: 'Escolher cada pergunta conforme o resultado da anterior',
+    adaptive_mode_help: 'Cada pergunta é escolhida conforme o resultado da anterior: mais difícil se a maioria acertou, mais fácil se a maioria errou. Tarefas e prática se adaptam a cada aluno.',
+    adaptive_question_count: 'Perguntas a fazer (0 = todas)',
+    analytics_trajectory_room: 'Trajetória de dificuldade',
+    analytics_trajectory_player: 'Trajetória de dificuldade por aluno',
+    analytics_trajectory_empty: 'Nenhum aluno começou ainda.',
+    // Question branching
+    branching_optional: 'Ramificação (opcional)',
+    branching_hint: 'escolha o que vem a seguir',
+    branch_label: 'Rótulo desta pergunta:',
+    branch_when: 'Depois desta pergunta:',
+    branch_when_none: 'Seguir para a próxima pergunta',
+    branch_when_always: 'Saltar sempre',
+    branch_when_accuracy_below: 'Saltar se a precisão for inferior a (%)',
+    branch_when_accuracy_at_least: 'Saltar se a precisão for de pelo menos (%)',
+    branch_when_option: 'Saltar se a opção mais escolhida for a número',
+    branch_value: 'Percentagem ou número da opção:',
+    branch_go_to: 'Saltar para o rótulo:',
+    branch_otherwise: 'Caso contrário, ir para o rótulo (opcional):',
+    branch_label_invalid: 'O rótulo é demasiado longo (40 caracteres no máximo)',
+    branch_label_duplicate: 'Outra pergunta já tem este rótulo',
+    branch_rule_invalid: 'Condição de ramificação desconhecida',
+    branch_option_needs_choice: 'Só as perguntas de escolha múltipla podem ramificar pela opção mais escolhida',
+    branch_value_invalid: 'Introduza uma percentagem de 0 a 100 ou o número de uma das opções',
+    branch_target_missing: 'Nenhuma pergunta tem o rótulo de destino',
+    branch_loop: 'As regras de ramificação podem voltar a esta pergunta e repetir-se sem fim'
 };
@@ -584,17 +584,17 @@ export default {
     load: '加载',
 
     // Power-Ups
-    enable_power_ups: '启用道具（50-50、+10秒、2倍积分）',
+    enable_power_ups: '启用道具',
     enable_power_ups_tooltip: '允许玩家在游戏中使用道具',
     show_leaderboard_between: '每题结束后显示排行榜',
     show_leaderboard_between_tooltip: '在题目之间显示排名；最终排行榜始终会显示',
     power_ups: '道具',
     fifty_fifty: '50-50',
     fifty_fifty_tooltip: '移除一半错误答案',
-    extend_time: '+10秒',
-    extend_time_tooltip: '计时器增加10秒',
-    double_points: '2倍积分',
-    double_points_tooltip: '下次答对时获得双倍积分',
+    extend_time: '+{0}秒',
+    extend_time_tooltip: '计时器增加{0}秒',
+    double_points: '{0}倍积分',
+    double_points_tooltip: '下一次作答的积分乘以{0}',
     power_up_used: '道具已使用！',
 
     // Scoring Settings
@@ -1205,7 +1205,7 @@ export default {
     // Help & Tour
     help_and_tour: '帮助与导览',
     restart_tour: '重新开始导览',
-    power_ups_help: '给玩家特殊能力：50-50移除两个错误答案，+10s增加额外时间，2x将一道题的分数翻倍。',
+    power_ups_help: '给玩家特殊能力：50-50、延长时间、双倍积分、保护连胜的护盾、第二次机会、跳过或提示。在“自定义道具”中选择启用哪些以及每位玩家的使用次数。',
     consensus_mode_help: '玩家在回答前一起讨论和投票。团队必须达到阈值才能确认答案。',
     create_first_quiz: '创建你的第一个测验',
     try_ai_generation: '尝试AI生成自动创建问题',
@@ -1552,5 +1552,425 @@ export default {
     consensus_of: '/',
     threshold: '阈值',
     unanimous: '100%（一致通过）',
-    ollama_server_url: 'Ollama 服务器:'
+    ollama_server_url: 'Ollama 服务器:',
+    // Host moderation (kick / ban)
+    manage_players: '管理玩家',
+    remove_player_named: '移除 {0}',
+    remove_player_prompt: '将 {0} 移出游戏？',
+    remove_player_hint: '被踢出的玩家可以重新加入，被封禁的玩家无法再加入本场游戏。',
+    kick_player: '踢出',
+    ban_player: '封禁',
+    player_kicked_notice: '主持人已将你移出游戏',
+    player_banned_notice: '主持人已将你移出游戏，你无法重新加入',
+    error_player_banned: '你已被移出本场游戏',
+    error_failed_remove_player: '移除玩家失败',
+    error_not_authorized_host: '只有主持人可以移除玩家',
+    // Text answer (fill-in-the-blank) questions
+    text_input: '文本答案',
+    accepted_answers: '可接受的答案（每行一个）',
+    accepted_answers_placeholder: '每行一个可接受的答案',
+    text_input_match_hint: '忽略大小写、重音符号和多余空格。',
+    fuzzy_threshold: '允许的拼写错误',
+    fuzzy_exact: '完全匹配',
+    enter_text_answer: '输入你的答案',
+    text_answer: '文本答案',
+    please_enter_text_answer: '请输入答案',
+    text_input_needs_answer: '文本答案题至少需要一个可接受的答案',
+    val_no_accepted_answer: '无可接受答案',
+    // Matching (pair-up) questions
+    matching: '配对',
+    matching_instruction: '将每一项填在与其配对的项旁边。玩家看到的右列顺序是打乱的。',
+    matching_left_placeholder: '词条',
+    matching_right_placeholder: '配对项',
+    matching_player_instruction: '使用箭头将右侧每一项移到与其配对的项旁边',
+    please_match_items: '请在提交前完成配对',
+    no_matching_pairs: '尚无配对',
+    matching_pair_stats: '每对的正确配对数',
+    matching_needs_two_pairs: '配对题至少需要 2 对',
+    invalid_matching: '每对都需要两项，且每个配对项必须不同',
+    val_incomplete_pair: '配对不完整',
+    val_too_few_pairs: '需要 2 对',
+    // Homework assignments
+    assign_as_homework: '布置为作业',
+    assignment_mode: '作业',
+    assignment_publish_hint: '学生在此期间通过链接按自己的节奏完成测验。',
+    assignment_opens: '开始时间',
+    assignment_closes: '截止时间',
+    assignment_publish: '发布',
+    assignment_published: '作业已发布',
+    assignment_existing: '已发布的作业',
+    assignment_none: '暂无作业',
+    assignment_submissions: '已提交：{0}',
+    assignment_extend: '延长 1 天',
+    assignment_status_open: '进行中',
+    assignment_status_scheduled: '未开始',
+    assignment_status_closed: '已截止',
+    confirm_delete_assignment: '删除此作业？已提交的结果会保留。',
+    copy: '复制',
+    link_copied: '链接已复制',
+    assignment_question_count: '{0} 道题',
+    assignment_due: '截止 {0}',
+    assignment_opens_at: '此作业将于 {0} 开放。',
+    assignment_closed: '此作业已截止',
+    assignment_intro_hint: '每道题都有时间限制。截止前可以关闭页面稍后继续。',
+    assignment_start: '开始',
+    assignment_continue_as: '以 {0} 继续',
+    assignment_submitted: '作业已提交',
+    assignment_submitted_hint: '你的答案已保存，供老师查看。',
+    assignment_answered: '已作答',
+    confirm_exit_assignment: '离开作业？稍后可通过同一链接继续。',
+    error_invalid_assignment_code: '作业代码无效',
+    error_assignment_not_found: '未找到作业',
+    error_assignment_invalid_dates: '开始或截止日期无效',
+    error_assignment_close_before_open: '截止日期必须晚于开始日期',
+    error_quiz_no_questions: '测验没有题目',
+    error_assignment_not_owner: '你不是此作业的所有者',
+    error_assignment_full: '此作业的学生人数已达上限',
+    error_assignment_not_open: '此作业尚未开放',
+    error_assignment_closed: '此作业已截止',
+    error_attempt_not_found: '未找到答题记录',
+    error_question_ended: '该题已结束',
+    error_confirm_required: '请确认此操作',
+    error_failed_list_assignments: '无法列出作业',
+    error_failed_create_assignment: '无法创建作业',
+    error_assignment_quiz_protected: '受密码保护的测验不能发布为作业',
+    error_failed_update_assignment: '无法更新作业',
+    error_failed_delete_assignment: '无法删除作业',
+    error_failed_load_assignment: '无法加载作业',
+    error_failed_start_assignment: '无法开始作业',
+    // Team mode
+    team_mode: '团队模式（团队对抗）',
+    team_mode_tooltip: '将玩家分成相互竞争的团队',
+    team_mode_help: '玩家被分成相互竞争的团队。团队得分由成员得分计算得出。',
+    team_count: '团队数量',
+    team_aggregation: '团队得分',
+    team_aggregation_sum: '成员得分之和',
+    team_aggregation_average: '成员平均得分',
+    team_aggregation_best: '成员最高得分',
+    team_assignment: '团队分配',
+    team_assignment_auto: '自动（加入时平衡）',
+    team_assignment_manual: '手动（主持人在大厅中分配）',
+    team_label: '第{0}队',
+    team_unassigned: '未分组',
+    change_team_named: '更改{0}的团队',
+    team_standings: '团队排名',
+    team_members: '{0}名玩家',
+    error_team_mode_disabled: '未启用团队模式',
+    error_team_not_found: '未找到团队',
+    error_team_change_lobby_only: '只能在大厅中更改团队',
+    error_failed_assign_team: '更改团队失败',
+    // Student roster and progress profiles
+    roster_pick_label: '在班级名单中找到你的名字',
+    roster_pick_none: '我不在名单上',
+    student_code_placeholder: '或输入你的学生代码',
+    student_code: '学生代码',
+    students: '学生',
+    students_tooltip: '学生名单及跨游戏进度',
+    students_hint: '学生通过选择自己的名字或输入代码加入你的游戏，每场游戏都会记录到他们的档案中。',
+    student_name: '学生姓名',
+    student_add: '添加学生',
+    students_none: '还没有学生',
+    student_games_played: '已玩游戏',
+    student_average_accuracy: '平均正确率',
+    student_recent_accuracy: '近期正确率',
+    student_trend: '趋势',
+    student_trend_improving: '进步中',
+    student_trend_declining: '下降中',
+    student_trend_steady: '稳定',
+    student_view_profile: '查看档案',
+    student_new_code: '新代码',
+    confirm_remove_student: '移除该学生？其进度记录也会被删除。',
+    student_no_games: '还没有游戏记录',
+    student_no_concepts: '还没有玩过带概念标签的题目',
+    student_latest: '最近',
+    student_accuracy_trend: '各场游戏正确率',
+    student_concept_mastery: '概念掌握度',
+    students_sign_in_required: '登录以管理你的学生',
+    error_user_not_found: '未找到用户',
+    error_student_name_length: '学生姓名须为1-50个字符',
+    error_roster_full: '名单已满',
+    error_student_not_found: '未找到学生',
+    error_student_code_invalid: '未知的学生代码',
+    error_student_already_joined: '该学生已在游戏中',
+    error_invalid_student_id: '无效的学生ID',
+    error_failed_list_students: '无法列出学生',
+    error_failed_add_student: '无法添加学生',
+    error_failed_update_student: '无法更新学生',
+    error_failed_remove_student: '无法移除学生',
+    error_failed_load_profile: '无法加载学生档案',
+    error_failed_export_profile: '无法导出学生档案',
+    // Spaced-repetition review
+    review_session_title: '复习',
+    review_session_done: '答错的题会更早再次出现，其余的会间隔更久。',
+    review_more: '继续复习',
+    review_due_title: '该复习了',
+    review_due_items: '复习到期题目',
+    review_due_count: '有 {0} 道答错的题目待复习',
+    review_nothing_due: '目前没有需要复习的题目',
+    error_invalid_user_id: '无效的用户 ID',
+    error_failed_load_review: '无法加载复习队列',
+    error_failed_save_review: '无法保存复习队列',
+    // Question bank
+    question_bank: '题库',
+    question_bank_tooltip: '题库：复用测验中的题目',
+    question_bank_insert_from: '从题库添加',
+    question_bank_search_placeholder: '搜索题目、答案和概念...',
+    question_bank_search: '搜索',
+    question_bank_any_type: '所有题型',
+    question_bank_any_difficulty: '所有难度',
+    question_bank_any_concept: '所有概念',
+    question_bank_found: '找到 {0} 道题',
+    question_bank_showing: '显示 {1} 道题中的 {0} 道',
+    question_bank_empty: '没有匹配的题目',
+    question_bank_insert: '插入已选的 {0} 道题',
+    question_bank_inserted: '已向测验添加 {0} 道题',
+    question_bank_draws_title: '开始时随机抽题',
+    question_bank_draws_hint: '每次开始此测验时，都会从题库中随机抽取这些题目，添加在测验自身题目之后。',
+    question_bank_draw_count: '题目数量',
+    question_bank_add_draw: '添加抽题',
+    question_bank_no_draws: '没有随机抽题',
+    bank_draw_shortfall: '“{2}”只找到 {1} 道题中的 {0} 道',
+    question_type_text_input: '文本输入',
+    question_type_matching: '配对',
+    error_failed_search_bank: '搜索题库失败',
+    error_failed_load_bank_questions: '加载题目失败',
+    error_failed_draw_questions: '从题库抽题失败',
+    error_invalid_question_ref: '无效的题目引用',
+    error_question_not_found: '未找到题目',
+    // Quiz packages (.quizix)
+    package_missing_media: '有 {0} 个图片或视频不在包中，将无法显示',
+    package_rejected_media: '包中有 {0} 个文件不是有效的图片或视频，已被跳过',
+    error_invalid_package: '此文件不是有效的 .quizix 包',
+    error_package_version_unsupported: '此包由更新版本的 Quizix Pro 创建。请更新此服务器后再导入。',
+    error_package_too_large: '包太大，无法导入',
+    error_failed_export_package: '无法生成测验包',
+    // Export dialog and Moodle GIFT / XML import
+    export_quiz_title: '导出测验',
+    export_format_quizix: 'Quizix 包 (.quizix)',
+    export_format_quizix_hint: '包含题目、设置、图片和视频，可在另一台 Quizix 服务器上打开',
+    export_format_gift: 'Moodle GIFT (.txt)',
+    export_format_moodle_xml: 'Moodle XML (.xml)',
+    export_format_moodle_hint: '仅题目，用于导入 Moodle 题库',
+    format_import_skipped: '有 {0} 道题无法转换，已跳过',
+    format_export_skipped: '有 {0} 道题在此格式中没有对应类型，已省略',
+    format_import_no_questions: '此文件中没有可导入的题目',
+    error_invalid_moodle_xml: '此文件不是 Moodle XML',
+    // IMS QTI packages
+    export_format_qti21: 'IMS QTI 2.1 (.zip)',
+    export_format_qti30: 'IMS QTI 3.0 (.zip)',
+    export_format_qti_hint: '题目和图片，适用于 LMS 和测评工具',
+    error_invalid_qti_package: '此文件不是 IMS QTI 包',
+    // Spreadsheet question import
+    export_format_csv: '电子表格 (.csv)',
+    export_format_csv_hint: '每行一道题，可在 Excel 中编辑后重新导入',
+    download_sheet_template: '下载用于导入题目的电子表格模板',
+    import_report_title: '导入说明',
+    format_import_notes: '所有题目均已导入，但有以下说明',
+    error_invalid_question_sheet: '电子表格中没有“question”列，请从模板开始。',
+    // Paper tests
+    print_paper_test_tooltip: '打印纸质试卷',
+    paper_test_title: '打印纸质试卷',
+    paper_test_versions: '版本',
+    paper_test_shuffle_questions: '每个版本打乱题目顺序',
+    paper_test_shuffle_options: '每个版本打乱选项顺序',
+    paper_test_answer_key_option: '答案页',
+    paper_test_bubble_sheet_option: '答题卡',
+    paper_test_hint: '如需 PDF，请在打印对话框中选择“另存为 PDF”。',
+    paper_test_download: '下载 HTML',
+    paper_test_print: '打印',
+    paper_test_failed: '无法生成纸质试卷',
+    paper_test_name: '姓名',
+    paper_test_class: '班级',
+    paper_test_date: '日期',
+    paper_test_version: '版本 {0}',
+    paper_test_answer_sheet: '答题卡',
+    paper_test_answer_key: '答案',
+    paper_test_answer_column: '答案',
+    paper_test_quiz_question_column: '原题号',
+    paper_test_select_all_hint: '选出所有正确答案。',
+    paper_test_order_hint: '按正确顺序写出字母。',
+    paper_test_matching_hint: '在每一项旁写出对应答案的字母。',
+    paper_test_poll_key: '意见题，任意答案',
+    // Report cards
+    download_my_report: '下载我的报告',
+    download_report_cards: '个人报告',
+    report_card_format: '个人报告格式',
+    report_card_format_html: 'HTML',
+    report_card_format_pdf: 'PDF（仅限拉丁字母）',
+    error_player_not_found: '在此结果中未找到该玩家',
+    // Gradebook export
+    gradebook: '成绩册',
+    gradebook_tooltip: '导出成绩到 LMS 成绩册',
+    gradebook_export: '导出成绩册',
+    gradebook_hint: '每个学生一行，每场一列。学生按名册代码匹配，没有代码时按姓名匹配。',
+    gradebook_sessions: '场次',
+    gradebook_normalization: '分数',
+    gradebook_normalization_percent: '正确率',
+    gradebook_normalization_partial: '含部分得分的百分比',
+    gradebook_normalization_points: '游戏积分',
+    gradebook_scale: '评分等级',
+    gradebook_scale_none: '无（仅分数）',
+    gradebook_scale_letter: '字母（A–F）',
+    gradebook_scale_chile: '智利制（1.0–7.0）',
+    gradebook_scale_custom: '自定义分段',
+    gradebook_pass_percent: '得 4.0 所需百分比',
+    gradebook_bands: '分段（最低百分比=等级）',
+    gradebook_invalid_bands: '请按“最低百分比=等级”填写分段，用逗号分隔（例如 90=A, 0=F）',
+    gradebook_layout: '格式',
+    gradebook_layout_generic: '电子表格',
+    gradebook_select_sessions: '请至少选择一个场次',
+    error_invalid_gradebook_options: '成绩册选项无效',
+    error_failed_export_gradebook: '导出成绩册失败',
+    // LTI (LMS launches)
+    error_lti_not_configured: '此服务器未配置 LMS 集成',
+    error_lti_platform_unknown: '此 LMS 未在 Quizix 中注册',
+    error_lti_state_invalid: '启动已过期或已被使用。请从课程中重新启动。',
+    error_lti_launch_invalid: '无法验证来自 LMS 的启动',
+    error_lti_instructor_only: '只有教师可以添加 Quizix 内容',
+    // Webhooks (webhooks-modal.js, routes/webhooks.js)
+    webhooks: 'Webhook',
+    webhooks_tooltip: '将游戏和结果事件发送到其他服务',
+    webhooks_hint: '当你的游戏开始和结束、玩家加入或离开以及保存结果时，Quizix 会向这些 URL 发送签名的 JSON。',
+    webhooks_sign_in_required: '登录以管理你的 Webhook',
+    webhooks_none: '暂无 Webhook',
+    webhook_url: 'Webhook URL',
+    webhook_description: '描述（可选）',
+    webhook_add: '添加 Webhook',
+    webhook_events: '事件',
+    webhook_event_game_started: '游戏开始',
+    webhook_event_game_ended: '游戏结束',
+    webhook_event_player_joined: '玩家加入',
+    webhook_event_player_left: '玩家离开',
+    webhook_event_results_saved: '结果已保存',
+    webhook_pick_event: '请至少选择一个事件',
+    webhook_secret: '密钥',
+    webhook_secret_notice: '请立即复制签名密钥，之后将不再显示。',
+    webhook_disabled: '已停用',
+    webhook_deliveries: '投递记录',
+    webhook_test: '测试',
+    webhook_test_sent: '测试投递已加入队列',
+    webhook_enable: '启用',
+    webhook_disable: '停用',
+    webhook_new_secret: '新密钥',
+    confirm_new_webhook_secret: '要替换签名密钥吗？使用旧密钥签名的投递将无法再验证。',
+    confirm_remove_webhook: '要删除此 Webhook 吗？等待重试的投递将被丢弃。',
+    webhook_no_deliveries: '尚未发送任何内容',
+    webhook_attempts: '尝试次数',
+    webhook_next_attempt: '下次尝试',
+    webhook_payload: '负载',
+    webhook_resend: '重新发送',
+    webhook_status_pending: '待发送',
+    webhook_status_retrying: '重试中',
+    webhook_status_delivered: '已送达',
+    webhook_status_failed: '失败',
+    error_webhook_url_invalid: 'Webhook URL 必须是 http 或 https',
+    error_webhook_url_blocked: 'Webhook URL 指向私有或无法访问的地址',
+    error_webhook_not_found: '未找到 Webhook',
+    error_webhook_limit: '每个账户最多 10 个 Webhook',
+    error_webhook_delivery_not_found: '未找到投递记录',
+    error_webhook_delivery_queued: '投递仍在队列中',
+    error_failed_list_webhooks: '无法加载 Webhook',
+    error_failed_save_webhook: '无法保存 Webhook',
+    // Power-up registry: new power-ups, hints and per-quiz settings
+    power_up_shield: '护盾',
+    power_up_shield_tooltip: '下一次答错时保住连胜',
+    power_up_second_chance: '第二次机会',
+    power_up_second_chance_tooltip: '下一次答错时可重新作答，获得{0}%的积分',
+    power_up_skip: '跳过',
+    power_up_skip_tooltip: '跳过本题，不中断连胜',
+    power_up_reveal_hint: '提示',
+    power_up_reveal_hint_tooltip: '显示本题的提示',
+    hint_exclude_option: '已移除一个错误答案',
+    hint_correct_count: '共有{0}个正确答案',
+    hint_range: '答案在{0}到{1}之间',
+    hint_first_letter: '答案以“{0}”开头（共{1}个字符）',
+    hint_first_item: '第一项是“{0}”',
+    hint_pair: '“{0}”对应“{1}”',
+    hint_unavailable: '本题没有提示',
+    question_skipped: '已跳过本题',
+    shield_kept_streak: '🛡️ 护盾保住了你的连胜。',
+    second_chance_retry: '差一点——第二次机会！重新作答可获得{0}%的积分。',
+    error_powerup_unavailable: '道具只能在作答时使用',
+    error_powerup_active: '道具已激活',
+    error_powerup_not_applicable: '此道具不能用于本题',
+    power_up_settings: '自定义道具',
+    power_up_name_fifty_fifty: '50-50',
+    power_up_name_extend_time: '延长时间',
+    power_up_name_double_points: '双倍积分',
+    power_up_name_shield: '护盾',
+    power_up_name_second_chance: '第二次机会',
+    power_up_name_skip: '跳过',
+    power_up_name_reveal_hint: '提示',
+    power_up_uses: '每位玩家可用次数',
+    power_up_param_extraSeconds: '增加秒数',
+    power_up_param_multiplier: '倍数',
+    power_up_param_pointsPercent: '重答得分（%）',
+    // Streak and comeback bonuses, end-of-game badges
+    enable_streak_bonus: '启用连胜奖励',
+    streak_bonus_help: '每连续答对一题，会按该题得分的一定百分比追加奖励，直至上限。答错则连胜中断。',
+    streak_bonus_step: '每连对一题 %',
+    streak_bonus_max: '上限 %',
+    enable_comeback_bonus: '启用逆袭奖励',
+    comeback_bonus_help: '连续答错几题后答对，可额外获得基础分的一定百分比。',
+    comeback_bonus_misses: '连续答错题数',
+    comeback_bonus_percent: '基础分的 %',
+    streak_bonus: '连胜奖励',
+    comeback_bonus: '逆袭奖励',
+    streak_bonus_earned: '🔥 连对 {0} 题：+{1}',
+    comeback_bonus_earned: '逆袭！+{0}',
+    your_badges: '你的徽章',
+    badge_perfect_round: '全对',
+    badge_perfect_round_detail: '{0} 道题全部答对',
+    badge_fastest_answer: '最快答题',
+    badge_fastest_answer_detail: '{0} 秒答对',
+    badge_hot_streak: '连胜达人',
+    badge_hot_streak_detail: '连续答对 {0} 题',
+    badge_most_improved: '进步最大',
+    badge_most_improved_detail: '后半程正确率 +{0}%',
+    badge_consensus_builder: '共识推动者',
+    badge_consensus_builder_detail: '{0} 次支持团队答案',
+    // Elimination mode
+    elimination_mode: '淘汰模式（最后的幸存者）',
+    elimination_mode_tooltip: '答错即被淘汰，坚持到最后的玩家获胜',
+    elimination_mode_help: '答错即被淘汰。被淘汰的玩家以不计分的幽灵身份继续答题，坚持到最后的玩家获胜。',
+    elimination_slowest_percent: '同时淘汰最慢的玩家（%）',
+    elimination_revival_every: '复活回合间隔（题数，0 = 从不）',
+    survivors_count: '{1} 人中还剩 {0} 人',
+    elimination_round_out: '淘汰：{0}',
+    elimination_round_revived: '复活：{0}',
+    eliminated_now: '你被淘汰了！以幽灵身份继续游戏吧。',
+    revived_now: '你复活了！',
+    survived_round: '仍在场上（剩余 {0} 人）',
+    ghost_banner: '👻 你是幽灵：答题不再计分。',
+    ghost_banner_revival: '✨ 复活回合：答对即可重返比赛！',
+    eliminated_label: '已淘汰',
+    ghost_answer: '👻 幽灵答案：',
+    // Adaptive difficulty
+    adaptive_mode: '自适应难度',
+    adaptive_mode_tooltip: '根据上一题的结果选择下一题',
+    adaptive_mode_help: '根据上一题的结果选择下一题：多数人答对则更难，多数人答错则更易。作业和练习会针对每位学生调整。',
+    adaptive_question_count: '出题数量（0 = 全部）',
+    analytics_trajectory_room: '难度变化轨迹',
+    analytics_trajectory_player: '每位学生的难度变化轨迹',
+    analytics_trajectory_empty: '还没有学生开始。',
+    // Question branching
+    branching_optional: '分支（可选）',
+    branching_hint: '选择接下来的题目',
+    branch_label: '本题标签：',
+    branch_when: '本题之后：',
+    branch_when_none: '继续下一题',
+    branch_when_always: '总是跳转',
+    branch_when_accuracy_below: '正确率低于（%）时跳转',
+    branch_when_accuracy_at_least: '正确率至少为（%）时跳转',
+    branch_when_option: '最多人选的选项为以下编号时跳转',
+    branch_value: '百分比或选项编号：',
+    branch_go_to: '跳转到标签：',
+    branch_otherwise: '否则跳转到标签（可选）：',
+    branch_label_invalid: '标签过长（最多 40 个字符）',
+    branch_label_duplicate: '另一道题已使用此标签',
+    branch_rule_invalid: '未知的分支条件',
+    branch_option_needs_choice: '只有单选题可以按最多人选的选项分支',
+    branch_value_invalid: '请输入 0 到 100 的百分比，或某个选项的编号',
+    branch_target_missing: '没有题目使用要跳转到的标签',
+    branch_loop: '分支规则可能回到本题并无限循环'
 };
@@ -1,7 +1,7 @@
 const express = require('express');
-const dns = require('dns').promises;
 const { requireUser } = require('../middleware/attach-user');
 const { getClientIp } = require('../middleware/client-ip');
+const { isPrivateIP, isBlockedHost } = require('../utils/url-guard');
 
 /**
  * POST to an upstream AI provider and normalize the outcome.
@@ -146,67 +146,6 @@ function createAIGenerationRoutes(options) {
     const urlLimiter = createRateLimiter(5);
     const ollamaLimiter = createRateLimiter(20);
 
-    // ==================== SSRF PROTECTION ====================
-
-    // Check a dotted-quad IPv4 string against private/loopback/link-local ranges
-    function isPrivateIPv4(ip) {
-        const m = ip.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
-        if (!m) return false;
-        const [, a, b] = m.map(Number);
-        if (a === 10) return true;                       // 10.0.0.0/8
-        if (a === 172 && b >= 16 && b <= 31) return true; // 172.16.0.0/12
-        if (a === 192 && b === 168) return true;         // 192.168.0.0/16
-        if (a === 127) return true;                      // 127.0.0.0/8 loopback
-        if (a === 169 && b === 254) return true;         // 169.254.0.0/16 link-local
-        if (a === 0) return true;                        // 0.0.0.0/8
-        if (a === 100 && b >= 64 && b <= 127) return true; // 100.64.0.0/10 CGNAT
-        return false;
-    }
-
-    // Check if a hostname/IP literal is private (SSRF protection).
-    // Covers IPv4 (incl. private/loopback/link-local), IPv6 loopback/ULA/link-local,
-    // and IPv4-mapped IPv6. DNS resolution is handled separately in isBlockedHost.
-    function isPrivateIP(hostname) {
-        if (!hostname) return true;
-        let host = String(hostname).trim().toLowerCase();
-        // Strip brackets from IPv6 literals e.g. [::1]
-        if (host.startsWith('[') && host.endsWith(']')) {
-            host = host.slice(1, -1);
-        }
-
-        if (host === 'localhost') return true;
-
-        // IPv6
-        if (host.includes(':')) {
-            if (host === '::1' || host === '::') return true;
-            // IPv4-mapped IPv6 (::ffff:a.b.c.d)
-            const mapped = host.match(/::ffff:(\d+\.\d+\.\d+\.\d+)$/);
-            if (mapped) return isPrivateIPv4(mapped[1]);
-            const firstHextet = host.split(':')[0];
-            // Unique local fc00::/7 (fc.. or fd..)
-            if (/^f[cd][0-9a-f]{0,2}$/.test(firstHextet)) return true;
-            // Link-local fe80::/10
-            if (/^fe[89ab][0-9a-f]$/.test(firstHextet)) return true;
-            return false;
-        }
-
-        return isPrivateIPv4(host);
-    }
-
-    // Resolve a hostname and reject if the literal OR any resolved address is
-    // private. DNS resolution also normalizes alternate IPv4 encodings
-    // (decimal/octal/hex), closing those bypasses. Fails closed on resolution error.
-    async function isBlockedHost(hostname) {
-        if (isPrivateIP(hostname)) return true;
-        try {
-            const addresses = await dns.lookup(hostname, { all: true });
-            return addresses.some(a => isPrivateIP(a.address));
-        } catch (err) {
-            logger.warn(`DNS resolution failed for ${hostname}: ${err.message}`);
-            return true;
-        }
-    }
-
     // ==================== OLLAMA ROUTES ====================
 
     // Ollama endpoint is configurable via OLLAMA_URL env var or runtime API
@@ -688,7 +627,7 @@ function createAIGenerationRoutes(options) {
 
                 for (let hop = 0; ; hop++) {
                     const hopUrl = new URL(currentUrl);
-                    if (!['http:', 'https:'].includes(hopUrl.protocol) || await isBlockedHost(hopUrl.hostname)) {
+                    if (!['http:', 'https:'].includes(hopUrl.protocol) || await isBlockedHost(hopUrl.hostname, logger)) {
                         clearTimeout(timeoutId);
                         logger.warn(`Blocked private/internal URL request: ${currentUrl}`);
                         return res.status(403).json({
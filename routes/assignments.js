@@ -0,0 +1,175 @@
+/**
+ * Assignment Routes
+ *
+ * Teacher (signed in):
+ * GET    /api/assignments                — own assignments (?quiz=<filename> to filter)
+ * POST   /api/assignments                — publish a saved quiz with open/close dates
+ * PATCH  /api/assignments/:code          — move the open/close dates
+ * DELETE /api/assignments/:code          — delete (requires confirm=true; results are kept)
+ *
+ * Student (anonymous, identified by the attempt token):
+ * GET    /api/assignments/:code                          — title, window and status
+ * POST   /api/assignments/:code/attempts                 — start an attempt
+ * POST   /api/assignments/:code/attempts/:token/question — current question (starts its timer)
+ * POST   /api/assignments/:code/attempts/:token/answer   — answer the current question
+ */
+
+const express = require('express');
+const { requireUser } = require('../middleware/attach-user');
+
+/**
+ * Create assignment router with dependencies
+ * @param {Object} options - Configuration options
+ * @param {Object} options.assignmentService - Assignment service instance
+ * @param {Object} options.quizService - Quiz service instance
+ * @param {Object} options.metadataService - Metadata service instance
+ * @param {Object} options.logger - Logger instance
+ * @param {Function} options.validateBody - Body validation middleware
+ * @param {Function} options.validateParams - Params validation middleware
+ * @param {Object} options.schemas - Validation schemas
+ * @param {Function} options.lookupRateLimit - Per-IP limiter for looking up codes and starting attempts
+ * @param {Function} options.playRateLimit - Per-IP limiter for serving and answering questions
+ * @returns {express.Router} Configured router
+ */
+function createAssignmentRoutes(options) {
+    const {
+        assignmentService,
+        quizService,
+        metadataService,
+        logger,
+        validateBody,
+        validateParams,
+        schemas,
+        lookupRateLimit,
+        playRateLimit
+    } = options;
+
+    const router = express.Router();
+
+    function sendError(res, error, fallback, fallbackKey) {
+        res.status(error.status || 400).json({
+            error: error.message || fallback,
+            messageKey: error.messageKey || fallbackKey
+        });
+    }
+
+    // ============================================================================
+    // Teacher Endpoints
+    // ============================================================================
+
+    router.get('/', requireUser, async (req, res) => {
+        try {
+            const quizFilename = typeof req.query.quiz === 'string' ? req.query.quiz : null;
+            const assignments = await assignmentService.listAssignments(req.user.id, quizFilename);
+            res.json(assignments);
+        } catch (error) {
+            logger.error('List assignments error:', error);
+            res.status(500).json({ error: 'Failed to list assignments', messageKey: 'error_failed_list_assignments' });
+        }
+    });
+
+    router.post('/', requireUser, validateBody(schemas.createAssignmentSchema), async (req, res) => {
+        try {
+            const { quizFilename, opensAt, closesAt } = req.validatedBody;
+            if (!quizService.validateFilename(quizFilename)) {
+                return res.status(400).json({ error: 'Invalid filename', messageKey: 'error_invalid_filename' });
+            }
+
+            // Same gate as editing the quiz: owned quizzes only by their owner,
+            // ownerless legacy quizzes by anyone signed in
+            const quizMeta = metadataService.getQuizMetadata(quizFilename);
+            if (quizMeta?.ownerId && quizMeta.ownerId !== req.user.id) {
+                return res.status(403).json({ error: 'You do not own this quiz', messageKey: 'error_quiz_not_owner' });
+            }
+            // Anyone with the code gets the questions, so a password must not be
+            // bypassed this way (as for LMS deep links)
+            if (metadataService.requiresAuth(quizFilename, 'quiz', req.user.id)) {
+                return res.status(403).json({ error: 'Password-protected quizzes cannot be published', messageKey: 'error_assignment_quiz_protected' });
+            }
+
+            const assignment = await assignmentService.createAssignment({ quizFilename, opensAt, closesAt }, req.user.id);
+            res.status(201).json(assignment);
+        } catch (error) {
+            logger.error('Create assignment error:', error);
+            if (error.message === 'Quiz not found') {
+                return res.status(404).json({ error: error.message, messageKey: 'error_quiz_not_found' });
+            }
+            sendError(res, error, 'Failed to create assignment', 'error_failed_create_assignment');
+        }
+    });
+
+    router.patch('/:code', requireUser, validateParams(schemas.assignmentCodeParamSchema), validateBody(schemas.updateAssignmentSchema), async (req, res) => {
+        try {
+            const assignment = await assignmentService.updateAssignment(req.validatedParams.code, req.validatedBody, req.user.id);
+            res.json(assignment);
+        } catch (error) {
+            logger.error('Update assignment error:', error);
+            sendError(res, error, 'Failed to update assignment', 'error_failed_update_assignment');
+        }
+    });
+
+    router.delete('/:code', requireUser, validateParams(schemas.assignmentCodeParamSchema), async (req, res) => {
+        try {
+            if (req.query.confirm !== 'true') {
+                return res.status(400).json({ error: 'Delete requires confirm=true parameter', messageKey: 'error_confirm_required' });
+            }
+
+            const result = await assignmentService.deleteAssignment(req.validatedParams.code, req.user.id);
+            res.json(result);
+        } catch (error) {
+            logger.error('Delete assignment error:', error);
+            sendError(res, error, 'Failed to delete assignment', 'error_failed_delete_assignment');
+        }
+    });
+
+    // ============================================================================
+    // Student Endpoints
+    // ============================================================================
+
+    router.get('/:code', lookupRateLimit, validateParams(schemas.assignmentCodeParamSchema), async (req, res) => {
+        try {
+            const info = await assignmentService.getAssignmentInfo(req.validatedParams.code);
+            res.json(info);
+        } catch (error) {
+            logger.debug(`Assignment lookup failed: ${error.message}`);
+            sendError(res, error, 'Failed to load assignment', 'error_failed_load_assignment');
+        }
+    });
+
+    router.post('/:code/attempts', lookupRateLimit, validateParams(schemas.assignmentCodeParamSchema), validateBody(schemas.startAttemptSchema), async (req, res) => {
+        try {
+            const attempt = await assignmentService.startAttempt(req.validatedParams.code, req.validatedBody.name, req.user?.id || null);
+            res.status(201).json(attempt);
+        } catch (error) {
+            logger.debug(`Assignment attempt rejected: ${error.message}`);
+            sendError(res, error, 'Failed to start assignment', 'error_failed_start_assignment');
+        }
+    });
+
+    router.post('/:code/attempts/:token/question', playRateLimit, validateParams(schemas.assignmentAttemptParamSchema), async (req, res) => {
+        try {
+            const { code, token } = req.validatedParams;
+            const state = await assignmentService.serveQuestion(code, token);
+            res.json(state);
+        } catch (error) {
+            logger.debug(`Assignment question not served: ${error.message}`);
+            sendError(res, error, 'Failed to load question', 'error_failed_load_assignment');
+        }
+    });
+
+    router.post('/:code/attempts/:token/answer', playRateLimit, validateParams(schemas.assignmentAttemptParamSchema), validateBody(schemas.assignmentAnswerSchema), async (req, res) => {
+        try {
+            const { code, token } = req.validatedParams;
+            const { questionNumber, answer } = req.validatedBody;
+            const outcome = await assignmentService.submitAnswer(code, token, questionNumber, answer);
+            res.json(outcome);
+        } catch (error) {
+            logger.debug(`Assignment answer rejected: ${error.message}`);
+            sendError(res, error, 'Failed to submit answer', 'error_answer_rejected');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAssignmentRoutes };
@@ -5,6 +5,7 @@ const path = require('path');
 const fs = require('fs');
 const sharp = require('sharp');
 const { getClientIp } = require('../middleware/client-ip');
+const { SIGNATURE_BYTES, detectMediaType, isImageType } = require('../utils/media-signature');
 
 /**
  * File Upload Routes
@@ -152,23 +153,19 @@ function createFileUploadRoutes(options) {
 
             // Verify actual file content matches claimed type (magic byte check)
             // Use async file handle for non-blocking I/O
-            const buffer = Buffer.alloc(12);
+            const buffer = Buffer.alloc(SIGNATURE_BYTES);
             const fileHandle = await fs.promises.open(req.file.path, 'r');
             try {
-                await fileHandle.read(buffer, 0, 12, 0);
+                await fileHandle.read(buffer, 0, SIGNATURE_BYTES, 0);
             } finally {
                 await fileHandle.close();
             }
 
             // Detect image type from magic bytes
-            const isJPEG = buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF;
-            const isPNG = buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47;
-            const isGIF = buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46 && buffer[3] === 0x38;
-            const isWebP = buffer[0] === 0x52 && buffer[1] === 0x49 && buffer[2] === 0x46 && buffer[3] === 0x46 &&
-                     buffer[8] === 0x57 && buffer[9] === 0x45 && buffer[10] === 0x42 && buffer[11] === 0x50;
-            const isBMP = buffer[0] === 0x42 && buffer[1] === 0x4D;
-
-            const isValidImage = isJPEG || isPNG || isGIF || isWebP || isBMP;
+            const imageType = detectMediaType(buffer);
+            const isGIF = imageType === 'gif';
+            const isWebP = imageType === 'webp';
+            const isValidImage = isImageType(imageType);
 
             if (!isValidImage) {
                 logger.warn(`File content doesn't match image signature: ${req.file.filename}`);
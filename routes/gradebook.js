@@ -0,0 +1,48 @@
+/**
+ * Gradebook Routes
+ *
+ * POST /api/gradebook/export — grades from one or more saved results as an
+ * LMS gradebook CSV (see GradebookService for normalization, scales and layouts)
+ */
+
+const express = require('express');
+
+/**
+ * Create gradebook router with dependencies
+ * @param {Object} options - Configuration options
+ * @param {Object} options.gradebookService - Gradebook service instance
+ * @param {Object} options.logger - Logger instance
+ * @param {Function} options.validateBody - Body validation middleware
+ * @param {Object} options.schemas - Validation schemas
+ * @returns {express.Router} Configured router
+ */
+function createGradebookRoutes(options) {
+    const {
+        gradebookService,
+        logger,
+        validateBody,
+        schemas
+    } = options;
+
+    const router = express.Router();
+
+    router.post('/export', validateBody(schemas.gradebookExportSchema), async (req, res) => {
+        try {
+            const exportData = await gradebookService.exportGradebook(req.validatedBody);
+
+            res.setHeader('Content-Type', exportData.type);
+            res.setHeader('Content-Disposition', `attachment; filename="${exportData.filename}"`);
+            res.send(exportData.content);
+        } catch (error) {
+            logger.error('Gradebook export error:', error);
+            res.status(error.status || 400).json({
+                error: error.message || 'Failed to export gradebook',
+                messageKey: error.messageKey || 'error_failed_export_gradebook'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createGradebookRoutes };
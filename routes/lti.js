@@ -0,0 +1,214 @@
+/**
+ * LTI Routes
+ *
+ * GET  /api/lti/jwks      — the tool's public keys (registered in the LMS)
+ * GET  /api/lti/config    — URLs to register Quizix with an LMS
+ * GET|POST /api/lti/login — OIDC third-party initiated login
+ * POST /api/lti/launch    — id_token from the LMS: signs the user in, then
+ *                           opens Quizix (or the quiz picker for deep linking)
+ * POST /api/lti/deep-link — the instructor's pick, posted back to the LMS
+ *
+ * These are browser navigations from the LMS rather than API calls, so
+ * failures are answered with a short HTML page (see LtiService).
+ */
+
+const express = require('express');
+const { isSecureRequest } = require('../services/session-service');
+
+// Binds an OIDC login to the browser that started it (see LtiService.handleLaunch)
+const STATE_COOKIE = 'quizix_lti_state';
+const STATE_COOKIE_MAX_AGE_SEC = 10 * 60;
+
+/**
+ * Create LTI router with dependencies
+ * @param {Object} options - Configuration options
+ * @param {Object} options.ltiService - LTI service instance
+ * @param {Object} options.quizService - Quiz service instance (deep linking picker)
+ * @param {Object} options.metadataService - Metadata service instance (quiz ownership)
+ * @param {Object} options.sessionService - Session service instance (sign-in cookie)
+ * @param {Object} options.logger - Logger instance
+ * @param {string} options.basePath - Path Quizix is served under, ending in '/'
+ * @param {Function} options.requireUser - Auth middleware
+ * @param {Object} options.schemas - Validation schemas
+ * @returns {express.Router} Configured router
+ */
+function createLtiRoutes(options) {
+    const {
+        ltiService,
+        quizService,
+        metadataService,
+        sessionService,
+        logger,
+        basePath,
+        requireUser,
+        schemas
+    } = options;
+
+    const router = express.Router();
+
+    /**
+     * Base URL the LMS reaches Quizix at, ending in '/'
+     */
+    function toolUrl(req) {
+        return ltiService.toolUrl || `${isSecureRequest(req) ? 'https' : 'http'}://${req.get('host')}${basePath}`;
+    }
+
+    /**
+     * Set-Cookie value for the login state; an empty value clears it.
+     * The launch is a cross-site POST, so the cookie needs SameSite=None,
+     * which browsers only accept on Secure cookies (plain HTTP stays Lax)
+     */
+    function stateCookie(req, value) {
+        const secure = isSecureRequest(req);
+        const parts = [
+            `${STATE_COOKIE}=${value}`,
+            `Path=${basePath}api/lti/`,
+            'HttpOnly',
+            `SameSite=${secure ? 'None' : 'Lax'}`,
+            `Max-Age=${value ? STATE_COOKIE_MAX_AGE_SEC : 0}`
+        ];
+        if (secure) parts.push('Secure');
+        return parts.join('; ');
+    }
+
+    function readStateCookie(req) {
+        for (const part of String(req.headers.cookie || '').split(';')) {
+            const eq = part.indexOf('=');
+            if (eq >= 0 && part.slice(0, eq).trim() === STATE_COOKIE) {
+                return part.slice(eq + 1).trim();
+            }
+        }
+        return null;
+    }
+
+    function sendPage(res, status, html) {
+        res.status(status).type('html').send(html);
+    }
+
+    function sendError(res, error, fallback) {
+        sendPage(res, error.status || 400, ltiService.renderError(error.message || fallback));
+    }
+
+    /**
+     * Parse the request fields, answering with an error page when invalid
+     * @returns {Object|null}
+     */
+    function parseFields(schema, fields, res) {
+        const result = schema.safeParse(fields);
+        if (!result.success) {
+            const details = result.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ');
+            sendPage(res, 400, ltiService.renderError(`Invalid LTI request (${details})`));
+            return null;
+        }
+        return result.data;
+    }
+
+    /**
+     * Quizzes an instructor may publish: their own and ownerless ones, minus password-protected
+     */
+    async function linkableQuizzes(userId) {
+        const quizzes = await quizService.listQuizzes();
+        return quizzes
+            .filter(quiz => {
+                const meta = metadataService.getQuizMetadata(quiz.filename);
+                return (!meta?.ownerId || meta.ownerId === userId)
+                    && !metadataService.requiresAuth(quiz.filename, 'quiz', userId);
+            })
+            .sort((a, b) => String(a.title || a.filename).localeCompare(String(b.title || b.filename)));
+    }
+
+    router.get('/jwks', (req, res) => {
+        try {
+            res.json(ltiService.getJwks());
+        } catch (error) {
+            logger.error('LTI key error:', error);
+            res.status(500).json({ error: 'LTI key unavailable', messageKey: 'error_lti_not_configured' });
+        }
+    });
+
+    router.get('/config', (req, res) => {
+        const base = toolUrl(req);
+        res.json({
+            enabled: ltiService.isEnabled(),
+            loginUrl: `${base}api/lti/login`,
+            launchUrl: `${base}api/lti/launch`,
+            deepLinkUrl: `${base}api/lti/launch`,
+            jwksUrl: `${base}api/lti/jwks`
+        });
+    });
+
+    // Platforms may send the login as a redirect (GET) or a form post
+    function handleLogin(req, res) {
+        const fields = parseFields(schemas.ltiLoginSchema, { ...req.query, ...req.body }, res);
+        if (!fields) return;
+
+        try {
+            const { url, state } = ltiService.buildLoginRedirect(fields, toolUrl(req));
+            res.setHeader('Set-Cookie', stateCookie(req, state));
+            res.redirect(302, url);
+        } catch (error) {
+            logger.warn(`LTI login rejected: ${error.message}`);
+            sendError(res, error, 'LTI login failed');
+        }
+    }
+
+    router.get('/login', handleLogin);
+    router.post('/login', handleLogin);
+
+    router.post('/launch', async (req, res) => {
+        const fields = parseFields(schemas.ltiLaunchSchema, req.body, res);
+        if (!fields) return;
+
+        try {
+            const launch = await ltiService.handleLaunch({
+                idToken: fields.id_token,
+                state: fields.state,
+                browserState: readStateCookie(req)
+            });
+
+            // Same cookie as a password sign-in; the launch is a cross-site POST
+            const token = sessionService.signSession(launch.user.id);
+            res.setHeader('Set-Cookie', [
+                sessionService.buildSetCookie(token, { secure: isSecureRequest(req), crossSite: true }),
+                stateCookie(req, '')
+            ]);
+
+            if (launch.type === 'deep-link') {
+                const quizzes = await linkableQuizzes(launch.user.id);
+                return sendPage(res, 200, ltiService.renderDeepLinkPicker(launch.deepLinkId, quizzes, `${toolUrl(req)}api/lti/deep-link`));
+            }
+            const target = launch.assignmentCode ? `?assignment=${launch.assignmentCode}` : '';
+            res.redirect(303, `${basePath}${target}`);
+        } catch (error) {
+            logger.warn(`LTI launch rejected: ${error.message}`);
+            sendError(res, error, 'LTI launch failed');
+        }
+    });
+
+    router.post('/deep-link', requireUser, async (req, res) => {
+        const fields = parseFields(schemas.ltiDeepLinkSchema, req.body, res);
+        if (!fields) return;
+
+        try {
+            const meta = metadataService.getQuizMetadata(fields.quiz);
+            if ((meta?.ownerId && meta.ownerId !== req.user.id) || metadataService.requiresAuth(fields.quiz, 'quiz', req.user.id)) {
+                return sendPage(res, 403, ltiService.renderError('You can only add your own quizzes'));
+            }
+
+            const { returnUrl, jwt } = await ltiService.completeDeepLink(
+                fields.deepLink,
+                req.user.id,
+                { quizFilename: fields.quiz, mode: fields.mode, days: fields.days },
+                toolUrl(req)
+            );
+            sendPage(res, 200, ltiService.renderAutoPost(returnUrl, { JWT: jwt }));
+        } catch (error) {
+            logger.warn(`LTI deep link failed: ${error.message}`);
+            sendError(res, error, 'Could not add the quiz');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createLtiRoutes };
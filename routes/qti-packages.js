@@ -0,0 +1,111 @@
+/**
+ * QTI Package Routes
+ *
+ * IMS QTI content packages, for exchanging questions with LMSs and other
+ * assessment tools (see services/qti-package-service.js):
+ * POST /api/qti-package/export — package the questions in the request body
+ *                                as QTI 2.1 or 3.0
+ * POST /api/qti-package/import — upload a QTI 2.1 or 3.0 package; returns the
+ *                                converted questions with their images
+ *                                re-uploaded, for loading in the editor
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { MAX_PACKAGE_BYTES } = require('../services/quiz-package-service');
+
+// Longest question text quoted in a warning
+const WARNING_TEXT_LENGTH = 60;
+
+/**
+ * Create QTI package router with dependencies
+ * @param {Object} options - Configuration options
+ * @param {Object} options.qtiPackageService - QTI package service instance
+ * @param {Object} options.logger - Logger instance
+ * @param {Function} options.validateBody - Body validation middleware
+ * @param {Object} options.schemas - Validation schemas
+ * @param {Function} options.importRateLimit - Per-IP limiter for imports (each writes images to disk)
+ * @returns {express.Router} Configured router
+ */
+function createQtiPackageRoutes(options) {
+    const {
+        qtiPackageService,
+        logger,
+        validateBody,
+        schemas,
+        importRateLimit
+    } = options;
+
+    const router = express.Router();
+
+    const packageUpload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_PACKAGE_BYTES, files: 1 }
+    });
+
+    router.post('/export', validateBody(schemas.qtiExportSchema), async (req, res) => {
+        try {
+            const { version, title, questions } = req.validatedBody;
+            const { buffer, filename, warnings } = await qtiPackageService.exportPackage({ title, questions }, version);
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            // Questions QTI has no counterpart for
+            res.setHeader('X-Skipped-Questions', String(warnings.length));
+            res.send(buffer);
+        } catch (error) {
+            logger.error('QTI package export error:', error);
+            res.status(500).json({ error: 'Failed to export QTI package', messageKey: 'failed_export_quiz' });
+        }
+    });
+
+    router.post('/import', importRateLimit, packageUpload.single('package'), async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ error: 'No file uploaded', messageKey: 'error_no_file_uploaded' });
+            }
+
+            const pkg = await qtiPackageService.readPackage(req.file.buffer);
+
+            // Items map structure only; the same rules as saving apply
+            const items = [];
+            const warnings = [...pkg.warnings];
+            let skipped = pkg.skipped;
+            for (const item of pkg.items) {
+                const result = schemas.questionSchema.safeParse(item.question);
+                if (result.success) {
+                    items.push({ ...item, question: result.data });
+                } else {
+                    const text = String(item.question.question || '').slice(0, WARNING_TEXT_LENGTH);
+                    warnings.push(`"${text}": ${result.error.issues[0].message}, skipped`);
+                    skipped++;
+                }
+            }
+
+            const imported = await qtiPackageService.importPackage({ ...pkg, items });
+            const { title, questions, mediaCount } = imported;
+            warnings.push(...imported.warnings);
+            logger.info(`QTI import: ${questions.length} questions, ${skipped} skipped`);
+            res.json({ title, questions, mediaCount, warnings, skipped });
+        } catch (error) {
+            logger.error('QTI package import error:', error);
+            res.status(error.status || 400).json({ error: error.message || 'Failed to import QTI package', messageKey: error.messageKey || 'failed_import_quiz' });
+        }
+    });
+
+    // Multer errors (oversized package) return the JSON {error, messageKey} shape
+    router.use((err, req, res, next) => {
+        if (err instanceof multer.MulterError) {
+            logger.warn(`QTI package upload rejected (${err.code})`);
+            const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                error: err.message,
+                messageKey: tooLarge ? 'error_package_too_large' : 'error_upload_failed'
+            });
+        }
+        return next(err);
+    });
+
+    return router;
+}
+
+module.exports = { createQtiPackageRoutes };
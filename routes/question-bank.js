@@ -0,0 +1,67 @@
+/**
+ * Question Bank Routes
+ *
+ * Questions from every quiz the requester can see, for reuse in the editor:
+ * GET  /api/question-bank           — search (q, type, difficulty, concept, limit, offset)
+ * POST /api/question-bank/questions — full copies of picked questions
+ * POST /api/question-bank/draw      — random questions per concept, at game start
+ */
+
+const express = require('express');
+
+/**
+ * Create question bank router with dependencies
+ * @param {Object} options - Configuration options
+ * @param {Object} options.questionBankService - Question bank service instance
+ * @param {Object} options.logger - Logger instance
+ * @param {Function} options.validateBody - Body validation middleware
+ * @param {Function} options.validateQuery - Query validation middleware
+ * @param {Object} options.schemas - Validation schemas
+ * @returns {express.Router} Configured router
+ */
+function createQuestionBankRoutes(options) {
+    const {
+        questionBankService,
+        logger,
+        validateBody,
+        validateQuery,
+        schemas
+    } = options;
+
+    const router = express.Router();
+
+    router.get('/', validateQuery(schemas.questionBankSearchSchema), async (req, res) => {
+        try {
+            const result = await questionBankService.search(req.user?.id || null, req.validatedQuery);
+            res.json(result);
+        } catch (error) {
+            logger.error('Question bank search error:', error);
+            res.status(500).json({ error: 'Failed to search question bank', messageKey: 'error_failed_search_bank' });
+        }
+    });
+
+    router.post('/questions', validateBody(schemas.questionBankRefsSchema), async (req, res) => {
+        try {
+            const questions = await questionBankService.getQuestions(req.user?.id || null, req.validatedBody.refs);
+            res.json({ questions });
+        } catch (error) {
+            logger.error('Question bank load error:', error);
+            res.status(error.status || 400).json({ error: error.message || 'Failed to load questions', messageKey: error.messageKey || 'error_failed_load_bank_questions' });
+        }
+    });
+
+    router.post('/draw', validateBody(schemas.questionBankDrawSchema), async (req, res) => {
+        try {
+            const { draws, excludeTexts } = req.validatedBody;
+            const result = await questionBankService.drawQuestions(req.user?.id || null, draws, excludeTexts);
+            res.json(result);
+        } catch (error) {
+            logger.error('Question bank draw error:', error);
+            res.status(error.status || 400).json({ error: error.message || 'Failed to draw questions', messageKey: error.messageKey || 'error_failed_draw_questions' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createQuestionBankRoutes };
@@ -0,0 +1,98 @@
+/**
+ * Question Format Routes
+ *
+ * Convert questions to and from other quiz systems' exchange formats, without
+ * AI: POST /api/question-formats/import turns a file's text into Quizix
+ * questions, POST /api/question-formats/export turns a quiz into a file, and
+ * GET /api/question-formats/:format/template downloads a starting file for
+ * formats that have one. Each format is a converter
+ * { parse, serialize, contentType, extension, template? } registered in
+ * server.js; the format name is validated by the schemas.
+ * parse(text) returns { questions, warnings, skipped } and serialize(quiz)
+ * returns { content, warnings }, one warning per question left out.
+ */
+
+const express = require('express');
+
+// Longest question text quoted in a warning
+const WARNING_TEXT_LENGTH = 60;
+
+/**
+ * Create question format router with dependencies
+ * @param {Object} options - Configuration options
+ * @param {Object<string, Object>} options.questionFormats - Converters by format name
+ * @param {Object} options.logger - Logger instance
+ * @param {Function} options.validateBody - Body validation middleware
+ * @param {Object} options.schemas - Validation schemas
+ * @returns {express.Router} Configured router
+ */
+function createQuestionFormatRoutes(options) {
+    const {
+        questionFormats,
+        logger,
+        validateBody,
+        schemas
+    } = options;
+
+    const router = express.Router();
+
+    router.post('/import', validateBody(schemas.questionFormatImportSchema), (req, res) => {
+        try {
+            const { format, content } = req.validatedBody;
+            const converted = questionFormats[format].parse(content);
+
+            // Converters map structure only; the same rules as saving apply
+            const questions = [];
+            const warnings = [...converted.warnings];
+            let skipped = converted.skipped;
+            for (const question of converted.questions) {
+                const result = schemas.questionSchema.safeParse(question);
+                if (result.success) {
+                    questions.push(result.data);
+                } else {
+                    const text = String(question.question || '').slice(0, WARNING_TEXT_LENGTH);
+                    warnings.push(`"${text}": ${result.error.issues[0].message}, skipped`);
+                    skipped++;
+                }
+            }
+
+            logger.info(`Question import (${format}): ${questions.length} questions, ${skipped} skipped`);
+            res.json({ questions, warnings, skipped });
+        } catch (error) {
+            logger.error('Question import error:', error);
+            res.status(error.status || 400).json({ error: error.message || 'Failed to import questions', messageKey: error.messageKey || 'failed_import_quiz' });
+        }
+    });
+
+    router.post('/export', validateBody(schemas.questionFormatExportSchema), (req, res) => {
+        try {
+            const { format, title, questions } = req.validatedBody;
+            const { contentType, extension } = questionFormats[format];
+            const { content, warnings } = questionFormats[format].serialize({ title, questions });
+
+            const filename = `${title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}${extension}`;
+            res.setHeader('Content-Type', contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            // Questions the format has no counterpart for
+            res.setHeader('X-Skipped-Questions', String(warnings.length));
+            res.send(content);
+        } catch (error) {
+            logger.error('Question export error:', error);
+            res.status(500).json({ error: 'Failed to export questions', messageKey: 'failed_export_quiz' });
+        }
+    });
+
+    router.get('/:format/template', (req, res) => {
+        const converter = Object.hasOwn(questionFormats, req.params.format) ? questionFormats[req.params.format] : null;
+        if (!converter?.template) {
+            return res.status(404).json({ error: 'No template for this format', messageKey: 'invalid_file_format' });
+        }
+        res.setHeader('Content-Type', converter.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="quizix_template${converter.extension}"`);
+        res.send(converter.template());
+    });
+
+    return router;
+}
+
+module.exports = { createQuestionFormatRoutes };
@@ -107,7 +107,7 @@ function createQuizManagementRoutes(options) {
     router.post('/api/save-results', async (req, res) => {
         try {
             const { quizTitle, gamePin, results, startTime, endTime, questions } = req.body;
-            const result = await resultsService.saveResults(quizTitle, gamePin, results, startTime, endTime, questions);
+            const result = await resultsService.saveResults(quizTitle, gamePin, results, startTime, endTime, questions, req.user?.id || null);
             res.json(result);
         } catch (error) {
             logger.error('Save results error:', error);
@@ -183,7 +183,7 @@ function createQuizManagementRoutes(options) {
             res.setHeader('Content-Type', exportData.type);
             res.setHeader('Content-Disposition', `attachment; filename="${sanitizedFilename}"`);
 
-            // Send content (works for both CSV and JSON)
+            // Send content (a string for CSV and JSON, a Buffer for XLSX and PDF)
             res.send(exportData.content);
         } catch (error) {
             logger.error('Error exporting result file:', error);
@@ -192,6 +192,39 @@ function createQuizManagementRoutes(options) {
         }
     });
 
+    // Report cards of every player in a result, as a zip of HTML or PDF files
+    router.get('/api/results/:filename/reports', async (req, res) => {
+        try {
+            const exportData = await resultsService.exportPlayerReports(req.params.filename, req.query.format || 'html');
+
+            res.setHeader('Content-Type', exportData.type);
+            res.setHeader('Content-Disposition', `attachment; filename="${exportData.filename}"`);
+            res.send(exportData.content);
+        } catch (error) {
+            logger.error('Error exporting report cards:', error);
+            const statusCode = error.message === 'Result file not found' ? 404 : 400;
+            res.status(statusCode).json({ error: error.message || 'Failed to export report cards', messageKey: error.messageKey || 'error_failed_export_result' });
+        }
+    });
+
+    // One player's report card (the player's own "download my report" link)
+    router.get('/api/results/:filename/reports/:player', async (req, res) => {
+        try {
+            const exportData = await resultsService.getPlayerReport(req.params.filename, req.params.player, req.query.format || 'html');
+
+            // Player names can be in any script: ASCII fallback plus the RFC 5987 UTF-8 name
+            const asciiFilename = exportData.filename.replace(/[^\x20-\x7E]|["\\]/g, '_');
+            res.setHeader('Content-Type', exportData.type);
+            res.setHeader('Content-Disposition',
+                `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodeURIComponent(exportData.filename)}`);
+            res.send(exportData.content);
+        } catch (error) {
+            logger.error('Error exporting report card:', error);
+            const notFound = ['Result file not found', 'Player not found in result'].includes(error.message);
+            res.status(notFound ? 404 : 400).json({ error: error.message || 'Failed to export report card', messageKey: error.messageKey || 'error_failed_export_result' });
+        }
+    });
+
     // ============================================================================
     // Game Management Endpoints
     // ============================================================================
@@ -0,0 +1,90 @@
+/**
+ * Quiz Package Routes
+ *
+ * `.quizix` archives: a quiz with its settings and media, for moving quizzes
+ * between servers (see services/quiz-package-service.js):
+ * POST /api/quiz-package/export — package the quiz in the request body
+ * POST /api/quiz-package/import — upload a package; returns the quiz with its
+ *                                 media re-uploaded, for loading in the editor
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { MAX_PACKAGE_BYTES } = require('../services/quiz-package-service');
+
+/**
+ * Create quiz package router with dependencies
+ * @param {Object} options - Configuration options
+ * @param {Object} options.quizPackageService - Quiz package service instance
+ * @param {Object} options.logger - Logger instance
+ * @param {Function} options.validateBody - Body validation middleware
+ * @param {Object} options.schemas - Validation schemas
+ * @param {Function} options.importRateLimit - Per-IP limiter for imports (each writes media to disk)
+ * @returns {express.Router} Configured router
+ */
+function createQuizPackageRoutes(options) {
+    const {
+        quizPackageService,
+        logger,
+        validateBody,
+        schemas,
+        importRateLimit
+    } = options;
+
+    const router = express.Router();
+
+    const packageUpload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_PACKAGE_BYTES, files: 1 }
+    });
+
+    router.post('/export', validateBody(schemas.quizPackageSchema), async (req, res) => {
+        try {
+            const { buffer, filename } = await quizPackageService.exportPackage(req.validatedBody);
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            res.send(buffer);
+        } catch (error) {
+            logger.error('Quiz package export error:', error);
+            res.status(500).json({ error: 'Failed to export quiz package', messageKey: 'error_failed_export_package' });
+        }
+    });
+
+    router.post('/import', importRateLimit, packageUpload.single('package'), async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ error: 'No file uploaded', messageKey: 'error_no_file_uploaded' });
+            }
+
+            const pkg = await quizPackageService.readPackage(req.file.buffer);
+            const parsed = schemas.quizPackageSchema.safeParse(pkg.quiz);
+            if (!parsed.success) {
+                logger.warn(`Quiz package import rejected: ${parsed.error.issues.map(issue => issue.path.join('.')).join(', ')}`);
+                return res.status(400).json({ error: 'Package contains an invalid quiz', messageKey: 'invalid_quiz_format' });
+            }
+
+            const result = await quizPackageService.importPackage({ ...pkg, quiz: parsed.data });
+            res.json(result);
+        } catch (error) {
+            logger.error('Quiz package import error:', error);
+            res.status(error.status || 400).json({ error: error.message || 'Failed to import quiz package', messageKey: error.messageKey || 'failed_import_quiz' });
+        }
+    });
+
+    // Multer errors (oversized package) return the JSON {error, messageKey} shape
+    router.use((err, req, res, next) => {
+        if (err instanceof multer.MulterError) {
+            logger.warn(`Quiz package upload rejected (${err.code})`);
+            const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                error: err.message,
+                messageKey: tooLarge ? 'error_package_too_large' : 'error_upload_failed'
+            });
+        }
+        return next(err);
+    });
+
+    return router;
+}
+
+module.exports = { createQuizPackageRoutes };
@@ -0,0 +1,56 @@
+/**
+ * Review Queue Routes
+ *
+ * The signed-in learner's spaced-repetition queue (scheduled in the browser):
+ * GET /api/review — the stored queue
+ * PUT /api/review — replace the queue
+ */
+
+const express = require('express');
+const { requireUser } = require('../middleware/attach-user');
+
+/**
+ * Create review queue router with dependencies
+ * @param {Object} options - Configuration options
+ * @param {Object} options.reviewQueueService - Review queue service instance
+ * @param {Object} options.logger - Logger instance
+ * @param {Function} options.validateBody - Body validation middleware
+ * @param {Object} options.schemas - Validation schemas
+ * @returns {express.Router} Configured router
+ */
+function createReviewRoutes(options) {
+    const {
+        reviewQueueService,
+        logger,
+        validateBody,
+        schemas
+    } = options;
+
+    const router = express.Router();
+
+    router.use(requireUser);
+
+    router.get('/', async (req, res) => {
+        try {
+            const queue = await reviewQueueService.getQueue(req.user.id);
+            res.json(queue);
+        } catch (error) {
+            logger.error('Load review queue error:', error);
+            res.status(500).json({ error: 'Failed to load review queue', messageKey: 'error_failed_load_review' });
+        }
+    });
+
+    router.put('/', validateBody(schemas.saveReviewQueueSchema), async (req, res) => {
+        try {
+            const queue = await reviewQueueService.saveQueue(req.user.id, req.validatedBody.items);
+            res.json(queue);
+        } catch (error) {
+            logger.error('Save review queue error:', error);
+            res.status(500).json({ error: 'Failed to save review queue', messageKey: 'error_failed_save_review' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createReviewRoutes };
@@ -0,0 +1,122 @@
+/**
+ * Student Roster Routes
+ *
+ * All endpoints act on the signed-in teacher's own roster:
+ * GET    /api/students                       — roster with progress summaries
+ * POST   /api/students                       — add a student (returns its join code)
+ * PATCH  /api/students/:id                   — rename and/or issue a new join code
+ * DELETE /api/students/:id                   — remove a student and their progress (requires confirm=true)
+ * GET    /api/students/:id/profile           — longitudinal progress profile
+ * GET    /api/students/:id/profile/export    — profile download (?format=csv|json)
+ */
+
+const express = require('express');
+const { requireUser } = require('../middleware/attach-user');
+
+/**
+ * Create student roster router with dependencies
+ * @param {Object} options - Configuration options
+ * @param {Object} options.userService - User service (owns the rosters)
+ * @param {Object} options.studentProgressService - Student progress service
+ * @param {Object} options.logger - Logger instance
+ * @param {Function} options.validateBody - Body validation middleware
+ * @param {Function} options.validateParams - Params validation middleware
+ * @param {Object} options.schemas - Validation schemas
+ * @returns {express.Router} Configured router
+ */
+function createStudentRoutes(options) {
+    const {
+        userService,
+        studentProgressService,
+        logger,
+        validateBody,
+        validateParams,
+        schemas
+    } = options;
+
+    const router = express.Router();
+
+    function sendError(res, error, fallback, fallbackKey) {
+        res.status(error.status || 400).json({
+            error: error.message || fallback,
+            messageKey: error.messageKey || fallbackKey
+        });
+    }
+
+    router.use(requireUser);
+
+    router.get('/', async (req, res) => {
+        try {
+            const students = await studentProgressService.listSummaries(req.user.id);
+            res.json(students);
+        } catch (error) {
+            logger.error('List students error:', error);
+            res.status(500).json({ error: 'Failed to list students', messageKey: 'error_failed_list_students' });
+        }
+    });
+
+    router.post('/', validateBody(schemas.createStudentSchema), async (req, res) => {
+        try {
+            const student = await userService.addStudent(req.user.id, req.validatedBody.name);
+            res.status(201).json(student);
+        } catch (error) {
+            logger.error('Add student error:', error);
+            sendError(res, error, 'Failed to add student', 'error_failed_add_student');
+        }
+    });
+
+    router.patch('/:id', validateParams(schemas.studentIdParamSchema), validateBody(schemas.updateStudentSchema), async (req, res) => {
+        try {
+            const student = await userService.updateStudent(req.user.id, req.validatedParams.id, req.validatedBody);
+            res.json(student);
+        } catch (error) {
+            logger.error('Update student error:', error);
+            sendError(res, error, 'Failed to update student', 'error_failed_update_student');
+        }
+    });
+
+    router.delete('/:id', validateParams(schemas.studentIdParamSchema), async (req, res) => {
+        try {
+            if (req.query.confirm !== 'true') {
+                return res.status(400).json({ error: 'Delete requires confirm=true parameter', messageKey: 'error_confirm_required' });
+            }
+
+            const student = await userService.removeStudent(req.user.id, req.validatedParams.id);
+            await studentProgressService.deleteProgress(student.id);
+            res.json({ success: true });
+        } catch (error) {
+            logger.error('Remove student error:', error);
+            sendError(res, error, 'Failed to remove student', 'error_failed_remove_student');
+        }
+    });
+
+    router.get('/:id/profile', validateParams(schemas.studentIdParamSchema), async (req, res) => {
+        try {
+            const profile = await studentProgressService.getProfile(req.user.id, req.validatedParams.id);
+            res.json(profile);
+        } catch (error) {
+            logger.error('Student profile error:', error);
+            sendError(res, error, 'Failed to load student profile', 'error_failed_load_profile');
+        }
+    });
+
+    router.get('/:id/profile/export', validateParams(schemas.studentIdParamSchema), async (req, res) => {
+        try {
+            const format = typeof req.query.format === 'string' ? req.query.format : 'csv';
+            const exportData = await studentProgressService.exportProfile(req.user.id, req.validatedParams.id, format);
+
+            // Sanitize filename to prevent header injection
+            const sanitizedFilename = exportData.filename.replace(/[\r\n"]/g, '_');
+            res.setHeader('Content-Type', exportData.type);
+            res.setHeader('Content-Disposition', `attachment; filename="${sanitizedFilename}"`);
+            res.send(exportData.content);
+        } catch (error) {
+            logger.error('Student profile export error:', error);
+            sendError(res, error, 'Failed to export student profile', 'error_failed_export_profile');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createStudentRoutes };
@@ -0,0 +1,135 @@
+/**
+ * Webhook Routes
+ *
+ * All endpoints act on the signed-in user's own webhooks:
+ * GET    /api/webhooks                        — hooks (secrets hidden) and the event names
+ * POST   /api/webhooks                        — add a hook (returns its secret once)
+ * PATCH  /api/webhooks/:id                    — change URL, events, description or enabled
+ * DELETE /api/webhooks/:id                    — remove a hook
+ * POST   /api/webhooks/:id/test               — queue a ping delivery
+ * POST   /api/webhooks/:id/secret             — replace the secret (returns it once)
+ * GET    /api/webhooks/deliveries             — delivery log, newest first (?hookId=&status=)
+ * POST   /api/webhooks/deliveries/:id/retry   — send a finished delivery again
+ */
+
+const express = require('express');
+const { requireUser } = require('../middleware/attach-user');
+const { WEBHOOK_EVENTS } = require('../services/webhook-service');
+
+/**
+ * Create webhook router with dependencies
+ * @param {Object} options - Configuration options
+ * @param {Object} options.webhookService - Webhook service instance
+ * @param {Object} options.logger - Logger instance
+ * @param {Function} options.validateBody - Body validation middleware
+ * @param {Function} options.validateParams - Params validation middleware
+ * @param {Function} options.validateQuery - Query validation middleware
+ * @param {Object} options.schemas - Validation schemas
+ * @returns {express.Router} Configured router
+ */
+function createWebhookRoutes(options) {
+    const {
+        webhookService,
+        logger,
+        validateBody,
+        validateParams,
+        validateQuery,
+        schemas
+    } = options;
+
+    const router = express.Router();
+
+    function sendError(res, error, fallback, fallbackKey) {
+        res.status(error.status || 400).json({
+            error: error.message || fallback,
+            messageKey: error.messageKey || fallbackKey
+        });
+    }
+
+    router.use(requireUser);
+
+    router.get('/', async (req, res) => {
+        try {
+            const hooks = await webhookService.listHooks(req.user.id);
+            res.json({ hooks, events: WEBHOOK_EVENTS });
+        } catch (error) {
+            logger.error('List webhooks error:', error);
+            res.status(500).json({ error: 'Failed to list webhooks', messageKey: 'error_failed_list_webhooks' });
+        }
+    });
+
+    router.post('/', validateBody(schemas.createWebhookSchema), async (req, res) => {
+        try {
+            const hook = await webhookService.createHook(req.user.id, req.validatedBody);
+            res.status(201).json(hook);
+        } catch (error) {
+            logger.error('Create webhook error:', error);
+            sendError(res, error, 'Failed to save webhook', 'error_failed_save_webhook');
+        }
+    });
+
+    // Registered before /:id so "deliveries" is never taken for a hook ID
+    router.get('/deliveries', validateQuery(schemas.webhookDeliveriesQuerySchema), async (req, res) => {
+        try {
+            const deliveries = await webhookService.listDeliveries(req.user.id, req.validatedQuery);
+            res.json(deliveries);
+        } catch (error) {
+            logger.error('List webhook deliveries error:', error);
+            res.status(500).json({ error: 'Failed to load deliveries', messageKey: 'error_failed_list_webhooks' });
+        }
+    });
+
+    router.post('/deliveries/:id/retry', validateParams(schemas.webhookIdParamSchema), async (req, res) => {
+        try {
+            const delivery = await webhookService.retryDelivery(req.user.id, req.validatedParams.id);
+            res.status(202).json(delivery);
+        } catch (error) {
+            logger.error('Retry webhook delivery error:', error);
+            sendError(res, error, 'Failed to retry delivery', 'action_failed');
+        }
+    });
+
+    router.patch('/:id', validateParams(schemas.webhookIdParamSchema), validateBody(schemas.updateWebhookSchema), async (req, res) => {
+        try {
+            const hook = await webhookService.updateHook(req.user.id, req.validatedParams.id, req.validatedBody);
+            res.json(hook);
+        } catch (error) {
+            logger.error('Update webhook error:', error);
+            sendError(res, error, 'Failed to save webhook', 'error_failed_save_webhook');
+        }
+    });
+
+    router.delete('/:id', validateParams(schemas.webhookIdParamSchema), async (req, res) => {
+        try {
+            await webhookService.deleteHook(req.user.id, req.validatedParams.id);
+            res.json({ success: true });
+        } catch (error) {
+            logger.error('Delete webhook error:', error);
+            sendError(res, error, 'Failed to delete webhook', 'action_failed');
+        }
+    });
+
+    router.post('/:id/test', validateParams(schemas.webhookIdParamSchema), async (req, res) => {
+        try {
+            const delivery = await webhookService.sendTest(req.user.id, req.validatedParams.id);
+            res.status(202).json(delivery);
+        } catch (error) {
+            logger.error('Test webhook error:', error);
+            sendError(res, error, 'Failed to send test', 'action_failed');
+        }
+    });
+
+    router.post('/:id/secret', validateParams(schemas.webhookIdParamSchema), async (req, res) => {
+        try {
+            const hook = await webhookService.rotateSecret(req.user.id, req.validatedParams.id);
+            res.json(hook);
+        } catch (error) {
+            logger.error('Rotate webhook secret error:', error);
+            sendError(res, error, 'Failed to replace secret', 'action_failed');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createWebhookRoutes };
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Storage Migration Script for Quizix Pro
+ *
+ * One-shot import of the file-based data into the SQLite storage backend:
+ * - quizzes/*.json
+ * - results/*.json
+ * - quizzes/quiz-metadata.json and quizzes/users.json
+ *
+ * Usage: node scripts/migrate-storage.js [--dry-run] [--overwrite]
+ *
+ *   --dry-run    Report what would be imported without writing anything
+ *   --overwrite  Replace documents that already exist in the database
+ *                (by default they are skipped, so re-running is safe)
+ *
+ * The database path is SQLITE_PATH (default quizzes/quizix.db). Source files
+ * are left untouched; once the import looks right, start the server with
+ * STORAGE_BACKEND=sqlite.
+ */
+
+require('dotenv').config();
+
+const { COLLECTIONS, DEFAULT_SQLITE_PATH } = require('../services/storage-adapter');
+const { FileStorageAdapter } = require('../services/file-storage-adapter');
+const { SqliteStorageAdapter } = require('../services/sqlite-storage-adapter');
+
+// The migration reports through the console; adapters only log debug noise
+const quietLogger = {
+    debug: () => {},
+    info: () => {},
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+/**
+ * Copy every document from one adapter into another
+ * @param {StorageAdapter} source - Adapter to read from
+ * @param {StorageAdapter} target - Adapter to write to
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Count only, write nothing
+ * @param {boolean} [options.overwrite=false] - Replace existing target documents
+ * @returns {Promise<Object>} Per-collection { imported, skipped, failed: [{key, error}] }
+ */
+async function migrateStorage(source, target, options = {}) {
+    const { dryRun = false, overwrite = false } = options;
+    const report = {};
+
+    for (const collection of Object.values(COLLECTIONS)) {
+        const stats = { imported: 0, skipped: 0, failed: [] };
+        report[collection] = stats;
+
+        for (const key of await source.keys(collection)) {
+            try {
+                const document = await source.read(collection, key);
+                if (document === null) continue;
+
+                if (!overwrite && await target.exists(collection, key)) {
+                    stats.skipped++;
+                    continue;
+                }
+
+                if (!dryRun) {
+                    await target.write(collection, key, document);
+                }
+                stats.imported++;
+            } catch (error) {
+                stats.failed.push({ key, error: error.message });
+            }
+        }
+    }
+
+    return report;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const overwrite = args.includes('--overwrite');
+    const sqlitePath = process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH;
+
+    const source = new FileStorageAdapter(quietLogger);
+    const target = new SqliteStorageAdapter(quietLogger, { filename: sqlitePath });
+
+    console.log(`Migrating file storage to SQLite (${sqlitePath})${dryRun ? ' [dry run]' : ''}`);
+
+    await target.initialize();
+    let report;
+    try {
+        report = await migrateStorage(source, target, { dryRun, overwrite });
+    } finally {
+        await target.shutdown();
+    }
+
+    let failures = 0;
+    for (const [collection, stats] of Object.entries(report)) {
+        console.log(`  ${collection}: ${stats.imported} imported, ${stats.skipped} already present, ${stats.failed.length} failed`);
+        for (const { key, error } of stats.failed) {
+            console.error(`    ✗ ${key}: ${error}`);
+        }
+        failures += stats.failed.length;
+    }
+
+    if (failures > 0) {
+        console.error(`\n${failures} document(s) could not be imported; fix or remove them and re-run.`);
+        process.exitCode = 1;
+    } else if (!dryRun) {
+        console.log('\nDone. Set STORAGE_BACKEND=sqlite to use the database.');
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Migration failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { migrateStorage };
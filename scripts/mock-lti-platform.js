@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * Mock LTI 1.3 Platform
+ *
+ * A stand-in LMS for trying Quizix's LTI integration locally, and the
+ * platform the LTI tests launch from. It plays the LMS side of every flow:
+ * third-party initiated login, the OIDC auth endpoint (signed id_token,
+ * auto-posted to the tool), deep linking returns, the OAuth2 token endpoint
+ * and an AGS scores endpoint that records what the tool sends.
+ *
+ * Usage: node scripts/mock-lti-platform.js [--port 4100] [--tool http://localhost:3000/]
+ *
+ * Add the printed registration to config/lti-platforms.json, restart
+ * Quizix, then open the printed URL: "Add content" runs deep linking as the
+ * teacher, and each created link can be launched as a student. Scores the
+ * tool posts are listed on the same page.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const LTI = 'https://purl.imsglobal.org/spec/lti/claim/';
+const LTI_DL = 'https://purl.imsglobal.org/spec/lti-dl/claim/';
+const AGS_ENDPOINT = 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint';
+const AGS_SCORE_SCOPE = 'https://purl.imsglobal.org/spec/lti-ags/scope/score';
+const ROLE_INSTRUCTOR = 'http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor';
+const ROLE_LEARNER = 'http://purl.imsglobal.org/vocab/lis/v2/membership#Learner';
+const DEEP_LINK_HINT = 'deep-link';
+
+const DEFAULT_USERS = {
+    teacher: { name: 'Tina Teacher', roles: [ROLE_INSTRUCTOR] },
+    alice: { name: 'Alice Student', roles: [ROLE_LEARNER] },
+    bob: { name: 'Bob Student', roles: [ROLE_LEARNER] }
+};
+
+function b64url(buf) {
+    return Buffer.from(buf).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromB64url(str) {
+    return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function page(body) {
+    return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>Mock LMS</title></head>
+<body style="font-family: system-ui, sans-serif; max-width: 760px; margin: 2rem auto">${body}</body></html>`;
+}
+
+function autoPost(action, fields) {
+    const inputs = Object.entries(fields)
+        .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+        .join('');
+    return page(`<form id="f" method="post" action="${escapeHtml(action)}">${inputs}<button>Continue</button></form>
+<script>document.getElementById('f').submit();</script>`);
+}
+
+function platformError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+class MockLtiPlatform {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.toolUrl='http://localhost:3000/'] - Quizix base URL, ending in '/'
+     * @param {string} [options.clientId='quizix-mock'] - Client ID the tool is registered under
+     * @param {string} [options.deploymentId='1'] - Deployment ID sent in launches
+     * @param {Function} [options.getToolJwks] - Tool key set; fetched from the tool by default
+     */
+    constructor(options = {}) {
+        this.toolUrl = (options.toolUrl || 'http://localhost:3000/').replace(/\/?$/, '/');
+        this.clientId = options.clientId || 'quizix-mock';
+        this.deploymentId = options.deploymentId || '1';
+        this.getToolJwks = options.getToolJwks || (async () => (await fetch(`${this.toolUrl}api/lti/jwks`)).json());
+
+        const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        this.privateKey = privateKey;
+        this.jwk = { ...crypto.createPublicKey(privateKey).export({ format: 'jwk' }), kid: 'mock-platform-1', alg: 'RS256', use: 'sig' };
+
+        this.users = { ...DEFAULT_USERS };
+        this.links = new Map(); // id -> { title, custom, lineItem }
+        this.scores = []; // { linkId, ...score }
+        this.tokens = new Set();
+        this.issuer = null;
+        this.server = null;
+    }
+
+    /**
+     * Listen on a port (0 picks a free one)
+     * @param {number} [port=0]
+     * @returns {Promise<string>} The issuer (base URL)
+     */
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = this._createApp().listen(port, '127.0.0.1', () => {
+                this.issuer = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.issuer);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    /**
+     * Entry for the tool's lti-platforms.json
+     */
+    get registration() {
+        return {
+            name: 'Mock LMS',
+            issuer: this.issuer,
+            clientId: this.clientId,
+            deploymentIds: [this.deploymentId],
+            authLoginUrl: `${this.issuer}/auth`,
+            authTokenUrl: `${this.issuer}/token`,
+            jwksUrl: `${this.issuer}/jwks`
+        };
+    }
+
+    /**
+     * Add a resource link directly, as if created by deep linking
+     * @param {Object} link - { title, custom, lineItem }
+     * @returns {string} Link ID
+     */
+    addLink(link) {
+        const id = `link-${this.links.size + 1}`;
+        this.links.set(id, { title: link.title || id, custom: link.custom || {}, lineItem: link.lineItem || null });
+        return id;
+    }
+
+    lineItemUrl(linkId) {
+        return `${this.issuer}/lineitems/${linkId}`;
+    }
+
+    /**
+     * URL of the tool's login endpoint starting a launch
+     * @param {string} userId - Mock user (teacher, alice, bob)
+     * @param {string} [linkId] - Resource link; omitted for deep linking
+     * @returns {string}
+     */
+    loginInitiationUrl(userId, linkId = null) {
+        const url = new URL(`${this.toolUrl}api/lti/login`);
+        url.searchParams.set('iss', this.issuer);
+        url.searchParams.set('login_hint', userId);
+        url.searchParams.set('client_id', this.clientId);
+        url.searchParams.set('lti_message_hint', linkId || DEEP_LINK_HINT);
+        url.searchParams.set('target_link_uri', `${this.toolUrl}api/lti/launch`);
+        return url.toString();
+    }
+
+    _sign(payload) {
+        const input = `${b64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: this.jwk.kid }))}.${b64url(JSON.stringify(payload))}`;
+        return `${input}.${b64url(crypto.sign('RSA-SHA256', Buffer.from(input), this.privateKey))}`;
+    }
+
+    /**
+     * Verify a JWT signed by the tool
+     * @param {string} token
+     * @returns {Promise<Object>} Payload
+     */
+    async verifyToolJwt(token) {
+        const [header, payload, signature] = String(token).split('.');
+        if (!signature) throw platformError('Malformed JWT');
+        const { kid } = JSON.parse(fromB64url(header).toString('utf8'));
+        const jwks = await this.getToolJwks();
+        const jwk = jwks.keys.find(key => key.kid === kid);
+        if (!jwk) throw platformError('Unknown tool key', 401);
+        const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        if (!crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), key, fromB64url(signature))) {
+            throw platformError('Bad tool signature', 401);
+        }
+        return JSON.parse(fromB64url(payload).toString('utf8'));
+    }
+
+    /**
+     * The OIDC auth endpoint: answer the tool's auth request with a signed id_token
+     * @param {Object} params - Auth request query
+     * @returns {{action: string, fields: {id_token: string, state: string}}} Form to post to the tool
+     */
+    authorize(params) {
+        if (params.client_id !== this.clientId) throw platformError('Unknown client_id');
+        if (params.redirect_uri !== `${this.toolUrl}api/lti/launch`) throw platformError('redirect_uri not registered');
+        if (params.response_type !== 'id_token' || params.scope !== 'openid') throw platformError('Unsupported auth request');
+        const user = this.users[params.login_hint];
+        if (!user) throw platformError('Unknown login_hint');
+
+        const now = Math.floor(Date.now() / 1000);
+        const claims = {
+            iss: this.issuer,
+            aud: this.clientId,
+            sub: `user-${params.login_hint}`,
+            iat: now,
+            exp: now + 300,
+            nonce: params.nonce,
+            name: user.name,
+            [`${LTI}version`]: '1.3.0',
+            [`${LTI}deployment_id`]: this.deploymentId,
+            [`${LTI}roles`]: user.roles,
+            [`${LTI}context`]: { id: 'course-1', title: 'Mock Course' }
+        };
+
+        if (params.lti_message_hint === DEEP_LINK_HINT) {
+            Object.assign(claims, {
+                [`${LTI}message_type`]: 'LtiDeepLinkingRequest',
+                [`${LTI_DL}deep_linking_settings`]: {
+                    deep_link_return_url: `${this.issuer}/deep-link-return`,
+                    accept_types: ['ltiResourceLink'],
+                    accept_presentation_document_targets: ['window'],
+                    data: 'mock-dl-data'
+                }
+            });
+        } else {
+            const link = this.links.get(params.lti_message_hint);
+            if (!link) throw platformError('Unknown resource link');
+            Object.assign(claims, {
+                [`${LTI}message_type`]: 'LtiResourceLinkRequest',
+                [`${LTI}target_link_uri`]: `${this.toolUrl}api/lti/launch`,
+                [`${LTI}resource_link`]: { id: params.lti_message_hint, title: link.title },
+                [`${LTI}custom`]: link.custom,
+                ...(link.lineItem && {
+                    [AGS_ENDPOINT]: { scope: [AGS_SCORE_SCOPE], lineitem: this.lineItemUrl(params.lti_message_hint) }
+                })
+            });
+        }
+
+        return { action: params.redirect_uri, fields: { id_token: this._sign(claims), state: params.state } };
+    }
+
+    /**
+     * Accept a deep linking response and create its resource links
+     * @param {string} jwt - JWT posted by the tool
+     * @returns {Promise<string[]>} Created link IDs
+     */
+    async receiveDeepLink(jwt) {
+        const payload = await this.verifyToolJwt(jwt);
+        if (payload.iss !== this.clientId || payload.aud !== this.issuer) throw platformError('Deep link is for another platform');
+        if (payload[`${LTI}message_type`] !== 'LtiDeepLinkingResponse') throw platformError('Not a deep linking response');
+        if (payload[`${LTI_DL}data`] !== 'mock-dl-data') throw platformError('Deep linking data not echoed');
+        return (payload[`${LTI_DL}content_items`] || [])
+            .filter(item => item.type === 'ltiResourceLink')
+            .map(item => this.addLink(item));
+    }
+
+    /**
+     * OAuth2 client credentials grant with a signed client assertion
+     * @param {Object} body - Token request form
+     * @returns {Promise<Object>} Token response
+     */
+    async issueToken(body) {
+        if (body.grant_type !== 'client_credentials') throw platformError('Unsupported grant_type');
+        const assertion = await this.verifyToolJwt(body.client_assertion);
+        if (assertion.iss !== this.clientId || assertion.sub !== this.clientId || assertion.aud !== `${this.issuer}/token`) {
+            throw platformError('Invalid client assertion', 401);
+        }
+        const token = crypto.randomBytes(16).toString('hex');
+        this.tokens.add(token);
+        return { access_token: token, token_type: 'Bearer', expires_in: 3600, scope: body.scope };
+    }
+
+    _createApp() {
+        const app = express();
+        app.use(express.urlencoded({ extended: false }));
+        app.use(express.json({ type: ['application/json', 'application/vnd.ims.lis.v1.score+json'] }));
+
+        const handle = fn => async (req, res) => {
+            try {
+                await fn(req, res);
+            } catch (error) {
+                res.status(error.status || 500).type('html').send(page(`<p>Mock LMS error: ${escapeHtml(error.message)}</p>`));
+            }
+        };
+
+        app.get('/', (req, res) => {
+            const links = [...this.links].map(([id, link]) => `<li>${escapeHtml(link.title)} ${link.lineItem ? '(graded)' : ''} —
+                ${Object.keys(this.users).filter(u => u !== 'teacher').map(u => `<a href="/start?user=${u}&amp;link=${id}">launch as ${u}</a>`).join(', ')},
+                <a href="/start?user=teacher&amp;link=${id}">as teacher</a></li>`).join('');
+            const scores = this.scores.map(s => `<li>${escapeHtml(s.linkId)}: ${escapeHtml(s.userId)} scored ${s.scoreGiven}/${s.scoreMaximum}</li>`).join('');
+            res.type('html').send(page(`<h1>Mock LMS</h1>
+<p><a href="/start?user=teacher">Add Quizix content (deep linking, as teacher)</a></p>
+<h2>Links</h2><ul>${links || '<li>None yet</li>'}</ul>
+<h2>Scores received</h2><ul>${scores || '<li>None yet</li>'}</ul>`));
+        });
+
+        app.get('/jwks', (req, res) => res.json({ keys: [this.jwk] }));
+
+        app.get('/start', (req, res) => res.redirect(302, this.loginInitiationUrl(String(req.query.user || 'teacher'), req.query.link || null)));
+
+        app.get('/auth', handle((req, res) => {
+            const { action, fields } = this.authorize(req.query);
+            res.type('html').send(autoPost(action, fields));
+        }));
+
+        app.post('/deep-link-return', handle(async (req, res) => {
+            const ids = await this.receiveDeepLink(req.body.JWT);
+            res.type('html').send(page(`<p>Added ${ids.length} link(s). <a href="/">Back to the course</a></p>`));
+        }));
+
+        app.post('/token', handle(async (req, res) => {
+            res.json(await this.issueToken(req.body));
+        }));
+
+        app.post('/lineitems/:linkId/scores', (req, res) => {
+            const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+            if (!this.tokens.has(token)) return res.status(401).json({ error: 'invalid token' });
+            if (!req.is('application/vnd.ims.lis.v1.score+json')) return res.status(415).json({ error: 'wrong content type' });
+            if (!this.links.has(req.params.linkId)) return res.status(404).json({ error: 'unknown line item' });
+            this.scores.push({ linkId: req.params.linkId, ...req.body });
+            res.status(204).end();
+        });
+
+        return app;
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const arg = (name, fallback) => {
+        const index = args.indexOf(name);
+        return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+    };
+
+    const platform = new MockLtiPlatform({ toolUrl: arg('--tool', 'http://localhost:3000/') });
+    const issuer = await platform.start(Number(arg('--port', 4100)));
+
+    console.log(`Mock LMS running at ${issuer}/ for the tool at ${platform.toolUrl}`);
+    console.log('\nRegister it in config/lti-platforms.json and restart Quizix:\n');
+    console.log(JSON.stringify({ platforms: [platform.registration] }, null, 2));
+    console.log(`\nThen open ${issuer}/ in a browser. Ctrl+C to stop.`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Mock LMS failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { MockLtiPlatform };
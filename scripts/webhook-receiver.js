@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Webhook Receiver
+ *
+ * A local endpoint for trying Quizix webhooks, and the receiver the webhook
+ * tests deliver to. It checks each delivery's signature (when given the
+ * secret), prints the event and answers 200 — or the statuses queued with
+ * failNext(), to watch the retry queue at work.
+ *
+ * Usage: node scripts/webhook-receiver.js [--port 4200] [--secret whsec_...]
+ *
+ * Add http://localhost:4200/ as a webhook (on a LAN-only server, with
+ * WEBHOOKS_ALLOW_PRIVATE=true; otherwise loopback URLs are refused) or to
+ * config/webhooks.json, then host a game.
+ */
+
+const http = require('http');
+const { verifySignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('../services/webhook-service');
+
+class WebhookReceiver {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.secret] - Hook secret; signatures are not checked without it
+     * @param {Function} [options.onDelivery] - Called with each received delivery
+     */
+    constructor(options = {}) {
+        this.secret = options.secret || null;
+        this.onDelivery = options.onDelivery || null;
+        this.received = []; // { event, deliveryId, signatureValid, payload, status }
+        this.failures = []; // statuses to answer with before going back to 200
+        this.server = null;
+        this.url = null;
+    }
+
+    /**
+     * Listen on a port (0 picks a free one)
+     * @param {number} [port=0]
+     * @returns {Promise<string>} The receiver URL
+     */
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this._handle(req, res));
+            this.server.listen(port, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}/`;
+                resolve(this.url);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    /**
+     * Answer the next deliveries with these statuses (e.g. 503, 503)
+     * @param {...number} statuses
+     */
+    failNext(...statuses) {
+        this.failures.push(...statuses);
+    }
+
+    _handle(req, res) {
+        if (req.method !== 'POST') {
+            res.writeHead(405).end();
+            return;
+        }
+
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            let payload = null;
+            try {
+                payload = JSON.parse(body);
+            } catch {
+                // Logged as received with no payload
+            }
+
+            const signatureValid = this.secret
+                ? verifySignature(this.secret, req.headers[TIMESTAMP_HEADER.toLowerCase()], body, req.headers[SIGNATURE_HEADER.toLowerCase()])
+                : null;
+            const status = signatureValid === false ? 401 : (this.failures.shift() || 200);
+            const delivery = {
+                event: req.headers['x-quizix-event'],
+                deliveryId: req.headers['x-quizix-delivery'],
+                signatureValid,
+                payload,
+                status
+            };
+            this.received.push(delivery);
+            this.onDelivery?.(delivery);
+
+            res.writeHead(status, { 'Content-Type': 'text/plain' }).end(status === 200 ? 'ok' : 'rejected');
+        });
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const arg = (name, fallback) => {
+        const index = args.indexOf(name);
+        return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+    };
+
+    const receiver = new WebhookReceiver({
+        secret: arg('--secret', null),
+        onDelivery: ({ event, deliveryId, signatureValid, payload, status }) => {
+            const signature = signatureValid === null ? 'not checked' : (signatureValid ? 'valid' : 'INVALID');
+            console.log(`\n${new Date().toISOString()} ${event} (${deliveryId}) signature ${signature} -> ${status}`);
+            console.log(JSON.stringify(payload?.data ?? payload, null, 2));
+        }
+    });
+    const url = await receiver.start(Number(arg('--port', 4200)));
+
+    console.log(`Webhook receiver listening at ${url}`);
+    if (!receiver.secret) {
+        console.log('Signatures are not checked; pass --secret with the webhook\'s secret to check them.');
+    }
+    console.log('Ctrl+C to stop.');
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Webhook receiver failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { WebhookReceiver };
@@ -15,6 +15,7 @@ const { QuizService } = require('./services/quiz-service');
 const { ResultsService } = require('./services/results-service');
 const { MetadataService } = require('./services/metadata-service');
 const { UserService } = require('./services/user-service');
+const { createStorageAdapter } = require('./services/storage-adapter');
 const { SessionService } = require('./services/session-service');
 const { QRService } = require('./services/qr-service');
 const { GameSessionService } = require('./services/game-session-service');
@@ -25,7 +26,9 @@ const { SocketBatchService } = require('./services/socket-batch-service');
 const {
     validateBody,
     validateParams,
+    validateQuery,
     saveQuizSchema,
+    quizPackageSchema,
     claudeGenerateSchema,
     geminiGenerateSchema,
     extractUrlSchema,
@@ -37,6 +40,31 @@ const {
     updateQuizMetadataSchema,
     unlockSchema,
     folderIdParamSchema,
+    createAssignmentSchema,
+    updateAssignmentSchema,
+    assignmentCodeParamSchema,
+    assignmentAttemptParamSchema,
+    startAttemptSchema,
+    assignmentAnswerSchema,
+    createStudentSchema,
+    updateStudentSchema,
+    studentIdParamSchema,
+    saveReviewQueueSchema,
+    questionBankSearchSchema,
+    questionBankRefsSchema,
+    questionBankDrawSchema,
+    questionSchema,
+    questionFormatImportSchema,
+    questionFormatExportSchema,
+    qtiExportSchema,
+    gradebookExportSchema,
+    ltiLoginSchema,
+    ltiLaunchSchema,
+    ltiDeepLinkSchema,
+    createWebhookSchema,
+    updateWebhookSchema,
+    webhookIdParamSchema,
+    webhookDeliveriesQuerySchema,
     signupSchema,
     loginSchema
 } = require('./services/validation-schemas');
@@ -51,10 +79,32 @@ const { createFileUploadRoutes } = require('./routes/file-uploads');
 const { createAIGenerationRoutes } = require('./routes/ai-generation');
 const { createManimRoutes } = require('./routes/manim-routes');
 const { createAuthRoutes } = require('./routes/auth');
-const { createAttachUser, requireUser } = require('./middleware/attach-user');
+const { createAssignmentRoutes } = require('./routes/assignments');
+const { createStudentRoutes } = require('./routes/students');
+const { createGradebookRoutes } = require('./routes/gradebook');
+const { createLtiRoutes } = require('./routes/lti');
+const { createWebhookRoutes } = require('./routes/webhooks');
+const { createReviewRoutes } = require('./routes/review');
+const { createQuestionBankRoutes } = require('./routes/question-bank');
+const { createQuizPackageRoutes } = require('./routes/quiz-packages');
+const { createQuestionFormatRoutes } = require('./routes/question-formats');
+const { createQtiPackageRoutes } = require('./routes/qti-packages');
+const { createAttachUser, createSocketAttachUser, requireUser } = require('./middleware/attach-user');
 const { getClientIp } = require('./middleware/client-ip');
 const { ManimRenderService } = require('./services/manim-render-service');
 const { UploadGCService } = require('./services/upload-gc-service');
+const { GameSnapshotService } = require('./services/game-snapshot-service');
+const { AssignmentService } = require('./services/assignment-service');
+const { StudentProgressService } = require('./services/student-progress-service');
+const { GradebookService } = require('./services/gradebook-service');
+const { LtiService } = require('./services/lti-service');
+const { WebhookService } = require('./services/webhook-service');
+const { ReviewQueueService } = require('./services/review-queue-service');
+const { QuestionBankService } = require('./services/question-bank-service');
+const { QuizPackageService } = require('./services/quiz-package-service');
+const { MoodleFormatService } = require('./services/moodle-format-service');
+const { QtiPackageService } = require('./services/qti-package-service');
+const { QuestionSheetService } = require('./services/question-sheet-service');
 const { createSaveQuizRateLimiter } = require('./utils/save-quiz-rate-limiter');
 const { registerSocketHandlers } = require('./socket');
 
@@ -199,15 +249,18 @@ const server = http.createServer(app);
 const corsValidator = new CORSValidationService();
 corsValidator.logConfiguration();
 
+// Persistent storage backend (STORAGE_BACKEND=file|sqlite)
+const storage = createStorageAdapter(logger);
+
 // Initialize business services
-const quizService = new QuizService(logger, WSLMonitor, 'quizzes');
-const resultsService = new ResultsService(logger, 'results');
+const quizService = new QuizService(logger, WSLMonitor, storage);
+const resultsService = new ResultsService(logger, storage);
 const qrService = new QRService(logger, BASE_PATH);
-const metadataService = new MetadataService(logger, WSLMonitor, 'quizzes');
-const userService = new UserService(logger, 'quizzes');
+const metadataService = new MetadataService(logger, WSLMonitor, storage);
+const userService = new UserService(logger, storage);
 const sessionService = new SessionService(logger);
 const manimRenderService = new ManimRenderService(logger, CONFIG);
-const uploadGCService = new UploadGCService(logger);
+const uploadGCService = new UploadGCService(logger, { storage });
 
 // Initialize Socket.IO game services
 const gameSessionService = new GameSessionService(logger, CONFIG);
@@ -215,6 +268,68 @@ const playerManagementService = new PlayerManagementService(logger, CONFIG);
 const questionFlowService = new QuestionFlowService(logger, gameSessionService);
 const consensusFlowService = new ConsensusFlowService(logger, gameSessionService);
 
+// Self-paced homework assignments, scored on the server like live games
+const assignmentService = new AssignmentService(logger, quizService, storage, questionFlowService, CONFIG);
+
+// Per-student profiles across games, for hosts with a student roster
+const studentProgressService = new StudentProgressService(logger, storage, userService);
+
+// LMS gradebook CSVs built from saved results
+const gradebookService = new GradebookService(logger, resultsService);
+
+// LTI 1.3 tool: LMS launches sign users in, scores go back to the LMS gradebook
+const ltiService = new LtiService(logger, storage, userService, assignmentService, quizService, {
+    configPath: process.env.LTI_CONFIG_PATH
+});
+assignmentService.setGradePassback(ltiService);
+
+// Signed outbound webhooks for game and results events, with a retry queue
+const webhookService = new WebhookService(logger, storage, {
+    configPath: process.env.WEBHOOKS_CONFIG_PATH,
+    allowPrivate: process.env.WEBHOOKS_ALLOW_PRIVATE === 'true'
+});
+resultsService.setWebhookService(webhookService);
+playerManagementService.setWebhookService(webhookService);
+
+// Signed-in learners' spaced-repetition queues (scheduled client-side)
+const reviewQueueService = new ReviewQueueService(logger, storage);
+
+// Searchable index of the questions in every quiz a user can see
+const questionBankService = new QuestionBankService(logger, storage, metadataService);
+
+// .quizix archives: a quiz plus its uploads, for moving quizzes between servers
+const quizPackageService = new QuizPackageService(logger);
+
+// Converters for other quiz systems' question formats, by format name
+// (QUESTION_FORMATS in services/validation-schemas.js)
+const moodleFormatService = new MoodleFormatService(logger);
+const questionSheetService = new QuestionSheetService(logger);
+const questionFormats = {
+    gift: {
+        parse: text => moodleFormatService.parseGift(text),
+        serialize: quiz => moodleFormatService.toGift(quiz),
+        contentType: 'text/plain; charset=utf-8',
+        extension: '.gift.txt'
+    },
+    'moodle-xml': {
+        parse: xml => moodleFormatService.parseXml(xml),
+        serialize: quiz => moodleFormatService.toXml(quiz),
+        contentType: 'application/xml; charset=utf-8',
+        extension: '.moodle.xml'
+    },
+    // Spreadsheets in the column template; XLSX is converted to CSV in the browser
+    csv: {
+        parse: text => questionSheetService.parseCsv(text),
+        serialize: quiz => questionSheetService.toCsv(quiz),
+        template: () => questionSheetService.template(),
+        contentType: 'text/csv; charset=utf-8',
+        extension: '.csv'
+    }
+};
+
+// IMS QTI 2.1 / 3.0 content packages, for LMSs and assessment tools
+const qtiPackageService = new QtiPackageService(logger);
+
 const io = socketIo(server, {
     cors: corsValidator.getSocketIOCorsConfig(),
     pingTimeout: CONFIG.NETWORK.PING_TIMEOUT,
@@ -234,6 +349,22 @@ const socketBatchService = new SocketBatchService(io, logger, {
 // Inject SocketBatchService into GameSessionService for room cleanup
 gameSessionService.setSocketBatchService(socketBatchService);
 
+// Finished games save their results through the same storage backend
+gameSessionService.setStorage(storage);
+
+// ...and add themselves to the profiles of roster-matched players
+gameSessionService.setProgressService(studentProgressService);
+
+// ...and send LMS-launched players' scores back to the LMS
+gameSessionService.setGradePassback(ltiService);
+
+// ...and announce starts and ends to webhooks
+gameSessionService.setWebhookService(webhookService);
+
+// Live games are snapshotted so a restart can resume them
+const gameSnapshotService = new GameSnapshotService(logger, gameSessionService, playerManagementService, storage, CONFIG);
+gameSessionService.setSnapshotService(gameSnapshotService);
+
 // Initialize socket rate limiter
 const socketRateLimiter = new SocketRateLimiter(logger);
 socketRateLimiter.startCleanup();
@@ -553,6 +684,170 @@ app.use(createQuizManagementRoutes({
     }
 }));
 
+// ============================================================================
+// Assignment Routes
+// ============================================================================
+// Codes are six digits and attempts are capped per assignment: slow down code
+// guessing and slot filling, with room for a class sharing one address
+const assignmentLookupRateLimiter = createSaveQuizRateLimiter({ logger, getClientIp, maxRequests: 60 });
+const assignmentPlayRateLimiter = createSaveQuizRateLimiter({ logger, getClientIp, maxRequests: 300 });
+
+app.use('/api/assignments', createAssignmentRoutes({
+    assignmentService,
+    quizService,
+    metadataService,
+    logger,
+    validateBody,
+    validateParams,
+    schemas: {
+        createAssignmentSchema,
+        updateAssignmentSchema,
+        assignmentCodeParamSchema,
+        assignmentAttemptParamSchema,
+        startAttemptSchema,
+        assignmentAnswerSchema
+    },
+    lookupRateLimit: assignmentLookupRateLimiter.middleware,
+    playRateLimit: assignmentPlayRateLimiter.middleware
+}));
+
+// ============================================================================
+// Student Roster Routes
+// ============================================================================
+app.use('/api/students', createStudentRoutes({
+    userService,
+    studentProgressService,
+    logger,
+    validateBody,
+    validateParams,
+    schemas: {
+        createStudentSchema,
+        updateStudentSchema,
+        studentIdParamSchema
+    }
+}));
+
+// ============================================================================
+// Gradebook Routes
+// ============================================================================
+app.use('/api/gradebook', createGradebookRoutes({
+    gradebookService,
+    logger,
+    validateBody,
+    schemas: {
+        gradebookExportSchema
+    }
+}));
+
+// ============================================================================
+// LTI Routes
+// ============================================================================
+app.use('/api/lti', createLtiRoutes({
+    ltiService,
+    quizService,
+    metadataService,
+    sessionService,
+    logger,
+    basePath: BASE_PATH,
+    requireUser,
+    schemas: {
+        ltiLoginSchema,
+        ltiLaunchSchema,
+        ltiDeepLinkSchema
+    }
+}));
+
+// ============================================================================
+// Webhook Routes
+// ============================================================================
+app.use('/api/webhooks', createWebhookRoutes({
+    webhookService,
+    logger,
+    validateBody,
+    validateParams,
+    validateQuery,
+    schemas: {
+        createWebhookSchema,
+        updateWebhookSchema,
+        webhookIdParamSchema,
+        webhookDeliveriesQuerySchema
+    }
+}));
+
+// ============================================================================
+// Review Queue Routes
+// ============================================================================
+app.use('/api/review', createReviewRoutes({
+    reviewQueueService,
+    logger,
+    validateBody,
+    schemas: {
+        saveReviewQueueSchema
+    }
+}));
+
+// ============================================================================
+// Question Bank Routes
+// ============================================================================
+app.use('/api/question-bank', createQuestionBankRoutes({
+    questionBankService,
+    logger,
+    validateBody,
+    validateQuery,
+    schemas: {
+        questionBankSearchSchema,
+        questionBankRefsSchema,
+        questionBankDrawSchema
+    }
+}));
+
+// ============================================================================
+// Quiz Package Routes (.quizix export/import)
+// ============================================================================
+// Each import writes media to disk; same per-IP limiter as quiz saves
+const quizPackageImportRateLimiter = createSaveQuizRateLimiter({ logger, getClientIp, maxRequests: 10 });
+
+app.use('/api/quiz-package', createQuizPackageRoutes({
+    quizPackageService,
+    logger,
+    validateBody,
+    schemas: {
+        quizPackageSchema
+    },
+    importRateLimit: quizPackageImportRateLimiter.middleware
+}));
+
+// ============================================================================
+// Question Format Routes (Moodle GIFT / XML, spreadsheets)
+// ============================================================================
+app.use('/api/question-formats', createQuestionFormatRoutes({
+    questionFormats,
+    logger,
+    validateBody,
+    schemas: {
+        questionSchema,
+        questionFormatImportSchema,
+        questionFormatExportSchema
+    }
+}));
+
+// ============================================================================
+// QTI Package Routes (IMS QTI export/import)
+// ============================================================================
+// Imports write item images to disk, like .quizix imports
+const qtiPackageImportRateLimiter = createSaveQuizRateLimiter({ logger, getClientIp, maxRequests: 10 });
+
+app.use('/api/qti-package', createQtiPackageRoutes({
+    qtiPackageService,
+    logger,
+    validateBody,
+    schemas: {
+        questionSchema,
+        qtiExportSchema
+    },
+    importRateLimit: qtiPackageImportRateLimiter.middleware
+}));
+
 
 // Debug endpoint to check file existence (disabled in production)
 if (!isProduction) {
@@ -637,11 +932,15 @@ app.get('/api/ping', (req, res) => {
     });
 });
 
+// Socket.IO counterpart of attach-user: socket.data.user for signed-in hosts
+io.use(createSocketAttachUser({ sessionService, userService, logger }));
+
 // Socket.IO event handlers
 io.on('connection', (socket) => {
     registerSocketHandlers(io, socket, {
         gameSessionService,
         playerManagementService,
+        userService,
         questionFlowService,
         consensusFlowService,
         socketBatchService,
@@ -654,9 +953,12 @@ io.on('connection', (socket) => {
 // Configure graceful shutdown with all services
 gracefulShutdownHandler.setServer(server);
 gracefulShutdownHandler.setSocketIO(io);
+// Snapshot live games before closing sockets tears them down
+gracefulShutdownHandler.registerBeforeClose(() => gameSnapshotService.shutdown(), 'Final game snapshots');
 gracefulShutdownHandler.registerService(gameSessionService, 'GameSessionService');
 gracefulShutdownHandler.registerService(socketBatchService, 'SocketBatchService');
 gracefulShutdownHandler.registerService(socketRateLimiter, 'SocketRateLimiter');
+gracefulShutdownHandler.registerService(webhookService, 'WebhookService');
 
 // Register a custom service for game timer cleanup
 gracefulShutdownHandler.registerService({
@@ -668,6 +970,9 @@ gracefulShutdownHandler.registerService({
     }
 }, 'GameTimers');
 
+// Close storage last, after everything that might still write to it
+gracefulShutdownHandler.registerService(storage, 'Storage');
+
 // Register all signal handlers
 gracefulShutdownHandler.registerSignalHandlers();
 
@@ -732,6 +1037,24 @@ function detectLocalIP() {
 
 // Initialize services before starting server
 async function startServer() {
+    // Open the storage backend first — every data service depends on it
+    try {
+        await storage.initialize();
+        logger.info(`Storage initialized (${process.env.STORAGE_BACKEND || 'file'} backend)`);
+    } catch (error) {
+        logger.error('Failed to initialize storage:', error);
+        process.exit(1);
+    }
+
+    // Resume games that were live when the previous process stopped. Hosts and
+    // players reconnect through host-rejoin / player-rejoin.
+    try {
+        await gameSnapshotService.restore(io);
+    } catch (error) {
+        logger.error('Failed to restore game snapshots:', error);
+    }
+    gameSnapshotService.start();
+
     // Initialize metadata service BEFORE accepting requests
     try {
         await metadataService.initialize();
@@ -751,6 +1074,20 @@ async function startServer() {
         process.exit(1);
     }
 
+    // LTI platform registrations. A broken file leaves LTI launches disabled.
+    try {
+        await ltiService.initialize();
+    } catch (error) {
+        logger.error('Failed to initialize LTI service:', error);
+    }
+
+    // Server-wide webhooks and deliveries still queued from the last run
+    try {
+        await webhookService.initialize();
+    } catch (error) {
+        logger.error('Failed to initialize webhook service:', error);
+    }
+
     // Periodic orphaned-upload garbage collection. Delete the first sweep a few
     // minutes past boot so startup settles, then repeat every 6h. Dry-run is
     // OFF by default; timers are unref'd so they never hold the process open.
@@ -0,0 +1,123 @@
+/**
+ * Adaptive Difficulty
+ * Picks the next question from a quiz's pool by how the previous one went,
+ * instead of going through the questions in order: a harder question after
+ * one that was mostly answered right, an easier one after one that was
+ * mostly missed.
+ *
+ * Live games adapt to the room (share of the room that answered right);
+ * homework and practice adapt to the single player (their answer).
+ *
+ * Mirrored for practice mode by public/js/utils/adaptive-difficulty.js, kept
+ * in step by tests/unit/adaptive-difficulty.test.js. Change both together.
+ */
+
+/** Difficulty levels, easiest first */
+const DIFFICULTY_LEVELS = Object.freeze(['easy', 'medium', 'hard']);
+
+/** Level of the first question */
+const START_DIFFICULTY = 'medium';
+
+/** Accuracy (percent) from which the next question is one level harder */
+const RAISE_AT_PERCENT = 75;
+
+/** Accuracy (percent) below which the next question is one level easier */
+const LOWER_BELOW_PERCENT = 40;
+
+/**
+ * @param {Object} question - Question data
+ * @returns {string} The question's difficulty level, 'medium' when unset or unknown
+ */
+function difficultyOf(question) {
+    return DIFFICULTY_LEVELS.includes(question?.difficulty) ? question.difficulty : 'medium';
+}
+
+/**
+ * Level to aim for after a question
+ * @param {string} current - Level of the question just asked
+ * @param {number|null} accuracy - Percent answered right; null (a poll, nobody to count) keeps the level
+ * @returns {string} Target level
+ */
+function nextDifficulty(current, accuracy) {
+    const level = DIFFICULTY_LEVELS.indexOf(current);
+    if (level === -1) return START_DIFFICULTY;
+    if (typeof accuracy !== 'number') return current;
+    if (accuracy >= RAISE_AT_PERCENT) return DIFFICULTY_LEVELS[Math.min(level + 1, DIFFICULTY_LEVELS.length - 1)];
+    if (accuracy < LOWER_BELOW_PERCENT) return DIFFICULTY_LEVELS[Math.max(level - 1, 0)];
+    return current;
+}
+
+/**
+ * Pool question to ask next: the first unasked one at the target level,
+ * else at the nearest level (the easier one on a tie)
+ * @param {Object[]} pool - All the quiz's questions
+ * @param {Set<number>|number[]} asked - Pool indices already asked
+ * @param {string} target - Level to aim for
+ * @returns {number} Pool index, or -1 when every question has been asked
+ */
+function pickQuestion(pool, asked, target) {
+    const taken = asked instanceof Set ? asked : new Set(asked);
+    const targetLevel = Math.max(DIFFICULTY_LEVELS.indexOf(target), 0);
+
+    let best = -1;
+    let bestDistance = Infinity;
+    pool.forEach((question, index) => {
+        if (taken.has(index)) return;
+        const level = DIFFICULTY_LEVELS.indexOf(difficultyOf(question));
+        // Easier levels win ties: scaled distance, plus a half step when harder
+        const distance = Math.abs(level - targetLevel) * 2 + (level > targetLevel ? 1 : 0);
+        if (distance < bestDistance) {
+            best = index;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+/**
+ * Pool question to ask after the previous one
+ * @param {Object[]} pool - All the quiz's questions
+ * @param {number[]} asked - Pool indices asked so far, in order
+ * @param {number|null} accuracy - Percent answered right on the last of them
+ * @returns {number} Pool index, or -1 when every question has been asked
+ */
+function pickNextQuestion(pool, asked, accuracy) {
+    const target = asked.length === 0
+        ? START_DIFFICULTY
+        : nextDifficulty(difficultyOf(pool[asked[asked.length - 1]]), accuracy);
+    return pickQuestion(pool, asked, target);
+}
+
+/**
+ * How many questions an adaptive game asks
+ * @param {number} poolSize - Questions in the pool
+ * @param {number} [requested] - Count set in the quiz; 0 or unset asks the whole pool
+ * @returns {number}
+ */
+function adaptiveQuestionCount(poolSize, requested) {
+    return requested > 0 ? Math.min(requested, poolSize) : poolSize;
+}
+
+/**
+ * Accuracy of a single answer, for adapting to one player
+ * @param {Object|null|undefined} answer - Stored answer; none counts as wrong
+ * @param {Object} question - The question it answers
+ * @returns {number|null} 100 or 0, null for a poll
+ */
+function answerAccuracy(answer, question) {
+    if (question?.isPoll === true || answer?.isPoll) return null;
+    return answer?.isCorrect === true ? 100 : 0;
+}
+
+module.exports = {
+    DIFFICULTY_LEVELS,
+    START_DIFFICULTY,
+    RAISE_AT_PERCENT,
+    LOWER_BELOW_PERCENT,
+    difficultyOf,
+    nextDifficulty,
+    pickQuestion,
+    pickNextQuestion,
+    adaptiveQuestionCount,
+    answerAccuracy
+};
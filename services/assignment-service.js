@@ -0,0 +1,772 @@
+/**
+ * Assignment Service
+ *
+ * Self-paced homework: a teacher publishes a saved quiz as an assignment with
+ * an open and a close date, and shares its link. Each student plays it on
+ * their own, on the server, with their own question timer:
+ * - a question's timer starts when the student is served that question
+ *   (serveQuestion), and an answer that arrives after its time limit (plus a
+ *   small network allowance) scores nothing
+ * - a student who leaves mid-question resumes with their attempt token; the
+ *   question they walked away from counts as unanswered once its time is up
+ *
+ * Every change to an attempt rewrites one results document
+ * (`results_<code>_<created>.json`) in the live-game format, so the results
+ * viewer's listing, analytics and exports work on assignments unchanged.
+ *
+ * The quiz is copied into the assignment when it is published: editing or
+ * deleting the quiz later does not change an assignment students are taking.
+ *
+ * With adaptive difficulty each student gets their own path through the quiz:
+ * the next question is picked by their answer to the previous one
+ * (adaptive-difficulty.js) and kept in attempt.questionOrder. Answers stay
+ * stored by quiz question index, so a student's answers are sparse.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { ScoringService } = require('./scoring-service');
+const { COLLECTIONS } = require('./storage-adapter');
+const { shuffleWithMapping } = require('./game');
+const { toResultQuestions } = require('./results-service');
+const { getLimits } = require('../config/limits');
+const { pickNextQuestion, adaptiveQuestionCount, answerAccuracy } = require('./adaptive-difficulty');
+
+const ASSIGNMENT_CODE_REGEX = /^\d{6}$/;
+
+// Answers are timed on the server; allow for the request's round trip
+const ANSWER_GRACE_MS = 2000;
+
+// Same rules as live-game player names (player-management-service.js)
+const NAME_REGEX = /^[\p{L}\p{N}\s\-_'.!?]+$/u;
+
+function makeError(message, messageKey, status = 400) {
+    const err = new Error(message);
+    err.messageKey = messageKey;
+    err.status = status;
+    return err;
+}
+
+/**
+ * Questions each student is asked: the whole quiz, or in adaptive mode the
+ * quiz's adaptiveQuestionCount
+ * @param {Object} assignment - Assignment document
+ * @returns {number}
+ */
+function askedQuestionCount(assignment) {
+    const { questions, adaptiveMode, adaptiveQuestionCount: requested } = assignment.quiz;
+    return adaptiveMode ? adaptiveQuestionCount(questions.length, requested) : questions.length;
+}
+
+/**
+ * Listing entry for the teacher's assignment overview
+ * @param {Object} assignment - Assignment document
+ * @returns {Object} Summary
+ */
+function summarizeAssignment(assignment) {
+    const attempts = Object.values(assignment.attempts || {});
+    return {
+        code: assignment.code,
+        quizFilename: assignment.quizFilename,
+        ownerId: assignment.ownerId,
+        quizTitle: assignment.quiz.title,
+        questionCount: askedQuestionCount(assignment),
+        opensAt: assignment.opensAt,
+        closesAt: assignment.closesAt,
+        createdAt: assignment.createdAt,
+        resultsFilename: assignment.resultsFilename,
+        attemptCount: attempts.length,
+        submittedCount: attempts.filter(attempt => attempt.finishedAt).length
+    };
+}
+
+class AssignmentService {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {QuizService} quizService - Source of the quizzes being assigned
+     * @param {StorageAdapter} storage - Where assignments and their results are kept
+     * @param {QuestionFlowService} questionFlowService - Builds the correct-answer reveal
+     * @param {Object} config - Server configuration (TIMING, SCORING, LIMITS)
+     * @param {Object} [limits] - Resource limits (default: config/limits.js)
+     */
+    constructor(logger, quizService, storage, questionFlowService, config, limits = null) {
+        this.logger = logger;
+        this.quizService = quizService;
+        this.storage = storage;
+        this.questionFlowService = questionFlowService;
+        this.config = config;
+        this.limits = limits || getLimits();
+        // Attempts of one assignment share its documents; serialize read-modify-write
+        // per assignment code, so a busy assignment doesn't hold up the others
+        this._writeChains = new Map();
+        this.gradePassback = null;
+    }
+
+    /**
+     * Set the service finished attempts are reported to (LtiService)
+     * @param {Object} gradePassback - Has recordAssignmentAttempt(assignment, attempt)
+     */
+    setGradePassback(gradePassback) {
+        this.gradePassback = gradePassback;
+    }
+
+    /**
+     * Report a just-finished attempt, without holding up the student
+     * @param {Object} assignment - Assignment document
+     * @param {Object} attempt - Finished attempt
+     */
+    _attemptFinished(assignment, attempt) {
+        if (!this.gradePassback || !attempt.userId) return;
+        this.gradePassback.recordAssignmentAttempt(assignment, attempt).catch(error => {
+            this.logger.error(`Assignment ${assignment.code}: grade passback for ${attempt.name} failed:`, error);
+        });
+    }
+
+    /**
+     * Serialize a storage operation on one assignment (see the queue in metadata-service.js)
+     * @param {string} code - Assignment code; '' for creating one
+     * @param {Function} fn - Operation to run once the earlier ones on the code settled
+     */
+    _runExclusive(code, fn) {
+        const previous = this._writeChains.get(code) || Promise.resolve();
+        const next = previous.then(fn, fn);
+        const chain = next.catch(() => {});
+        this._writeChains.set(code, chain);
+        // Forget the code once nothing else was queued behind this operation
+        chain.then(() => {
+            if (this._writeChains.get(code) === chain) this._writeChains.delete(code);
+        });
+        return next;
+    }
+
+    /**
+     * Storage key for an assignment
+     * @param {string} code - Assignment code
+     * @returns {string}
+     */
+    _keyFor(code) {
+        return `assignment_${code}.json`;
+    }
+
+    /**
+     * Load an assignment, throwing when the code is malformed or unknown
+     * @param {string} code - Assignment code
+     * @returns {Promise<Object>} Assignment document
+     */
+    async _load(code) {
+        if (!ASSIGNMENT_CODE_REGEX.test(String(code))) {
+            throw makeError('Invalid assignment code', 'error_invalid_assignment_code');
+        }
+        const assignment = await this.storage.read(COLLECTIONS.ASSIGNMENTS, this._keyFor(code));
+        if (!assignment) {
+            throw makeError('Assignment not found', 'error_assignment_not_found', 404);
+        }
+        return assignment;
+    }
+
+    /**
+     * Persist an assignment
+     * @param {Object} assignment - Assignment document
+     */
+    async _save(assignment) {
+        await this.storage.write(COLLECTIONS.ASSIGNMENTS, this._keyFor(assignment.code), assignment);
+    }
+
+    /**
+     * Pick an unused six-digit code
+     * @returns {Promise<string>}
+     */
+    async _generateCode() {
+        for (let i = 0; i < 20; i++) {
+            const code = Math.floor(100000 + Math.random() * 900000).toString();
+            if (!(await this.storage.exists(COLLECTIONS.ASSIGNMENTS, this._keyFor(code)))) {
+                return code;
+            }
+        }
+        throw makeError('Could not allocate an assignment code', 'error_failed_create_assignment', 500);
+    }
+
+    /**
+     * Validate an open/close window
+     * @param {string} opensAt - ISO date
+     * @param {string} closesAt - ISO date
+     */
+    _assertWindow(opensAt, closesAt) {
+        const opens = Date.parse(opensAt);
+        const closes = Date.parse(closesAt);
+        if (Number.isNaN(opens) || Number.isNaN(closes)) {
+            throw makeError('Invalid open or close date', 'error_assignment_invalid_dates');
+        }
+        if (closes <= opens) {
+            throw makeError('The close date must be after the open date', 'error_assignment_close_before_open');
+        }
+    }
+
+    /**
+     * Where an assignment is in its window
+     * @param {Object} assignment - Assignment document
+     * @param {number} [now=Date.now()]
+     * @returns {'scheduled'|'open'|'closed'}
+     */
+    getStatus(assignment, now = Date.now()) {
+        if (now < Date.parse(assignment.opensAt)) return 'scheduled';
+        if (now >= Date.parse(assignment.closesAt)) return 'closed';
+        return 'open';
+    }
+
+    /**
+     * Time limit of a question in ms
+     * @param {Object} question - Question data
+     * @returns {number}
+     */
+    _timeLimitMs(question) {
+        const seconds = question.timeLimit || question.time || this.config.TIMING?.DEFAULT_QUESTION_TIME || 20;
+        return seconds * 1000;
+    }
+
+    // ==================== TEACHER ====================
+
+    /**
+     * Publish a saved quiz as an assignment
+     * @param {Object} params
+     * @param {string} params.quizFilename - Saved quiz to assign
+     * @param {string} params.opensAt - ISO date students may start from
+     * @param {string} params.closesAt - ISO date after which no answers are accepted
+     * @param {string} ownerId - Publishing teacher's user id
+     * @returns {Promise<Object>} Assignment summary
+     */
+    async createAssignment({ quizFilename, opensAt, closesAt }, ownerId) {
+        this._assertWindow(opensAt, closesAt);
+
+        const quizData = await this.quizService.loadQuiz(quizFilename);
+        if (!quizData?.questions?.length) {
+            throw makeError('Quiz has no questions', 'error_quiz_no_questions');
+        }
+
+        // The quiz editor's "same time for all questions" applies here as in a live game
+        const settings = quizData.settings || {};
+        const questions = quizData.questions.map(question => (settings.useGlobalTime
+            ? { ...question, timeLimit: settings.globalTimeLimit || 20 }
+            : question));
+
+        // New codes are picked one at a time, so two creations can't take the same one
+        return this._runExclusive('', async () => {
+            const code = await this._generateCode();
+            const createdAt = new Date();
+            const assignment = {
+                code,
+                quizFilename,
+                quiz: {
+                    title: quizData.title || 'Untitled Quiz',
+                    questions,
+                    randomizeAnswers: settings.randomizeAnswers === true,
+                    scoringConfig: settings.scoringConfig || null,
+                    ...(settings.adaptiveMode === true && {
+                        adaptiveMode: true,
+                        adaptiveQuestionCount: settings.adaptiveQuestionCount || 0
+                    })
+                },
+                ownerId,
+                opensAt: new Date(opensAt).toISOString(),
+                closesAt: new Date(closesAt).toISOString(),
+                createdAt: createdAt.toISOString(),
+                resultsFilename: `results_${code}_${createdAt.getTime()}.json`,
+                attempts: {}
+            };
+
+            await this._save(assignment);
+            this.logger.info(`Assignment ${code} published for ${quizFilename}`);
+            return summarizeAssignment(assignment);
+        });
+    }
+
+    /**
+     * The assignments a teacher has published
+     * @param {string} ownerId - Teacher's user id
+     * @param {string} [quizFilename] - Only assignments of this quiz
+     * @returns {Promise<Array>} Summaries, newest first
+     */
+    async listAssignments(ownerId, quizFilename = null) {
+        const entries = await this.storage.list(COLLECTIONS.ASSIGNMENTS, summarizeAssignment);
+
+        return entries
+            .map(entry => entry.summary)
+            .filter(summary => summary.ownerId === ownerId)
+            .filter(summary => !quizFilename || summary.quizFilename === quizFilename)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Load an assignment for its owner
+     * @param {string} code - Assignment code
+     * @param {string} ownerId - Requesting user's id
+     * @returns {Promise<Object>} Assignment document
+     */
+    async _loadOwned(code, ownerId) {
+        const assignment = await this._load(code);
+        if (assignment.ownerId !== ownerId) {
+            throw makeError('You do not own this assignment', 'error_assignment_not_owner', 403);
+        }
+        return assignment;
+    }
+
+    /**
+     * Move an assignment's open and/or close date (e.g. extend the deadline)
+     * @param {string} code - Assignment code
+     * @param {Object} changes - { opensAt?, closesAt? } as ISO dates
+     * @param {string} ownerId - Requesting user's id
+     * @returns {Promise<Object>} Updated summary
+     */
+    updateAssignment(code, changes, ownerId) {
+        return this._runExclusive(code, async () => {
+            const assignment = await this._loadOwned(code, ownerId);
+            const opensAt = changes.opensAt ?? assignment.opensAt;
+            const closesAt = changes.closesAt ?? assignment.closesAt;
+            this._assertWindow(opensAt, closesAt);
+
+            assignment.opensAt = new Date(opensAt).toISOString();
+            assignment.closesAt = new Date(closesAt).toISOString();
+            await this._save(assignment);
+            return summarizeAssignment(assignment);
+        });
+    }
+
+    /**
+     * Delete an assignment. Its results document stays in the results list.
+     * @param {string} code - Assignment code
+     * @param {string} ownerId - Requesting user's id
+     */
+    deleteAssignment(code, ownerId) {
+        return this._runExclusive(code, async () => {
+            await this._loadOwned(code, ownerId);
+            await this.storage.remove(COLLECTIONS.ASSIGNMENTS, this._keyFor(code));
+            this.logger.info(`Assignment ${code} deleted`);
+            return { success: true, code };
+        });
+    }
+
+    // ==================== STUDENT ====================
+
+    /**
+     * What a student sees before starting
+     * @param {string} code - Assignment code
+     * @returns {Promise<Object>} { code, title, questionCount, opensAt, closesAt, status }
+     */
+    async getAssignmentInfo(code) {
+        const assignment = await this._load(code);
+        return {
+            code: assignment.code,
+            title: assignment.quiz.title,
+            questionCount: askedQuestionCount(assignment),
+            opensAt: assignment.opensAt,
+            closesAt: assignment.closesAt,
+            status: this.getStatus(assignment)
+        };
+    }
+
+    /**
+     * Start a student's attempt. Names are unique per assignment
+     * (case-insensitive) so results stay attributable.
+     * @param {string} code - Assignment code
+     * @param {string} name - Student name
+     * @param {string|null} [userId] - Signed-in student's account, for grade passback
+     * @returns {Promise<Object>} { attemptToken, name }
+     */
+    startAttempt(code, name, userId = null) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        const maxLength = this.config.LIMITS?.MAX_PLAYER_NAME_LENGTH || 20;
+        if (trimmed.length === 0 || trimmed.length > maxLength) {
+            return Promise.reject(makeError(`Name must be 1-${maxLength} characters`, 'error_name_length'));
+        }
+        if (!NAME_REGEX.test(trimmed)) {
+            return Promise.reject(makeError('Name contains invalid characters', 'error_name_invalid_chars'));
+        }
+
+        return this._runExclusive(code, async () => {
+            const assignment = await this._load(code);
+            this._assertOpen(assignment);
+
+            // A class is one live game's worth of players
+            if (Object.keys(assignment.attempts).length >= this.limits.MAX_PLAYERS_PER_GAME) {
+                throw makeError('This assignment has reached its student limit', 'error_assignment_full', 403);
+            }
+
+            const taken = Object.values(assignment.attempts)
+                .some(attempt => attempt.name.toLowerCase() === trimmed.toLowerCase());
+            if (taken) {
+                throw makeError('Name is already taken', 'error_name_already_taken', 409);
+            }
+
+            const attemptToken = uuidv4();
+            assignment.attempts[attemptToken] = {
+                name: trimmed,
+                startedAt: new Date().toISOString(),
+                finishedAt: null,
+                currentQuestion: 0,
+                questionStartedAt: null,
+                answerMapping: null,
+                score: 0,
+                // Consecutive right and wrong answers, for the streak and comeback bonuses
+                streak: 0,
+                misses: 0,
+                answers: [],
+                ...(userId && { userId })
+            };
+
+            await this._save(assignment);
+            await this._writeResults(assignment);
+            this.logger.debug(`Assignment ${code}: attempt started by ${trimmed}`);
+            return { attemptToken, name: trimmed };
+        });
+    }
+
+    /**
+     * Throw unless students may currently work on the assignment
+     * @param {Object} assignment - Assignment document
+     */
+    _assertOpen(assignment) {
+        const status = this.getStatus(assignment);
+        if (status === 'scheduled') {
+            throw makeError('This assignment is not open yet', 'error_assignment_not_open', 403);
+        }
+        if (status === 'closed') {
+            throw makeError('This assignment is closed', 'error_assignment_closed', 403);
+        }
+    }
+
+    /**
+     * Look up an attempt by its token
+     * @param {Object} assignment - Assignment document
+     * @param {string} attemptToken - Token issued by startAttempt
+     * @returns {Object} Attempt
+     */
+    _getAttempt(assignment, attemptToken) {
+        const attempt = Object.prototype.hasOwnProperty.call(assignment.attempts, attemptToken)
+            ? assignment.attempts[attemptToken]
+            : null;
+        if (!attempt) {
+            throw makeError('Attempt not found', 'error_attempt_not_found', 404);
+        }
+        return attempt;
+    }
+
+    /**
+     * Record the current question as unanswered and move on
+     * @param {Object} assignment - Assignment document
+     * @param {Object} attempt - Attempt
+     */
+    _skipQuestion(assignment, attempt) {
+        attempt.currentQuestion++;
+        attempt.questionStartedAt = null;
+        attempt.answerMapping = null;
+        if (attempt.currentQuestion >= askedQuestionCount(assignment)) {
+            attempt.finishedAt = new Date().toISOString();
+        }
+    }
+
+    /**
+     * Quiz index of the question an attempt is on. In adaptive mode it is
+     * picked the first time it is asked for, by the student's answer to the
+     * previous question, and kept in attempt.questionOrder.
+     * @param {Object} assignment - Assignment document
+     * @param {Object} attempt - Attempt (its questionOrder may grow here)
+     * @returns {number}
+     */
+    _questionIndex(assignment, attempt) {
+        if (!assignment.quiz.adaptiveMode) return attempt.currentQuestion;
+
+        const { questions } = assignment.quiz;
+        const order = attempt.questionOrder || (attempt.questionOrder = []);
+        if (order.length <= attempt.currentQuestion) {
+            const previous = order[order.length - 1];
+            const accuracy = previous === undefined
+                ? null
+                : answerAccuracy(attempt.answers[previous], questions[previous]);
+            order.push(pickNextQuestion(questions, order, accuracy));
+        }
+        return order[attempt.currentQuestion];
+    }
+
+    /**
+     * Whether the question an attempt is on has run out of time
+     * @param {Object} assignment - Assignment document
+     * @param {Object} attempt - Attempt
+     * @param {number} now - Current time
+     * @returns {boolean}
+     */
+    _questionExpired(assignment, attempt, now) {
+        if (!attempt.questionStartedAt) return false;
+        const question = assignment.quiz.questions[this._questionIndex(assignment, attempt)];
+        return now > attempt.questionStartedAt + this._timeLimitMs(question) + ANSWER_GRACE_MS;
+    }
+
+    /**
+     * Where an attempt stands, as sent to the student
+     * @param {Object} assignment - Assignment document
+     * @param {Object} attempt - Attempt
+     * @returns {Object}
+     */
+    _attemptState(assignment, attempt) {
+        const base = {
+            name: attempt.name,
+            score: attempt.score,
+            totalQuestions: askedQuestionCount(assignment),
+            answeredQuestions: attempt.answers.filter(Boolean).length
+        };
+
+        if (attempt.finishedAt) {
+            return { status: 'finished', ...base };
+        }
+        if (this.getStatus(assignment) === 'closed' && !attempt.questionStartedAt) {
+            return { status: 'closed', ...base };
+        }
+        return { status: 'question', ...base };
+    }
+
+    /**
+     * Client payload of the question an attempt is on. Mirrors the live
+     * question-start event, including per-student option shuffles.
+     * @param {Object} assignment - Assignment document
+     * @param {Object} attempt - Attempt (its answerMapping is set here)
+     * @param {number} now - Current time
+     * @returns {Object}
+     */
+    _questionPayload(assignment, attempt, now) {
+        const question = assignment.quiz.questions[this._questionIndex(assignment, attempt)];
+        const questionType = question.type || 'multiple-choice';
+        const timeLimitMs = this._timeLimitMs(question);
+
+        const payload = {
+            questionNumber: attempt.currentQuestion + 1,
+            totalQuestions: askedQuestionCount(assignment),
+            question: question.question,
+            type: questionType,
+            image: question.image || '',
+            video: question.video || '',
+            timeLimit: timeLimitMs / 1000,
+            remainingMs: Math.max(0, attempt.questionStartedAt + timeLimitMs - now)
+        };
+
+        if (questionType === 'matching') {
+            const pairs = question.pairs || [];
+            const rights = pairs.map(pair => pair.right);
+            if (!attempt.answerMapping) {
+                attempt.answerMapping = shuffleWithMapping(rights).mapping;
+            }
+            payload.options = pairs.map(pair => pair.left);
+            payload.matches = attempt.answerMapping.map(originalIndex => rights[originalIndex]);
+            return payload;
+        }
+
+        const shouldShuffle = assignment.quiz.randomizeAnswers &&
+            (questionType === 'multiple-choice' || questionType === 'multiple-correct') &&
+            question.options && question.options.length > 1;
+
+        if (shouldShuffle) {
+            if (!attempt.answerMapping) {
+                attempt.answerMapping = shuffleWithMapping(question.options).mapping;
+            }
+            payload.options = attempt.answerMapping.map(originalIndex => question.options[originalIndex]);
+        } else {
+            payload.options = question.options;
+        }
+        return payload;
+    }
+
+    /**
+     * Serve the question an attempt is on, starting its timer the first time.
+     * Resuming after the timer ran out skips to the next question.
+     * @param {string} code - Assignment code
+     * @param {string} attemptToken - Token issued by startAttempt
+     * @returns {Promise<Object>} Attempt state, with `question` while one is open
+     */
+    serveQuestion(code, attemptToken) {
+        return this._runExclusive(code, async () => {
+            const assignment = await this._load(code);
+            const attempt = this._getAttempt(assignment, attemptToken);
+            const now = Date.now();
+            let changed = false;
+            let finished = false;
+
+            if (!attempt.finishedAt && this._questionExpired(assignment, attempt, now)) {
+                this._skipQuestion(assignment, attempt);
+                changed = true;
+                finished = !!attempt.finishedAt;
+            }
+
+            const state = this._attemptState(assignment, attempt);
+            if (state.status === 'question') {
+                if (!attempt.questionStartedAt) {
+                    attempt.questionStartedAt = now;
+                    changed = true;
+                }
+                const hadMapping = !!attempt.answerMapping;
+                state.question = this._questionPayload(assignment, attempt, now);
+                changed = changed || (!hadMapping && !!attempt.answerMapping);
+            }
+
+            if (changed) {
+                await this._save(assignment);
+                if (attempt.finishedAt) {
+                    await this._writeResults(assignment);
+                }
+            }
+            if (finished) {
+                this._attemptFinished(assignment, attempt);
+            }
+            return state;
+        });
+    }
+
+    /**
+     * Score a student's answer to the question they are on. A null answer
+     * (the student's timer ran out) or a late one is recorded as unanswered.
+     * @param {string} code - Assignment code
+     * @param {string} attemptToken - Token issued by startAttempt
+     * @param {number} questionNumber - 1-based question the answer is for
+     * @param {*} answer - Answer in the displayed (possibly shuffled) order
+     * @returns {Promise<Object>} { result, state } — result matches the live player-result event
+     */
+    submitAnswer(code, attemptToken, questionNumber, answer) {
+        return this._runExclusive(code, async () => {
+            const assignment = await this._load(code);
+            const attempt = this._getAttempt(assignment, attemptToken);
+
+            if (attempt.finishedAt || !attempt.questionStartedAt || questionNumber !== attempt.currentQuestion + 1) {
+                throw makeError('Question has already ended', 'error_question_ended', 409);
+            }
+
+            const now = Date.now();
+            const questionIndex = this._questionIndex(assignment, attempt);
+            const question = assignment.quiz.questions[questionIndex];
+            const questionType = question.type || 'multiple-choice';
+            const mapping = attempt.answerMapping;
+            const timedOut = answer === null || answer === undefined || this._questionExpired(assignment, attempt, now);
+
+            let answerData = null;
+            if (!timedOut) {
+                let translatedAnswer = answer;
+                if (mapping) {
+                    if (questionType === 'multiple-choice' && typeof answer === 'number') {
+                        translatedAnswer = mapping[answer];
+                    } else if (Array.isArray(answer)) {
+                        translatedAnswer = answer.map(index => mapping[index]);
+                    }
+                }
+
+                const scoringResult = ScoringService.calculateScore({
+                    answer: translatedAnswer,
+                    question,
+                    questionType,
+                    questionStartTime: attempt.questionStartedAt,
+                    config: this.config,
+                    scoringConfig: assignment.quiz.scoringConfig,
+                    questionTimeLimitMs: this._timeLimitMs(question),
+                    streak: attempt.streak || 0,
+                    misses: attempt.misses || 0
+                });
+
+                // As in Game.submitAnswer: polls leave the streak alone
+                if (!ScoringService.isPollQuestion(question)) {
+                    attempt.streak = scoringResult.isCorrect ? (attempt.streak || 0) + 1 : 0;
+                    attempt.misses = scoringResult.isCorrect ? 0 : (attempt.misses || 0) + 1;
+                }
+
+                // Same record as Game.submitAnswer, so results analytics read it unchanged
+                answerData = {
+                    answer: questionType === 'matching' ? translatedAnswer : answer,
+                    isCorrect: scoringResult.isCorrect,
+                    points: scoringResult.points,
+                    timeMs: now - attempt.questionStartedAt,
+                    doublePointsUsed: false,
+                    breakdown: scoringResult.breakdown
+                };
+                if (scoringResult.partialScore !== null) {
+                    answerData.partialScore = scoringResult.partialScore;
+                }
+                if (question.isPoll === true) {
+                    answerData.isPoll = true;
+                }
+
+                attempt.answers[questionIndex] = answerData;
+                attempt.score += scoringResult.points;
+            }
+
+            const result = this._buildResult(question, answerData, mapping, attempt.score);
+            result.timedOut = timedOut;
+
+            this._skipQuestion(assignment, attempt);
+            await this._save(assignment);
+            await this._writeResults(assignment);
+            if (attempt.finishedAt) {
+                this._attemptFinished(assignment, attempt);
+            }
+
+            return { result, state: this._attemptState(assignment, attempt) };
+        });
+    }
+
+    /**
+     * Answer feedback in the shape of the live player-result event
+     * (QuestionFlowService.emitPlayerResults), in the student's option order
+     * @param {Object} question - Question data
+     * @param {Object|null} answerData - Recorded answer, null when unanswered
+     * @param {number[]|null} mapping - The student's option shuffle
+     * @param {number} totalScore - Attempt score after this answer
+     * @returns {Object}
+     */
+    _buildResult(question, answerData, mapping, totalScore) {
+        const correctAnswerData = this.questionFlowService.buildCorrectAnswerData(question);
+        let correctAnswer = correctAnswerData.correctAnswer;
+        let correctAnswers = correctAnswerData.correctAnswers;
+        if (mapping) {
+            if (correctAnswerData.questionType === 'multiple-choice' && typeof correctAnswer === 'number') {
+                correctAnswer = mapping.indexOf(correctAnswer);
+            }
+            if (correctAnswerData.questionType === 'multiple-correct' && Array.isArray(correctAnswers)) {
+                correctAnswers = correctAnswers.map(index => mapping.indexOf(index));
+            }
+        }
+
+        return {
+            isPoll: correctAnswerData.isPoll === true,
+            isCorrect: answerData ? answerData.isCorrect : false,
+            points: answerData ? answerData.points : 0,
+            partialScore: answerData ? answerData.partialScore : undefined,
+            totalScore,
+            explanation: question.explanation || null,
+            questionType: correctAnswerData.questionType,
+            correctAnswer,
+            correctAnswers
+        };
+    }
+
+    /**
+     * Rewrite the assignment's results document from its attempts, in the
+     * format Game.saveResults writes
+     * @param {Object} assignment - Assignment document
+     */
+    async _writeResults(assignment) {
+        const attempts = Object.values(assignment.attempts);
+        const finished = attempts.map(attempt => attempt.finishedAt).filter(Boolean).sort();
+
+        const results = {
+            quizTitle: assignment.quiz.title,
+            gamePin: assignment.code,
+            results: attempts.map(attempt => ({
+                name: attempt.name,
+                score: attempt.score,
+                answers: attempt.answers,
+                ...(attempt.questionOrder && { questionOrder: attempt.questionOrder })
+            })),
+            startTime: attempts.map(attempt => attempt.startedAt).sort()[0] || assignment.opensAt,
+            endTime: finished[finished.length - 1] || null,
+            saved: new Date().toISOString(),
+            questions: toResultQuestions(assignment.quiz.questions),
+            ...(assignment.quiz.adaptiveMode && { adaptive: { mode: 'player' } })
+        };
+
+        await this.storage.write(COLLECTIONS.RESULTS, assignment.resultsFilename, results);
+    }
+}
+
+module.exports = { AssignmentService, ANSWER_GRACE_MS };
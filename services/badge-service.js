@@ -0,0 +1,126 @@
+/**
+ * Badge Service
+ * End-of-game achievement badges, worked out from the answers each player
+ * stored during the game. Badges go out with 'game-end' and are saved in the
+ * result file next to the score.
+ *
+ * A badge is `{ id, value }`; `value` is what earned it (milliseconds for the
+ * fastest answer, questions for a perfect round, ...) so the client can show
+ * it. Badges that go to the best player in the game are shared on a tie.
+ * Ghost answers (elimination mode) earn nothing.
+ */
+
+/** Badge IDs in display order */
+const BADGE_IDS = Object.freeze([
+    'perfect-round',
+    'fastest-answer',
+    'hot-streak',
+    'most-improved',
+    'consensus-builder'
+]);
+
+/** Shortest streak worth a badge */
+const MIN_STREAK = 3;
+
+/** Graded questions needed to compare the first half of a game with the second */
+const MIN_IMPROVEMENT_QUESTIONS = 4;
+
+/**
+ * @param {Object|undefined} answer - Stored answer
+ * @returns {boolean} Whether the answer is a scored right answer
+ */
+function isScoredCorrect(answer) {
+    return answer?.isCorrect === true && answer.ghost !== true;
+}
+
+class BadgeService {
+    /**
+     * Work out every player's badges
+     * @param {Object[]} players - Player records (`id`, `answers`, `bestStreak`, `consensusAgreements`)
+     * @param {Object[]} questions - Questions that were asked, in order
+     * @returns {Map<string, Array<{id: string, value: number}>>} Badges by player ID, in BADGE_IDS order
+     */
+    static computeBadges(players, questions) {
+        const graded = [];
+        questions.forEach((question, index) => {
+            if (question?.isPoll !== true) graded.push(index);
+        });
+
+        const badges = new Map(players.map(player => [player.id, []]));
+        const award = (player, id, value) => badges.get(player.id).push({ id, value });
+
+        // Every player who got every graded question right
+        if (graded.length > 0) {
+            players
+                .filter(player => graded.every(index => isScoredCorrect(player.answers?.[index])))
+                .forEach(player => award(player, 'perfect-round', graded.length));
+        }
+
+        BadgeService.awardBest(players, player => BadgeService.fastestCorrectMs(player, graded), 'min')
+            .forEach(({ player, value }) => award(player, 'fastest-answer', value));
+
+        BadgeService.awardBest(players, player => player.bestStreak >= MIN_STREAK ? player.bestStreak : null, 'max')
+            .forEach(({ player, value }) => award(player, 'hot-streak', value));
+
+        if (graded.length >= MIN_IMPROVEMENT_QUESTIONS) {
+            BadgeService.awardBest(players, player => {
+                const gain = BadgeService.improvement(player, graded);
+                return gain > 0 ? gain : null;
+            }, 'max')
+                .forEach(({ player, value }) => award(player, 'most-improved', value));
+        }
+
+        BadgeService.awardBest(players, player => player.consensusAgreements > 0 ? player.consensusAgreements : null, 'max')
+            .forEach(({ player, value }) => award(player, 'consensus-builder', value));
+
+        return badges;
+    }
+
+    /**
+     * Players holding the best value of a measure
+     * @param {Object[]} players - Player records
+     * @param {Function} measure - `player => number|null`; null leaves the player out
+     * @param {'min'|'max'} direction - Whether the lowest or highest value wins
+     * @returns {Array<{player: Object, value: number}>} Every player tied for the best value
+     */
+    static awardBest(players, measure, direction) {
+        const measured = players
+            .map(player => ({ player, value: measure(player) }))
+            .filter(({ value }) => typeof value === 'number' && Number.isFinite(value));
+        if (measured.length === 0) return [];
+
+        const values = measured.map(({ value }) => value);
+        const best = direction === 'min' ? Math.min(...values) : Math.max(...values);
+        return measured.filter(({ value }) => value === best);
+    }
+
+    /**
+     * @param {Object} player - Player record
+     * @param {number[]} graded - Indices of the graded questions
+     * @returns {number|null} Quickest correct answer in ms, or null without one
+     */
+    static fastestCorrectMs(player, graded) {
+        const times = graded
+            .map(index => player.answers?.[index])
+            .filter(answer => isScoredCorrect(answer) && typeof answer.timeMs === 'number')
+            .map(answer => answer.timeMs);
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+
+    /**
+     * Accuracy gained from the first half of the graded questions to the second
+     * @param {Object} player - Player record
+     * @param {number[]} graded - Indices of the graded questions
+     * @returns {number} Gain in percentage points (negative for a decline)
+     */
+    static improvement(player, graded) {
+        const half = Math.floor(graded.length / 2);
+        const accuracy = (indices) => {
+            const correct = indices.filter(index => isScoredCorrect(player.answers?.[index])).length;
+            return (correct / indices.length) * 100;
+        };
+        return Math.round(accuracy(graded.slice(half)) - accuracy(graded.slice(0, half)));
+    }
+}
+
+module.exports = { BadgeService, BADGE_IDS };
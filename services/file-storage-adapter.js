@@ -0,0 +1,219 @@
+/**
+ * File Storage Adapter
+ *
+ * The original Quizix layout: one pretty-printed JSON file per document.
+ *
+ *   quizzes  -> `${quizzesDir}/<key>`   (excluding the system files below)
+ *   results  -> `${resultsDir}/<key>`
+ *   system   -> `${quizzesDir}/quiz-metadata.json`, `${quizzesDir}/users.json`
+ *   snapshots -> `${snapshotsDir}/<key>` (default `${resultsDir}/snapshots`)
+ *   assignments -> `${assignmentsDir}/<key>` (default `${quizzesDir}/assignments`)
+ *   progress -> `${progressDir}/<key>` (default `${resultsDir}/progress`)
+ *   review   -> `${reviewDir}/<key>` (default `${resultsDir}/review`)
+ *   lti      -> `${ltiDir}/<key>` (default `${quizzesDir}/lti`)
+ *   webhooks -> `${webhooksDir}/<key>` (default `${quizzesDir}/webhooks`)
+ *
+ * Writes go through atomic-write.js (temp file + rename). Listing summaries are
+ * cached per file keyed on mtime, so unchanged files are only stat'ed, and
+ * external edits are still picked up.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { atomicWriteFile } = require('./atomic-write');
+const { StorageAdapter, COLLECTIONS } = require('./storage-adapter');
+
+// Single-document stores that share the quizzes directory
+const SYSTEM_FILES = new Set(['quiz-metadata.json', 'users.json']);
+
+class FileStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {Object} [options]
+     * @param {string} [options.quizzesDir='quizzes'] - Quiz and system document directory
+     * @param {string} [options.resultsDir='results'] - Results directory
+     * @param {string} [options.snapshotsDir] - Live game snapshot directory
+     * @param {string} [options.assignmentsDir] - Homework assignment directory
+     * @param {string} [options.progressDir] - Student progress directory
+     * @param {string} [options.reviewDir] - Review queue directory
+     * @param {string} [options.ltiDir] - LTI launch directory
+     * @param {string} [options.webhooksDir] - Webhook subscription and delivery directory
+     */
+    constructor(logger, options = {}) {
+        super();
+        this.logger = logger;
+        this.quizzesDir = options.quizzesDir || 'quizzes';
+        this.resultsDir = options.resultsDir || 'results';
+        this.snapshotsDir = options.snapshotsDir || path.join(this.resultsDir, 'snapshots');
+        this.assignmentsDir = options.assignmentsDir || path.join(this.quizzesDir, 'assignments');
+        this.progressDir = options.progressDir || path.join(this.resultsDir, 'progress');
+        this.reviewDir = options.reviewDir || path.join(this.resultsDir, 'review');
+        this.ltiDir = options.ltiDir || path.join(this.quizzesDir, 'lti');
+        this.webhooksDir = options.webhooksDir || path.join(this.quizzesDir, 'webhooks');
+
+        // collection -> Map(key -> { mtimeMs, summary })
+        this.summaryCache = new Map();
+    }
+
+    /**
+     * Directory holding a collection's files
+     * @param {string} collection - One of COLLECTIONS
+     * @returns {string}
+     */
+    _dirFor(collection) {
+        switch (collection) {
+            case COLLECTIONS.QUIZZES:
+            case COLLECTIONS.SYSTEM:
+                return this.quizzesDir;
+            case COLLECTIONS.RESULTS:
+                return this.resultsDir;
+            case COLLECTIONS.SNAPSHOTS:
+                return this.snapshotsDir;
+            case COLLECTIONS.ASSIGNMENTS:
+                return this.assignmentsDir;
+            case COLLECTIONS.PROGRESS:
+                return this.progressDir;
+            case COLLECTIONS.REVIEW:
+                return this.reviewDir;
+            case COLLECTIONS.LTI:
+                return this.ltiDir;
+            case COLLECTIONS.WEBHOOKS:
+                return this.webhooksDir;
+            default:
+                throw new Error(`Unknown storage collection: ${collection}`);
+        }
+    }
+
+    /**
+     * Resolve a document path. Keys are validated by the owning service; this
+     * is a last guard so a key can never name a file outside its directory.
+     * @param {string} collection - One of COLLECTIONS
+     * @param {string} key - Document key (filename)
+     * @returns {string}
+     */
+    _pathFor(collection, key) {
+        if (!key || typeof key !== 'string' || key !== path.basename(key) || key === '..') {
+            const err = new Error('Invalid path: attempted directory traversal');
+            err.messageKey = 'error_invalid_path';
+            throw err;
+        }
+        return path.join(this._dirFor(collection), key);
+    }
+
+    /**
+     * Whether a directory entry belongs to a collection
+     * @param {string} collection - One of COLLECTIONS
+     * @param {string} name - Filename
+     * @returns {boolean}
+     */
+    _inCollection(collection, name) {
+        if (!name.endsWith('.json')) return false;
+        if (collection === COLLECTIONS.SYSTEM) return SYSTEM_FILES.has(name);
+        if (collection === COLLECTIONS.QUIZZES) return !SYSTEM_FILES.has(name);
+        return true;
+    }
+
+    async initialize() {
+        for (const dir of new Set([this.quizzesDir, this.resultsDir, this.snapshotsDir, this.assignmentsDir, this.progressDir, this.reviewDir, this.ltiDir, this.webhooksDir])) {
+            await fs.mkdir(dir, { recursive: true });
+        }
+    }
+
+    async read(collection, key) {
+        let raw;
+        try {
+            raw = await fs.readFile(this._pathFor(collection, key), 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+        return JSON.parse(raw);
+    }
+
+    async write(collection, key, document) {
+        await atomicWriteFile(this._pathFor(collection, key), JSON.stringify(document, null, 2));
+    }
+
+    async remove(collection, key) {
+        await fs.unlink(this._pathFor(collection, key));
+        this.summaryCache.get(collection)?.delete(key);
+    }
+
+    async exists(collection, key) {
+        try {
+            await fs.access(this._pathFor(collection, key));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async keys(collection) {
+        const dir = this._dirFor(collection);
+        try {
+            await fs.access(dir);
+        } catch {
+            this.logger.debug(`Storage directory does not exist: ${dir}`);
+            return [];
+        }
+
+        const files = await fs.readdir(dir);
+        return files.filter(name => this._inCollection(collection, name));
+    }
+
+    async list(collection, summarize) {
+        const keys = await this.keys(collection);
+
+        if (!this.summaryCache.has(collection)) {
+            this.summaryCache.set(collection, new Map());
+        }
+        const cache = this.summaryCache.get(collection);
+
+        // Evict cache entries for files that no longer exist on disk
+        const current = new Set(keys);
+        for (const key of cache.keys()) {
+            if (!current.has(key)) {
+                cache.delete(key);
+            }
+        }
+
+        // Stat each file (cheap) and only re-read + re-parse when its mtime
+        // differs from the cached entry.
+        const entries = await Promise.all(keys.map(async (key) => {
+            const filePath = path.join(this._dirFor(collection), key);
+            try {
+                const stats = await fs.stat(filePath);
+                const cached = cache.get(key);
+                let summary;
+                if (cached && cached.mtimeMs === stats.mtimeMs) {
+                    summary = cached.summary;
+                } else {
+                    summary = summarize(JSON.parse(await fs.readFile(filePath, 'utf8')));
+                    cache.set(key, { mtimeMs: stats.mtimeMs, summary });
+                }
+                return { key, summary, size: stats.size, modified: stats.mtime };
+            } catch (err) {
+                this.logger.error(`Error reading ${collection} file:`, key, err);
+                cache.delete(key);
+                return null;
+            }
+        }));
+
+        return entries.filter(Boolean);
+    }
+}
+
+/**
+ * Services take a storage adapter; a directory path is still accepted so
+ * callers that predate the adapter keep their file layout. Every collection
+ * then lives in that one directory.
+ * @param {StorageAdapter|string} storage - Adapter, or a directory path
+ * @param {Object} logger - Logger instance
+ * @returns {StorageAdapter}
+ */
+function resolveStorage(storage, logger) {
+    if (storage && typeof storage === 'object') return storage;
+    return new FileStorageAdapter(logger, { quizzesDir: storage, resultsDir: storage });
+}
+
+module.exports = { FileStorageAdapter, resolveStorage, SYSTEM_FILES };
@@ -25,6 +25,11 @@ class GameSessionService {
         this.hostIdToPin = new Map();
         this.cleanupInterval = null;
         this.socketBatchService = null; // Injected via setSocketBatchService()
+        this.storage = null; // Injected via setStorage(); games fall back to results/ files
+        this.snapshotService = null; // Injected via setSnapshotService(); no snapshots without it
+        this.progressService = null; // Injected via setProgressService(); no student profiles without it
+        this.gradePassback = null; // Injected via setGradePassback(); no LMS scores without it
+        this.webhookService = null; // Injected via setWebhookService(); no webhook events without it
         this.hostDisconnectTimers = new Map(); // pin -> timerId for host disconnect grace period
         this.migrationTimers = new Map(); // pin -> timerId for pending-migration timeout
 
@@ -46,6 +51,80 @@ class GameSessionService {
         this.socketBatchService = socketBatchService;
     }
 
+    /**
+     * Inject the storage adapter games save their results through
+     * @param {StorageAdapter} storage - The shared storage adapter
+     */
+    setStorage(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Inject GameSnapshotService so lifecycle transitions are snapshotted
+     * @param {GameSnapshotService} snapshotService - The snapshot service instance
+     */
+    setSnapshotService(snapshotService) {
+        this.snapshotService = snapshotService;
+    }
+
+    /**
+     * Inject StudentProgressService so finished games update student profiles
+     * @param {StudentProgressService} progressService - The progress service instance
+     */
+    setProgressService(progressService) {
+        this.progressService = progressService;
+    }
+
+    /**
+     * Inject LtiService so LMS-launched players' scores go back to the LMS
+     * @param {LtiService} gradePassback - Has recordGame(game)
+     */
+    setGradePassback(gradePassback) {
+        this.gradePassback = gradePassback;
+    }
+
+    /**
+     * Inject WebhookService so game starts and ends reach the host's webhooks
+     * @param {WebhookService} webhookService - Has emit(event, data, ownerId)
+     */
+    setWebhookService(webhookService) {
+        this.webhookService = webhookService;
+    }
+
+    /**
+     * Send a game event to the server-wide webhooks and the signed-in host's
+     * @param {Object} game - Game instance
+     * @param {string} event - Webhook event name
+     * @param {Object} data - Event fields besides the PIN and quiz title
+     */
+    _emitWebhook(game, event, data) {
+        this.webhookService.emit(event, {
+            pin: game.pin,
+            quizTitle: game.quiz.title || 'Untitled Quiz',
+            ...data
+        }, game.ownerId || null);
+    }
+
+    /**
+     * Ask for a snapshot of a game after a state transition
+     * @param {Object} game - Game instance
+     */
+    requestSnapshot(game) {
+        if (this.snapshotService) {
+            this.snapshotService.requestSnapshot(game);
+        }
+    }
+
+    /**
+     * Drop a game's snapshot once it can no longer be resumed
+     * @param {string} pin - Game PIN
+     */
+    discardSnapshot(pin) {
+        if (this.snapshotService) {
+            this.snapshotService.discard(pin);
+        }
+    }
+
     /**
    * Start periodic stale game cleanup
    * Runs every 30 minutes to clean up old/orphaned games
@@ -140,6 +219,7 @@ class GameSessionService {
         // Secret host reconnect token — required by host-rejoin to prevent hijacking.
         // Stays stable across reconnects (never rotated).
         game.hostToken = require('crypto').randomUUID();
+        game.storage = this.storage;
         this.games.set(game.pin, game);
         this.hostIdToPin.set(hostId, game.pin);
         this.logger.info(`Game created with PIN: ${game.pin} (${this.games.size}/${this.limits.MAX_CONCURRENT_GAMES} games)`);
@@ -245,6 +325,9 @@ class GameSessionService {
 
         this.migrationTimers.set(game.pin, timerId);
 
+        // Without a host there is nobody to resume the game for
+        this.discardSnapshot(game.pin);
+
         this.logger.info(`Game ${game.pin} entered pending-migration state`);
         return { pin: game.pin, migrationToken: game.migrationToken };
     }
@@ -277,6 +360,7 @@ class GameSessionService {
 
             this.hostIdToPin.delete(game.hostId);
             this.games.delete(pin);
+            this.discardSnapshot(pin);
             this.logger.info(`Game ${pin} deleted`);
         }
     }
@@ -314,20 +398,35 @@ class GameSessionService {
         game.gameState = 'starting';
         game.startTime = new Date().toISOString();
 
+        // Manual team assignment: whoever the host left unplaced is balanced now
+        if (game.isTeamMode) {
+            game.balanceUnassignedPlayers();
+        }
+
         io.to(`game-${game.pin}`).emit('game-started', {
             gamePin: game.pin,
             questionCount: game.quiz.questions.length,
             manualAdvancement: game.manualAdvancement,
             powerUpsEnabled: game.powerUpsEnabled,
+            powerUps: game.powerUpConfig,
             consensusConfig: game.isConsensusMode ? {
                 enabled: true,
                 threshold: game.consensusConfig.threshold,
                 allowChat: game.consensusConfig.allowChat
-            } : null
+            } : null,
+            elimination: game.getEliminationInfo()
         });
 
+        if (this.webhookService) {
+            this._emitWebhook(game, 'game.started', {
+                questionCount: game.quiz.questions.length,
+                players: Array.from(game.players.values()).map(player => player.name)
+            });
+        }
+
         // Auto-advance to first question after delay
         this.autoAdvanceToFirstQuestion(game, io);
+        this.requestSnapshot(game);
     }
 
     /**
@@ -396,10 +495,26 @@ class GameSessionService {
             type: questionType,
             image: question.image || '',
             video: question.video || '',
-            timeLimit: timeLimit
+            timeLimit: timeLimit,
+            ...(game.isRevivalRound() && { revivalRound: true })
         };
 
-        if (shouldShuffle) {
+        if (questionType === 'matching') {
+            // Every player gets their own right-column order (skip disconnected — they get one on rejoin)
+            game.players.forEach((player, playerId) => {
+                if (player.disconnected) return;
+                io.to(playerId).emit('question-start', {
+                    ...baseQuestionData,
+                    ...game.getMatchingColumns(question, playerId)
+                });
+            });
+
+            // The host screen is usually projected, so it must not show the pairs lined up
+            io.to(game.hostId).emit('question-start', {
+                ...baseQuestionData,
+                ...game.getMatchingColumns(question)
+            });
+        } else if (shouldShuffle) {
             // Send per-player shuffled options (skip disconnected — they get shuffled options on rejoin)
             game.players.forEach((player, playerId) => {
                 if (player.disconnected) return;
@@ -438,21 +553,18 @@ class GameSessionService {
             io.to(game.hostId).emit('answer-count-update', {
                 answeredPlayers: 0,
                 connectedPlayers: activePlayers.length,
-                totalPlayers: game.players.size
+                totalPlayers: game.players.size,
+                ...(game.isEliminationMode && { survivors: game.getSurvivors().length })
             });
         }
 
-        // Record when the question should end so extend-time can recompute remaining time
+        // Record when the question should end so extend-time (and a restore
+        // after restart) can recompute remaining time
         game.questionEndsAt = Date.now() + timeLimit * 1000;
 
         // Set timer for automatic question timeout
-        game.questionTimer = setTimeout(() => {
-            try {
-                this.handleQuestionTimeout(game, io, question);
-            } catch (error) {
-                this.logger.error(`Error in question timeout handler for game ${game.pin}:`, error);
-            }
-        }, timeLimit * 1000);
+        this.armQuestionTimer(game, io, timeLimit * 1000);
+        this.requestSnapshot(game);
 
         // In consensus mode, seed an initial (empty) proposal distribution so
         // clients can render proposal bars before the first proposal arrives.
@@ -471,26 +583,36 @@ class GameSessionService {
     extendQuestionTimer(game, io, extraSeconds) {
         if (!game || game.gameState !== 'question' || !game.questionEndsAt) return;
 
+        game.questionEndsAt += extraSeconds * 1000;
+        const remainingMs = Math.max(0, game.questionEndsAt - Date.now());
+
+        this.armQuestionTimer(game, io, remainingMs);
+        this.requestSnapshot(game);
+
+        // Resync host and players' countdowns
+        io.to(`game-${game.pin}`).emit('timer-extended', { remainingMs });
+    }
+
+    /**
+     * (Re-)arm the timer that ends the current question
+     * @param {Object} game - Game instance
+     * @param {Object} io - Socket.IO instance
+     * @param {number} delayMs - Time until the question times out
+     */
+    armQuestionTimer(game, io, delayMs) {
         const question = game.quiz.questions[game.currentQuestion];
 
         if (game.questionTimer) {
             clearTimeout(game.questionTimer);
-            game.questionTimer = null;
         }
 
-        game.questionEndsAt += extraSeconds * 1000;
-        const remainingMs = Math.max(0, game.questionEndsAt - Date.now());
-
         game.questionTimer = setTimeout(() => {
             try {
                 this.handleQuestionTimeout(game, io, question);
             } catch (error) {
                 this.logger.error(`Error in question timeout handler for game ${game.pin}:`, error);
             }
-        }, remainingMs);
-
-        // Resync host and players' countdowns
-        io.to(`game-${game.pin}`).emit('timer-extended', { remainingMs });
+        }, delayMs);
     }
 
     /**
@@ -559,6 +681,14 @@ class GameSessionService {
                     .map(idx => question.options[idx])
                     .join(' -> ');
                 break;
+            case 'text-input':
+                correctOption = (question.acceptedAnswers || []).join(' / ');
+                break;
+            case 'matching':
+                correctOption = (question.pairs || [])
+                    .map(pair => `${pair.left} -> ${pair.right}`)
+                    .join(', ');
+                break;
         }
 
         const timeoutData = {
@@ -581,8 +711,25 @@ class GameSessionService {
             timeoutData.correctOrder = question.correctOrder || [];
         }
 
+        // Text input has no single answer key: every accepted answer is shown
+        if (question.type === 'text-input') {
+            timeoutData.acceptedAnswers = question.acceptedAnswers || [];
+            timeoutData.correctAnswer = correctOption;
+        }
+
+        // Matching reveals every pair as text; the player's shuffled right
+        // column never needs mapping back
+        if (question.type === 'matching') {
+            timeoutData.pairs = question.pairs || [];
+            timeoutData.correctAnswer = correctOption;
+        }
+
         io.to(`game-${game.pin}`).emit('question-timeout', timeoutData);
 
+        if (game.isEliminationMode) {
+            this.runEliminationPhase(game, io);
+        }
+
         // Get statistics and emit to host
         const answerStats = game.getAnswerStatistics();
         io.to(game.hostId).emit('answer-statistics', answerStats);
@@ -615,7 +762,9 @@ class GameSessionService {
                 totalScore: player.score,
                 explanation: timeoutData.explanation,
                 questionType: timeoutData.questionType,
-                correctAnswer: correctAnswerForPlayer
+                correctAnswer: correctAnswerForPlayer,
+                ...(playerAnswer?.ghost && { ghost: true }),
+                ...(game.isEliminationMode && { elimination: game.getEliminationState(player) })
             };
             // Include correctAnswers array for multiple-correct questions
             if (correctAnswersForPlayer) {
@@ -628,6 +777,27 @@ class GameSessionService {
         this.advanceToNextQuestion(game, io);
     }
 
+    /**
+     * Elimination phase of a revealed question (elimination mode): knock out
+     * the players who missed it, bring back revived ghosts and tell the room.
+     * Runs before the player results, which carry each player's new state.
+     * @param {Object} game - Game instance
+     * @param {Object} io - Socket.IO instance
+     */
+    runEliminationPhase(game, io) {
+        const outcome = game.applyElimination();
+        if (!outcome) return;
+
+        io.to(`game-${game.pin}`).emit('elimination-update', {
+            questionNumber: game.currentQuestion + 1,
+            survivors: game.getSurvivors().length,
+            totalPlayers: game.players.size,
+            eliminated: outcome.eliminated.map(player => player.name),
+            revived: outcome.revived.map(player => player.name),
+            decided: game.isEliminationDecided()
+        });
+    }
+
     /**
    * Advance to next question with leaderboard display
    * @param {Object} game - Game instance
@@ -645,6 +815,13 @@ class GameSessionService {
             game.advanceTimer = null;
         }
 
+        // The question is scored: settle where its branching rule leads while
+        // the answers are as scored, then capture them before the reveal dwell
+        if (game.isBranching) {
+            game.resolveBranch();
+        }
+        this.requestSnapshot(game);
+
         game.advanceTimer = setTimeout(() => {
             try {
                 if (game.gameState === 'finished') {
@@ -658,7 +835,8 @@ class GameSessionService {
                     showStatistics: true
                 });
 
-                const hasMoreQuestions = (game.currentQuestion + 1) < game.quiz.questions.length;
+                // In elimination mode the game also ends once a winner is left standing
+                const hasMoreQuestions = game.hasNextQuestion();
 
                 if (game.manualAdvancement) {
                     // Show next button to host
@@ -673,7 +851,8 @@ class GameSessionService {
                     // so auto-advance does not jump straight to the next question.
                     if (game.showLeaderboardBetweenQuestions) {
                         io.to(`game-${game.pin}`).emit('show-leaderboard', {
-                            leaderboard: game.leaderboard.slice(0, 5)
+                            leaderboard: game.leaderboard.slice(0, 5),
+                            ...(game.isTeamMode && { teamLeaderboard: game.teamLeaderboard })
                         });
                     }
 
@@ -731,11 +910,17 @@ class GameSessionService {
             game.advanceTimer = null;
         }
 
+        // Settled already when the question ended; the host may skip ahead before that
+        if (game.isBranching) {
+            game.resolveBranch();
+        }
+
         io.to(game.hostId).emit('hide-next-button');
 
         if (game.showLeaderboardBetweenQuestions) {
             io.to(`game-${game.pin}`).emit('show-leaderboard', {
-                leaderboard: game.leaderboard.slice(0, 5)
+                leaderboard: game.leaderboard.slice(0, 5),
+                ...(game.isTeamMode && { teamLeaderboard: game.teamLeaderboard })
             });
         }
 
@@ -765,6 +950,60 @@ class GameSessionService {
         }, advanceDelay);
     }
 
+    /**
+     * Register a game rebuilt from a snapshot after a restart and re-arm its
+     * timers. Nobody is connected yet: the host gets `hostGraceMs` to come
+     * back through host-rejoin before the game goes the way of any other
+     * host disconnect.
+     * @param {Object} game - Game from Game.fromSnapshot()
+     * @param {Object} io - Socket.IO instance
+     * @param {number} hostGraceMs - How long to wait for the host
+     */
+    restoreGame(game, io, hostGraceMs) {
+        game.storage = this.storage;
+        game.hostDisconnected = true;
+        game.hostDisconnectedAt = Date.now();
+        this.games.set(game.pin, game);
+        this.hostIdToPin.set(game.hostId, game.pin);
+
+        switch (game.gameState) {
+            case 'starting':
+                this.autoAdvanceToFirstQuestion(game, io);
+                break;
+            case 'question':
+                // Time kept running while the server was down
+                this.armQuestionTimer(game, io, Math.max(0, game.questionEndsAt - Date.now()));
+                break;
+            case 'revealing':
+                // Manual games wait for the host's Next, replayed on host-rejoin
+                if (!game.manualAdvancement) {
+                    this.advanceToNextQuestion(game, io);
+                }
+                break;
+        }
+
+        const timerId = setTimeout(() => {
+            this.hostDisconnectTimers.delete(game.pin);
+            if (!game.hostDisconnected || this.games.get(game.pin) !== game) return;
+
+            if (game.gameState === 'lobby') {
+                io.to(`game-${game.pin}`).emit('game-ended', {
+                    reason: 'Host did not reconnect',
+                    messageKey: 'error_host_disconnected'
+                });
+                this.deleteGame(game.pin);
+            } else {
+                game.migrationSource = 'disconnect';
+                this.setPendingMigration(game, io);
+                io.to(`game-${game.pin}`).emit('host-preparing-new-game', { graceMs: 120000 });
+            }
+            this.logger.info(`Host did not return to restored game ${game.pin}`);
+        }, hostGraceMs);
+        this.setHostDisconnectTimer(game.pin, timerId);
+
+        this.logger.info(`Restored game ${game.pin} (${game.gameState}, ${game.players.size} players)`);
+    }
+
     /**
    * End the game and show final results
    * @param {Object} game - Game instance
@@ -785,18 +1024,50 @@ class GameSessionService {
 
         io.to(game.hostId).emit('hide-next-button');
 
+        game.awardBadges();
         game.updateLeaderboard();
-        game.saveResults();
+        const saved = game.saveResults();
+        // Results are saved; a restart from here on has nothing to resume
+        this.discardSnapshot(game.pin);
+
+        if (this.progressService) {
+            this.progressService.recordGame(game).catch(error => {
+                this.logger.error(`Failed to record student progress for game ${game.pin}:`, error);
+            });
+        }
+        if (this.gradePassback) {
+            this.gradePassback.recordGame(game).catch(error => {
+                this.logger.error(`Failed to send LMS scores for game ${game.pin}:`, error);
+            });
+        }
+        if (this.webhookService) {
+            this._emitWebhook(game, 'game.ended', {
+                startTime: game.startTime,
+                endTime: game.endTime,
+                leaderboard: game.leaderboard.map(({ name, score }) => ({ name, score }))
+            });
+            // Live games write their own results rather than through ResultsService
+            Promise.resolve(saved).then(() => {
+                if (game.resultsFilename) {
+                    this._emitWebhook(game, 'results.saved', {
+                        filename: game.resultsFilename,
+                        playerCount: game.players.size
+                    });
+                }
+            });
+        }
 
         // Emit game-end event after brief delay
         setTimeout(() => {
             if (game.gameState === 'finished') {
                 // Send to host (broadcast leaderboard)
                 io.to(game.hostId).emit('game-end', {
-                    finalLeaderboard: game.leaderboard
+                    finalLeaderboard: game.leaderboard,
+                    ...(game.isTeamMode && { teamLeaderboard: game.teamLeaderboard })
                 });
 
-                // Send to each connected player with their personal concept mastery.
+                // Send to each connected player with their personal concept mastery
+                // and the questions they missed (for their review queue).
                 // Skip disconnected players — they'll receive game-end on rejoin
                 // via handlePlayerRejoin (which checks game.gameState === 'finished').
                 game.players.forEach((player, playerId) => {
@@ -804,7 +1075,12 @@ class GameSessionService {
                     const conceptMastery = game.calculatePlayerConceptMastery(playerId);
                     io.to(playerId).emit('game-end', {
                         finalLeaderboard: game.leaderboard,
-                        conceptMastery: conceptMastery
+                        ...(game.isTeamMode && { teamLeaderboard: game.teamLeaderboard }),
+                        conceptMastery: conceptMastery,
+                        quizTitle: game.quiz.title,
+                        missedQuestions: game.getMissedQuestions(playerId),
+                        reportCard: game.getReportCardLink(playerId),
+                        badges: player.badges || []
                     });
                 });
 
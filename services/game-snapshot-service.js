@@ -0,0 +1,222 @@
+/**
+ * GameSnapshotService
+ *
+ * Keeps live games resumable across a process restart (deploy, crash, k8s pod
+ * reschedule). Every game that can still be resumed is written to the
+ * `snapshots` storage collection:
+ * - on lifecycle transitions (start, question start, question scored,
+ *   extend-time), coalesced over a short debounce window
+ * - periodically, which picks up joins, answers and proposals in between
+ *
+ * On boot restore() rebuilds the games, re-arms their timers from
+ * `questionEndsAt`, and waits for the host (host-rejoin with the host token)
+ * and the players (player-rejoin with their session token) to come back.
+ * Finished, deleted and migrating games drop their snapshot.
+ */
+
+const { COLLECTIONS } = require('./storage-adapter');
+const { Game } = require('./game');
+
+// States a game can be resumed from. 'finished' games have saved their results.
+const SNAPSHOT_STATES = new Set(['lobby', 'starting', 'question', 'revealing']);
+
+const SNAPSHOT_INTERVAL_MS = 10 * 1000;
+
+// Coalesces a burst of transitions (question scored -> reveal) into one write
+const SNAPSHOT_DEBOUNCE_MS = 250;
+
+// A whole class reconnects at once after a restart, so the host gets the same
+// window as players instead of the usual 30s
+const RESTORE_GRACE_MS = 2 * 60 * 1000;
+
+// Matches GameSessionService.cleanupStaleGames: older games are not resumed
+const MAX_SNAPSHOT_AGE_MS = 2 * 60 * 60 * 1000;
+
+class GameSnapshotService {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {GameSessionService} gameSessionService - Owner of the live games
+     * @param {PlayerManagementService} playerManagementService - Player grace timers
+     * @param {StorageAdapter} storage - Where snapshots are kept
+     * @param {Object} config - Server configuration (passed to restored games)
+     * @param {Object} [options]
+     * @param {number} [options.intervalMs] - Periodic snapshot interval
+     * @param {number} [options.graceMs] - How long restored games wait for their host and players
+     */
+    constructor(logger, gameSessionService, playerManagementService, storage, config, options = {}) {
+        this.logger = logger;
+        this.gameSessionService = gameSessionService;
+        this.playerManagementService = playerManagementService;
+        this.storage = storage;
+        this.config = config;
+        this.intervalMs = options.intervalMs || SNAPSHOT_INTERVAL_MS;
+        this.graceMs = options.graceMs || RESTORE_GRACE_MS;
+        this.interval = null;
+        this.pendingTimers = new Map(); // pin -> debounce timerId
+        this.stopped = false;
+        // Serializes snapshot writes: the file backend's atomic write shares one
+        // temp path per document, so two writes of the same game must not overlap.
+        this._writeChain = Promise.resolve();
+    }
+
+    /**
+     * Serialize a storage operation (see the queue in metadata-service.js)
+     */
+    _runExclusive(fn) {
+        const next = this._writeChain.then(fn, fn);
+        this._writeChain = next.catch(() => {});
+        return next;
+    }
+
+    /**
+     * Storage key for a game's snapshot
+     * @param {string} pin - Game PIN
+     * @returns {string}
+     */
+    _keyFor(pin) {
+        return `game-${pin}.json`;
+    }
+
+    /**
+     * Start periodic snapshots
+     */
+    start() {
+        if (this.interval) return;
+        this.interval = setInterval(() => {
+            this.snapshotAll();
+        }, this.intervalMs);
+        this.interval.unref();
+    }
+
+    /**
+     * Schedule a snapshot of one game soon. Repeated requests inside the
+     * debounce window share a single write.
+     * @param {Object} game - Game instance
+     */
+    requestSnapshot(game) {
+        if (this.stopped || this.pendingTimers.has(game.pin)) return;
+
+        const timerId = setTimeout(() => {
+            this.pendingTimers.delete(game.pin);
+            this.snapshotGame(game);
+        }, SNAPSHOT_DEBOUNCE_MS);
+        this.pendingTimers.set(game.pin, timerId);
+    }
+
+    /**
+     * Write (or, once it can no longer be resumed, remove) a game's snapshot.
+     * Failures are logged: a missed snapshot must never break the game.
+     * @param {Object} game - Game instance
+     * @returns {Promise<void>}
+     */
+    snapshotGame(game) {
+        return this._runExclusive(async () => {
+            const key = this._keyFor(game.pin);
+            // The game may have been deleted (or its PIN reused) since the request
+            const isLive = this.gameSessionService.getGame(game.pin) === game;
+
+            if (isLive && SNAPSHOT_STATES.has(game.gameState)) {
+                await this.storage.write(COLLECTIONS.SNAPSHOTS, key, game.toSnapshot());
+            } else if (await this.storage.exists(COLLECTIONS.SNAPSHOTS, key)) {
+                await this.storage.remove(COLLECTIONS.SNAPSHOTS, key);
+            }
+        }).catch(error => {
+            this.logger.error(`Failed to snapshot game ${game.pin}:`, error);
+        });
+    }
+
+    /**
+     * Snapshot every live game
+     * @returns {Promise<void>}
+     */
+    async snapshotAll() {
+        const games = Array.from(this.gameSessionService.getAllGames().values());
+        await Promise.all(games.map(game => this.snapshotGame(game)));
+    }
+
+    /**
+     * Remove a game's snapshot (finished, deleted or handed to a new game)
+     * @param {string} pin - Game PIN
+     * @returns {Promise<void>}
+     */
+    discard(pin) {
+        if (this.stopped) return Promise.resolve();
+
+        if (this.pendingTimers.has(pin)) {
+            clearTimeout(this.pendingTimers.get(pin));
+            this.pendingTimers.delete(pin);
+        }
+
+        return this._runExclusive(async () => {
+            const key = this._keyFor(pin);
+            if (await this.storage.exists(COLLECTIONS.SNAPSHOTS, key)) {
+                await this.storage.remove(COLLECTIONS.SNAPSHOTS, key);
+            }
+        }).catch(error => {
+            this.logger.error(`Failed to discard snapshot of game ${pin}:`, error);
+        });
+    }
+
+    /**
+     * Rebuild the games saved by the previous process. Unreadable, outdated and
+     * expired snapshots are removed.
+     * @param {Object} io - Socket.IO instance
+     * @returns {Promise<number>} Number of games restored
+     */
+    async restore(io) {
+        let restored = 0;
+
+        for (const key of await this.storage.keys(COLLECTIONS.SNAPSHOTS)) {
+            let game;
+            try {
+                const snapshot = await this.storage.read(COLLECTIONS.SNAPSHOTS, key);
+                game = Game.fromSnapshot(snapshot, this.logger, this.config, this.gameSessionService.limits);
+            } catch (error) {
+                this.logger.warn(`Discarding unreadable game snapshot ${key}: ${error.message}`);
+                await this.storage.remove(COLLECTIONS.SNAPSHOTS, key);
+                continue;
+            }
+
+            if (Date.now() - game.createdAt > MAX_SNAPSHOT_AGE_MS || this.gameSessionService.getGame(game.pin)) {
+                this.logger.info(`Discarding stale game snapshot ${key}`);
+                await this.storage.remove(COLLECTIONS.SNAPSHOTS, key);
+                continue;
+            }
+
+            this.gameSessionService.restoreGame(game, io, this.graceMs);
+            for (const player of game.players.values()) {
+                if (player.sessionToken) {
+                    this.playerManagementService.armDisconnectGrace(player.sessionToken, game, io, this.graceMs);
+                }
+            }
+            restored++;
+        }
+
+        if (restored > 0) {
+            this.logger.info(`Restored ${restored} live game(s) from snapshots`);
+        }
+        return restored;
+    }
+
+    /**
+     * Take a final snapshot of every live game and stop. Must run before
+     * sockets are closed: closing them deletes lobbies and marks players
+     * disconnected, which is not the state worth resuming.
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        for (const timerId of this.pendingTimers.values()) {
+            clearTimeout(timerId);
+        }
+        this.pendingTimers.clear();
+
+        await this.snapshotAll();
+        this.stopped = true;
+    }
+}
+
+module.exports = { GameSnapshotService, SNAPSHOT_STATES, RESTORE_GRACE_MS };
@@ -6,8 +6,26 @@
 
 const { v4: uuidv4 } = require('uuid');
 const { ScoringService } = require('./scoring-service');
+const { BadgeService } = require('./badge-service');
+const { QuestionTypeService } = require('./question-type-service');
 const { getLimits } = require('../config/limits');
-const { atomicWriteFile } = require('./atomic-write');
+const { COLLECTIONS } = require('./storage-adapter');
+const { FileStorageAdapter } = require('./file-storage-adapter');
+const { toResultQuestions } = require('./results-service');
+const { getPowerUp, resolvePowerUpSettings, createPowerUpState, isPowerUpApplicable } = require('./power-up-registry');
+const { difficultyOf, pickNextQuestion, adaptiveQuestionCount } = require('./adaptive-difficulty');
+const { hasBranching, resolveNextIndex, topOption } = require('./question-branching');
+
+// Bump when toSnapshot() changes shape; older snapshots are then discarded
+const SNAPSHOT_VERSION = 2;
+
+// What a missed question keeps when it is sent to a player's review queue:
+// enough to replay and score it locally, without videos or host settings
+const REVIEW_QUESTION_FIELDS = [
+    'type', 'question', 'options', 'correctAnswer', 'correctIndex', 'correctAnswers',
+    'correctIndices', 'correctOrder', 'acceptedAnswers', 'fuzzyThreshold', 'tolerance',
+    'pairs', 'difficulty', 'timeLimit', 'explanation', 'image', 'concepts'
+];
 
 /**
  * Fisher-Yates shuffle - returns shuffled copy and index mapping
@@ -65,6 +83,9 @@ class Game {
         // explicit false is an opt-out and must survive.
         this.manualAdvancement = quiz.manualAdvancement ?? true;
         this.powerUpsEnabled = quiz.powerUpsEnabled || false;
+        // Enabled power-ups with uses per player and parameters, resolved from
+        // the quiz's powerUpSettings (see power-up-registry.js)
+        this.powerUpConfig = this.powerUpsEnabled ? resolvePowerUpSettings(quiz.powerUpSettings) : {};
         // Intermediate (between-question) leaderboard. `??` not `||` — an
         // explicit false is an opt-out. The final leaderboard always shows.
         this.showLeaderboardBetweenQuestions = quiz.showLeaderboardBetweenQuestions ?? true;
@@ -74,6 +95,7 @@ class Game {
         this.logger = logger;
         this.config = config;
         this.limits = limits || getLimits(); // Use injected limits or get from config
+        this.storage = null; // Injected by GameSessionService.createGame()
 
         // Scoring configuration (optional, per-game session)
         // Falls back to server defaults if not provided
@@ -86,6 +108,13 @@ class Game {
         // Players removed after grace period expiry — preserved for final leaderboard
         this.removedPlayers = [];
 
+        // Host moderation: identities banned from this game. Names are stored
+        // lower-cased (the duplicate-name check is case-insensitive too). Kept
+        // across a rematch — same room, same PIN, same unwanted joiner.
+        this.bannedNames = new Set();
+        this.bannedDeviceIds = new Set();
+        this.bannedSessionTokens = new Set();
+
         // Consensus mode properties
         this.isConsensusMode = quiz.consensusMode || false;
         this.consensusConfig = {
@@ -101,8 +130,66 @@ class Game {
         // Tracks whether consensus was locked for current question
         this.consensusLocked = false;
 
+        // Team mode properties. Players carry a teamId; team scores are derived
+        // from member scores on every leaderboard update, never stored.
+        this.isTeamMode = quiz.teamMode || false;
+        this.teamConfig = {
+            count: quiz.teamCount || 2,
+            aggregation: quiz.teamAggregation || 'sum',
+            assignment: quiz.teamAssignment || 'auto'
+        };
+        this.teams = this.isTeamMode
+            ? Array.from({ length: this.teamConfig.count }, (_, i) => ({ id: i + 1, name: `Team ${i + 1}` }))
+            : [];
+        this.teamLeaderboard = [];
+
+        // Elimination mode: a wrong answer, or one of the slowest right ones,
+        // knocks a player out. The eliminated keep answering as unscored
+        // ghosts; on a revival round a right ghost answer brings them back.
+        // Not combined with consensus mode, where the room answers as one.
+        this.isEliminationMode = (quiz.eliminationMode || false) && !this.isConsensusMode;
+        this.eliminationConfig = {
+            slowestPercent: quiz.eliminationSlowestPercent || 0,
+            revivalEvery: quiz.eliminationRevivalEvery || 0
+        };
+        // Question whose elimination phase has run (it runs once per question)
+        this.eliminationQuestion = -1;
+
+        // Adaptive difficulty: each question is picked from the quiz's pool by
+        // how the room did on the one before (adaptive-difficulty.js), instead
+        // of going through the quiz in order. quiz.questions becomes the
+        // sequence asked, so question indices keep meaning "the Nth question
+        // asked"; slots not reached yet hold the unasked questions in pool
+        // order until nextQuestion() picks theirs.
+        this.isAdaptiveMode = quiz.adaptiveMode === true;
+        this.questionPool = null;
+        // Pool index of each question asked so far
+        this.adaptiveSourceIndices = [];
+        if (this.isAdaptiveMode) {
+            const count = adaptiveQuestionCount(quiz.questions.length, quiz.adaptiveQuestionCount);
+            this.questionPool = quiz.questions;
+            this.quiz = { ...quiz, questions: quiz.questions.slice(0, count) };
+        }
+
+        // Branching: a question's `next` rule picks the question after it
+        // (question-branching.js), decided once by resolveBranch() when the
+        // question has been scored. Adaptive mode picks questions itself.
+        this.isBranching = !this.isAdaptiveMode && hasBranching(this.quiz.questions);
+        // Where the game goes after a question: { from, index }
+        this.branchTarget = null;
+        // Indices of the questions asked, in order (branching games only)
+        this.questionPath = [];
+
+        // Student roster of the signed-in host, copied when the game is created
+        // (setRoster). Players matched to a student carry its studentId, and
+        // finished games are added to that student's progress profile.
+        this.ownerId = null;
+        this.roster = [];
+
         // Guard against duplicate results saves for this game instance
         this.resultsSaved = false;
+        // Saved results file of the finished game, for players' report cards
+        this.resultsFilename = null;
     }
 
     /**
@@ -133,7 +220,18 @@ class Game {
             name: playerName,
             score: 0,
             answers: [],
-            ...(this.powerUpsEnabled && { powerUps: this.createInitialPowerUpState() })
+            // Consecutive correct answers; a shield keeps it through a wrong one
+            streak: 0,
+            // Consecutive wrong answers (comeback bonus) and the longest streak (badges)
+            misses: 0,
+            bestStreak: 0,
+            ...(this.powerUpsEnabled && { powerUps: this.createInitialPowerUpState() }),
+            // Nobody joins an elimination game once it has started: late
+            // joiners play along as ghosts
+            ...(this.isEliminationMode && this.gameState !== 'lobby' && {
+                eliminated: true,
+                eliminatedOnQuestion: this.currentQuestion - 1
+            })
         };
 
         this.players.set(playerId, playerData);
@@ -142,14 +240,10 @@ class Game {
 
     /**
      * Create initial power-up state object
-     * @returns {Object} Fresh power-up state
+     * @returns {Object} Fresh power-up state: `{ [id]: { remaining, active? } }`
      */
     createInitialPowerUpState() {
-        return {
-            'fifty-fifty': { available: true, used: false },
-            'extend-time': { available: true, used: false },
-            'double-points': { available: true, used: false, active: false }
-        };
+        return createPowerUpState(this.powerUpConfig);
     }
 
     /**
@@ -161,12 +255,39 @@ class Game {
     }
 
     /**
-     * Use a power-up for a player
+     * Ban a player's name, device and session token from this game
+     * @param {Object} player - Player data from this.players
+     */
+    banPlayer(player) {
+        if (player.name) this.bannedNames.add(player.name.trim().toLowerCase());
+        if (player.deviceId) this.bannedDeviceIds.add(player.deviceId);
+        if (player.sessionToken) this.bannedSessionTokens.add(player.sessionToken);
+    }
+
+    /**
+     * Check whether any of the given identifiers has been banned from this game
+     * @param {Object} identity
+     * @param {string} [identity.name] - Player name
+     * @param {string} [identity.deviceId] - Persistent device ID
+     * @param {string} [identity.sessionToken] - Reconnect session token
+     * @returns {boolean} True if the name, device or session is banned
+     */
+    isBanned({ name, deviceId, sessionToken } = {}) {
+        if (name && this.bannedNames.has(name.trim().toLowerCase())) return true;
+        if (deviceId && this.bannedDeviceIds.has(deviceId)) return true;
+        if (sessionToken && this.bannedSessionTokens.has(sessionToken)) return true;
+        return false;
+    }
+
+    /**
+     * Use a power-up for a player. Only while the current question is open
+     * and the player has not answered it yet.
      * @param {string} playerId - Socket ID of the player
-     * @param {string} powerUpType - Type of power-up ('fifty-fifty', 'extend-time', 'double-points')
-     * @returns {Object} Result with success and any additional data
+     * @param {string} powerUpType - Power-up ID from the game's catalogue
+     * @param {Function} [random] - Random source for effects that pick options
+     * @returns {Object} Result with success, the type, uses left and effect fields
      */
-    usePowerUp(playerId, powerUpType) {
+    usePowerUp(playerId, powerUpType, random = Math.random) {
         if (!this.powerUpsEnabled) {
             return { success: false, error: 'Power-ups not enabled for this game', messageKey: 'error_powerup_not_enabled' };
         }
@@ -177,31 +298,55 @@ class Game {
         }
 
         const powerUp = player.powerUps[powerUpType];
-        if (!powerUp || powerUp.used) {
-            return { success: false, error: powerUp ? 'Power-up already used' : 'Unknown power-up type', messageKey: powerUp ? 'error_powerup_already_used' : 'error_unknown_powerup' };
+        const definition = getPowerUp(powerUpType);
+        if (!powerUp || !definition) {
+            return { success: false, error: 'Unknown power-up type', messageKey: 'error_unknown_powerup' };
+        }
+        if (powerUp.remaining <= 0) {
+            return { success: false, error: 'Power-up already used', messageKey: 'error_powerup_already_used' };
         }
 
-        powerUp.used = true;
-        powerUp.available = false;
+        const question = this.quiz.questions[this.currentQuestion];
+        // A second chance cannot be stacked on the retry it granted
+        const retrying = player.retryQuestion === this.currentQuestion && powerUpType === 'second-chance';
+        if (this.gameState !== 'question' || this.endingQuestionEarly || !question ||
+            player.answers[this.currentQuestion] || retrying || player.eliminated) {
+            return { success: false, error: 'Power-ups can only be used while answering', messageKey: 'error_powerup_unavailable' };
+        }
+        if (definition.armed && powerUp.active) {
+            return { success: false, error: 'Power-up already active', messageKey: 'error_powerup_active' };
+        }
+        if (!isPowerUpApplicable(powerUpType, question)) {
+            return { success: false, error: 'Power-up cannot be used on this question', messageKey: 'error_powerup_not_applicable' };
+        }
 
-        const result = { success: true, type: powerUpType };
+        powerUp.remaining--;
+        if (definition.armed) {
+            powerUp.active = true;
+        }
 
-        if (powerUpType === 'fifty-fifty') {
-            const question = this.quiz.questions[this.currentQuestion];
-            if (question?.type === 'multiple-choice') {
-                result.hiddenOptions = this.calculateHiddenOptions(question);
-                // Translate original-order indices into this player's shuffled
-                // coordinate space so the client can apply them directly.
-                // mapping[shuffledIndex] = originalIndex, so indexOf gives shuffled index.
-                const mapping = this.answerMappings?.get(playerId);
-                if (mapping) {
-                    result.hiddenOptions = result.hiddenOptions.map(orig => mapping.indexOf(orig));
-                }
+        const result = {
+            success: true,
+            type: powerUpType,
+            remaining: powerUp.remaining,
+            ...definition.effect(question, this.powerUpConfig[powerUpType], random)
+        };
+
+        // Translate original-order option indices into this player's shuffled
+        // coordinate space so the client can apply them directly.
+        // mapping[shuffledIndex] = originalIndex, so indexOf gives shuffled index.
+        const mapping = this.answerMappings?.get(playerId);
+        if (mapping && (question.type === 'multiple-choice' || question.type === 'multiple-correct')) {
+            if (result.hiddenOptions) {
+                result.hiddenOptions = result.hiddenOptions.map(orig => mapping.indexOf(orig));
+            }
+            if (result.hint?.kind === 'exclude-option') {
+                result.hint = { ...result.hint, option: mapping.indexOf(result.hint.option) };
             }
-        } else if (powerUpType === 'extend-time') {
-            result.extraSeconds = 10;
-        } else if (powerUpType === 'double-points') {
-            powerUp.active = true;
+        }
+
+        if (powerUpType === 'skip') {
+            this.recordSkip(player);
         }
 
         this.logger.debug(`Player ${playerId} used power-up: ${powerUpType}`);
@@ -209,36 +354,31 @@ class Game {
     }
 
     /**
-     * Calculate which options to hide for 50-50 power-up
-     * @param {Object} question - Current question
-     * @returns {number[]} Indices to hide
+     * Record the current question as skipped: answered for the early-end
+     * count, scored zero, streak untouched
+     * @param {Object} player - Player data from this.players
      */
-    calculateHiddenOptions(question) {
-        const correctAnswer = question.correctAnswer;
-        const optionsCount = question.options?.length || 4;
-        const wrongIndices = [];
-
-        for (let i = 0; i < optionsCount; i++) {
-            if (i !== correctAnswer) wrongIndices.push(i);
-        }
-
-        const numToHide = Math.ceil(wrongIndices.length / 2);
-        const shuffled = wrongIndices.sort(() => Math.random() - 0.5);
-        return shuffled.slice(0, numToHide);
+    recordSkip(player) {
+        player.answers[this.currentQuestion] = {
+            answer: null,
+            skipped: true,
+            isCorrect: false,
+            points: 0,
+            timeMs: Date.now() - this.questionStartTime
+        };
+        delete player.retryQuestion;
     }
 
     /**
-     * Check if a player has double points active and consume it
-     * @param {string} playerId - Socket ID of the player
-     * @returns {number} Multiplier (1 or 2)
+     * Armed power-ups (double points, shield, second chance) waiting for the
+     * player's next scored answer
+     * @param {Object} player - Player data from this.players
+     * @returns {string[]} IDs of the active power-ups
      */
-    getAndConsumeDoublePoints(playerId) {
-        const doublePoints = this.players.get(playerId)?.powerUps?.['double-points'];
-        if (doublePoints?.active) {
-            doublePoints.active = false;
-            return 2;
-        }
-        return 1;
+    getArmedPowerUps(player) {
+        return Object.entries(player?.powerUps || {})
+            .filter(([, state]) => state.active)
+            .map(([id]) => id);
     }
 
     /**
@@ -246,8 +386,8 @@ class Game {
      * @returns {boolean} True if there are more questions, false otherwise
      */
     nextQuestion() {
-        const nextQuestionIndex = this.currentQuestion + 1;
-        const hasMore = nextQuestionIndex < this.quiz.questions.length;
+        const nextQuestionIndex = this.getNextQuestionIndex();
+        const hasMore = this.hasNextQuestion();
 
         this.logger.debug('nextQuestion() DEBUG:', {
             currentQuestion: this.currentQuestion,
@@ -258,6 +398,12 @@ class Game {
         });
 
         if (hasMore) {
+            if (this.isAdaptiveMode) {
+                this.pickAdaptiveQuestion(nextQuestionIndex);
+            }
+            if (this.isBranching) {
+                this.questionPath.push(nextQuestionIndex);
+            }
             this.currentQuestion = nextQuestionIndex;
             this.gameState = 'question';
             // Clear (not just null) any pending timers so a stale question timer
@@ -274,6 +420,24 @@ class Game {
         return hasMore;
     }
 
+    /**
+     * Whether the game goes on after the current question: there is one
+     * left and, in elimination mode, more than one player still standing
+     * @returns {boolean}
+     */
+    hasNextQuestion() {
+        return this.getNextQuestionIndex() < this.quiz.questions.length && !this.isEliminationDecided();
+    }
+
+    /**
+     * Index of the question after the current one: the next in the quiz, or
+     * where the current question's branching rule leads
+     * @returns {number} questions.length or more when the quiz is over
+     */
+    getNextQuestionIndex() {
+        return this.isBranching ? this.resolveBranch() : this.currentQuestion + 1;
+    }
+
     /**
      * End the current question
      */
@@ -298,10 +462,11 @@ class Game {
      * @param {string} playerId - Socket ID of the player
      * @param {*} answer - Player's answer
      * @param {string} answerType - Type of answer
-     * @returns {Object} `{ accepted: true, isCorrect, points, doublePointsUsed, breakdown }`
-     *                   on success, otherwise `{ accepted: false, reason }` where reason is
-     *                   'unknown-player' or 'duplicate' (the latter also carries the
-     *                   previously stored answer as `result`).
+     * @returns {Object} `{ accepted: true, isCorrect, points, doublePointsUsed, breakdown,
+     *                   streak, shielded }` on success, otherwise `{ accepted: false, reason }`
+     *                   where reason is 'unknown-player', 'duplicate' (also carries the
+     *                   previously stored answer as `result`) or 'retry' (a second chance
+     *                   turned a wrong answer away; carries `pointsPercent`).
      */
     submitAnswer(playerId, answer, answerType) {
         const player = this.players.get(playerId);
@@ -322,10 +487,15 @@ class Game {
         // Translate shuffled answer indices back to original indices
         const translatedAnswer = this.translateShuffledAnswer(playerId, answer, questionType);
 
-        // Poll questions award nothing, so consuming the power-up here would
-        // burn it for no benefit — leave it banked for a scored question.
+        // Armed power-ups ride on the next scored answer. Poll questions award
+        // nothing, so consuming them here would burn them for no benefit —
+        // leave them banked for a scored question.
         const isPoll = question.isPoll === true;
-        const doublePointsMultiplier = isPoll ? 1 : this.getAndConsumeDoublePoints(playerId);
+        const armed = isPoll ? [] : this.getArmedPowerUps(player);
+        const retrying = player.retryQuestion === this.currentQuestion;
+        const doublePointsMultiplier = armed.includes('double-points')
+            ? this.powerUpConfig['double-points']?.multiplier || 2
+            : 1;
 
         // Resolve question time limit in ms
         const questionTimeSec = question.timeLimit || question.time
@@ -341,19 +511,64 @@ class Game {
             config: this.config,
             scoringConfig: this.scoringConfig,
             doublePointsMultiplier,
-            questionTimeLimitMs
+            questionTimeLimitMs,
+            streak: player.streak || 0,
+            misses: player.misses || 0
         });
 
+        if (player.eliminated) {
+            return this.recordGhostAnswer(player, questionType === 'matching' ? translatedAnswer : answer, scoringResult.isCorrect);
+        }
+
+        // Second chance: a wrong first attempt is not recorded, the player
+        // answers again. Other armed power-ups wait for that answer.
+        if (armed.includes('second-chance') && !retrying && !scoringResult.isCorrect) {
+            player.powerUps['second-chance'].active = false;
+            player.retryQuestion = this.currentQuestion;
+            return {
+                accepted: false,
+                reason: 'retry',
+                pointsPercent: this.powerUpConfig['second-chance']?.pointsPercent ?? 50
+            };
+        }
+
+        armed.forEach(id => { player.powerUps[id].active = false; });
+        delete player.retryQuestion;
+
+        let points = scoringResult.points;
+        const breakdown = { ...scoringResult.breakdown };
+        if (retrying) {
+            breakdown.secondChancePercent = this.powerUpConfig['second-chance']?.pointsPercent ?? 50;
+            points = Math.floor(points * breakdown.secondChancePercent / 100);
+        }
+
+        // A shield keeps the streak through a wrong answer; polls leave it alone
+        const shielded = !isPoll && !scoringResult.isCorrect && armed.includes('shield');
+        if (!isPoll && !shielded) {
+            player.streak = scoringResult.isCorrect ? (player.streak || 0) + 1 : 0;
+            player.misses = scoringResult.isCorrect ? 0 : (player.misses || 0) + 1;
+            player.bestStreak = Math.max(player.bestStreak || 0, player.streak);
+        }
+
         const answerData = {
-            answer,
+            // The matching mapping is dropped with the question, so keep the
+            // canonical pairs; a shuffled answer would be meaningless later
+            answer: questionType === 'matching' ? translatedAnswer : answer,
             isCorrect: scoringResult.isCorrect,
-            points: scoringResult.points,
+            points,
             timeMs: Date.now() - this.questionStartTime,
             doublePointsUsed: doublePointsMultiplier > 1,
-            breakdown: scoringResult.breakdown
+            breakdown
         };
 
-        // Add partialScore for ordering questions (enables "partially correct" feedback)
+        if (retrying) {
+            answerData.secondChance = true;
+        }
+        if (shielded) {
+            answerData.shielded = true;
+        }
+
+        // Add partialScore for ordering and matching questions (enables "partially correct" feedback)
         if (scoringResult.partialScore !== null) {
             answerData.partialScore = scoringResult.partialScore;
         }
@@ -365,14 +580,47 @@ class Game {
         }
 
         player.answers[this.currentQuestion] = answerData;
-        player.score += scoringResult.points;
+        player.score += points;
 
         return {
             accepted: true,
             isCorrect: scoringResult.isCorrect,
-            points: scoringResult.points,
+            points,
             doublePointsUsed: doublePointsMultiplier > 1,
-            breakdown: scoringResult.breakdown
+            breakdown,
+            streak: player.streak || 0,
+            shielded
+        };
+    }
+
+    /**
+     * Record an eliminated player's answer (elimination mode): marked right
+     * or wrong, but no points, and streak, misses and armed power-ups are
+     * left alone
+     * @param {Object} player - Player data from this.players
+     * @param {*} answer - Answer as stored (see submitAnswer)
+     * @param {boolean|null} isCorrect - Verdict, null for a poll
+     * @returns {Object} submitAnswer()'s accepted result, plus `ghost: true`
+     */
+    recordGhostAnswer(player, answer, isCorrect) {
+        player.answers[this.currentQuestion] = {
+            answer,
+            isCorrect,
+            points: 0,
+            timeMs: Date.now() - this.questionStartTime,
+            ghost: true,
+            ...(isCorrect === null && { isPoll: true })
+        };
+
+        return {
+            accepted: true,
+            isCorrect,
+            points: 0,
+            doublePointsUsed: false,
+            breakdown: {},
+            streak: player.streak || 0,
+            shielded: false,
+            ghost: true
         };
     }
 
@@ -491,6 +739,15 @@ class Game {
             };
         }
 
+        // Players who proposed the locked answer helped build the consensus
+        // (the consensus-builder badge counts these)
+        for (const [playerId, answer] of this.proposals) {
+            const player = this.players.get(playerId);
+            if (player && parseInt(answer, 10) === consensus.answer) {
+                player.consensusAgreements = (player.consensusAgreements || 0) + 1;
+            }
+        }
+
         // Check if consensus answer is correct
         const correctAnswer = this.getCorrectAnswerKey(question);
         const isCorrect = consensus.answer === correctAnswer;
@@ -557,6 +814,245 @@ class Game {
 
     // ==================== END CONSENSUS MODE METHODS ====================
 
+    // ==================== ELIMINATION MODE METHODS ====================
+
+    /**
+     * Whether a question is a revival round: eliminated players who answer
+     * it right come back
+     * @param {number} [questionIndex] - Question index, the current one by default
+     * @returns {boolean}
+     */
+    isRevivalRound(questionIndex = this.currentQuestion) {
+        const every = this.eliminationConfig.revivalEvery;
+        return this.isEliminationMode && every > 0 && (questionIndex + 1) % every === 0;
+    }
+
+    /**
+     * Players still standing (elimination mode), disconnected ones included
+     * @returns {Object[]} Player records
+     */
+    getSurvivors() {
+        return Array.from(this.players.values()).filter(player => !player.eliminated);
+    }
+
+    /**
+     * Whether a single player is left standing out of several: the game is won
+     * @returns {boolean}
+     */
+    isEliminationDecided() {
+        return this.isEliminationMode && this.players.size > 1 && this.getSurvivors().length <= 1;
+    }
+
+    /**
+     * Whether the early end of a question waits for this player. Ghosts are
+     * not waited for, except on a revival round where their answer counts.
+     * @param {Object} player - Player data from this.players
+     * @returns {boolean}
+     */
+    isAwaitingAnswer(player) {
+        return !player.eliminated || this.isRevivalRound();
+    }
+
+    /**
+     * Elimination phase of the current question, run once when its answers
+     * are revealed. Survivors with no answer or a wrong one are knocked out
+     * (a shield or a skip keeps them in, as it keeps the streak), then the
+     * slowest `slowestPercent` of the right answers. When that would leave
+     * nobody standing, nobody goes out. On a revival round, ghosts who
+     * answered right come back. Polls eliminate nobody.
+     * @returns {{eliminated: Object[], revived: Object[]}|null} Players knocked
+     *          out and brought back, or null when the phase had already run
+     *          or the game is not in elimination mode
+     */
+    applyElimination() {
+        if (!this.isEliminationMode || this.eliminationQuestion === this.currentQuestion) {
+            return null;
+        }
+        this.eliminationQuestion = this.currentQuestion;
+
+        const index = this.currentQuestion;
+        const question = this.quiz.questions[index];
+        if (!question || question.isPoll === true) {
+            return { eliminated: [], revived: [] };
+        }
+
+        const survivors = this.getSurvivors();
+        const out = survivors.filter(player => {
+            const answer = player.answers[index];
+            return !answer || (answer.isCorrect !== true && !answer.shielded && !answer.skipped);
+        });
+
+        const slowestPercent = this.eliminationConfig.slowestPercent;
+        if (slowestPercent > 0) {
+            const right = survivors
+                .filter(player => player.answers[index]?.isCorrect === true)
+                .sort((a, b) => b.answers[index].timeMs - a.answers[index].timeMs);
+            out.push(...right.slice(0, Math.floor(right.length * slowestPercent / 100)));
+        }
+
+        const eliminated = out.length < survivors.length ? out : [];
+        const revived = this.isRevivalRound()
+            ? Array.from(this.players.values())
+                .filter(player => player.eliminated && player.answers[index]?.isCorrect === true)
+            : [];
+
+        eliminated.forEach(player => {
+            player.eliminated = true;
+            player.eliminatedOnQuestion = index;
+        });
+        revived.forEach(player => {
+            player.eliminated = false;
+            delete player.eliminatedOnQuestion;
+            player.revivedOnQuestion = index;
+        });
+
+        return { eliminated, revived };
+    }
+
+    /**
+     * A player's elimination state, sent with their question result
+     * @param {Object} player - Player data from this.players
+     * @returns {{eliminated: boolean, eliminatedNow: boolean, revived: boolean, survivors: number}|null}
+     *          Null when the game is not in elimination mode
+     */
+    getEliminationState(player) {
+        if (!this.isEliminationMode || !player) return null;
+        return {
+            eliminated: player.eliminated === true,
+            eliminatedNow: player.eliminated === true && player.eliminatedOnQuestion === this.currentQuestion,
+            revived: player.revivedOnQuestion === this.currentQuestion,
+            survivors: this.getSurvivors().length
+        };
+    }
+
+    /**
+     * Elimination settings for 'game-started'
+     * @param {Object} [player] - Joining player, whose own state is added
+     * @returns {Object|null} Null when the game is not in elimination mode
+     */
+    getEliminationInfo(player = null) {
+        if (!this.isEliminationMode) return null;
+        return {
+            enabled: true,
+            ...this.eliminationConfig,
+            survivors: this.getSurvivors().length,
+            totalPlayers: this.players.size,
+            ...(player && { eliminated: player.eliminated === true })
+        };
+    }
+
+    // ==================== END ELIMINATION MODE METHODS ====================
+
+    // ==================== ADAPTIVE DIFFICULTY METHODS ====================
+
+    /**
+     * Pick the pool question asked at a position, by how the room did on the
+     * question before it, and put it in that slot of quiz.questions. The
+     * slots after it are refilled with the questions still unasked.
+     * @param {number} index - Position in the game (0-based)
+     */
+    pickAdaptiveQuestion(index) {
+        const asked = this.adaptiveSourceIndices.slice(0, index);
+        const accuracy = index > 0 ? this.getRoomAccuracy(index - 1) : null;
+        const sourceIndex = pickNextQuestion(this.questionPool, asked, accuracy);
+        if (sourceIndex === -1) return;
+
+        this.adaptiveSourceIndices = [...asked, sourceIndex];
+        const picked = new Set(this.adaptiveSourceIndices);
+        const unasked = this.questionPool.filter((_, poolIndex) => !picked.has(poolIndex));
+        this.quiz.questions = [
+            ...this.quiz.questions.slice(0, index),
+            this.questionPool[sourceIndex],
+            ...unasked.slice(0, this.quiz.questions.length - index - 1)
+        ];
+
+        this.logger.debug(`Adaptive pick for question ${index + 1}: pool question ${sourceIndex + 1} ` +
+            `(${difficultyOf(this.questionPool[sourceIndex])}, room accuracy ${accuracy ?? 'n/a'})`);
+    }
+
+    /**
+     * Share of the room that answered a question right. Players who did not
+     * answer count as wrong unless they were disconnected; ghost answers
+     * (elimination mode) are left out.
+     * @param {number} index - Question index
+     * @returns {number|null} Percent, or null for a poll or with nobody to count
+     */
+    getRoomAccuracy(index) {
+        const question = this.quiz.questions[index];
+        if (!question || question.isPoll === true) return null;
+
+        let counted = 0;
+        let correct = 0;
+        this.players.forEach(player => {
+            const answer = player.answers[index];
+            if (answer ? answer.ghost : (player.disconnected || player.eliminated)) return;
+            counted++;
+            if (answer?.isCorrect === true) correct++;
+        });
+        return counted > 0 ? Math.round((correct / counted) * 100) : null;
+    }
+
+    /**
+     * The difficulty path the game took, one step per question asked
+     * @returns {Array<{sourceIndex: number, difficulty: string, accuracy: number|null}>}
+     *          Pool index, level and room accuracy of each question
+     */
+    getDifficultyPath() {
+        return this.adaptiveSourceIndices.slice(0, this.currentQuestion + 1).map((sourceIndex, index) => ({
+            sourceIndex,
+            difficulty: difficultyOf(this.quiz.questions[index]),
+            accuracy: this.getRoomAccuracy(index)
+        }));
+    }
+
+    // ==================== END ADAPTIVE DIFFICULTY METHODS ====================
+
+    // ==================== BRANCHING METHODS ====================
+
+    /**
+     * Decide where the game goes after the current question, by its `next`
+     * rule and how the room answered. Worked out once per question, after it
+     * has been scored, so players leaving later cannot change the way.
+     * @returns {number} Index of the next question (questions.length or more ends the quiz)
+     */
+    resolveBranch() {
+        if (!this.isBranching || this.currentQuestion < 0) return this.currentQuestion + 1;
+        if (this.branchTarget?.from === this.currentQuestion) return this.branchTarget.index;
+
+        const index = resolveNextIndex(this.quiz.questions, this.currentQuestion, {
+            accuracy: this.getRoomAccuracy(this.currentQuestion),
+            topOption: this.getTopOption(this.currentQuestion)
+        });
+        this.branchTarget = { from: this.currentQuestion, index };
+        if (index !== this.currentQuestion + 1) {
+            this.logger.debug(`Branching after question ${this.currentQuestion + 1} to question ${index + 1}`);
+        }
+        return index;
+    }
+
+    /**
+     * The option of a multiple-choice question the room picked most, in the
+     * quiz's option order. Ghost answers (elimination mode) are left out.
+     * Reads the answer shuffles, so it is only right while the question is
+     * the current one.
+     * @param {number} index - Question index
+     * @returns {number|null} Option index, null for other question types, without answers or on a tie
+     */
+    getTopOption(index) {
+        const question = this.quiz.questions[index];
+        if ((question?.type || 'multiple-choice') !== 'multiple-choice') return null;
+
+        const picks = [];
+        this.players.forEach((player, playerId) => {
+            const answer = player.answers[index];
+            if (!answer || answer.ghost) return;
+            picks.push(this.translateShuffledAnswer(playerId, answer.answer, 'multiple-choice'));
+        });
+        return topOption(picks);
+    }
+
+    // ==================== END BRANCHING METHODS ====================
+
     /**
      * Get the correct answer key for a question based on its type
      * @param {Object} question - Question data
@@ -566,6 +1062,33 @@ class Game {
         return ScoringService.getCorrectAnswerKey(question, question.type || 'multiple-choice');
     }
 
+    /**
+     * Columns of a matching question as sent to one client. Stored pairs
+     * line up (left i goes with right i), so the right column is always
+     * shuffled. A player's shuffle is kept in answerMappings and reused on
+     * rejoin; without a playerId (the host) the shuffle is display-only.
+     * @param {Object} question - Matching question
+     * @param {string|null} playerId - Player's socket ID, or null for the host
+     * @returns {{options: string[], matches: string[]}} Left and right items
+     */
+    getMatchingColumns(question, playerId = null) {
+        const pairs = question.pairs || [];
+        const rights = pairs.map(pair => pair.right);
+
+        let mapping = playerId ? this.answerMappings.get(playerId) : null;
+        if (!mapping) {
+            mapping = shuffleWithMapping(rights).mapping;
+            if (playerId) {
+                this.answerMappings.set(playerId, mapping);
+            }
+        }
+
+        return {
+            options: pairs.map(pair => pair.left),
+            matches: mapping.map(originalIndex => rights[originalIndex])
+        };
+    }
+
     /**
      * Translate shuffled answer indices back to original indices
      * @param {string} playerId - Player's socket ID
@@ -580,15 +1103,130 @@ class Game {
         if (questionType === 'multiple-choice' && typeof answer === 'number') {
             return mapping[answer];
         }
-        if (questionType === 'multiple-correct' && Array.isArray(answer)) {
+        if ((questionType === 'multiple-correct' || questionType === 'matching') && Array.isArray(answer)) {
             return answer.map(idx => mapping[idx]);
         }
         return answer;
     }
 
+    /**
+     * Put a player on a team
+     * @param {string} playerId - Socket ID of the player
+     * @param {number} teamId - Team ID from this.teams
+     * @returns {Object} Result with success status or error
+     */
+    assignTeam(playerId, teamId) {
+        if (!this.isTeamMode) {
+            return { success: false, error: 'Team mode is not enabled', messageKey: 'error_team_mode_disabled' };
+        }
+        const player = this.players.get(playerId);
+        if (!player) {
+            return { success: false, error: 'Player not found', messageKey: 'error_player_not_found' };
+        }
+        if (!this.teams.some(team => team.id === teamId)) {
+            return { success: false, error: 'Team not found', messageKey: 'error_team_not_found' };
+        }
+
+        player.teamId = teamId;
+        return { success: true, teamId };
+    }
+
+    /**
+     * Put a player on the team with the fewest members (lowest ID on a tie)
+     * @param {string} playerId - Socket ID of the player
+     * @returns {Object} Result with success status or error
+     */
+    autoAssignTeam(playerId) {
+        const counts = new Map(this.teams.map(team => [team.id, 0]));
+        this.players.forEach((player, id) => {
+            if (id !== playerId && counts.has(player.teamId)) {
+                counts.set(player.teamId, counts.get(player.teamId) + 1);
+            }
+        });
+
+        let smallest = null;
+        counts.forEach((count, teamId) => {
+            if (smallest === null || count < counts.get(smallest)) {
+                smallest = teamId;
+            }
+        });
+
+        return this.assignTeam(playerId, smallest);
+    }
+
+    /**
+     * Spread players the host left unassigned over the smallest teams.
+     * Called at game start in manual assignment mode.
+     */
+    balanceUnassignedPlayers() {
+        if (!this.isTeamMode) return;
+        this.players.forEach((player, playerId) => {
+            if (!player.teamId) {
+                this.autoAssignTeam(playerId);
+            }
+        });
+    }
+
+    /**
+     * Team standings, aggregated from member scores. Includes players removed
+     * after their grace period, like the individual leaderboard.
+     * @returns {Array<{id: number, name: string, score: number, memberCount: number}>}
+     *          Teams ordered by score, highest first
+     */
+    getTeamStandings() {
+        const allPlayers = [
+            ...Array.from(this.players.values()),
+            ...this.removedPlayers
+        ];
+
+        return this.teams
+            .map(team => {
+                const scores = allPlayers.filter(p => p.teamId === team.id).map(p => p.score);
+                let score = 0;
+                if (scores.length > 0) {
+                    switch (this.teamConfig.aggregation) {
+                        case 'average':
+                            score = Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length);
+                            break;
+                        case 'best':
+                            score = Math.max(...scores);
+                            break;
+                        default:
+                            score = scores.reduce((sum, s) => sum + s, 0);
+                    }
+                }
+                return { id: team.id, name: team.name, score, memberCount: scores.length };
+            })
+            .sort((a, b) => b.score - a.score || a.id - b.id);
+    }
+
+    /**
+     * Get a team's name
+     * @param {number} teamId - Team ID
+     * @returns {string|null} Team name, or null when not on a team
+     */
+    getTeamName(teamId) {
+        return this.teams.find(team => team.id === teamId)?.name || null;
+    }
+
+    /**
+     * Award the end-of-game badges (see BadgeService) to every player,
+     * disconnected ones included so they match the final leaderboard
+     */
+    awardBadges() {
+        const players = [...Array.from(this.players.values()), ...this.removedPlayers];
+        const asked = this.quiz.questions.slice(0, this.currentQuestion + 1);
+        const badges = BadgeService.computeBadges(players, asked);
+        players.forEach(player => {
+            player.badges = badges.get(player.id) || [];
+        });
+    }
+
     /**
      * Update the leaderboard
-     * Sorts by score (descending), then by total time (ascending) as tiebreaker
+     * Sorts by score (descending), then by total time (ascending) as tiebreaker.
+     * In elimination mode players still standing come first, then the
+     * eliminated by how long they lasted.
      *
      * NOTE: Intentionally includes disconnected players so their earned scores
      * are preserved in the final standings. This differs from getAnswerStatistics()
@@ -609,12 +1247,20 @@ class Game {
         }));
         this.leaderboard = playersWithTime
             .sort((a, b) => {
+                if (this.isEliminationMode) {
+                    const survived = (p) => (p.eliminated ? p.eliminatedOnQuestion ?? -1 : Infinity);
+                    if (survived(a.player) !== survived(b.player)) return survived(b.player) - survived(a.player);
+                }
                 // Primary sort: higher score wins
                 if (b.player.score !== a.player.score) return b.player.score - a.player.score;
                 // Tiebreaker: faster total response time wins
                 return a.totalTime - b.totalTime;
             })
             .map(({ player }) => player);
+
+        if (this.isTeamMode) {
+            this.teamLeaderboard = this.getTeamStandings();
+        }
     }
 
     /**
@@ -623,9 +1269,12 @@ class Game {
      */
     getAnswerStatistics() {
         const question = this.quiz.questions[this.currentQuestion];
-        // Only count active (non-disconnected) players
+        // Only count active (non-disconnected) players. In elimination mode
+        // ghosts are left out: the statistics are about the survivors.
         const activePlayers = Array.from(this.players.values())
-            .filter(p => !p.disconnected);
+            .filter(p => !p.disconnected)
+            .filter(p => !this.isEliminationMode || !(p.answers[this.currentQuestion]?.ghost ||
+                (p.eliminated && p.eliminatedOnQuestion < this.currentQuestion)));
 
         if (!question) {
             return {
@@ -651,12 +1300,16 @@ class Game {
             stats.answerCounts['true'] = 0;
             stats.answerCounts['false'] = 0;
         }
-        // numeric and ordering types use dynamic keys, no pre-initialization needed
+        // numeric, ordering and text-input types use dynamic keys, no pre-initialization needed
+        const textAnswers = [];
+        const matchAnswers = [];
 
         activePlayers.forEach(player => {
             const playerAnswer = player.answers[this.currentQuestion];
             if (playerAnswer) {
                 stats.answeredPlayers++;
+                // A skip counts as answered but picked nothing
+                if (playerAnswer.skipped) return;
                 const answer = playerAnswer.answer;
 
                 if (question.type === 'multiple-choice') {
@@ -681,12 +1334,34 @@ class Game {
                 } else if (question.type === 'ordering') {
                     const orderKey = JSON.stringify(answer);
                     stats.answerCounts[orderKey] = (stats.answerCounts[orderKey] || 0) + 1;
+                } else if (question.type === 'text-input') {
+                    textAnswers.push(answer);
+                } else if (question.type === 'matching') {
+                    matchAnswers.push(answer);
                 }
             }
         });
 
+        // Text answers are grouped into a word cloud, most frequent first.
+        // Correctness is left out: the host screen is usually on the projector.
+        if (question.type === 'text-input') {
+            const cloud = QuestionTypeService.buildStatistics('text-input', textAnswers, question);
+            cloud.words.forEach(word => {
+                stats.answerCounts[word.text] = word.count;
+            });
+        }
+
+        // Matching counts how many players got each pair right, keyed by pair
+        // index. Only the left items are labelled on the host screen.
+        if (question.type === 'matching') {
+            const pairStats = QuestionTypeService.buildStatistics('matching', matchAnswers, question);
+            pairStats.pairCorrect.forEach((count, index) => {
+                stats.answerCounts[index] = count;
+            });
+        }
+
         // Add option count for dynamic display
-        stats.optionCount = question.options?.length || 4;
+        stats.optionCount = question.options?.length || question.pairs?.length || 4;
 
         // Add scoring info for host breakdown display
         stats.scoringInfo = this.getScoringInfoForQuestion(question);
@@ -715,12 +1390,80 @@ class Game {
             difficultyMultiplier,
             difficulty: question.difficulty || 'medium',
             timeBonusEnabled,
-            timeBonusThreshold
+            timeBonusThreshold,
+            streakBonusEnabled: this.scoringConfig?.streakBonus?.enabled === true,
+            comebackBonusEnabled: this.scoringConfig?.comebackBonus?.enabled === true
         };
     }
 
     /**
-     * Save game results to file
+     * Attach the host's student roster to this game
+     * @param {string|null} ownerId - Account ID of the host
+     * @param {Array<{id: string, name: string, joinCode: string}>} roster - Students on the host's roster
+     */
+    setRoster(ownerId, roster) {
+        this.ownerId = ownerId || null;
+        this.roster = (roster || []).map(({ id, name, joinCode }) => ({ id, name, joinCode }));
+    }
+
+    /**
+     * Roster names for the join screen's picker. Join codes stay on the server.
+     * @returns {Array<{id: string, name: string}>}
+     */
+    getRosterChoices() {
+        return this.roster.map(({ id, name }) => ({ id, name }));
+    }
+
+    /**
+     * Resolve the student a joining player claims to be
+     * @param {Object} claim
+     * @param {string} [claim.studentId] - Student picked from the roster
+     * @param {string} [claim.joinCode] - Join code typed by the student
+     * @param {string} [claim.playerId] - Socket ID of the claiming player (ignored in the taken check)
+     * @returns {Object} `{ success: true, student }` (student null when nothing was claimed) or an error
+     */
+    matchRosterStudent({ studentId, joinCode, playerId } = {}) {
+        if (!studentId && !joinCode) {
+            return { success: true, student: null };
+        }
+
+        const code = joinCode ? joinCode.trim().toUpperCase() : null;
+        const student = this.roster.find(s => (code ? s.joinCode === code : s.id === studentId));
+        if (!student) {
+            return code
+                ? { success: false, error: 'Unknown student code', messageKey: 'error_student_code_invalid' }
+                : { success: false, error: 'Student not found', messageKey: 'error_student_not_found' };
+        }
+
+        for (const [id, player] of this.players) {
+            if (id !== playerId && player.studentId === student.id && !player.disconnected) {
+                return { success: false, error: 'This student is already in the game', messageKey: 'error_student_already_joined' };
+            }
+        }
+
+        return { success: true, student };
+    }
+
+    /**
+     * Mark a player as a roster student. A disconnected player still holding
+     * the student (a phone that lost its rejoin token) gives it up, so the
+     * game is recorded once, for the player who came back.
+     * @param {string} playerId - Socket ID of the player
+     * @param {string} studentId - Student ID from matchRosterStudent
+     */
+    claimRosterStudent(playerId, studentId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+        for (const [id, other] of this.players) {
+            if (id !== playerId && other.studentId === studentId) {
+                delete other.studentId;
+            }
+        }
+        player.studentId = studentId;
+    }
+
+    /**
+     * Save game results to storage
      * Note: Client-side also saves via REST API for redundancy
      */
     async saveResults() {
@@ -729,12 +1472,10 @@ class Game {
         if (this.resultsSaved) return;
         this.resultsSaved = true;
         try {
-            const fs = require('fs').promises;
-            const path = require('path');
-
-            // Ensure results directory exists
-            const resultsDir = 'results';
-            await fs.mkdir(resultsDir, { recursive: true });
+            // A Game created outside GameSessionService writes results/ files.
+            // initialize() also ensures the results directory exists.
+            const storage = this.storage || new FileStorageAdapter(this.logger);
+            await storage.initialize();
 
             const results = {
                 quizTitle: this.quiz.title || 'Untitled Quiz',
@@ -742,34 +1483,48 @@ class Game {
                 results: Array.from(this.players.values()).map(player => ({
                     name: player.name,
                     score: player.score,
-                    answers: player.answers
+                    answers: player.answers,
+                    ...(player.badges?.length > 0 && { badges: player.badges }),
+                    ...(player.studentId && { studentId: player.studentId }),
+                    ...(this.isTeamMode && { team: this.getTeamName(player.teamId) }),
+                    ...(this.isEliminationMode && { survived: !player.eliminated })
                 })),
                 startTime: this.startTime,
                 endTime: this.endTime,
                 saved: new Date().toISOString(),
-                questions: this.quiz.questions.map((q, index) => ({
-                    questionNumber: index + 1,
-                    text: q.question || q.text,
-                    type: q.type || 'multiple-choice',
-                    options: q.options,
-                    correctAnswer: q.correctAnswer,
-                    correctAnswers: q.correctAnswers,
-                    correctOrder: q.correctOrder,
-                    isPoll: q.isPoll === true,
-                    difficulty: q.difficulty || 'medium',
-                    timeLimit: q.timeLimit || q.time,
-                    concepts: q.concepts || []
-                }))
+                questions: toResultQuestions(this.quiz.questions),
+                ...(this.isTeamMode && {
+                    teamAggregation: this.teamConfig.aggregation,
+                    teams: this.getTeamStandings().map(({ name, score, memberCount }) => ({ name, score, memberCount }))
+                }),
+                ...(this.isAdaptiveMode && {
+                    adaptive: { mode: 'room', path: this.getDifficultyPath() }
+                }),
+                ...(this.isBranching && { branching: { path: this.questionPath } })
             };
 
             const filename = `results_${this.pin}_${Date.now()}.json`;
-            await atomicWriteFile(path.join(resultsDir, filename), JSON.stringify(results, null, 2));
+            // Set before the write: 'game-end' goes out while it may still be running
+            this.resultsFilename = filename;
+            await storage.write(COLLECTIONS.RESULTS, filename, results);
             this.logger.info(`Results saved: ${filename}`);
         } catch (error) {
+            this.resultsFilename = null;
             this.logger.error('Error saving game results:', error);
         }
     }
 
+    /**
+     * Where a player's report card can be fetched from, sent with 'game-end'
+     * @param {string} playerId - Socket ID of the player
+     * @returns {{filename: string, player: string}|null} Null until results are saved
+     */
+    getReportCardLink(playerId) {
+        const player = this.players.get(playerId);
+        if (!player || !this.resultsFilename) return null;
+        return { filename: this.resultsFilename, player: player.name };
+    }
+
     /**
      * Calculate personal concept mastery for a specific player
      * @param {string} playerId - Socket ID of the player
@@ -822,6 +1577,30 @@ class Game {
         };
     }
 
+    /**
+     * Questions a player got wrong or left unanswered, for their review queue.
+     * Sent with 'game-end', once every answer has been revealed. Polls and
+     * questions never reached (the host ended the game early) are left out.
+     * @param {string} playerId - Socket ID of the player
+     * @returns {Object[]} Playable question copies, in quiz order
+     */
+    getMissedQuestions(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return [];
+
+        return this.quiz.questions
+            .filter((question, index) => index <= this.currentQuestion &&
+                question.isPoll !== true &&
+                !player.answers?.[index]?.isCorrect)
+            .map(question => {
+                const copy = { type: 'multiple-choice' };
+                REVIEW_QUESTION_FIELDS.forEach(field => {
+                    if (question[field] !== undefined) copy[field] = question[field];
+                });
+                return copy;
+            });
+    }
+
     /**
      * Clear all active timers to prevent memory leaks
      * Called during game cleanup and when game is deleted
@@ -853,6 +1632,116 @@ class Game {
         }
     }
 
+    /**
+     * Serialize the state needed to resume this game in a new process.
+     * Timers are not serialized: they are re-armed from questionEndsAt and the
+     * game state by GameSessionService.restoreGame().
+     * @returns {Object} JSON-serializable snapshot
+     */
+    toSnapshot() {
+        return {
+            version: SNAPSHOT_VERSION,
+            savedAt: new Date().toISOString(),
+            id: this.id,
+            pin: this.pin,
+            hostId: this.hostId,
+            hostToken: this.hostToken,
+            quiz: this.quiz,
+            gameState: this.gameState,
+            currentQuestion: this.currentQuestion,
+            questionStartTime: this.questionStartTime,
+            questionEndsAt: this.questionEndsAt || null,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            createdAt: this.createdAt,
+            manualAdvancement: this.manualAdvancement,
+            powerUpsEnabled: this.powerUpsEnabled,
+            showLeaderboardBetweenQuestions: this.showLeaderboardBetweenQuestions,
+            playersMuted: this.playersMuted,
+            scoringConfig: this.scoringConfig,
+            // Player records carry score, streak, answers, session token and power-up state
+            players: Array.from(this.players.values()),
+            removedPlayers: this.removedPlayers,
+            leaderboard: this.leaderboard,
+            answerMappings: Array.from(this.answerMappings.entries()),
+            bannedNames: Array.from(this.bannedNames),
+            bannedDeviceIds: Array.from(this.bannedDeviceIds),
+            bannedSessionTokens: Array.from(this.bannedSessionTokens),
+            isConsensusMode: this.isConsensusMode,
+            consensusConfig: this.consensusConfig,
+            teamScore: this.teamScore,
+            proposals: Array.from(this.proposals.entries()),
+            discussionMessages: this.discussionMessages,
+            consensusLocked: this.consensusLocked,
+            isTeamMode: this.isTeamMode,
+            teamConfig: this.teamConfig,
+            teams: this.teams,
+            teamLeaderboard: this.teamLeaderboard,
+            isEliminationMode: this.isEliminationMode,
+            eliminationConfig: this.eliminationConfig,
+            eliminationQuestion: this.eliminationQuestion,
+            isAdaptiveMode: this.isAdaptiveMode,
+            questionPool: this.questionPool,
+            adaptiveSourceIndices: this.adaptiveSourceIndices,
+            branchTarget: this.branchTarget,
+            questionPath: this.questionPath,
+            ownerId: this.ownerId,
+            roster: this.roster,
+            resultsSaved: this.resultsSaved
+        };
+    }
+
+    /**
+     * Rebuild a game from toSnapshot() output. Every player comes back marked
+     * disconnected under their old socket ID until they rejoin with their
+     * session token.
+     * @param {Object} snapshot - Snapshot from toSnapshot()
+     * @param {Object} logger - Logger instance
+     * @param {Object} config - Server configuration
+     * @param {Object} [limits] - Limits override
+     * @returns {Game}
+     */
+    static fromSnapshot(snapshot, logger, config, limits = null) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported game snapshot version: ${snapshot?.version}`);
+        }
+
+        const game = new Game(snapshot.hostId, snapshot.quiz, logger, config, limits);
+        const now = Date.now();
+
+        for (const field of [
+            'id', 'pin', 'hostToken', 'gameState', 'currentQuestion', 'questionStartTime',
+            'questionEndsAt', 'startTime', 'endTime', 'createdAt', 'manualAdvancement',
+            'powerUpsEnabled', 'showLeaderboardBetweenQuestions', 'playersMuted', 'scoringConfig',
+            'removedPlayers', 'leaderboard', 'isConsensusMode', 'consensusConfig', 'teamScore',
+            'discussionMessages', 'consensusLocked', 'isTeamMode', 'teamConfig', 'teams',
+            'teamLeaderboard', 'isEliminationMode', 'eliminationConfig', 'eliminationQuestion',
+            'isAdaptiveMode', 'questionPool', 'adaptiveSourceIndices', 'branchTarget', 'questionPath',
+            'ownerId', 'roster', 'resultsSaved'
+        ]) {
+            if (snapshot[field] !== undefined) {
+                game[field] = snapshot[field];
+            }
+        }
+
+        for (const player of snapshot.players || []) {
+            game.players.set(player.id, {
+                ...player,
+                disconnected: true,
+                disconnectedAt: now,
+                oldSocketId: player.id
+            });
+        }
+
+        game.answerMappings = new Map(snapshot.answerMappings || []);
+        game.proposals = new Map(snapshot.proposals || []);
+        game.bannedNames = new Set(snapshot.bannedNames || []);
+        game.bannedDeviceIds = new Set(snapshot.bannedDeviceIds || []);
+        game.bannedSessionTokens = new Set(snapshot.bannedSessionTokens || []);
+
+        return game;
+    }
+
     /**
      * Reset game for rematch - keeps PIN, quiz, and players but resets scores
      * Players remain in the game room, new players can join
@@ -868,6 +1757,7 @@ class Game {
         this.gameState = 'lobby';
         this.questionStartTime = null;
         this.leaderboard = [];
+        this.teamLeaderboard = [];
         this.removedPlayers = [];
         this.isAdvancing = false;
         this.endingQuestionEarly = false;
@@ -875,12 +1765,30 @@ class Game {
         this.endTime = null;
         this.answerMappings.clear();
         this.resultsSaved = false;
+        this.resultsFilename = null;
         this.playersMuted = false;
+        this.eliminationQuestion = -1;
+        this.branchTarget = null;
+        this.questionPath = [];
+        if (this.isAdaptiveMode) {
+            this.adaptiveSourceIndices = [];
+            this.quiz.questions = this.questionPool.slice(0, this.quiz.questions.length);
+        }
 
         // Reset each player's score and answers but keep them in the game
+        // (and on their team)
         this.players.forEach((player) => {
             player.score = 0;
             player.answers = [];
+            player.streak = 0;
+            player.misses = 0;
+            player.bestStreak = 0;
+            delete player.consensusAgreements;
+            delete player.badges;
+            delete player.retryQuestion;
+            delete player.eliminated;
+            delete player.eliminatedOnQuestion;
+            delete player.revivedOnQuestion;
             // Reset power-ups if enabled
             if (this.powerUpsEnabled && player.powerUps) {
                 player.powerUps = this.createInitialPowerUpState();
@@ -919,4 +1827,4 @@ class Game {
     }
 }
 
-module.exports = { Game, shuffleWithMapping };
+module.exports = { Game, shuffleWithMapping, SNAPSHOT_VERSION };
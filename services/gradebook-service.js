@@ -0,0 +1,385 @@
+/**
+ * Gradebook Service
+ *
+ * Turns saved game results into grades for an LMS gradebook. One or more
+ * results files become one CSV with a row per student and a column per
+ * session. Players are matched across sessions by roster student ID when
+ * they have one, otherwise by name (case-insensitive).
+ *
+ * A session score is normalized one of three ways:
+ * - points:  the player's game score (time bonuses and multipliers included);
+ *            graded against the session's top score
+ * - percent: share of graded questions answered correctly
+ * - partial: like percent, with partially correct answers counted by their
+ *            partialScore (0-1)
+ * Polls are never graded; unanswered questions count as 0.
+ *
+ * The score can then be mapped onto a grading scale (A-F, the Chilean 1-7
+ * scale or custom bands), and written in the column layout of the LMS
+ * grade import. Identifier columns the LMS matches on (email, SIS IDs) have
+ * no source in a game and are left blank for the teacher to fill in.
+ */
+
+const { ScoringService } = require('./scoring-service');
+
+const NORMALIZATIONS = ['points', 'percent', 'partial'];
+const GRADING_SCALES = ['none', 'letter', 'chile', 'custom'];
+const GRADEBOOK_LAYOUTS = ['generic', 'moodle', 'canvas', 'classroom'];
+
+// A-F on the usual US cut-offs
+const LETTER_BANDS = [
+    { min: 90, grade: 'A' },
+    { min: 80, grade: 'B' },
+    { min: 70, grade: 'C' },
+    { min: 60, grade: 'D' },
+    { min: 0, grade: 'F' }
+];
+
+// Chilean scale: 1.0-7.0, with 4.0 (the pass mark) at this share of the maximum
+const CHILE_PASS_PERCENT = 60;
+
+function makeError(message, messageKey, status = 400) {
+    const err = new Error(message);
+    err.messageKey = messageKey;
+    err.status = status;
+    return err;
+}
+
+function roundTo(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Grade on the Chilean 1-7 scale: linear from 1.0 to 4.0 below the pass
+ * percentage and from 4.0 to 7.0 above it, rounded to one decimal
+ * @param {number} percent - Score, 0-100
+ * @param {number} [passPercent=60] - Percentage that earns a 4.0
+ * @returns {number}
+ */
+function chileanGrade(percent, passPercent = CHILE_PASS_PERCENT) {
+    const grade = percent < passPercent
+        ? 1 + 3 * (percent / passPercent)
+        : 4 + 3 * ((percent - passPercent) / (100 - passPercent));
+    return roundTo(Math.min(7, Math.max(1, grade)), 1);
+}
+
+/**
+ * Grade of the highest band whose minimum the percentage reaches
+ * @param {number} percent - Score, 0-100
+ * @param {Array<{min: number, grade: string}>} bands
+ * @returns {string}
+ */
+function bandGrade(percent, bands) {
+    const band = [...bands].sort((a, b) => b.min - a.min).find(b => percent >= b.min);
+    return band ? band.grade : '';
+}
+
+/**
+ * Share of graded questions a player got right, 0-100 (one decimal). Polls
+ * are not graded and unanswered questions count as 0.
+ * @param {Array<Object>} answers - The player's answers, by question index
+ * @param {Array<Object>} [questions] - Questions of the session (results
+ *   document or quiz); without them every answer slot is a question
+ * @param {boolean} [partialCredit=false] - Count partially correct answers by their partialScore
+ * @param {number[]} [questionOrder] - Adaptive homework or a branching game:
+ *   the question indices asked, the only ones graded
+ * @returns {number}
+ */
+function percentScore(answers = [], questions = null, partialCredit = false, questionOrder = null) {
+    const count = questions?.length || answers.length;
+    const indices = questionOrder || Array.from({ length: count }, (_, qIndex) => qIndex);
+    let graded = 0;
+    let earned = 0;
+    for (const qIndex of indices) {
+        const question = questions?.[qIndex];
+        const answer = answers[qIndex];
+        if ((question && ScoringService.isPollQuestion(question)) || answer?.isPoll) continue;
+        graded++;
+        if (answer?.isCorrect) {
+            earned += 1;
+        } else if (partialCredit && answer?.partialScore > 0) {
+            earned += Math.min(1, answer.partialScore);
+        }
+    }
+    return graded > 0 ? roundTo((earned / graded) * 100, 1) : 0;
+}
+
+/**
+ * First and last name for LMS layouts that split them: the first word, and the rest
+ * @param {string} name
+ * @returns {{first: string, last: string}}
+ */
+function splitName(name) {
+    const [first = '', ...rest] = String(name || '').trim().split(/\s+/);
+    return { first, last: rest.join(' ') };
+}
+
+class GradebookService {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {Object} resultsService - ResultsService, for reading results and CSV quoting
+     */
+    constructor(logger, resultsService) {
+        this.logger = logger;
+        this.resultsService = resultsService;
+    }
+
+    /**
+     * Build a gradebook CSV from saved results
+     * @param {Object} options
+     * @param {string[]} options.files - Results filenames, one gradebook column each
+     * @param {string} [options.normalization='percent'] - 'points', 'percent' or 'partial'
+     * @param {string} [options.scale='none'] - 'none', 'letter', 'chile' or 'custom'
+     * @param {number} [options.passPercent=60] - Percentage earning a 4.0 on the Chilean scale
+     * @param {Array<{min: number, grade: string}>} [options.bands] - Custom scale bands
+     * @param {string} [options.layout='generic'] - 'generic', 'moodle', 'canvas' or 'classroom'
+     * @returns {Promise<{type: string, filename: string, content: string}>}
+     */
+    async exportGradebook(options) {
+        const {
+            files = [],
+            normalization = 'percent',
+            scale = 'none',
+            passPercent = CHILE_PASS_PERCENT,
+            bands = [],
+            layout = 'generic'
+        } = options || {};
+
+        if (!NORMALIZATIONS.includes(normalization)) {
+            throw makeError('Unknown score normalization', 'error_invalid_gradebook_options');
+        }
+        if (!GRADING_SCALES.includes(scale) || (scale === 'custom' && bands.length === 0)) {
+            throw makeError('Unknown grading scale', 'error_invalid_gradebook_options');
+        }
+        if (!GRADEBOOK_LAYOUTS.includes(layout)) {
+            throw makeError('Unknown gradebook layout', 'error_invalid_gradebook_options');
+        }
+        if (files.length === 0) {
+            throw makeError('Select at least one result', 'error_invalid_gradebook_options');
+        }
+
+        const sessions = await Promise.all([...new Set(files)].map(file => this._readSession(file)));
+        // Oldest first, like gradebook columns
+        sessions.sort((a, b) => String(a.data.saved || '').localeCompare(String(b.data.saved || '')));
+        this._nameSessions(sessions);
+
+        const grading = { normalization, scale, passPercent, bands };
+        const students = this._collectStudents(sessions, grading);
+        const rows = this._layoutRows(layout, sessions, students, grading);
+
+        const csv = '\ufeff' + rows
+            .map(row => row.map(cell => (typeof cell === 'number' ? cell : this.resultsService._sanitizeCsvValue(cell))).join(','))
+            .join('\n') + '\n';
+
+        const pins = sessions.map(s => s.data.gamePin).join('_');
+        return {
+            type: 'text/csv',
+            filename: `gradebook_${layout}_${sessions.length === 1 ? pins : `${sessions.length}_sessions`}.csv`,
+            content: csv
+        };
+    }
+
+    /**
+     * Read a results file, with a 404 status when it does not exist
+     * @param {string} filename
+     * @returns {Promise<{filename: string, data: Object}>}
+     */
+    async _readSession(filename) {
+        try {
+            return { filename, data: await this.resultsService.getResult(filename) };
+        } catch (error) {
+            if (error.messageKey === 'error_result_not_found') {
+                throw makeError(`Result file not found: ${filename}`, error.messageKey, 404);
+            }
+            throw makeError(error.message, error.messageKey || 'error_failed_retrieve_result');
+        }
+    }
+
+    /**
+     * Column title per session: quiz title and date, plus the PIN when two collide
+     * @param {Array} sessions - Sets `title` on each
+     */
+    _nameSessions(sessions) {
+        const date = data => (data.saved || data.endTime || '').slice(0, 10);
+        const base = sessions.map(({ data }) => `${data.quizTitle || 'Untitled Quiz'}${date(data) ? ` (${date(data)})` : ''}`);
+        const used = new Set();
+        sessions.forEach((session, i) => {
+            let title = base.filter(b => b === base[i]).length > 1 ? `${base[i]} #${session.data.gamePin}` : base[i];
+            for (let n = 2; used.has(title); n++) {
+                title = `${base[i]} #${session.data.gamePin}-${n}`;
+            }
+            used.add(title);
+            session.title = title;
+        });
+    }
+
+    /**
+     * Normalized score of one player in one session, 0-100 except for raw points
+     * @param {Object} player - Entry of the results document
+     * @param {Object} data - Results document
+     * @param {string} normalization
+     * @returns {number}
+     */
+    _normalizedScore(player, data, normalization) {
+        if (normalization === 'points') {
+            return player.score || 0;
+        }
+        return percentScore(player.answers || [], data.questions, normalization === 'partial',
+            player.questionOrder || data.branching?.path);
+    }
+
+    /**
+     * Grade on the chosen scale for a 0-100 percentage; null without a scale
+     * @param {number} percent
+     * @param {Object} grading
+     * @returns {string|number|null}
+     */
+    _grade(percent, grading) {
+        switch (grading.scale) {
+            case 'letter':
+                return bandGrade(percent, LETTER_BANDS);
+            case 'chile':
+                return chileanGrade(percent, grading.passPercent);
+            case 'custom':
+                return bandGrade(percent, grading.bands);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Students across sessions, each with a score and grade per session title
+     * @param {Array} sessions
+     * @param {Object} grading
+     * @returns {Array<{name: string, studentId: string, sessions: Map}>} Sorted by name
+     */
+    _collectStudents(sessions, grading) {
+        const students = new Map();
+        sessions.forEach(({ data, title }) => {
+            const players = data.results || [];
+            const topScore = Math.max(0, ...players.map(p => p.score || 0));
+
+            players.forEach(player => {
+                const key = player.studentId || `name:${String(player.name || '').trim().toLowerCase()}`;
+                const student = students.get(key) || { name: player.name || 'Anonymous', studentId: player.studentId || '', sessions: new Map() };
+                // The latest session's spelling of the name wins
+                student.name = player.name || student.name;
+
+                const score = this._normalizedScore(player, data, grading.normalization);
+                const percent = grading.normalization === 'points'
+                    ? (topScore > 0 ? (score / topScore) * 100 : 0)
+                    : score;
+                student.sessions.set(title, { score, grade: this._grade(percent, grading) });
+                students.set(key, student);
+            });
+        });
+        return [...students.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Value written to an LMS grade column: the scale grade, or the score without a scale
+     * @param {Object|undefined} entry - Student's entry for a session
+     * @returns {string|number}
+     */
+    _lmsValue(entry) {
+        if (!entry) return '';
+        return entry.grade ?? entry.score;
+    }
+
+    /**
+     * Maximum of a session column, for layouts with a points-possible row
+     * @param {Object} session
+     * @param {Object} grading
+     * @returns {string|number}
+     */
+    _pointsPossible(session, grading) {
+        if (grading.scale === 'chile') return 7;
+        if (grading.scale !== 'none') return '';
+        if (grading.normalization !== 'points') return 100;
+        return Math.max(0, ...(session.data.results || []).map(p => p.score || 0));
+    }
+
+    /**
+     * CSV rows (header first) in the layout of the target gradebook
+     * @param {string} layout
+     * @param {Array} sessions
+     * @param {Array} students
+     * @param {Object} grading
+     * @returns {Array<Array<string|number>>}
+     */
+    _layoutRows(layout, sessions, students, grading) {
+        const titles = sessions.map(s => s.title);
+        const values = student => titles.map(title => this._lmsValue(student.sessions.get(title)));
+
+        switch (layout) {
+            case 'moodle':
+                // Grade import: map a user field column, then one column per grade item
+                return [
+                    ['First name', 'Last name', 'ID number', 'Email address', ...titles],
+                    ...students.map(student => {
+                        const { first, last } = splitName(student.name);
+                        return [first, last, '', '', ...values(student)];
+                    })
+                ];
+            case 'canvas':
+                // Gradebook import: students are matched on ID / SIS columns;
+                // the Points Possible row sets the maximum of new assignments
+                return [
+                    ['Student', 'ID', 'SIS User ID', 'SIS Login ID', 'Section', ...titles],
+                    ['Points Possible', '', '', '', '', ...sessions.map(s => this._pointsPossible(s, grading))],
+                    ...students.map(student => [student.name, '', '', '', '', ...values(student)])
+                ];
+            case 'classroom':
+                // Google Classroom grade sheet: students are matched on email
+                return [
+                    ['Last Name', 'First Name', 'Email Address', ...titles],
+                    ...students.map(student => {
+                        const { first, last } = splitName(student.name);
+                        return [last, first, '', ...values(student)];
+                    })
+                ];
+            default:
+                return this._genericRows(sessions, students, grading);
+        }
+    }
+
+    /**
+     * Readable gradebook: score and grade per session, and with several
+     * sessions the average score (sessions played) and its grade
+     */
+    _genericRows(sessions, students, grading) {
+        const titles = sessions.map(s => s.title);
+        const withGrade = grading.scale !== 'none';
+        const scoreLabel = { points: 'Points', percent: '% Correct', partial: '% Credit' }[grading.normalization];
+        const averaged = sessions.length > 1 && grading.normalization !== 'points';
+
+        const header = ['Student', 'Student ID'];
+        titles.forEach(title => {
+            header.push(`${title} - ${scoreLabel}`);
+            if (withGrade) header.push(`${title} - Grade`);
+        });
+        if (averaged) {
+            header.push(`Average - ${scoreLabel}`);
+            if (withGrade) header.push('Average - Grade');
+        }
+
+        return [header, ...students.map(student => {
+            const row = [student.name, student.studentId];
+            titles.forEach(title => {
+                const entry = student.sessions.get(title);
+                row.push(entry ? entry.score : '');
+                if (withGrade) row.push(entry ? entry.grade : '');
+            });
+            if (averaged) {
+                const scores = [...student.sessions.values()].map(entry => entry.score);
+                const average = roundTo(scores.reduce((sum, score) => sum + score, 0) / scores.length, 1);
+                row.push(average);
+                if (withGrade) row.push(this._grade(average, grading));
+            }
+            return row;
+        })];
+    }
+}
+
+module.exports = { GradebookService, percentScore };
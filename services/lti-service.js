@@ -0,0 +1,826 @@
+/**
+ * LTI Service
+ *
+ * Quizix as an LTI 1.3 tool, launched from an LMS (Moodle, Canvas, ...):
+ *
+ * - OIDC login: the platform starts at the login endpoint, which redirects
+ *   back to the platform's auth endpoint with a fresh state and nonce; the
+ *   state is also set in a short-lived cookie, so a launch is only accepted
+ *   in the browser that started its login
+ * - Launch: the platform posts a signed id_token; it is checked against the
+ *   platform's JWKS (signature, issuer, audience, expiry, nonce, deployment)
+ *   and the LMS user is mapped to a Quizix account
+ *   (UserService.findOrCreateExternalUser), signed in with the usual cookie
+ * - Deep linking: an instructor picks a quiz, published as a homework
+ *   assignment or as a live-game link, and gets it back as a graded LMS
+ *   resource link (custom `assignment=<code>`, or `mode=live` with `quiz=<filename>`)
+ * - Assignment and Grade Services: scores go back to the link's line item,
+ *   as % of graded questions (partial credit counted), out of 100 — for
+ *   homework when a launched student's attempt finishes, for a live game
+ *   when a player who launched that quiz's live link within the last hours
+ *   is in it
+ *
+ * Platforms are registered in a JSON file (default `config/lti-platforms.json`):
+ *   { "toolUrl": "https://host/quizix/",   (optional, else taken from the request)
+ *     "platforms": [{ "name", "issuer", "clientId", "deploymentIds": [],
+ *                     "authLoginUrl", "authTokenUrl", "jwksUrl" }] }
+ * The tool's RSA key is LTI_PRIVATE_KEY (PEM) or `quizzes/.lti-private-key.pem`,
+ * generated on first use like the session secret.
+ *
+ * Login states and deep-link picks are kept in memory: a launch must come
+ * back to the process that handled its login.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { COLLECTIONS } = require('./storage-adapter');
+const { percentScore } = require('./gradebook-service');
+
+const LTI_VERSION = '1.3.0';
+const CLAIMS = {
+    MESSAGE_TYPE: 'https://purl.imsglobal.org/spec/lti/claim/message_type',
+    VERSION: 'https://purl.imsglobal.org/spec/lti/claim/version',
+    DEPLOYMENT_ID: 'https://purl.imsglobal.org/spec/lti/claim/deployment_id',
+    RESOURCE_LINK: 'https://purl.imsglobal.org/spec/lti/claim/resource_link',
+    ROLES: 'https://purl.imsglobal.org/spec/lti/claim/roles',
+    CUSTOM: 'https://purl.imsglobal.org/spec/lti/claim/custom',
+    DEEP_LINKING_SETTINGS: 'https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings',
+    CONTENT_ITEMS: 'https://purl.imsglobal.org/spec/lti-dl/claim/content_items',
+    DEEP_LINKING_DATA: 'https://purl.imsglobal.org/spec/lti-dl/claim/data',
+    AGS_ENDPOINT: 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint'
+};
+const AGS_SCORE_SCOPE = 'https://purl.imsglobal.org/spec/lti-ags/scope/score';
+const SCORE_CONTENT_TYPE = 'application/vnd.ims.lis.v1.score+json';
+
+// LIS roles that may publish quizzes into the course
+const INSTRUCTOR_ROLES = new Set([
+    'http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor',
+    'http://purl.imsglobal.org/vocab/lis/v2/membership#ContentDeveloper',
+    'http://purl.imsglobal.org/vocab/lis/v2/membership#Administrator',
+    'http://purl.imsglobal.org/vocab/lis/v2/institution/person#Administrator',
+    'http://purl.imsglobal.org/vocab/lis/v2/system/person#Administrator'
+]);
+// Sub-roles such as teaching assistants
+const INSTRUCTOR_SUBROLE_PREFIX = 'http://purl.imsglobal.org/vocab/lis/v2/membership/Instructor#';
+
+const ASSIGNMENT_CODE_REGEX = /^\d{6}$/;
+const QUIZ_FILENAME_REGEX = /^[\w-]+\.json$/;
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const DEEP_LINK_TTL_MS = 60 * 60 * 1000;
+const MAX_PENDING = 1000;
+const CLOCK_SKEW_S = 60;
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+const CLIENT_ASSERTION_TTL_S = 300;
+// A live-game score goes to the player's most recent live link for the quiz played, within this window
+const LIVE_LAUNCH_WINDOW_MS = 12 * 60 * 60 * 1000;
+const MAX_LAUNCHES_PER_USER = 50;
+const DEFAULT_HOMEWORK_DAYS = 14;
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => HTML_ENTITIES[ch]);
+}
+
+/**
+ * Compare a launch's state with the one from the browser's cookie, in constant time
+ */
+function sameState(state, browserState) {
+    if (typeof state !== 'string' || typeof browserState !== 'string') return false;
+    const a = Buffer.from(state);
+    const b = Buffer.from(browserState);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function makeError(message, messageKey, status = 400) {
+    const err = new Error(message);
+    err.messageKey = messageKey;
+    err.status = status;
+    return err;
+}
+
+function b64urlEncode(buf) {
+    return Buffer.from(buf).toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function b64urlDecode(str) {
+    return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Split a compact JWS without verifying it
+ * @param {string} token
+ * @returns {{header: Object, payload: Object, signingInput: string, signature: Buffer}}
+ */
+function decodeJwt(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        throw makeError('Malformed id_token', 'error_lti_launch_invalid');
+    }
+    try {
+        return {
+            header: JSON.parse(b64urlDecode(parts[0]).toString('utf8')),
+            payload: JSON.parse(b64urlDecode(parts[1]).toString('utf8')),
+            signingInput: `${parts[0]}.${parts[1]}`,
+            signature: b64urlDecode(parts[2])
+        };
+    } catch {
+        throw makeError('Malformed id_token', 'error_lti_launch_invalid');
+    }
+}
+
+/**
+ * RS256-signed compact JWS
+ * @param {Object} header
+ * @param {Object} payload
+ * @param {crypto.KeyObject} privateKey
+ * @returns {string}
+ */
+function signJwt(header, payload, privateKey) {
+    const signingInput = `${b64urlEncode(JSON.stringify(header))}.${b64urlEncode(JSON.stringify(payload))}`;
+    return `${signingInput}.${b64urlEncode(crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey))}`;
+}
+
+/**
+ * Whether the LTI roles claim makes the user an instructor of the course
+ * @param {string[]} roles
+ * @returns {boolean}
+ */
+function isInstructor(roles) {
+    return Array.isArray(roles) && roles.some(role => INSTRUCTOR_ROLES.has(role) || String(role).startsWith(INSTRUCTOR_SUBROLE_PREFIX));
+}
+
+/**
+ * The scores endpoint of an AGS line item URL (which may carry a query string)
+ * @param {string} lineitem
+ * @returns {string}
+ */
+function scoresUrl(lineitem) {
+    const url = new URL(lineitem);
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/scores`;
+    return url.toString();
+}
+
+/**
+ * Minimal standalone page (launch errors, deep-link picker, auto-post forms)
+ */
+function htmlPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 640px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+h1 { font-size: 1.4rem; }
+label { display: block; margin: 0.75rem 0 0.25rem; font-weight: 600; }
+select, input { width: 100%; padding: 0.4rem; font-size: 1rem; box-sizing: border-box; }
+fieldset { border: none; padding: 0; margin: 1rem 0; }
+fieldset label { display: inline; font-weight: normal; margin-right: 1rem; }
+fieldset input { width: auto; }
+button { margin-top: 1.25rem; padding: 0.6rem 1.2rem; font-size: 1rem; border: none; border-radius: 6px; background: #2563eb; color: #fff; cursor: pointer; }
+.muted { color: #6b7280; font-size: 0.9rem; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+class LtiService {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {StorageAdapter} storage - Where launches awaiting grade passback are kept
+     * @param {UserService} userService - Maps LMS users to accounts
+     * @param {AssignmentService} assignmentService - Publishes deep-linked homework
+     * @param {QuizService} quizService - Source of deep-linked quizzes
+     * @param {Object} [options]
+     * @param {string} [options.configPath='config/lti-platforms.json'] - Platform registrations
+     * @param {string} [options.keyPath='quizzes/.lti-private-key.pem'] - Tool private key file
+     */
+    constructor(logger, storage, userService, assignmentService, quizService, options = {}) {
+        this.logger = logger;
+        this.storage = storage;
+        this.userService = userService;
+        this.assignmentService = assignmentService;
+        this.quizService = quizService;
+        this.configPath = options.configPath || path.join('config', 'lti-platforms.json');
+        this.keyPath = options.keyPath || path.join('quizzes', '.lti-private-key.pem');
+
+        this.platforms = [];
+        this.toolUrl = null;
+        this.privateKey = null;
+        this.jwk = null;
+        this.pendingLogins = new Map(); // state -> { nonce, issuer, clientId, expiresAt }
+        this.pendingDeepLinks = new Map(); // id -> deep linking request context
+        this.jwksCache = new Map(); // jwksUrl -> { keys, fetchedAt }
+        this.tokenCache = new Map(); // issuer#clientId -> { token, expiresAt }
+        this._writeChain = Promise.resolve();
+    }
+
+    /**
+     * Load the platform registrations. A missing file leaves LTI disabled.
+     */
+    async initialize() {
+        let config;
+        try {
+            config = JSON.parse(await fs.promises.readFile(this.configPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.platforms = [];
+                return;
+            }
+            throw new Error(`Cannot load ${this.configPath}: ${error.message}`);
+        }
+
+        const required = ['issuer', 'clientId', 'authLoginUrl', 'authTokenUrl', 'jwksUrl'];
+        this.platforms = (config.platforms || []).filter(platform => {
+            const missing = required.filter(field => typeof platform?.[field] !== 'string' || !platform[field]);
+            if (missing.length > 0) {
+                this.logger.warn(`LTI platform ${platform?.issuer || '(no issuer)'} skipped, missing: ${missing.join(', ')}`);
+                return false;
+            }
+            return true;
+        }).map(platform => ({
+            ...platform,
+            deploymentIds: Array.isArray(platform.deploymentIds) ? platform.deploymentIds.map(String) : []
+        }));
+        this.toolUrl = typeof config.toolUrl === 'string' && config.toolUrl
+            ? config.toolUrl.replace(/\/?$/, '/')
+            : null;
+        this.logger.info(`LTI: ${this.platforms.length} platform(s) registered`);
+    }
+
+    /**
+     * Whether any platform is registered
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.platforms.length > 0;
+    }
+
+    /**
+     * Serialize launch-record updates (see the queue in metadata-service.js)
+     */
+    _runExclusive(fn) {
+        const next = this._writeChain.then(fn, fn);
+        this._writeChain = next.catch(() => {});
+        return next;
+    }
+
+    _assertEnabled() {
+        if (!this.isEnabled()) {
+            throw makeError('LTI is not configured on this server', 'error_lti_not_configured', 404);
+        }
+    }
+
+    /**
+     * The registration for an issuer (and client ID, required when the
+     * issuer has several)
+     * @param {string} issuer
+     * @param {string} [clientId]
+     * @returns {Object|null}
+     */
+    findPlatform(issuer, clientId = null) {
+        const matches = this.platforms.filter(p => p.issuer === issuer && (!clientId || p.clientId === clientId));
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    // ==================== KEYS ====================
+
+    /**
+     * The tool's private key: LTI_PRIVATE_KEY, the key file, or a new one
+     * @returns {crypto.KeyObject}
+     */
+    _loadKey() {
+        if (this.privateKey) return this.privateKey;
+
+        let pem = process.env.LTI_PRIVATE_KEY || null;
+        if (!pem) {
+            try {
+                pem = fs.readFileSync(this.keyPath, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        if (pem) {
+            this.privateKey = crypto.createPrivateKey(pem);
+        } else {
+            const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+            fs.mkdirSync(path.dirname(this.keyPath), { recursive: true });
+            fs.writeFileSync(this.keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+            this.privateKey = privateKey;
+            this.logger.info(`Generated new LTI tool key at ${this.keyPath}`);
+        }
+
+        const { n, e } = crypto.createPublicKey(this.privateKey).export({ format: 'jwk' });
+        // RFC 7638 thumbprint as the key ID
+        const kid = b64urlEncode(crypto.createHash('sha256').update(JSON.stringify({ e, kty: 'RSA', n })).digest());
+        this.jwk = { kty: 'RSA', n, e, kid, alg: 'RS256', use: 'sig' };
+        return this.privateKey;
+    }
+
+    /**
+     * Public key set the platforms verify the tool's messages with
+     * @returns {{keys: Object[]}}
+     */
+    getJwks() {
+        this._loadKey();
+        return { keys: [{ ...this.jwk }] };
+    }
+
+    _sign(payload) {
+        const key = this._loadKey();
+        return signJwt({ alg: 'RS256', typ: 'JWT', kid: this.jwk.kid }, payload, key);
+    }
+
+    /**
+     * A platform's signing key by ID, refetching the key set once for an unknown ID
+     * @param {Object} platform
+     * @param {string} kid
+     * @returns {Promise<crypto.KeyObject>}
+     */
+    async _platformKey(platform, kid) {
+        for (const refresh of [false, true]) {
+            let cached = this.jwksCache.get(platform.jwksUrl);
+            if (refresh || !cached || Date.now() - cached.fetchedAt > JWKS_CACHE_MS) {
+                const response = await fetch(platform.jwksUrl);
+                if (!response.ok) {
+                    throw makeError(`Could not fetch the platform keys (${response.status})`, 'error_lti_launch_invalid', 502);
+                }
+                const body = await response.json();
+                cached = { keys: Array.isArray(body.keys) ? body.keys : [], fetchedAt: Date.now() };
+                this.jwksCache.set(platform.jwksUrl, cached);
+            }
+            const jwk = cached.keys.find(key => (kid ? key.kid === kid : key.kty === 'RSA'));
+            if (jwk) {
+                return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+            }
+        }
+        throw makeError('Unknown platform signing key', 'error_lti_launch_invalid', 401);
+    }
+
+    // ==================== LOGIN AND LAUNCH ====================
+
+    /**
+     * Drop expired entries, and the oldest ones beyond the cap
+     */
+    _prune(map) {
+        const now = Date.now();
+        for (const [key, entry] of map) {
+            if (entry.expiresAt <= now) map.delete(key);
+        }
+        while (map.size >= MAX_PENDING) {
+            map.delete(map.keys().next().value);
+        }
+    }
+
+    /**
+     * Answer a third-party initiated login with the platform's auth URL
+     * @param {Object} params - Login request (query or form fields)
+     * @param {string} toolUrl - Base URL of this tool, ending in '/'
+     * @returns {{url: string, state: string}} URL to redirect the browser to,
+     *   and the state the browser must present again at launch
+     */
+    buildLoginRedirect(params, toolUrl) {
+        this._assertEnabled();
+        const { iss, login_hint: loginHint, client_id: clientId, lti_message_hint: messageHint } = params;
+        const platform = this.findPlatform(iss, clientId);
+        if (!platform) {
+            throw makeError('This LMS is not registered with Quizix', 'error_lti_platform_unknown', 403);
+        }
+
+        const state = crypto.randomBytes(16).toString('hex');
+        const nonce = crypto.randomBytes(16).toString('hex');
+        this._prune(this.pendingLogins);
+        this.pendingLogins.set(state, {
+            nonce,
+            issuer: platform.issuer,
+            clientId: platform.clientId,
+            expiresAt: Date.now() + STATE_TTL_MS
+        });
+
+        const url = new URL(platform.authLoginUrl);
+        const search = {
+            scope: 'openid',
+            response_type: 'id_token',
+            response_mode: 'form_post',
+            prompt: 'none',
+            client_id: platform.clientId,
+            redirect_uri: `${toolUrl}api/lti/launch`,
+            login_hint: loginHint,
+            state,
+            nonce,
+            ...(messageHint && { lti_message_hint: messageHint })
+        };
+        Object.entries(search).forEach(([key, value]) => url.searchParams.set(key, value));
+        return { url: url.toString(), state };
+    }
+
+    /**
+     * Verify a launch and sign the LMS user in to their Quizix account
+     * @param {Object} params
+     * @param {string} params.idToken - id_token posted by the platform
+     * @param {string} params.state - State issued by buildLoginRedirect
+     * @param {string|null} params.browserState - State from the login cookie of
+     *   the browser posting the launch
+     * @returns {Promise<Object>} `{ type: 'deep-link', user, deepLinkId }` or
+     *   `{ type: 'resource', user, assignmentCode }` (code null for other links)
+     */
+    async handleLaunch({ idToken, state, browserState }) {
+        this._assertEnabled();
+        const login = this.pendingLogins.get(state);
+        this.pendingLogins.delete(state);
+        // A launch posted by another browser (login CSRF) has no matching cookie
+        if (!login || login.expiresAt <= Date.now() || !sameState(state, browserState)) {
+            throw makeError('The launch expired or was already used. Launch again from your course.', 'error_lti_state_invalid', 401);
+        }
+
+        const claims = await this._verifyIdToken(idToken, login);
+        const messageType = claims[CLAIMS.MESSAGE_TYPE];
+        const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+        const user = await this.userService.findOrCreateExternalUser({ issuer: claims.iss, subject: claims.sub, name });
+        const instructor = isInstructor(claims[CLAIMS.ROLES]);
+
+        if (messageType === 'LtiDeepLinkingRequest') {
+            if (!instructor) {
+                throw makeError('Only instructors can add Quizix content', 'error_lti_instructor_only', 403);
+            }
+            const settings = claims[CLAIMS.DEEP_LINKING_SETTINGS] || {};
+            if (typeof settings.deep_link_return_url !== 'string') {
+                throw makeError('Deep linking request has no return URL', 'error_lti_launch_invalid');
+            }
+            const deepLinkId = crypto.randomBytes(16).toString('hex');
+            this._prune(this.pendingDeepLinks);
+            this.pendingDeepLinks.set(deepLinkId, {
+                userId: user.id,
+                issuer: claims.iss,
+                clientId: login.clientId,
+                deploymentId: claims[CLAIMS.DEPLOYMENT_ID],
+                returnUrl: settings.deep_link_return_url,
+                data: settings.data,
+                expiresAt: Date.now() + DEEP_LINK_TTL_MS
+            });
+            return { type: 'deep-link', user, deepLinkId };
+        }
+
+        const custom = claims[CLAIMS.CUSTOM] || {};
+        const assignmentCode = ASSIGNMENT_CODE_REGEX.test(String(custom.assignment || '')) ? String(custom.assignment) : null;
+        // A live link is graded for the quiz it was made for only
+        const liveQuiz = custom.mode === 'live' && QUIZ_FILENAME_REGEX.test(String(custom.quiz || '')) ? String(custom.quiz) : null;
+        const kind = assignmentCode ? 'assignment' : (liveQuiz ? 'live' : null);
+        const ags = claims[CLAIMS.AGS_ENDPOINT];
+        if (kind && !instructor && typeof ags?.lineitem === 'string' && (ags.scope || []).includes(AGS_SCORE_SCOPE)) {
+            await this._recordLaunch(user.id, {
+                kind,
+                ...(assignmentCode && { code: assignmentCode }),
+                ...(liveQuiz && { quiz: liveQuiz }),
+                issuer: claims.iss,
+                clientId: login.clientId,
+                subject: claims.sub,
+                lineitem: ags.lineitem,
+                resourceLinkId: claims[CLAIMS.RESOURCE_LINK]?.id || null,
+                launchedAt: new Date().toISOString()
+            });
+        }
+        this.logger.info(`LTI launch: ${user.username} (${instructor ? 'instructor' : 'learner'}) ${kind || 'home'}`);
+        return { type: 'resource', user, assignmentCode };
+    }
+
+    /**
+     * Check an id_token against its platform's keys and registration
+     * @param {string} idToken
+     * @param {Object} login - Pending login the token answers
+     * @returns {Promise<Object>} Verified claims
+     */
+    async _verifyIdToken(idToken, login) {
+        const { header, payload, signingInput, signature } = decodeJwt(idToken);
+        if (header.alg !== 'RS256') {
+            throw makeError('Unsupported id_token algorithm', 'error_lti_launch_invalid', 401);
+        }
+        const platform = this.findPlatform(login.issuer, login.clientId);
+        if (!platform || payload.iss !== platform.issuer) {
+            throw makeError('The launch came from a different LMS than the login', 'error_lti_launch_invalid', 401);
+        }
+
+        const key = await this._platformKey(platform, header.kid);
+        if (!crypto.verify('RSA-SHA256', Buffer.from(signingInput), key, signature)) {
+            throw makeError('Invalid id_token signature', 'error_lti_launch_invalid', 401);
+        }
+
+        const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+        if (!audiences.includes(platform.clientId) || (audiences.length > 1 && payload.azp !== platform.clientId)) {
+            throw makeError('The launch is for another tool', 'error_lti_launch_invalid', 401);
+        }
+        const now = Math.floor(Date.now() / 1000);
+        if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_S < now
+            || typeof payload.iat !== 'number' || payload.iat - CLOCK_SKEW_S > now) {
+            throw makeError('The launch has expired', 'error_lti_launch_invalid', 401);
+        }
+        if (payload.nonce !== login.nonce) {
+            throw makeError('Invalid launch nonce', 'error_lti_launch_invalid', 401);
+        }
+        if (payload[CLAIMS.VERSION] !== LTI_VERSION) {
+            throw makeError('Only LTI 1.3 launches are supported', 'error_lti_launch_invalid');
+        }
+        const deploymentId = String(payload[CLAIMS.DEPLOYMENT_ID] || '');
+        if (!deploymentId || (platform.deploymentIds.length > 0 && !platform.deploymentIds.includes(deploymentId))) {
+            throw makeError('This deployment is not registered with Quizix', 'error_lti_platform_unknown', 403);
+        }
+        if (!['LtiResourceLinkRequest', 'LtiDeepLinkingRequest'].includes(payload[CLAIMS.MESSAGE_TYPE])) {
+            throw makeError('Unsupported LTI message type', 'error_lti_launch_invalid');
+        }
+        if (typeof payload.sub !== 'string' || !payload.sub) {
+            throw makeError('Anonymous launches are not supported', 'error_lti_launch_invalid');
+        }
+        return payload;
+    }
+
+    // ==================== DEEP LINKING ====================
+
+    /**
+     * A pending deep linking request of a user
+     * @param {string} deepLinkId
+     * @param {string} userId - Signed-in user, who must be the one who launched it
+     * @returns {Object}
+     */
+    getDeepLink(deepLinkId, userId) {
+        const deepLink = this.pendingDeepLinks.get(deepLinkId);
+        if (!deepLink || deepLink.expiresAt <= Date.now() || deepLink.userId !== userId) {
+            throw makeError('The content selection expired. Start again from your course.', 'error_lti_state_invalid', 401);
+        }
+        return deepLink;
+    }
+
+    /**
+     * Publish the picked quiz and build the deep linking response
+     * @param {string} deepLinkId
+     * @param {string} userId - Signed-in user
+     * @param {Object} pick
+     * @param {string} pick.quizFilename - Quiz to link
+     * @param {'homework'|'live'} pick.mode - Homework assignment or live game
+     * @param {number} [pick.days=14] - How long homework stays open
+     * @param {string} toolUrl - Base URL of this tool, ending in '/'
+     * @returns {Promise<{returnUrl: string, jwt: string}>} Form to post back to the platform
+     */
+    async completeDeepLink(deepLinkId, userId, { quizFilename, mode, days = DEFAULT_HOMEWORK_DAYS }, toolUrl) {
+        const deepLink = this.getDeepLink(deepLinkId, userId);
+        const quiz = await this.quizService.loadQuiz(quizFilename);
+        const title = quiz?.title || 'Quizix quiz';
+
+        let custom;
+        let resourceId;
+        if (mode === 'homework') {
+            const now = Date.now();
+            const assignment = await this.assignmentService.createAssignment({
+                quizFilename,
+                opensAt: new Date(now).toISOString(),
+                closesAt: new Date(now + days * 24 * 60 * 60 * 1000).toISOString()
+            }, userId);
+            custom = { assignment: assignment.code };
+            resourceId = `assignment-${assignment.code}`;
+        } else {
+            custom = { mode: 'live', quiz: quizFilename };
+            resourceId = `live-${quizFilename}`;
+        }
+        this.pendingDeepLinks.delete(deepLinkId);
+
+        const now = Math.floor(Date.now() / 1000);
+        const jwt = this._sign({
+            iss: deepLink.clientId,
+            aud: deepLink.issuer,
+            iat: now,
+            exp: now + CLIENT_ASSERTION_TTL_S,
+            nonce: crypto.randomBytes(16).toString('hex'),
+            [CLAIMS.DEPLOYMENT_ID]: deepLink.deploymentId,
+            [CLAIMS.MESSAGE_TYPE]: 'LtiDeepLinkingResponse',
+            [CLAIMS.VERSION]: LTI_VERSION,
+            [CLAIMS.CONTENT_ITEMS]: [{
+                type: 'ltiResourceLink',
+                title: mode === 'homework' ? title : `${title} (live)`,
+                url: `${toolUrl}api/lti/launch`,
+                custom,
+                lineItem: { scoreMaximum: 100, label: title, resourceId }
+            }],
+            ...(deepLink.data !== undefined && { [CLAIMS.DEEP_LINKING_DATA]: deepLink.data })
+        });
+        this.logger.info(`LTI deep link: ${quizFilename} as ${mode} for ${deepLink.issuer}`);
+        return { returnUrl: deepLink.returnUrl, jwt };
+    }
+
+    /**
+     * Quiz picker shown to an instructor for a deep linking request
+     * @param {string} deepLinkId
+     * @param {Array<{filename: string, title: string}>} quizzes - Quizzes the instructor may publish
+     * @param {string} actionUrl - Where the form posts (the deep-link endpoint)
+     * @returns {string} HTML page
+     */
+    renderDeepLinkPicker(deepLinkId, quizzes, actionUrl) {
+        if (quizzes.length === 0) {
+            return htmlPage('Quizix', `<h1>Add a Quizix quiz</h1>
+<p>There are no quizzes you can add yet. Create one in Quizix, then add it from your course again.</p>`);
+        }
+        const options = quizzes
+            .map(quiz => `<option value="${escapeHtml(quiz.filename)}">${escapeHtml(quiz.title || quiz.filename)}</option>`)
+            .join('\n');
+        return htmlPage('Quizix', `<h1>Add a Quizix quiz</h1>
+<form method="post" action="${escapeHtml(actionUrl)}">
+<input type="hidden" name="deepLink" value="${escapeHtml(deepLinkId)}">
+<label for="quiz">Quiz</label>
+<select id="quiz" name="quiz" required>
+${options}
+</select>
+<fieldset>
+<label><input type="radio" name="mode" value="homework" checked> Homework (students play on their own)</label>
+<label><input type="radio" name="mode" value="live"> Live game (you host it in class)</label>
+</fieldset>
+<label for="days">Homework stays open for (days)</label>
+<input id="days" name="days" type="number" min="1" max="365" value="${DEFAULT_HOMEWORK_DAYS}">
+<p class="muted">Scores go to the course gradebook as the % of questions answered correctly.</p>
+<button type="submit">Add to course</button>
+</form>`);
+    }
+
+    /**
+     * Page that posts a form to another site as soon as it loads
+     * @param {string} url
+     * @param {Object<string, string>} fields
+     * @returns {string} HTML page
+     */
+    renderAutoPost(url, fields) {
+        const inputs = Object.entries(fields)
+            .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+            .join('\n');
+        return htmlPage('Quizix', `<form id="lti-return" method="post" action="${escapeHtml(url)}">
+${inputs}
+<noscript><button type="submit">Continue</button></noscript>
+</form>
+<script>document.getElementById('lti-return').submit();</script>`);
+    }
+
+    /**
+     * Page explaining why a launch failed
+     * @param {string} message
+     * @returns {string} HTML page
+     */
+    renderError(message) {
+        return htmlPage('Quizix', `<h1>Could not open Quizix</h1>
+<p>${escapeHtml(message)}</p>`);
+    }
+
+    // ==================== GRADE PASSBACK ====================
+
+    _launchesKey(userId) {
+        return `launches_${userId}.json`;
+    }
+
+    /**
+     * Remember a learner's graded launch; one entry per resource link, newest first
+     * @param {string} userId
+     * @param {Object} launch
+     */
+    _recordLaunch(userId, launch) {
+        return this._runExclusive(async () => {
+            const key = this._launchesKey(userId);
+            const doc = (await this.storage.read(COLLECTIONS.LTI, key)) || { userId, launches: [] };
+            const sameLink = existing => existing.issuer === launch.issuer
+                && (launch.resourceLinkId ? existing.resourceLinkId === launch.resourceLinkId : existing.lineitem === launch.lineitem);
+            doc.launches = [launch, ...doc.launches.filter(existing => !sameLink(existing))].slice(0, MAX_LAUNCHES_PER_USER);
+            await this.storage.write(COLLECTIONS.LTI, key, doc);
+        });
+    }
+
+    async _launches(userId) {
+        const doc = await this.storage.read(COLLECTIONS.LTI, this._launchesKey(userId));
+        return doc?.launches || [];
+    }
+
+    /**
+     * Send a finished homework attempt's score to the LMS it was launched from
+     * @param {Object} assignment - Assignment document
+     * @param {Object} attempt - The finished attempt (with `userId` when the student was signed in)
+     */
+    async recordAssignmentAttempt(assignment, attempt) {
+        if (!attempt.userId) return;
+        const launch = (await this._launches(attempt.userId))
+            .find(l => l.kind === 'assignment' && l.code === assignment.code);
+        if (!launch) return;
+
+        const score = percentScore(attempt.answers, assignment.quiz.questions, true, attempt.questionOrder);
+        await this._postScore(launch, score);
+    }
+
+    /**
+     * Send each LMS-launched player's score of a finished live game to their
+     * live link for the quiz played. Games of a quiz not hosted from the
+     * library (no filename) have no link to go to.
+     * @param {Game} game - Finished game; players carry `userId` when signed in
+     */
+    async recordGame(game) {
+        const quizFilename = game.quiz?.filename;
+        if (!quizFilename) return;
+
+        const now = Date.now();
+        for (const player of game.players.values()) {
+            if (!player.userId) continue;
+            try {
+                const launch = (await this._launches(player.userId))
+                    .find(l => l.kind === 'live' && l.quiz === quizFilename
+                        && now - Date.parse(l.launchedAt) <= LIVE_LAUNCH_WINDOW_MS);
+                if (launch) {
+                    // A branching game grades only the questions it asked
+                    const asked = game.isBranching ? game.questionPath : null;
+                    await this._postScore(launch, percentScore(player.answers, game.quiz.questions, true, asked));
+                }
+            } catch (error) {
+                this.logger.error(`LTI score for ${player.name} in game ${game.pin} not sent:`, error);
+            }
+        }
+    }
+
+    /**
+     * Post a score to the launch's line item
+     * @param {Object} launch - Recorded launch
+     * @param {number} score - 0-100
+     */
+    async _postScore(launch, score) {
+        const platform = this.findPlatform(launch.issuer, launch.clientId);
+        if (!platform) {
+            this.logger.warn(`LTI score not sent: ${launch.issuer} is no longer registered`);
+            return;
+        }
+
+        const token = await this._accessToken(platform);
+        const response = await fetch(scoresUrl(launch.lineitem), {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': SCORE_CONTENT_TYPE },
+            body: JSON.stringify({
+                userId: launch.subject,
+                scoreGiven: score,
+                scoreMaximum: 100,
+                activityProgress: 'Completed',
+                gradingProgress: 'FullyGraded',
+                timestamp: new Date().toISOString()
+            })
+        });
+        if (!response.ok) {
+            throw new Error(`LMS rejected the score (${response.status})`);
+        }
+        this.logger.info(`LTI score ${score} sent to ${launch.issuer} for ${launch.subject}`);
+    }
+
+    /**
+     * OAuth2 client-credentials token for score posting, signed with the tool key
+     * @param {Object} platform
+     * @returns {Promise<string>}
+     */
+    async _accessToken(platform) {
+        const cacheKey = `${platform.issuer}#${platform.clientId}`;
+        const cached = this.tokenCache.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.token;
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const assertion = this._sign({
+            iss: platform.clientId,
+            sub: platform.clientId,
+            aud: platform.authTokenUrl,
+            iat: now,
+            exp: now + CLIENT_ASSERTION_TTL_S,
+            jti: uuidv4()
+        });
+        const response = await fetch(platform.authTokenUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'client_credentials',
+                client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+                client_assertion: assertion,
+                scope: AGS_SCORE_SCOPE
+            }).toString()
+        });
+        if (!response.ok) {
+            throw new Error(`LMS token request failed (${response.status})`);
+        }
+        const body = await response.json();
+        if (typeof body.access_token !== 'string') {
+            throw new Error('LMS token response has no access_token');
+        }
+        // Renew a little before the platform's expiry
+        const lifetimeS = Number(body.expires_in) || 3600;
+        this.tokenCache.set(cacheKey, { token: body.access_token, expiresAt: Date.now() + Math.max(0, lifetimeS - 30) * 1000 });
+        return body.access_token;
+    }
+}
+
+module.exports = { LtiService, isInstructor, CLAIMS, AGS_SCORE_SCOPE };
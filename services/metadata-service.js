@@ -1,14 +1,18 @@
 /**
  * Metadata Service
  * Handles quiz file organization with virtual folders and password protection.
- * Uses a JSON metadata file for virtual folder structure while physical quiz files remain flat.
+ * Uses a single metadata document (`quiz-metadata.json` in the system collection)
+ * for the virtual folder structure while quizzes themselves remain flat.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const { atomicWriteFile } = require('./atomic-write');
+const { COLLECTIONS } = require('./storage-adapter');
+const { resolveStorage } = require('./file-storage-adapter');
+
+const METADATA_KEY = 'quiz-metadata.json';
 
 // Password hashing constants
 const PBKDF2_ITERATIONS = 100000;
@@ -25,18 +29,22 @@ const MAX_UNLOCK_ATTEMPTS = 5;
 const RATE_LIMIT_WINDOW_MS = 60 * 1000; // 1 minute
 
 class MetadataService {
-    constructor(logger, wslMonitor, quizzesDir = 'quizzes') {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {Object} wslMonitor - WSL file-operation monitor
+     * @param {StorageAdapter|string} [storage='quizzes'] - Storage adapter, or a quiz directory for the file backend
+     */
+    constructor(logger, wslMonitor, storage = 'quizzes') {
         this.logger = logger;
         this.wslMonitor = wslMonitor;
-        this.quizzesDir = quizzesDir;
-        this.metadataPath = path.join(quizzesDir, 'quiz-metadata.json');
+        this.storage = resolveStorage(storage, logger);
         this.metadata = null;
         this.sessionTokens = new Map(); // token -> { itemId, itemType, expiresAt }
         this.unlockAttempts = new Map(); // ip -> { count, windowStart }
         // Serializes metadata writes. This is a single-process server, so an
         // in-memory promise chain is enough to stop concurrent saveMetadata()
-        // calls from racing on the shared `.tmp` file (both write the same temp
-        // path, then one rename loses to the other). See _runExclusive.
+        // calls from racing on the shared `.tmp` file of the file backend (both
+        // write the same temp path, then one rename loses to the other). See _runExclusive.
         this._writeChain = Promise.resolve();
     }
 
@@ -57,33 +65,28 @@ class MetadataService {
      */
     async initialize() {
         try {
-            // Ensure quizzes directory exists
-            await fs.mkdir(this.quizzesDir, { recursive: true });
+            await this.storage.initialize();
 
             // Try to load existing metadata
-            try {
-                const data = await this.wslMonitor.trackFileOperation(
-                    () => fs.readFile(this.metadataPath, 'utf8'),
-                    'Load quiz metadata'
-                );
-                this.metadata = JSON.parse(data);
+            const existing = await this.wslMonitor.trackFileOperation(
+                () => this.storage.read(COLLECTIONS.SYSTEM, METADATA_KEY),
+                'Load quiz metadata'
+            );
+            if (existing) {
+                this.metadata = existing;
                 this.logger.info(`Loaded quiz metadata: ${Object.keys(this.metadata.folders).length} folders, ${Object.keys(this.metadata.quizzes).length} quizzes`);
-            } catch (error) {
-                if (error.code === 'ENOENT') {
-                    // Create new metadata file
-                    this.metadata = {
-                        version: '1.0',
-                        folders: {},
-                        quizzes: {}
-                    };
-                    await this.saveMetadata();
-                    this.logger.info('Created new quiz metadata file');
+            } else {
+                // Create new metadata document
+                this.metadata = {
+                    version: '1.0',
+                    folders: {},
+                    quizzes: {}
+                };
+                await this.saveMetadata();
+                this.logger.info('Created new quiz metadata file');
 
-                    // Migrate existing quizzes
-                    await this.migrateExistingQuizzes();
-                } else {
-                    throw error;
-                }
+                // Migrate existing quizzes
+                await this.migrateExistingQuizzes();
             }
 
             // Seed demo quizzes on first boot (when no quizzes exist)
@@ -102,18 +105,16 @@ class MetadataService {
     }
 
     /**
-     * Migrate existing quiz files into metadata
+     * Migrate existing quizzes into metadata
      */
     async migrateExistingQuizzes() {
         try {
-            const files = await fs.readdir(this.quizzesDir);
-            const quizFiles = files.filter(f => f.endsWith('.json') && f !== 'quiz-metadata.json');
+            const quizFiles = await this.storage.keys(COLLECTIONS.QUIZZES);
 
             for (const filename of quizFiles) {
                 if (!this.metadata.quizzes[filename]) {
                     try {
-                        const quizPath = path.join(this.quizzesDir, filename);
-                        const quizData = JSON.parse(await fs.readFile(quizPath, 'utf8'));
+                        const quizData = await this.storage.read(COLLECTIONS.QUIZZES, filename);
 
                         this.metadata.quizzes[filename] = {
                             displayName: quizData.title || filename.replace('.json', ''),
@@ -160,15 +161,12 @@ class MetadataService {
                 sortOrder: 0
             };
 
-            // Copy each seed file to quizzes/ and register in metadata
+            // Copy each seed file into quiz storage and register in metadata
             for (let i = 0; i < jsonFiles.length; i++) {
                 const filename = jsonFiles[i];
-                const src = path.join(seedDir, filename);
-                const dest = path.join(this.quizzesDir, filename);
-
-                await fs.copyFile(src, dest);
+                const quizData = JSON.parse(await fs.readFile(path.join(seedDir, filename), 'utf8'));
 
-                const quizData = JSON.parse(await fs.readFile(dest, 'utf8'));
+                await this.storage.write(COLLECTIONS.QUIZZES, filename, quizData);
                 this.metadata.quizzes[filename] = {
                     displayName: quizData.title || filename.replace('.json', ''),
                     folderId,
@@ -190,14 +188,14 @@ class MetadataService {
     }
 
     /**
-     * Save metadata to file
+     * Save metadata to storage
      */
     async saveMetadata() {
-        // Queue behind any in-flight write. JSON.stringify runs inside the
-        // critical section so each write serializes the latest in-memory state.
+        // Queue behind any in-flight write. The adapter serializes inside the
+        // critical section so each write captures the latest in-memory state.
         return this._runExclusive(() =>
             this.wslMonitor.trackFileOperation(
-                () => atomicWriteFile(this.metadataPath, JSON.stringify(this.metadata, null, 2)),
+                () => this.storage.write(COLLECTIONS.SYSTEM, METADATA_KEY, this.metadata),
                 'Save quiz metadata'
             )
         );
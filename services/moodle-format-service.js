@@ -0,0 +1,626 @@
+/**
+ * Moodle Format Service
+ *
+ * Deterministic converters between Quizix questions and Moodle's two
+ * question exchange formats, GIFT text and Moodle XML, in both directions.
+ *
+ * | Quizix            | GIFT                      | Moodle XML                        |
+ * |-------------------|---------------------------|-----------------------------------|
+ * | multiple-choice   | {=right ~wrong}           | multichoice, single               |
+ * | multiple-correct  | {~%50%right ~%-100%wrong} | multichoice, not single (weights) |
+ * | true-false        | {TRUE} / {FALSE}          | truefalse                         |
+ * | numeric           | {#value:tolerance}        | numerical with tolerance          |
+ * | text-input        | {=answer =other}          | shortanswer                       |
+ * | matching          | {=left -> right}          | matching                          |
+ *
+ * Explanations travel as general feedback and concepts as Moodle tags (XML
+ * only). Ordering questions, polls, essays and other Moodle types have no
+ * counterpart and are skipped with a warning, as are images and per-answer
+ * feedback. Converted questions are not validated here: the route checks each
+ * one against questionSchema.
+ */
+
+const cheerio = require('cheerio');
+const { escapeXml, htmlToText } = require('../utils/markup-text');
+
+// Moodle only accepts these grade fractions (question/format.php); weights
+// are snapped to the nearest one
+const MOODLE_FRACTIONS = [100, 90, 83.33333, 80, 75, 70, 66.66667, 60, 50, 40, 33.33333, 30, 25, 20, 16.66667, 14.28571, 12.5, 11.11111, 10, 5, 0];
+
+// Characters with a meaning in GIFT, escaped with a backslash in text
+const GIFT_SPECIAL = /[~=#{}:\\]/g;
+
+// Longest Moodle question name generated from the question text
+const NAME_LENGTH = 50;
+
+/**
+ * Closest valid Moodle fraction to a weight, keeping its sign
+ * @param {number} weight - Percentage, -100 to 100
+ * @returns {number}
+ */
+function snapFraction(weight) {
+    const magnitude = MOODLE_FRACTIONS.reduce((best, f) =>
+        Math.abs(f - Math.abs(weight)) < Math.abs(best - Math.abs(weight)) ? f : best
+    );
+    return weight < 0 ? -magnitude : magnitude;
+}
+
+/**
+ * Grade weights for a multiple-correct question: the right options share
+ * 100%, the wrong ones share -100%, so ticking everything scores nothing
+ * @param {number} optionCount
+ * @param {number[]} correct - Indices of the right options
+ * @returns {number[]} Weight per option
+ */
+function multipleCorrectWeights(optionCount, correct) {
+    const wrongCount = optionCount - correct.length;
+    return Array.from({ length: optionCount }, (_, i) => correct.includes(i)
+        ? snapFraction(100 / correct.length)
+        : (wrongCount > 0 ? snapFraction(-100 / wrongCount) : 0));
+}
+
+/**
+ * Moodle question name: the start of the question's first line
+ * @param {Object} question
+ * @param {number} index - Position in the quiz
+ * @returns {string}
+ */
+function questionName(question, index) {
+    const firstLine = String(question.question || '').split('\n')[0].trim();
+    const name = firstLine.length > NAME_LENGTH ? `${firstLine.slice(0, NAME_LENGTH - 1)}…` : firstLine;
+    return name || `Question ${index + 1}`;
+}
+
+function correctIndexOf(question) {
+    return question.correctIndex ?? question.correctAnswer;
+}
+
+function correctIndicesOf(question) {
+    return question.correctIndices ?? question.correctAnswers ?? [];
+}
+
+/**
+ * Fields shared by every imported question
+ * @param {string} text - Question text
+ * @param {string} [explanation] - General feedback
+ * @param {string[]} [concepts] - Tags
+ * @returns {Object}
+ */
+function baseQuestion(text, explanation, concepts = []) {
+    return {
+        question: text,
+        ...(explanation && { explanation }),
+        ...(concepts.length > 0 && { concepts: concepts.slice(0, 5) })
+    };
+}
+
+// ============================================================================
+// GIFT helpers
+// ============================================================================
+
+function escapeGift(text) {
+    return String(text ?? '').replace(GIFT_SPECIAL, ch => `\\${ch}`).replace(/\r?\n/g, '\\n');
+}
+
+function unescapeGift(text) {
+    return text.replace(/\\(.)/g, (_, ch) => (ch === 'n' ? '\n' : ch)).trim();
+}
+
+/**
+ * Position of the first unescaped occurrence of a token
+ * @param {string} text
+ * @param {string} token
+ * @param {number} [from=0]
+ * @returns {number} Index, or -1
+ */
+function findUnescaped(text, token, from = 0) {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text.startsWith(token, i)) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Split GIFT answer text into `=`/`~` marked answers
+ * @param {string} body - Answer block without braces and general feedback
+ * @returns {Array<{mark: string, weight: number|null, text: string}>}
+ */
+function giftAnswers(body) {
+    const answers = [];
+    let current = null;
+    for (let i = 0; i < body.length; i++) {
+        const ch = body[i];
+        if (ch === '\\') {
+            if (current) current.raw += body.slice(i, i + 2);
+            i++;
+        } else if (ch === '=' || ch === '~') {
+            current = { mark: ch, raw: '' };
+            answers.push(current);
+        } else if (current) {
+            current.raw += ch;
+        }
+    }
+
+    return answers.map(({ mark, raw }) => {
+        // Per-answer feedback ("#...") is dropped
+        const feedbackAt = findUnescaped(raw, '#');
+        let text = feedbackAt === -1 ? raw : raw.slice(0, feedbackAt);
+        let weight = null;
+        const weighted = /^\s*%(-?\d+(?:\.\d+)?)%/.exec(text);
+        if (weighted) {
+            weight = Number(weighted[1]);
+            text = text.slice(weighted[0].length);
+        }
+        return { mark, weight, text };
+    });
+}
+
+/**
+ * Does a GIFT answer count as right?
+ * @param {{mark: string, weight: number|null}} answer
+ * @returns {boolean}
+ */
+function isRightAnswer(answer) {
+    return answer.weight === null ? answer.mark === '=' : answer.weight > 0;
+}
+
+/**
+ * Value and tolerance from a GIFT numeric answer (`5`, `5:0.1` or `4..6`)
+ * @param {string} text
+ * @returns {{correctAnswer: number, tolerance: number}|null}
+ */
+function giftNumber(text) {
+    const value = text.replace(/\\(.)/g, '$1').trim();
+    const range = /^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/.exec(value);
+    if (range) {
+        const [low, high] = [Number(range[1]), Number(range[2])];
+        return Number.isFinite(low) && Number.isFinite(high)
+            ? { correctAnswer: (low + high) / 2, tolerance: Math.abs(high - low) / 2 }
+            : null;
+    }
+    const [answer, tolerance = '0'] = value.split(':');
+    const parsed = { correctAnswer: Number(answer), tolerance: Math.abs(Number(tolerance)) };
+    return answer.trim() !== '' && Number.isFinite(parsed.correctAnswer) && Number.isFinite(parsed.tolerance) ? parsed : null;
+}
+
+// ============================================================================
+// Moodle XML helpers
+// ============================================================================
+
+/**
+ * Plain text as a CDATA-wrapped HTML fragment
+ * @param {string} text
+ * @returns {string}
+ */
+function htmlCdata(text) {
+    const html = escapeXml(text).replace(/\r?\n/g, '<br>');
+    return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Text of a Moodle `<x format="..."><text>` element
+ * @param {Function} $ - Cheerio instance of the document
+ * @param {Object} element - Element holding a <text> child
+ * @returns {string}
+ */
+function xmlText($, element) {
+    const node = $(element);
+    const text = node.children('text').first().text();
+    return node.attr('format') === 'html' || node.attr('format') === 'moodle_auto_format'
+        ? htmlToText(text)
+        : text.trim();
+}
+
+class MoodleFormatService {
+    /**
+     * @param {Object} logger - Logger instance
+     */
+    constructor(logger) {
+        this.logger = logger;
+    }
+
+    // ------------------------------------------------------------------------
+    // GIFT
+    // ------------------------------------------------------------------------
+
+    /**
+     * Convert GIFT text into Quizix questions
+     * @param {string} text - GIFT file contents
+     * @returns {{questions: Object[], warnings: string[], skipped: number}}
+     */
+    parseGift(text) {
+        const questions = [];
+        const warnings = [];
+        let skipped = 0;
+        const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/)
+            .filter(line => !line.trim().startsWith('//'));
+
+        const blocks = lines.join('\n').split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+        // Warnings number questions as they appear, categories aside
+        let number = 0;
+        blocks.forEach(block => {
+            if (/^\$CATEGORY:/i.test(block)) return;
+            const label = `Question ${++number}`;
+            try {
+                const question = this._giftQuestion(block);
+                if (question) {
+                    questions.push(question);
+                } else {
+                    warnings.push(`${label}: no answers, skipped`);
+                    skipped++;
+                }
+            } catch (error) {
+                warnings.push(`${label}: ${error.message}, skipped`);
+                skipped++;
+            }
+        });
+
+        this.logger.debug(`GIFT import: ${questions.length} questions, ${skipped} skipped`);
+        return { questions, warnings, skipped };
+    }
+
+    /**
+     * Convert one GIFT question block
+     * @param {string} block - Question text with its answer block
+     * @returns {Object|null} Question, or null for a description (no answers)
+     * @throws {Error} For question kinds Quizix has no counterpart for
+     */
+    _giftQuestion(block) {
+        let source = block.replace(/^\$CATEGORY:.*\n/i, '');
+        if (source.startsWith('::')) {
+            const end = findUnescaped(source, '::', 2);
+            if (end !== -1) source = source.slice(end + 2);
+        }
+        const format = /^\s*\[(html|moodle|plain|markdown)\]/i.exec(source);
+        if (format) source = source.slice(format[0].length);
+
+        const open = findUnescaped(source, '{');
+        const close = open === -1 ? -1 : findUnescaped(source, '}', open);
+        if (open === -1 || close === -1) return null;
+
+        const toText = part => {
+            const plain = unescapeGift(part);
+            return format?.[1].toLowerCase() === 'html' ? htmlToText(plain) : plain;
+        };
+        const before = toText(source.slice(0, open));
+        const after = toText(source.slice(close + 1));
+        // "Missing word" questions have text on both sides of the answers
+        const questionText = after ? `${before} _____ ${after}` : before;
+        if (!questionText) {
+            throw new Error('question text is empty');
+        }
+
+        let body = source.slice(open + 1, close);
+        let explanation;
+        const feedbackAt = findUnescaped(body, '####');
+        if (feedbackAt !== -1) {
+            explanation = toText(body.slice(feedbackAt + 4)) || undefined;
+            body = body.slice(0, feedbackAt);
+        }
+        body = body.trim();
+
+        if (!body) {
+            throw new Error('essay questions are not supported');
+        }
+
+        const trueFalse = /^(T|TRUE|F|FALSE)(?=\s|#|$)/i.exec(body);
+        if (trueFalse) {
+            return {
+                type: 'true-false', ...baseQuestion(questionText, explanation),
+                correctAnswer: trueFalse[1].toUpperCase().startsWith('T')
+            };
+        }
+
+        if (body.startsWith('#')) {
+            // One bare answer ("#5:0.1"), or several marked ones ("# =5:0.1 =%50%5:1")
+            const numericBody = body.slice(1);
+            const answers = findUnescaped(numericBody, '=') === -1
+                ? giftAnswers(`=${numericBody}`)
+                : giftAnswers(numericBody);
+            const best = answers.find(answer => answer.mark === '=' && (answer.weight === null || answer.weight === 100));
+            const number = best && giftNumber(best.text);
+            if (!number) {
+                throw new Error('numeric answer is not a number');
+            }
+            return { type: 'numeric', ...baseQuestion(questionText, explanation), ...number };
+        }
+
+        const answers = giftAnswers(body);
+        if (answers.length === 0) {
+            throw new Error('no answers found');
+        }
+
+        if (answers.some(answer => findUnescaped(answer.text, '->') !== -1)) {
+            const pairs = answers.map(answer => {
+                const arrow = findUnescaped(answer.text, '->');
+                return {
+                    left: unescapeGift(answer.text.slice(0, arrow)),
+                    right: unescapeGift(answer.text.slice(arrow + 2))
+                };
+            });
+            return { type: 'matching', ...baseQuestion(questionText, explanation), pairs };
+        }
+
+        if (answers.every(answer => answer.mark === '=')) {
+            const acceptedAnswers = answers
+                .filter(answer => answer.weight === null || answer.weight === 100)
+                .map(answer => unescapeGift(answer.text));
+            return { type: 'text-input', ...baseQuestion(questionText, explanation), acceptedAnswers };
+        }
+
+        const options = answers.map(answer => unescapeGift(answer.text));
+        const correct = answers.map((answer, i) => (isRightAnswer(answer) ? i : -1)).filter(i => i !== -1);
+        if (correct.length === 0) {
+            throw new Error('no answer is marked right');
+        }
+        const weighted = answers.some(answer => answer.mark === '~' && answer.weight !== null && answer.weight > 0);
+        if (correct.length > 1 || weighted) {
+            return { type: 'multiple-correct', ...baseQuestion(questionText, explanation), options, correctIndices: correct };
+        }
+        return { type: 'multiple-choice', ...baseQuestion(questionText, explanation), options, correctIndex: correct[0] };
+    }
+
+    /**
+     * Convert Quizix questions into GIFT text
+     * @param {{title: string, questions: Object[]}} quiz
+     * @returns {{content: string, warnings: string[]}}
+     */
+    toGift(quiz) {
+        const warnings = [];
+        const blocks = [
+            `// ${String(quiz.title).replace(/\r?\n/g, ' ')} (Quizix Pro)`,
+            `$CATEGORY: $course$/top/${String(quiz.title).replace(/\//g, '//')}`
+        ];
+
+        quiz.questions.forEach((question, index) => {
+            const answers = this._giftAnswerBlock(question);
+            if (!answers) {
+                warnings.push(`Question ${index + 1}: ${this._unsupportedReason(question)}, skipped`);
+                return;
+            }
+            const feedback = question.explanation ? `\n####${escapeGift(question.explanation)}` : '';
+            blocks.push(`::${escapeGift(questionName(question, index))}::${escapeGift(question.question)} {${answers}${feedback}\n}`);
+        });
+
+        return { content: `${blocks.join('\n\n')}\n`, warnings };
+    }
+
+    /**
+     * GIFT answer block (without braces) for a question
+     * @param {Object} question
+     * @returns {string|null} Null when the question cannot be expressed in GIFT
+     */
+    _giftAnswerBlock(question) {
+        switch (question.type) {
+            case 'multiple-choice': {
+                const right = correctIndexOf(question);
+                return question.options.map((option, i) => `\n${i === right ? '=' : '~'}${escapeGift(option)}`).join('');
+            }
+            case 'multiple-correct': {
+                const weights = multipleCorrectWeights(question.options.length, correctIndicesOf(question));
+                return question.options.map((option, i) => `\n~%${weights[i]}%${escapeGift(option)}`).join('');
+            }
+            case 'true-false':
+                return question.isPoll ? null : (question.correctAnswer === true || question.correctAnswer === 'true' ? 'TRUE' : 'FALSE');
+            case 'numeric': {
+                const tolerance = Number(question.tolerance) || 0;
+                return `#${Number(question.correctAnswer)}${tolerance ? `:${tolerance}` : ''}`;
+            }
+            case 'text-input':
+                return question.acceptedAnswers.map(answer => `\n=${escapeGift(answer)}`).join('');
+            case 'matching':
+                return question.pairs.map(pair => `\n=${escapeGift(pair.left)} -> ${escapeGift(pair.right)}`).join('');
+            default:
+                return null;
+        }
+    }
+
+    _unsupportedReason(question) {
+        return question.isPoll ? 'poll questions have no Moodle counterpart' : `${question.type} questions have no Moodle counterpart`;
+    }
+
+    // ------------------------------------------------------------------------
+    // Moodle XML
+    // ------------------------------------------------------------------------
+
+    /**
+     * Convert Moodle XML into Quizix questions
+     * @param {string} xml - Moodle XML file contents
+     * @returns {{questions: Object[], warnings: string[], skipped: number}}
+     */
+    parseXml(xml) {
+        const $ = cheerio.load(String(xml), { xml: true });
+        const questions = [];
+        const warnings = [];
+        let skipped = 0;
+
+        if ($('quiz').length === 0) {
+            const err = new Error('Not a Moodle XML file');
+            err.messageKey = 'error_invalid_moodle_xml';
+            throw err;
+        }
+
+        let number = 0;
+        $('quiz > question').each((_, element) => {
+            const type = $(element).attr('type');
+            if (type === 'category') return;
+            const label = `Question ${++number}`;
+            try {
+                const question = this._xmlQuestion($, element, type);
+                questions.push(question);
+                if ($(element).children('questiontext').text().includes('<img')) {
+                    warnings.push(`${label}: images are not imported`);
+                }
+            } catch (error) {
+                warnings.push(`${label}: ${error.message}, skipped`);
+                skipped++;
+            }
+        });
+
+        this.logger.debug(`Moodle XML import: ${questions.length} questions, ${skipped} skipped`);
+        return { questions, warnings, skipped };
+    }
+
+    /**
+     * Convert one Moodle XML <question>
+     * @param {Function} $ - Cheerio instance of the document
+     * @param {Object} element - <question> element
+     * @param {string} type - Moodle question type
+     * @returns {Object}
+     * @throws {Error} For types Quizix has no counterpart for
+     */
+    _xmlQuestion($, element, type) {
+        const node = $(element);
+        const text = xmlText($, node.children('questiontext').first());
+        if (!text) {
+            throw new Error('question text is empty');
+        }
+        const explanation = xmlText($, node.children('generalfeedback').first()) || undefined;
+        const concepts = node.children('tags').children('tag').map((_, tag) => $(tag).children('text').text().trim()).get().filter(Boolean);
+        const answers = node.children('answer').map((_, answer) => ({
+            fraction: Number($(answer).attr('fraction')) || 0,
+            text: xmlText($, answer),
+            tolerance: Number($(answer).children('tolerance').text()) || 0
+        })).get();
+        const base = baseQuestion(text, explanation, concepts);
+
+        switch (type) {
+            case 'multichoice': {
+                const options = answers.map(answer => answer.text);
+                const single = ['true', '1'].includes(node.children('single').text().trim());
+                if (single) {
+                    const best = answers.reduce((top, answer, i) => (answer.fraction > answers[top].fraction ? i : top), 0);
+                    if (!(answers[best]?.fraction > 0)) throw new Error('no answer is marked right');
+                    return { type: 'multiple-choice', ...base, options, correctIndex: best };
+                }
+                const correctIndices = answers.map((answer, i) => (answer.fraction > 0 ? i : -1)).filter(i => i !== -1);
+                if (correctIndices.length === 0) throw new Error('no answer is marked right');
+                return { type: 'multiple-correct', ...base, options, correctIndices };
+            }
+            case 'truefalse': {
+                const right = answers.find(answer => answer.fraction === 100);
+                if (!right) throw new Error('no answer is marked right');
+                return { type: 'true-false', ...base, correctAnswer: right.text.toLowerCase() === 'true' };
+            }
+            case 'numerical': {
+                const right = answers.find(answer => answer.fraction === 100);
+                const value = Number(right?.text);
+                if (!right || right.text === '' || !Number.isFinite(value)) throw new Error('numeric answer is not a number');
+                return { type: 'numeric', ...base, correctAnswer: value, tolerance: Math.abs(right.tolerance) };
+            }
+            case 'shortanswer': {
+                const acceptedAnswers = answers.filter(answer => answer.fraction === 100).map(answer => answer.text);
+                return { type: 'text-input', ...base, acceptedAnswers };
+            }
+            case 'matching': {
+                const pairs = node.children('subquestion').map((_, sub) => ({
+                    left: xmlText($, sub),
+                    right: $(sub).children('answer').children('text').text().trim()
+                })).get().filter(pair => pair.left);
+                return { type: 'matching', ...base, pairs };
+            }
+            default:
+                throw new Error(`${type} questions are not supported`);
+        }
+    }
+
+    /**
+     * Convert Quizix questions into Moodle XML
+     * @param {{title: string, questions: Object[]}} quiz
+     * @returns {{content: string, warnings: string[]}}
+     */
+    toXml(quiz) {
+        const warnings = [];
+        const parts = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<quiz>',
+            `  <question type="category">\n    <category><text>${escapeXml(`$course$/top/${String(quiz.title).replace(/\//g, '//')}`)}</text></category>\n  </question>`
+        ];
+
+        quiz.questions.forEach((question, index) => {
+            const body = this._xmlQuestionBody(question);
+            if (!body) {
+                warnings.push(`Question ${index + 1}: ${this._unsupportedReason(question)}, skipped`);
+                return;
+            }
+            const tags = (question.concepts || []).map(concept => `<tag><text>${escapeXml(concept)}</text></tag>`).join('');
+            parts.push([
+                `  <question type="${body.type}">`,
+                `    <name><text>${escapeXml(questionName(question, index))}</text></name>`,
+                `    <questiontext format="html"><text>${htmlCdata(question.question)}</text></questiontext>`,
+                `    <generalfeedback format="html"><text>${question.explanation ? htmlCdata(question.explanation) : ''}</text></generalfeedback>`,
+                '    <defaultgrade>1</defaultgrade>',
+                '    <penalty>0</penalty>',
+                '    <hidden>0</hidden>',
+                ...body.lines.map(line => `    ${line}`),
+                ...(tags ? [`    <tags>${tags}</tags>`] : []),
+                '  </question>'
+            ].join('\n'));
+        });
+
+        parts.push('</quiz>');
+        return { content: `${parts.join('\n')}\n`, warnings };
+    }
+
+    /**
+     * Type-specific Moodle XML for a question
+     * @param {Object} question
+     * @returns {{type: string, lines: string[]}|null} Null when Moodle has no counterpart
+     */
+    _xmlQuestionBody(question) {
+        const answer = (fraction, text, format = 'html', extra = '') =>
+            `<answer fraction="${fraction}" format="${format}"><text>${format === 'html' ? htmlCdata(text) : escapeXml(text)}</text>${extra}<feedback format="html"><text></text></feedback></answer>`;
+
+        switch (question.type) {
+            case 'multiple-choice': {
+                const right = correctIndexOf(question);
+                return {
+                    type: 'multichoice',
+                    lines: ['<single>true</single>', '<shuffleanswers>true</shuffleanswers>', '<answernumbering>abc</answernumbering>',
+                        ...question.options.map((option, i) => answer(i === right ? 100 : 0, option))]
+                };
+            }
+            case 'multiple-correct': {
+                const weights = multipleCorrectWeights(question.options.length, correctIndicesOf(question));
+                return {
+                    type: 'multichoice',
+                    lines: ['<single>false</single>', '<shuffleanswers>true</shuffleanswers>', '<answernumbering>abc</answernumbering>',
+                        ...question.options.map((option, i) => answer(weights[i], option))]
+                };
+            }
+            case 'true-false': {
+                if (question.isPoll) return null;
+                const isTrue = question.correctAnswer === true || question.correctAnswer === 'true';
+                return {
+                    type: 'truefalse',
+                    lines: [answer(isTrue ? 100 : 0, 'true', 'moodle_auto_format'), answer(isTrue ? 0 : 100, 'false', 'moodle_auto_format')]
+                };
+            }
+            case 'numeric':
+                return {
+                    type: 'numerical',
+                    lines: [answer(100, String(Number(question.correctAnswer)), 'moodle_auto_format', `<tolerance>${Number(question.tolerance) || 0}</tolerance>`)]
+                };
+            case 'text-input':
+                return {
+                    type: 'shortanswer',
+                    // Quizix matching always ignores case
+                    lines: ['<usecase>0</usecase>', ...question.acceptedAnswers.map(text => answer(100, text, 'moodle_auto_format'))]
+                };
+            case 'matching':
+                return {
+                    type: 'matching',
+                    lines: ['<shuffleanswers>true</shuffleanswers>', ...question.pairs.map(pair =>
+                        `<subquestion format="html"><text>${htmlCdata(pair.left)}</text><answer><text>${escapeXml(pair.right)}</text></answer></subquestion>`)]
+                };
+            default:
+                return null;
+        }
+    }
+}
+
+module.exports = { MoodleFormatService };
@@ -16,6 +16,10 @@ const { shuffleWithMapping } = require('./game');
 // full roster out to every socket in the room.
 const PLAYER_LIST_BROADCAST_DEBOUNCE_MS = 250;
 
+// How long a disconnected player keeps their seat (score, answers) before
+// being removed from an active game
+const PLAYER_REJOIN_GRACE_MS = 2 * 60 * 1000;
+
 // Game states in which a roster broadcast still makes sense. The remaining states
 // ('ended', 'finished', 'pending-migration') are teardown: the room is gone, the
 // roster has been cleared, or a new game is being prepared over the top of it.
@@ -31,6 +35,33 @@ class PlayerManagementService {
         this.deviceToSession = new Map();    // deviceId -> hostSessionId
         this.sessionGraceTimers = new Map(); // hostSessionId -> timerId
         this.playerListBroadcastTimers = new Map(); // gamePin -> timeoutId for coalesced roster broadcast
+        this.webhookService = null; // Injected via setWebhookService(); no webhook events without it
+    }
+
+    /**
+     * Inject WebhookService so joins and departures reach the host's webhooks
+     * @param {WebhookService} webhookService - Has emit(event, data, ownerId)
+     */
+    setWebhookService(webhookService) {
+        this.webhookService = webhookService;
+    }
+
+    /**
+     * Send player.joined / player.left to the server-wide webhooks and the signed-in host's
+     * @param {Object} game - Game instance
+     * @param {string} event - 'player.joined' or 'player.left'
+     * @param {string} playerName - Player display name
+     * @param {Object} [data] - Extra event fields (e.g. the reason for leaving)
+     */
+    _emitPlayerWebhook(game, event, playerName, data = {}) {
+        if (!this.webhookService) return;
+        this.webhookService.emit(event, {
+            pin: game.pin,
+            quizTitle: game.quiz?.title || 'Untitled Quiz',
+            player: playerName,
+            ...data,
+            playerCount: game.players.size
+        }, game.ownerId || null);
     }
 
     /**
@@ -57,7 +88,8 @@ class PlayerManagementService {
                 return;
             }
             io.to(`game-${pin}`).emit('player-list-update', {
-                players: this._getPlayerListForBroadcast(game)
+                players: this._getPlayerListForBroadcast(game),
+                ...(game.isTeamMode && { teams: game.teams })
             });
         }, PLAYER_LIST_BROADCAST_DEBOUNCE_MS);
 
@@ -84,9 +116,11 @@ class PlayerManagementService {
    * @param {Object} game - Game instance
    * @param {Object} socket - Socket instance
    * @param {Object} io - Socket.IO instance
+   * @param {string} [deviceId] - Device ID for the host session registry
+   * @param {{studentId?: string, joinCode?: string}} [studentClaim] - Roster student the player picked or typed the code of
    * @returns {Object} Result object with success status and optional error message
    */
-    handlePlayerJoin(socketId, pin, name, game, socket, io, deviceId = null) {
+    handlePlayerJoin(socketId, pin, name, game, socket, io, deviceId = null, studentClaim = null) {
     // Validate input
         if (!pin || !name || typeof pin !== 'string' || typeof name !== 'string') {
             return {
@@ -124,6 +158,15 @@ class PlayerManagementService {
             };
         }
 
+        // Host moderation: a banned name or device cannot come back into this game
+        if (game.isBanned && game.isBanned({ name, deviceId })) {
+            return {
+                success: false,
+                error: 'You have been removed from this game',
+                messageKey: 'error_player_banned'
+            };
+        }
+
         // Check if game is in a joinable state (lobby or between questions)
         if (game.gameState !== 'lobby' && game.gameState !== 'revealing' && game.gameState !== 'question') {
             return {
@@ -133,6 +176,19 @@ class PlayerManagementService {
             };
         }
 
+        // Roster matching: checked before the player is added so a wrong
+        // student code leaves the join screen up for another try
+        const match = game.matchRosterStudent
+            ? game.matchRosterStudent({ ...studentClaim, playerId: socketId })
+            : { success: true, student: null };
+        if (!match.success) {
+            return {
+                success: false,
+                error: match.error,
+                messageKey: match.messageKey
+            };
+        }
+
         // Add player to game (returns result object with success/error)
         const addResult = game.addPlayer(socketId, name);
         if (!addResult.success) {
@@ -151,6 +207,20 @@ class PlayerManagementService {
             if (deviceId) {
                 player.deviceId = deviceId;
             }
+            // Signed-in account (e.g. launched from an LMS), for grade passback
+            if (socket.data?.user?.id) {
+                player.userId = socket.data.user.id;
+            }
+        }
+        if (match.student) {
+            game.claimRosterStudent(socketId, match.student.id);
+        }
+
+        // Team mode: auto assignment balances on join. With manual assignment
+        // the host places players in the lobby; anyone joining after the start
+        // is balanced like the leftovers were (Game.balanceUnassignedPlayers).
+        if (game.isTeamMode && (game.teamConfig.assignment === 'auto' || game.gameState !== 'lobby')) {
+            game.autoAssignTeam(socketId);
         }
 
         this.players.set(socketId, { gamePin: pin, name });
@@ -179,7 +249,8 @@ class PlayerManagementService {
             playerName: name,
             players: currentPlayers,
             sessionToken,
-            hostSessionId
+            hostSessionId,
+            ...(match.student && { student: { id: match.student.id, name: match.student.name } })
         });
 
         // Late joiners inherit the host's current mute-all state. Always sent (not
@@ -188,6 +259,7 @@ class PlayerManagementService {
 
         // Broadcast updated player list to all players in the game
         this._broadcastPlayerList(pin, game, io);
+        this._emitPlayerWebhook(game, 'player.joined', name);
 
         // If joining mid-game, transition player to game screen
         if (game.gameState === 'revealing' || game.gameState === 'question') {
@@ -196,11 +268,14 @@ class PlayerManagementService {
                 questionCount: game.quiz.questions.length,
                 manualAdvancement: game.manualAdvancement || false,
                 powerUpsEnabled: game.powerUpsEnabled || false,
+                powerUps: game.powerUpConfig,
                 consensusConfig: game.isConsensusMode ? {
                     enabled: true,
                     threshold: game.consensusConfig.threshold,
                     allowChat: game.consensusConfig.allowChat
-                } : null
+                } : null,
+                // Late joiners of an elimination game play along as ghosts
+                elimination: game.isEliminationMode ? game.getEliminationInfo(player) : null
             });
         }
 
@@ -218,7 +293,8 @@ class PlayerManagementService {
                     type: questionType,
                     image: question.image || '',
                     video: question.video || '',
-                    timeLimit: timeLimit
+                    timeLimit: timeLimit,
+                    ...(game.isEliminationMode && game.isRevivalRound() && { revivalRound: true })
                 };
 
                 // Handle answer shuffling for the new player
@@ -227,7 +303,10 @@ class PlayerManagementService {
                     question.options && question.options.length > 1;
 
                 let options;
-                if (shouldShuffle) {
+                let matches;
+                if (questionType === 'matching') {
+                    ({ options, matches } = game.getMatchingColumns(question, socketId));
+                } else if (shouldShuffle) {
                     const { shuffled, mapping } = shuffleWithMapping(question.options);
                     game.answerMappings.set(socketId, mapping);
                     options = shuffled;
@@ -240,6 +319,7 @@ class PlayerManagementService {
                 socket.emit('question-start', {
                     ...baseQuestionData,
                     options,
+                    ...(matches && { matches }),
                     remainingTimeMs,
                     alreadyAnswered: false
                 });
@@ -303,14 +383,8 @@ class PlayerManagementService {
                     }
                 }
 
-                const sessionToken = gamePlayer.sessionToken;
-
-                // Set grace period timer (2 minutes) — after which, truly remove them
-                const gracePeriodMs = 2 * 60 * 1000;
-                const timerId = setTimeout(() => {
-                    this._finalizePlayerRemoval(sessionToken, game, io);
-                }, gracePeriodMs);
-                this.disconnectTimers.set(sessionToken, timerId);
+                // Grace period — after which, truly remove them
+                this.armDisconnectGrace(gamePlayer.sessionToken, game, io);
 
                 // Broadcast updated player list (with disconnected flag)
                 this._broadcastPlayerList(playerData.gamePin, game, io);
@@ -332,6 +406,8 @@ class PlayerManagementService {
                     playerName: playerData.name
                 });
 
+                this._emitPlayerWebhook(game, 'player.left', playerData.name, { reason: 'left' });
+
                 this.logger.info(`Player ${playerData.name} removed from game ${playerData.gamePin}`);
             }
 
@@ -354,6 +430,25 @@ class PlayerManagementService {
         this.players.delete(socketId);
     }
 
+    /**
+     * Start (or restart) a disconnected player's grace period. Rejoining with
+     * the session token before it expires clears it.
+     * @param {string} sessionToken - The player's session token
+     * @param {Object} game - Game instance
+     * @param {Object} io - Socket.IO instance
+     * @param {number} [gracePeriodMs] - Grace period length
+     */
+    armDisconnectGrace(sessionToken, game, io, gracePeriodMs = PLAYER_REJOIN_GRACE_MS) {
+        if (this.disconnectTimers.has(sessionToken)) {
+            clearTimeout(this.disconnectTimers.get(sessionToken));
+        }
+
+        const timerId = setTimeout(() => {
+            this._finalizePlayerRemoval(sessionToken, game, io);
+        }, gracePeriodMs);
+        this.disconnectTimers.set(sessionToken, timerId);
+    }
+
     /**
      * Finalize removal of a disconnected player after grace period expires
      * @param {string} sessionToken - The player's session token
@@ -374,6 +469,15 @@ class PlayerManagementService {
                     name: player.name,
                     score: player.score || 0,
                     answers: player.answers || {},
+                    // Badge inputs that are not in the answers
+                    bestStreak: player.bestStreak || 0,
+                    ...(player.consensusAgreements && { consensusAgreements: player.consensusAgreements }),
+                    // A player who leaves an elimination game is out from then on
+                    ...(game.isEliminationMode && {
+                        eliminated: true,
+                        eliminatedOnQuestion: player.eliminated ? player.eliminatedOnQuestion : game.currentQuestion
+                    }),
+                    ...(player.teamId && { teamId: player.teamId }),
                     disconnected: true,
                     removedAt: Date.now()
                 });
@@ -394,6 +498,7 @@ class PlayerManagementService {
                 this.players.delete(playerId);
 
                 this._broadcastPlayerList(game.pin, game, io);
+                this._emitPlayerWebhook(game, 'player.left', player.name, { reason: 'disconnected' });
 
                 this.logger.info(`Player ${player.name} removed after grace period expired in game ${game.pin}`);
                 break;
@@ -401,6 +506,111 @@ class PlayerManagementService {
         }
     }
 
+    /**
+     * Host moderation: remove a player from the game, optionally banning them.
+     * A kicked player may join again under a new name; a banned player's name,
+     * device and session token are refused by handlePlayerJoin/handlePlayerRejoin
+     * for the rest of this game. The removed client is told via 'player-kicked'.
+     * @param {string} playerId - Socket ID the player is keyed by in game.players
+     *                            (the old socket ID if they are disconnected)
+     * @param {Object} game - Game instance
+     * @param {Object} io - Socket.IO instance
+     * @param {boolean} ban - Also block the player from rejoining
+     * @returns {Object} Result object with success status
+     */
+    handleKickPlayer(playerId, game, io, ban = false) {
+        if (!game) {
+            return { success: false, error: 'Game not found', messageKey: 'error_game_not_found' };
+        }
+
+        const player = game.players.get(playerId);
+        if (!player) {
+            return { success: false, error: 'Player not found', messageKey: 'error_player_not_found' };
+        }
+
+        if (ban) {
+            game.banPlayer(player);
+        }
+
+        // The active roster shrinks — see handlePlayerDisconnect
+        game.disconnectEpoch++;
+
+        // A disconnected player still has a pending grace-period removal
+        if (player.sessionToken && this.disconnectTimers.has(player.sessionToken)) {
+            clearTimeout(this.disconnectTimers.get(player.sessionToken));
+            this.disconnectTimers.delete(player.sessionToken);
+        }
+
+        // Drop the device from the host session so a session-check or the next
+        // game's auto-join does not pull the player straight back in
+        if (player.deviceId) {
+            this.unregisterDevice(player.deviceId);
+        }
+
+        game.removePlayer(playerId);
+        game.answerMappings.delete(playerId);
+        if (game.isConsensusMode) {
+            game.proposals.delete(playerId);
+        }
+        this.players.delete(playerId);
+
+        io.to(playerId).emit('player-kicked', {
+            banned: ban,
+            messageKey: ban ? 'player_banned_notice' : 'player_kicked_notice'
+        });
+        const kickedSocket = io.sockets.sockets.get(playerId);
+        if (kickedSocket) {
+            kickedSocket.leave(`game-${game.pin}`);
+        }
+
+        this._broadcastPlayerList(game.pin, game, io);
+
+        if (game.gameState === 'question' && game.hostId) {
+            const activePlayers = Array.from(game.players.values()).filter(p => !p.disconnected);
+            io.to(game.hostId).emit('answer-count-update', {
+                answeredPlayers: activePlayers.filter(p => p.answers && p.answers[game.currentQuestion]).length,
+                connectedPlayers: activePlayers.length,
+                totalPlayers: game.players.size
+            });
+        }
+
+        this._emitPlayerWebhook(game, 'player.left', player.name, { reason: ban ? 'banned' : 'kicked' });
+
+        this.logger.info(`Player ${player.name} ${ban ? 'banned' : 'kicked'} from game ${game.pin} by host`);
+
+        return { success: true, playerName: player.name, banned: ban };
+    }
+
+    /**
+     * Host moves a player to another team. Only allowed in the lobby: team
+     * scores are derived from membership, so a mid-game move would carry the
+     * player's points to the other side.
+     * @param {string} playerId - Socket ID the player is keyed by in game.players
+     * @param {number} teamId - Target team ID
+     * @param {Object} game - Game instance
+     * @param {Object} io - Socket.IO instance
+     * @returns {Object} Result object with success status
+     */
+    handleAssignTeam(playerId, teamId, game, io) {
+        if (!game) {
+            return { success: false, error: 'Game not found', messageKey: 'error_game_not_found' };
+        }
+
+        if (game.gameState !== 'lobby') {
+            return { success: false, error: 'Teams can only be changed in the lobby', messageKey: 'error_team_change_lobby_only' };
+        }
+
+        const result = game.assignTeam(playerId, teamId);
+        if (!result.success) {
+            return result;
+        }
+
+        this._broadcastPlayerList(game.pin, game, io);
+        this.logger.debug(`Player ${playerId} moved to team ${teamId} in game ${game.pin}`);
+
+        return { success: true, teamId };
+    }
+
     /**
      * Handle player rejoin via session token
      * @param {string} newSocketId - New socket ID of the reconnecting player
@@ -421,6 +631,10 @@ class PlayerManagementService {
             return { success: false, error: 'Game not found', messageKey: 'error_game_not_found' };
         }
 
+        if (game.isBanned && game.isBanned({ sessionToken })) {
+            return { success: false, error: 'You have been removed from this game', messageKey: 'error_player_banned' };
+        }
+
         // Find the player by session token.
         // First try disconnected players (normal case: server already detected disconnect).
         // Then try still-connected players (race condition: client reconnected before
@@ -502,7 +716,11 @@ class PlayerManagementService {
             currentQuestion: game.currentQuestion,
             gameStatus: game.gameState,
             sessionToken: sessionToken,
-            gamePin: pin
+            gamePin: pin,
+            // Catalogue and this player's uses left, to rebuild the power-up bar
+            powerUps: game.powerUpsEnabled ? game.powerUpConfig : null,
+            powerUpState: foundPlayer.powerUps || null,
+            elimination: game.isEliminationMode ? game.getEliminationInfo(foundPlayer) : null
         });
 
         // Resync the host mute-all override after a reconnect (see handlePlayerJoin).
@@ -522,7 +740,8 @@ class PlayerManagementService {
                     type: questionType,
                     image: question.image || '',
                     video: question.video || '',
-                    timeLimit: timeLimit
+                    timeLimit: timeLimit,
+                    ...(game.isEliminationMode && game.isRevivalRound() && { revivalRound: true })
                 };
 
                 // Determine answer options (handle shuffling)
@@ -531,7 +750,11 @@ class PlayerManagementService {
                     question.options && question.options.length > 1;
 
                 let options;
-                if (shouldShuffle) {
+                let matches;
+                if (questionType === 'matching') {
+                    // Reuses the mapping migrated from the old socket, if any
+                    ({ options, matches } = game.getMatchingColumns(question, newSocketId));
+                } else if (shouldShuffle) {
                     if (game.answerMappings.has(newSocketId)) {
                         // Mapping was migrated from old socket — reconstruct shuffled options
                         const mapping = game.answerMappings.get(newSocketId);
@@ -546,12 +769,15 @@ class PlayerManagementService {
                     options = question.options;
                 }
 
-                const remainingTimeMs = Math.max(0, (timeLimit * 1000) - (Date.now() - game.questionStartTime));
+                // questionEndsAt is the authoritative deadline (extend-time moves it)
+                const endsAt = game.questionEndsAt || (game.questionStartTime + timeLimit * 1000);
+                const remainingTimeMs = Math.max(0, endsAt - Date.now());
                 const alreadyAnswered = !!foundPlayer.answers[game.currentQuestion];
 
                 socket.emit('question-start', {
                     ...baseQuestionData,
                     options,
+                    ...(matches && { matches }),
                     remainingTimeMs,
                     alreadyAnswered
                 });
@@ -572,7 +798,9 @@ class PlayerManagementService {
                     questionType: correctAnswerData.questionType,
                     correctAnswer: correctAnswerData.correctAnswer,
                     correctAnswers: correctAnswerData.correctAnswers,
-                    partialScore: playerAnswer ? playerAnswer.partialScore : undefined
+                    partialScore: playerAnswer ? playerAnswer.partialScore : undefined,
+                    ...(playerAnswer?.ghost && { ghost: true }),
+                    ...(game.isEliminationMode && { elimination: game.getEliminationState(foundPlayer) })
                 });
             }
         }
@@ -582,7 +810,12 @@ class PlayerManagementService {
             const conceptMastery = game.calculatePlayerConceptMastery(newSocketId);
             socket.emit('game-end', {
                 finalLeaderboard: game.leaderboard,
-                conceptMastery: conceptMastery
+                ...(game.isTeamMode && { teamLeaderboard: game.teamLeaderboard }),
+                conceptMastery: conceptMastery,
+                quizTitle: game.quiz.title,
+                missedQuestions: game.getMissedQuestions(newSocketId),
+                reportCard: game.getReportCardLink(newSocketId),
+                badges: foundPlayer.badges || []
             });
             this.logger.info(`Sent final results to late-rejoining player ${foundPlayer.name} in game ${pin}`);
         }
@@ -604,7 +837,8 @@ class PlayerManagementService {
         return Array.from(game.players.values()).map(p => ({
             id: p.id,
             name: p.name,
-            disconnected: p.disconnected || false
+            disconnected: p.disconnected || false,
+            ...(game.isTeamMode && { teamId: p.teamId || null })
         }));
     }
 
@@ -777,6 +1011,13 @@ class PlayerManagementService {
                 if (player.deviceId) {
                     newPlayer.deviceId = player.deviceId;
                 }
+                if (player.userId) {
+                    newPlayer.userId = player.userId;
+                }
+                // Same host, same roster: the student match carries over
+                if (player.studentId && newGame.roster?.some(s => s.id === player.studentId)) {
+                    newPlayer.studentId = player.studentId;
+                }
             }
 
             // Update player tracking map
@@ -0,0 +1,602 @@
+/**
+ * QTI Package Service
+ *
+ * IMS QTI content packages, the assessment exchange format of most LMSs and
+ * assessment tools. A package is a zip archive:
+ *
+ *   imsmanifest.xml  — IMS content package manifest listing every resource
+ *   assessment.xml   — assessmentTest referencing the items in quiz order
+ *   item-<n>.xml     — one assessmentItem per question
+ *   images/<name>    — question images, referenced from the item bodies
+ *
+ * Export writes QTI 2.1 or 3.0; import reads either, telling them apart by
+ * element names (QTI 3.0 renames `choiceInteraction` to
+ * `qti-choice-interaction` and `maxChoices` to `max-choices`).
+ *
+ * | Quizix           | QTI interaction                                   |
+ * |------------------|---------------------------------------------------|
+ * | multiple-choice  | choiceInteraction, single cardinality             |
+ * | multiple-correct | choiceInteraction, multiple cardinality           |
+ * | true-false       | choiceInteraction with choices `true` / `false`   |
+ * | ordering         | orderInteraction                                  |
+ * | text-input       | textEntryInteraction, string, accepted answers mapped |
+ * | numeric          | textEntryInteraction, float, tolerance in `equal` |
+ *
+ * Matching questions, polls, explanations and videos are not carried, and
+ * items with other interactions (or several) are skipped with a warning.
+ * As with QuizPackageService, import is two steps so the route can validate
+ * the converted questions before any image is written to the uploads directory.
+ * Images whose content does not match their extension (utils/media-signature.js)
+ * are neither exported nor imported.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
+const { MAX_UNPACKED_BYTES, readZipEntry } = require('./quiz-package-service');
+const { escapeXml, htmlToText } = require('../utils/markup-text');
+const { matchesMediaName } = require('../utils/media-signature');
+
+// What QTI exports write, and the namespaces and resource types of each
+const QTI_VERSIONS = {
+    '2.1': {
+        namespace: 'http://www.imsglobal.org/xsd/imsqti_v2p1',
+        manifestNamespace: 'http://www.imsglobal.org/xsd/imscp_v1p1',
+        itemType: 'imsqti_item_xmlv2p1',
+        testType: 'imsqti_test_xmlv2p1',
+        schemaVersion: '2.1',
+        templates: 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/'
+    },
+    '3.0': {
+        namespace: 'http://www.imsglobal.org/xsd/imsqtiasi_v3p0',
+        manifestNamespace: 'http://www.imsglobal.org/xsd/qti/qtiv3p0/imscp_v1p1',
+        itemType: 'imsqti_item_xmlv3p0',
+        testType: 'imsqti_test_xmlv3p0',
+        schemaVersion: '3.0.0',
+        templates: 'https://purl.imsglobal.org/spec/qti/v3p0/rptemplates/'
+    }
+};
+
+// HTML elements inside item bodies, which keep their names in QTI 3.0
+const HTML_ELEMENTS = new Set(['p', 'img', 'br']);
+
+// Images an item may carry into the uploads directory
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp']);
+
+const MANIFEST_NAME = 'imsmanifest.xml';
+
+function makeError(message, messageKey, status = 400) {
+    const err = new Error(message);
+    err.messageKey = messageKey;
+    err.status = status;
+    return err;
+}
+
+function kebab(name) {
+    return name.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`);
+}
+
+function camel(name) {
+    return name.replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+}
+
+/**
+ * QTI element and attribute names for a version: QTI 2.1 names are
+ * camelCase, QTI 3.0 prefixes elements with `qti-` and uses kebab-case
+ * @param {boolean} v3 - QTI 3.0 naming
+ * @returns {{tag: Function, attr: Function}}
+ */
+function qtiNames(v3) {
+    return {
+        tag: name => (v3 && !HTML_ELEMENTS.has(name) ? `qti-${kebab(name)}` : name),
+        attr: name => (v3 && !name.includes(':') ? kebab(name) : name)
+    };
+}
+
+/**
+ * Element builder for one QTI version. Attribute values are escaped;
+ * content is markup, so text in it must already be escaped.
+ * @param {boolean} v3 - QTI 3.0 naming
+ * @returns {function(string, Object=, (string|string[])=): string}
+ */
+function qtiWriter(v3) {
+    const names = qtiNames(v3);
+    return (name, attrs = {}, content = null) => {
+        const attrText = Object.entries(attrs)
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => ` ${names.attr(key)}="${escapeXml(value)}"`)
+            .join('');
+        const tag = names.tag(name);
+        return content === null ? `<${tag}${attrText}/>` : `<${tag}${attrText}>${[].concat(content).join('')}</${tag}>`;
+    };
+}
+
+/**
+ * Plain text as escaped markup, line breaks kept
+ * @param {string} text
+ * @returns {string}
+ */
+function textMarkup(text) {
+    return escapeXml(text).replace(/\r?\n/g, '<br/>');
+}
+
+/**
+ * Download filename for a quiz title
+ * @param {string} title
+ * @returns {string}
+ */
+function packageFilename(title) {
+    const base = String(title || '').replace(/[^a-z0-9]/gi, '_').toLowerCase() || 'quiz';
+    return `${base}.qti.zip`;
+}
+
+/**
+ * Zip path of a file referenced from another zip entry
+ * @param {string} from - Referencing entry path
+ * @param {string} href - Relative reference
+ * @returns {string|null} Null for absolute URLs
+ */
+function resolveHref(from, href) {
+    if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('/')) return null;
+    let decoded = href;
+    try {
+        decoded = decodeURIComponent(href);
+    } catch { /* keep as written */ }
+    return path.posix.normalize(path.posix.join(path.posix.dirname(from), decoded.split(/[?#]/)[0]));
+}
+
+function correctIndexOf(question) {
+    return question.correctIndex ?? question.correctAnswer;
+}
+
+function correctIndicesOf(question) {
+    return question.correctIndices ?? question.correctAnswers ?? [];
+}
+
+class QtiPackageService {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {Object} [options]
+     * @param {string} [options.uploadsDir] - Where uploads are served from (default public/uploads)
+     */
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.uploadsDir = options.uploadsDir || path.join(__dirname, '..', 'public', 'uploads');
+    }
+
+    // ------------------------------------------------------------------------
+    // Export
+    // ------------------------------------------------------------------------
+
+    /**
+     * Build a QTI content package from a quiz's questions
+     * @param {{title: string, questions: Object[]}} quiz
+     * @param {string} [version='2.1'] - Key of QTI_VERSIONS
+     * @returns {Promise<{buffer: Buffer, filename: string, warnings: string[]}>}
+     */
+    async exportPackage(quiz, version = '2.1') {
+        const spec = QTI_VERSIONS[version];
+        const v3 = version === '3.0';
+        const el = qtiWriter(v3);
+        const zip = new JSZip();
+        const warnings = [];
+        const items = [];
+        const images = new Set();
+
+        for (const [index, question] of quiz.questions.entries()) {
+            const interaction = this._interaction(el, question, spec);
+            if (!interaction) {
+                warnings.push(`Question ${index + 1}: ${question.isPoll ? 'poll' : question.type} questions have no QTI counterpart, skipped`);
+                continue;
+            }
+
+            const image = await this._packImage(zip, question.image, images);
+            const id = `item-${items.length + 1}`;
+            const file = `${id}.xml`;
+            const item = el('assessmentItem', {
+                xmlns: spec.namespace,
+                identifier: id,
+                title: String(question.question).split('\n')[0].slice(0, 100),
+                adaptive: 'false',
+                timeDependent: 'false'
+            }, [
+                interaction.declaration,
+                el('outcomeDeclaration', { identifier: 'SCORE', cardinality: 'single', baseType: 'float' },
+                    el('defaultValue', {}, el('value', {}, '0'))),
+                el('itemBody', {}, [
+                    ...(image ? [`<p><img src="${escapeXml(image)}" alt=""/></p>`] : []),
+                    interaction.body
+                ]),
+                interaction.processing
+            ]);
+            zip.file(file, `<?xml version="1.0" encoding="UTF-8"?>\n${item}\n`);
+            items.push({ id, file, image });
+        }
+
+        const test = el('assessmentTest', { xmlns: spec.namespace, identifier: 'test', title: quiz.title }, [
+            el('testPart', { identifier: 'part-1', navigationMode: 'linear', submissionMode: 'individual' },
+                el('assessmentSection', { identifier: 'section-1', title: quiz.title, visible: 'true' },
+                    items.map(item => el('assessmentItemRef', { identifier: item.id, href: item.file }))))
+        ]);
+        zip.file('assessment.xml', `<?xml version="1.0" encoding="UTF-8"?>\n${test}\n`);
+        zip.file(MANIFEST_NAME, this._manifest(spec, items));
+
+        const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+        this.logger.info(`QTI ${version} package exported: "${quiz.title}" with ${items.length} items and ${images.size} images`);
+        return { buffer, filename: packageFilename(quiz.title), warnings };
+    }
+
+    /**
+     * Response declaration, interaction markup and response processing for a
+     * question, in the writer's QTI version
+     * @param {Function} el - Element builder from qtiWriter
+     * @param {Object} question
+     * @param {Object} spec - Entry of QTI_VERSIONS
+     * @returns {{declaration: string, body: string, processing: string}|null} Null when QTI has no counterpart
+     */
+    _interaction(el, question, spec) {
+        const v3 = spec === QTI_VERSIONS['3.0'];
+        const template = name => el('responseProcessing', { template: `${spec.templates}${name}${v3 ? '.xml' : ''}` });
+        const declaration = (cardinality, baseType, values, extra = []) => el('responseDeclaration', { identifier: 'RESPONSE', cardinality, baseType }, [
+            el('correctResponse', {}, values.map(value => el('value', {}, escapeXml(value)))),
+            ...extra
+        ]);
+        const prompt = el('prompt', {}, textMarkup(question.question));
+        const choices = (ids, texts) => ids.map((id, i) => el('simpleChoice', { identifier: id }, textMarkup(texts[i])));
+        const optionIds = (question.options || []).map((_, i) => `choice-${i + 1}`);
+
+        switch (question.type) {
+            case 'multiple-choice':
+                return {
+                    declaration: declaration('single', 'identifier', [optionIds[correctIndexOf(question)]]),
+                    body: el('choiceInteraction', { responseIdentifier: 'RESPONSE', shuffle: 'false', maxChoices: '1' }, [prompt, ...choices(optionIds, question.options)]),
+                    processing: template('match_correct')
+                };
+            case 'multiple-correct':
+                return {
+                    declaration: declaration('multiple', 'identifier', correctIndicesOf(question).map(i => optionIds[i])),
+                    body: el('choiceInteraction', { responseIdentifier: 'RESPONSE', shuffle: 'false', maxChoices: '0' }, [prompt, ...choices(optionIds, question.options)]),
+                    processing: template('match_correct')
+                };
+            case 'true-false': {
+                if (question.isPoll) return null;
+                const isTrue = question.correctAnswer === true || question.correctAnswer === 'true';
+                return {
+                    declaration: declaration('single', 'identifier', [isTrue ? 'true' : 'false']),
+                    body: el('choiceInteraction', { responseIdentifier: 'RESPONSE', shuffle: 'false', maxChoices: '1' }, [prompt, ...choices(['true', 'false'], ['True', 'False'])]),
+                    processing: template('match_correct')
+                };
+            }
+            case 'ordering':
+                return {
+                    declaration: declaration('ordered', 'identifier', question.correctOrder.map(i => optionIds[i])),
+                    body: el('orderInteraction', { responseIdentifier: 'RESPONSE', shuffle: 'true' }, [prompt, ...choices(optionIds, question.options)]),
+                    processing: template('match_correct')
+                };
+            case 'text-input':
+                return {
+                    declaration: declaration('single', 'string', question.acceptedAnswers.slice(0, 1), [
+                        // Quizix matching always ignores case
+                        el('mapping', { defaultValue: '0' }, question.acceptedAnswers.map(answer =>
+                            el('mapEntry', { mapKey: answer, mappedValue: '1', caseSensitive: 'false' })))
+                    ]),
+                    body: `<p>${textMarkup(question.question)}</p>${el('p', {}, el('textEntryInteraction', { responseIdentifier: 'RESPONSE', expectedLength: '20' }))}`,
+                    processing: template('map_response')
+                };
+            case 'numeric': {
+                const tolerance = String(Number(question.tolerance) || 0);
+                const score = value => el('setOutcomeValue', { identifier: 'SCORE' }, el('baseValue', { baseType: 'float' }, value));
+                return {
+                    declaration: declaration('single', 'float', [String(Number(question.correctAnswer))]),
+                    body: `<p>${textMarkup(question.question)}</p>${el('p', {}, el('textEntryInteraction', { responseIdentifier: 'RESPONSE', expectedLength: '10' }))}`,
+                    processing: el('responseProcessing', {}, el('responseCondition', {}, [
+                        el('responseIf', {}, [
+                            el('equal', { toleranceMode: 'absolute', tolerance: `${tolerance} ${tolerance}` }, [
+                                el('variable', { identifier: 'RESPONSE' }),
+                                el('correct', { identifier: 'RESPONSE' })
+                            ]),
+                            score('1')
+                        ]),
+                        el('responseElse', {}, score('0'))
+                    ]))
+                };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Add a question's uploaded image to the package once
+     * @param {JSZip} zip
+     * @param {string} [image] - Question image path
+     * @param {Set<string>} packed - Package paths already added
+     * @returns {Promise<string|null>} Package path of the image, or null
+     */
+    async _packImage(zip, image, packed) {
+        const match = /^\/uploads\/([A-Za-z0-9._-]+)$/.exec(image || '');
+        if (!match || match[1].startsWith('.') || !IMAGE_EXTENSIONS.has(path.extname(match[1]).toLowerCase())) {
+            return null;
+        }
+        const file = `images/${match[1]}`;
+        if (packed.has(file)) return file;
+        try {
+            const data = await fs.readFile(path.join(this.uploadsDir, match[1]));
+            if (!matchesMediaName(data, match[1])) {
+                this.logger.warn(`QTI export: upload ${match[1]} is not the image its name claims, exporting without it`);
+                return null;
+            }
+            zip.file(file, data);
+            packed.add(file);
+            return file;
+        } catch (error) {
+            this.logger.warn(`QTI export: upload ${match[1]} not found, exporting without it: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * imsmanifest.xml for the exported test and items
+     * @param {Object} spec - Entry of QTI_VERSIONS
+     * @param {Array<{id: string, file: string, image: string|null}>} items
+     * @returns {string}
+     */
+    _manifest(spec, items) {
+        const resources = [
+            `    <resource identifier="test" type="${spec.testType}" href="assessment.xml">`,
+            '      <file href="assessment.xml"/>',
+            ...items.map(item => `      <dependency identifierref="${item.id}"/>`),
+            '    </resource>',
+            ...items.flatMap(item => [
+                `    <resource identifier="${item.id}" type="${spec.itemType}" href="${item.file}">`,
+                `      <file href="${item.file}"/>`,
+                ...(item.image ? [`      <file href="${escapeXml(item.image)}"/>`] : []),
+                '    </resource>'
+            ])
+        ];
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<manifest xmlns="${spec.manifestNamespace}" identifier="manifest-${crypto.randomUUID()}">`,
+            `  <metadata><schema>QTI Package</schema><schemaversion>${spec.schemaVersion}</schemaversion></metadata>`,
+            '  <organizations/>',
+            '  <resources>',
+            ...resources,
+            '  </resources>',
+            '</manifest>'
+        ].join('\n') + '\n';
+    }
+
+    // ------------------------------------------------------------------------
+    // Import
+    // ------------------------------------------------------------------------
+
+    /**
+     * Open a package and convert its items without touching disk. The caller
+     * validates each item's question before passing the accepted ones to
+     * importPackage.
+     * @param {Buffer} buffer - Package file contents
+     * @returns {Promise<{title: string|null, items: Array<{question: Object, image: string|null}>, warnings: string[], skipped: number, zip: JSZip}>}
+     *   `image` is the zip path of the item's image
+     */
+    async readPackage(buffer) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(buffer);
+        } catch {
+            throw makeError('Not a QTI package', 'error_invalid_qti_package');
+        }
+
+        // The manifest sits at the root, or in the one folder the zip was made from
+        const manifestPath = Object.keys(zip.files)
+            .filter(name => path.posix.basename(name) === MANIFEST_NAME)
+            .sort((a, b) => a.length - b.length)[0];
+        if (!manifestPath) {
+            throw makeError('Package has no imsmanifest.xml', 'error_invalid_qti_package');
+        }
+
+        const budget = { remaining: MAX_UNPACKED_BYTES };
+        const $manifest = cheerio.load(await this._readText(zip, manifestPath, budget), { xml: true });
+        const resources = $manifest('resource').map((_, element) => ({
+            type: $manifest(element).attr('type') || '',
+            file: resolveHref(manifestPath, $manifest(element).attr('href'))
+        })).get().filter(resource => resource.file && zip.file(resource.file));
+
+        let itemFiles = resources.filter(resource => resource.type.startsWith('imsqti_item_xml')).map(resource => resource.file);
+        if (itemFiles.length === 0) {
+            throw makeError('Package has no QTI items', 'error_invalid_qti_package');
+        }
+
+        // A test fixes the question order and names the assessment
+        let title = null;
+        const test = resources.find(resource => resource.type.startsWith('imsqti_test_xml'));
+        if (test) {
+            const $test = cheerio.load(await this._readText(zip, test.file, budget), { xml: true });
+            title = $test.root().children().first().attr('title')?.trim() || null;
+            const ordered = $test('assessmentItemRef, qti-assessment-item-ref')
+                .map((_, ref) => resolveHref(test.file, $test(ref).attr('href'))).get();
+            itemFiles = [...ordered.filter(file => itemFiles.includes(file)), ...itemFiles.filter(file => !ordered.includes(file))];
+        }
+
+        const items = [];
+        const warnings = [];
+        let skipped = 0;
+        for (const [index, file] of itemFiles.entries()) {
+            try {
+                items.push(this._parseItem(await this._readText(zip, file, budget), file));
+            } catch (error) {
+                if (error.messageKey) throw error;
+                warnings.push(`Question ${index + 1}: ${error.message}, skipped`);
+                skipped++;
+            }
+        }
+
+        this.logger.debug(`QTI import: ${items.length} items, ${skipped} skipped`);
+        return { title, items, warnings, skipped, zip };
+    }
+
+    /**
+     * Copy the images of accepted items into the uploads directory under fresh
+     * names and point their questions at them. An image that is not what its
+     * name claims is left out, with a warning; its question is kept.
+     * @param {{title: string|null, items: Array<{question: Object, image: string|null}>, zip: JSZip}} pkg - From readPackage, with validated questions
+     * @returns {Promise<{title: string|null, questions: Object[], mediaCount: number, warnings: string[]}>}
+     */
+    async importPackage({ title, items, zip }) {
+        const budget = { remaining: MAX_UNPACKED_BYTES };
+        // Package path -> upload path, or null for a rejected image
+        const written = new Map();
+        const warnings = [];
+
+        const questions = [];
+        for (const { question, image } of items) {
+            const entry = image && IMAGE_EXTENSIONS.has(path.extname(image).toLowerCase()) ? zip.file(image) : null;
+            if (entry && !written.has(image)) {
+                const data = await readZipEntry(entry, budget, 'error_invalid_qti_package');
+                if (matchesMediaName(data, image)) {
+                    // Same naming scheme as POST /upload
+                    const newName = `${Date.now()}-${crypto.randomBytes(16).toString('hex')}${path.extname(image).toLowerCase()}`;
+                    await fs.writeFile(path.join(this.uploadsDir, newName), data);
+                    written.set(image, `/uploads/${newName}`);
+                } else {
+                    warnings.push(`${image}: not a valid image, left out`);
+                    written.set(image, null);
+                }
+            }
+            questions.push(entry && written.get(image) ? { ...question, image: written.get(image) } : question);
+        }
+
+        const mediaCount = [...written.values()].filter(Boolean).length;
+        this.logger.info(`QTI package imported: ${questions.length} questions with ${mediaCount} images`);
+        return { title, questions, mediaCount, warnings };
+    }
+
+    /**
+     * Convert one assessmentItem
+     * @param {string} xml - Item file contents
+     * @param {string} file - Item path in the zip, for resolving its image
+     * @returns {{question: Object, image: string|null}}
+     * @throws {Error} For items Quizix has no counterpart for
+     */
+    _parseItem(xml, file) {
+        const $ = cheerio.load(xml, { xml: true });
+        const v3 = $('qti-assessment-item').length > 0;
+        const { tag, attr } = qtiNames(v3);
+        const item = $(tag('assessmentItem')).first();
+        if (item.length === 0) {
+            throw new Error('not a QTI item');
+        }
+
+        const body = item.find(tag('itemBody')).first();
+        const interactions = body.find('*').filter((_, element) => /(Interaction|-interaction)$/.test(element.tagName));
+        if (interactions.length !== 1) {
+            throw new Error(interactions.length === 0 ? 'item has no interaction' : 'items with several interactions are not supported');
+        }
+        const interaction = interactions.first();
+        const kind = v3 ? camel(interaction[0].tagName.replace(/^qti-/, '')) : interaction[0].tagName;
+
+        const responseId = interaction.attr(attr('responseIdentifier'));
+        const declaration = item.find(tag('responseDeclaration')).filter((_, element) => $(element).attr('identifier') === responseId).first();
+        const correct = declaration.find(`${tag('correctResponse')} ${tag('value')}`).map((_, value) => $(value).text().trim()).get();
+        const mapped = declaration.find(tag('mapEntry'))
+            .filter((_, entry) => Number($(entry).attr(attr('mappedValue'))) > 0)
+            .map((_, entry) => $(entry).attr(attr('mapKey'))).get();
+        const rightValues = correct.length > 0 ? correct : mapped;
+
+        const src = body.find('img').first().attr('src');
+        const image = src ? resolveHref(file, src) : null;
+
+        // Question text: the item body without the interaction's own markup
+        const text = this._bodyText($, body, interaction, tag('prompt'));
+        if (!text) {
+            throw new Error('question text is empty');
+        }
+
+        const choices = interaction.find(tag('simpleChoice')).map((_, choice) => ({
+            id: $(choice).attr('identifier'),
+            text: htmlToText($(choice).html())
+        })).get();
+        const options = choices.map(choice => choice.text);
+        const indexOf = id => choices.findIndex(choice => choice.id === id);
+
+        switch (kind) {
+            case 'choiceInteraction': {
+                const correctIndices = rightValues.map(indexOf).filter(i => i !== -1);
+                if (correctIndices.length === 0) throw new Error('no answer is marked right');
+                const single = declaration.attr('cardinality') === 'single';
+                const isTrueFalse = single && options.length === 2 &&
+                    options.map(option => option.toLowerCase()).sort().join() === 'false,true';
+                if (isTrueFalse) {
+                    return { question: { type: 'true-false', question: text, correctAnswer: options[correctIndices[0]].toLowerCase() === 'true' }, image };
+                }
+                return single
+                    ? { question: { type: 'multiple-choice', question: text, options, correctIndex: correctIndices[0] }, image }
+                    : { question: { type: 'multiple-correct', question: text, options, correctIndices }, image };
+            }
+            case 'orderInteraction': {
+                const correctOrder = rightValues.map(indexOf);
+                if (correctOrder.length !== options.length || correctOrder.includes(-1)) throw new Error('no correct order is given');
+                return { question: { type: 'ordering', question: text, options, correctOrder }, image };
+            }
+            case 'textEntryInteraction': {
+                const baseType = declaration.attr(attr('baseType'));
+                if (baseType === 'float' || baseType === 'integer') {
+                    const value = Number(rightValues[0]);
+                    if (rightValues.length === 0 || !Number.isFinite(value)) throw new Error('numeric answer is not a number');
+                    const equal = item.find(`${tag('responseProcessing')} ${tag('equal')}`).first();
+                    const tolerance = equal.attr(attr('toleranceMode')) === 'absolute'
+                        ? Math.abs(Number(String(equal.attr('tolerance')).trim().split(/\s+/)[0])) || 0
+                        : 0;
+                    return { question: { type: 'numeric', question: text, correctAnswer: value, tolerance }, image };
+                }
+                const acceptedAnswers = [...new Set([...correct, ...mapped].filter(Boolean))];
+                if (acceptedAnswers.length === 0) throw new Error('no accepted answer is given');
+                return { question: { type: 'text-input', question: text, acceptedAnswers }, image };
+            }
+            case 'extendedTextInteraction':
+                throw new Error('essay questions are not supported');
+            default:
+                throw new Error(`${kind} items are not supported`);
+        }
+    }
+
+    /**
+     * Plain text of an item body. Block interactions are replaced by their
+     * prompt; an inline text entry in a sentence becomes a `_____` blank.
+     * @param {Function} $ - Cheerio instance of the item
+     * @param {Object} body - itemBody selection
+     * @param {Object} interaction - The item's interaction
+     * @param {string} promptTag - Prompt element name in the item's version
+     * @returns {string}
+     */
+    _bodyText($, body, interaction, promptTag) {
+        const prompt = interaction.children(promptTag).first();
+        const parentText = interaction.parent().clone().children().remove().end().text().trim();
+        if (interaction.children().length === 0 && parentText) {
+            interaction.replaceWith('_____');
+        } else {
+            interaction.replaceWith(prompt.length > 0 ? `<p>${prompt.html()}</p>` : '');
+        }
+        body.find('img').remove();
+        body.find('*').filter((_, element) => /(feedbackInline|feedbackBlock|rubricBlock|feedback-inline|feedback-block|rubric-block)$/.test(element.tagName)).remove();
+        return htmlToText(body.html());
+    }
+
+    /**
+     * Read a UTF-8 text entry of the package
+     * @param {JSZip} zip
+     * @param {string} name - Entry path
+     * @param {{remaining: number}} budget - Bytes still allowed to unpack
+     * @returns {Promise<string>}
+     */
+    async _readText(zip, name, budget) {
+        const entry = zip.file(name);
+        if (!entry) {
+            throw makeError(`Package has no ${name}`, 'error_invalid_qti_package');
+        }
+        return (await readZipEntry(entry, budget, 'error_invalid_qti_package')).toString('utf8');
+    }
+}
+
+module.exports = { QtiPackageService, QTI_VERSIONS };
@@ -0,0 +1,269 @@
+/**
+ * Question Bank Service
+ *
+ * A searchable index of every question in the quizzes a user can see
+ * (MetadataService.isQuizVisibleToUser), so questions can be reused across
+ * quizzes instead of copy-pasted:
+ *
+ * - search: full text plus type, difficulty and concept filters
+ * - getQuestions: full copies of picked questions, for inserting in the editor
+ * - drawQuestions: N random questions per concept, resolved each time a quiz
+ *   with `settings.bankDraws` is started
+ *
+ * Questions are addressed by `<quiz filename>#<index>`. The index is kept in
+ * memory per quiz and rebuilt only when the quiz's modified time changes, so
+ * unchanged quizzes are not re-read on every search.
+ */
+
+const { COLLECTIONS } = require('./storage-adapter');
+const { shuffleWithMapping } = require('./game');
+const { summarizeQuiz } = require('./quiz-service');
+
+const DEFAULT_SEARCH_LIMIT = 50;
+
+// Longest question text returned in search results
+const PREVIEW_LENGTH = 300;
+
+function makeError(message, messageKey, status = 400) {
+    const err = new Error(message);
+    err.messageKey = messageKey;
+    err.status = status;
+    return err;
+}
+
+/**
+ * Case- and whitespace-insensitive form used for matching
+ * @param {*} value
+ * @returns {string}
+ */
+function normalize(value) {
+    return String(value ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Index entries for one quiz document
+ * @param {string} filename - Quiz filename
+ * @param {Object} quiz - Quiz document
+ * @returns {Object[]}
+ */
+function indexQuiz(filename, quiz) {
+    const questions = Array.isArray(quiz?.questions) ? quiz.questions : [];
+    return questions.map((question, index) => {
+        const concepts = Array.isArray(question.concepts) ? question.concepts.filter(Boolean).map(String) : [];
+        const answerText = [
+            ...(Array.isArray(question.options) ? question.options : []),
+            ...(Array.isArray(question.acceptedAnswers) ? question.acceptedAnswers : []),
+            ...(Array.isArray(question.pairs) ? question.pairs.flatMap(pair => [pair.left, pair.right]) : [])
+        ];
+        return {
+            ref: `${filename}#${index}`,
+            quizFilename: filename,
+            quizTitle: quiz.title || filename,
+            index,
+            question: String(question.question || '').slice(0, PREVIEW_LENGTH),
+            type: question.type || 'multiple-choice',
+            difficulty: question.difficulty || 'medium',
+            concepts,
+            searchText: normalize([question.question, question.explanation, ...answerText, ...concepts, quiz.title].join(' ')),
+            textKey: normalize(question.question)
+        };
+    });
+}
+
+/**
+ * Search result without the internal matching fields
+ * @param {Object} entry - Index entry
+ * @returns {Object}
+ */
+function publicEntry(entry) {
+    const { searchText: _searchText, textKey: _textKey, ...rest } = entry;
+    return rest;
+}
+
+/**
+ * Split a reference into quiz filename and question index
+ * @param {string} ref - `<quiz filename>#<index>`
+ * @returns {{filename: string, index: number}}
+ */
+function parseRef(ref) {
+    const match = /^([\w.-]+\.json)#(\d+)$/.exec(String(ref));
+    if (!match) {
+        throw makeError('Invalid question reference', 'error_invalid_question_ref');
+    }
+    return { filename: match[1], index: Number(match[2]) };
+}
+
+class QuestionBankService {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {StorageAdapter} storage - Where quizzes are kept
+     * @param {MetadataService} metadataService - Quiz visibility
+     */
+    constructor(logger, storage, metadataService) {
+        this.logger = logger;
+        this.storage = storage;
+        this.metadataService = metadataService;
+        // quiz filename -> { modified, entries }
+        this.index = new Map();
+    }
+
+    /**
+     * Index entries of every quiz visible to the user, refreshing quizzes
+     * that changed since they were last indexed
+     * @param {string|null} userId - Requesting account, null when anonymous
+     * @returns {Promise<Object[]>}
+     */
+    async _visibleEntries(userId) {
+        // Storage caches one summary per collection, so list with the same
+        // summarizer as QuizService; only the keys and modified times are used.
+        const listed = await this.storage.list(COLLECTIONS.QUIZZES, summarizeQuiz);
+        const current = new Set(listed.map(entry => entry.key));
+        for (const filename of this.index.keys()) {
+            if (!current.has(filename)) {
+                this.index.delete(filename);
+            }
+        }
+
+        const entries = [];
+        for (const { key, modified } of listed) {
+            if (!this.metadataService.isQuizVisibleToUser(key, userId)) continue;
+
+            const modifiedMs = new Date(modified).getTime();
+            let cached = this.index.get(key);
+            if (!cached || cached.modified !== modifiedMs) {
+                try {
+                    const quiz = await this.storage.read(COLLECTIONS.QUIZZES, key);
+                    cached = { modified: modifiedMs, entries: indexQuiz(key, quiz) };
+                    this.index.set(key, cached);
+                } catch (error) {
+                    this.logger.warn(`Question bank: skipping unreadable quiz ${key}: ${error.message}`);
+                    continue;
+                }
+            }
+            entries.push(...cached.entries);
+        }
+        return entries;
+    }
+
+    /**
+     * Search the questions visible to the user
+     * @param {string|null} userId - Requesting account, null when anonymous
+     * @param {Object} [filters]
+     * @param {string} [filters.q] - Words that must all appear (question, answers, explanation, concepts or quiz title)
+     * @param {string} [filters.type] - Question type
+     * @param {string} [filters.difficulty] - easy, medium or hard
+     * @param {string} [filters.concept] - Concept tag (case-insensitive)
+     * @param {number} [filters.limit=50] - Page size
+     * @param {number} [filters.offset=0] - Results to skip
+     * @returns {Promise<{total: number, items: Object[], concepts: string[]}>} Matching questions and every concept in the visible bank
+     */
+    async search(userId, filters = {}) {
+        const entries = await this._visibleEntries(userId);
+        const words = normalize(filters.q).split(' ').filter(Boolean);
+        const concept = normalize(filters.concept);
+
+        const matches = entries.filter(entry =>
+            (!filters.type || entry.type === filters.type) &&
+            (!filters.difficulty || entry.difficulty === filters.difficulty) &&
+            (!concept || entry.concepts.some(c => normalize(c) === concept)) &&
+            words.every(word => entry.searchText.includes(word))
+        );
+
+        const offset = filters.offset || 0;
+        const limit = filters.limit || DEFAULT_SEARCH_LIMIT;
+        return {
+            total: matches.length,
+            items: matches.slice(offset, offset + limit).map(publicEntry),
+            concepts: this._conceptNames(entries)
+        };
+    }
+
+    /**
+     * Distinct concept names, first spelling wins, sorted
+     * @param {Object[]} entries - Index entries
+     * @returns {string[]}
+     */
+    _conceptNames(entries) {
+        const names = new Map();
+        for (const entry of entries) {
+            for (const name of entry.concepts) {
+                const key = normalize(name);
+                if (key && !names.has(key)) names.set(key, name.trim());
+            }
+        }
+        return [...names.values()].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Full copies of referenced questions
+     * @param {string|null} userId - Requesting account, null when anonymous
+     * @param {string[]} refs - `<quiz filename>#<index>` references
+     * @returns {Promise<Object[]>} Questions in the order requested
+     */
+    async getQuestions(userId, refs) {
+        const quizzes = new Map();
+        const questions = [];
+
+        for (const ref of refs) {
+            const { filename, index } = parseRef(ref);
+            if (!this.metadataService.isQuizVisibleToUser(filename, userId)) {
+                throw makeError('You do not have access to this quiz', 'error_quiz_forbidden', 403);
+            }
+
+            if (!quizzes.has(filename)) {
+                quizzes.set(filename, await this.storage.read(COLLECTIONS.QUIZZES, filename));
+            }
+            const question = quizzes.get(filename)?.questions?.[index];
+            if (!question) {
+                throw makeError('Question not found', 'error_question_not_found', 404);
+            }
+            questions.push(JSON.parse(JSON.stringify(question)));
+        }
+
+        return questions;
+    }
+
+    /**
+     * Draw random questions per concept
+     * @param {string|null} userId - Requesting account, null when anonymous
+     * @param {Array<{concept: string, count: number, difficulty?: string}>} draws - Draw rules
+     * @param {string[]} [excludeTexts] - Question texts already in the quiz, never drawn again
+     * @returns {Promise<{questions: Object[], shortfalls: Array<{concept: string, requested: number, drawn: number}>}>}
+     *          Drawn questions, and the rules the bank had too few questions for
+     */
+    async drawQuestions(userId, draws, excludeTexts = []) {
+        const entries = await this._visibleEntries(userId);
+        const usedTexts = new Set(excludeTexts.map(normalize));
+        const refs = [];
+        const shortfalls = [];
+
+        for (const draw of draws) {
+            const concept = normalize(draw.concept);
+            const pool = entries.filter(entry =>
+                entry.concepts.some(c => normalize(c) === concept) &&
+                (!draw.difficulty || entry.difficulty === draw.difficulty) &&
+                !usedTexts.has(entry.textKey)
+            );
+
+            let drawn = 0;
+            for (const entry of shuffleWithMapping(pool).shuffled) {
+                if (drawn === draw.count) break;
+                // The same question can sit in several quizzes
+                if (usedTexts.has(entry.textKey)) continue;
+                usedTexts.add(entry.textKey);
+                refs.push(entry.ref);
+                drawn++;
+            }
+
+            if (drawn < draw.count) {
+                shortfalls.push({ concept: draw.concept, requested: draw.count, drawn });
+            }
+        }
+
+        const questions = await this.getQuestions(userId, refs);
+        this.logger.debug(`Question bank: drew ${questions.length} questions for ${draws.length} rules`);
+        return { questions, shortfalls };
+    }
+}
+
+module.exports = { QuestionBankService };
@@ -52,7 +52,13 @@ class QuestionFlowService {
 
         if (!submission.accepted) {
             this.logger.debug(`Answer submission not accepted (${submission.reason}) for ${socketId}`);
-            if (submission.reason === 'duplicate') {
+            if (submission.reason === 'retry') {
+                // Second chance: the wrong answer was not recorded, answer again
+                socket.emit('answer-retry', {
+                    pointsPercent: submission.pointsPercent,
+                    messageKey: 'second_chance_retry'
+                });
+            } else if (submission.reason === 'duplicate') {
                 // Echo the answer actually on record so a client that lost its
                 // local submitted-state (retry, double-tap, reconnect replay)
                 // re-renders the locked-in answer rather than what it just re-sent.
@@ -114,10 +120,19 @@ class QuestionFlowService {
 
         let connectedPlayers = 0;
         let answeredPlayers = 0;
+        // Players the early end waits for: everyone connected, except ghosts
+        // in elimination mode (Game.isAwaitingAnswer)
+        let awaitedPlayers = 0;
+        let awaitedAnswered = 0;
         game.players.forEach(player => {
             if (player.disconnected) return;
             connectedPlayers++;
-            if (player.answers[game.currentQuestion]) answeredPlayers++;
+            const answered = !!player.answers[game.currentQuestion];
+            if (answered) answeredPlayers++;
+            if (!game.isEliminationMode || game.isAwaitingAnswer(player)) {
+                awaitedPlayers++;
+                if (answered) awaitedAnswered++;
+            }
         });
 
         this.logger.debug(`Answer count: ${answeredPlayers}/${connectedPlayers} active players answered`);
@@ -127,7 +142,8 @@ class QuestionFlowService {
             io.to(game.hostId).emit('answer-count-update', {
                 answeredPlayers,
                 connectedPlayers,
-                totalPlayers: game.players.size
+                totalPlayers: game.players.size,
+                ...(game.isEliminationMode && { survivors: game.getSurvivors().length })
             });
         }
 
@@ -141,7 +157,7 @@ class QuestionFlowService {
         const rosterShrankWhilePending = game.disconnectEpoch !== game.answerCountArmEpoch;
 
         // If all active players answered, end question early (check flag to prevent duplicates)
-        if (answeredPlayers >= connectedPlayers && connectedPlayers > 0 &&
+        if (awaitedAnswered >= awaitedPlayers && awaitedPlayers > 0 &&
             !rosterShrankWhilePending && !game.endingQuestionEarly) {
             this.endQuestionEarly(game, io);
         }
@@ -209,6 +225,10 @@ class QuestionFlowService {
                 // Emit question timeout
                 io.to(`game-${game.pin}`).emit('question-timeout', correctAnswerData);
 
+                if (game.isEliminationMode) {
+                    this.gameSessionService.runEliminationPhase(game, io);
+                }
+
                 // Get and emit answer statistics to host (only if host connected)
                 if (game.hostId) {
                     const answerStats = game.getAnswerStatistics();
@@ -285,6 +305,16 @@ class QuestionFlowService {
                     .join(' → ');
                 break;
 
+            case 'text-input':
+                correctOption = (question.acceptedAnswers || []).join(' / ');
+                break;
+
+            case 'matching':
+                correctOption = (question.pairs || [])
+                    .map(pair => `${pair.left} → ${pair.right}`)
+                    .join(', ');
+                break;
+
             default:
                 correctOption = correctAnswer;
                 break;
@@ -310,6 +340,19 @@ class QuestionFlowService {
             data.correctOrder = question.correctOrder || [];
         }
 
+        // Text input has no single answer key: every accepted answer is shown
+        if (question.type === 'text-input') {
+            data.acceptedAnswers = question.acceptedAnswers || [];
+            data.correctAnswer = correctOption;
+        }
+
+        // Matching reveals every pair as text; the player's shuffled right
+        // column never needs mapping back
+        if (question.type === 'matching') {
+            data.pairs = question.pairs || [];
+            data.correctAnswer = correctOption;
+        }
+
         return data;
     }
 
@@ -349,6 +392,13 @@ class QuestionFlowService {
                 isCorrect: playerAnswer ? playerAnswer.isCorrect : false,
                 points: playerAnswer ? playerAnswer.points : 0,
                 partialScore: playerAnswer ? playerAnswer.partialScore : undefined,
+                skipped: playerAnswer?.skipped === true,
+                shielded: playerAnswer?.shielded === true,
+                streak: player.streak || 0,
+                ...(playerAnswer?.breakdown && { breakdown: playerAnswer.breakdown }),
+                ...(player.powerUps && { powerUps: player.powerUps }),
+                ...(playerAnswer?.ghost && { ghost: true }),
+                ...(game.isEliminationMode && { elimination: game.getEliminationState(player) }),
                 totalScore: player.score,
                 explanation: currentQuestion?.explanation || null,
                 questionType: correctAnswerData.questionType,
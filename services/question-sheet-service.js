@@ -0,0 +1,359 @@
+/**
+ * Question Sheet Service
+ *
+ * Deterministic import of questions from a spreadsheet laid out in the
+ * documented column template, one question per row, and export of a quiz in
+ * the same layout (which is also how the downloadable template is made).
+ * CSV arrives as text; the browser turns XLSX workbooks into CSV first.
+ *
+ * | Column       | Meaning                                                        |
+ * |--------------|----------------------------------------------------------------|
+ * | type         | Question type id; empty means multiple-choice                  |
+ * | question     | Question text (required)                                       |
+ * | option1..6   | Options; ordering options are listed in the right order        |
+ * | correct      | Option number or letter; several for multiple-correct          |
+ * |              | (`1;3`); true/false; the number; accepted answers (`a;b`)       |
+ * | tolerance    | Numeric questions: accepted distance from the answer           |
+ * | time         | Time limit in seconds                                          |
+ * | difficulty   | easy, medium or hard                                           |
+ * | concepts     | Concept tags, separated by `;`                                 |
+ * | explanation  | Shown after the question                                       |
+ * | image URL    | Question image                                                 |
+ *
+ * Headers are matched ignoring case, spaces and underscores, in any order.
+ * Each row is checked with QuestionTypeService's validation; rows that fail
+ * are skipped with a warning naming the spreadsheet row.
+ */
+
+const { QuestionTypeService } = require('./question-type-service');
+
+const COLUMNS = ['type', 'question', 'option1', 'option2', 'option3', 'option4', 'option5', 'option6',
+    'correct', 'tolerance', 'time', 'difficulty', 'concepts', 'explanation', 'image URL'];
+
+const MAX_OPTIONS = 6;
+
+// Matching pairs do not fit the one-cell-per-option layout
+const SHEET_TYPES = ['multiple-choice', 'multiple-correct', 'true-false', 'numeric', 'ordering', 'text-input'];
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MIN_TIME = 5;
+const MAX_TIME = 300;
+
+// Separates several values in one cell (accepted answers, concepts)
+const LIST_SEPARATOR = /\s*[;|]\s*/;
+
+const TRUE_WORDS = ['true', 't', 'yes', 'y', '1'];
+const FALSE_WORDS = ['false', 'f', 'no', 'n', '0'];
+
+// Leading characters a spreadsheet would run as a formula
+const FORMULA_START = /^[=+@\t\r]/;
+
+const TEMPLATE_QUIZ = {
+    title: 'Question template',
+    questions: [
+        { type: 'multiple-choice', question: 'What is the capital of France?', options: ['Berlin', 'Paris', 'Madrid', 'Rome'], correctIndex: 1, timeLimit: 20, difficulty: 'easy', concepts: ['Geography'], explanation: 'Paris has been the capital since 987.' },
+        { type: 'multiple-correct', question: 'Which of these are prime numbers?', options: ['2', '4', '5', '9'], correctIndices: [0, 2], timeLimit: 30, difficulty: 'medium', concepts: ['Primes', 'Number theory'] },
+        { type: 'true-false', question: 'Water boils at 100 °C at sea level.', correctAnswer: true, timeLimit: 15, difficulty: 'easy' },
+        { type: 'numeric', question: 'What is 7 × 8?', correctAnswer: 56, tolerance: 0, timeLimit: 20, difficulty: 'easy', concepts: ['Multiplication'] },
+        { type: 'ordering', question: 'Put the planets in order from the Sun', options: ['Mercury', 'Venus', 'Earth', 'Mars'], correctOrder: [0, 1, 2, 3], timeLimit: 40, difficulty: 'hard' },
+        { type: 'text-input', question: 'Which gas do plants absorb?', acceptedAnswers: ['carbon dioxide', 'CO2'], timeLimit: 30, difficulty: 'medium', concepts: ['Photosynthesis'] }
+    ]
+};
+
+function makeError(message, messageKey, status = 400) {
+    const err = new Error(message);
+    err.messageKey = messageKey;
+    err.status = status;
+    return err;
+}
+
+/**
+ * Header cell as a column key: lower case, no spaces or underscores
+ * @param {string} header
+ * @returns {string}
+ */
+function columnKey(header) {
+    return String(header || '').toLowerCase().replace(/[\s_]+/g, '');
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting). The delimiter is
+ * whichever of comma, semicolon or tab the header line uses most, since
+ * spreadsheets in many locales save with semicolons.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const headerLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+    );
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * One CSV cell, quoted when needed. Text a spreadsheet would treat as a
+ * formula is prefixed with an apostrophe, which import removes again.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (FORMULA_START.test(text)) text = `'${text}`;
+    return /[",;\n\r]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Option position from a `correct` cell: a 1-based number, a letter, or the
+ * option's own text
+ * @param {string} value
+ * @param {string[]} options
+ * @returns {number} Index, or -1
+ */
+function optionIndex(value, options) {
+    const text = value.trim();
+    if (/^\d+$/.test(text)) return Number(text) - 1;
+    if (/^[a-f]$/i.test(text)) return text.toLowerCase().charCodeAt(0) - 97;
+    return options.findIndex(option => option.toLowerCase() === text.toLowerCase());
+}
+
+/**
+ * Number from a cell, accepting a decimal comma
+ * @param {string} value
+ * @returns {number} NaN when the cell is not a number
+ */
+function sheetNumber(value) {
+    const text = value.trim();
+    if (text === '') return NaN;
+    return Number(/^-?\d+,\d+$/.test(text) ? text.replace(',', '.') : text);
+}
+
+class QuestionSheetService {
+    /**
+     * @param {Object} logger - Logger instance
+     */
+    constructor(logger) {
+        this.logger = logger;
+    }
+
+    /**
+     * Convert CSV in the column template into Quizix questions
+     * @param {string} text - CSV file contents
+     * @returns {{questions: Object[], warnings: string[], skipped: number}}
+     */
+    parseCsv(text) {
+        return this.parseRows(parseCsv(text));
+    }
+
+    /**
+     * Convert spreadsheet rows (the first one holding the headers) into
+     * Quizix questions
+     * @param {string[][]} rows
+     * @returns {{questions: Object[], warnings: string[], skipped: number}}
+     * @throws {Error} When there is no question column
+     */
+    parseRows(rows) {
+        const headers = (rows[0] || []).map(columnKey);
+        if (!headers.includes('question')) {
+            throw makeError('The sheet has no "question" column', 'error_invalid_question_sheet');
+        }
+
+        const questions = [];
+        const warnings = [];
+        let skipped = 0;
+        rows.slice(1).forEach((cells, index) => {
+            const row = {};
+            headers.forEach((header, column) => {
+                const value = String(cells[column] ?? '').trim();
+                row[header] = value.startsWith('\'') && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+            });
+            if (Object.values(row).every(value => value === '')) return;
+
+            // Spreadsheet row number: the header is row 1
+            const label = `Row ${index + 2}`;
+            try {
+                questions.push(this._rowQuestion(row));
+            } catch (error) {
+                warnings.push(`${label}: ${error.message}`);
+                skipped++;
+            }
+        });
+
+        this.logger.debug(`Question sheet import: ${questions.length} questions, ${skipped} skipped`);
+        return { questions, warnings, skipped };
+    }
+
+    /**
+     * Convert one row
+     * @param {Object<string, string>} row - Cells by column key
+     * @returns {Object}
+     * @throws {Error} Naming what is wrong with the row
+     */
+    _rowQuestion(row) {
+        const type = (row.type || 'multiple-choice').toLowerCase();
+        if (!SHEET_TYPES.includes(type)) {
+            throw new Error(`unknown question type "${row.type}" (use ${SHEET_TYPES.join(', ')})`);
+        }
+        if (!row.question) {
+            throw new Error('question text is empty');
+        }
+
+        const question = { type, question: row.question };
+        const options = Array.from({ length: MAX_OPTIONS }, (_, i) => row[`option${i + 1}`] || '').filter(Boolean);
+        const correct = row.correct || '';
+
+        switch (type) {
+            case 'multiple-choice':
+                question.options = options;
+                question.correctIndex = correct ? optionIndex(correct, options) : -1;
+                break;
+            case 'multiple-correct':
+                question.options = options;
+                question.correctIndices = correct.split(/[\s;|,]+/).filter(Boolean).map(value => optionIndex(value, options));
+                break;
+            case 'true-false': {
+                const word = correct.toLowerCase();
+                question.correctAnswer = TRUE_WORDS.includes(word) ? true : (FALSE_WORDS.includes(word) ? false : undefined);
+                break;
+            }
+            case 'numeric':
+                question.correctAnswer = sheetNumber(correct);
+                if (row.tolerance) question.tolerance = sheetNumber(row.tolerance);
+                break;
+            case 'ordering':
+                question.options = options;
+                question.correctOrder = options.map((_, i) => i);
+                break;
+            case 'text-input':
+                question.acceptedAnswers = correct.split(LIST_SEPARATOR).filter(Boolean);
+                break;
+        }
+
+        const validation = QuestionTypeService.validate(type, question);
+        if (!validation.valid) {
+            throw new Error(validation.error);
+        }
+
+        if (row.time) {
+            const time = sheetNumber(row.time);
+            if (!Number.isInteger(time) || time < MIN_TIME || time > MAX_TIME) {
+                throw new Error(`time must be a whole number of seconds from ${MIN_TIME} to ${MAX_TIME}`);
+            }
+            question.timeLimit = time;
+        }
+        if (row.difficulty) {
+            const difficulty = row.difficulty.toLowerCase();
+            if (!DIFFICULTIES.includes(difficulty)) {
+                throw new Error(`difficulty must be ${DIFFICULTIES.join(', ')}`);
+            }
+            question.difficulty = difficulty;
+        }
+        if (row.concepts) question.concepts = row.concepts.split(LIST_SEPARATOR).filter(Boolean);
+        if (row.explanation) question.explanation = row.explanation;
+        if (row.imageurl || row.image) question.image = row.imageurl || row.image;
+        return question;
+    }
+
+    /**
+     * Write a quiz's questions in the column template
+     * @param {{title: string, questions: Object[]}} quiz
+     * @returns {{content: string, warnings: string[]}}
+     */
+    toCsv(quiz) {
+        const warnings = [];
+        const lines = [COLUMNS.map(csvCell).join(',')];
+
+        quiz.questions.forEach((question, index) => {
+            const type = question.type || 'multiple-choice';
+            if (!SHEET_TYPES.includes(type) || question.isPoll) {
+                warnings.push(`Question ${index + 1}: ${question.isPoll ? 'poll' : type} questions do not fit the sheet layout, skipped`);
+                return;
+            }
+
+            let options = question.options || [];
+            let correct = '';
+            switch (type) {
+                case 'multiple-choice':
+                    correct = (question.correctIndex ?? question.correctAnswer) + 1;
+                    break;
+                case 'multiple-correct':
+                    correct = (question.correctIndices ?? question.correctAnswers ?? []).map(i => i + 1).join(';');
+                    break;
+                case 'true-false':
+                    correct = question.correctAnswer === true || question.correctAnswer === 'true' ? 'true' : 'false';
+                    break;
+                case 'numeric':
+                    correct = question.correctAnswer;
+                    break;
+                case 'ordering':
+                    options = (question.correctOrder || []).map(i => options[i]);
+                    break;
+                case 'text-input':
+                    correct = question.acceptedAnswers.join(';');
+                    break;
+            }
+
+            const cells = [
+                type,
+                question.question,
+                ...Array.from({ length: MAX_OPTIONS }, (_, i) => options[i] ?? ''),
+                correct,
+                type === 'numeric' ? (question.tolerance ?? '') : '',
+                question.timeLimit ?? '',
+                question.difficulty ?? '',
+                (question.concepts || []).join(';'),
+                question.explanation ?? '',
+                question.image ?? ''
+            ];
+            lines.push(cells.map(csvCell).join(','));
+        });
+
+        return { content: `\uFEFF${lines.join('\r\n')}\r\n`, warnings };
+    }
+
+    /**
+     * The column template with one example row per question type
+     * @returns {string} CSV text
+     */
+    template() {
+        return this.toCsv(TEMPLATE_QUIZ).content;
+    }
+}
+
+module.exports = { QuestionSheetService, COLUMNS };
@@ -20,6 +20,47 @@ const logger = {
     }
 };
 
+/** Largest edit distance a text-input question may tolerate */
+const MAX_FUZZY_THRESHOLD = 3;
+
+/**
+ * Normalize free text for comparison: case, accents and whitespace are ignored
+ * @param {*} text - Raw text
+ * @returns {string} Normalized text ('' for non-strings)
+ */
+function normalizeText(text) {
+    if (typeof text !== 'string') return '';
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Minimum number of single-character edits
+ */
+function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
 /**
  * Question type definitions (validation and scoring only)
  */
@@ -279,6 +320,157 @@ const QUESTION_TYPES = {
                 total: answers.length
             };
         }
+    },
+
+    'text-input': {
+        validate: (data) => {
+            if (!Array.isArray(data.acceptedAnswers)) {
+                return { valid: false, error: 'Accepted answers must be an array' };
+            }
+            if (!data.acceptedAnswers.some(answer => normalizeText(answer) !== '')) {
+                return { valid: false, error: 'At least one accepted answer required' };
+            }
+            const threshold = data.fuzzyThreshold;
+            if (threshold !== undefined &&
+                (!Number.isInteger(threshold) || threshold < 0 || threshold > MAX_FUZZY_THRESHOLD)) {
+                return { valid: false, error: `Fuzzy threshold must be an integer from 0 to ${MAX_FUZZY_THRESHOLD}` };
+            }
+            return { valid: true };
+        },
+
+        /**
+         * Match against every accepted answer after normalization. With a
+         * fuzzy threshold, answers within that many edits also count.
+         */
+        scoreAnswer: (playerAnswer, acceptedAnswers, fuzzyThreshold = 0) => {
+            const answer = normalizeText(playerAnswer);
+            if (!answer || !Array.isArray(acceptedAnswers)) {
+                return false;
+            }
+            const threshold = Math.min(Math.max(parseInt(fuzzyThreshold, 10) || 0, 0), MAX_FUZZY_THRESHOLD);
+            return acceptedAnswers.some(accepted => {
+                const target = normalizeText(accepted);
+                if (!target) return false;
+                if (target === answer) return true;
+                return threshold > 0 && editDistance(answer, target) <= threshold;
+            });
+        },
+
+        normalizeAnswer: (answer) => normalizeText(answer),
+
+        /**
+         * Word-cloud statistics: answers grouped by normalized text, labelled
+         * with the first spelling submitted, most frequent first
+         */
+        buildStatistics: (answers, question) => {
+            const groups = new Map();
+            answers.forEach(answer => {
+                const key = normalizeText(answer);
+                if (!key) return;
+                const group = groups.get(key);
+                if (group) {
+                    group.count++;
+                } else {
+                    groups.set(key, { text: String(answer).trim(), count: 1 });
+                }
+            });
+
+            const acceptedAnswers = question.acceptedAnswers || [];
+            const threshold = question.fuzzyThreshold || 0;
+            const words = Array.from(groups.values())
+                .map(word => ({
+                    ...word,
+                    correct: QUESTION_TYPES['text-input'].scoreAnswer(word.text, acceptedAnswers, threshold)
+                }))
+                .sort((a, b) => b.count - a.count);
+
+            return {
+                type: 'word-cloud',
+                words,
+                correctCount: words.filter(w => w.correct).reduce((sum, w) => sum + w.count, 0),
+                total: answers.length
+            };
+        }
+    },
+
+    'matching': {
+        validate: (data) => {
+            if (!Array.isArray(data.pairs)) {
+                return { valid: false, error: 'Pairs must be an array' };
+            }
+            if (data.pairs.length < 2) {
+                return { valid: false, error: 'At least 2 pairs required for matching' };
+            }
+            const complete = data.pairs.every(pair =>
+                normalizeText(pair?.left) !== '' && normalizeText(pair?.right) !== '');
+            if (!complete) {
+                return { valid: false, error: 'Every pair needs a left and a right item' };
+            }
+            const rights = data.pairs.map(pair => normalizeText(pair.right));
+            if (new Set(rights).size !== rights.length) {
+                return { valid: false, error: 'Right items must be unique' };
+            }
+            return { valid: true };
+        },
+
+        /**
+         * Score matching question with partial credit. The answer lists, for
+         * each left item, the index of the right item it was paired with.
+         * Returns the fraction of pairs matched correctly (0-1).
+         */
+        scoreAnswer: (playerMatches, correctMatches) => {
+            if (!Array.isArray(playerMatches) || !Array.isArray(correctMatches)) {
+                return 0;
+            }
+            if (playerMatches.length !== correctMatches.length || correctMatches.length === 0) {
+                return 0;
+            }
+
+            let correctPairs = 0;
+            for (let i = 0; i < playerMatches.length; i++) {
+                if (playerMatches[i] === correctMatches[i]) {
+                    correctPairs++;
+                }
+            }
+            return correctPairs / correctMatches.length;
+        },
+
+        normalizeAnswer: (answer) => {
+            if (!Array.isArray(answer)) return [];
+            return answer.map(a => typeof a === 'string' ? parseInt(a, 10) : a);
+        },
+
+        /**
+         * Per-pair statistics: how many players matched each left item to its
+         * right item. Right item i is the partner of left item i.
+         */
+        buildStatistics: (answers, question) => {
+            const pairCount = (question.pairs || []).length;
+            const pairCorrect = new Array(pairCount).fill(0);
+            let fullyCorrect = 0;
+            let scoreSum = 0;
+
+            answers.forEach(matches => {
+                if (!Array.isArray(matches)) return;
+                let correctPairs = 0;
+                for (let i = 0; i < pairCount; i++) {
+                    if (matches[i] === i) {
+                        pairCorrect[i]++;
+                        correctPairs++;
+                    }
+                }
+                if (pairCount > 0 && correctPairs === pairCount) fullyCorrect++;
+                scoreSum += pairCount > 0 ? correctPairs / pairCount : 0;
+            });
+
+            return {
+                type: 'matching',
+                pairCorrect,
+                fullyCorrect,
+                averageScore: answers.length > 0 ? scoreSum / answers.length : 0,
+                total: answers.length
+            };
+        }
     }
 };
 
@@ -327,7 +519,7 @@ class QuestionTypeService {
    * @param {*} playerAnswer - Player's answer
    * @param {*} correctAnswer - Correct answer
    * @param {Object} options - Additional options (e.g., tolerance for numeric)
-   * @returns {boolean|number} True/false for exact scoring, 0-1 for partial credit (ordering)
+   * @returns {boolean|number} True/false for exact scoring, 0-1 for partial credit (ordering, matching)
    */
     static scoreAnswer(typeId, playerAnswer, correctAnswer, options = {}) {
         try {
@@ -338,6 +530,11 @@ class QuestionTypeService {
                 return type.scoreAnswer(playerAnswer, correctAnswer, options.tolerance);
             }
 
+            // For text-input questions, pass the fuzzy edit-distance threshold
+            if (typeId === 'text-input') {
+                return type.scoreAnswer(playerAnswer, correctAnswer, options.fuzzyThreshold);
+            }
+
             // For ordering questions, pass options (currently unused but future-proof)
             if (typeId === 'ordering') {
                 return type.scoreAnswer(playerAnswer, correctAnswer, options);
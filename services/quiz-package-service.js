@@ -0,0 +1,243 @@
+/**
+ * Quiz Package Service
+ *
+ * `.quizix` packages move a quiz between servers together with its media.
+ * A package is a zip archive:
+ *
+ *   manifest.json  — format name and version, title, media list
+ *   quiz.json      — { title, questions, settings }
+ *   media/<name>   — every upload the quiz references (images, Manim videos)
+ *
+ * Media are found the same way as in UploadGCService: by scanning the quiz's
+ * JSON text for `/uploads/<filename>` storage paths, which covers every field
+ * that can hold one. On import each file is written to the uploads directory
+ * under a fresh name and the quiz's paths are rewritten to match, so importing
+ * never overwrites an existing upload. A file whose content does not match its
+ * extension (see utils/media-signature.js) is left out, like POST /upload
+ * refuses it.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { UPLOAD_REF_REGEX } = require('./upload-gc-service');
+const { matchesMediaName } = require('../utils/media-signature');
+
+const PACKAGE_FORMAT = 'quizix';
+const PACKAGE_VERSION = 1;
+const PACKAGE_EXTENSION = '.quizix';
+
+// Largest accepted package file, and the most its contents may unpack to
+const MAX_PACKAGE_BYTES = 100 * 1024 * 1024;
+const MAX_UNPACKED_BYTES = 200 * 1024 * 1024;
+const MAX_QUIZ_JSON_BYTES = 10 * 1024 * 1024;
+
+// What uploads can be: images from POST /upload, videos from Manim renders
+const MEDIA_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.mp4', '.webm']);
+
+function makeError(message, messageKey, status = 400) {
+    const err = new Error(message);
+    err.messageKey = messageKey;
+    err.status = status;
+    return err;
+}
+
+/**
+ * Can this upload filename travel in a package? Rejects dotfiles (and so
+ * `..`) and anything that is not image or video media.
+ * @param {string} name - Filename from an `/uploads/` path
+ * @returns {boolean}
+ */
+function isMediaName(name) {
+    return !name.startsWith('.') && MEDIA_EXTENSIONS.has(path.extname(name).toLowerCase());
+}
+
+/**
+ * Distinct packable upload filenames referenced by a quiz
+ * @param {Object} quiz
+ * @returns {string[]}
+ */
+function referencedMedia(quiz) {
+    const names = new Set();
+    for (const match of JSON.stringify(quiz).matchAll(UPLOAD_REF_REGEX)) {
+        if (isMediaName(match[1])) names.add(match[1]);
+    }
+    return [...names];
+}
+
+/**
+ * Unpack one zip entry, stopping as soon as it exceeds the budget so a
+ * small archive cannot inflate into an unbounded buffer
+ * @param {Object} entry - JSZip file object
+ * @param {{remaining: number}} budget - Bytes still allowed; reduced by the entry's size
+ * @param {string} [invalidMessageKey='error_invalid_package'] - Reported when the entry is damaged
+ * @returns {Promise<Buffer>}
+ */
+function readZipEntry(entry, budget, invalidMessageKey = 'error_invalid_package') {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const stream = entry.nodeStream('nodebuffer');
+        stream.on('data', chunk => {
+            budget.remaining -= chunk.length;
+            if (budget.remaining < 0) {
+                stream.destroy();
+                reject(makeError('Package contents are too large', 'error_package_too_large', 413));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('error', () => reject(makeError('Package is damaged', invalidMessageKey)));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+}
+
+/**
+ * Download filename for a quiz title
+ * @param {string} title
+ * @returns {string}
+ */
+function packageFilename(title) {
+    const base = String(title || '').replace(/[^a-z0-9]/gi, '_').toLowerCase() || 'quiz';
+    return `${base}${PACKAGE_EXTENSION}`;
+}
+
+class QuizPackageService {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {Object} [options]
+     * @param {string} [options.uploadsDir] - Where uploads are served from (default public/uploads)
+     */
+    constructor(logger, options = {}) {
+        this.logger = logger;
+        this.uploadsDir = options.uploadsDir || path.join(__dirname, '..', 'public', 'uploads');
+    }
+
+    /**
+     * Build a package from a quiz. Referenced uploads missing from disk are
+     * left out and listed in the manifest instead of failing the export.
+     * @param {Object} quiz - { title, questions, settings }
+     * @returns {Promise<{buffer: Buffer, filename: string, mediaCount: number, missingMedia: string[]}>}
+     */
+    async exportPackage(quiz) {
+        const content = { title: quiz.title, questions: quiz.questions, settings: quiz.settings || {} };
+        const zip = new JSZip();
+        const media = [];
+        const missingMedia = [];
+
+        for (const name of referencedMedia(content)) {
+            try {
+                const data = await fs.readFile(path.join(this.uploadsDir, name));
+                zip.file(`media/${name}`, data);
+                media.push({ path: `/uploads/${name}`, file: `media/${name}`, size: data.length });
+            } catch (error) {
+                this.logger.warn(`Quiz package: upload ${name} not found, exporting without it: ${error.message}`);
+                missingMedia.push(`/uploads/${name}`);
+            }
+        }
+
+        const manifest = {
+            format: PACKAGE_FORMAT,
+            formatVersion: PACKAGE_VERSION,
+            exportedAt: new Date().toISOString(),
+            title: content.title,
+            questionCount: content.questions.length,
+            media,
+            missingMedia
+        };
+        zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+        zip.file('quiz.json', JSON.stringify(content, null, 2));
+
+        const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+        this.logger.info(`Quiz package exported: "${content.title}" with ${media.length} media files (${buffer.length} bytes)`);
+        return { buffer, filename: packageFilename(content.title), mediaCount: media.length, missingMedia };
+    }
+
+    /**
+     * Open a package and read its manifest and quiz without touching disk.
+     * The caller validates `quiz` before passing the package to importPackage.
+     * @param {Buffer} buffer - Package file contents
+     * @returns {Promise<{manifest: Object, quiz: Object, zip: JSZip}>}
+     */
+    async readPackage(buffer) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(buffer);
+        } catch {
+            throw makeError('Not a quiz package', 'error_invalid_package');
+        }
+
+        const budget = { remaining: MAX_UNPACKED_BYTES };
+        const manifest = await this._readJson(zip, 'manifest.json', budget);
+        if (manifest?.format !== PACKAGE_FORMAT || !Number.isInteger(manifest.formatVersion)) {
+            throw makeError('Not a quiz package', 'error_invalid_package');
+        }
+        if (manifest.formatVersion > PACKAGE_VERSION) {
+            throw makeError(`Package format version ${manifest.formatVersion} is newer than this server supports`, 'error_package_version_unsupported');
+        }
+
+        const quiz = await this._readJson(zip, 'quiz.json', { remaining: Math.min(MAX_QUIZ_JSON_BYTES, budget.remaining) });
+        return { manifest, quiz, zip };
+    }
+
+    /**
+     * Copy a package's media into the uploads directory under fresh names and
+     * point the quiz at them. Paths whose file is not in the package, or is not
+     * the image or video its name claims, are kept.
+     * @param {{quiz: Object, zip: JSZip}} pkg - From readPackage, with a validated quiz
+     * @returns {Promise<{quiz: Object, mediaCount: number, missingMedia: string[], rejectedMedia: string[]}>}
+     */
+    async importPackage({ quiz, zip }) {
+        const budget = { remaining: MAX_UNPACKED_BYTES };
+        const renamed = new Map();
+        const missingMedia = [];
+        const rejectedMedia = [];
+
+        for (const name of referencedMedia(quiz)) {
+            const entry = zip.file(`media/${name}`);
+            if (!entry) {
+                missingMedia.push(`/uploads/${name}`);
+                continue;
+            }
+            const data = await readZipEntry(entry, budget);
+            if (!matchesMediaName(data, name)) {
+                this.logger.warn(`Quiz package import: media/${name} is not the media its name claims, skipped`);
+                rejectedMedia.push(`/uploads/${name}`);
+                continue;
+            }
+            // Same naming scheme as POST /upload
+            const newName = `${Date.now()}-${crypto.randomBytes(16).toString('hex')}${path.extname(name).toLowerCase()}`;
+            await fs.writeFile(path.join(this.uploadsDir, newName), data);
+            renamed.set(name, newName);
+        }
+
+        const text = JSON.stringify(quiz).replace(UPLOAD_REF_REGEX, (match, name) =>
+            renamed.has(name) ? `/uploads/${renamed.get(name)}` : match
+        );
+
+        this.logger.info(`Quiz package imported: "${quiz.title}" with ${renamed.size} media files`);
+        return { quiz: JSON.parse(text), mediaCount: renamed.size, missingMedia, rejectedMedia };
+    }
+
+    /**
+     * Parse a JSON entry of the package
+     * @param {JSZip} zip
+     * @param {string} name - Entry name
+     * @param {{remaining: number}} budget - Bytes still allowed to unpack
+     * @returns {Promise<Object>}
+     */
+    async _readJson(zip, name, budget) {
+        const entry = zip.file(name);
+        if (!entry) {
+            throw makeError(`Package has no ${name}`, 'error_invalid_package');
+        }
+        try {
+            return JSON.parse((await readZipEntry(entry, budget)).toString('utf8'));
+        } catch (error) {
+            if (error.messageKey) throw error;
+            throw makeError(`Package ${name} is not valid JSON`, 'error_invalid_package');
+        }
+    }
+}
+
+module.exports = { QuizPackageService, MAX_PACKAGE_BYTES, MAX_UNPACKED_BYTES, PACKAGE_VERSION, readZipEntry };
@@ -4,21 +4,34 @@
  * Extracted from server.js for better organization
  */
 
-const fs = require('fs').promises;
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const { atomicWriteFile } = require('./atomic-write');
+const { COLLECTIONS } = require('./storage-adapter');
+const { resolveStorage } = require('./file-storage-adapter');
+
+/**
+ * Listing entry for a quiz document
+ * @param {Object} data - Quiz document
+ * @returns {Object} Summary without the question bodies
+ */
+function summarizeQuiz(data) {
+    return {
+        title: data.title,
+        questionCount: data.questions.length,
+        created: data.created,
+        id: data.id
+    };
+}
 
 class QuizService {
-    constructor(logger, wslMonitor, quizzesDir = 'quizzes') {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {Object} wslMonitor - WSL file-operation monitor
+     * @param {StorageAdapter|string} [storage='quizzes'] - Storage adapter, or a quiz directory for the file backend
+     */
+    constructor(logger, wslMonitor, storage = 'quizzes') {
         this.logger = logger;
         this.wslMonitor = wslMonitor;
-        this.quizzesDir = quizzesDir;
-
-        // mtime-keyed cache for listQuizzes: filename -> { mtimeMs, entry }.
-        // Avoids re-reading + re-parsing every quiz file on each request when
-        // the file has not changed on disk (external edits are respected via mtime).
-        this.listCache = new Map();
+        this.storage = resolveStorage(storage, logger);
     }
 
     /**
@@ -109,15 +122,13 @@ class QuizService {
             this.logger.info(`Overwriting existing file: ${existingFilename}`);
         }
 
-        // Determine filename: reuse existing if valid and the file exists, otherwise generate new
+        // Determine filename: reuse existing if valid and the quiz exists, otherwise generate new
         let filename;
         if (existingFilename && this.validateFilename(existingFilename) && existingFilename.endsWith('.json')) {
-            const existingPath = path.join(this.quizzesDir, existingFilename);
-            try {
-                await fs.access(existingPath);
+            if (await this.storage.exists(COLLECTIONS.QUIZZES, existingFilename)) {
                 filename = existingFilename;
-            } catch {
-                // File doesn't exist on disk, generate a new name
+            } else {
+                // Quiz doesn't exist in storage, generate a new name
                 const safeTitle = title.replace(/[^a-z0-9\-_]/gi, '_').toLowerCase().substring(0, 50);
                 filename = `${safeTitle}_${Date.now()}.json`;
             }
@@ -130,8 +141,7 @@ class QuizService {
         let quizData;
         if (existingFilename && filename === existingFilename) {
             try {
-                const existingContent = await fs.readFile(path.join(this.quizzesDir, filename), 'utf8');
-                const existing = JSON.parse(existingContent);
+                const existing = await this.storage.read(COLLECTIONS.QUIZZES, filename);
                 quizData = {
                     title,
                     questions,
@@ -147,12 +157,9 @@ class QuizService {
             quizData = { title, questions, ...(settings && { settings }), created: new Date().toISOString(), id: uuidv4() };
         }
 
-        // Write file with WSL performance monitoring
+        // Write with WSL performance monitoring
         await this.wslMonitor.trackFileOperation(
-            () => atomicWriteFile(
-                path.join(this.quizzesDir, filename),
-                JSON.stringify(quizData, null, 2)
-            ),
+            () => this.storage.write(COLLECTIONS.QUIZZES, filename, quizData),
             `Quiz save: ${filename}`
         );
 
@@ -170,84 +177,43 @@ class QuizService {
      * List all quizzes
      */
     async listQuizzes() {
-        // Read directory with WSL performance monitoring.
-        // Exclude metadata + users files so they don't generate parse-error log noise.
-        const files = (await this.wslMonitor.trackFileOperation(
-            () => fs.readdir(this.quizzesDir),
+        // Storage caches each summary until the quiz changes, so unchanged
+        // quizzes are not re-read + re-parsed on every request.
+        const entries = await this.wslMonitor.trackFileOperation(
+            () => this.storage.list(COLLECTIONS.QUIZZES, summarizeQuiz),
             'Quiz directory listing'
-        )).filter(f => f.endsWith('.json') && f !== 'quiz-metadata.json' && f !== 'users.json');
-
-        // Evict cache entries for files that no longer exist on disk
-        const currentFiles = new Set(files);
-        for (const key of this.listCache.keys()) {
-            if (!currentFiles.has(key)) {
-                this.listCache.delete(key);
-            }
-        }
-
-        // Process files in parallel. Stat each file (cheap) and only re-read +
-        // re-parse when its mtime differs from the cached entry.
-        const quizPromises = files.map(async (file) => {
-            const filePath = path.join(this.quizzesDir, file);
-            try {
-                const stats = await fs.stat(filePath);
-                const cached = this.listCache.get(file);
-                if (cached && cached.mtimeMs === stats.mtimeMs) {
-                    return cached.entry;
-                }
-
-                const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
-                const entry = {
-                    filename: file,
-                    title: data.title,
-                    questionCount: data.questions.length,
-                    created: data.created,
-                    id: data.id
-                };
-                this.listCache.set(file, { mtimeMs: stats.mtimeMs, entry });
-                return entry;
-            } catch (err) {
-                this.logger.error('Error reading quiz file:', file, err);
-                this.listCache.delete(file);
-                return null;
-            }
-        });
+        );
 
-        const quizzes = (await Promise.all(quizPromises)).filter(Boolean);
-        this.logger.debug(`Loaded ${quizzes.length} quizzes from ${files.length} files`);
+        const quizzes = entries.map(({ key, summary }) => ({ filename: key, ...summary }));
+        this.logger.debug(`Loaded ${quizzes.length} quizzes`);
 
         return quizzes;
     }
 
     /**
-     * Validate filename and resolve the full path, throwing on invalid input
+     * Validate a quiz filename and check the quiz exists, throwing on either
      * @param {string} filename - Filename to validate
-     * @returns {string} Resolved file path
      */
-    resolveQuizPath(filename) {
+    async assertQuizExists(filename) {
         if (!this.validateFilename(filename) || !filename.endsWith('.json')) {
             const err = new Error('Invalid filename');
             err.messageKey = 'error_invalid_filename';
             throw err;
         }
-        return path.join(this.quizzesDir, filename);
-    }
 
-    /**
-     * Load a specific quiz
-     */
-    async loadQuiz(filename) {
-        const filePath = this.resolveQuizPath(filename);
-
-        try {
-            await fs.access(filePath);
-        } catch {
+        if (!(await this.storage.exists(COLLECTIONS.QUIZZES, filename))) {
             const err = new Error('Quiz not found');
             err.messageKey = 'error_quiz_not_found';
             throw err;
         }
+    }
 
-        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    /**
+     * Load a specific quiz
+     */
+    async loadQuiz(filename) {
+        await this.assertQuizExists(filename);
+        return this.storage.read(COLLECTIONS.QUIZZES, filename);
     }
 
     /**
@@ -264,12 +230,12 @@ class QuizService {
      * @returns {Promise<string>} - Possibly modified title
      */
     async _resolveNameConflict(title, scopedFilenames) {
-        // Reuse the mtime-cached listing instead of re-reading every quiz file.
+        // Reuse the cached listing instead of re-reading every quiz.
         let quizzes;
         try {
             quizzes = await this.listQuizzes();
         } catch {
-            // If we can't read the directory, skip conflict checking
+            // If we can't list quizzes, skip conflict checking
             return title;
         }
 
@@ -313,21 +279,13 @@ class QuizService {
     }
 
     /**
-     * Delete a quiz file
+     * Delete a quiz
      */
     async deleteQuiz(filename) {
-        const filePath = this.resolveQuizPath(filename);
-
-        try {
-            await fs.access(filePath);
-        } catch {
-            const err = new Error('Quiz not found');
-            err.messageKey = 'error_quiz_not_found';
-            throw err;
-        }
+        await this.assertQuizExists(filename);
 
         await this.wslMonitor.trackFileOperation(
-            () => fs.unlink(filePath),
+            () => this.storage.remove(COLLECTIONS.QUIZZES, filename),
             `Quiz delete: ${filename}`
         );
 
@@ -336,4 +294,4 @@ class QuizService {
     }
 }
 
-module.exports = { QuizService };
+module.exports = { QuizService, summarizeQuiz };
@@ -4,15 +4,183 @@
  * Extracted from server.js for better organization
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const { atomicWriteFile } = require('./atomic-write');
+const JSZip = require('jszip');
 const { ScoringService } = require('./scoring-service');
+const { COLLECTIONS } = require('./storage-adapter');
+const { resolveStorage } = require('./file-storage-adapter');
+const { buildWorkbook } = require('../utils/xlsx-writer');
+const { PdfDocument } = require('../utils/pdf-writer');
+
+// Formats exportResults() writes; `type` (analytics/simple) only shapes CSV
+const EXPORT_FORMATS = {
+    csv: 'text/csv',
+    json: 'application/json',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pdf: 'application/pdf'
+};
+
+// Formats of per-player report cards
+const REPORT_FORMATS = {
+    html: 'text/html; charset=utf-8',
+    pdf: 'application/pdf'
+};
+
+// Concepts below this mastery (%) are suggested for review on a report card,
+// the point where the end screen's mastery bars turn from "good" to "fair"
+const REVIEW_MASTERY = 60;
+
+const HTML_ENTITIES = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&#39;' };
+
+// Report card page style: standalone, so a saved file needs nothing from the app
+const REPORT_CARD_CSS = `
+body { margin: 0 auto; max-width: 52rem; padding: 1.5rem; color: #1f2937; background: #fff;
+    font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; line-height: 1.45; }
+h1 { margin: 0; font-size: 1.5rem; }
+h2 { margin: 1.75rem 0 0.5rem; font-size: 1.15rem; }
+.meta { margin: 0.25rem 0 1rem; color: #6b7280; }
+.stats { display: flex; flex-wrap: wrap; gap: 0.75rem; }
+.stat { flex: 1 1 8rem; padding: 0.6rem 0.8rem; border: 1px solid #e5e7eb; border-radius: 8px; }
+.stat strong { display: block; font-size: 1.3rem; }
+table { width: 100%; border-collapse: collapse; font-size: 0.92rem; }
+th, td { padding: 0.4rem 0.5rem; border-bottom: 1px solid #e5e7eb; text-align: left; vertical-align: top; }
+td.num, th.num { text-align: right; white-space: nowrap; }
+.correct { color: #15803d; } .partial { color: #b45309; } .incorrect, .unanswered { color: #b91c1c; } .poll { color: #6b7280; }
+.explanation { margin-top: 0.25rem; color: #4b5563; font-size: 0.88rem; }
+.bar { height: 0.5rem; border-radius: 4px; background: #e5e7eb; }
+.bar span { display: block; height: 100%; border-radius: 4px; background: #2563eb; }
+@media print { body { padding: 0; } tr { break-inside: avoid; } }
+`;
+
+/**
+ * Compute the average score (correct-answer percentage) for a game.
+ * Mirrors the client's calculateAverageScore so the listing UI keeps its
+ * score badge without the heavy per-player `results` array.
+ * @param {Array} results - Per-player result objects
+ * @returns {number} Average score percentage (0-100)
+ */
+function computeAverageScore(results) {
+    if (!Array.isArray(results) || results.length === 0) {
+        return 0;
+    }
+
+    let totalCorrect = 0;
+    let totalQuestions = 0;
+
+    results.forEach(player => {
+        const answers = player.answers || [];
+        totalQuestions += answers.length;
+        totalCorrect += answers.filter(a => a?.isCorrect).length;
+    });
+
+    return totalQuestions > 0 ? Math.round((totalCorrect / totalQuestions) * 100) : 0;
+}
+
+/**
+ * Listing entry for a results document. Drops the heavy per-player `results`
+ * array from the listing payload (unbounded growth); exposes summary fields instead.
+ * @param {Object} data - Results document
+ * @returns {Object} Summary
+ */
+function summarizeResult(data) {
+    return {
+        quizTitle: data.quizTitle || 'Untitled Quiz',
+        gamePin: data.gamePin,
+        participantCount: data.results?.length || 0,
+        averageScore: computeAverageScore(data.results),
+        startTime: data.startTime,
+        endTime: data.endTime,
+        saved: data.saved
+    };
+}
+
+/**
+ * One decimal place, or null when there is nothing to average
+ * @param {number} numerator
+ * @param {number} denominator
+ * @param {number} [scale=1]
+ * @returns {number|null}
+ */
+function ratio(numerator, denominator, scale = 1) {
+    return denominator > 0 ? Math.round((numerator / denominator) * scale * 10) / 10 : null;
+}
+
+/**
+ * Verdict mark for one saved answer, as in the analytics CSV
+ * @param {Object} answer - Saved answer
+ * @returns {string}
+ */
+function verdictMark(answer) {
+    if (answer.isPoll) return '–';
+    if (answer.isCorrect) return '✓';
+    if (answer.partialScore > 0) return `~${Math.round(answer.partialScore * 100)}%`;
+    return '✗';
+}
+
+/**
+ * Calendar date of a timestamp, or the value unchanged when it is not one
+ * @param {string|number} [value]
+ * @returns {string}
+ */
+function reportDate(value) {
+    const date = new Date(value);
+    return value && !isNaN(date) ? date.toISOString().slice(0, 10) : String(value || '');
+}
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[<>&"']/g, ch => HTML_ENTITIES[ch]);
+}
+
+/**
+ * File name part for a player: letters and digits of any script, the rest as "_"
+ * @param {string} name
+ * @returns {string}
+ */
+function fileNamePart(name) {
+    return String(name || '').replace(/[^\p{L}\p{N}-]+/gu, '_').replace(/^_+|_+$/g, '').slice(0, 50) || 'player';
+}
+
+/**
+ * The per-question section of a results document: enough of each question
+ * for the results viewer's analytics, without media or presentation fields.
+ * @param {Array} questions - Quiz questions, in play order
+ * @returns {Array} Question entries
+ */
+function toResultQuestions(questions) {
+    return questions.map((q, index) => ({
+        questionNumber: index + 1,
+        text: q.question || q.text,
+        type: q.type || 'multiple-choice',
+        options: q.options,
+        correctAnswer: q.correctAnswer,
+        correctAnswers: q.correctAnswers,
+        correctOrder: q.correctOrder,
+        acceptedAnswers: q.acceptedAnswers,
+        pairs: q.pairs,
+        isPoll: q.isPoll === true,
+        difficulty: q.difficulty || 'medium',
+        timeLimit: q.timeLimit || q.time,
+        concepts: q.concepts || [],
+        ...(q.explanation && { explanation: q.explanation })
+    }));
+}
 
 class ResultsService {
-    constructor(logger, resultsDir = 'results') {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {StorageAdapter|string} [storage='results'] - Storage adapter, or a results directory for the file backend
+     */
+    constructor(logger, storage = 'results') {
         this.logger = logger;
-        this.resultsDir = resultsDir;
+        this.storage = resolveStorage(storage, logger);
+        this.webhookService = null; // Injected via setWebhookService(); no results.saved events without it
+    }
+
+    /**
+     * Inject WebhookService so saved results are announced to webhooks
+     * @param {WebhookService} webhookService - Has emit(event, data, ownerId)
+     */
+    setWebhookService(webhookService) {
+        this.webhookService = webhookService;
     }
 
     /**
@@ -23,29 +191,44 @@ class ResultsService {
     }
 
     /**
-     * Validate that a file path stays within the results directory
-     * Prevents path traversal attacks
+     * Validate a results filename and check the result exists, throwing on either
      * @param {string} filename - Filename to validate
-     * @returns {string} - Safe resolved path
-     * @throws {Error} - If path escapes results directory
      */
-    validatePath(filename) {
-        const resolvedBase = path.resolve(this.resultsDir);
-        const resolvedPath = path.resolve(this.resultsDir, filename);
+    async _assertResultExists(filename) {
+        if (!this.validateFilename(filename)) {
+            const err = new Error('Invalid filename format');
+            err.messageKey = 'error_invalid_filename';
+            throw err;
+        }
 
-        if (!resolvedPath.startsWith(resolvedBase + path.sep) && resolvedPath !== resolvedBase) {
-            const err = new Error('Invalid path: attempted directory traversal');
-            err.messageKey = 'error_invalid_path';
+        if (!(await this.storage.exists(COLLECTIONS.RESULTS, filename))) {
+            const err = new Error('Result file not found');
+            err.messageKey = 'error_result_not_found';
             throw err;
         }
+    }
 
-        return resolvedPath;
+    /**
+     * Read a result, mapping unparseable data to error_result_corrupted
+     * @param {string} filename - Validated results filename
+     * @returns {Promise<Object>} Results document
+     */
+    async _readResult(filename) {
+        try {
+            return await this.storage.read(COLLECTIONS.RESULTS, filename);
+        } catch (parseError) {
+            this.logger.error(`Failed to parse result file ${filename}:`, parseError);
+            const err = new Error('Result file is corrupted or invalid JSON');
+            err.messageKey = 'error_result_corrupted';
+            throw err;
+        }
     }
 
     /**
      * Save quiz results
+     * @param {string|null} [ownerId] - Signed-in host, whose webhooks hear of the save
      */
-    async saveResults(quizTitle, gamePin, results, startTime, endTime, questions) {
+    async saveResults(quizTitle, gamePin, results, startTime, endTime, questions, ownerId = null) {
         if (!quizTitle || !gamePin || !results) {
             const err = new Error('Invalid results data');
             err.messageKey = 'error_invalid_results_data';
@@ -75,12 +258,19 @@ class ResultsService {
             resultsData.questions = questions;
         }
 
-        // Defense-in-depth: resolve through validatePath like the read/delete paths
-        const filePath = this.validatePath(filename);
-        await atomicWriteFile(filePath, JSON.stringify(resultsData, null, 2));
+        await this.storage.write(COLLECTIONS.RESULTS, filename, resultsData);
 
         this.logger.debug(`Results saved successfully: ${filename}`);
 
+        if (this.webhookService) {
+            this.webhookService.emit('results.saved', {
+                filename,
+                quizTitle,
+                pin: String(gamePin),
+                playerCount: Array.isArray(results) ? results.length : 0
+            }, ownerId);
+        }
+
         return {
             success: true,
             filename
@@ -91,95 +281,29 @@ class ResultsService {
      * List all results
      */
     async listResults() {
-        try {
-            await fs.access(this.resultsDir);
-        } catch {
-            this.logger.debug('Results directory does not exist');
-            return [];
-        }
-
-        const allFiles = await fs.readdir(this.resultsDir);
-        const resultFiles = allFiles.filter(file => file.startsWith('results_') && file.endsWith('.json'));
-
-        const filePromises = resultFiles.map(async (filename) => {
-            try {
-                const filePath = path.join(this.resultsDir, filename);
-                const stats = await fs.stat(filePath);
-                const content = await fs.readFile(filePath, 'utf8');
-                const data = JSON.parse(content);
-
-                // Drop the heavy per-player `results` array from the listing
-                // payload (unbounded growth); expose summary fields instead.
-                return {
-                    filename,
-                    quizTitle: data.quizTitle || 'Untitled Quiz',
-                    gamePin: data.gamePin,
-                    participantCount: data.results?.length || 0,
-                    averageScore: this._computeAverageScore(data.results),
-                    startTime: data.startTime,
-                    endTime: data.endTime,
-                    saved: data.saved || stats.mtime.toISOString(),
-                    fileSize: stats.size
-                };
-            } catch (error) {
-                this.logger.error(`Error reading result file ${filename}:`, error);
-                return null;
-            }
-        });
-
-        const files = (await Promise.all(filePromises))
-            .filter(result => result !== null)
+        const entries = await this.storage.list(COLLECTIONS.RESULTS, summarizeResult);
+
+        const files = entries
+            .filter(({ key }) => this.validateFilename(key))
+            .map(({ key, summary, size, modified }) => ({
+                filename: key,
+                ...summary,
+                saved: summary.saved || modified.toISOString(),
+                fileSize: size
+            }))
             .sort((a, b) => new Date(b.saved) - new Date(a.saved));
 
         this.logger.debug(`Found ${files.length} result files`);
         return files;
     }
 
-    /**
-     * Compute the average score (correct-answer percentage) for a game.
-     * Mirrors the client's calculateAverageScore so the listing UI keeps its
-     * score badge without the heavy per-player `results` array.
-     * @param {Array} results - Per-player result objects
-     * @returns {number} Average score percentage (0-100)
-     */
-    _computeAverageScore(results) {
-        if (!Array.isArray(results) || results.length === 0) {
-            return 0;
-        }
-
-        let totalCorrect = 0;
-        let totalQuestions = 0;
-
-        results.forEach(player => {
-            const answers = player.answers || [];
-            totalQuestions += answers.length;
-            totalCorrect += answers.filter(a => a?.isCorrect).length;
-        });
-
-        return totalQuestions > 0 ? Math.round((totalCorrect / totalQuestions) * 100) : 0;
-    }
-
     /**
      * Delete a result file
      */
     async deleteResult(filename) {
-        if (!this.validateFilename(filename)) {
-            const err = new Error('Invalid filename format');
-            err.messageKey = 'error_invalid_filename';
-            throw err;
-        }
-
-        const filePath = this.validatePath(filename);
+        await this._assertResultExists(filename);
 
-        try {
-            await fs.access(filePath);
-        } catch {
-            const err = new Error('Result file not found');
-            err.messageKey = 'error_result_not_found';
-            throw err;
-        }
-
-        await fs.unlink(filePath);
+        await this.storage.remove(COLLECTIONS.RESULTS, filename);
         this.logger.info(`Result file deleted: ${filename}`);
 
         return {
@@ -192,32 +316,8 @@ class ResultsService {
      * Get a specific result file
      */
     async getResult(filename) {
-        if (!this.validateFilename(filename)) {
-            const err = new Error('Invalid filename format');
-            err.messageKey = 'error_invalid_filename';
-            throw err;
-        }
-
-        const filePath = this.validatePath(filename);
-
-        try {
-            await fs.access(filePath);
-        } catch {
-            const err = new Error('Result file not found');
-            err.messageKey = 'error_result_not_found';
-            throw err;
-        }
-
-        try {
-            const content = await fs.readFile(filePath, 'utf8');
-            const data = JSON.parse(content);
-            return data;
-        } catch (parseError) {
-            this.logger.error(`Failed to parse result file ${filename}:`, parseError);
-            const err = new Error('Result file is corrupted or invalid JSON');
-            err.messageKey = 'error_result_corrupted';
-            throw err;
-        }
+        await this._assertResultExists(filename);
+        return this._readResult(filename);
     }
 
     /**
@@ -230,8 +330,9 @@ class ResultsService {
             throw err;
         }
 
-        if (!['csv', 'json'].includes(format.toLowerCase())) {
-            const err = new Error('Unsupported export format. Use csv or json.');
+        format = format.toLowerCase();
+        if (!EXPORT_FORMATS[format]) {
+            const err = new Error('Unsupported export format. Use csv, json, xlsx or pdf.');
             err.messageKey = 'error_unsupported_format';
             throw err;
         }
@@ -242,30 +343,20 @@ class ResultsService {
             throw err;
         }
 
-        const filePath = this.validatePath(filename);
-
-        try {
-            await fs.access(filePath);
-        } catch {
-            const err = new Error('Result file not found');
-            err.messageKey = 'error_result_not_found';
-            throw err;
-        }
-
-        let data;
-        try {
-            const content = await fs.readFile(filePath, 'utf8');
-            data = JSON.parse(content);
-        } catch (parseError) {
-            this.logger.error(`Failed to parse result file for export ${filename}:`, parseError);
-            const err = new Error('Result file is corrupted or invalid JSON');
-            err.messageKey = 'error_result_corrupted';
-            throw err;
-        }
+        await this._assertResultExists(filename);
+        const data = await this._readResult(filename);
 
-        if (format.toLowerCase() === 'csv') {
+        if (format === 'xlsx' || format === 'pdf') {
+            return {
+                type: EXPORT_FORMATS[format],
+                filename: `quiz_results_${data.gamePin}.${format}`,
+                content: format === 'xlsx'
+                    ? await this._generateXLSX(data)
+                    : this._generatePDF(data)
+            };
+        } else if (format === 'csv') {
             return {
-                type: 'text/csv',
+                type: EXPORT_FORMATS.csv,
                 filename: exportType === 'simple'
                     ? `quiz_results_simple_${data.gamePin}.csv`
                     : `quiz_results_analytics_${data.gamePin}.csv`,
@@ -275,13 +366,85 @@ class ResultsService {
             };
         } else {
             return {
-                type: 'application/json',
+                type: EXPORT_FORMATS.json,
                 filename: `quiz_results_${data.gamePin}.json`,
                 content: JSON.stringify(data, null, 2)
             };
         }
     }
 
+    /**
+     * Report card of one player in a saved result
+     * @param {string} filename - Results filename
+     * @param {string} playerName - Player name as saved (matched case-insensitively)
+     * @param {string} [format='html'] - 'html' or 'pdf'
+     * @returns {Promise<{type: string, filename: string, content: string|Buffer}>}
+     */
+    async getPlayerReport(filename, playerName, format = 'html') {
+        format = this._assertReportFormat(format);
+        await this._assertResultExists(filename);
+        const data = await this._readResult(filename);
+
+        const wanted = String(playerName || '').toLowerCase();
+        const player = (data.results || []).find(p => String(p.name || '').toLowerCase() === wanted);
+        if (!player) {
+            const err = new Error('Player not found in result');
+            err.messageKey = 'error_player_not_found';
+            throw err;
+        }
+
+        return {
+            type: REPORT_FORMATS[format],
+            filename: `report_${data.gamePin}_${fileNamePart(player.name)}.${format}`,
+            content: this._renderReportCard(this._playerReport(data, player), format)
+        };
+    }
+
+    /**
+     * Report cards of every player in a saved result, one file each, in a zip
+     * @param {string} filename - Results filename
+     * @param {string} [format='html'] - 'html' or 'pdf'
+     * @returns {Promise<{type: string, filename: string, content: Buffer}>}
+     */
+    async exportPlayerReports(filename, format = 'html') {
+        format = this._assertReportFormat(format);
+        await this._assertResultExists(filename);
+        const data = await this._readResult(filename);
+
+        const zip = new JSZip();
+        const used = new Set();
+        (data.results || []).forEach(player => {
+            const stem = fileNamePart(player.name);
+            let name = `report_${data.gamePin}_${stem}.${format}`;
+            // Names that differ only in stripped characters would overwrite each other
+            for (let n = 2; used.has(name.toLowerCase()); n++) {
+                name = `report_${data.gamePin}_${stem}_${n}.${format}`;
+            }
+            used.add(name.toLowerCase());
+            zip.file(name, this._renderReportCard(this._playerReport(data, player), format));
+        });
+
+        return {
+            type: 'application/zip',
+            filename: `report_cards_${data.gamePin}_${format}.zip`,
+            content: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+        };
+    }
+
+    /**
+     * @param {string} format - Requested report card format
+     * @returns {string} The format, lower-cased
+     */
+    _assertReportFormat(format) {
+        const normalized = String(format || '').toLowerCase();
+        if (!REPORT_FORMATS[normalized]) {
+            const err = new Error('Unsupported report format. Use html or pdf.');
+            err.messageKey = 'error_unsupported_format';
+            throw err;
+        }
+        return normalized;
+    }
+
     /**
      * Generate simple player-centric CSV
      */
@@ -481,7 +644,7 @@ class ResultsService {
         // bonuses, so a points/(players x questions x 100) ratio routinely
         // reports rates well over 100%. Same computation as the score shown
         // beside this game in the results list.
-        const overallSuccess = this._computeAverageScore(data.results).toFixed(1);
+        const overallSuccess = computeAverageScore(data.results).toFixed(1);
 
         const emptyCols = '"' + '","'.repeat(Math.max(0, totalColumns - 2)) + '"';
 
@@ -520,6 +683,381 @@ class ResultsService {
         return csv;
     }
 
+    /**
+     * Views of a result shared by the XLSX and PDF reports: players by score,
+     * per-question statistics, every player's answer to every question, and
+     * class-wide concept mastery (weakest first). Rates are percentages with
+     * one decimal, or null when nothing was graded.
+     * @param {Object} data - Results document
+     * @returns {{players: Object[], questions: Object[], answers: Object[], concepts: Object[]}}
+     */
+    _reportViews(data) {
+        const players = [...(data.results || [])].sort((a, b) => (b.score || 0) - (a.score || 0));
+        const questionCount = data.questions?.length || Math.max(0, ...players.map(p => p.answers?.length || 0));
+        const questions = Array.from({ length: questionCount }, (_, i) => data.questions?.[i] || null);
+        const answersTo = qIndex => players.map(player => player.answers?.[qIndex]).filter(Boolean);
+
+        const playerRows = players.map((player, index) => {
+            const answers = player.answers || [];
+            const graded = answers.filter(a => a?.isPoll !== true).length;
+            const correct = answers.filter(a => a?.isCorrect).length;
+            return {
+                rank: index + 1,
+                name: player.name || 'Anonymous',
+                score: player.score || 0,
+                correct,
+                graded,
+                successRate: ratio(correct, graded, 100)
+            };
+        });
+
+        const questionRows = questions.map((question, qIndex) => {
+            const answers = answersTo(qIndex);
+            const graded = answers.filter(a => !a.isPoll);
+            return {
+                number: qIndex + 1,
+                text: question?.text || question?.question || `Question ${qIndex + 1}`,
+                type: question?.type || 'multiple-choice',
+                correctAnswer: this._formatCorrectAnswer(question),
+                difficulty: question?.difficulty || 'medium',
+                concepts: question?.concepts || [],
+                responses: answers.length,
+                successRate: ratio(graded.filter(a => a.isCorrect).length, graded.length, 100),
+                averageTime: ratio(answers.reduce((sum, a) => sum + (a.timeMs || 0), 0), answers.length, 0.001),
+                averagePoints: ratio(answers.reduce((sum, a) => sum + (a.points || 0), 0), answers.length)
+            };
+        });
+
+        const answerRows = players.map(player => ({
+            name: player.name || 'Anonymous',
+            answers: questions.map((question, qIndex) => {
+                const answer = player.answers?.[qIndex];
+                return answer ? `${this._formatAnswerValue(answer.answer, question)} ${verdictMark(answer)}` : '';
+            })
+        }));
+
+        // Every player counts toward each tagged question, answered or not
+        // (as in Game.calculatePlayerConceptMastery)
+        const conceptStats = new Map();
+        questions.forEach((question, qIndex) => {
+            if (!question || ScoringService.isPollQuestion(question)) return;
+            const correct = answersTo(qIndex).filter(a => a.isCorrect).length;
+            (question.concepts || []).forEach(name => {
+                const stats = conceptStats.get(name) || { name, questions: 0, attempts: 0, correct: 0 };
+                stats.questions++;
+                stats.attempts += players.length;
+                stats.correct += correct;
+                conceptStats.set(name, stats);
+            });
+        });
+        const concepts = [...conceptStats.values()]
+            .map(stats => ({ ...stats, mastery: ratio(stats.correct, stats.attempts, 100) }))
+            .sort((a, b) => (a.mastery ?? 0) - (b.mastery ?? 0));
+
+        return { players: playerRows, questions: questionRows, answers: answerRows, concepts };
+    }
+
+    /**
+     * Generate the XLSX workbook: a summary sheet, then one sheet per report view
+     * @param {Object} data - Results document
+     * @returns {Promise<Buffer>}
+     */
+    async _generateXLSX(data) {
+        const views = this._reportViews(data);
+
+        return buildWorkbook([
+            {
+                name: 'Summary',
+                widths: [24, 50],
+                rows: [
+                    ['Field', 'Value'],
+                    ['Quiz Title', data.quizTitle || 'Untitled Quiz'],
+                    ['Game PIN', String(data.gamePin || '')],
+                    ['Date', reportDate(data.saved || data.endTime)],
+                    ['Started', data.startTime || ''],
+                    ['Ended', data.endTime || ''],
+                    ['Players', views.players.length],
+                    ['Questions', views.questions.length],
+                    ['Overall Success Rate %', computeAverageScore(data.results)]
+                ]
+            },
+            {
+                name: 'Players',
+                widths: [8, 28, 10, 10, 18, 16],
+                rows: [
+                    ['Rank', 'Player', 'Score', 'Correct', 'Graded Questions', 'Success Rate %'],
+                    ...views.players.map(p => [p.rank, p.name, p.score, p.correct, p.graded, p.successRate])
+                ]
+            },
+            {
+                name: 'Questions',
+                widths: [6, 50, 16, 30, 12, 24, 11, 16, 14, 12],
+                rows: [
+                    ['#', 'Question', 'Type', 'Correct Answer', 'Difficulty', 'Concepts', 'Responses',
+                        'Success Rate %', 'Avg Time (s)', 'Avg Points'],
+                    ...views.questions.map(q => [q.number, q.text, q.type, q.correctAnswer, q.difficulty,
+                        q.concepts.join(', '), q.responses, q.successRate, q.averageTime, q.averagePoints])
+                ]
+            },
+            {
+                name: 'Answers',
+                widths: [28, ...views.questions.map(() => 24)],
+                rows: [
+                    ['Player', ...views.questions.map(q => `Q${q.number}`)],
+                    ...views.answers.map(row => [row.name, ...row.answers])
+                ]
+            },
+            {
+                name: 'Concepts',
+                widths: [30, 11, 11, 10, 12],
+                rows: [
+                    ['Concept', 'Questions', 'Attempts', 'Correct', 'Mastery %'],
+                    ...views.concepts.map(c => [c.name, c.questions, c.attempts, c.correct, c.mastery])
+                ]
+            }
+        ]);
+    }
+
+    /**
+     * Generate the PDF report: summary, player ranking, per-question
+     * statistics and concept mastery (the answer matrix is too wide for a page)
+     * @param {Object} data - Results document
+     * @returns {Buffer}
+     */
+    _generatePDF(data) {
+        const views = this._reportViews(data);
+        const title = data.quizTitle || 'Untitled Quiz';
+        const percent = value => (value === null ? '-' : `${value}%`);
+        const doc = new PdfDocument(`${title} - results`);
+
+        doc.text('Quiz Results Report', { size: 18, bold: true })
+            .text(title, { size: 13 })
+            .space(6)
+            .text(`Game PIN: ${data.gamePin || '-'}    Date: ${reportDate(data.saved || data.endTime) || '-'}    `
+                + `Players: ${views.players.length}    Questions: ${views.questions.length}    `
+                + `Overall success rate: ${computeAverageScore(data.results)}%`);
+
+        doc.heading('Players').table([
+            { header: 'Rank', width: 1, align: 'right' },
+            { header: 'Player', width: 5 },
+            { header: 'Score', width: 1.5, align: 'right' },
+            { header: 'Correct', width: 1.5, align: 'right' },
+            { header: 'Success', width: 1.5, align: 'right' }
+        ], views.players.map(p => [p.rank, p.name, p.score, `${p.correct}/${p.graded}`, percent(p.successRate)]));
+
+        doc.heading('Questions').table([
+            { header: '#', width: 0.6, align: 'right' },
+            { header: 'Question', width: 5 },
+            { header: 'Correct answer', width: 3 },
+            { header: 'Responses', width: 1.4, align: 'right' },
+            { header: 'Success', width: 1.2, align: 'right' },
+            { header: 'Avg time', width: 1.2, align: 'right' }
+        ], views.questions.map(q => [q.number, q.text, q.correctAnswer, q.responses, percent(q.successRate),
+            q.averageTime === null ? '-' : `${q.averageTime}s`]));
+
+        if (views.concepts.length > 0) {
+            doc.heading('Concepts').table([
+                { header: 'Concept', width: 5 },
+                { header: 'Questions', width: 1.5, align: 'right' },
+                { header: 'Correct', width: 1.5, align: 'right' },
+                { header: 'Mastery', width: 1.5, align: 'right' }
+            ], views.concepts.map(c => [c.name, c.questions, `${c.correct}/${c.attempts}`, percent(c.mastery)]));
+        }
+
+        return doc.toBuffer();
+    }
+
+    /**
+     * One player's report card: their answers against the correct ones with
+     * each question's explanation, points per question, rank, concept mastery
+     * (weakest first, counted like Game.calculatePlayerConceptMastery) and the
+     * concepts worth reviewing.
+     * @param {Object} data - Results document
+     * @param {Object} player - Entry of data.results
+     * @returns {Object} Report card data
+     */
+    _playerReport(data, player) {
+        const players = data.results || [];
+        const answers = player.answers || [];
+        const questionCount = data.questions?.length || answers.length;
+        const score = player.score || 0;
+
+        const questions = Array.from({ length: questionCount }, (_, qIndex) => {
+            const question = data.questions?.[qIndex] || null;
+            const answer = answers[qIndex];
+            const isPoll = ScoringService.isPollQuestion(question || {}) || answer?.isPoll === true;
+            let verdict = 'unanswered';
+            if (isPoll) verdict = 'poll';
+            else if (answer?.isCorrect) verdict = 'correct';
+            else if (answer?.partialScore > 0) verdict = 'partial';
+            else if (answer) verdict = 'incorrect';
+
+            return {
+                number: qIndex + 1,
+                text: question?.text || question?.question || `Question ${qIndex + 1}`,
+                yourAnswer: answer ? this._formatAnswerValue(answer.answer, question) : '',
+                correctAnswer: this._formatCorrectAnswer(question),
+                verdict,
+                mark: answer ? verdictMark({ ...answer, isPoll }) : '',
+                points: answer?.points || 0,
+                time: answer?.timeMs ? Math.round(answer.timeMs / 100) / 10 : null,
+                explanation: question?.explanation || ''
+            };
+        });
+
+        const conceptStats = new Map();
+        (data.questions || []).forEach((question, qIndex) => {
+            if (ScoringService.isPollQuestion(question)) return;
+            (question.concepts || []).forEach(name => {
+                const stats = conceptStats.get(name) || { name, correct: 0, total: 0 };
+                stats.total++;
+                if (answers[qIndex]?.isCorrect) stats.correct++;
+                conceptStats.set(name, stats);
+            });
+        });
+        const concepts = [...conceptStats.values()]
+            .map(stats => ({ ...stats, mastery: Math.round((stats.correct / stats.total) * 100) }))
+            .sort((a, b) => a.mastery - b.mastery);
+
+        const graded = questions.filter(q => q.verdict !== 'poll');
+        const correct = graded.filter(q => q.verdict === 'correct').length;
+
+        return {
+            quizTitle: data.quizTitle || 'Untitled Quiz',
+            gamePin: data.gamePin,
+            date: reportDate(data.saved || data.endTime),
+            name: player.name || 'Anonymous',
+            rank: 1 + players.filter(p => (p.score || 0) > score).length,
+            playerCount: players.length,
+            score,
+            classAverage: players.length > 0
+                ? Math.round(players.reduce((sum, p) => sum + (p.score || 0), 0) / players.length)
+                : 0,
+            correct,
+            graded: graded.length,
+            successRate: graded.length > 0 ? Math.round((correct / graded.length) * 100) : null,
+            questions,
+            concepts,
+            review: concepts.filter(c => c.mastery < REVIEW_MASTERY).map(c => c.name)
+        };
+    }
+
+    /**
+     * @param {Object} report - From _playerReport
+     * @param {string} format - 'html' or 'pdf'
+     * @returns {string|Buffer}
+     */
+    _renderReportCard(report, format) {
+        return format === 'pdf' ? this._reportCardPdf(report) : this._reportCardHtml(report);
+    }
+
+    /**
+     * Report card as a standalone HTML page
+     * @param {Object} report - From _playerReport
+     * @returns {string}
+     */
+    _reportCardHtml(report) {
+        const stat = (label, value) => `<div class="stat">${escapeHtml(label)}<strong>${escapeHtml(value)}</strong></div>`;
+
+        const questionRows = report.questions.map(q => `
+<tr class="${q.verdict}">
+<td class="num">${q.number}</td>
+<td>${escapeHtml(q.text)}${q.explanation ? `<div class="explanation">${escapeHtml(q.explanation)}</div>` : ''}</td>
+<td>${q.verdict === 'unanswered' ? '<em>No answer</em>' : escapeHtml(q.yourAnswer)}</td>
+<td>${escapeHtml(q.correctAnswer)}</td>
+<td class="num">${escapeHtml(q.mark)}</td>
+<td class="num">${q.points}</td>
+<td class="num">${q.time === null ? '' : `${q.time}s`}</td>
+</tr>`).join('');
+
+        const conceptRows = report.concepts.map(c => `
+<tr>
+<td>${escapeHtml(c.name)}</td>
+<td class="num">${c.correct}/${c.total}</td>
+<td><div class="bar"><span style="width: ${c.mastery}%"></span></div></td>
+<td class="num">${c.mastery}%</td>
+</tr>`).join('');
+
+        const review = report.review.length > 0
+            ? `<h2>Suggested review</h2>\n<ul>${report.review.map(name => `<li>${escapeHtml(name)}</li>`).join('')}</ul>`
+            : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(`${report.name} - ${report.quizTitle}`)}</title>
+<style>${REPORT_CARD_CSS}</style>
+</head>
+<body>
+<h1>${escapeHtml(report.name)}</h1>
+<p class="meta">${escapeHtml(report.quizTitle)} &middot; ${escapeHtml(report.date)} &middot; PIN ${escapeHtml(report.gamePin)}</p>
+<div class="stats">
+${stat('Rank', `${report.rank} of ${report.playerCount}`)}
+${stat('Score', report.score)}
+${stat('Class average', report.classAverage)}
+${stat('Correct', `${report.correct}/${report.graded}`)}
+</div>
+<h2>Answers</h2>
+<table>
+<thead><tr><th class="num">#</th><th>Question</th><th>Your answer</th><th>Correct answer</th><th class="num"></th><th class="num">Points</th><th class="num">Time</th></tr></thead>
+<tbody>${questionRows}</tbody>
+<tfoot><tr><th colspan="5">Total</th><th class="num">${report.score}</th><th></th></tr></tfoot>
+</table>
+${report.concepts.length > 0 ? `<h2>Concept mastery</h2>
+<table>
+<thead><tr><th>Concept</th><th class="num">Correct</th><th></th><th class="num">Mastery</th></tr></thead>
+<tbody>${conceptRows}</tbody>
+</table>` : ''}
+${review}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Report card as a PDF. Questions are paragraphs rather than a table so
+     * long questions and explanations wrap instead of being cut.
+     * @param {Object} report - From _playerReport
+     * @returns {Buffer}
+     */
+    _reportCardPdf(report) {
+        const doc = new PdfDocument(`${report.name} - ${report.quizTitle}`);
+
+        doc.text(report.name, { size: 18, bold: true })
+            .text(`${report.quizTitle}    ${report.date}    PIN ${report.gamePin}`, { size: 11 })
+            .space(6)
+            .text(`Rank ${report.rank} of ${report.playerCount}    Score: ${report.score}    `
+                + `Class average: ${report.classAverage}    Correct: ${report.correct}/${report.graded}`);
+
+        doc.heading('Answers');
+        report.questions.forEach(q => {
+            const verdict = q.verdict === 'unanswered' ? 'no answer' : q.verdict;
+            doc.text(`${q.number}. ${q.text}`, { bold: true })
+                .text(`Your answer: ${q.yourAnswer || '-'}    (${verdict}, ${q.points} points${q.time === null ? '' : `, ${q.time}s`})`)
+                .text(`Correct answer: ${q.correctAnswer}`);
+            if (q.explanation) {
+                doc.text(q.explanation, { size: 9 });
+            }
+            doc.space(4);
+        });
+        doc.text(`Total: ${report.score} points`, { bold: true });
+
+        if (report.concepts.length > 0) {
+            doc.heading('Concept mastery').table([
+                { header: 'Concept', width: 5 },
+                { header: 'Correct', width: 1.5, align: 'right' },
+                { header: 'Mastery', width: 1.5, align: 'right' }
+            ], report.concepts.map(c => [c.name, `${c.correct}/${c.total}`, `${c.mastery}%`]));
+        }
+        if (report.review.length > 0) {
+            doc.heading('Suggested review').text(report.review.join(', '));
+        }
+
+        return doc.toBuffer();
+    }
+
     /**
      * Format a saved answer value for export, resolving option indices to the
      * option text. Answers are stored as indices for option-based question
@@ -540,7 +1078,14 @@ class ResultsService {
 
         if (Array.isArray(value)) {
             if (value.length === 0) return 'No Answer';
-            const separator = question?.type === 'ordering' ? ' → ' : ', ';
+            // Matching answers hold a right-item index per left item
+            if (question?.type === 'matching' && Array.isArray(question.pairs)) {
+                return value.map((right, left) =>
+                    `${question.pairs[left]?.left ?? left} → ${question.pairs[right]?.right ?? right}`
+                ).join('; ');
+            }
+            const separators = { 'ordering': ' → ', 'text-input': ' / ' };
+            const separator = separators[question?.type] || ', ';
             return value.map(component).join(separator);
         }
 
@@ -613,4 +1158,4 @@ class ResultsService {
     }
 }
 
-module.exports = { ResultsService };
+module.exports = { ResultsService, toResultQuestions };
@@ -0,0 +1,77 @@
+/**
+ * Review Queue Service
+ *
+ * Keeps the spaced-repetition queue of a signed-in learner: the questions they
+ * missed in live games and practice, with their review schedule. Scheduling
+ * runs in the browser (public/js/review/review-queue.js), which also keeps the
+ * queue in localStorage for anonymous learners; the server only stores the
+ * validated document, one `<userId>.json` per account in the review collection.
+ *
+ * Saves replace the whole queue, so the last device to save wins.
+ */
+
+const { COLLECTIONS } = require('./storage-adapter');
+
+const USER_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function makeError(message, messageKey, status = 400) {
+    const err = new Error(message);
+    err.messageKey = messageKey;
+    err.status = status;
+    return err;
+}
+
+class ReviewQueueService {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {StorageAdapter} storage - Where review queues are kept
+     */
+    constructor(logger, storage) {
+        this.logger = logger;
+        this.storage = storage;
+    }
+
+    /**
+     * Storage key for an account's review queue
+     * @param {string} userId - Account ID
+     * @returns {string}
+     */
+    _keyFor(userId) {
+        if (!USER_ID_REGEX.test(String(userId))) {
+            throw makeError('Invalid user ID', 'error_invalid_user_id');
+        }
+        return `${userId}.json`;
+    }
+
+    /**
+     * The account's review queue
+     * @param {string} userId - Account ID
+     * @returns {Promise<{items: Object[], updated: string|null}>}
+     */
+    async getQueue(userId) {
+        const doc = await this.storage.read(COLLECTIONS.REVIEW, this._keyFor(userId));
+        return {
+            items: Array.isArray(doc?.items) ? doc.items : [],
+            updated: doc?.updated || null
+        };
+    }
+
+    /**
+     * Replace the account's review queue
+     * @param {string} userId - Account ID
+     * @param {Object[]} items - Items validated by saveReviewQueueSchema
+     * @returns {Promise<{items: Object[], updated: string}>}
+     */
+    async saveQueue(userId, items) {
+        const doc = {
+            userId,
+            items,
+            updated: new Date().toISOString()
+        };
+        await this.storage.write(COLLECTIONS.REVIEW, this._keyFor(userId), doc);
+        this.logger.debug(`Saved review queue for user ${userId} (${items.length} items)`);
+        return { items: doc.items, updated: doc.updated };
+    }
+}
+
+module.exports = { ReviewQueueService };
@@ -6,6 +6,15 @@
 
 const { QuestionTypeService } = require('./question-type-service');
 
+/** Question types whose scoreAnswer returns a 0-1 fraction instead of a boolean */
+const PARTIAL_CREDIT_TYPES = ['ordering', 'matching'];
+
+/** Streak bonus defaults: +10% per correct answer already in the streak, at most +50% */
+const DEFAULT_STREAK_BONUS = Object.freeze({ stepPercent: 10, maxPercent: 50 });
+
+/** Comeback bonus defaults: +50% of base points after two wrong answers in a row */
+const DEFAULT_COMEBACK_BONUS = Object.freeze({ afterMisses: 2, percent: 50 });
+
 class ScoringService {
     /**
      * Calculate score for an answer
@@ -18,6 +27,8 @@ class ScoringService {
      * @param {Object} params.scoringConfig - Optional per-game scoring config
      * @param {number} params.doublePointsMultiplier - Power-up multiplier (1 or 2)
      * @param {number} params.questionTimeLimitMs - Question time limit in ms (for proportional decay)
+     * @param {number} params.streak - Player's consecutive correct answers before this one
+     * @param {number} params.misses - Player's consecutive wrong answers before this one
      * @returns {Object} { points, isCorrect, breakdown, partialScore }
      *                   `isCorrect` is `null` for poll questions — they have no correct
      *                   answer, so the response is neither right nor wrong.
@@ -30,7 +41,9 @@ class ScoringService {
         config,
         scoringConfig = null,
         doublePointsMultiplier = 1,
-        questionTimeLimitMs = 0
+        questionTimeLimitMs = 0,
+        streak = 0,
+        misses = 0
     }) {
         // Poll questions have no correct answer: never graded, never scored.
         // `isCorrect: null` (not `false`) so downstream readers can tell
@@ -52,11 +65,14 @@ class ScoringService {
         // Get correct answer key based on question type
         const correctAnswerKey = ScoringService.getCorrectAnswerKey(question, questionType);
 
-        // Calculate tolerance for numeric questions
+        // Calculate tolerance for numeric questions, fuzzy threshold for text input
         const defaultTolerance = config.SCORING?.DEFAULT_NUMERIC_TOLERANCE || 0.1;
-        const options = questionType === 'numeric'
-            ? { tolerance: question.tolerance || defaultTolerance }
-            : {};
+        let options = {};
+        if (questionType === 'numeric') {
+            options = { tolerance: question.tolerance || defaultTolerance };
+        } else if (questionType === 'text-input') {
+            options = { fuzzyThreshold: question.fuzzyThreshold || 0 };
+        }
 
         // Use QuestionTypeService for answer validation
         let isCorrect = QuestionTypeService.scoreAnswer(
@@ -98,29 +114,41 @@ class ScoringService {
             ? Math.floor(timeBonus * difficultyMultiplier / config.SCORING.TIME_BONUS_DIVISOR)
             : 0;
 
-        // Handle partial credit for ordering questions
+        // Handle partial credit for ordering and matching questions
         let points = 0;
         let partialScore = null;
 
-        if (question.type === 'ordering' && typeof isCorrect === 'number') {
+        if (PARTIAL_CREDIT_TYPES.includes(question.type) && typeof isCorrect === 'number') {
             // isCorrect is a decimal (0-1) representing percentage correct
             partialScore = isCorrect;
             points = Math.floor((basePoints + scaledTimeBonus) * isCorrect);
-            // Only mark as "correct" if the order is 100% right
+            // Only mark as "correct" if the order or every pair is 100% right
             isCorrect = isCorrect === 1;
         } else {
             points = isCorrect ? basePoints + scaledTimeBonus : 0;
         }
 
+        // Streak and comeback bonuses reward fully correct answers only
+        const streakBonus = isCorrect === true
+            ? ScoringService.calculateStreakBonus(points, streak, scoringConfig?.streakBonus)
+            : 0;
+        const comebackBonus = isCorrect === true
+            ? ScoringService.calculateComebackBonus(basePoints, misses, scoringConfig?.comebackBonus)
+            : 0;
+        points += streakBonus + comebackBonus;
+
         // Apply double points power-up multiplier
         points = points * doublePointsMultiplier;
 
-        // Build breakdown for score transparency
+        // Build breakdown for score transparency. The bonus entries are only
+        // present when they paid out, so games without them look as before.
         const breakdown = {
             basePoints,
             timeBonus: scaledTimeBonus,
             difficultyMultiplier,
-            doublePointsMultiplier
+            doublePointsMultiplier,
+            ...(streakBonus > 0 && { streakBonus }),
+            ...(comebackBonus > 0 && { comebackBonus })
         };
 
         return {
@@ -160,6 +188,38 @@ class ScoringService {
         return Math.floor(maxBonusValue * ratio);
     }
 
+    /**
+     * Extra points for answering correctly several times in a row. Each
+     * correct answer already in the streak adds `stepPercent` of the answer's
+     * points, capped at `maxPercent`.
+     * @param {number} points - Points of the answer before bonuses
+     * @param {number} streak - Consecutive correct answers before this one
+     * @param {Object} [settings] - `scoringConfig.streakBonus`
+     * @returns {number} Bonus points (0 when disabled)
+     */
+    static calculateStreakBonus(points, streak, settings = null) {
+        if (!settings?.enabled || streak <= 0) return 0;
+        const stepPercent = settings.stepPercent ?? DEFAULT_STREAK_BONUS.stepPercent;
+        const maxPercent = settings.maxPercent ?? DEFAULT_STREAK_BONUS.maxPercent;
+        const percent = Math.min(maxPercent, stepPercent * streak);
+        return Math.floor(points * percent / 100);
+    }
+
+    /**
+     * Extra points for the first correct answer after a run of wrong ones
+     * @param {number} basePoints - Base points of the question
+     * @param {number} misses - Consecutive wrong answers before this one
+     * @param {Object} [settings] - `scoringConfig.comebackBonus`
+     * @returns {number} Bonus points (0 when disabled or the run is too short)
+     */
+    static calculateComebackBonus(basePoints, misses, settings = null) {
+        if (!settings?.enabled) return 0;
+        const afterMisses = settings.afterMisses ?? DEFAULT_COMEBACK_BONUS.afterMisses;
+        if (misses < afterMisses) return 0;
+        const percent = settings.percent ?? DEFAULT_COMEBACK_BONUS.percent;
+        return Math.floor(basePoints * percent / 100);
+    }
+
     /**
      * Get difficulty multiplier for a question
      * @param {string} difficulty - Question difficulty level
@@ -202,6 +262,11 @@ class ScoringService {
                 return question.correctAnswer;
             case 'ordering':
                 return question.correctOrder || [];
+            case 'text-input':
+                return question.acceptedAnswers || [];
+            case 'matching':
+                // Left item i pairs with right item i in the stored question
+                return (question.pairs || []).map((_, index) => index);
             default:
                 return question.correctAnswer;
         }
@@ -241,4 +306,4 @@ class ScoringService {
     }
 }
 
-module.exports = { ScoringService };
+module.exports = { ScoringService, DEFAULT_STREAK_BONUS, DEFAULT_COMEBACK_BONUS };
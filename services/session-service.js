@@ -134,14 +134,17 @@ class SessionService {
     /**
      * Build a Set-Cookie header value. `secure` should be true when the
      * request is HTTPS (behind a terminating proxy, check x-forwarded-proto).
+     * `crossSite` asks for SameSite=None, so the cookie also works when
+     * Quizix is framed by another site (an LMS launch); browsers only accept
+     * that on Secure cookies, so over plain HTTP it stays Lax.
      */
-    buildSetCookie(value, { secure = false } = {}) {
+    buildSetCookie(value, { secure = false, crossSite = false } = {}) {
         const maxAgeSec = Math.floor(this.ttlMs / 1000);
         const parts = [
             `${this.cookieName}=${value}`,
             'Path=/',
             'HttpOnly',
-            'SameSite=Lax',
+            `SameSite=${crossSite && secure ? 'None' : 'Lax'}`,
             `Max-Age=${maxAgeSec}`
         ];
         if (secure) parts.push('Secure');
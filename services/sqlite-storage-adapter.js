@@ -0,0 +1,159 @@
+/**
+ * SQLite Storage Adapter
+ *
+ * Stores every document in one SQLite database (better-sqlite3, an optional
+ * native dependency loaded only when this backend is selected).
+ *
+ * One `documents` table keyed by (collection, key) holds the JSON body plus a
+ * cached listing summary. A write clears the summary; the next list() rebuilds
+ * it from the body and stores it, so listing thousands of results reads one
+ * small column per row instead of parsing every document.
+ *
+ * Runs in WAL mode: readers never block the single writer, and a crash
+ * mid-write leaves the previous version of the document intact.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { StorageAdapter } = require('./storage-adapter');
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        body TEXT NOT NULL,
+        summary TEXT,
+        size INTEGER NOT NULL,
+        modified TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+    ) WITHOUT ROWID;
+`;
+
+class SqliteStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {Object} options
+     * @param {string} options.filename - Database file path (':memory:' for tests)
+     */
+    constructor(logger, options = {}) {
+        super();
+        this.logger = logger;
+        this.filename = options.filename;
+        this.db = null;
+        this.statements = null;
+    }
+
+    async initialize() {
+        if (this.db) return;
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error(
+                `STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`
+            );
+        }
+
+        if (this.filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+        }
+
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.db.exec(SCHEMA);
+        this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+
+        this.statements = {
+            read: this.db.prepare('SELECT body FROM documents WHERE collection = ? AND key = ?'),
+            write: this.db.prepare(`
+                INSERT INTO documents (collection, key, body, summary, size, modified)
+                VALUES (@collection, @key, @body, NULL, @size, @modified)
+                ON CONFLICT (collection, key) DO UPDATE SET
+                    body = excluded.body,
+                    summary = NULL,
+                    size = excluded.size,
+                    modified = excluded.modified
+            `),
+            remove: this.db.prepare('DELETE FROM documents WHERE collection = ? AND key = ?'),
+            exists: this.db.prepare('SELECT 1 FROM documents WHERE collection = ? AND key = ?'),
+            keys: this.db.prepare('SELECT key FROM documents WHERE collection = ?'),
+            list: this.db.prepare('SELECT key, summary, size, modified FROM documents WHERE collection = ?'),
+            setSummary: this.db.prepare('UPDATE documents SET summary = ? WHERE collection = ? AND key = ?')
+        };
+
+        this.logger.info(`SQLite storage opened: ${this.filename}`);
+    }
+
+    async read(collection, key) {
+        const row = this.statements.read.get(collection, key);
+        return row ? JSON.parse(row.body) : null;
+    }
+
+    async write(collection, key, document) {
+        const body = JSON.stringify(document);
+        this.statements.write.run({
+            collection,
+            key,
+            body,
+            size: Buffer.byteLength(body),
+            modified: new Date().toISOString()
+        });
+    }
+
+    async remove(collection, key) {
+        this.statements.remove.run(collection, key);
+    }
+
+    async exists(collection, key) {
+        return this.statements.exists.get(collection, key) !== undefined;
+    }
+
+    async keys(collection) {
+        return this.statements.keys.all(collection).map(row => row.key);
+    }
+
+    async list(collection, summarize) {
+        const rows = this.statements.list.all(collection);
+        const stale = rows.filter(row => row.summary === null);
+
+        // Rebuild summaries invalidated by writes (or never built, after a
+        // migration) in one transaction, then serve them from the column.
+        if (stale.length > 0) {
+            const rebuild = this.db.transaction(() => {
+                for (const row of stale) {
+                    try {
+                        const summary = summarize(JSON.parse(this.statements.read.get(collection, row.key).body));
+                        row.summary = JSON.stringify(summary);
+                        this.statements.setSummary.run(row.summary, collection, row.key);
+                    } catch (err) {
+                        this.logger.error(`Error reading ${collection} document:`, row.key, err);
+                    }
+                }
+            });
+            rebuild();
+        }
+
+        return rows
+            .filter(row => row.summary !== null)
+            .map(row => ({
+                key: row.key,
+                summary: JSON.parse(row.summary),
+                size: row.size,
+                modified: new Date(row.modified)
+            }));
+    }
+
+    async shutdown() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.logger.info('SQLite storage closed');
+        }
+    }
+}
+
+module.exports = { SqliteStorageAdapter, SCHEMA_VERSION };
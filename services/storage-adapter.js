@@ -0,0 +1,175 @@
+/**
+ * Storage Adapter
+ *
+ * The persistence interface QuizService, ResultsService, MetadataService and
+ * UserService depend on, so where documents live is a deployment choice:
+ *
+ * - `file` (default): one JSON file per document, the layout Quizix has always
+ *   used (`quizzes/*.json`, `results/*.json`, `quizzes/quiz-metadata.json`,
+ *   `quizzes/users.json`). See file-storage-adapter.js.
+ * - `sqlite`: a single database file with per-document summaries cached in
+ *   their own column, so listing thousands of results does not re-read every
+ *   document. See sqlite-storage-adapter.js.
+ *
+ * Documents are plain JSON-serializable objects addressed by (collection, key).
+ * Keys are the filenames the rest of the app already uses as identifiers, so
+ * routes, metadata and client links are identical on both backends.
+ *
+ * Select the backend with STORAGE_BACKEND=file|sqlite; the SQLite database
+ * path is SQLITE_PATH (default `quizzes/quizix.db`). Existing file data is
+ * imported with `npm run migrate:storage`.
+ */
+
+const path = require('path');
+
+/** Collection names shared by every adapter */
+const COLLECTIONS = {
+    QUIZZES: 'quizzes',
+    RESULTS: 'results',
+    // Single-document stores: quiz-metadata.json and users.json
+    SYSTEM: 'system',
+    // Live game snapshots, restored after a restart (game-snapshot-service.js)
+    SNAPSHOTS: 'snapshots',
+    // Self-paced homework assignments and their attempts (assignment-service.js)
+    ASSIGNMENTS: 'assignments',
+    // Per-student progress across games (student-progress-service.js)
+    PROGRESS: 'progress',
+    // Signed-in learners' spaced-repetition queues (review-queue-service.js)
+    REVIEW: 'review',
+    // LMS launches awaiting grade passback (lti-service.js)
+    LTI: 'lti',
+    // Outbound webhook subscriptions, retry queue and delivery log (webhook-service.js)
+    WEBHOOKS: 'webhooks'
+};
+
+const STORAGE_BACKENDS = ['file', 'sqlite'];
+
+const DEFAULT_SQLITE_PATH = path.join('quizzes', 'quizix.db');
+
+class StorageAdapter {
+    /**
+     * Prepare the backing store (create directories, open the database).
+     * Safe to call more than once.
+     */
+    async initialize() {
+        throw new Error(`${this.constructor.name} must implement initialize()`);
+    }
+
+    /**
+     * Read a document
+     * @param {string} collection - One of COLLECTIONS
+     * @param {string} key - Document key (filename)
+     * @returns {Promise<Object|null>} Parsed document, or null when it does not exist
+     * @throws {SyntaxError} When the stored document is not valid JSON
+     */
+    async read(_collection, _key) {
+        throw new Error(`${this.constructor.name} must implement read()`);
+    }
+
+    /**
+     * Create or replace a document atomically
+     * @param {string} collection - One of COLLECTIONS
+     * @param {string} key - Document key (filename)
+     * @param {Object} document - JSON-serializable document
+     */
+    async write(_collection, _key, _document) {
+        throw new Error(`${this.constructor.name} must implement write()`);
+    }
+
+    /**
+     * Delete a document
+     * @param {string} collection - One of COLLECTIONS
+     * @param {string} key - Document key (filename)
+     */
+    async remove(_collection, _key) {
+        throw new Error(`${this.constructor.name} must implement remove()`);
+    }
+
+    /**
+     * Check whether a document exists
+     * @param {string} collection - One of COLLECTIONS
+     * @param {string} key - Document key (filename)
+     * @returns {Promise<boolean>}
+     */
+    async exists(_collection, _key) {
+        throw new Error(`${this.constructor.name} must implement exists()`);
+    }
+
+    /**
+     * List the keys in a collection
+     * @param {string} collection - One of COLLECTIONS
+     * @returns {Promise<string[]>} Keys, in no particular order
+     */
+    async keys(_collection) {
+        throw new Error(`${this.constructor.name} must implement keys()`);
+    }
+
+    /**
+     * List a collection as summaries. `summarize` turns a full document into
+     * the small listing entry; adapters cache its result until the document
+     * changes, so it must be a pure function of the document. Documents that
+     * cannot be read are logged and left out.
+     * @param {string} collection - One of COLLECTIONS
+     * @param {Function} summarize - (document) => summary object
+     * @returns {Promise<Array<{key: string, summary: Object, size: number, modified: Date}>>}
+     */
+    async list(_collection, _summarize) {
+        throw new Error(`${this.constructor.name} must implement list()`);
+    }
+
+    /**
+     * Release resources (close the database). Called on graceful shutdown.
+     */
+    async shutdown() {}
+}
+
+/**
+ * Create the adapter selected by STORAGE_BACKEND
+ * @param {Object} logger - Logger instance
+ * @param {Object} [options]
+ * @param {string} [options.backend] - 'file' or 'sqlite' (default: STORAGE_BACKEND or 'file')
+ * @param {string} [options.quizzesDir='quizzes'] - File backend quiz/system directory
+ * @param {string} [options.resultsDir='results'] - File backend results directory
+ * @param {string} [options.snapshotsDir] - File backend snapshot directory (default: `${resultsDir}/snapshots`)
+ * @param {string} [options.assignmentsDir] - File backend assignment directory (default: `${quizzesDir}/assignments`)
+ * @param {string} [options.progressDir] - File backend student progress directory (default: `${resultsDir}/progress`)
+ * @param {string} [options.reviewDir] - File backend review queue directory (default: `${resultsDir}/review`)
+ * @param {string} [options.ltiDir] - File backend LTI launch directory (default: `${quizzesDir}/lti`)
+ * @param {string} [options.webhooksDir] - File backend webhook directory (default: `${quizzesDir}/webhooks`)
+ * @param {string} [options.sqlitePath] - SQLite database file (default: SQLITE_PATH or quizzes/quizix.db)
+ * @returns {StorageAdapter}
+ */
+function createStorageAdapter(logger, options = {}) {
+    const backend = (options.backend || process.env.STORAGE_BACKEND || 'file').toLowerCase();
+
+    if (!STORAGE_BACKENDS.includes(backend)) {
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${STORAGE_BACKENDS.join(', ')}`);
+    }
+
+    if (backend === 'sqlite') {
+        const { SqliteStorageAdapter } = require('./sqlite-storage-adapter');
+        return new SqliteStorageAdapter(logger, {
+            filename: options.sqlitePath || process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH
+        });
+    }
+
+    const { FileStorageAdapter } = require('./file-storage-adapter');
+    return new FileStorageAdapter(logger, {
+        quizzesDir: options.quizzesDir,
+        resultsDir: options.resultsDir,
+        snapshotsDir: options.snapshotsDir,
+        assignmentsDir: options.assignmentsDir,
+        progressDir: options.progressDir,
+        reviewDir: options.reviewDir,
+        ltiDir: options.ltiDir,
+        webhooksDir: options.webhooksDir
+    });
+}
+
+module.exports = {
+    StorageAdapter,
+    createStorageAdapter,
+    COLLECTIONS,
+    STORAGE_BACKENDS,
+    DEFAULT_SQLITE_PATH
+};
@@ -0,0 +1,352 @@
+/**
+ * Student Progress Service
+ *
+ * Longitudinal profiles for students on a teacher's roster (UserService).
+ * When a live game finishes, every player who was matched to a roster student
+ * on join (by picking their name or typing their join code) gets one session
+ * appended to their progress document (`<studentId>.json` in the progress
+ * collection): score, accuracy and the per-concept mastery that
+ * Game.calculatePlayerConceptMastery computes for the end screen.
+ *
+ * Profiles are built from those sessions on request, so the summary rules can
+ * change without rewriting stored data. Only finished games are recorded; a
+ * game its host abandons mid-way would count the unasked questions as wrong.
+ */
+
+const { COLLECTIONS } = require('./storage-adapter');
+
+const STUDENT_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Oldest sessions are dropped beyond this, keeping documents bounded
+const MAX_SESSIONS = 1000;
+
+// Games compared on each side of the accuracy trend
+const TREND_WINDOW = 3;
+// Accuracy change (percentage points) below which the trend counts as steady
+const TREND_THRESHOLD = 5;
+
+function makeError(message, messageKey, status = 400) {
+    const err = new Error(message);
+    err.messageKey = messageKey;
+    err.status = status;
+    return err;
+}
+
+/**
+ * Quote a CSV cell, neutralizing spreadsheet formulas (same rules as
+ * ResultsService._sanitizeCsvValue)
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function csvValue(value) {
+    if (value === null || value === undefined) return '""';
+    let str = String(value).replace(/[\r\n]+/g, ' ').replace(/"/g, '""');
+    if (/^[=+\-@\t\r|!]/.test(str)) {
+        str = "'" + str;
+    }
+    return `"${str}"`;
+}
+
+/**
+ * Rounded mean of a list of numbers, or null for an empty list
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+function average(values) {
+    if (values.length === 0) return null;
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+/**
+ * Direction of the accuracy trend: the last TREND_WINDOW games against the
+ * TREND_WINDOW before them (or all earlier games when there are fewer)
+ * @param {number[]} accuracies - Accuracy per game, oldest first
+ * @returns {'improving'|'declining'|'steady'|null} null with fewer than two games
+ */
+function accuracyTrend(accuracies) {
+    if (accuracies.length < 2) return null;
+    const recentCount = Math.min(TREND_WINDOW, Math.ceil(accuracies.length / 2));
+    const recent = accuracies.slice(-recentCount);
+    const earlier = accuracies.slice(0, -recentCount).slice(-TREND_WINDOW);
+    const change = average(recent) - average(earlier);
+    if (change >= TREND_THRESHOLD) return 'improving';
+    if (change <= -TREND_THRESHOLD) return 'declining';
+    return 'steady';
+}
+
+class StudentProgressService {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {StorageAdapter} storage - Where progress documents are kept
+     * @param {UserService} userService - Owner of the student rosters
+     */
+    constructor(logger, storage, userService) {
+        this.logger = logger;
+        this.storage = storage;
+        this.userService = userService;
+        // Games ending together may touch the same student; serialize read-modify-write
+        this._writeChain = Promise.resolve();
+    }
+
+    /**
+     * Serialize a storage operation (see the queue in metadata-service.js)
+     */
+    _runExclusive(fn) {
+        const next = this._writeChain.then(fn, fn);
+        this._writeChain = next.catch(() => {});
+        return next;
+    }
+
+    /**
+     * Storage key for a student's progress document
+     * @param {string} studentId - Student ID
+     * @returns {string}
+     */
+    _keyFor(studentId) {
+        if (!STUDENT_ID_REGEX.test(String(studentId))) {
+            throw makeError('Invalid student ID', 'error_invalid_student_id');
+        }
+        return `${studentId}.json`;
+    }
+
+    /**
+     * The roster student, throwing when the owner has no such student
+     * @param {string} ownerId - Account ID
+     * @param {string} studentId - Student ID
+     * @returns {Object} Student
+     */
+    _requireStudent(ownerId, studentId) {
+        const student = this.userService.getStudent(ownerId, studentId);
+        if (!student) {
+            throw makeError('Student not found', 'error_student_not_found', 404);
+        }
+        return student;
+    }
+
+    /**
+     * One game as it is stored in a progress document
+     * @param {Object} game - Finished Game instance
+     * @param {string} playerId - Socket ID of the player
+     * @returns {Object} Session entry
+     */
+    _sessionFor(game, playerId) {
+        const player = game.players.get(playerId);
+        // Polls have no right answer and do not count toward accuracy, nor do
+        // questions a branching game skipped
+        const asked = game.isBranching ? new Set(game.questionPath) : null;
+        const scoredQuestions = game.quiz.questions
+            .map((question, index) => ({ question, index }))
+            .filter(({ question, index }) => question.isPoll !== true && (!asked || asked.has(index)));
+        const correct = scoredQuestions.filter(({ index }) => player.answers?.[index]?.isCorrect).length;
+        const answered = scoredQuestions.filter(({ index }) => player.answers?.[index]).length;
+        const total = scoredQuestions.length;
+        const { concepts } = game.calculatePlayerConceptMastery(playerId);
+
+        return {
+            gameId: game.id,
+            gamePin: game.pin,
+            quizTitle: game.quiz.title || 'Untitled Quiz',
+            date: game.endTime || new Date().toISOString(),
+            playerName: player.name,
+            score: player.score || 0,
+            correct,
+            answered,
+            total,
+            accuracy: total > 0 ? Math.round((correct / total) * 100) : 0,
+            concepts: concepts.map(({ name, mastery, correct: conceptCorrect, total: conceptTotal }) => ({
+                name,
+                mastery,
+                correct: conceptCorrect,
+                total: conceptTotal
+            }))
+        };
+    }
+
+    /**
+     * Append a finished game to the profile of every matched player
+     * @param {Object} game - Finished Game instance (with ownerId and roster)
+     * @returns {Promise<number>} Number of students updated
+     */
+    async recordGame(game) {
+        if (!game?.ownerId || !Array.isArray(game.roster) || game.roster.length === 0) return 0;
+
+        let recorded = 0;
+        for (const [playerId, player] of game.players) {
+            if (!player.studentId) continue;
+            try {
+                const session = this._sessionFor(game, playerId);
+                await this._runExclusive(async () => {
+                    const key = this._keyFor(player.studentId);
+                    const doc = await this.storage.read(COLLECTIONS.PROGRESS, key) || {
+                        studentId: player.studentId,
+                        ownerId: game.ownerId,
+                        sessions: []
+                    };
+                    // A rematch keeps the game ID, so the end time tells plays apart
+                    if (doc.sessions.some(s => s.gameId === session.gameId && s.date === session.date)) return;
+
+                    doc.sessions = [...doc.sessions, session].slice(-MAX_SESSIONS);
+                    await this.storage.write(COLLECTIONS.PROGRESS, key, doc);
+                });
+                recorded++;
+            } catch (error) {
+                this.logger.error(`Failed to record progress for student ${player.studentId}:`, error);
+            }
+        }
+
+        if (recorded > 0) {
+            this.logger.info(`Recorded game ${game.pin} for ${recorded} student(s)`);
+        }
+        return recorded;
+    }
+
+    /**
+     * Stored sessions of a student, oldest first
+     * @param {string} ownerId - Account ID
+     * @param {string} studentId - Student ID
+     * @returns {Promise<Array>}
+     */
+    async _loadSessions(ownerId, studentId) {
+        const doc = await this.storage.read(COLLECTIONS.PROGRESS, this._keyFor(studentId));
+        // A document is only ever written for the roster it came from
+        if (!doc || doc.ownerId !== ownerId) return [];
+        return [...doc.sessions].sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+    }
+
+    /**
+     * Longitudinal profile of a roster student
+     * @param {string} ownerId - Account ID
+     * @param {string} studentId - Student ID
+     * @returns {Promise<Object>} Games played, accuracy trend and per-concept mastery over time
+     */
+    async getProfile(ownerId, studentId) {
+        const student = this._requireStudent(ownerId, studentId);
+        const sessions = await this._loadSessions(ownerId, studentId);
+        const accuracies = sessions.map(session => session.accuracy);
+
+        // Per concept: cumulative mastery plus one point per game that covered it
+        const conceptMap = new Map();
+        for (const session of sessions) {
+            for (const concept of session.concepts || []) {
+                const entry = conceptMap.get(concept.name) || { name: concept.name, correct: 0, total: 0, history: [] };
+                entry.correct += concept.correct;
+                entry.total += concept.total;
+                entry.history.push({ date: session.date, quizTitle: session.quizTitle, mastery: concept.mastery });
+                conceptMap.set(concept.name, entry);
+            }
+        }
+        const concepts = Array.from(conceptMap.values())
+            .map(entry => ({
+                name: entry.name,
+                mastery: entry.total > 0 ? Math.round((entry.correct / entry.total) * 100) : 0,
+                latest: entry.history[entry.history.length - 1].mastery,
+                gamesSeen: entry.history.length,
+                history: entry.history
+            }))
+            .sort((a, b) => a.mastery - b.mastery); // Weakest first, like the end screen
+
+        return {
+            student: { id: student.id, name: student.name },
+            gamesPlayed: sessions.length,
+            firstPlayed: sessions[0]?.date || null,
+            lastPlayed: sessions[sessions.length - 1]?.date || null,
+            averageAccuracy: average(accuracies),
+            recentAccuracy: average(accuracies.slice(-TREND_WINDOW)),
+            trend: accuracyTrend(accuracies),
+            accuracyTrend: sessions.map(session => ({
+                date: session.date,
+                quizTitle: session.quizTitle,
+                accuracy: session.accuracy,
+                score: session.score
+            })),
+            concepts,
+            sessions
+        };
+    }
+
+    /**
+     * Progress summary of every student on a roster, for the roster list
+     * @param {string} ownerId - Account ID
+     * @returns {Promise<Array>} Roster entries with gamesPlayed, averageAccuracy and trend
+     */
+    async listSummaries(ownerId) {
+        const roster = this.userService.getRoster(ownerId);
+        return Promise.all(roster.map(async student => {
+            let sessions = [];
+            try {
+                sessions = await this._loadSessions(ownerId, student.id);
+            } catch (error) {
+                this.logger.error(`Failed to read progress for student ${student.id}:`, error);
+            }
+            const accuracies = sessions.map(session => session.accuracy);
+            return {
+                ...student,
+                gamesPlayed: sessions.length,
+                lastPlayed: sessions[sessions.length - 1]?.date || null,
+                averageAccuracy: average(accuracies),
+                trend: accuracyTrend(accuracies)
+            };
+        }));
+    }
+
+    /**
+     * Export a profile
+     * @param {string} ownerId - Account ID
+     * @param {string} studentId - Student ID
+     * @param {string} format - 'csv' (one row per game) or 'json' (the full profile)
+     * @returns {Promise<{type: string, filename: string, content: string}>}
+     */
+    async exportProfile(ownerId, studentId, format) {
+        if (!['csv', 'json'].includes(String(format).toLowerCase())) {
+            throw makeError('Unsupported export format. Use csv or json.', 'error_unsupported_format');
+        }
+
+        const profile = await this.getProfile(ownerId, studentId);
+        // Header-safe filename: ASCII letters of the name, else the start of the ID
+        const asciiName = profile.student.name.replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '');
+        const baseName = `student_progress_${asciiName || profile.student.id.slice(0, 8)}`;
+
+        if (format.toLowerCase() === 'json') {
+            return {
+                type: 'application/json',
+                filename: `${baseName}.json`,
+                content: JSON.stringify(profile, null, 2)
+            };
+        }
+
+        let csv = '\ufeff'; // UTF-8 BOM for Excel compatibility
+        csv += 'Date,Quiz,Game PIN,Score,Correct,Questions,Accuracy (%),Concept Mastery\n';
+        for (const session of profile.sessions) {
+            const concepts = (session.concepts || [])
+                .map(concept => `${concept.name}: ${concept.mastery}%`)
+                .join('; ');
+            csv += [
+                csvValue(session.date),
+                csvValue(session.quizTitle),
+                csvValue(session.gamePin),
+                session.score,
+                session.correct,
+                session.total,
+                session.accuracy,
+                csvValue(concepts)
+            ].join(',') + '\n';
+        }
+
+        return { type: 'text/csv', filename: `${baseName}.csv`, content: csv };
+    }
+
+    /**
+     * Delete a student's progress (the student was removed from the roster)
+     * @param {string} studentId - Student ID
+     */
+    async deleteProgress(studentId) {
+        const key = this._keyFor(studentId);
+        await this._runExclusive(async () => {
+            if (await this.storage.exists(COLLECTIONS.PROGRESS, key)) {
+                await this.storage.remove(COLLECTIONS.PROGRESS, key);
+            }
+        });
+    }
+}
+
+module.exports = { StudentProgressService, MAX_SESSIONS };
@@ -8,7 +8,8 @@
  * the quiz yet is not raced.
  *
  * References are found by scanning the raw JSON text of quizzes/*.json and
- * results/*.json for `/uploads/<filename>` substrings (the storage-path format
+ * results/*.json (or, with a storage adapter, the serialized quiz, result,
+ * live game snapshot, assignment and review queue documents) for `/uploads/<filename>` substrings (the storage-path format
  * from image-path-resolver.js). Raw-text scanning is schema-agnostic — it
  * covers image, video, explanationVideo, per-option images, backgrounds, and
  * the question copies saved inside result files — and it naturally survives
@@ -20,6 +21,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { COLLECTIONS } = require('./storage-adapter');
 
 const GRACE_MS = 24 * 60 * 60 * 1000; // 24h — don't touch recently uploaded files
 const UPLOAD_REF_REGEX = /\/uploads\/([A-Za-z0-9._-]+)/g;
@@ -31,21 +33,42 @@ class UploadGCService {
      * @param {string} [options.uploadsDir='public/uploads']
      * @param {string[]} [options.referenceDirs=['quizzes','results']] - dirs whose
      *        *.json files may reference /uploads/ paths.
+     * @param {StorageAdapter} [options.storage] - when set, references are read
+     *        from its quiz and result documents instead of referenceDirs.
      * @param {number} [options.graceMs=24h] - minimum file age before deletion.
      */
     constructor(logger, options = {}) {
         this.logger = logger;
         this.uploadsDir = options.uploadsDir || path.join('public', 'uploads');
         this.referenceDirs = options.referenceDirs || ['quizzes', 'results'];
+        this.storage = options.storage || null;
         this.graceMs = options.graceMs != null ? options.graceMs : GRACE_MS;
     }
 
     /**
-     * Build the set of upload filenames referenced by any store.
-     * @returns {Promise<Set<string>>}
+     * Yield the raw text of every document that may reference uploads.
+     * Unreadable documents are skipped, never fatal.
+     * @returns {AsyncGenerator<string>}
      */
-    async collectReferenced() {
-        const referenced = new Set();
+    async *referenceTexts() {
+        if (this.storage) {
+            // Snapshots and assignments carry a copy of the quiz being played,
+            // and review queue items a copy of each question, any of which may
+            // have been deleted from the library since
+            for (const collection of [
+                COLLECTIONS.QUIZZES, COLLECTIONS.RESULTS, COLLECTIONS.SNAPSHOTS,
+                COLLECTIONS.ASSIGNMENTS, COLLECTIONS.REVIEW
+            ]) {
+                for (const key of await this.storage.keys(collection)) {
+                    try {
+                        yield JSON.stringify(await this.storage.read(collection, key));
+                    } catch (err) {
+                        this.logger.debug(`Upload GC: skipping unreadable ${collection}/${key}: ${err.message}`);
+                    }
+                }
+            }
+            return;
+        }
 
         for (const dir of this.referenceDirs) {
             let files;
@@ -60,20 +83,28 @@ class UploadGCService {
                 if (!name.endsWith('.json')) continue;
                 const filePath = path.join(dir, name);
 
-                let text;
                 try {
-                    text = await fs.readFile(filePath, 'utf8');
+                    yield await fs.readFile(filePath, 'utf8');
                 } catch (err) {
                     // Malformed/unreadable file: skip it, don't crash the sweep.
                     this.logger.debug(`Upload GC: skipping unreadable ${filePath}: ${err.message}`);
-                    continue;
                 }
+            }
+        }
+    }
 
-                let m;
-                UPLOAD_REF_REGEX.lastIndex = 0;
-                while ((m = UPLOAD_REF_REGEX.exec(text)) !== null) {
-                    referenced.add(m[1]);
-                }
+    /**
+     * Build the set of upload filenames referenced by any store.
+     * @returns {Promise<Set<string>>}
+     */
+    async collectReferenced() {
+        const referenced = new Set();
+
+        for await (const text of this.referenceTexts()) {
+            let m;
+            UPLOAD_REF_REGEX.lastIndex = 0;
+            while ((m = UPLOAD_REF_REGEX.exec(text)) !== null) {
+                referenced.add(m[1]);
             }
         }
 
@@ -155,4 +186,4 @@ class UploadGCService {
     }
 }
 
-module.exports = { UploadGCService, GRACE_MS };
+module.exports = { UploadGCService, GRACE_MS, UPLOAD_REF_REGEX };
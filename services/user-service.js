@@ -1,22 +1,34 @@
 /**
  * User Service
  *
- * File-backed user accounts stored in `${quizzesDir}/users.json`.
+ * User accounts stored as one `users.json` document in the system collection
+ * (`quizzes/users.json` on the file backend).
  *
  * Guarantees:
  * - All mutating operations serialize through a promise-chain mutex
  *   (prevents lost-update races on concurrent signups).
- * - Writes are atomic via temp file + rename.
+ * - Writes are atomic (temp file + rename, or a database transaction).
  * - Username lookup is case-insensitive via a lowercased index.
  * - Passwords are hashed with the shared PBKDF2 helper.
+ *
+ * Accounts can also come from an LMS (LTI launches): they are keyed by the
+ * platform and its user ID (`externalIndex`), have a generated username and
+ * no password, and are only signed in to by launching from the LMS.
+ *
+ * Each account may also keep a roster of students (`users[id].roster`). A
+ * student has a stable ID that progress profiles are keyed on, and a join code
+ * the student types when joining a live game to be matched to that ID.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
+
 const { v4: uuidv4 } = require('uuid');
 
 const { hashPassword, verifyPassword } = require('../utils/password-hash');
-const { atomicWriteFile } = require('./atomic-write');
+const { COLLECTIONS } = require('./storage-adapter');
+const { resolveStorage } = require('./file-storage-adapter');
+
+const USERS_KEY = 'users.json';
 
 const USERNAME_REGEX = /^[a-z0-9_]{3,32}$/;
 const PASSWORD_MIN_LENGTH = 8;
@@ -26,6 +38,19 @@ const PASSWORD_MAX_LENGTH = 200;
 const MAX_AUTH_ATTEMPTS = 10;
 const RATE_LIMIT_WINDOW_MS = 60 * 1000;
 
+// Student rosters
+const MAX_ROSTER_SIZE = 500;
+const STUDENT_NAME_MAX_LENGTH = 50;
+// Same character rules as player names (player-management-service.js)
+const STUDENT_NAME_REGEX = /^[\p{L}\p{N}\s\-_'.!?]+$/u;
+// No 0/O or 1/I/L: codes are read off a printed list and typed on phones
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+// Generated usernames of LMS accounts: prefix + hash of the LMS identity
+const EXTERNAL_USERNAME_PREFIX = 'lti_';
+const DISPLAY_NAME_MAX_LENGTH = 100;
+
 function makeError(message, messageKey, status = 400) {
     const err = new Error(message);
     err.messageKey = messageKey;
@@ -34,44 +59,48 @@ function makeError(message, messageKey, status = 400) {
 }
 
 class UserService {
-    constructor(logger, quizzesDir = 'quizzes') {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {StorageAdapter|string} [storage='quizzes'] - Storage adapter, or a directory for the file backend
+     */
+    constructor(logger, storage = 'quizzes') {
         this.logger = logger;
-        this.quizzesDir = quizzesDir;
-        this.usersPath = path.join(quizzesDir, 'users.json');
+        this.storage = resolveStorage(storage, logger);
         this.data = null;
         this._writeChain = Promise.resolve();
         this.authAttempts = new Map();
     }
 
     async initialize() {
-        await fs.mkdir(this.quizzesDir, { recursive: true });
+        await this.storage.initialize();
+        let parsed;
         try {
-            const raw = await fs.readFile(this.usersPath, 'utf8');
-            const parsed = JSON.parse(raw);
-            if (!parsed || typeof parsed !== 'object' || !parsed.users || !parsed.usernameIndex) {
+            parsed = await this.storage.read(COLLECTIONS.SYSTEM, USERS_KEY);
+            if (parsed && (typeof parsed !== 'object' || !parsed.users || !parsed.usernameIndex)) {
                 throw new Error('malformed');
             }
+        } catch (err) {
+            // Malformed or unreadable — refuse to start rather than silently
+            // wiping existing accounts.
+            this.logger.error(`users.json is unreadable/malformed: ${err.message}`);
+            throw new Error(`Cannot load users.json: ${err.message}`);
+        }
+
+        if (parsed) {
             this.data = parsed;
             this.logger.info(`Loaded user accounts: ${Object.keys(this.data.users).length} users`);
-        } catch (err) {
-            if (err.code === 'ENOENT') {
-                this.data = { version: '1.0', users: {}, usernameIndex: {} };
-                await this._writeNow();
-                this.logger.info('Created new users.json file');
-            } else {
-                // Malformed or unreadable — refuse to start rather than silently
-                // wiping existing accounts.
-                this.logger.error(`users.json is unreadable/malformed: ${err.message}`);
-                throw new Error(`Cannot load users.json: ${err.message}`);
-            }
+        } else {
+            this.data = { version: '1.0', users: {}, usernameIndex: {} };
+            await this._writeNow();
+            this.logger.info('Created new users.json file');
         }
     }
 
     /**
-     * Atomic write: temp file + rename.
+     * Atomic write of the whole accounts document.
      */
     async _writeNow() {
-        await atomicWriteFile(this.usersPath, JSON.stringify(this.data, null, 2));
+        await this.storage.write(COLLECTIONS.SYSTEM, USERS_KEY, this.data);
     }
 
     /**
@@ -209,7 +238,213 @@ class UserService {
     }
 
     _publicUser(user) {
-        return { id: user.id, username: user.username };
+        return {
+            id: user.id,
+            username: user.username,
+            ...(user.displayName && { displayName: user.displayName })
+        };
+    }
+
+    /**
+     * The account of an LMS user, created on their first launch. The display
+     * name follows the LMS on every launch.
+     * @param {Object} identity
+     * @param {string} identity.issuer - LMS platform issuer
+     * @param {string} identity.subject - The user's ID on that platform
+     * @param {string} [identity.name] - Name the LMS shows for the user
+     * @returns {Promise<{id: string, username: string, displayName?: string}>}
+     */
+    async findOrCreateExternalUser({ issuer, subject, name }) {
+        if (typeof issuer !== 'string' || !issuer || typeof subject !== 'string' || !subject) {
+            throw makeError('LMS user identity is incomplete', 'error_lti_launch_invalid', 400);
+        }
+        const key = `${issuer}#${subject}`;
+        const displayName = typeof name === 'string' ? name.trim().slice(0, DISPLAY_NAME_MAX_LENGTH) : '';
+
+        return this._runExclusive(async () => {
+            this.data.externalIndex = this.data.externalIndex || {};
+            const existing = this.data.users[this.data.externalIndex[key]];
+            if (existing) {
+                if (displayName && existing.displayName !== displayName) {
+                    existing.displayName = displayName;
+                }
+                existing.lastLogin = new Date().toISOString();
+                await this._writeNow();
+                return this._publicUser(existing);
+            }
+
+            // Usernames share the password accounts' namespace and format
+            const hash = crypto.createHash('sha256').update(key).digest('hex');
+            let length = 8;
+            let username = `${EXTERNAL_USERNAME_PREFIX}${hash.slice(0, length)}`;
+            while (this.data.usernameIndex[username]) {
+                username = `${EXTERNAL_USERNAME_PREFIX}${hash.slice(0, ++length)}`;
+            }
+
+            const id = uuidv4();
+            const nowIso = new Date().toISOString();
+            this.data.users[id] = {
+                id,
+                username,
+                passwordHash: null,
+                external: { issuer, subject },
+                ...(displayName && { displayName }),
+                created: nowIso,
+                lastLogin: nowIso
+            };
+            this.data.usernameIndex[username] = id;
+            this.data.externalIndex[key] = id;
+            await this._writeNow();
+            this.logger.info(`Created LMS user: ${username} (${id})`);
+            return this._publicUser(this.data.users[id]);
+        });
+    }
+
+    /**
+     * LMS identity of an account created by findOrCreateExternalUser
+     * @param {string} id - Account ID
+     * @returns {{issuer: string, subject: string}|null}
+     */
+    getExternalIdentity(id) {
+        const user = id && this.data ? this.data.users[id] : null;
+        return user?.external ? { ...user.external } : null;
+    }
+
+    // ------------------------------------------------------------------
+    // Student roster
+    // ------------------------------------------------------------------
+
+    _requireUser(ownerId) {
+        const user = ownerId && this.data ? this.data.users[ownerId] : null;
+        if (!user) {
+            throw makeError('User not found', 'error_user_not_found', 404);
+        }
+        return user;
+    }
+
+    _validateStudentName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed || trimmed.length > STUDENT_NAME_MAX_LENGTH) {
+            throw makeError(
+                `Student name must be 1-${STUDENT_NAME_MAX_LENGTH} characters`,
+                'error_student_name_length',
+                400
+            );
+        }
+        if (!STUDENT_NAME_REGEX.test(trimmed)) {
+            throw makeError('Student name contains invalid characters', 'error_name_invalid_chars', 400);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Join code not used by any other student on the roster
+     * @param {Array} roster - Owner's roster
+     * @returns {string}
+     */
+    _generateJoinCode(roster) {
+        const taken = new Set(roster.map(student => student.joinCode));
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+                code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+            }
+        } while (taken.has(code));
+        return code;
+    }
+
+    /**
+     * Students on an owner's roster, in the order they were added
+     * @param {string} ownerId - Account ID
+     * @returns {Array<{id: string, name: string, joinCode: string, created: string}>}
+     */
+    getRoster(ownerId) {
+        const user = ownerId && this.data ? this.data.users[ownerId] : null;
+        return (user?.roster || []).map(student => ({ ...student }));
+    }
+
+    /**
+     * One student on an owner's roster
+     * @param {string} ownerId - Account ID
+     * @param {string} studentId - Student ID
+     * @returns {Object|null}
+     */
+    getStudent(ownerId, studentId) {
+        return this.getRoster(ownerId).find(student => student.id === studentId) || null;
+    }
+
+    /**
+     * Add a student to an owner's roster
+     * @param {string} ownerId - Account ID
+     * @param {string} name - Student display name
+     * @returns {Promise<Object>} The new student, with its join code
+     */
+    async addStudent(ownerId, name) {
+        const trimmed = this._validateStudentName(name);
+
+        return this._runExclusive(async () => {
+            const user = this._requireUser(ownerId);
+            const roster = user.roster || [];
+            if (roster.length >= MAX_ROSTER_SIZE) {
+                throw makeError(`A roster holds at most ${MAX_ROSTER_SIZE} students`, 'error_roster_full', 400);
+            }
+
+            const student = {
+                id: uuidv4(),
+                name: trimmed,
+                joinCode: this._generateJoinCode(roster),
+                created: new Date().toISOString()
+            };
+            user.roster = [...roster, student];
+            await this._writeNow();
+            return { ...student };
+        });
+    }
+
+    /**
+     * Rename a student and/or issue a new join code
+     * @param {string} ownerId - Account ID
+     * @param {string} studentId - Student ID
+     * @param {{name?: string, regenerateCode?: boolean}} changes
+     * @returns {Promise<Object>} The updated student
+     */
+    async updateStudent(ownerId, studentId, changes = {}) {
+        const name = changes.name !== undefined ? this._validateStudentName(changes.name) : null;
+
+        return this._runExclusive(async () => {
+            const user = this._requireUser(ownerId);
+            const student = (user.roster || []).find(s => s.id === studentId);
+            if (!student) {
+                throw makeError('Student not found', 'error_student_not_found', 404);
+            }
+
+            if (name) student.name = name;
+            if (changes.regenerateCode) student.joinCode = this._generateJoinCode(user.roster);
+            await this._writeNow();
+            return { ...student };
+        });
+    }
+
+    /**
+     * Remove a student from an owner's roster
+     * @param {string} ownerId - Account ID
+     * @param {string} studentId - Student ID
+     * @returns {Promise<Object>} The removed student
+     */
+    async removeStudent(ownerId, studentId) {
+        return this._runExclusive(async () => {
+            const user = this._requireUser(ownerId);
+            const student = (user.roster || []).find(s => s.id === studentId);
+            if (!student) {
+                throw makeError('Student not found', 'error_student_not_found', 404);
+            }
+
+            user.roster = user.roster.filter(s => s.id !== studentId);
+            await this._writeNow();
+            this.logger.info(`Removed student ${studentId} from roster of ${ownerId}`);
+            return student;
+        });
     }
 }
 
@@ -218,5 +453,8 @@ module.exports = {
     USERNAME_REGEX,
     PASSWORD_MIN_LENGTH,
     PASSWORD_MAX_LENGTH,
-    MAX_AUTH_ATTEMPTS
+    MAX_AUTH_ATTEMPTS,
+    MAX_ROSTER_SIZE,
+    JOIN_CODE_ALPHABET,
+    JOIN_CODE_LENGTH
 };
@@ -4,6 +4,7 @@
  */
 
 const { z } = require('zod');
+const { BRANCH_CONDITIONS, MAX_LABEL_LENGTH, validateBranching } = require('./question-branching');
 
 // ============================================================================
 // Coercion helpers — quiz files may store strings for booleans/numbers
@@ -33,6 +34,44 @@ const videoFields = {
     explanationVideoManimCode: z.string().optional()
 };
 
+// Branching (question-branching.js): a label other questions can jump to, and
+// a rule for which question comes next. Labels and loops are checked across
+// the whole quiz by refineBranching below.
+const branchFields = {
+    label: z.string().trim().min(1).max(MAX_LABEL_LENGTH).optional(),
+    next: z.object({
+        when: z.enum(BRANCH_CONDITIONS),
+        value: z.number().int().min(0).max(100).optional(),
+        goTo: z.string().min(1).max(MAX_LABEL_LENGTH),
+        otherwise: z.string().min(1).max(MAX_LABEL_LENGTH).optional()
+    }).optional()
+};
+
+const BRANCH_ERROR_MESSAGES = {
+    branch_label_invalid: 'Question label is invalid',
+    branch_label_duplicate: 'Question label is used more than once',
+    branch_rule_invalid: 'Unknown branching condition',
+    branch_option_needs_choice: 'Only multiple-choice questions can branch on the chosen option',
+    branch_value_invalid: 'Branching value is out of range',
+    branch_target_missing: 'Branching target label does not exist',
+    branch_loop: 'Branching rules can loop forever'
+};
+
+/**
+ * Cross-question branching check for a quiz's questions
+ * @param {Object} quiz - Parsed quiz with `questions`
+ * @param {Object} ctx - Zod refinement context
+ */
+function refineBranching(quiz, ctx) {
+    for (const { index, messageKey } of validateBranching(quiz.questions)) {
+        ctx.addIssue({
+            code: 'custom',
+            path: ['questions', index, 'next'],
+            message: BRANCH_ERROR_MESSAGES[messageKey]
+        });
+    }
+}
+
 const multipleChoiceQuestionSchema = z.object({
     type: z.literal('multiple-choice'),
     question: z.string().min(1, 'Question text is required'),
@@ -44,7 +83,8 @@ const multipleChoiceQuestionSchema = z.object({
     explanation: z.string().optional(),
     image: z.string().optional(),
     concepts: z.array(z.string()).max(5).optional().default([]),
-    ...videoFields
+    ...videoFields,
+    ...branchFields
 });
 
 const multipleCorrectQuestionSchema = z.object({
@@ -58,7 +98,8 @@ const multipleCorrectQuestionSchema = z.object({
     explanation: z.string().optional(),
     image: z.string().optional(),
     concepts: z.array(z.string()).max(5).optional().default([]),
-    ...videoFields
+    ...videoFields,
+    ...branchFields
 });
 
 const trueFalseQuestionSchema = z.object({
@@ -75,7 +116,8 @@ const trueFalseQuestionSchema = z.object({
     explanation: z.string().optional(),
     image: z.string().optional(),
     concepts: z.array(z.string()).max(5).optional().default([]),
-    ...videoFields
+    ...videoFields,
+    ...branchFields
 }).refine(
     data => data.isPoll === true || typeof data.correctAnswer === 'boolean',
     {
@@ -94,7 +136,8 @@ const numericQuestionSchema = z.object({
     explanation: z.string().optional(),
     image: z.string().optional(),
     concepts: z.array(z.string()).max(5).optional().default([]),
-    ...videoFields
+    ...videoFields,
+    ...branchFields
 });
 
 const orderingQuestionSchema = z.object({
@@ -107,7 +150,38 @@ const orderingQuestionSchema = z.object({
     explanation: z.string().optional(),
     image: z.string().optional(),
     concepts: z.array(z.string()).max(5).optional().default([]),
-    ...videoFields
+    ...videoFields,
+    ...branchFields
+});
+
+const textInputQuestionSchema = z.object({
+    type: z.literal('text-input'),
+    question: z.string().min(1, 'Question text is required'),
+    acceptedAnswers: z.array(z.string().trim().min(1).max(200)).min(1, 'At least one accepted answer is required').max(20),
+    fuzzyThreshold: z.number().int().min(0).max(3).optional().default(0),
+    difficulty: z.enum(['easy', 'medium', 'hard']).optional().default('medium'),
+    timeLimit: z.number().int().min(5).max(300).optional().default(20),
+    explanation: z.string().optional(),
+    image: z.string().optional(),
+    concepts: z.array(z.string()).max(5).optional().default([]),
+    ...videoFields,
+    ...branchFields
+});
+
+const matchingQuestionSchema = z.object({
+    type: z.literal('matching'),
+    question: z.string().min(1, 'Question text is required'),
+    pairs: z.array(z.object({
+        left: z.string().trim().min(1).max(200),
+        right: z.string().trim().min(1).max(200)
+    })).min(2, 'At least two pairs are required').max(8),
+    difficulty: z.enum(['easy', 'medium', 'hard']).optional().default('medium'),
+    timeLimit: z.number().int().min(5).max(300).optional().default(20),
+    explanation: z.string().optional(),
+    image: z.string().optional(),
+    concepts: z.array(z.string()).max(5).optional().default([]),
+    ...videoFields,
+    ...branchFields
 });
 
 // Union of all question types
@@ -116,7 +190,9 @@ const questionSchema = z.discriminatedUnion('type', [
     multipleCorrectQuestionSchema,
     trueFalseQuestionSchema,
     numericQuestionSchema,
-    orderingQuestionSchema
+    orderingQuestionSchema,
+    textInputQuestionSchema,
+    matchingQuestionSchema
 ]);
 
 // ============================================================================
@@ -136,9 +212,41 @@ const scoringConfigSchema = z.object({
         easy: z.number().optional(),
         medium: z.number().optional(),
         hard: z.number().optional()
+    }).optional(),
+    // Extra points for consecutive correct answers: stepPercent per answer
+    // already in the streak, capped at maxPercent
+    streakBonus: z.object({
+        enabled: z.boolean().optional(),
+        stepPercent: z.number().int().min(1).max(100).optional(),
+        maxPercent: z.number().int().min(1).max(300).optional()
+    }).optional(),
+    // Extra percent of base points for a correct answer after afterMisses wrong ones in a row
+    comebackBonus: z.object({
+        enabled: z.boolean().optional(),
+        afterMisses: z.number().int().min(1).max(10).optional(),
+        percent: z.number().int().min(1).max(200).optional()
     }).optional()
 }).optional();
 
+// Per-power-up setup, keyed by power-up ID. The catalogue and each
+// parameter's real bounds live in services/power-up-registry.js, which
+// ignores unknown IDs and clamps values; these limits only reject nonsense.
+const powerUpSettingsSchema = z.record(z.string().max(40), z.object({
+    enabled: z.boolean().optional(),
+    uses: z.number().int().min(1).max(5).optional(),
+    extraSeconds: z.number().int().min(5).max(60).optional(),
+    multiplier: z.number().int().min(2).max(5).optional(),
+    pointsPercent: z.number().int().min(10).max(90).optional()
+})).optional();
+
+// Questions drawn from the question bank each time the quiz starts
+// (question-bank-service.js): `count` random questions tagged `concept`
+const bankDrawSchema = z.object({
+    concept: z.string().trim().min(1).max(100),
+    count: z.number().int().min(1).max(50),
+    difficulty: z.enum(['easy', 'medium', 'hard']).optional()
+});
+
 const quizSettingsSchema = z.object({
     randomizeQuestions: z.boolean().optional().default(false),
     randomizeAnswers: z.boolean().optional().default(false),
@@ -151,7 +259,22 @@ const quizSettingsSchema = z.object({
     consensusThreshold: z.enum(['50', '66', '75', '100']).optional().default('66'),
     discussionTime: z.number().int().min(10).max(300).optional().default(30),
     allowChat: z.boolean().optional().default(false),
-    scoringConfig: scoringConfigSchema
+    // Team mode settings
+    teamMode: z.boolean().optional().default(false),
+    teamCount: z.number().int().min(2).max(10).optional().default(2),
+    teamAggregation: z.enum(['sum', 'average', 'best']).optional().default('sum'),
+    teamAssignment: z.enum(['auto', 'manual']).optional().default('auto'),
+    // Elimination mode settings (0 turns the slowest cut / revival rounds off)
+    eliminationMode: z.boolean().optional().default(false),
+    eliminationSlowestPercent: z.number().int().min(0).max(50).optional().default(0),
+    eliminationRevivalEvery: z.number().int().min(0).max(20).optional().default(0),
+    // Adaptive difficulty (0 questions asks the whole quiz)
+    adaptiveMode: z.boolean().optional().default(false),
+    adaptiveQuestionCount: z.number().int().min(0).max(100).optional().default(0),
+    scoringConfig: scoringConfigSchema,
+    powerUpsEnabled: z.boolean().optional().default(false),
+    powerUpSettings: powerUpSettingsSchema,
+    bankDraws: z.array(bankDrawSchema).max(10).optional()
 }).optional();
 
 const saveQuizSchema = z.object({
@@ -160,7 +283,14 @@ const saveQuizSchema = z.object({
     settings: quizSettingsSchema,
     password: z.string().min(4).max(100).nullable().optional(),
     filename: z.string().regex(/^[a-zA-Z0-9._-]+\.json$/).optional()
-});
+}).superRefine(refineBranching);
+
+// Quiz content of a .quizix package (export request body and imported quiz.json)
+const quizPackageSchema = z.object({
+    title: z.string().min(1, 'Quiz title is required').max(200),
+    questions: z.array(questionSchema).min(1, 'At least one question is required'),
+    settings: quizSettingsSchema
+}).superRefine(refineBranching);
 
 // ============================================================================
 // AI Generation Schemas
@@ -403,6 +533,219 @@ const exportFormatSchema = z.object({
     format: z.enum(['csv', 'json'])
 });
 
+// Gradebook export (GradebookService): results files, score normalization,
+// grading scale and LMS column layout
+const gradebookExportSchema = z.object({
+    files: z.array(z.string().regex(/^results_\d+_\d+\.json$/, 'Invalid result filename format')).min(1).max(100),
+    normalization: z.enum(['points', 'percent', 'partial']).optional().default('percent'),
+    scale: z.enum(['none', 'letter', 'chile', 'custom']).optional().default('none'),
+    passPercent: z.number().min(1).max(99).optional().default(60),
+    bands: z.array(z.object({
+        min: z.number().min(0).max(100),
+        grade: z.string().trim().min(1).max(20)
+    })).max(20).optional().default([]),
+    layout: z.enum(['generic', 'moodle', 'canvas', 'classroom']).optional().default('generic')
+}).refine(body => body.scale !== 'custom' || body.bands.length > 0, {
+    message: 'A custom grading scale needs at least one band',
+    path: ['bands']
+});
+
+// ============================================================================
+// LTI Schemas
+// ============================================================================
+
+// Form fields posted by the LMS (or sent as a query string for the login);
+// unknown fields such as target_link_uri are ignored
+const ltiLoginSchema = z.object({
+    iss: z.string().url('Invalid issuer').max(500),
+    login_hint: z.string().min(1, 'login_hint is required').max(2000),
+    client_id: z.string().min(1).max(500).optional(),
+    lti_message_hint: z.string().max(4000).optional(),
+    lti_deployment_id: z.string().max(500).optional()
+});
+
+const ltiLaunchSchema = z.object({
+    id_token: z.string().min(1, 'id_token is required').max(20000),
+    state: z.string().regex(/^[a-f0-9]{32}$/, 'Invalid state')
+});
+
+// Quiz picked on the deep linking page
+const ltiDeepLinkSchema = z.object({
+    deepLink: z.string().regex(/^[a-f0-9]{32}$/, 'Invalid deep link'),
+    quiz: z.string().regex(/^[\w\-]+\.json$/, 'Invalid filename format'),
+    mode: z.enum(['homework', 'live']),
+    days: z.coerce.number().int().min(1).max(365).optional().default(14)
+});
+
+// ============================================================================
+// Assignment Schemas
+// ============================================================================
+
+const assignmentDate = z.string().refine(value => !Number.isNaN(Date.parse(value)), 'Invalid date');
+
+const createAssignmentSchema = z.object({
+    quizFilename: z.string().regex(/^[\w\-]+\.json$/, 'Invalid filename format'),
+    opensAt: assignmentDate,
+    closesAt: assignmentDate
+});
+
+const updateAssignmentSchema = z.object({
+    opensAt: assignmentDate.optional(),
+    closesAt: assignmentDate.optional()
+});
+
+const assignmentCodeParamSchema = z.object({
+    code: z.string().regex(/^\d{6}$/, 'Assignment code must be exactly 6 digits')
+});
+
+const assignmentAttemptParamSchema = z.object({
+    code: z.string().regex(/^\d{6}$/, 'Assignment code must be exactly 6 digits'),
+    token: z.string().uuid('Invalid attempt token')
+});
+
+// Same name constraints as playerJoinSchema
+const startAttemptSchema = z.object({
+    name: z.string().min(1, 'Name is required').max(50)
+});
+
+// Same answer shapes as socketSubmitAnswerSchema; null when the timer ran out
+const assignmentAnswerSchema = z.object({
+    questionNumber: z.number().int().min(1),
+    answer: z.union([
+        z.number(),
+        z.boolean(),
+        z.string().max(200),
+        z.array(z.number())
+    ]).nullable()
+});
+
+// ============================================================================
+// Student Roster Schemas
+// ============================================================================
+
+const createStudentSchema = z.object({
+    name: z.string().min(1, 'Name is required').max(50)
+});
+
+const updateStudentSchema = z.object({
+    name: z.string().min(1).max(50).optional(),
+    regenerateCode: z.boolean().optional()
+});
+
+const studentIdParamSchema = z.object({
+    id: z.string().uuid('Invalid student ID')
+});
+
+// Join codes are generated by UserService; accepted in either case
+const studentJoinCode = z.string().trim().regex(/^[A-Za-z0-9]{6}$/, 'Student code must be 6 characters');
+
+// ============================================================================
+// Webhook Schemas
+// ============================================================================
+
+// Mirrors WEBHOOK_EVENTS in services/webhook-service.js
+const WEBHOOK_EVENTS = ['game.started', 'game.ended', 'player.joined', 'player.left', 'results.saved'];
+
+const webhookUrl = z.string().trim().url('Invalid URL').max(2000)
+    .refine(url => /^https?:\/\//i.test(url), 'Webhook URL must be http or https');
+
+const createWebhookSchema = z.object({
+    url: webhookUrl,
+    events: z.array(z.enum(WEBHOOK_EVENTS)).min(1, 'Pick at least one event'),
+    description: z.string().trim().max(200).optional().default('')
+});
+
+const updateWebhookSchema = z.object({
+    url: webhookUrl.optional(),
+    events: z.array(z.enum(WEBHOOK_EVENTS)).min(1, 'Pick at least one event').optional(),
+    description: z.string().trim().max(200).optional(),
+    enabled: z.boolean().optional()
+});
+
+const webhookIdParamSchema = z.object({
+    id: z.string().uuid('Invalid webhook ID')
+});
+
+const webhookDeliveriesQuerySchema = z.object({
+    hookId: z.string().uuid('Invalid webhook ID').optional(),
+    status: z.enum(['pending', 'retrying', 'delivered', 'failed']).optional()
+});
+
+// ============================================================================
+// Review Queue Schemas
+// ============================================================================
+
+// Mirrors MAX_REVIEW_ITEMS in public/js/review/review-queue.js
+const MAX_REVIEW_ITEMS = 500;
+
+// One spaced-repetition item; scheduling fields are SM-2 (review-queue.js)
+const reviewItemSchema = z.object({
+    id: z.string().regex(/^[a-z0-9]{1,32}$/, 'Invalid review item ID'),
+    question: questionSchema,
+    quizTitle: z.string().max(200).optional(),
+    ease: z.number().min(1.3).max(5),
+    interval: z.number().min(0).max(36500),
+    reps: z.number().int().min(0),
+    lapses: z.number().int().min(0),
+    due: z.string().datetime(),
+    added: z.string().datetime(),
+    lastReviewed: z.string().datetime().nullable().optional()
+});
+
+const saveReviewQueueSchema = z.object({
+    items: z.array(reviewItemSchema).max(MAX_REVIEW_ITEMS)
+});
+
+// ============================================================================
+// Question Bank Schemas
+// ============================================================================
+
+const questionBankSearchSchema = z.object({
+    q: z.string().max(200).optional(),
+    type: z.enum(['multiple-choice', 'multiple-correct', 'true-false', 'numeric', 'ordering', 'text-input', 'matching']).optional(),
+    difficulty: z.enum(['easy', 'medium', 'hard']).optional(),
+    concept: z.string().max(100).optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional().default(50),
+    offset: z.coerce.number().int().min(0).optional().default(0)
+});
+
+const questionBankRefsSchema = z.object({
+    refs: z.array(z.string().regex(/^[\w.-]+\.json#\d+$/, 'Invalid question reference')).min(1).max(100)
+});
+
+const questionBankDrawSchema = z.object({
+    draws: z.array(bankDrawSchema).min(1).max(10),
+    // Texts of the quiz's own questions, so a draw never repeats one
+    excludeTexts: z.array(z.string().max(5000)).max(100).optional().default([])
+});
+
+// ============================================================================
+// Question Format Schemas
+// ============================================================================
+
+// Question exchange formats with a converter in server.js (questionFormats)
+const QUESTION_FORMATS = ['gift', 'moodle-xml', 'csv'];
+
+const questionFormatImportSchema = z.object({
+    format: z.enum(QUESTION_FORMATS),
+    content: z.string().min(1).max(5 * 1024 * 1024)
+});
+
+const questionFormatExportSchema = z.object({
+    format: z.enum(QUESTION_FORMATS),
+    title: z.string().min(1, 'Quiz title is required').max(200),
+    questions: z.array(questionSchema).min(1, 'At least one question is required')
+});
+
+// IMS QTI versions written by qti-package-service.js (imports read either)
+const QTI_VERSIONS = ['2.1', '3.0'];
+
+const qtiExportSchema = z.object({
+    version: z.enum(QTI_VERSIONS).optional().default('2.1'),
+    title: z.string().min(1, 'Quiz title is required').max(200),
+    questions: z.array(questionSchema).min(1, 'At least one question is required')
+});
+
 // ============================================================================
 // Socket Event Schemas
 // ============================================================================
@@ -412,8 +755,12 @@ const hostJoinSchema = z.object({
     quiz: z.object({
         title: z.string().min(1),
         questions: z.array(questionSchema).min(1),
+        // Library file the quiz was loaded from; only compared with the quiz
+        // of LMS live links (grade passback), never opened
+        filename: z.string().max(255).optional(),
         manualAdvancement: z.boolean().optional(),
         powerUpsEnabled: z.boolean().optional().default(false),
+        powerUpSettings: powerUpSettingsSchema,
         showLeaderboardBetweenQuestions: z.boolean().optional().default(true),
         randomizeQuestions: z.boolean().optional(),
         randomizeAnswers: z.boolean().optional(),
@@ -424,8 +771,20 @@ const hostJoinSchema = z.object({
         consensusMode: z.boolean().optional().default(false),
         consensusThreshold: z.enum(['50', '66', '75', '100']).optional().default('66'),
         discussionTime: z.number().int().min(10).max(300).optional().default(30),
-        allowChat: z.boolean().optional().default(false)
-    }),
+        allowChat: z.boolean().optional().default(false),
+        // Team mode settings
+        teamMode: z.boolean().optional().default(false),
+        teamCount: z.number().int().min(2).max(10).optional().default(2),
+        teamAggregation: z.enum(['sum', 'average', 'best']).optional().default('sum'),
+        teamAssignment: z.enum(['auto', 'manual']).optional().default('auto'),
+        // Elimination mode settings
+        eliminationMode: z.boolean().optional().default(false),
+        eliminationSlowestPercent: z.number().int().min(0).max(50).optional().default(0),
+        eliminationRevivalEvery: z.number().int().min(0).max(20).optional().default(0),
+        // Adaptive difficulty settings
+        adaptiveMode: z.boolean().optional().default(false),
+        adaptiveQuestionCount: z.number().int().min(0).max(100).optional().default(0)
+    }).superRefine(refineBranching),
     previousPin: z.string().regex(/^\d{6}$/).optional(),
     migrationToken: z.string().uuid().optional(),
     hostSessionId: z.string().uuid().optional()
@@ -434,7 +793,14 @@ const hostJoinSchema = z.object({
 const playerJoinSchema = z.object({
     pin: z.string().regex(/^\d{6}$/),
     name: z.string().min(1).max(50),
-    deviceId: z.string().uuid().optional()
+    deviceId: z.string().uuid().optional(),
+    // Roster matching: a student picked from the list, or a typed join code
+    studentId: z.string().uuid().optional(),
+    joinCode: studentJoinCode.optional()
+});
+
+const gameRosterSchema = z.object({
+    pin: z.string().regex(/^\d{6}$/)
 });
 
 // Same name constraints as playerJoinSchema (names render on host/player screens)
@@ -458,7 +824,7 @@ const socketSubmitAnswerSchema = z.object({
     answer: z.union([
         z.number(),
         z.boolean(),
-        z.string(),
+        z.string().max(200),
         z.array(z.number())
     ]),
     type: z.string().optional()
@@ -469,6 +835,12 @@ const kickPlayerSchema = z.object({
     playerId: z.string().min(1)
 });
 
+const assignTeamSchema = z.object({
+    pin: z.string().regex(/^\d{6}$/),
+    playerId: z.string().min(1),
+    teamId: z.number().int().min(1).max(10)
+});
+
 // Consensus mode socket event schemas
 const proposeAnswerSchema = z.object({
     answer: z.number().int().min(0)
@@ -568,12 +940,15 @@ function validateSocketEvent(eventName, data) {
         // Client to server
         'host-join': hostJoinSchema,
         'player-join': playerJoinSchema,
+        'get-game-roster': gameRosterSchema,
         'player-change-name': playerChangeNameSchema,
         // 'start-game' sends no data — validated by handler logic
         'next-question': nextQuestionSchema,
         'end-question-early': endQuestionEarlySchema,
         'submit-answer': socketSubmitAnswerSchema,
         'kick-player': kickPlayerSchema,
+        'ban-player': kickPlayerSchema, // same payload; the ban is implied by the event
+        'assign-team': assignTeamSchema,
         // Consensus mode events
         'propose-answer': proposeAnswerSchema,
         'send-quick-response': sendQuickResponseSchema,
@@ -636,6 +1011,7 @@ module.exports = {
     // Schemas
     questionSchema,
     saveQuizSchema,
+    quizPackageSchema,
     claudeGenerateSchema,
     geminiGenerateSchema,
     extractUrlSchema,
@@ -646,6 +1022,12 @@ module.exports = {
     resultFilenameSchema,
     pinSchema,
     exportFormatSchema,
+    gradebookExportSchema,
+
+    // LTI schemas
+    ltiLoginSchema,
+    ltiLaunchSchema,
+    ltiDeepLinkSchema,
 
     // File management schemas
     createFolderSchema,
@@ -656,6 +1038,38 @@ module.exports = {
     unlockSchema,
     folderIdParamSchema,
 
+    // Assignment schemas
+    createAssignmentSchema,
+    updateAssignmentSchema,
+    assignmentCodeParamSchema,
+    assignmentAttemptParamSchema,
+    startAttemptSchema,
+    assignmentAnswerSchema,
+
+    // Student roster schemas
+    createStudentSchema,
+    updateStudentSchema,
+    studentIdParamSchema,
+
+    // Webhook schemas
+    createWebhookSchema,
+    updateWebhookSchema,
+    webhookIdParamSchema,
+    webhookDeliveriesQuerySchema,
+
+    // Review queue schemas
+    saveReviewQueueSchema,
+
+    // Question bank schemas
+    questionBankSearchSchema,
+    questionBankRefsSchema,
+    questionBankDrawSchema,
+
+    // Question format schemas
+    questionFormatImportSchema,
+    questionFormatExportSchema,
+    qtiExportSchema,
+
     // Auth schemas
     signupSchema,
     loginSchema,
@@ -663,12 +1077,14 @@ module.exports = {
     // Socket event schemas
     hostJoinSchema,
     playerJoinSchema,
+    gameRosterSchema,
     playerChangeNameSchema,
     startGameSchema,
     nextQuestionSchema,
     endQuestionEarlySchema,
     socketSubmitAnswerSchema,
     kickPlayerSchema,
+    assignTeamSchema,
     // Consensus mode schemas
     proposeAnswerSchema,
     sendQuickResponseSchema,
@@ -0,0 +1,640 @@
+/**
+ * Webhook Service
+ *
+ * Outbound webhooks: game and results events are posted as signed JSON to
+ * URLs registered by signed-in users (for their own games) or server-wide
+ * by the operator (for every game).
+ *
+ * - Events: game.started, game.ended, player.joined, player.left and
+ *   results.saved (plus ping, sent by the "test" button)
+ * - Body: { id, event, createdAt, data }
+ * - Signature: `X-Quizix-Signature: sha256=<hex>`, the HMAC-SHA256 of
+ *   `<X-Quizix-Timestamp>.<body>` with the hook's secret (see verifySignature)
+ * - Deliveries are queued on disk and sent one at a time. Network errors,
+ *   timeouts, 408, 429 and 5xx are retried with backoff (RETRY_DELAYS_MS);
+ *   any other non-2xx response (redirects included) fails the delivery.
+ * - Every delivery is logged per owner (last MAX_LOG_ENTRIES) with its status,
+ *   attempts and last response, and can be re-sent from the log.
+ *
+ * User hooks may not target private or loopback addresses (utils/url-guard.js),
+ * checked when the hook is saved and again before each attempt, unless
+ * WEBHOOKS_ALLOW_PRIVATE=true (a LAN-only server posting to LAN services).
+ * Server-wide hooks come from a JSON file (default `config/webhooks.json`):
+ *   { "webhooks": [{ "url", "secret", "events": [] (optional, all when omitted),
+ *                    "description" }] }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { COLLECTIONS } = require('./storage-adapter');
+const { isBlockedHost } = require('../utils/url-guard');
+
+const WEBHOOK_EVENTS = ['game.started', 'game.ended', 'player.joined', 'player.left', 'results.saved'];
+const PING_EVENT = 'ping';
+
+const SIGNATURE_HEADER = 'X-Quizix-Signature';
+const TIMESTAMP_HEADER = 'X-Quizix-Timestamp';
+const USER_AGENT = 'Quizix-Webhooks/1.0';
+
+// Wait before each retry; a delivery gets one attempt more than there are delays
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000, 6 * 60 * 60 * 1000];
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_HOOKS_PER_USER = 10;
+const MAX_LOG_ENTRIES = 100;
+const MAX_QUEUE = 5000;
+// Response text kept in the log, enough to see an error message
+const MAX_RESPONSE_SNIPPET = 500;
+
+const SERVER_OWNER = 'server';
+const QUEUE_KEY = 'queue.json';
+const SAFE_KEY_PART = /^[\w-]+$/;
+
+function makeError(message, messageKey, status = 400) {
+    const err = new Error(message);
+    err.messageKey = messageKey;
+    err.status = status;
+    return err;
+}
+
+/**
+ * Signature header value for a delivery body
+ * @param {string} secret - Hook secret
+ * @param {string|number} timestamp - Unix seconds, as sent in X-Quizix-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} `sha256=<hex>`
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a received delivery, for receivers written in JavaScript
+ * @param {string} secret - Hook secret
+ * @param {string} timestamp - X-Quizix-Timestamp header
+ * @param {string} body - Raw request body
+ * @param {string} signature - X-Quizix-Signature header
+ * @param {number} [toleranceS=300] - Maximum age of the timestamp (0 to skip the check)
+ * @returns {boolean}
+ */
+function verifySignature(secret, timestamp, body, signature, toleranceS = 300) {
+    if (typeof signature !== 'string' || !/^\d+$/.test(String(timestamp))) {
+        return false;
+    }
+    if (toleranceS > 0 && Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceS) {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function newSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Whether a failed response status is worth retrying
+ * @param {number} status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+    return status >= 500 || status === 408 || status === 429;
+}
+
+class WebhookService {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {StorageAdapter} storage - Where hooks, the retry queue and delivery logs are kept
+     * @param {Object} [options]
+     * @param {string} [options.configPath='config/webhooks.json'] - Server-wide hooks
+     * @param {boolean} [options.allowPrivate=false] - Let user hooks target private addresses
+     * @param {number[]} [options.retryDelaysMs] - Backoff schedule (default RETRY_DELAYS_MS)
+     */
+    constructor(logger, storage, options = {}) {
+        this.logger = logger;
+        this.storage = storage;
+        this.configPath = options.configPath || path.join('config', 'webhooks.json');
+        this.allowPrivate = options.allowPrivate === true;
+        this.retryDelaysMs = options.retryDelaysMs || RETRY_DELAYS_MS;
+
+        this.serverHooks = [];
+        this.queue = []; // pending deliveries, persisted as queue.json
+        this.timer = null;
+        this.processing = null;
+        this.stopped = false;
+        this._writeChain = Promise.resolve();
+    }
+
+    /**
+     * Resume the retry queue and load the server-wide hooks. A broken config
+     * file still throws, but only after user hooks are working.
+     */
+    async initialize() {
+        const doc = await this.storage.read(COLLECTIONS.WEBHOOKS, QUEUE_KEY);
+        this.queue = Array.isArray(doc?.deliveries) ? doc.deliveries : [];
+        this.stopped = false;
+        try {
+            this.serverHooks = await this._loadServerHooks();
+            this.logger.info(`Webhooks: ${this.serverHooks.length} server-wide hook(s), ${this.queue.length} queued deliver${this.queue.length === 1 ? 'y' : 'ies'}`);
+        } finally {
+            this._schedule();
+        }
+    }
+
+    async _loadServerHooks() {
+        let config;
+        try {
+            config = JSON.parse(await fs.promises.readFile(this.configPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw new Error(`Cannot load ${this.configPath}: ${error.message}`);
+        }
+
+        return (config.webhooks || []).filter(hook => {
+            if (!this._isHttpUrl(hook?.url) || typeof hook.secret !== 'string' || !hook.secret) {
+                this.logger.warn(`Server webhook ${hook?.url || '(no url)'} skipped: needs an http(s) url and a secret`);
+                return false;
+            }
+            return true;
+        }).map((hook, index) => ({
+            id: `server-${index + 1}`,
+            url: hook.url,
+            secret: hook.secret,
+            events: Array.isArray(hook.events) ? hook.events.filter(event => WEBHOOK_EVENTS.includes(event)) : [...WEBHOOK_EVENTS],
+            description: typeof hook.description === 'string' ? hook.description : '',
+            enabled: true
+        }));
+    }
+
+    /**
+     * Stop sending; queued deliveries stay on disk for the next start
+     */
+    async shutdown() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        await this.processing;
+    }
+
+    /**
+     * Serialize document updates (see the queue in metadata-service.js)
+     */
+    _runExclusive(fn) {
+        const next = this._writeChain.then(fn, fn);
+        this._writeChain = next.catch(() => {});
+        return next;
+    }
+
+    _isHttpUrl(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Reject URLs a user hook may not post to
+     * @param {string} url
+     */
+    async _assertAllowedUrl(url) {
+        if (!this._isHttpUrl(url)) {
+            throw makeError('Webhook URL must be http or https', 'error_webhook_url_invalid');
+        }
+        if (!this.allowPrivate && await isBlockedHost(new URL(url).hostname, this.logger)) {
+            throw makeError('Webhook URL points to a private or unreachable address', 'error_webhook_url_blocked');
+        }
+    }
+
+    // ==================== HOOKS ====================
+
+    _hooksKey(userId) {
+        if (!SAFE_KEY_PART.test(String(userId))) {
+            throw makeError('Invalid user', 'error_invalid_request');
+        }
+        return `hooks_${userId}.json`;
+    }
+
+    _logKey(owner) {
+        if (!SAFE_KEY_PART.test(String(owner))) {
+            throw makeError('Invalid user', 'error_invalid_request');
+        }
+        return `deliveries_${owner}.json`;
+    }
+
+    async _readHooks(userId) {
+        const doc = await this.storage.read(COLLECTIONS.WEBHOOKS, this._hooksKey(userId));
+        return doc?.hooks || [];
+    }
+
+    /**
+     * Hook as shown to its owner: the secret only as a hint
+     */
+    _publicHook(hook) {
+        const { secret, ...rest } = hook;
+        return { ...rest, secretHint: `…${secret.slice(-4)}` };
+    }
+
+    /**
+     * A user's hooks, secrets hidden
+     * @param {string} userId
+     * @returns {Promise<Object[]>}
+     */
+    async listHooks(userId) {
+        return (await this._readHooks(userId)).map(hook => this._publicHook(hook));
+    }
+
+    /**
+     * Update one user's hook document
+     * @param {string} userId
+     * @param {Function} fn - (hooks) => result; may mutate the array
+     */
+    _updateHooks(userId, fn) {
+        return this._runExclusive(async () => {
+            const key = this._hooksKey(userId);
+            const doc = (await this.storage.read(COLLECTIONS.WEBHOOKS, key)) || { userId, hooks: [] };
+            const result = await fn(doc.hooks);
+            await this.storage.write(COLLECTIONS.WEBHOOKS, key, doc);
+            return result;
+        });
+    }
+
+    _findHook(hooks, hookId) {
+        const hook = hooks.find(h => h.id === hookId);
+        if (!hook) {
+            throw makeError('Webhook not found', 'error_webhook_not_found', 404);
+        }
+        return hook;
+    }
+
+    /**
+     * Register a hook; the secret is returned this once
+     * @param {string} userId
+     * @param {{url: string, events: string[], description?: string}} fields
+     * @returns {Promise<Object>} The hook, with `secret`
+     */
+    async createHook(userId, { url, events, description = '' }) {
+        await this._assertAllowedUrl(url);
+        return this._updateHooks(userId, hooks => {
+            if (hooks.length >= MAX_HOOKS_PER_USER) {
+                throw makeError(`At most ${MAX_HOOKS_PER_USER} webhooks per account`, 'error_webhook_limit');
+            }
+            const hook = {
+                id: uuidv4(),
+                url,
+                events: WEBHOOK_EVENTS.filter(event => events.includes(event)),
+                description,
+                secret: newSecret(),
+                enabled: true,
+                createdAt: new Date().toISOString()
+            };
+            hooks.push(hook);
+            return { ...this._publicHook(hook), secret: hook.secret };
+        });
+    }
+
+    /**
+     * Change a hook's URL, events, description or enabled flag
+     * @param {string} userId
+     * @param {string} hookId
+     * @param {Object} changes
+     * @returns {Promise<Object>} The hook, secret hidden
+     */
+    async updateHook(userId, hookId, changes) {
+        if (changes.url !== undefined) {
+            await this._assertAllowedUrl(changes.url);
+        }
+        return this._updateHooks(userId, hooks => {
+            const hook = this._findHook(hooks, hookId);
+            if (changes.url !== undefined) hook.url = changes.url;
+            if (changes.events !== undefined) hook.events = WEBHOOK_EVENTS.filter(event => changes.events.includes(event));
+            if (changes.description !== undefined) hook.description = changes.description;
+            if (changes.enabled !== undefined) hook.enabled = changes.enabled;
+            return this._publicHook(hook);
+        });
+    }
+
+    /**
+     * Remove a hook. Its queued deliveries fail on their next attempt.
+     * @param {string} userId
+     * @param {string} hookId
+     */
+    async deleteHook(userId, hookId) {
+        await this._updateHooks(userId, hooks => {
+            hooks.splice(hooks.indexOf(this._findHook(hooks, hookId)), 1);
+        });
+    }
+
+    /**
+     * Replace a hook's secret; the new one is returned this once
+     * @param {string} userId
+     * @param {string} hookId
+     * @returns {Promise<Object>} The hook, with `secret`
+     */
+    async rotateSecret(userId, hookId) {
+        return this._updateHooks(userId, hooks => {
+            const hook = this._findHook(hooks, hookId);
+            hook.secret = newSecret();
+            return { ...this._publicHook(hook), secret: hook.secret };
+        });
+    }
+
+    /**
+     * Queue a ping to one hook, whatever events it subscribes to
+     * @param {string} userId
+     * @param {string} hookId
+     * @returns {Promise<Object>} The delivery log entry
+     */
+    async sendTest(userId, hookId) {
+        const hook = this._findHook(await this._readHooks(userId), hookId);
+        const [delivery] = await this._enqueue([{ hook, owner: userId }], PING_EVENT, { hookId: hook.id, message: 'Webhook test from Quizix' });
+        return delivery;
+    }
+
+    // ==================== EVENTS ====================
+
+    /**
+     * Send an event to the server-wide hooks and the owner's hooks that
+     * subscribe to it. Never throws: webhooks must not disturb the game.
+     * @param {string} event - One of WEBHOOK_EVENTS
+     * @param {Object} data - Event payload
+     * @param {string|null} [ownerId] - Account whose hooks also receive it
+     */
+    async emit(event, data, ownerId = null) {
+        try {
+            const targets = this.serverHooks
+                .filter(hook => hook.events.includes(event))
+                .map(hook => ({ hook, owner: SERVER_OWNER }));
+            if (ownerId) {
+                for (const hook of await this._readHooks(ownerId)) {
+                    if (hook.enabled && hook.events.includes(event)) {
+                        targets.push({ hook, owner: ownerId });
+                    }
+                }
+            }
+            if (targets.length > 0) {
+                await this._enqueue(targets, event, data);
+            }
+        } catch (error) {
+            this.logger.error(`Webhook event ${event} not queued:`, error);
+        }
+    }
+
+    /**
+     * Queue one delivery per target and log them as pending
+     * @returns {Promise<Object[]>} The new log entries
+     */
+    async _enqueue(targets, event, data) {
+        const createdAt = new Date().toISOString();
+        const deliveries = targets.map(({ hook, owner }) => ({
+            id: uuidv4(),
+            owner,
+            hookId: hook.id,
+            url: hook.url,
+            event,
+            body: JSON.stringify({ id: uuidv4(), event, createdAt, data }),
+            status: 'pending',
+            attempts: 0,
+            createdAt,
+            nextAttemptAt: Date.now(),
+            lastAttemptAt: null,
+            responseStatus: null,
+            error: null
+        }));
+
+        await this._runExclusive(async () => {
+            this.queue.push(...deliveries);
+            if (this.queue.length > MAX_QUEUE) {
+                const dropped = this.queue.splice(0, this.queue.length - MAX_QUEUE);
+                this.logger.warn(`Webhook queue full, dropped ${dropped.length} oldest deliveries`);
+                for (const delivery of dropped) {
+                    await this._logDelivery({ ...delivery, status: 'failed', error: 'Dropped: queue full' });
+                }
+            }
+            for (const delivery of deliveries) {
+                await this._logDelivery(delivery);
+            }
+            await this._saveQueue();
+        });
+        this._schedule(0);
+        return deliveries.map(delivery => this._logEntry(delivery));
+    }
+
+    // ==================== DELIVERY ====================
+
+    _saveQueue() {
+        return this.storage.write(COLLECTIONS.WEBHOOKS, QUEUE_KEY, { deliveries: this.queue });
+    }
+
+    /**
+     * Run the queue when the next delivery is due
+     * @param {number} [delayMs] - Override the wait (0 to run now)
+     */
+    _schedule(delayMs) {
+        if (this.stopped || this.queue.length === 0) return;
+        const wait = delayMs ?? Math.max(0, Math.min(...this.queue.map(d => d.nextAttemptAt)) - Date.now());
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.processQueue().catch(error => this.logger.error('Webhook queue failed:', error));
+        }, wait);
+        this.timer.unref?.();
+    }
+
+    /**
+     * Send every due delivery, one at a time
+     * @returns {Promise<void>} Resolves when this pass is done
+     */
+    processQueue() {
+        if (!this.processing) {
+            this.processing = this._processDue().finally(() => {
+                this.processing = null;
+                this._schedule();
+            });
+        }
+        return this.processing;
+    }
+
+    async _processDue() {
+        while (!this.stopped) {
+            const now = Date.now();
+            const due = this.queue.find(d => d.nextAttemptAt <= now);
+            if (!due) return;
+            const outcome = await this._attempt(due)
+                .catch(error => ({ status: 'failed', attempts: due.attempts + 1, error: error.message }));
+            await this._runExclusive(async () => {
+                Object.assign(due, outcome);
+                if (due.status === 'delivered' || due.status === 'failed') {
+                    this.queue = this.queue.filter(d => d !== due);
+                }
+                await this._logDelivery(due);
+                await this._saveQueue();
+            });
+        }
+    }
+
+    /**
+     * The hook a delivery is for, as it is now (deleted and disabled hooks return null)
+     */
+    async _currentHook(delivery) {
+        const hooks = delivery.owner === SERVER_OWNER
+            ? this.serverHooks
+            : await this._readHooks(delivery.owner);
+        const hook = hooks.find(h => h.id === delivery.hookId);
+        return hook?.enabled ? hook : null;
+    }
+
+    /**
+     * Post a delivery once
+     * @returns {Promise<Object>} Fields to update on the delivery
+     */
+    async _attempt(delivery) {
+        const attempts = delivery.attempts + 1;
+        const lastAttemptAt = new Date().toISOString();
+        const hook = await this._currentHook(delivery);
+        if (!hook) {
+            return { status: 'failed', attempts: delivery.attempts, error: 'Webhook was deleted or disabled' };
+        }
+
+        let responseStatus = null;
+        let error = null;
+        let retryable = true;
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+        try {
+            if (delivery.owner !== SERVER_OWNER) {
+                await this._assertAllowedUrl(hook.url);
+            }
+            const timestamp = Math.floor(Date.now() / 1000);
+            const response = await fetch(hook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': USER_AGENT,
+                    'X-Quizix-Event': delivery.event,
+                    'X-Quizix-Delivery': delivery.id,
+                    [TIMESTAMP_HEADER]: String(timestamp),
+                    [SIGNATURE_HEADER]: signPayload(hook.secret, timestamp, delivery.body)
+                },
+                body: delivery.body,
+                redirect: 'manual',
+                signal: controller.signal
+            });
+            responseStatus = response.status;
+            const text = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_SNIPPET);
+            if (response.ok) {
+                return { status: 'delivered', url: hook.url, attempts, lastAttemptAt, responseStatus, response: text, error: null };
+            }
+            error = `HTTP ${response.status}${text ? `: ${text}` : ''}`;
+            retryable = isRetryableStatus(response.status);
+        } catch (err) {
+            error = err.name === 'AbortError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : err.message;
+            retryable = !err.messageKey; // a blocked URL will not get better
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        const delay = this.retryDelaysMs[attempts - 1];
+        if (retryable && delay !== undefined) {
+            return { status: 'retrying', url: hook.url, attempts, lastAttemptAt, responseStatus, error, nextAttemptAt: Date.now() + delay };
+        }
+        this.logger.warn(`Webhook ${delivery.event} to ${hook.url} failed after ${attempts} attempt(s): ${error}`);
+        return { status: 'failed', url: hook.url, attempts, lastAttemptAt, responseStatus, error };
+    }
+
+    // ==================== DELIVERY LOG ====================
+
+    /**
+     * Log entry as shown to the owner
+     */
+    _logEntry(delivery) {
+        const { owner: _owner, nextAttemptAt, ...entry } = delivery;
+        return {
+            ...entry,
+            nextAttemptAt: entry.status === 'pending' || entry.status === 'retrying'
+                ? new Date(nextAttemptAt).toISOString()
+                : null
+        };
+    }
+
+    /**
+     * Insert or replace a delivery in its owner's log. Callers hold _runExclusive.
+     */
+    async _logDelivery(delivery) {
+        const key = this._logKey(delivery.owner);
+        const doc = (await this.storage.read(COLLECTIONS.WEBHOOKS, key)) || { owner: delivery.owner, deliveries: [] };
+        const entry = this._logEntry(delivery);
+        doc.deliveries = [entry, ...doc.deliveries.filter(d => d.id !== delivery.id)].slice(0, MAX_LOG_ENTRIES);
+        await this.storage.write(COLLECTIONS.WEBHOOKS, key, doc);
+    }
+
+    /**
+     * A user's recent deliveries, newest first
+     * @param {string} userId
+     * @param {Object} [filter]
+     * @param {string} [filter.hookId]
+     * @param {string} [filter.status]
+     * @returns {Promise<Object[]>}
+     */
+    async listDeliveries(userId, { hookId, status } = {}) {
+        const doc = await this.storage.read(COLLECTIONS.WEBHOOKS, this._logKey(userId));
+        return (doc?.deliveries || [])
+            .filter(d => (!hookId || d.hookId === hookId) && (!status || d.status === status));
+    }
+
+    /**
+     * Send a logged delivery again (same body, new delivery ID)
+     * @param {string} userId
+     * @param {string} deliveryId
+     * @returns {Promise<Object>} The new log entry
+     */
+    async retryDelivery(userId, deliveryId) {
+        const original = (await this.listDeliveries(userId)).find(d => d.id === deliveryId);
+        if (!original) {
+            throw makeError('Delivery not found', 'error_webhook_delivery_not_found', 404);
+        }
+        if (original.status === 'pending' || original.status === 'retrying') {
+            throw makeError('Delivery is still queued', 'error_webhook_delivery_queued', 409);
+        }
+        const hook = this._findHook(await this._readHooks(userId), original.hookId);
+
+        const delivery = {
+            id: uuidv4(),
+            owner: userId,
+            hookId: hook.id,
+            url: hook.url,
+            event: original.event,
+            body: original.body,
+            status: 'pending',
+            attempts: 0,
+            createdAt: new Date().toISOString(),
+            nextAttemptAt: Date.now(),
+            lastAttemptAt: null,
+            responseStatus: null,
+            error: null,
+            retryOf: original.id
+        };
+        await this._runExclusive(async () => {
+            this.queue.push(delivery);
+            await this._logDelivery(delivery);
+            await this._saveQueue();
+        });
+        this._schedule(0);
+        return this._logEntry(delivery);
+    }
+}
+
+module.exports = {
+    WebhookService,
+    WEBHOOK_EVENTS,
+    RETRY_DELAYS_MS,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    signPayload,
+    verifySignature
+};
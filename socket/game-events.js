@@ -4,9 +4,10 @@
  */
 
 const { validateAndHandle } = require('../services/validation-schemas');
+const { adaptiveQuestionCount } = require('../services/adaptive-difficulty');
 
 function registerGameEvents(io, socket, options) {
-    const { gameSessionService, playerManagementService, questionFlowService, checkRateLimit, logger } = options;
+    const { gameSessionService, playerManagementService, questionFlowService, userService, checkRateLimit, logger } = options;
 
     socket.on('host-join', (data) => {
         if (!checkRateLimit(socket.id, 'host-join', 5, socket)) return;
@@ -33,6 +34,12 @@ function registerGameEvents(io, socket, options) {
             // Create new game
             const game = gameSessionService.createGame(socket.id, quiz);
 
+            // A signed-in host's roster lets players join as their student identity
+            const owner = socket.data?.user;
+            if (owner && userService) {
+                game.setRoster(owner.id, userService.getRoster(owner.id));
+            }
+
             // Create or reuse host session (pass hostSessionId from client for reconnect continuity)
             const session = playerManagementService.createOrGetSession(socket.id, validated.hostSessionId || null);
             session.currentGamePin = game.pin;
@@ -50,13 +57,17 @@ function registerGameEvents(io, socket, options) {
                 gameId: game.id,
                 title: quiz.title,
                 hostSessionId: session.hostSessionId,
-                hostToken: game.hostToken
+                hostToken: game.hostToken,
+                ...(game.roster?.length > 0 && { rosterSize: game.roster.length }),
+                ...(game.isTeamMode && { teams: game.teams, teamAssignment: game.teamConfig.assignment })
             });
 
             socket.broadcast.emit('game-available', {
                 pin: game.pin,
                 title: quiz.title,
-                questionCount: quiz.questions.length,
+                questionCount: quiz.adaptiveMode
+                    ? adaptiveQuestionCount(quiz.questions.length, quiz.adaptiveQuestionCount)
+                    : quiz.questions.length,
                 created: game.createdAt
             });
 
@@ -72,6 +72,10 @@ function registerGameplayEvents(io, socket, options) {
                 if (type === 'extend-time' && result.extraSeconds) {
                     gameSessionService.extendQuestionTimer(game, io, result.extraSeconds);
                 }
+                // A skip counts as an answer, so it can be the one that ends the question early
+                if (result.skipped) {
+                    questionFlowService.scheduleAnswerCountUpdate(game, io);
+                }
                 logger.info(`Player ${playerData.name} used power-up: ${type} in game ${playerData.gamePin}`);
             }
         } catch (error) {
@@ -18,6 +18,7 @@ const { registerConsensusEvents } = require('./consensus-events');
  * @param {Object} options.questionFlowService - Question flow service
  * @param {Object} options.consensusFlowService - Consensus flow service
  * @param {Object} options.socketBatchService - Socket batch service
+ * @param {Object} options.userService - User service (host rosters)
  * @param {Function} options.checkRateLimit - Rate limiting function
  * @param {Object} options.logger - Logger instance
  * @param {Object} options.CONFIG - Configuration constants
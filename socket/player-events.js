@@ -1,6 +1,7 @@
 /**
  * Player management event handlers
- * Handles: player-join, player-change-name, leave-game, disconnect
+ * Handles: player-join, get-game-roster, player-change-name, leave-game,
+ * kick-player, ban-player, assign-team, disconnect
  */
 
 const { validateAndHandle } = require('../services/validation-schemas');
@@ -14,7 +15,7 @@ function registerPlayerEvents(io, socket, options) {
             const validated = validateAndHandle(socket, 'player-join', data, logger);
             if (!validated) return;
 
-            const { pin, name, deviceId } = validated;
+            const { pin, name, deviceId, studentId, joinCode } = validated;
             const game = gameSessionService.getGame(pin);
 
             const result = playerManagementService.handlePlayerJoin(
@@ -24,7 +25,8 @@ function registerPlayerEvents(io, socket, options) {
                 game,
                 socket,
                 io,
-                deviceId
+                deviceId,
+                { studentId, joinCode }
             );
 
             if (!result.success) {
@@ -36,6 +38,25 @@ function registerPlayerEvents(io, socket, options) {
         }
     });
 
+    // Roster names for the join screen's "pick your name" list. An unknown
+    // PIN or a game without a roster answers with an empty list.
+    socket.on('get-game-roster', (data) => {
+        if (!checkRateLimit(socket.id, 'get-game-roster', 10, socket)) return;
+        try {
+            const validated = validateAndHandle(socket, 'get-game-roster', data, logger);
+            if (!validated) return;
+
+            const game = gameSessionService.getGame(validated.pin);
+            socket.emit('game-roster', {
+                pin: validated.pin,
+                students: game ? game.getRosterChoices() : []
+            });
+        } catch (error) {
+            logger.error('Error in get-game-roster handler:', error);
+            socket.emit('game-roster', { pin: data?.pin, students: [] });
+        }
+    });
+
     socket.on('player-change-name', (data) => {
         if (!checkRateLimit(socket.id, 'player-change-name', 5, socket)) return;
         try {
@@ -114,6 +135,56 @@ function registerPlayerEvents(io, socket, options) {
         }
     });
 
+    // Host moderation: kick-player removes a player, ban-player also blocks
+    // their name/device from coming back. Only the game's own host may do either.
+    const handleHostModeration = (eventName, ban) => (data) => {
+        if (!checkRateLimit(socket.id, eventName, 5, socket)) return;
+        try {
+            const validated = validateAndHandle(socket, eventName, data, logger);
+            if (!validated) return;
+
+            const game = gameSessionService.findGameByHost(socket.id);
+            if (!game || game.pin !== validated.pin) {
+                socket.emit('error', { message: 'Only the host can remove players', messageKey: 'error_not_authorized_host' });
+                return;
+            }
+
+            const result = playerManagementService.handleKickPlayer(validated.playerId, game, io, ban);
+            if (!result.success) {
+                socket.emit('error', { message: result.error, messageKey: result.messageKey || 'error_failed_remove_player' });
+            }
+        } catch (error) {
+            logger.error(`Error in ${eventName} handler:`, error);
+            socket.emit('error', { message: 'Failed to remove player', messageKey: 'error_failed_remove_player' });
+        }
+    };
+
+    socket.on('kick-player', handleHostModeration('kick-player', false));
+    socket.on('ban-player', handleHostModeration('ban-player', true));
+
+    // Team mode: the host moves a player to another team in the lobby
+    socket.on('assign-team', (data) => {
+        if (!checkRateLimit(socket.id, 'assign-team', 10, socket)) return;
+        try {
+            const validated = validateAndHandle(socket, 'assign-team', data, logger);
+            if (!validated) return;
+
+            const game = gameSessionService.findGameByHost(socket.id);
+            if (!game || game.pin !== validated.pin) {
+                socket.emit('error', { message: 'Only the host can change teams', messageKey: 'error_not_authorized_host' });
+                return;
+            }
+
+            const result = playerManagementService.handleAssignTeam(validated.playerId, validated.teamId, game, io);
+            if (!result.success) {
+                socket.emit('error', { message: result.error, messageKey: result.messageKey || 'error_failed_assign_team' });
+            }
+        } catch (error) {
+            logger.error('Error in assign-team handler:', error);
+            socket.emit('error', { message: 'Failed to change team', messageKey: 'error_failed_assign_team' });
+        }
+    });
+
     // Handle host reconnection after disconnect
     socket.on('host-rejoin', (data) => {
         if (!checkRateLimit(socket.id, 'host-rejoin', 5, socket)) return;
@@ -190,6 +261,8 @@ function registerPlayerEvents(io, socket, options) {
                     timeLimit,
                     // Host always sees the canonical (unshuffled) option order
                     options: currentQ.options,
+                    // ...except the matching right column, which would give the pairs away
+                    ...(currentQ.type === 'matching' && game.getMatchingColumns(currentQ)),
                     remainingTimeMs: Math.max(0, endsAt - Date.now())
                 });
 
@@ -199,6 +272,14 @@ function registerPlayerEvents(io, socket, options) {
                     connectedPlayers: activePlayers.length,
                     totalPlayers: game.players.size
                 });
+            } else if (game.gameState === 'revealing' && game.manualAdvancement && !game.isAdvancing) {
+                // A manual game paused between questions is waiting on this
+                // host's Next button, which was emitted to the old socket.
+                // As when it was first shown: no next question once an
+                // elimination winner is decided or the branching rules end the quiz.
+                socket.emit('show-next-button', {
+                    isLastQuestion: !game.hasNextQuestion()
+                });
             }
 
             logger.info(`Host reconnected to game ${game.pin}`);
@@ -315,7 +396,9 @@ function registerPlayerEvents(io, socket, options) {
 
             const question = game.quiz.questions[game.currentQuestion];
             const timeLimit = question.timeLimit || question.time || 20;
-            const remainingMs = Math.max(0, (timeLimit * 1000) - (Date.now() - game.questionStartTime));
+            // questionEndsAt is the authoritative deadline (extend-time moves it)
+            const endsAt = game.questionEndsAt || (game.questionStartTime + timeLimit * 1000);
+            const remainingMs = Math.max(0, endsAt - Date.now());
 
             socket.emit('time-sync', { remainingMs });
         } catch (error) {
@@ -0,0 +1,100 @@
+/**
+ * In-memory StorageAdapter for service unit tests.
+ *
+ * Implements the whole StorageAdapter interface and runs the same contract
+ * suite as the file and SQLite backends (tests/unit/storage-adapter.test.js),
+ * so services are tested against the behavior they get in production:
+ * documents are copied in and out, missing ones read as null, keys are scoped
+ * to their collection and list summaries are cached until a document changes.
+ *
+ * Documents are kept in `docs` under `<collection>/<key>` for assertions; the
+ * time a document was last written is in `modified` under the same id and may
+ * be set by a test. Spy on a method (jest.spyOn) to count or delay calls.
+ */
+
+const { StorageAdapter } = require('../../services/storage-adapter');
+
+const clone = (document) => JSON.parse(JSON.stringify(document));
+
+class MemoryStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} [documents] - Initial documents by collection, then key:
+     *   `{ [collection]: { [key]: document } }`
+     */
+    constructor(documents = {}) {
+        super();
+        this.docs = new Map();
+        this.modified = new Map();
+        // id -> { modified, summary }, dropped when the document changes
+        this.summaries = new Map();
+        for (const [collection, byKey] of Object.entries(documents)) {
+            for (const [key, document] of Object.entries(byKey)) {
+                this._set(collection, key, document);
+            }
+        }
+    }
+
+    _id(collection, key) {
+        return `${collection}/${key}`;
+    }
+
+    _set(collection, key, document) {
+        const id = this._id(collection, key);
+        this.docs.set(id, clone(document));
+        this.modified.set(id, new Date());
+        this.summaries.delete(id);
+    }
+
+    async initialize() {}
+
+    async read(collection, key) {
+        const document = this.docs.get(this._id(collection, key));
+        return document === undefined ? null : clone(document);
+    }
+
+    async write(collection, key, document) {
+        this._set(collection, key, document);
+    }
+
+    async remove(collection, key) {
+        const id = this._id(collection, key);
+        this.docs.delete(id);
+        this.modified.delete(id);
+        this.summaries.delete(id);
+    }
+
+    async exists(collection, key) {
+        return this.docs.has(this._id(collection, key));
+    }
+
+    async keys(collection) {
+        const prefix = `${collection}/`;
+        return [...this.docs.keys()]
+            .filter(id => id.startsWith(prefix))
+            .map(id => id.slice(prefix.length));
+    }
+
+    async list(collection, summarize) {
+        const entries = [];
+        for (const key of await this.keys(collection)) {
+            const id = this._id(collection, key);
+            const document = this.docs.get(id);
+            const modified = this.modified.get(id);
+
+            let cached = this.summaries.get(id);
+            if (!cached || cached.modified !== modified) {
+                try {
+                    cached = { modified, summary: summarize(clone(document)) };
+                } catch {
+                    // Like the real adapters: a document that cannot be summarized is left out
+                    continue;
+                }
+                this.summaries.set(id, cached);
+            }
+            entries.push({ key, summary: cached.summary, size: JSON.stringify(document).length, modified });
+        }
+        return entries;
+    }
+}
+
+module.exports = { MemoryStorageAdapter };
@@ -0,0 +1,72 @@
+/**
+ * Adaptive difficulty — server picker and its practice-mode mirror
+ *
+ * services/adaptive-difficulty.js is authoritative; public/js/utils/adaptive-difficulty.js
+ * repeats it for LocalGameSession. Every case runs against both copies.
+ */
+
+import * as client from '../../public/js/utils/adaptive-difficulty.js';
+
+const server = require('../../services/adaptive-difficulty');
+
+const POOL = [
+    { question: 'e1', difficulty: 'easy' },
+    { question: 'm1', difficulty: 'medium' },
+    { question: 'h1', difficulty: 'hard' },
+    { question: 'e2', difficulty: 'easy' },
+    { question: 'm2' },
+    { question: 'h2', difficulty: 'hard' }
+];
+
+describe.each([['server', server], ['client', client]])('adaptive difficulty (%s)', (_name, adaptive) => {
+    test('keeps the same thresholds and levels', () => {
+        expect(adaptive.DIFFICULTY_LEVELS).toEqual(server.DIFFICULTY_LEVELS);
+        expect(adaptive.START_DIFFICULTY).toBe(server.START_DIFFICULTY);
+        expect(adaptive.RAISE_AT_PERCENT).toBe(server.RAISE_AT_PERCENT);
+        expect(adaptive.LOWER_BELOW_PERCENT).toBe(server.LOWER_BELOW_PERCENT);
+    });
+
+    test('treats a question without a known difficulty as medium', () => {
+        expect(adaptive.difficultyOf({ difficulty: 'hard' })).toBe('hard');
+        expect(adaptive.difficultyOf({})).toBe('medium');
+        expect(adaptive.difficultyOf({ difficulty: 'brutal' })).toBe('medium');
+    });
+
+    test('raises, lowers or keeps the level by accuracy', () => {
+        expect(adaptive.nextDifficulty('medium', 75)).toBe('hard');
+        expect(adaptive.nextDifficulty('medium', 74)).toBe('medium');
+        expect(adaptive.nextDifficulty('medium', 40)).toBe('medium');
+        expect(adaptive.nextDifficulty('medium', 39)).toBe('easy');
+        expect(adaptive.nextDifficulty('hard', 100)).toBe('hard');
+        expect(adaptive.nextDifficulty('easy', 0)).toBe('easy');
+        expect(adaptive.nextDifficulty('hard', null)).toBe('hard');
+    });
+
+    test('starts at medium and follows the accuracy', () => {
+        expect(adaptive.pickNextQuestion(POOL, [], null)).toBe(1);
+        expect(adaptive.pickNextQuestion(POOL, [1], 90)).toBe(2);
+        expect(adaptive.pickNextQuestion(POOL, [1], 10)).toBe(0);
+        expect(adaptive.pickNextQuestion(POOL, [1], 50)).toBe(4);
+    });
+
+    test('falls back to the nearest level, easier on a tie', () => {
+        const asked = [1, 4];
+        expect(adaptive.pickQuestion(POOL, asked, 'medium')).toBe(0);
+        expect(adaptive.pickQuestion(POOL, new Set([0, 1, 3, 4]), 'easy')).toBe(2);
+        expect(adaptive.pickQuestion(POOL, POOL.map((_, index) => index), 'medium')).toBe(-1);
+    });
+
+    test('limits the question count to the pool', () => {
+        expect(adaptive.adaptiveQuestionCount(6, 0)).toBe(6);
+        expect(adaptive.adaptiveQuestionCount(6, undefined)).toBe(6);
+        expect(adaptive.adaptiveQuestionCount(6, 4)).toBe(4);
+        expect(adaptive.adaptiveQuestionCount(6, 10)).toBe(6);
+    });
+
+    test('scores a single answer, with no accuracy for a poll', () => {
+        expect(adaptive.answerAccuracy({ isCorrect: true }, {})).toBe(100);
+        expect(adaptive.answerAccuracy({ isCorrect: false }, {})).toBe(0);
+        expect(adaptive.answerAccuracy(undefined, {})).toBe(0);
+        expect(adaptive.answerAccuracy({ isCorrect: null, isPoll: true }, { isPoll: true })).toBeNull();
+    });
+});
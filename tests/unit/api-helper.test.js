@@ -78,3 +78,35 @@ describe('APIHelper.getApiUrl', () => {
         expect(APIHelper.getApiUrl('api/x')).toBe('http://localhost/quizix/api/x');
     });
 });
+
+describe('APIHelper.requestJSON', () => {
+    const respond = (status, body) => Promise.resolve({
+        ok: status < 400,
+        status,
+        statusText: '',
+        json: () => (body === undefined ? Promise.reject(new Error('no body')) : Promise.resolve(body))
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test('returns the parsed body of a successful request', async () => {
+        global.fetch = jest.fn(() => respond(200, { hooks: [] }));
+        await expect(APIHelper.requestJSON('api/webhooks')).resolves.toEqual({ hooks: [] });
+    });
+
+    test('throws the server\'s message with its messageKey and status', async () => {
+        global.fetch = jest.fn(() => respond(403, { error: 'You do not own this quiz', messageKey: 'error_not_a_loaded_key' }));
+        await expect(APIHelper.requestJSON('api/assignments', { method: 'POST' })).rejects.toMatchObject({
+            message: 'You do not own this quiz',
+            messageKey: 'error_not_a_loaded_key',
+            status: 403
+        });
+    });
+
+    test('falls back to a generic message when the failure has no body', async () => {
+        global.fetch = jest.fn(() => respond(502));
+        await expect(APIHelper.requestJSON('api/students')).rejects.toMatchObject({ message: 'Action failed', status: 502 });
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Assignment Routes Tests
+ *
+ * Publishing gates of POST /api/assignments, over a real HTTP server with the
+ * service mocked: only quizzes the teacher may open without a password can be
+ * handed out to anyone holding the code.
+ */
+
+const http = require('http');
+const express = require('express');
+const { createAssignmentRoutes } = require('../../routes/assignments');
+const schemas = require('../../services/validation-schemas');
+
+const TEACHER = { id: 'teacher-1' };
+
+function buildApp({ assignmentService, metadataService }) {
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => { req.user = TEACHER; next(); });
+    const passthrough = (req, _res, next) => next();
+    app.use('/api/assignments', createAssignmentRoutes({
+        assignmentService,
+        quizService: { validateFilename: () => true },
+        metadataService,
+        logger: { debug() {}, info() {}, warn() {}, error() {} },
+        validateBody: schemas.validateBody,
+        validateParams: schemas.validateParams,
+        schemas,
+        lookupRateLimit: passthrough,
+        playRateLimit: passthrough
+    }));
+    return app;
+}
+
+describe('POST /api/assignments', () => {
+    let server;
+    let base;
+    let assignmentService;
+    let metadataService;
+
+    beforeEach(done => {
+        assignmentService = { createAssignment: jest.fn(async () => ({ code: '123456' })) };
+        metadataService = { getQuizMetadata: jest.fn(() => null), requiresAuth: jest.fn(() => false) };
+        server = http.createServer(buildApp({ assignmentService, metadataService })).listen(0, () => {
+            base = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterEach(done => {
+        server.close(done);
+    });
+
+    function publish() {
+        return postJson(`${base}/api/assignments`, {
+            quizFilename: 'homework.json',
+            opensAt: '2026-03-02T10:00:00.000Z',
+            closesAt: '2026-03-09T10:00:00.000Z'
+        });
+    }
+
+    test('publishes an ownerless quiz without a password', async () => {
+        const res = await publish();
+
+        expect(res.status).toBe(201);
+        expect(metadataService.requiresAuth).toHaveBeenCalledWith('homework.json', 'quiz', TEACHER.id);
+        expect(assignmentService.createAssignment).toHaveBeenCalled();
+    });
+
+    test('refuses a password-protected quiz, even without an owner', async () => {
+        metadataService.requiresAuth.mockReturnValue(true);
+
+        const res = await publish();
+
+        expect(res.status).toBe(403);
+        expect(res.body.messageKey).toBe('error_assignment_quiz_protected');
+        expect(assignmentService.createAssignment).not.toHaveBeenCalled();
+    });
+
+    test('refuses another teacher\'s quiz', async () => {
+        metadataService.getQuizMetadata.mockReturnValue({ ownerId: 'teacher-2' });
+
+        const res = await publish();
+
+        expect(res.status).toBe(403);
+        expect(res.body.messageKey).toBe('error_quiz_not_owner');
+    });
+});
+
+/**
+ * POST JSON and read the JSON answer
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+function postJson(url, payload) {
+    const body = JSON.stringify(payload);
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+        }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
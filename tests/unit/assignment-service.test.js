@@ -0,0 +1,388 @@
+/**
+ * AssignmentService Tests
+ *
+ * Covers publishing (window validation, ownership), starting attempts (window,
+ * name rules, student cap), serving and scoring questions against the
+ * server-side timer, per-student option shuffles, per-student adaptive
+ * difficulty, and the results document written in the live-game format.
+ *
+ * Storage is an in-memory adapter; the clock is faked.
+ */
+
+const { AssignmentService, ANSWER_GRACE_MS } = require('../../services/assignment-service');
+const { QuestionFlowService } = require('../../services/question-flow-service');
+const { COLLECTIONS } = require('../../services/storage-adapter');
+const { MemoryStorageAdapter } = require('../helpers/memory-storage-adapter');
+
+const CONFIG = {
+    TIMING: { DEFAULT_QUESTION_TIME: 20 },
+    SCORING: {
+        BASE_POINTS: 100,
+        MAX_BONUS_TIME: 10000,
+        TIME_BONUS_DIVISOR: 10,
+        DIFFICULTY_MULTIPLIERS: { easy: 1, medium: 2, hard: 3 },
+        DEFAULT_NUMERIC_TOLERANCE: 0.1
+    },
+    LIMITS: { MAX_PLAYER_NAME_LENGTH: 20 }
+};
+
+const NOW = Date.parse('2026-03-02T10:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+
+const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+function sampleQuiz(overrides = {}) {
+    return {
+        title: 'Homework',
+        questions: [
+            { type: 'multiple-choice', question: 'Q1', options: ['A', 'B', 'C', 'D'], correctAnswer: 1, timeLimit: 20 },
+            { type: 'true-false', question: 'Q2', correctAnswer: 'true', timeLimit: 10 }
+        ],
+        ...overrides
+    };
+}
+
+function setup({ quiz = sampleQuiz(), limits = { MAX_PLAYERS_PER_GAME: 50 } } = {}) {
+    const storage = new MemoryStorageAdapter();
+    const quizService = { loadQuiz: jest.fn(async () => JSON.parse(JSON.stringify(quiz))) };
+    const questionFlowService = new QuestionFlowService(mockLogger, {});
+    const service = new AssignmentService(mockLogger, quizService, storage, questionFlowService, CONFIG, limits);
+    return { service, storage, quizService };
+}
+
+function openWindow(opensOffset = -HOUR, closesOffset = 24 * HOUR) {
+    return {
+        quizFilename: 'homework.json',
+        opensAt: new Date(NOW + opensOffset).toISOString(),
+        closesAt: new Date(NOW + closesOffset).toISOString()
+    };
+}
+
+function resultsDoc(storage, summary) {
+    return storage.docs.get(`${COLLECTIONS.RESULTS}/${summary.resultsFilename}`);
+}
+
+describe('AssignmentService', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(NOW);
+        jest.clearAllMocks();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('publishing', () => {
+        test('creates an assignment with a six-digit code and a copy of the quiz', async () => {
+            const { service, storage } = setup();
+            const summary = await service.createAssignment(openWindow(), 'teacher-1');
+
+            expect(summary.code).toMatch(/^\d{6}$/);
+            expect(summary).toMatchObject({ quizTitle: 'Homework', questionCount: 2, ownerId: 'teacher-1', attemptCount: 0 });
+            expect(summary.resultsFilename).toBe(`results_${summary.code}_${NOW}.json`);
+
+            const stored = storage.docs.get(`${COLLECTIONS.ASSIGNMENTS}/assignment_${summary.code}.json`);
+            expect(stored.quiz.questions).toHaveLength(2);
+        });
+
+        test('applies the quiz-wide time limit when the quiz uses one', async () => {
+            const { service, storage } = setup({
+                quiz: sampleQuiz({ settings: { useGlobalTime: true, globalTimeLimit: 45 } })
+            });
+            const summary = await service.createAssignment(openWindow(), 'teacher-1');
+
+            const stored = storage.docs.get(`${COLLECTIONS.ASSIGNMENTS}/assignment_${summary.code}.json`);
+            expect(stored.quiz.questions.map(q => q.timeLimit)).toEqual([45, 45]);
+        });
+
+        test('rejects a close date before the open date', async () => {
+            const { service } = setup();
+            await expect(service.createAssignment(openWindow(HOUR, 0), 'teacher-1'))
+                .rejects.toMatchObject({ messageKey: 'error_assignment_close_before_open' });
+        });
+
+        test('rejects a quiz without questions', async () => {
+            const { service } = setup({ quiz: sampleQuiz({ questions: [] }) });
+            await expect(service.createAssignment(openWindow(), 'teacher-1'))
+                .rejects.toMatchObject({ messageKey: 'error_quiz_no_questions' });
+        });
+
+        test('lists only the teacher\'s own assignments, filtered by quiz', async () => {
+            const { service } = setup();
+            const mine = await service.createAssignment(openWindow(), 'teacher-1');
+            await service.createAssignment(openWindow(), 'teacher-2');
+            await service.createAssignment({ ...openWindow(), quizFilename: 'other.json' }, 'teacher-1');
+
+            const list = await service.listAssignments('teacher-1', 'homework.json');
+            expect(list.map(a => a.code)).toEqual([mine.code]);
+            expect(await service.listAssignments('teacher-1')).toHaveLength(2);
+        });
+
+        test('only the owner can extend or delete', async () => {
+            const { service, storage } = setup();
+            const { code } = await service.createAssignment(openWindow(), 'teacher-1');
+            const closesAt = new Date(NOW + 48 * HOUR).toISOString();
+
+            await expect(service.updateAssignment(code, { closesAt }, 'teacher-2'))
+                .rejects.toMatchObject({ messageKey: 'error_assignment_not_owner', status: 403 });
+            await expect(service.deleteAssignment(code, 'teacher-2'))
+                .rejects.toMatchObject({ status: 403 });
+
+            const updated = await service.updateAssignment(code, { closesAt }, 'teacher-1');
+            expect(updated.closesAt).toBe(closesAt);
+
+            await service.deleteAssignment(code, 'teacher-1');
+            expect(storage.docs.has(`${COLLECTIONS.ASSIGNMENTS}/assignment_${code}.json`)).toBe(false);
+        });
+
+        test('rejects malformed and unknown codes', async () => {
+            const { service } = setup();
+            await expect(service.getAssignmentInfo('../x')).rejects.toMatchObject({ messageKey: 'error_invalid_assignment_code' });
+            await expect(service.getAssignmentInfo('123456')).rejects.toMatchObject({ status: 404 });
+        });
+    });
+
+    describe('attempts', () => {
+        test('reports the window status to students', async () => {
+            const { service } = setup();
+            const scheduled = await service.createAssignment(openWindow(HOUR, 2 * HOUR), 'teacher-1');
+            const open = await service.createAssignment(openWindow(), 'teacher-1');
+
+            expect((await service.getAssignmentInfo(scheduled.code)).status).toBe('scheduled');
+            expect((await service.getAssignmentInfo(open.code)).status).toBe('open');
+
+            jest.setSystemTime(NOW + 25 * HOUR);
+            expect((await service.getAssignmentInfo(open.code)).status).toBe('closed');
+        });
+
+        test('cannot start before the open date or after the close date', async () => {
+            const { service } = setup();
+            const { code } = await service.createAssignment(openWindow(HOUR, 2 * HOUR), 'teacher-1');
+
+            await expect(service.startAttempt(code, 'Ada')).rejects.toMatchObject({ messageKey: 'error_assignment_not_open' });
+            jest.setSystemTime(NOW + 3 * HOUR);
+            await expect(service.startAttempt(code, 'Ada')).rejects.toMatchObject({ messageKey: 'error_assignment_closed' });
+        });
+
+        test('names are validated and unique regardless of case', async () => {
+            const { service } = setup();
+            const { code } = await service.createAssignment(openWindow(), 'teacher-1');
+
+            await expect(service.startAttempt(code, '  ')).rejects.toMatchObject({ messageKey: 'error_name_length' });
+            await expect(service.startAttempt(code, '<b>')).rejects.toMatchObject({ messageKey: 'error_name_invalid_chars' });
+
+            const attempt = await service.startAttempt(code, ' Ada ');
+            expect(attempt).toEqual({ attemptToken: expect.any(String), name: 'Ada' });
+            await expect(service.startAttempt(code, 'ADA')).rejects.toMatchObject({ status: 409 });
+        });
+
+        test('caps attempts at the player limit', async () => {
+            const { service } = setup({ limits: { MAX_PLAYERS_PER_GAME: 1 } });
+            const { code } = await service.createAssignment(openWindow(), 'teacher-1');
+            await service.startAttempt(code, 'Ada');
+
+            await expect(service.startAttempt(code, 'Bob')).rejects.toMatchObject({ messageKey: 'error_assignment_full' });
+        });
+
+        test('serializes attempts per assignment, not across assignments', async () => {
+            const { service, storage } = setup();
+            const first = await service.createAssignment(openWindow(), 'teacher-1');
+            const second = await service.createAssignment(openWindow(), 'teacher-1');
+
+            // Hold the first assignment's next write until released
+            let release;
+            const write = storage.write.bind(storage);
+            jest.spyOn(storage, 'write').mockImplementationOnce(async (...args) => {
+                await new Promise(resolve => { release = resolve; });
+                return write(...args);
+            });
+
+            const ada = service.startAttempt(first.code, 'Ada');
+            const bob = service.startAttempt(first.code, 'Bob');
+            await service.startAttempt(second.code, 'Cy');
+
+            release();
+            await Promise.all([ada, bob]);
+            const stored = storage.docs.get(`${COLLECTIONS.ASSIGNMENTS}/assignment_${first.code}.json`);
+            expect(Object.values(stored.attempts).map(attempt => attempt.name)).toEqual(['Ada', 'Bob']);
+        });
+
+        test('unknown attempt tokens are rejected', async () => {
+            const { service } = setup();
+            const { code } = await service.createAssignment(openWindow(), 'teacher-1');
+
+            await expect(service.serveQuestion(code, '00000000-0000-4000-8000-000000000000'))
+                .rejects.toMatchObject({ messageKey: 'error_attempt_not_found', status: 404 });
+        });
+    });
+
+    describe('playing', () => {
+        async function startPlaying(options) {
+            const ctx = setup(options);
+            const summary = await ctx.service.createAssignment(openWindow(), 'teacher-1');
+            const { attemptToken } = await ctx.service.startAttempt(summary.code, 'Ada');
+            return { ...ctx, summary, code: summary.code, token: attemptToken };
+        }
+
+        test('serves the current question with its remaining time', async () => {
+            const { service, code, token } = await startPlaying();
+            const state = await service.serveQuestion(code, token);
+
+            expect(state).toMatchObject({ status: 'question', score: 0, totalQuestions: 2, answeredQuestions: 0 });
+            expect(state.question).toMatchObject({
+                questionNumber: 1,
+                question: 'Q1',
+                options: ['A', 'B', 'C', 'D'],
+                timeLimit: 20,
+                remainingMs: 20000
+            });
+
+            // Serving again (e.g. after a reload) keeps the timer running
+            jest.advanceTimersByTime(5000);
+            expect((await service.serveQuestion(code, token)).question.remainingMs).toBe(15000);
+        });
+
+        test('scores answers and finishes after the last question', async () => {
+            const { service, storage, summary, code, token } = await startPlaying();
+
+            await service.serveQuestion(code, token);
+            jest.advanceTimersByTime(1000);
+            const first = await service.submitAnswer(code, token, 1, 1);
+            expect(first.result).toMatchObject({ isCorrect: true, correctAnswer: 1, timedOut: false });
+            expect(first.result.points).toBeGreaterThan(0);
+            expect(first.state.status).toBe('question');
+
+            await service.serveQuestion(code, token);
+            const second = await service.submitAnswer(code, token, 2, 'false');
+            expect(second.result).toMatchObject({ isCorrect: false, points: 0 });
+            expect(second.state).toMatchObject({ status: 'finished', answeredQuestions: 2, score: first.result.points });
+
+            const results = resultsDoc(storage, summary);
+            expect(results).toMatchObject({
+                quizTitle: 'Homework',
+                gamePin: code,
+                results: [{ name: 'Ada', score: first.result.points }],
+                endTime: new Date(NOW + 1000).toISOString()
+            });
+            expect(results.results[0].answers[0]).toMatchObject({ answer: 1, isCorrect: true, timeMs: 1000 });
+            expect(results.questions).toHaveLength(2);
+            expect(summary.resultsFilename).toMatch(/^results_\d+_\d+\.json$/);
+        });
+
+        test('applies the quiz\'s streak and comeback bonuses across answers', async () => {
+            const q = (question) => ({ type: 'multiple-choice', question, options: ['A', 'B'], correctAnswer: 0, timeLimit: 20 });
+            const { service, storage, code, token } = await startPlaying({
+                quiz: sampleQuiz({
+                    questions: [q('Q1'), q('Q2'), q('Q3')],
+                    settings: {
+                        scoringConfig: {
+                            streakBonus: { enabled: true, stepPercent: 10, maxPercent: 50 },
+                            comebackBonus: { enabled: true, afterMisses: 1, percent: 50 }
+                        }
+                    }
+                })
+            });
+
+            for (const [number, answer] of [[1, 1], [2, 0], [3, 0]]) {
+                await service.serveQuestion(code, token);
+                await service.submitAnswer(code, token, number, answer);
+            }
+
+            const attempt = Object.values(storage.docs.get(`${COLLECTIONS.ASSIGNMENTS}/assignment_${code}.json`).attempts)[0];
+            expect(attempt).toMatchObject({ streak: 2, misses: 0 });
+            const [miss, comeback, streak] = attempt.answers.map(answer => answer.breakdown);
+            expect(miss.comebackBonus).toBeUndefined();
+            expect(comeback).toMatchObject({ comebackBonus: expect.any(Number) });
+            expect(comeback.streakBonus).toBeUndefined();
+            expect(streak).toMatchObject({ streakBonus: expect.any(Number) });
+            expect(streak.comebackBonus).toBeUndefined();
+        });
+
+        test('an answer for a question that is not current is rejected', async () => {
+            const { service, code, token } = await startPlaying();
+            await expect(service.submitAnswer(code, token, 1, 0)).rejects.toMatchObject({ status: 409 });
+
+            await service.serveQuestion(code, token);
+            await expect(service.submitAnswer(code, token, 2, 'true')).rejects.toMatchObject({ messageKey: 'error_question_ended' });
+        });
+
+        test('a late answer scores nothing', async () => {
+            const { service, code, token } = await startPlaying();
+            await service.serveQuestion(code, token);
+
+            jest.advanceTimersByTime(20000 + ANSWER_GRACE_MS + 1);
+            const { result, state } = await service.submitAnswer(code, token, 1, 1);
+            expect(result).toMatchObject({ isCorrect: false, points: 0, timedOut: true });
+            expect(state.answeredQuestions).toBe(0);
+        });
+
+        test('resuming after the timer ran out skips the abandoned question', async () => {
+            const { service, code, token } = await startPlaying();
+            await service.serveQuestion(code, token);
+
+            jest.advanceTimersByTime(HOUR);
+            const state = await service.serveQuestion(code, token);
+            expect(state.question).toMatchObject({ questionNumber: 2, remainingMs: 10000 });
+        });
+
+        test('after the close date an unstarted question is not served', async () => {
+            const { service, code, token } = await startPlaying();
+
+            jest.setSystemTime(NOW + 25 * HOUR);
+            const state = await service.serveQuestion(code, token);
+            expect(state.status).toBe('closed');
+            expect(state.question).toBeUndefined();
+        });
+
+        test('shuffled options are mapped back to the original order', async () => {
+            const { service, storage, summary, code, token } = await startPlaying({
+                quiz: sampleQuiz({ settings: { randomizeAnswers: true } })
+            });
+            const { question } = await service.serveQuestion(code, token);
+
+            const displayedIndex = question.options.indexOf('B');
+            const { result } = await service.submitAnswer(code, token, 1, displayedIndex);
+            expect(result.isCorrect).toBe(true);
+            expect(result.correctAnswer).toBe(displayedIndex);
+
+            // The results keep the student's displayed choice, like a live game
+            expect(resultsDoc(storage, summary).results[0].answers[0].answer).toBe(displayedIndex);
+        });
+
+        test('adaptive homework picks each student\'s next question by their last answer', async () => {
+            const adaptiveQuiz = sampleQuiz({
+                questions: [
+                    { type: 'true-false', question: 'Easy', difficulty: 'easy', correctAnswer: 'true', timeLimit: 10 },
+                    { type: 'true-false', question: 'Medium', difficulty: 'medium', correctAnswer: 'true', timeLimit: 10 },
+                    { type: 'true-false', question: 'Hard', difficulty: 'hard', correctAnswer: 'true', timeLimit: 10 }
+                ],
+                settings: { adaptiveMode: true, adaptiveQuestionCount: 2 }
+            });
+            const { service, storage, summary, code, token } = await startPlaying({ quiz: adaptiveQuiz });
+            const { attemptToken: other } = await service.startAttempt(code, 'Bo');
+            expect(summary.questionCount).toBe(2);
+
+            const first = await service.serveQuestion(code, token);
+            expect(first).toMatchObject({ totalQuestions: 2, question: { questionNumber: 1, question: 'Medium' } });
+            await service.submitAnswer(code, token, 1, 'true');
+            expect((await service.serveQuestion(code, token)).question.question).toBe('Hard');
+
+            await service.serveQuestion(code, other);
+            await service.submitAnswer(code, other, 1, 'false');
+            expect((await service.serveQuestion(code, other)).question.question).toBe('Easy');
+            const { state } = await service.submitAnswer(code, other, 2, 'true');
+            expect(state).toMatchObject({ status: 'finished', answeredQuestions: 2 });
+
+            // Answers stay at the quiz index; each student's path is saved with them
+            const results = resultsDoc(storage, summary);
+            expect(results.adaptive).toEqual({ mode: 'player' });
+            expect(results.questions).toHaveLength(3);
+            const bo = results.results.find(player => player.name === 'Bo');
+            expect(bo.questionOrder).toEqual([1, 0]);
+            expect(bo.answers[0]).toMatchObject({ isCorrect: true });
+            expect(bo.answers[1]).toMatchObject({ isCorrect: false });
+            expect(bo.answers[2]).toBeFalsy();
+        });
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * BadgeService — end-of-game badges worked out from the stored answers.
+ * Each badge goes to every player who qualifies (perfect round) or to every
+ * player tied for the best value (the others); nobody gets one for nothing.
+ */
+
+const { BadgeService, BADGE_IDS } = require('../../services/badge-service');
+
+const right = (timeMs = 5000) => ({ isCorrect: true, points: 100, timeMs });
+const wrong = (timeMs = 5000) => ({ isCorrect: false, points: 0, timeMs });
+
+const QUESTIONS = [{}, {}, {}, {}];
+
+function player(id, answers, extra = {}) {
+    return { id, name: id, answers, bestStreak: 0, ...extra };
+}
+
+const idsOf = (badges, id) => badges.get(id).map(badge => badge.id);
+
+describe('BadgeService.computeBadges', () => {
+    test('perfect round goes to everyone who got every graded question right', () => {
+        const players = [
+            player('ana', [right(), right(), right(), right()]),
+            player('bo', [right(), right(), right(), right()]),
+            player('cy', [right(), right(), wrong(), right()])
+        ];
+        const badges = BadgeService.computeBadges(players, QUESTIONS);
+
+        expect(badges.get('ana')).toContainEqual({ id: 'perfect-round', value: 4 });
+        expect(idsOf(badges, 'bo')).toContain('perfect-round');
+        expect(idsOf(badges, 'cy')).not.toContain('perfect-round');
+    });
+
+    test('polls are ignored and an unanswered question spoils a perfect round', () => {
+        const questions = [{}, { isPoll: true }, {}];
+        const players = [
+            player('ana', [right(), { isCorrect: null, isPoll: true }, right()]),
+            player('bo', [right()])
+        ];
+        const badges = BadgeService.computeBadges(players, questions);
+
+        expect(badges.get('ana')).toContainEqual({ id: 'perfect-round', value: 2 });
+        expect(idsOf(badges, 'bo')).not.toContain('perfect-round');
+    });
+
+    test('fastest answer counts correct answers only and is shared on a tie', () => {
+        const players = [
+            player('ana', [right(2300), wrong(400)]),
+            player('bo', [wrong(100), right(2300)]),
+            player('cy', [right(3000)])
+        ];
+        const badges = BadgeService.computeBadges(players, QUESTIONS.slice(0, 2));
+
+        expect(badges.get('ana')).toContainEqual({ id: 'fastest-answer', value: 2300 });
+        expect(badges.get('bo')).toContainEqual({ id: 'fastest-answer', value: 2300 });
+        expect(idsOf(badges, 'cy')).not.toContain('fastest-answer');
+    });
+
+    test('ghost answers (elimination mode) earn nothing', () => {
+        const ghost = (timeMs) => ({ isCorrect: true, points: 0, timeMs, ghost: true });
+        const players = [
+            player('ana', [right(), right(4000)]),
+            player('bo', [right(), ghost(500)])
+        ];
+        const badges = BadgeService.computeBadges(players, QUESTIONS.slice(0, 2));
+
+        expect(idsOf(badges, 'bo')).not.toContain('perfect-round');
+        expect(badges.get('ana')).toContainEqual({ id: 'fastest-answer', value: 4000 });
+        expect(idsOf(badges, 'bo')).not.toContain('fastest-answer');
+    });
+
+    test('hot streak goes to the longest streak of three or more', () => {
+        const players = [
+            player('ana', [], { bestStreak: 4 }),
+            player('bo', [], { bestStreak: 3 })
+        ];
+        const badges = BadgeService.computeBadges(players, QUESTIONS);
+        expect(badges.get('ana')).toContainEqual({ id: 'hot-streak', value: 4 });
+        expect(idsOf(badges, 'bo')).not.toContain('hot-streak');
+
+        const short = BadgeService.computeBadges([player('cy', [], { bestStreak: 2 })], QUESTIONS);
+        expect(idsOf(short, 'cy')).not.toContain('hot-streak');
+    });
+
+    test('most improved compares the two halves of the game', () => {
+        const players = [
+            player('ana', [wrong(), wrong(), right(), right()]),
+            player('bo', [wrong(), right(), right(), right()]),
+            player('cy', [right(), right(), wrong(), wrong()])
+        ];
+        const badges = BadgeService.computeBadges(players, QUESTIONS);
+
+        expect(badges.get('ana')).toContainEqual({ id: 'most-improved', value: 100 });
+        expect(idsOf(badges, 'bo')).not.toContain('most-improved');
+        expect(idsOf(badges, 'cy')).not.toContain('most-improved');
+    });
+
+    test('most improved needs enough questions and a real gain', () => {
+        const short = BadgeService.computeBadges([player('ana', [wrong(), right()])], QUESTIONS.slice(0, 2));
+        expect(idsOf(short, 'ana')).not.toContain('most-improved');
+
+        const flat = BadgeService.computeBadges([player('bo', [right(), wrong(), right(), wrong()])], QUESTIONS);
+        expect(idsOf(flat, 'bo')).not.toContain('most-improved');
+    });
+
+    test('consensus builder goes to whoever backed the locked answer most often', () => {
+        const players = [
+            player('ana', [], { consensusAgreements: 3 }),
+            player('bo', [], { consensusAgreements: 1 }),
+            player('cy', [])
+        ];
+        const badges = BadgeService.computeBadges(players, QUESTIONS);
+
+        expect(badges.get('ana')).toContainEqual({ id: 'consensus-builder', value: 3 });
+        expect(idsOf(badges, 'bo')).not.toContain('consensus-builder');
+        expect(badges.get('cy')).toEqual([]);
+    });
+
+    test('badges are listed in display order', () => {
+        const players = [
+            player('ana', [right(900), right(), right(), right()], { bestStreak: 4, consensusAgreements: 2 })
+        ];
+        const badges = BadgeService.computeBadges(players, QUESTIONS);
+        expect(idsOf(badges, 'ana')).toEqual(BADGE_IDS.filter(id => id !== 'most-improved'));
+    });
+});
@@ -14,6 +14,9 @@
  *   scaledTimeBonus = enabled ? floor(timeBonus * difficultyMultiplier / 10) : 0
  *   points          = basePoints + scaledTimeBonus            (correct)
  *   ordering        = floor(points * fraction)                (partial credit)
+ *   streakBonus     = floor(points * min(maxPercent, stepPercent * streak) / 100)   (fully correct)
+ *   comebackBonus   = misses >= afterMisses ? floor(basePoints * percent / 100) : 0  (fully correct)
+ *   points         += streakBonus + comebackBonus
  *   points         *= doublePointsMultiplier
  */
 
@@ -32,6 +35,11 @@ import {
 
 const ENABLED = { timeBonusEnabled: true, timeBonusThreshold: 0, difficultyMultipliers: { easy: 1, medium: 2, hard: 3 } };
 const Q20 = 20000; // 20s question time limit in ms
+const BONUSES = {
+    ...ENABLED,
+    streakBonus: { enabled: true, stepPercent: 10, maxPercent: 50 },
+    comebackBonus: { enabled: true, afterMisses: 2, percent: 50 }
+};
 
 describe('module constants mirror the server', () => {
     test('formula constants', () => {
@@ -124,7 +132,22 @@ describe('calculatePoints — grid of difficulty x time x streak x toggles', ()
         ['no time limit falls back to MAX_BONUS_TIME window',
             { isCorrect: true, difficulty: 'medium', responseTime: 5000, questionTimeLimitMs: 0, config: ENABLED },
             // decay = 10000; timeBonus = floor(10000*(10000-5000)/10000)=5000; scaled=floor(5000*2/10)=1000
-            1200, { basePoints: 200, timeBonus: 1000, difficultyMultiplier: 2, doublePointsMultiplier: 1 }]
+            1200, { basePoints: 200, timeBonus: 1000, difficultyMultiplier: 2, doublePointsMultiplier: 1 }],
+        ['streak bonus: third answer in a row = +20%',
+            { isCorrect: true, difficulty: 'medium', responseTime: 0, questionTimeLimitMs: Q20, config: BONUSES, streak: 2 },
+            2640, { basePoints: 200, timeBonus: 2000, difficultyMultiplier: 2, doublePointsMultiplier: 1, streakBonus: 440 }],
+        ['streak bonus capped at maxPercent, doubled by the power-up',
+            { isCorrect: true, difficulty: 'medium', responseTime: 0, questionTimeLimitMs: Q20, config: BONUSES, streak: 9, doublePointsMultiplier: 2 },
+            6600, { basePoints: 200, timeBonus: 2000, difficultyMultiplier: 2, doublePointsMultiplier: 2, streakBonus: 1100 }],
+        ['comeback bonus after two misses = +50% of base',
+            { isCorrect: true, difficulty: 'medium', responseTime: 0, questionTimeLimitMs: Q20, config: BONUSES, misses: 2 },
+            2300, { basePoints: 200, timeBonus: 2000, difficultyMultiplier: 2, doublePointsMultiplier: 1, comebackBonus: 100 }],
+        ['full ordering credit counts as correct for the streak',
+            { isCorrect: 1, difficulty: 'medium', responseTime: 0, questionTimeLimitMs: Q20, config: BONUSES, streak: 1 },
+            2420, { basePoints: 200, timeBonus: 2000, difficultyMultiplier: 2, doublePointsMultiplier: 1, streakBonus: 220 }],
+        ['partial credit earns no bonus',
+            { isCorrect: 0.5, difficulty: 'medium', responseTime: 0, questionTimeLimitMs: Q20, config: BONUSES, streak: 3, misses: 3 },
+            1100, { basePoints: 200, timeBonus: 2000, difficultyMultiplier: 2, doublePointsMultiplier: 1 }]
     ];
 
     test.each(cases)('%s', (_label, args, expectedPoints, expectedBreakdown) => {
@@ -174,6 +197,21 @@ describe('readScoringConfigFromDOM', () => {
         });
     });
 
+    test('streak and comeback bonuses are read only while switched on', () => {
+        const dom = setupDom('qs-');
+        document.body.insertAdjacentHTML('beforeend', `
+            <input type="checkbox" id="qs-streak-bonus-enabled" checked>
+            <input id="qs-streak-bonus-step" value="20">
+            <input id="qs-streak-bonus-max" value="">
+            <input type="checkbox" id="qs-comeback-bonus-enabled">
+            <input id="qs-comeback-bonus-misses" value="3">
+            <input id="qs-comeback-bonus-percent" value="80">
+        `);
+        const config = readScoringConfigFromDOM(dom, { prefix: 'qs-' });
+        expect(config.streakBonus).toEqual({ enabled: true, stepPercent: 20, maxPercent: 50 });
+        expect(config).not.toHaveProperty('comebackBonus');
+    });
+
     test('missing inputs fall back to defaults', () => {
         const dom = { get: () => null };
         expect(readScoringConfigFromDOM(dom)).toEqual({
@@ -85,6 +85,8 @@ function createGameWithQuiz(state = 'question', opts = {}) {
         calculatePlayerConceptMastery: jest.fn(() => ({
             concepts: [{ name: 'Math', mastery: 50 }], hasConcepts: true
         })),
+        getMissedQuestions: jest.fn(() => []),
+        getReportCardLink: jest.fn(() => null),
         endQuestion: jest.fn(),
         saveResults: jest.fn(),
         cleanup: jest.fn(),
@@ -371,6 +373,39 @@ describe('Disconnect & Reconnect Logic', () => {
 
             expect(game.calculatePlayerConceptMastery).toHaveBeenCalledWith('new-socket');
         });
+
+        test('includes the missed questions for the review queue', () => {
+            const game = createGameWithQuiz('finished');
+            game.leaderboard = [];
+            game.getMissedQuestions.mockReturnValue([{ question: 'What is 2+2?' }]);
+            addDisconnectedPlayer(game, 'old-socket');
+            const socket = createMockSocket('new-socket');
+            const io = createMockIO();
+
+            service.handlePlayerRejoin('new-socket', '123456', 'token-bob', game, socket, io);
+
+            expect(game.getMissedQuestions).toHaveBeenCalledWith('new-socket');
+            expect(socket.emit).toHaveBeenCalledWith('game-end', expect.objectContaining({
+                quizTitle: 'Test Quiz',
+                missedQuestions: [{ question: 'What is 2+2?' }]
+            }));
+        });
+
+        test('includes the link to the player\'s report card', () => {
+            const game = createGameWithQuiz('finished');
+            game.leaderboard = [];
+            game.getReportCardLink.mockReturnValue({ filename: 'results_123456_1.json', player: 'Bob' });
+            addDisconnectedPlayer(game, 'old-socket');
+            const socket = createMockSocket('new-socket');
+            const io = createMockIO();
+
+            service.handlePlayerRejoin('new-socket', '123456', 'token-bob', game, socket, io);
+
+            expect(game.getReportCardLink).toHaveBeenCalledWith('new-socket');
+            expect(socket.emit).toHaveBeenCalledWith('game-end', expect.objectContaining({
+                reportCard: { filename: 'results_123456_1.json', player: 'Bob' }
+            }));
+        });
     });
 
     // =========================================================================
@@ -0,0 +1,86 @@
+/**
+ * @jest-environment jsdom
+ *
+ * EliminationManager (public/js/game/modules/elimination-manager.js): the
+ * host's survivors counter and the player's ghost banner, driven by what the
+ * server sends.
+ *
+ * getTranslation() returns the key itself when no language pack is loaded,
+ * so texts appear as their keys.
+ */
+
+import { EliminationManager } from '../../public/js/game/modules/elimination-manager.js';
+
+function makeManager(isHost) {
+    return new EliminationManager({ getGameState: () => ({ isHost }) });
+}
+
+const counter = () => document.getElementById('survivors-counter');
+const banner = () => document.getElementById('ghost-banner');
+
+beforeEach(() => {
+    document.body.innerHTML = `
+        <div id="survivors-counter" class="hidden"></div>
+        <div id="ghost-banner" class="hidden"></div>
+    `;
+});
+
+describe('EliminationManager', () => {
+    test('stays hidden when elimination mode is off', () => {
+        const manager = makeManager(true);
+        manager.initialize(null);
+        manager.updateSurvivors(3);
+
+        expect(counter().classList.contains('hidden')).toBe(true);
+        expect(manager.applyResult({ eliminated: true, eliminatedNow: true, survivors: 1 })).toBe('');
+    });
+
+    test('shows the host the survivors and who went out', () => {
+        const manager = makeManager(true);
+        manager.initialize({ enabled: true, survivors: 4, totalPlayers: 4 });
+        expect(counter().classList.contains('hidden')).toBe(false);
+        expect(counter().querySelector('.survivors-count').textContent).toContain('survivors_count');
+
+        manager.applyUpdate({ survivors: 2, totalPlayers: 4, eliminated: ['Ana', 'Bo'], revived: ['Cy'] });
+        expect(manager.survivors).toBe(2);
+        expect(counter().querySelector('.survivors-round-note').textContent)
+            .toBe('elimination_round_out · elimination_round_revived');
+
+        // The round note is cleared when the next question starts
+        manager.startQuestion({});
+        expect(counter().querySelector('.survivors-round-note')).toBeNull();
+        expect(banner().classList.contains('hidden')).toBe(true);
+    });
+
+    test('turns a knocked-out player into a ghost and back', () => {
+        const manager = makeManager(false);
+        manager.initialize({ enabled: true, survivors: 3, totalPlayers: 3, eliminated: false });
+        expect(manager.applyResult({ eliminated: false, eliminatedNow: false, revived: false, survivors: 3 }))
+            .toBe('survived_round');
+        expect(banner().classList.contains('hidden')).toBe(true);
+
+        expect(manager.applyResult({ eliminated: true, eliminatedNow: true, revived: false, survivors: 2 }))
+            .toBe('eliminated_now');
+        expect(manager.isGhost()).toBe(true);
+        expect(banner().textContent).toBe('ghost_banner');
+        expect(counter().classList.contains('hidden')).toBe(true);
+
+        manager.startQuestion({ revivalRound: true });
+        expect(banner().textContent).toBe('ghost_banner_revival');
+        expect(banner().classList.contains('revival')).toBe(true);
+
+        expect(manager.applyResult({ eliminated: false, eliminatedNow: false, revived: true, survivors: 3 }))
+            .toBe('revived_now');
+        expect(banner().classList.contains('hidden')).toBe(true);
+    });
+
+    test('a player rejoining as a ghost sees the banner straight away', () => {
+        const manager = makeManager(false);
+        manager.initialize({ enabled: true, survivors: 2, totalPlayers: 5, eliminated: true });
+        expect(banner().classList.contains('hidden')).toBe(false);
+
+        manager.reset();
+        manager.render();
+        expect(banner().classList.contains('hidden')).toBe(true);
+    });
+});
@@ -29,6 +29,8 @@ describe('event-bindings binder', () => {
             <button id="settings-modal-close-btn"></button>
             <input type="checkbox" id="modal-consensus-mode">
             <div id="modal-consensus-settings" class="hidden"></div>
+            <input type="checkbox" id="modal-team-mode">
+            <div id="modal-team-settings" class="hidden"></div>
             <input type="checkbox" id="modal-use-global-time">
             <div id="modal-global-time-container" class="hidden"></div>
         `;
@@ -86,6 +88,18 @@ describe('event-bindings binder', () => {
         expect(settings.classList.contains('hidden')).toBe(true);
     });
 
+    test('team-mode change toggles the team settings visibility', () => {
+        const checkbox = document.getElementById('modal-team-mode');
+        const settings = document.getElementById('modal-team-settings');
+        checkbox.checked = true;
+        fire('modal-team-mode', 'change');
+        expect(settings.classList.contains('hidden')).toBe(false);
+
+        checkbox.checked = false;
+        fire('modal-team-mode', 'change');
+        expect(settings.classList.contains('hidden')).toBe(true);
+    });
+
     test('global-time change reveals the global time container', () => {
         const checkbox = document.getElementById('modal-use-global-time');
         checkbox.checked = true;
@@ -319,6 +319,23 @@ describe('GameSessionService — startGame', () => {
         expect(game.currentQuestion).toBe(0);
         expect(game.gameState).toBe('question');
     });
+
+    test('sends game.started to the signed-in host\'s webhooks', () => {
+        const webhookService = { emit: jest.fn() };
+        svc.setWebhookService(webhookService);
+        const game = svc.createGame('host-1', sampleQuiz());
+        game.ownerId = 'user-1';
+        game.addPlayer('p1', 'Alice');
+
+        svc.startGame(game, makeIo());
+
+        expect(webhookService.emit).toHaveBeenCalledWith('game.started', {
+            pin: game.pin,
+            quizTitle: 'Test Quiz',
+            questionCount: 2,
+            players: ['Alice']
+        }, 'user-1');
+    });
 });
 
 describe('GameSessionService — startQuestion', () => {
@@ -403,6 +420,52 @@ describe('GameSessionService — handleQuestionTimeout', () => {
     });
 });
 
+describe('GameSessionService — elimination mode', () => {
+    function eliminationGame() {
+        const game = svc.createGame('host-1', sampleQuiz({ eliminationMode: true }));
+        ['p1', 'p2', 'p3'].forEach(id => game.addPlayer(id, id));
+        game.currentQuestion = 0;
+        game.gameState = 'question';
+        game.questionStartTime = Date.now();
+        return game;
+    }
+
+    test('announces who went out when the question times out', () => {
+        const io = makeIo();
+        const game = eliminationGame();
+        game.submitAnswer('p1', 1, 'multiple-choice');
+        game.submitAnswer('p2', 0, 'multiple-choice');
+
+        svc.handleQuestionTimeout(game, io, game.quiz.questions[0]);
+
+        expect(io.emit).toHaveBeenCalledWith('elimination-update', {
+            questionNumber: 1,
+            survivors: 1,
+            totalPlayers: 3,
+            eliminated: ['p2', 'p3'],
+            revived: [],
+            decided: true
+        });
+        expect(io.to).toHaveBeenCalledWith('p2');
+        expect(io.emit).toHaveBeenCalledWith('player-result', expect.objectContaining({
+            elimination: { eliminated: true, eliminatedNow: true, revived: false, survivors: 1 }
+        }));
+    });
+
+    test('the host is offered the end once a winner is left', () => {
+        const io = makeIo();
+        const game = eliminationGame();
+        game.manualAdvancement = true;
+        game.submitAnswer('p1', 1, 'multiple-choice');
+        game.applyElimination();
+
+        svc.advanceToNextQuestion(game, io);
+        jest.advanceTimersByTime(ANSWER_REVEAL_MS);
+
+        expect(io.emit).toHaveBeenCalledWith('show-next-button', { isLastQuestion: true });
+    });
+});
+
 describe('GameSessionService — advanceToNextQuestion', () => {
     test('is a no-op once the game is finished', () => {
         const io = makeIo();
@@ -499,6 +562,26 @@ describe('GameSessionService — endGame', () => {
         }));
     });
 
+    test('awards badges before the final standings and sends each player their own', () => {
+        const io = makeIo();
+        const game = svc.createGame('host-1', sampleQuiz());
+        jest.spyOn(game, 'saveResults').mockResolvedValue(undefined);
+        game.addPlayer('p1', 'Alice');
+        game.addPlayer('p2', 'Bob');
+        game.currentQuestion = 1;
+        game.players.get('p1').answers = [{ isCorrect: true, timeMs: 900 }, { isCorrect: true, timeMs: 4000 }];
+        game.players.get('p1').score = 400;
+
+        svc.endGame(game, io);
+        jest.advanceTimersByTime(1000);
+
+        const alicesBadges = [{ id: 'perfect-round', value: 2 }, { id: 'fastest-answer', value: 900 }];
+        expect(game.leaderboard[0].badges).toEqual(alicesBadges);
+        expect(io.to).toHaveBeenCalledWith('p1');
+        expect(io.emit).toHaveBeenCalledWith('game-end', expect.objectContaining({ badges: alicesBadges }));
+        expect(io.emit).toHaveBeenCalledWith('game-end', expect.objectContaining({ badges: [] }));
+    });
+
     test('is idempotent — a second endGame call is ignored', () => {
         const io = makeIo();
         const game = svc.createGame('host-1', sampleQuiz());
@@ -509,4 +592,28 @@ describe('GameSessionService — endGame', () => {
         svc.endGame(game, io); // already finished
         expect(game.saveResults).not.toHaveBeenCalled();
     });
+
+    test('sends game.ended, then results.saved once the results are written', async () => {
+        const webhookService = { emit: jest.fn() };
+        svc.setWebhookService(webhookService);
+        const game = svc.createGame('host-1', sampleQuiz());
+        jest.spyOn(game, 'saveResults').mockImplementation(async () => {
+            game.resultsFilename = 'results_123456_1.json';
+        });
+        game.addPlayer('p1', 'Alice');
+        game.players.get('p1').score = 150;
+
+        svc.endGame(game, makeIo());
+        await Promise.resolve();
+        await Promise.resolve();
+
+        expect(webhookService.emit).toHaveBeenCalledWith('game.ended', expect.objectContaining({
+            pin: game.pin,
+            leaderboard: [{ name: 'Alice', score: 150 }]
+        }), null);
+        expect(webhookService.emit).toHaveBeenCalledWith('results.saved', expect.objectContaining({
+            filename: 'results_123456_1.json',
+            playerCount: 1
+        }), null);
+    });
 });
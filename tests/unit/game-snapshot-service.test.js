@@ -0,0 +1,318 @@
+/**
+ * GameSnapshotService Tests
+ *
+ * Covers the Game snapshot round-trip, debounced / discarded snapshots, and the
+ * restore path: timers re-armed from questionEndsAt, players rejoining with
+ * their session token, and the host grace period after a restart.
+ *
+ * Storage is an in-memory adapter; Socket.IO is faked (io.to(room).emit(...)).
+ */
+
+jest.mock('../../services/atomic-write', () => ({
+    atomicWriteFile: jest.fn().mockResolvedValue(undefined)
+}));
+
+const { Game } = require('../../services/game');
+const { GameSessionService } = require('../../services/game-session-service');
+const { PlayerManagementService } = require('../../services/player-management-service');
+const { GameSnapshotService, RESTORE_GRACE_MS } = require('../../services/game-snapshot-service');
+const { COLLECTIONS } = require('../../services/storage-adapter');
+const { MemoryStorageAdapter } = require('../helpers/memory-storage-adapter');
+
+const CONFIG = {
+    TIMING: {
+        DEFAULT_QUESTION_TIME: 20,
+        LEADERBOARD_DISPLAY_TIME: 3000,
+        GAME_START_DELAY: 3000,
+        AUTO_ADVANCE_DELAY: 3000
+    },
+    SCORING: {
+        BASE_POINTS: 100,
+        MAX_BONUS_TIME: 10000,
+        TIME_BONUS_DIVISOR: 10,
+        DIFFICULTY_MULTIPLIERS: { easy: 1, medium: 2, hard: 3 },
+        DEFAULT_NUMERIC_TOLERANCE: 0.1
+    },
+    LIMITS: { MAX_PLAYER_NAME_LENGTH: 20 }
+};
+
+const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+function makeIo() {
+    const emit = jest.fn();
+    const to = jest.fn(() => ({ emit }));
+    return { to, emit, sockets: { sockets: new Map() } };
+}
+
+function makeSocket(id) {
+    return { id, join: jest.fn(), emit: jest.fn(), disconnect: jest.fn() };
+}
+
+function sampleQuiz(overrides = {}) {
+    return {
+        title: 'Snapshot Quiz',
+        questions: [
+            { type: 'multiple-choice', question: 'Q1', options: ['A', 'B', 'C', 'D'], correctAnswer: 1, timeLimit: 20 },
+            { type: 'multiple-choice', question: 'Q2', options: ['A', 'B'], correctAnswer: 0, timeLimit: 20 }
+        ],
+        ...overrides
+    };
+}
+
+/** A fresh "process": session + player services sharing one storage */
+function boot(storage) {
+    const gameSessionService = new GameSessionService(mockLogger, CONFIG);
+    const playerManagementService = new PlayerManagementService(mockLogger, CONFIG);
+    const snapshotService = new GameSnapshotService(
+        mockLogger, gameSessionService, playerManagementService, storage, CONFIG
+    );
+    gameSessionService.setSnapshotService(snapshotService);
+    return { gameSessionService, playerManagementService, snapshotService };
+}
+
+const processes = [];
+
+beforeEach(() => {
+    jest.useFakeTimers();
+});
+
+afterEach(() => {
+    for (const { gameSessionService } of processes.splice(0)) {
+        gameSessionService.stopPeriodicCleanup();
+    }
+    jest.clearAllTimers();
+    jest.useRealTimers();
+});
+
+function start(storage) {
+    const proc = boot(storage);
+    processes.push(proc);
+    return proc;
+}
+
+/** Create a game mid-question with two players, one of whom has answered */
+function liveGame(gameSessionService, playerManagementService, io) {
+    const game = gameSessionService.createGame('host-socket', sampleQuiz({ randomizeAnswers: true, powerUpsEnabled: true }));
+    playerManagementService.handlePlayerJoin('p1', game.pin, 'Alice', game, makeSocket('p1'), io);
+    playerManagementService.handlePlayerJoin('p2', game.pin, 'Bob', game, makeSocket('p2'), io);
+
+    game.gameState = 'starting';
+    game.nextQuestion();
+    gameSessionService.startQuestion(game, io);
+    game.submitAnswer('p1', game.answerMappings.get('p1').indexOf(1), 'multiple-choice');
+    return game;
+}
+
+describe('Game snapshots', () => {
+    test('round-trip preserves players, answers, mappings and bans', () => {
+        const game = new Game('host-socket', sampleQuiz({ powerUpsEnabled: true }), mockLogger, CONFIG);
+        game.hostToken = 'host-token';
+        game.addPlayer('p1', 'Alice');
+        game.players.get('p1').sessionToken = 'token-1';
+        game.players.get('p1').score = 250;
+        game.answerMappings.set('p1', [2, 0, 1, 3]);
+        game.bannedNames.add('mallory');
+        game.gameState = 'question';
+        game.currentQuestion = 0;
+        game.questionEndsAt = Date.now() + 5000;
+
+        const snapshot = JSON.parse(JSON.stringify(game.toSnapshot()));
+        const restored = Game.fromSnapshot(snapshot, mockLogger, CONFIG);
+
+        expect(restored.pin).toBe(game.pin);
+        expect(restored.hostToken).toBe('host-token');
+        expect(restored.gameState).toBe('question');
+        expect(restored.questionEndsAt).toBe(game.questionEndsAt);
+        expect(restored.players.get('p1')).toMatchObject({
+            name: 'Alice',
+            score: 250,
+            sessionToken: 'token-1',
+            disconnected: true,
+            oldSocketId: 'p1'
+        });
+        expect(restored.players.get('p1').powerUps['fifty-fifty']).toEqual({ remaining: 1 });
+        expect(restored.answerMappings.get('p1')).toEqual([2, 0, 1, 3]);
+        expect(restored.isBanned({ name: 'Mallory' })).toBe(true);
+    });
+
+    test('round-trip preserves team mode and membership', () => {
+        const game = new Game('host-socket', sampleQuiz({ teamMode: true, teamCount: 4, teamAggregation: 'average' }), mockLogger, CONFIG);
+        game.addPlayer('p1', 'Alice');
+        game.assignTeam('p1', 3);
+        game.updateLeaderboard();
+
+        const snapshot = JSON.parse(JSON.stringify(game.toSnapshot()));
+        const restored = Game.fromSnapshot(snapshot, mockLogger, CONFIG);
+
+        expect(restored.isTeamMode).toBe(true);
+        expect(restored.teamConfig).toEqual({ count: 4, aggregation: 'average', assignment: 'auto' });
+        expect(restored.teams).toHaveLength(4);
+        expect(restored.players.get('p1').teamId).toBe(3);
+        expect(restored.teamLeaderboard).toEqual(game.teamLeaderboard);
+    });
+
+    test('rejects snapshots from an unknown version', () => {
+        expect(() => Game.fromSnapshot({ version: 99 }, mockLogger, CONFIG)).toThrow('Unsupported game snapshot version');
+    });
+});
+
+describe('GameSnapshotService — writing', () => {
+    test('coalesces lifecycle requests into one write', async () => {
+        const storage = new MemoryStorageAdapter();
+        jest.spyOn(storage, 'write');
+        const { gameSessionService, snapshotService } = start(storage);
+        const game = gameSessionService.createGame('host-socket', sampleQuiz());
+
+        snapshotService.requestSnapshot(game);
+        snapshotService.requestSnapshot(game);
+        await jest.advanceTimersByTimeAsync(300);
+
+        expect(storage.write).toHaveBeenCalledTimes(1);
+        expect(storage.write).toHaveBeenCalledWith(COLLECTIONS.SNAPSHOTS, `game-${game.pin}.json`, expect.objectContaining({ pin: game.pin }));
+    });
+
+    test('starting a question snapshots the game', async () => {
+        const storage = new MemoryStorageAdapter();
+        const { gameSessionService, playerManagementService } = start(storage);
+        const game = liveGame(gameSessionService, playerManagementService, makeIo());
+
+        await jest.advanceTimersByTimeAsync(300);
+
+        const saved = await storage.read(COLLECTIONS.SNAPSHOTS, `game-${game.pin}.json`);
+        expect(saved.gameState).toBe('question');
+        expect(saved.players).toHaveLength(2);
+    });
+
+    test('deleting a game drops its snapshot', async () => {
+        const storage = new MemoryStorageAdapter();
+        const { gameSessionService, snapshotService } = start(storage);
+        const game = gameSessionService.createGame('host-socket', sampleQuiz());
+        await snapshotService.snapshotGame(game);
+
+        gameSessionService.deleteGame(game.pin);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(storage.docs.size).toBe(0);
+    });
+
+    test('a finished game is removed instead of written', async () => {
+        const storage = new MemoryStorageAdapter();
+        const { gameSessionService, snapshotService } = start(storage);
+        const game = gameSessionService.createGame('host-socket', sampleQuiz());
+        await snapshotService.snapshotGame(game);
+
+        game.gameState = 'finished';
+        await snapshotService.snapshotGame(game);
+
+        expect(storage.docs.size).toBe(0);
+    });
+
+    test('shutdown writes a final snapshot and ignores later requests', async () => {
+        const storage = new MemoryStorageAdapter();
+        const { gameSessionService, snapshotService } = start(storage);
+        const game = gameSessionService.createGame('host-socket', sampleQuiz());
+
+        await snapshotService.shutdown();
+        expect(storage.docs.size).toBe(1);
+
+        // Closing sockets deletes lobbies; the snapshot must survive that
+        gameSessionService.deleteGame(game.pin);
+        await jest.advanceTimersByTimeAsync(300);
+        expect(storage.docs.size).toBe(1);
+    });
+});
+
+describe('GameSnapshotService — restore', () => {
+    async function crashMidQuestion() {
+        const storage = new MemoryStorageAdapter();
+        const first = start(storage);
+        const game = liveGame(first.gameSessionService, first.playerManagementService, makeIo());
+        await first.snapshotService.snapshotGame(game);
+        // The old process dies: its timers never fire
+        game.clearTimers();
+        return { storage, game };
+    }
+
+    test('rebuilds the game and re-arms the question timer from questionEndsAt', async () => {
+        const { storage, game } = await crashMidQuestion();
+        jest.advanceTimersByTime(5000); // restart downtime
+
+        const { gameSessionService, snapshotService } = start(storage);
+        const io = makeIo();
+        expect(await snapshotService.restore(io)).toBe(1);
+
+        const restored = gameSessionService.getGame(game.pin);
+        expect(restored.gameState).toBe('question');
+        expect(restored.hostDisconnected).toBe(true);
+
+        jest.advanceTimersByTime(14000);
+        expect(restored.gameState).toBe('question');
+        jest.advanceTimersByTime(1000);
+        expect(restored.gameState).toBe('revealing');
+        expect(io.emit).toHaveBeenCalledWith('question-timeout', expect.objectContaining({ correctAnswer: 1 }));
+    });
+
+    test('players rejoin with their session token and keep score and answers', async () => {
+        const { storage, game } = await crashMidQuestion();
+        const alice = game.players.get('p1');
+
+        const { gameSessionService, playerManagementService, snapshotService } = start(storage);
+        const io = makeIo();
+        await snapshotService.restore(io);
+        const restored = gameSessionService.getGame(game.pin);
+
+        const socket = makeSocket('new-p1');
+        const result = playerManagementService.handlePlayerRejoin(
+            'new-p1', game.pin, alice.sessionToken, restored, socket, io, null
+        );
+
+        expect(result.success).toBe(true);
+        const player = restored.players.get('new-p1');
+        expect(player.disconnected).toBe(false);
+        expect(player.answers[0]).toEqual(alice.answers[0]);
+        expect(player.score).toBe(alice.score);
+        // The shuffled options the player saw before the restart come back unchanged
+        expect(restored.answerMappings.get('new-p1')).toEqual(game.answerMappings.get('p1'));
+        expect(socket.emit).toHaveBeenCalledWith('question-start', expect.objectContaining({ alreadyAnswered: true }));
+    });
+
+    test('players who never come back are removed after the grace period', async () => {
+        const { storage, game } = await crashMidQuestion();
+
+        const { gameSessionService, snapshotService } = start(storage);
+        await snapshotService.restore(makeIo());
+        const restored = gameSessionService.getGame(game.pin);
+
+        jest.advanceTimersByTime(RESTORE_GRACE_MS);
+
+        expect(restored.players.size).toBe(0);
+        expect(restored.removedPlayers.map(p => p.name).sort()).toEqual(['Alice', 'Bob']);
+    });
+
+    test('the game goes to pending-migration when the host does not return', async () => {
+        const { storage, game } = await crashMidQuestion();
+
+        const { gameSessionService, snapshotService } = start(storage);
+        const io = makeIo();
+        await snapshotService.restore(io);
+
+        jest.advanceTimersByTime(RESTORE_GRACE_MS);
+
+        expect(gameSessionService.getGame(game.pin).gameState).toBe('pending-migration');
+        expect(io.emit).toHaveBeenCalledWith('host-preparing-new-game', { graceMs: 120000 });
+    });
+
+    test('unreadable and expired snapshots are discarded', async () => {
+        const storage = new MemoryStorageAdapter();
+        const stale = new Game('host-socket', sampleQuiz(), mockLogger, CONFIG);
+        stale.createdAt = Date.now() - 3 * 60 * 60 * 1000;
+        await storage.write(COLLECTIONS.SNAPSHOTS, `game-${stale.pin}.json`, stale.toSnapshot());
+        await storage.write(COLLECTIONS.SNAPSHOTS, 'game-000000.json', { version: 0 });
+
+        const { gameSessionService, snapshotService } = start(storage);
+        expect(await snapshotService.restore(makeIo())).toBe(0);
+
+        expect(gameSessionService.games.size).toBe(0);
+        expect(storage.docs.size).toBe(0);
+    });
+});
@@ -3,7 +3,9 @@
  *
  * Exercises the game state machine and its invariants: lifecycle, player
  * management, power-ups, answer submission (accept / duplicate / wrong),
- * score accumulation, consensus mode, leaderboard ordering, answer statistics,
+ * score accumulation, consensus mode, team mode, elimination mode, adaptive
+ * difficulty, question branching, leaderboard ordering,
+ * answer statistics,
  * timer clearing, reset/cleanup, and results-save idempotency.
  *
  * Scoring *formula* correctness is covered by game-scoring-parity.test.js and
@@ -19,6 +21,7 @@ jest.mock('../../services/atomic-write', () => ({
 }));
 
 const fs = require('fs');
+const path = require('path');
 const { atomicWriteFile } = require('../../services/atomic-write');
 const { Game } = require('../../services/game');
 
@@ -145,8 +148,28 @@ describe('Game — addPlayer / removePlayer', () => {
         const game = makeGame({ powerUpsEnabled: true });
         game.addPlayer('p1', 'Alice');
         const pu = game.players.get('p1').powerUps;
-        expect(pu['fifty-fifty']).toEqual({ available: true, used: false });
-        expect(pu['double-points']).toEqual({ available: true, used: false, active: false });
+        expect(pu['fifty-fifty']).toEqual({ remaining: 1 });
+        expect(pu['double-points']).toEqual({ remaining: 1, active: false });
+        // Quizzes without powerUpSettings get the original three
+        expect(Object.keys(pu)).toEqual(['fifty-fifty', 'extend-time', 'double-points']);
+    });
+
+    test('builds the power-up state from the quiz powerUpSettings', () => {
+        const game = makeGame({
+            powerUpsEnabled: true,
+            powerUpSettings: {
+                'fifty-fifty': { enabled: false },
+                'shield': { enabled: true, uses: 3 },
+                'extend-time': { uses: 99, extraSeconds: 1 }
+            }
+        });
+        game.addPlayer('p1', 'Alice');
+        expect(game.players.get('p1').powerUps).toEqual({
+            'extend-time': { remaining: 5 },
+            'double-points': { remaining: 1, active: false },
+            'shield': { remaining: 3, active: false }
+        });
+        expect(game.powerUpConfig['extend-time']).toEqual({ uses: 5, extraSeconds: 5 });
     });
 
     test('rejects joining past MAX_PLAYERS_PER_GAME with error_game_full', () => {
@@ -167,14 +190,44 @@ describe('Game — addPlayer / removePlayer', () => {
     });
 });
 
+describe('Game — bans', () => {
+    test('matches a banned name case-insensitively, device or session token', () => {
+        const game = makeGame();
+        game.banPlayer({ name: ' Alice ', deviceId: 'dev-1', sessionToken: 'tok-1' });
+        expect(game.isBanned({ name: 'ALICE' })).toBe(true);
+        expect(game.isBanned({ name: 'Bob', deviceId: 'dev-1' })).toBe(true);
+        expect(game.isBanned({ sessionToken: 'tok-1' })).toBe(true);
+        expect(game.isBanned({ name: 'Bob', deviceId: 'dev-2' })).toBe(false);
+        expect(game.isBanned()).toBe(false);
+    });
+
+    test('bans survive a reset for rematch', () => {
+        const game = makeGame();
+        game.banPlayer({ name: 'Alice' });
+        game.reset();
+        expect(game.isBanned({ name: 'alice' })).toBe(true);
+    });
+});
+
 describe('Game — power-ups', () => {
-    function gameWithPlayer() {
-        const game = makeGame({ powerUpsEnabled: true, questions: [mcQuestion()] });
+    afterEach(() => jest.useRealTimers());
+
+    function gameWithPlayer(quizOverrides = {}, questions = [mcQuestion()]) {
+        const game = makeGame({ powerUpsEnabled: true, questions, ...quizOverrides });
         game.addPlayer('p1', 'Alice');
         game.currentQuestion = 0;
+        game.gameState = 'question';
+        game.questionStartTime = Date.now();
         return game;
     }
 
+    const ALL_ON = {
+        'shield': { enabled: true },
+        'second-chance': { enabled: true, pointsPercent: 50 },
+        'skip': { enabled: true },
+        'reveal-hint': { enabled: true }
+    };
+
     test('rejects usePowerUp when power-ups disabled for the game', () => {
         const game = makeGame();
         game.addPlayer('p1', 'Alice');
@@ -193,15 +246,49 @@ describe('Game — power-ups', () => {
         expect(game.usePowerUp('p1', 'teleport').messageKey).toBe('error_unknown_powerup');
     });
 
-    test('fifty-fifty returns hidden options and marks the power-up used', () => {
+    test('rejects a power-up the quiz did not enable', () => {
+        const game = gameWithPlayer();
+        expect(game.usePowerUp('p1', 'shield').messageKey).toBe('error_unknown_powerup');
+    });
+
+    test('rejects use outside a question or after answering', () => {
+        const game = gameWithPlayer();
+        game.gameState = 'revealing';
+        expect(game.usePowerUp('p1', 'extend-time').messageKey).toBe('error_powerup_unavailable');
+
+        game.gameState = 'question';
+        game.submitAnswer('p1', 1, 'multiple-choice');
+        expect(game.usePowerUp('p1', 'extend-time').messageKey).toBe('error_powerup_unavailable');
+        expect(game.players.get('p1').powerUps['extend-time'].remaining).toBe(1);
+    });
+
+    test('fifty-fifty returns hidden options and spends a use', () => {
         const game = gameWithPlayer();
         const res = game.usePowerUp('p1', 'fifty-fifty');
         expect(res.success).toBe(true);
-        expect(Array.isArray(res.hiddenOptions)).toBe(true);
+        expect(res.remaining).toBe(0);
         // 4 options, 1 correct → 3 wrong → hide ceil(3/2) = 2
         expect(res.hiddenOptions).toHaveLength(2);
         expect(res.hiddenOptions).not.toContain(1); // never hides the correct index
-        expect(game.players.get('p1').powerUps['fifty-fifty'].used).toBe(true);
+        expect(game.players.get('p1').powerUps['fifty-fifty'].remaining).toBe(0);
+    });
+
+    test('fifty-fifty works on true-false and multiple-correct questions', () => {
+        const tf = gameWithPlayer({}, [{ type: 'true-false', correctAnswer: 'false', timeLimit: 20 }]);
+        expect(tf.usePowerUp('p1', 'fifty-fifty').hiddenOptions).toEqual([0]); // hides TRUE
+
+        const mc = gameWithPlayer({}, [{
+            type: 'multiple-correct', options: ['A', 'B', 'C', 'D', 'E'], correctAnswers: [0, 2], timeLimit: 20
+        }]);
+        const hidden = mc.usePowerUp('p1', 'fifty-fifty').hiddenOptions;
+        expect(hidden).toHaveLength(2);
+        hidden.forEach(index => expect([1, 3, 4]).toContain(index));
+    });
+
+    test('fifty-fifty is refused on question types without options', () => {
+        const game = gameWithPlayer({}, [{ type: 'numeric', correctAnswer: 42, timeLimit: 20 }]);
+        expect(game.usePowerUp('p1', 'fifty-fifty').messageKey).toBe('error_powerup_not_applicable');
+        expect(game.players.get('p1').powerUps['fifty-fifty'].remaining).toBe(1);
     });
 
     test('rejects reusing a spent power-up', () => {
@@ -212,22 +299,24 @@ describe('Game — power-ups', () => {
         expect(res.messageKey).toBe('error_powerup_already_used');
     });
 
-    test('extend-time returns 10 extra seconds', () => {
+    test('honours the uses per player from the quiz settings', () => {
+        const game = gameWithPlayer({ powerUpSettings: { 'extend-time': { uses: 2, extraSeconds: 15 } } });
+        expect(game.usePowerUp('p1', 'extend-time')).toMatchObject({ success: true, remaining: 1, extraSeconds: 15 });
+        expect(game.usePowerUp('p1', 'extend-time')).toMatchObject({ success: true, remaining: 0 });
+        expect(game.usePowerUp('p1', 'extend-time').messageKey).toBe('error_powerup_already_used');
+    });
+
+    test('extend-time returns 10 extra seconds by default', () => {
         const game = gameWithPlayer();
         expect(game.usePowerUp('p1', 'extend-time').extraSeconds).toBe(10);
     });
 
-    test('double-points activates and is consumed once by getAndConsumeDoublePoints', () => {
-        const game = gameWithPlayer();
+    test('an armed power-up cannot be armed twice', () => {
+        const game = gameWithPlayer({ powerUpSettings: { 'double-points': { uses: 2 } } });
         game.usePowerUp('p1', 'double-points');
         expect(game.players.get('p1').powerUps['double-points'].active).toBe(true);
-        expect(game.getAndConsumeDoublePoints('p1')).toBe(2); // consumes
-        expect(game.getAndConsumeDoublePoints('p1')).toBe(1); // already consumed
-    });
-
-    test('getAndConsumeDoublePoints returns 1 when not active', () => {
-        const game = gameWithPlayer();
-        expect(game.getAndConsumeDoublePoints('p1')).toBe(1);
+        expect(game.usePowerUp('p1', 'double-points').messageKey).toBe('error_powerup_active');
+        expect(game.getArmedPowerUps(game.players.get('p1'))).toEqual(['double-points']);
     });
 
     test('fifty-fifty remaps hidden options through the player answer mapping', () => {
@@ -241,6 +330,99 @@ describe('Game — power-ups', () => {
         // Correct original index 1 sits at shuffled position 2, so 2 must not appear
         expect(res.hiddenOptions).not.toContain(2);
     });
+
+    test('a shield keeps the streak through a wrong answer and is spent', () => {
+        const game = gameWithPlayer({ powerUpSettings: ALL_ON }, [mcQuestion(), mcQuestion()]);
+        game.submitAnswer('p1', 1, 'multiple-choice');
+        expect(game.players.get('p1').streak).toBe(1);
+
+        game.currentQuestion = 1;
+        game.usePowerUp('p1', 'shield');
+        const res = game.submitAnswer('p1', 0, 'multiple-choice');
+        expect(res).toMatchObject({ accepted: true, isCorrect: false, shielded: true, streak: 1 });
+        expect(game.players.get('p1').answers[1].shielded).toBe(true);
+        expect(game.players.get('p1').powerUps.shield).toEqual({ remaining: 0, active: false });
+    });
+
+    test('a wrong answer without a shield resets the streak', () => {
+        const game = gameWithPlayer({}, [mcQuestion(), mcQuestion()]);
+        game.submitAnswer('p1', 1, 'multiple-choice');
+        game.currentQuestion = 1;
+        expect(game.submitAnswer('p1', 0, 'multiple-choice')).toMatchObject({ streak: 0, shielded: false });
+    });
+
+    test('second chance turns a wrong answer away once, then scores the retry at a percentage', () => {
+        // Frozen clock: the retry and the control answer earn the same time bonus
+        jest.useFakeTimers();
+        const game = gameWithPlayer({ powerUpSettings: { 'second-chance': { enabled: true, uses: 2 } } });
+        game.usePowerUp('p1', 'second-chance');
+
+        const first = game.submitAnswer('p1', 0, 'multiple-choice');
+        expect(first).toEqual({ accepted: false, reason: 'retry', pointsPercent: 50 });
+        expect(game.players.get('p1').answers[0]).toBeUndefined();
+        // Cannot be stacked on the retry it granted
+        expect(game.usePowerUp('p1', 'second-chance').messageKey).toBe('error_powerup_unavailable');
+
+        const control = gameWithPlayer();
+        const full = control.submitAnswer('p1', 1, 'multiple-choice');
+
+        const retry = game.submitAnswer('p1', 1, 'multiple-choice');
+        expect(retry.accepted).toBe(true);
+        expect(retry.breakdown.secondChancePercent).toBe(50);
+        expect(retry.points).toBe(Math.floor(full.points * 0.5));
+        expect(game.players.get('p1').answers[0].secondChance).toBe(true);
+    });
+
+    test('second chance is spent without effect on a correct answer', () => {
+        const game = gameWithPlayer({ powerUpSettings: ALL_ON });
+        game.usePowerUp('p1', 'second-chance');
+        const res = game.submitAnswer('p1', 1, 'multiple-choice');
+        expect(res.accepted).toBe(true);
+        expect(res.breakdown.secondChancePercent).toBeUndefined();
+        expect(game.players.get('p1').powerUps['second-chance'].active).toBe(false);
+    });
+
+    test('skip records a zero-point answer and leaves the streak alone', () => {
+        const game = gameWithPlayer({ powerUpSettings: ALL_ON });
+        game.players.get('p1').streak = 3;
+        const res = game.usePowerUp('p1', 'skip');
+        expect(res).toMatchObject({ success: true, skipped: true });
+
+        const answer = game.players.get('p1').answers[0];
+        expect(answer).toMatchObject({ skipped: true, isCorrect: false, points: 0 });
+        expect(game.players.get('p1').streak).toBe(3);
+        expect(game.submitAnswer('p1', 1, 'multiple-choice').reason).toBe('duplicate');
+        // Skipped players count as answered but not in the option distribution
+        expect(game.getAnswerStatistics().answeredPlayers).toBe(1);
+    });
+
+    test('reveal-hint gives a hint drawn from the question', () => {
+        const numeric = gameWithPlayer({ powerUpSettings: ALL_ON }, [{ type: 'numeric', correctAnswer: 100, timeLimit: 20 }]);
+        const { hint } = numeric.usePowerUp('p1', 'reveal-hint', () => 0.5);
+        expect(hint.kind).toBe('range');
+        expect(hint.min).toBeLessThanOrEqual(100);
+        expect(hint.max).toBeGreaterThanOrEqual(100);
+
+        const text = gameWithPlayer({ powerUpSettings: ALL_ON }, [{ type: 'text-input', acceptedAnswers: ['Paris'], timeLimit: 20 }]);
+        expect(text.usePowerUp('p1', 'reveal-hint').hint).toEqual({ kind: 'first-letter', letter: 'P', length: 5 });
+    });
+
+    test('reveal-hint exclude-option hint never points at the correct option', () => {
+        const game = gameWithPlayer({ powerUpSettings: ALL_ON });
+        for (const value of [0, 0.4, 0.99]) {
+            game.players.get('p1').powerUps['reveal-hint'].remaining = 1;
+            const { hint } = game.usePowerUp('p1', 'reveal-hint', () => value);
+            expect(hint.kind).toBe('exclude-option');
+            expect(hint.option).not.toBe(1);
+        }
+    });
+
+    test('poll questions leave armed power-ups banked', () => {
+        const game = gameWithPlayer({}, [mcQuestion({ isPoll: true }), mcQuestion()]);
+        game.usePowerUp('p1', 'double-points');
+        game.submitAnswer('p1', 0, 'multiple-choice');
+        expect(game.players.get('p1').powerUps['double-points'].active).toBe(true);
+    });
 });
 
 describe('Game — question advancement', () => {
@@ -386,6 +568,26 @@ describe('Game — submitAnswer', () => {
         const res = game.submitAnswer('p1', 3, 'multiple-choice');
         expect(res.isCorrect).toBe(true);
     });
+
+    test('matching columns are shuffled once per player and answers map back to pair order', () => {
+        const pairs = [
+            { left: 'France', right: 'Paris' },
+            { left: 'Spain', right: 'Madrid' },
+            { left: 'Italy', right: 'Rome' }
+        ];
+        const game = startedGame([{ type: 'matching', pairs }]);
+        game.answerMappings.set('p1', [2, 0, 1]);
+
+        const columns = game.getMatchingColumns(game.quiz.questions[0], 'p1');
+        expect(columns.options).toEqual(['France', 'Spain', 'Italy']);
+        expect(columns.matches).toEqual(['Rome', 'Paris', 'Madrid']);
+
+        // France→Paris (shown 1), Spain→Rome (shown 0), Italy→Madrid (shown 2)
+        game.submitAnswer('p1', [1, 0, 2], 'matching');
+        const stored = game.players.get('p1').answers[0];
+        expect(stored.answer).toEqual([0, 2, 1]);
+        expect(stored.partialScore).toBeCloseTo(1 / 3);
+    });
 });
 
 describe('Game — consensus mode', () => {
@@ -483,6 +685,18 @@ describe('Game — consensus mode', () => {
         expect(res.teamPoints).toBe(0);
     });
 
+    test('lockConsensus credits the players who proposed the locked answer', () => {
+        const game = consensusGame(mcQuestion({ correctAnswer: 1, correctIndex: 1 }));
+        ['p1', 'p2', 'p3'].forEach(id => game.addPlayer(id, id));
+        game.submitProposal('p1', 1);
+        game.submitProposal('p2', 1);
+        game.submitProposal('p3', 2);
+        game.lockConsensus();
+        expect(game.players.get('p1').consensusAgreements).toBe(1);
+        expect(game.players.get('p2').consensusAgreements).toBe(1);
+        expect(game.players.get('p3').consensusAgreements).toBeUndefined();
+    });
+
     test('lockConsensus is single-shot (second call returns null)', () => {
         const game = consensusGame(mcQuestion());
         game.addPlayer('p1', 'A');
@@ -512,6 +726,410 @@ describe('Game — consensus mode', () => {
     });
 });
 
+describe('Game — team mode', () => {
+    function teamGame(overrides = {}) {
+        return makeGame({ teamMode: true, teamCount: 3, ...overrides });
+    }
+
+    test('creates numbered teams only when team mode is on', () => {
+        expect(teamGame().teams).toEqual([
+            { id: 1, name: 'Team 1' },
+            { id: 2, name: 'Team 2' },
+            { id: 3, name: 'Team 3' }
+        ]);
+        expect(makeGame().teams).toEqual([]);
+    });
+
+    test('autoAssignTeam balances players over the smallest teams', () => {
+        const game = teamGame();
+        ['p1', 'p2', 'p3', 'p4'].forEach(id => {
+            game.addPlayer(id, id);
+            game.autoAssignTeam(id);
+        });
+        expect(['p1', 'p2', 'p3', 'p4'].map(id => game.players.get(id).teamId)).toEqual([1, 2, 3, 1]);
+    });
+
+    test('assignTeam rejects unknown teams and games without team mode', () => {
+        const game = teamGame();
+        game.addPlayer('p1', 'Alice');
+        expect(game.assignTeam('p1', 9)).toMatchObject({ success: false, messageKey: 'error_team_not_found' });
+        expect(game.assignTeam('p1', 2)).toEqual({ success: true, teamId: 2 });
+
+        const plain = makeGame();
+        plain.addPlayer('p1', 'Alice');
+        expect(plain.assignTeam('p1', 1)).toMatchObject({ success: false, messageKey: 'error_team_mode_disabled' });
+    });
+
+    test('balanceUnassignedPlayers keeps the host\'s placements', () => {
+        const game = teamGame({ teamCount: 2, teamAssignment: 'manual' });
+        ['p1', 'p2', 'p3'].forEach(id => game.addPlayer(id, id));
+        game.assignTeam('p1', 1);
+        game.assignTeam('p2', 1);
+        game.balanceUnassignedPlayers();
+        expect(game.players.get('p1').teamId).toBe(1);
+        expect(game.players.get('p3').teamId).toBe(2);
+    });
+
+    test.each([
+        ['sum', [300, 50]],
+        ['average', [150, 50]],
+        ['best', [200, 50]]
+    ])('aggregates team scores by %s', (aggregation, expected) => {
+        const game = teamGame({ teamCount: 2, teamAggregation: aggregation });
+        game.addPlayer('p1', 'A');
+        game.addPlayer('p2', 'B');
+        game.addPlayer('p3', 'C');
+        game.assignTeam('p1', 1);
+        game.assignTeam('p2', 1);
+        game.assignTeam('p3', 2);
+        game.players.get('p1').score = 100;
+        game.players.get('p2').score = 200;
+        game.players.get('p3').score = 50;
+
+        game.updateLeaderboard();
+        expect(game.teamLeaderboard.map(t => t.score)).toEqual(expected);
+        expect(game.teamLeaderboard[0]).toMatchObject({ id: 1, memberCount: 2 });
+    });
+
+    test('team standings count removed players and rank empty teams last', () => {
+        const game = teamGame();
+        game.addPlayer('p1', 'A');
+        game.assignTeam('p1', 3);
+        game.players.get('p1').score = 10;
+        game.removedPlayers.push({ name: 'Gone', score: 40, answers: {}, teamId: 2 });
+
+        expect(game.getTeamStandings().map(t => [t.id, t.score])).toEqual([[2, 40], [3, 10], [1, 0]]);
+    });
+
+    test('reset keeps team membership but clears the standings', () => {
+        const game = teamGame();
+        game.addPlayer('p1', 'A');
+        game.assignTeam('p1', 2);
+        game.updateLeaderboard();
+        game.reset();
+        expect(game.players.get('p1').teamId).toBe(2);
+        expect(game.teamLeaderboard).toEqual([]);
+    });
+});
+
+describe('Game — elimination mode', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    function eliminationGame(overrides = {}, ids = ['p1', 'p2', 'p3', 'p4']) {
+        const game = makeGame({
+            eliminationMode: true,
+            questions: [mcQuestion(), mcQuestion(), mcQuestion()],
+            ...overrides
+        });
+        ids.forEach(id => game.addPlayer(id, id));
+        game.currentQuestion = 0;
+        game.gameState = 'question';
+        game.questionStartTime = Date.now();
+        return game;
+    }
+
+    function answerAfter(game, id, answer, ms) {
+        jest.setSystemTime(game.questionStartTime + ms);
+        return game.submitAnswer(id, answer, 'multiple-choice');
+    }
+
+    test('is off in consensus mode', () => {
+        expect(makeGame({ eliminationMode: true, consensusMode: true }).isEliminationMode).toBe(false);
+        expect(makeGame().getEliminationInfo()).toBeNull();
+    });
+
+    test('knocks out wrong and missing answers, keeps shielded ones in', () => {
+        const game = eliminationGame();
+        answerAfter(game, 'p1', 1, 1000);
+        answerAfter(game, 'p2', 0, 1000);
+        answerAfter(game, 'p3', 0, 1000);
+        game.players.get('p3').answers[0].shielded = true;
+
+        const result = game.applyElimination();
+        expect(result.eliminated.map(p => p.id).sort()).toEqual(['p2', 'p4']);
+        expect(result.revived).toEqual([]);
+        expect(game.players.get('p2')).toMatchObject({ eliminated: true, eliminatedOnQuestion: 0 });
+        expect(game.getSurvivors().map(p => p.id)).toEqual(['p1', 'p3']);
+        // The phase runs once per question
+        expect(game.applyElimination()).toBeNull();
+    });
+
+    test('also knocks out the slowest share of the right answers', () => {
+        const game = eliminationGame({ eliminationSlowestPercent: 50 });
+        answerAfter(game, 'p1', 1, 1000);
+        answerAfter(game, 'p2', 1, 4000);
+        answerAfter(game, 'p3', 1, 2000);
+        answerAfter(game, 'p4', 1, 3000);
+
+        expect(game.applyElimination().eliminated.map(p => p.id)).toEqual(['p2', 'p4']);
+    });
+
+    test('nobody goes out when everybody would, and polls eliminate nobody', () => {
+        const game = eliminationGame();
+        ['p1', 'p2', 'p3', 'p4'].forEach(id => answerAfter(game, id, 0, 1000));
+        expect(game.applyElimination().eliminated).toEqual([]);
+
+        const poll = eliminationGame({ questions: [mcQuestion({ isPoll: true })] });
+        expect(poll.applyElimination()).toEqual({ eliminated: [], revived: [] });
+        expect(poll.getSurvivors()).toHaveLength(4);
+    });
+
+    test('ghosts answer unscored and come back on a revival round', () => {
+        const game = eliminationGame({ eliminationRevivalEvery: 2 }, ['p1', 'p2', 'p3']);
+        answerAfter(game, 'p1', 1, 1000);
+        answerAfter(game, 'p2', 1, 1000);
+        answerAfter(game, 'p3', 0, 1000);
+        game.applyElimination();
+
+        game.currentQuestion = 1;
+        game.questionStartTime = Date.now();
+        expect(game.isRevivalRound()).toBe(true);
+        const ghost = answerAfter(game, 'p3', 1, 500);
+        expect(ghost).toMatchObject({ accepted: true, isCorrect: true, points: 0, ghost: true });
+        expect(game.players.get('p3').score).toBe(0);
+        answerAfter(game, 'p1', 1, 1000);
+        answerAfter(game, 'p2', 1, 1000);
+
+        expect(game.applyElimination().revived.map(p => p.id)).toEqual(['p3']);
+        expect(game.getEliminationState(game.players.get('p3')))
+            .toEqual({ eliminated: false, eliminatedNow: false, revived: true, survivors: 3 });
+    });
+
+    test('ghost answers are left out of the statistics and not waited for', () => {
+        const game = eliminationGame({}, ['p1', 'p2']);
+        game.players.get('p2').eliminated = true;
+        game.players.get('p2').eliminatedOnQuestion = -1;
+        answerAfter(game, 'p2', 1, 1000);
+
+        expect(game.isAwaitingAnswer(game.players.get('p2'))).toBe(false);
+        expect(game.getAnswerStatistics()).toMatchObject({ totalPlayers: 1, answeredPlayers: 0 });
+    });
+
+    test('the game is decided once a single player is left', () => {
+        const game = eliminationGame({}, ['p1', 'p2']);
+        answerAfter(game, 'p1', 1, 1000);
+        answerAfter(game, 'p2', 0, 1000);
+        expect(game.hasNextQuestion()).toBe(true);
+
+        game.applyElimination();
+        expect(game.isEliminationDecided()).toBe(true);
+        expect(game.hasNextQuestion()).toBe(false);
+    });
+
+    test('ranks survivors first, then by how long the others lasted', () => {
+        const game = eliminationGame({}, ['early', 'late', 'winner']);
+        Object.assign(game.players.get('early'), { eliminated: true, eliminatedOnQuestion: 0, score: 900 });
+        Object.assign(game.players.get('late'), { eliminated: true, eliminatedOnQuestion: 2, score: 100 });
+        game.players.get('winner').score = 50;
+
+        game.updateLeaderboard();
+        expect(game.leaderboard.map(p => p.id)).toEqual(['winner', 'late', 'early']);
+    });
+
+    test('players joining a running game start as ghosts', () => {
+        const game = eliminationGame({}, ['p1']);
+        game.addPlayer('late', 'Late');
+        expect(game.players.get('late').eliminated).toBe(true);
+        expect(game.getEliminationInfo(game.players.get('late')))
+            .toMatchObject({ enabled: true, survivors: 1, totalPlayers: 2, eliminated: true });
+    });
+
+    test('reset brings everybody back', () => {
+        const game = eliminationGame({}, ['p1', 'p2']);
+        answerAfter(game, 'p1', 1, 1000);
+        game.applyElimination();
+        game.reset();
+        expect(game.getSurvivors()).toHaveLength(2);
+        expect(game.eliminationQuestion).toBe(-1);
+    });
+});
+
+describe('Game — adaptive difficulty', () => {
+    const pool = () => [
+        mcQuestion({ question: 'E1', difficulty: 'easy' }),
+        mcQuestion({ question: 'M1', difficulty: 'medium' }),
+        mcQuestion({ question: 'H1', difficulty: 'hard' }),
+        mcQuestion({ question: 'E2', difficulty: 'easy' }),
+        mcQuestion({ question: 'H2', difficulty: 'hard' })
+    ];
+
+    function adaptiveGame(overrides = {}) {
+        const game = makeGame({ adaptiveMode: true, questions: pool(), ...overrides });
+        ['p1', 'p2', 'p3', 'p4'].forEach(id => game.addPlayer(id, id));
+        return game;
+    }
+
+    // Record answers for the current question: `correct` players right, the rest wrong
+    function answerCurrent(game, correct) {
+        ['p1', 'p2', 'p3', 'p4'].forEach((id, index) => {
+            game.players.get(id).answers[game.currentQuestion] = { isCorrect: index < correct };
+        });
+    }
+
+    test('starts with a medium question and asks the whole pool by default', () => {
+        const game = adaptiveGame();
+        expect(game.quiz.questions).toHaveLength(5);
+        game.nextQuestion();
+        expect(game.quiz.questions[0].question).toBe('M1');
+        expect(game.adaptiveSourceIndices).toEqual([1]);
+    });
+
+    test('goes harder after a question most of the room got right', () => {
+        const game = adaptiveGame();
+        game.nextQuestion();
+        answerCurrent(game, 3);
+        game.nextQuestion();
+        expect(game.quiz.questions[1].question).toBe('H1');
+        expect(game.getRoomAccuracy(0)).toBe(75);
+    });
+
+    test('goes easier after a question most of the room missed', () => {
+        const game = adaptiveGame();
+        game.nextQuestion();
+        answerCurrent(game, 1);
+        game.nextQuestion();
+        expect(game.quiz.questions[1].question).toBe('E1');
+    });
+
+    test('leaves out disconnected players who did not answer and ghost answers', () => {
+        const game = adaptiveGame();
+        game.nextQuestion();
+        game.players.get('p1').answers[0] = { isCorrect: true };
+        game.players.get('p2').answers[0] = { isCorrect: false, ghost: true };
+        game.players.get('p3').disconnected = true;
+        game.players.get('p4').answers[0] = { isCorrect: false };
+        expect(game.getRoomAccuracy(0)).toBe(50);
+    });
+
+    test('asks the configured number of questions and never repeats one', () => {
+        const game = adaptiveGame({ adaptiveQuestionCount: 3 });
+        expect(game.quiz.questions).toHaveLength(3);
+        while (game.nextQuestion()) answerCurrent(game, 4);
+        expect(game.adaptiveSourceIndices).toEqual([1, 2, 4]);
+        expect(new Set(game.quiz.questions)).toEqual(new Set(game.adaptiveSourceIndices.map(index => game.questionPool[index])));
+    });
+
+    test('records the path taken and starts over on reset', () => {
+        const game = adaptiveGame();
+        game.nextQuestion();
+        answerCurrent(game, 0);
+        game.nextQuestion();
+        answerCurrent(game, 4);
+
+        expect(game.getDifficultyPath()).toEqual([
+            { sourceIndex: 1, difficulty: 'medium', accuracy: 0 },
+            { sourceIndex: 0, difficulty: 'easy', accuracy: 100 }
+        ]);
+
+        game.reset();
+        expect(game.adaptiveSourceIndices).toEqual([]);
+        expect(game.quiz.questions.map(q => q.question)).toEqual(['E1', 'M1', 'H1', 'E2', 'H2']);
+    });
+
+    test('survives a snapshot round trip', () => {
+        const game = adaptiveGame({ adaptiveQuestionCount: 2 });
+        game.nextQuestion();
+        const restored = Game.fromSnapshot(game.toSnapshot(), mockLogger, CONFIG, DEFAULT_LIMITS);
+        expect(restored.isAdaptiveMode).toBe(true);
+        expect(restored.questionPool).toHaveLength(5);
+        expect(restored.adaptiveSourceIndices).toEqual([1]);
+    });
+});
+
+describe('Game — question branching', () => {
+    // start: most of the room wrong → review, else → hard; review always → end
+    const lesson = () => [
+        mcQuestion({ question: 'Start', label: 'start', next: { when: 'accuracy-below', value: 50, goTo: 'review', otherwise: 'hard' } }),
+        mcQuestion({ question: 'Review', label: 'review', next: { when: 'always', goTo: 'end' } }),
+        mcQuestion({ question: 'Hard', label: 'hard' }),
+        mcQuestion({ question: 'End', label: 'end' })
+    ];
+
+    function branchingGame(questions = lesson()) {
+        const game = makeGame({ questions });
+        ['p1', 'p2'].forEach(id => game.addPlayer(id, id));
+        return game;
+    }
+
+    function answerCurrent(game, answers) {
+        ['p1', 'p2'].forEach((id, index) => {
+            game.players.get(id).answers[game.currentQuestion] = answers[index];
+        });
+    }
+
+    test('only turns on for quizzes with rules, and not in adaptive mode', () => {
+        expect(branchingGame().isBranching).toBe(true);
+        expect(branchingGame([mcQuestion(), mcQuestion()]).isBranching).toBe(false);
+        expect(makeGame({ adaptiveMode: true, questions: lesson() }).isBranching).toBe(false);
+    });
+
+    test('jumps by the room accuracy and records the path', () => {
+        const game = branchingGame();
+        game.nextQuestion();
+        answerCurrent(game, [{ isCorrect: false }, { isCorrect: false }]);
+        expect(game.nextQuestion()).toBe(true);
+        expect(game.currentQuestion).toBe(1);
+
+        expect(game.nextQuestion()).toBe(true);
+        expect(game.currentQuestion).toBe(3);
+        expect(game.hasNextQuestion()).toBe(false);
+        expect(game.questionPath).toEqual([0, 1, 3]);
+    });
+
+    test('takes the otherwise branch when the condition does not hold', () => {
+        const game = branchingGame();
+        game.nextQuestion();
+        answerCurrent(game, [{ isCorrect: true }, { isCorrect: false }]);
+        game.nextQuestion();
+        expect(game.quiz.questions[game.currentQuestion].question).toBe('Hard');
+    });
+
+    test('branches on the option the room picked most, through the answer shuffle', () => {
+        const game = branchingGame([
+            mcQuestion({ next: { when: 'option', value: 2, goTo: 'c' } }),
+            mcQuestion(),
+            mcQuestion({ label: 'c' })
+        ]);
+        game.nextQuestion();
+        // Both players saw the options reversed: displayed 1 is option 2
+        game.answerMappings.set('p1', [3, 2, 1, 0]);
+        game.answerMappings.set('p2', [3, 2, 1, 0]);
+        answerCurrent(game, [{ answer: 1, isCorrect: false }, { answer: 1, isCorrect: false }]);
+        expect(game.getTopOption(0)).toBe(2);
+        game.nextQuestion();
+        expect(game.currentQuestion).toBe(2);
+    });
+
+    test('decides once, so later changes in the room do not move the branch', () => {
+        const game = branchingGame();
+        game.nextQuestion();
+        answerCurrent(game, [{ isCorrect: false }, { isCorrect: false }]);
+        expect(game.resolveBranch()).toBe(1);
+
+        answerCurrent(game, [{ isCorrect: true }, { isCorrect: true }]);
+        expect(game.hasNextQuestion()).toBe(true);
+        game.nextQuestion();
+        expect(game.currentQuestion).toBe(1);
+    });
+
+    test('starts over on reset and survives a snapshot round trip', () => {
+        const game = branchingGame();
+        game.nextQuestion();
+        answerCurrent(game, [{ isCorrect: false }, { isCorrect: false }]);
+        game.resolveBranch();
+
+        const restored = Game.fromSnapshot(game.toSnapshot(), mockLogger, CONFIG, DEFAULT_LIMITS);
+        expect(restored.isBranching).toBe(true);
+        expect(restored.questionPath).toEqual([0]);
+        expect(restored.branchTarget).toEqual({ from: 0, index: 1 });
+
+        game.reset();
+        expect(game.questionPath).toEqual([]);
+        expect(game.branchTarget).toBeNull();
+    });
+});
+
 describe('Game — leaderboard', () => {
     test('sorts by score descending', () => {
         const game = makeGame();
@@ -583,6 +1201,32 @@ describe('Game — answer statistics', () => {
         expect(stats.answerCounts.true).toBe(1);
         expect(stats.answerCounts.false).toBe(0);
     });
+
+    test('groups text answers by normalized spelling without revealing correctness', () => {
+        const game = makeGame({ questions: [{ type: 'text-input', acceptedAnswers: ['Paris'] }] });
+        ['p1', 'p2', 'p3'].forEach(id => game.addPlayer(id, id));
+        game.currentQuestion = 0;
+        game.players.get('p1').answers[0] = { answer: 'Paris' };
+        game.players.get('p2').answers[0] = { answer: 'PARÍS ' };
+        game.players.get('p3').answers[0] = { answer: 'Lyon' };
+
+        const stats = game.getAnswerStatistics();
+        expect(stats.answeredPlayers).toBe(3);
+        expect(stats.answerCounts).toEqual({ Paris: 2, Lyon: 1 });
+    });
+
+    test('counts correct matches per pair for matching questions', () => {
+        const pairs = [{ left: 'a', right: '1' }, { left: 'b', right: '2' }, { left: 'c', right: '3' }];
+        const game = makeGame({ questions: [{ type: 'matching', pairs }] });
+        ['p1', 'p2'].forEach(id => game.addPlayer(id, id));
+        game.currentQuestion = 0;
+        game.players.get('p1').answers[0] = { answer: [0, 1, 2] };
+        game.players.get('p2').answers[0] = { answer: [0, 2, 1] };
+
+        const stats = game.getAnswerStatistics();
+        expect(stats.answeredPlayers).toBe(2);
+        expect(stats.answerCounts).toEqual({ 0: 2, 1: 1, 2: 1 });
+    });
 });
 
 describe('Game — concept mastery', () => {
@@ -618,6 +1262,30 @@ describe('Game — concept mastery', () => {
     });
 });
 
+describe('Game — missed questions', () => {
+    test('returns wrong and unanswered questions that were reached, without polls', () => {
+        const game = makeGame({
+            questions: [
+                mcQuestion({ question: 'Right', concepts: ['algebra'] }),
+                mcQuestion({ question: 'Wrong', concepts: ['algebra'], video: 'clip.mp4' }),
+                { type: 'true-false', question: 'Poll', isPoll: true, timeLimit: 20 },
+                mcQuestion({ question: 'Skipped' }),
+                mcQuestion({ question: 'Never reached' })
+            ]
+        });
+        game.addPlayer('p1', 'A');
+        game.players.get('p1').answers = { 0: { isCorrect: true }, 1: { isCorrect: false } };
+        game.currentQuestion = 3;
+
+        const missed = game.getMissedQuestions('p1');
+
+        expect(missed.map(q => q.question)).toEqual(['Wrong', 'Skipped']);
+        expect(missed[0]).toMatchObject({ type: 'multiple-choice', correctAnswer: 1, concepts: ['algebra'] });
+        expect(missed[0].video).toBeUndefined();
+        expect(game.getMissedQuestions('ghost')).toEqual([]);
+    });
+});
+
 describe('Game — clearTimers / reset / cleanup', () => {
     beforeEach(() => jest.useFakeTimers());
     afterEach(() => jest.useRealTimers());
@@ -654,7 +1322,21 @@ describe('Game — clearTimers / reset / cleanup', () => {
         expect(game.players.has('p1')).toBe(true);        // player retained
         expect(game.players.get('p1').score).toBe(0);
         expect(game.players.get('p1').answers).toEqual([]);
-        expect(game.players.get('p1').powerUps['fifty-fifty'].used).toBe(false);
+        expect(game.players.get('p1').powerUps['fifty-fifty'].remaining).toBe(1);
+    });
+
+    test('reset clears streaks and the previous game\'s badges', () => {
+        const game = makeGame({ questions: [mcQuestion()] });
+        game.addPlayer('p1', 'Alice');
+        Object.assign(game.players.get('p1'), {
+            streak: 3, misses: 1, bestStreak: 3, consensusAgreements: 2, badges: [{ id: 'hot-streak', value: 3 }]
+        });
+
+        game.reset();
+
+        expect(game.players.get('p1')).toMatchObject({ streak: 0, misses: 0, bestStreak: 0 });
+        expect(game.players.get('p1')).not.toHaveProperty('badges');
+        expect(game.players.get('p1')).not.toHaveProperty('consensusAgreements');
     });
 
     test('reset zeroes teamScore and consensus state in consensus mode', () => {
@@ -713,5 +1395,94 @@ describe('Game — saveResults (idempotent, mocked I/O)', () => {
         expect(parsed.gamePin).toBe(game.pin);
         expect(parsed.results[0]).toMatchObject({ name: 'Alice', score: 250 });
         expect(parsed.questions[0]).toMatchObject({ questionNumber: 1, text: 'Q1?' });
+        expect(parsed.teams).toBeUndefined();
+    });
+
+    test('links each player to their report card in the saved file', async () => {
+        const game = makeGame({ questions: [mcQuestion({ explanation: 'Because.' })] });
+        game.addPlayer('p1', 'Alice');
+        expect(game.getReportCardLink('p1')).toBeNull();
+
+        await game.saveResults();
+
+        const [filePath, payload] = atomicWriteFile.mock.calls[0];
+        expect(JSON.parse(payload).questions[0].explanation).toBe('Because.');
+        expect(game.getReportCardLink('p1')).toEqual({ filename: path.basename(filePath), player: 'Alice' });
+        expect(game.getReportCardLink('nobody')).toBeNull();
+    });
+
+    test('awards badges to active and removed players and saves them with the results', async () => {
+        const game = makeGame({ questions: [mcQuestion(), mcQuestion()] });
+        game.addPlayer('p1', 'Alice');
+        game.addPlayer('p2', 'Bob');
+        game.players.get('p1').answers = [{ isCorrect: true, timeMs: 1200 }, { isCorrect: true, timeMs: 3000 }];
+        game.players.get('p2').answers = [{ isCorrect: false, timeMs: 500 }, { isCorrect: true, timeMs: 2000 }];
+        game.removedPlayers.push({ id: 'p3', name: 'Gone', score: 0, answers: [{ isCorrect: true, timeMs: 1200 }] });
+        game.currentQuestion = 1;
+
+        game.awardBadges();
+        await game.saveResults();
+
+        expect(game.players.get('p1').badges).toEqual([
+            { id: 'perfect-round', value: 2 },
+            { id: 'fastest-answer', value: 1200 }
+        ]);
+        expect(game.removedPlayers[0].badges).toEqual([{ id: 'fastest-answer', value: 1200 }]);
+        const parsed = JSON.parse(atomicWriteFile.mock.calls[0][1]);
+        expect(parsed.results[0].badges).toEqual(game.players.get('p1').badges);
+        // No badges, no field
+        expect(parsed.results[1]).not.toHaveProperty('badges');
+    });
+
+    test('records the difficulty path of an adaptive game', async () => {
+        const game = makeGame({ adaptiveMode: true, questions: [mcQuestion({ difficulty: 'hard' }), mcQuestion({ difficulty: 'medium' })] });
+        game.addPlayer('p1', 'Alice');
+        game.nextQuestion();
+        game.players.get('p1').answers[0] = { isCorrect: true };
+
+        await game.saveResults();
+
+        const parsed = JSON.parse(atomicWriteFile.mock.calls[0][1]);
+        expect(parsed.adaptive).toEqual({ mode: 'room', path: [{ sourceIndex: 1, difficulty: 'medium', accuracy: 100 }] });
+        expect(parsed.questions[0].difficulty).toBe('medium');
+    });
+
+    test('records the path of a branching game', async () => {
+        const game = makeGame({ questions: [
+            mcQuestion({ next: { when: 'always', goTo: 'last' } }),
+            mcQuestion(),
+            mcQuestion({ label: 'last' })
+        ] });
+        game.addPlayer('p1', 'Alice');
+        game.nextQuestion();
+        game.nextQuestion();
+
+        await game.saveResults();
+
+        const parsed = JSON.parse(atomicWriteFile.mock.calls[0][1]);
+        expect(parsed.branching).toEqual({ path: [0, 2] });
+    });
+
+    test('records team membership and standings in team mode', async () => {
+        const game = makeGame({ questions: [mcQuestion()], teamMode: true, teamAggregation: 'best' });
+        game.addPlayer('p1', 'Alice');
+        game.addPlayer('p2', 'Bob');
+        game.assignTeam('p1', 2);
+        game.assignTeam('p2', 1);
+        game.players.get('p1').score = 300;
+        game.players.get('p2').score = 100;
+
+        await game.saveResults();
+
+        const parsed = JSON.parse(atomicWriteFile.mock.calls[0][1]);
+        expect(parsed.results).toEqual([
+            expect.objectContaining({ name: 'Alice', team: 'Team 2' }),
+            expect.objectContaining({ name: 'Bob', team: 'Team 1' })
+        ]);
+        expect(parsed.teamAggregation).toBe('best');
+        expect(parsed.teams).toEqual([
+            { name: 'Team 2', score: 300, memberCount: 1 },
+            { name: 'Team 1', score: 100, memberCount: 1 }
+        ]);
     });
 });
@@ -0,0 +1,270 @@
+/**
+ * Gradebook Service Tests
+ */
+
+const { GradebookService } = require('../../services/gradebook-service');
+const { ResultsService } = require('../../services/results-service');
+
+const mockLogger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+};
+
+// Two sessions of the same quiz a week apart. Ana has a roster ID (and a
+// different spelling of her name the second time); Bo is matched by name.
+const RESULTS = {
+    'results_111111_1704067200000.json': {
+        quizTitle: 'Fractions',
+        gamePin: '111111',
+        saved: '2024-01-01T10:00:00.000Z',
+        questions: [{ text: 'Q1' }, { text: 'Favourite?', isPoll: true }, { text: 'Q3' }, { text: 'Q4' }],
+        results: [
+            {
+                name: 'Ana Perez',
+                studentId: 's1',
+                score: 1500,
+                answers: [
+                    { answer: 0, isCorrect: true },
+                    { answer: 1, isCorrect: false, isPoll: true },
+                    { answer: 2, isCorrect: true },
+                    { answer: [1, 0], isCorrect: false, partialScore: 0.5 }
+                ]
+            },
+            { name: 'bo', score: 500, answers: [{ answer: 0, isCorrect: true }] }
+        ]
+    },
+    'results_222222_1704672000000.json': {
+        quizTitle: 'Fractions',
+        gamePin: '222222',
+        saved: '2024-01-08T10:00:00.000Z',
+        questions: [{ text: 'Q1' }, { text: 'Q2' }],
+        results: [
+            { name: 'Ana P.', studentId: 's1', score: 2000, answers: [{ isCorrect: true }, { isCorrect: true }] },
+            { name: 'BO', score: 0, answers: [{ isCorrect: false }, { isCorrect: false }] },
+            { name: 'Cy', score: 900, answers: [{ isCorrect: true }, { isCorrect: false }] }
+        ]
+    }
+};
+
+// Adaptive homework: each student was asked two of the three questions, in
+// their own order, and is graded on those alone
+RESULTS['results_333333_1705276800000.json'] = {
+    quizTitle: 'Decimals',
+    gamePin: '333333',
+    saved: '2024-01-15T10:00:00.000Z',
+    adaptive: { mode: 'player' },
+    questions: [{ text: 'Easy' }, { text: 'Medium' }, { text: 'Hard' }],
+    results: [
+        { name: 'Ana P.', studentId: 's1', score: 700, questionOrder: [1, 2], answers: [null, { isCorrect: true }, { isCorrect: true }] },
+        { name: 'bo', score: 0, questionOrder: [1, 0], answers: [{ isCorrect: true }, { isCorrect: false }] }
+    ]
+};
+
+// Branching game: the room skipped the second question and is graded on the
+// questions asked
+RESULTS['results_444444_1705363200000.json'] = {
+    quizTitle: 'Lesson',
+    gamePin: '444444',
+    saved: '2024-01-16T10:00:00.000Z',
+    branching: { path: [0, 2] },
+    questions: [{ text: 'Intro' }, { text: 'Recap' }, { text: 'Check' }],
+    results: [
+        { name: 'Ana P.', studentId: 's1', score: 400, answers: [{ isCorrect: true }, undefined, { isCorrect: true }] }
+    ]
+};
+
+const FIRST = 'results_111111_1704067200000.json';
+const SECOND = 'results_222222_1704672000000.json';
+
+/**
+ * CSV rows as arrays; test data has no commas or quotes inside cells
+ */
+function parseCsv(content) {
+    return content.replace(/^﻿/, '').trim().split('\n')
+        .map(line => line.split(',').map(cell => (cell.startsWith('"') ? cell.slice(1, -1) : Number(cell))));
+}
+
+describe('GradebookService', () => {
+    let gradebookService;
+    let resultsService;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        resultsService = new ResultsService(mockLogger, 'results');
+        jest.spyOn(resultsService, 'getResult').mockImplementation(async (filename) => {
+            if (!RESULTS[filename]) {
+                const err = new Error('Result file not found');
+                err.messageKey = 'error_result_not_found';
+                throw err;
+            }
+            return RESULTS[filename];
+        });
+        gradebookService = new GradebookService(mockLogger, resultsService);
+    });
+
+    async function exportRows(options) {
+        const exportData = await gradebookService.exportGradebook(options);
+        return parseCsv(exportData.content);
+    }
+
+    describe('generic layout', () => {
+        test('writes one row per student and a % correct column per session, oldest first', async () => {
+            const exportData = await gradebookService.exportGradebook({ files: [SECOND, FIRST] });
+
+            expect(exportData.type).toBe('text/csv');
+            expect(exportData.filename).toBe('gradebook_generic_2_sessions.csv');
+            expect(exportData.content.startsWith('﻿')).toBe(true);
+
+            const [header, ...rows] = parseCsv(exportData.content);
+            expect(header).toEqual([
+                'Student', 'Student ID',
+                'Fractions (2024-01-01) - % Correct',
+                'Fractions (2024-01-08) - % Correct',
+                'Average - % Correct'
+            ]);
+            // Polls are skipped and unanswered questions count as wrong
+            expect(rows).toEqual([
+                ['Ana P.', 's1', 66.7, 100, 83.4],
+                ['BO', '', 33.3, 0, 16.7],
+                ['Cy', '', '', 50, 50]
+            ]);
+        });
+
+        test('counts partially correct answers by their partial score', async () => {
+            const [header, ana] = await exportRows({ files: [FIRST], normalization: 'partial' });
+
+            expect(header).toEqual(['Student', 'Student ID', 'Fractions (2024-01-01) - % Credit']);
+            expect(ana).toEqual(['Ana Perez', 's1', 83.3]);
+        });
+
+        test('grades adaptive homework on the questions each student was asked', async () => {
+            const [, ...rows] = await exportRows({ files: ['results_333333_1705276800000.json'] });
+            expect(rows).toEqual([
+                ['Ana P.', 's1', 100],
+                ['bo', '', 50]
+            ]);
+        });
+
+        test('grades a branching game on the questions it asked', async () => {
+            const [, ...rows] = await exportRows({ files: ['results_444444_1705363200000.json'] });
+            expect(rows).toEqual([['Ana P.', 's1', 100]]);
+        });
+
+        test('grades game points against the session\'s top score', async () => {
+            const [header, ...rows] = await exportRows({ files: [FIRST, SECOND], normalization: 'points', scale: 'letter' });
+
+            // Points are not comparable across sessions, so there is no average
+            expect(header).toEqual([
+                'Student', 'Student ID',
+                'Fractions (2024-01-01) - Points', 'Fractions (2024-01-01) - Grade',
+                'Fractions (2024-01-08) - Points', 'Fractions (2024-01-08) - Grade'
+            ]);
+            expect(rows).toEqual([
+                ['Ana P.', 's1', 1500, 'A', 2000, 'A'],
+                ['BO', '', 500, 'F', 0, 'F'],
+                ['Cy', '', '', '', 900, 'F']
+            ]);
+        });
+
+        test('adds the PIN to columns of sessions with the same title and date', async () => {
+            RESULTS['results_333333_1704067300000.json'] = { ...RESULTS[FIRST], gamePin: '333333' };
+            try {
+                const [header] = await exportRows({ files: [FIRST, 'results_333333_1704067300000.json'] });
+                expect(header.slice(2, 4)).toEqual([
+                    'Fractions (2024-01-01) #111111 - % Correct',
+                    'Fractions (2024-01-01) #333333 - % Correct'
+                ]);
+            } finally {
+                delete RESULTS['results_333333_1704067300000.json'];
+            }
+        });
+    });
+
+    describe('grading scales', () => {
+        test('maps percentages onto A-F', async () => {
+            const rows = await exportRows({ files: [FIRST, SECOND], scale: 'letter' });
+
+            expect(rows[1]).toEqual(['Ana P.', 's1', 66.7, 'D', 100, 'A', 83.4, 'B']);
+            expect(rows[3]).toEqual(['Cy', '', '', '', 50, 'F', 50, 'F']);
+        });
+
+        test('maps percentages onto the Chilean 1.0-7.0 scale with 4.0 at the pass mark', async () => {
+            const rows = await exportRows({ files: [FIRST, SECOND], scale: 'chile' });
+
+            expect(rows.slice(1).map(row => [row[3], row[5]])).toEqual([
+                [4.5, 7],
+                [2.7, 1],
+                ['', 3.5]
+            ]);
+        });
+
+        test('moves the Chilean pass mark with passPercent', async () => {
+            const rows = await exportRows({ files: [SECOND], scale: 'chile', passPercent: 50 });
+
+            expect(rows[3]).toEqual(['Cy', '', 50, 4]);
+        });
+
+        test('uses custom bands, highest minimum first', async () => {
+            const rows = await exportRows({
+                files: [SECOND],
+                scale: 'custom',
+                bands: [{ min: 0, grade: 'Retry' }, { min: 90, grade: 'Great' }, { min: 50, grade: 'Pass' }]
+            });
+
+            expect(rows.slice(1).map(row => row[3])).toEqual(['Great', 'Retry', 'Pass']);
+        });
+    });
+
+    describe('LMS layouts', () => {
+        test('moodle splits first and last name and writes grades per item', async () => {
+            const exportData = await gradebookService.exportGradebook({ files: [FIRST], scale: 'chile', layout: 'moodle' });
+            const [header, ana] = parseCsv(exportData.content);
+
+            expect(exportData.filename).toBe('gradebook_moodle_111111.csv');
+            expect(header).toEqual(['First name', 'Last name', 'ID number', 'Email address', 'Fractions (2024-01-01)']);
+            expect(ana).toEqual(['Ana', 'Perez', '', '', 4.5]);
+        });
+
+        test('canvas adds a Points Possible row', async () => {
+            const [header, pointsPossible, ana] = await exportRows({ files: [FIRST, SECOND], layout: 'canvas' });
+
+            expect(header).toEqual(['Student', 'ID', 'SIS User ID', 'SIS Login ID', 'Section', 'Fractions (2024-01-01)', 'Fractions (2024-01-08)']);
+            expect(pointsPossible).toEqual(['Points Possible', '', '', '', '', 100, 100]);
+            expect(ana).toEqual(['Ana P.', '', '', '', '', 66.7, 100]);
+        });
+
+        test('canvas points possible follows the scale', async () => {
+            const [, chile] = await exportRows({ files: [FIRST], layout: 'canvas', scale: 'chile' });
+            const [, points] = await exportRows({ files: [FIRST], layout: 'canvas', normalization: 'points' });
+
+            expect(chile[5]).toBe(7);
+            expect(points[5]).toBe(1500);
+        });
+
+        test('classroom puts the last name first', async () => {
+            const [header, ana, bo] = await exportRows({ files: [FIRST], scale: 'letter', layout: 'classroom' });
+
+            expect(header).toEqual(['Last Name', 'First Name', 'Email Address', 'Fractions (2024-01-01)']);
+            expect(ana).toEqual(['Perez', 'Ana', '', 'D']);
+            expect(bo).toEqual(['', 'bo', '', 'F']);
+        });
+    });
+
+    describe('errors', () => {
+        test('reports a missing results file with a 404 status', async () => {
+            await expect(gradebookService.exportGradebook({ files: [FIRST, 'results_999999_1.json'] }))
+                .rejects.toMatchObject({ status: 404, messageKey: 'error_result_not_found' });
+        });
+
+        test('rejects unknown options and a custom scale without bands', async () => {
+            await expect(gradebookService.exportGradebook({ files: [FIRST], layout: 'blackboard' }))
+                .rejects.toMatchObject({ status: 400, messageKey: 'error_invalid_gradebook_options' });
+            await expect(gradebookService.exportGradebook({ files: [FIRST], scale: 'custom' }))
+                .rejects.toMatchObject({ messageKey: 'error_invalid_gradebook_options' });
+            await expect(gradebookService.exportGradebook({ files: [] }))
+                .rejects.toMatchObject({ messageKey: 'error_invalid_gradebook_options' });
+        });
+    });
+});
@@ -103,6 +103,7 @@ function createOptions(overrides = {}) {
             handlePlayerRejoin: jest.fn(() => ({ success: true })),
             handlePlayerDisconnect: jest.fn(),
             handleHostDisconnect: jest.fn(),
+            handleKickPlayer: jest.fn(() => ({ success: true })),
             migratePlayersToGame: jest.fn(() => 0),
             getSessionByHostSocket: jest.fn(),
             unregisterDevice: jest.fn(),
@@ -114,7 +115,8 @@ function createOptions(overrides = {}) {
             handleAnswerSubmission: jest.fn(),
             buildCorrectAnswerData: jest.fn(() => ({ correctAnswer: 0 })),
             emitPlayerResults: jest.fn(),
-            endQuestionEarly: jest.fn()
+            endQuestionEarly: jest.fn(),
+            scheduleAnswerCountUpdate: jest.fn()
         },
         consensusFlowService: {
             handleProposalSubmission: jest.fn(() => ({ success: true })),
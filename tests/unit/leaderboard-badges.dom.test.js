@@ -0,0 +1,64 @@
+/**
+ * @jest-environment jsdom
+ *
+ * LeaderboardManager — end-of-game badges: icons next to names in the final
+ * standings, and the player's own badges listed on their final screen.
+ *
+ * getTranslation() returns the key itself when no language pack is loaded,
+ * so names and details appear as their keys.
+ */
+
+import { LeaderboardManager } from '../../public/js/game/modules/leaderboard-manager.js';
+
+function makeManager() {
+    return new LeaderboardManager({ getGameState: () => ({ isHost: true }) }, { showScreen: jest.fn() }, null);
+}
+
+beforeEach(() => {
+    document.body.innerHTML = `
+        <div id="leaderboard-list"></div>
+        <div id="final-leaderboard"></div>
+        <div id="player-badges" class="hidden"></div>
+    `;
+});
+
+describe('LeaderboardManager badges', () => {
+    const leaderboard = [
+        { id: 'p1', name: 'Ana', score: 900, badges: [{ id: 'fastest-answer', value: 1250 }, { id: 'hot-streak', value: 4 }] },
+        { id: 'p2', name: 'Bo', score: 500 }
+    ];
+
+    test('shows badge icons after the names in the standings', () => {
+        const manager = makeManager();
+        manager.updateLeaderboardDisplay(leaderboard);
+        manager.updateFinalLeaderboard(leaderboard);
+
+        for (const listId of ['leaderboard-list', 'final-leaderboard']) {
+            const [first, second] = document.getElementById(listId).children;
+            const icons = first.querySelectorAll('.lb-badge');
+            expect(Array.from(icons).map(icon => icon.textContent)).toEqual(['⚡', '🔥']);
+            expect(icons[0].title).toBe('badge_fastest_answer: badge_fastest_answer_detail');
+            expect(second.querySelector('.lb-badges')).toBeNull();
+        }
+    });
+
+    test('lists the player\'s own badges and skips unknown ones', () => {
+        makeManager().showPlayerBadges([{ id: 'perfect-round', value: 5 }, { id: 'from-a-newer-server', value: 1 }]);
+
+        const panel = document.getElementById('player-badges');
+        expect(panel.classList.contains('hidden')).toBe(false);
+        const items = panel.querySelectorAll('.player-badge');
+        expect(items).toHaveLength(1);
+        expect(items[0].querySelector('.player-badge-name').textContent).toBe('badge_perfect_round');
+    });
+
+    test('hides the panel when there are no badges', () => {
+        const manager = makeManager();
+        manager.showPlayerBadges([{ id: 'hot-streak', value: 3 }]);
+        manager.showPlayerBadges(undefined);
+
+        const panel = document.getElementById('player-badges');
+        expect(panel.classList.contains('hidden')).toBe(true);
+        expect(panel.innerHTML).toBe('');
+    });
+});
@@ -0,0 +1,315 @@
+/**
+ * LtiService Tests
+ *
+ * Launches come from the mock LMS in scripts/mock-lti-platform.js, which
+ * serves its keys, token endpoint and scores endpoint over real HTTP on a
+ * free port. The browser's part (following the login redirect, posting the
+ * auto-submitted form) is played by the launch() helper. Accounts are real
+ * UserService accounts in a temp directory; other storage is in memory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { LtiService } = require('../../services/lti-service');
+const { UserService } = require('../../services/user-service');
+const { COLLECTIONS } = require('../../services/storage-adapter');
+const { MemoryStorageAdapter } = require('../helpers/memory-storage-adapter');
+const { MockLtiPlatform } = require('../../scripts/mock-lti-platform');
+
+const TOOL_URL = 'http://quizix.test/';
+const DEPLOYMENT_ID = 'deployment-1';
+
+const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const QUESTIONS = [
+    { question: 'Q1', correctAnswer: 0 },
+    { question: 'Favourite?', isPoll: true },
+    { question: 'Q3', correctAnswer: 1 }
+];
+
+describe('LtiService', () => {
+    let tmpDir;
+    let platform;
+    let service;
+    let storage;
+    let userService;
+    let assignmentService;
+
+    beforeAll(async () => {
+        platform = new MockLtiPlatform({ toolUrl: TOOL_URL, deploymentId: DEPLOYMENT_ID, getToolJwks: async () => service.getJwks() });
+        await platform.start();
+    });
+
+    afterAll(async () => {
+        await platform.stop();
+    });
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lti-service-test-'));
+        platform.deploymentId = DEPLOYMENT_ID;
+        fs.writeFileSync(path.join(tmpDir, 'lti-platforms.json'), JSON.stringify({ platforms: [platform.registration] }));
+
+        storage = new MemoryStorageAdapter();
+        userService = new UserService(mockLogger, tmpDir);
+        await userService.initialize();
+        assignmentService = { createAssignment: jest.fn(async () => ({ code: '123456' })) };
+        const quizService = { loadQuiz: jest.fn(async () => ({ title: 'Fractions', questions: QUESTIONS })) };
+
+        service = new LtiService(mockLogger, storage, userService, assignmentService, quizService, {
+            configPath: path.join(tmpDir, 'lti-platforms.json'),
+            keyPath: path.join(tmpDir, '.lti-private-key.pem')
+        });
+        await service.initialize();
+
+        platform.links.clear();
+        platform.scores.length = 0;
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    /**
+     * The browser's part of a launch: login initiation, auth redirect, form post
+     * @returns {{idToken: string, state: string, browserState: string}}
+     */
+    function authorize(user, linkId = null) {
+        const login = Object.fromEntries(new URL(platform.loginInitiationUrl(user, linkId)).searchParams);
+        const { url, state: browserState } = service.buildLoginRedirect(login, TOOL_URL);
+        const { fields } = platform.authorize(Object.fromEntries(new URL(url).searchParams));
+        return { idToken: fields.id_token, state: fields.state, browserState };
+    }
+
+    function launch(user, linkId = null) {
+        return service.handleLaunch(authorize(user, linkId));
+    }
+
+    function gradedLink(custom) {
+        return platform.addLink({ title: 'Fractions', custom, lineItem: { scoreMaximum: 100 } });
+    }
+
+    describe('configuration and keys', () => {
+        test('is disabled without registered platforms', async () => {
+            const disabled = new LtiService(mockLogger, storage, userService, assignmentService, null, {
+                configPath: path.join(tmpDir, 'missing.json'),
+                keyPath: path.join(tmpDir, '.lti-private-key.pem')
+            });
+            await disabled.initialize();
+
+            expect(disabled.isEnabled()).toBe(false);
+            expect(() => disabled.buildLoginRedirect({ iss: platform.issuer, login_hint: 'alice' }, TOOL_URL))
+                .toThrow(expect.objectContaining({ messageKey: 'error_lti_not_configured', status: 404 }));
+        });
+
+        test('generates the tool key once and publishes it by thumbprint', () => {
+            const jwks = service.getJwks();
+            const keyFile = path.join(tmpDir, '.lti-private-key.pem');
+
+            expect(jwks.keys).toHaveLength(1);
+            expect(jwks.keys[0]).toMatchObject({ kty: 'RSA', alg: 'RS256', use: 'sig', kid: expect.any(String) });
+            expect(jwks.keys[0].d).toBeUndefined();
+            expect(fs.statSync(keyFile).mode & 0o777).toBe(0o600);
+
+            const reloaded = new LtiService(mockLogger, storage, userService, assignmentService, null, { keyPath: keyFile });
+            expect(reloaded.getJwks()).toEqual(jwks);
+        });
+
+        test('rejects logins from unregistered issuers', () => {
+            expect(() => service.buildLoginRedirect({ iss: 'https://unknown.example.edu', login_hint: 'alice' }, TOOL_URL))
+                .toThrow(expect.objectContaining({ messageKey: 'error_lti_platform_unknown', status: 403 }));
+        });
+    });
+
+    describe('launch', () => {
+        test('signs the LMS user in to a linked account and opens the linked assignment', async () => {
+            const linkId = gradedLink({ assignment: '123456' });
+
+            const result = await launch('alice', linkId);
+
+            expect(result).toMatchObject({ type: 'resource', assignmentCode: '123456' });
+            expect(result.user).toMatchObject({ username: expect.stringMatching(/^lti_/), displayName: 'Alice Student' });
+            expect(userService.getExternalIdentity(result.user.id)).toEqual({ issuer: platform.issuer, subject: 'user-alice' });
+
+            const again = await launch('alice', linkId);
+            expect(again.user.id).toBe(result.user.id);
+        });
+
+        test('remembers graded launches of learners only, once per link', async () => {
+            const linkId = gradedLink({ assignment: '123456' });
+            const { user } = await launch('alice', linkId);
+            await launch('alice', linkId);
+            const teacher = await launch('teacher', linkId);
+
+            const doc = storage.docs.get(`${COLLECTIONS.LTI}/launches_${user.id}.json`);
+            expect(doc.launches).toEqual([expect.objectContaining({
+                kind: 'assignment',
+                code: '123456',
+                issuer: platform.issuer,
+                subject: 'user-alice',
+                lineitem: platform.lineItemUrl(linkId),
+                resourceLinkId: linkId
+            })]);
+            expect(storage.docs.has(`${COLLECTIONS.LTI}/launches_${teacher.user.id}.json`)).toBe(false);
+        });
+
+        test('accepts each login state once', async () => {
+            const linkId = gradedLink({ mode: 'live' });
+            const launchRequest = authorize('alice', linkId);
+            await service.handleLaunch(launchRequest);
+
+            await expect(service.handleLaunch(launchRequest))
+                .rejects.toMatchObject({ messageKey: 'error_lti_state_invalid', status: 401 });
+        });
+
+        test('accepts a launch only from the browser that started its login', async () => {
+            const linkId = gradedLink({ mode: 'live' });
+            const victim = authorize('alice', linkId);
+            const attacker = authorize('teacher', linkId);
+
+            await expect(service.handleLaunch({ ...attacker, browserState: victim.browserState }))
+                .rejects.toMatchObject({ messageKey: 'error_lti_state_invalid', status: 401 });
+            await expect(service.handleLaunch({ ...victim, browserState: null }))
+                .rejects.toMatchObject({ messageKey: 'error_lti_state_invalid', status: 401 });
+        });
+
+        test('rejects a tampered id_token', async () => {
+            const { idToken, state, browserState } = authorize('alice', gradedLink({ mode: 'live' }));
+            const [header, payload, signature] = idToken.split('.');
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            const forged = Buffer.from(JSON.stringify({ ...claims, sub: 'user-teacher' })).toString('base64url');
+
+            await expect(service.handleLaunch({ idToken: `${header}.${forged}.${signature}`, state, browserState }))
+                .rejects.toMatchObject({ messageKey: 'error_lti_launch_invalid', status: 401 });
+        });
+
+        test('rejects launches from unregistered deployments', async () => {
+            const linkId = gradedLink({ mode: 'live' });
+            platform.deploymentId = 'other-deployment';
+
+            await expect(launch('alice', linkId)).rejects.toMatchObject({ messageKey: 'error_lti_platform_unknown' });
+        });
+    });
+
+    describe('deep linking', () => {
+        test('publishes the picked quiz as homework and returns it as a graded link', async () => {
+            const result = await launch('teacher');
+            expect(result.type).toBe('deep-link');
+
+            const { returnUrl, jwt } = await service.completeDeepLink(
+                result.deepLinkId, result.user.id, { quizFilename: 'fractions.json', mode: 'homework', days: 7 }, TOOL_URL
+            );
+
+            const [[window, ownerId]] = assignmentService.createAssignment.mock.calls;
+            expect(window.quizFilename).toBe('fractions.json');
+            expect(Date.parse(window.closesAt) - Date.parse(window.opensAt)).toBe(7 * 24 * 60 * 60 * 1000);
+            expect(ownerId).toBe(result.user.id);
+
+            expect(returnUrl).toBe(`${platform.issuer}/deep-link-return`);
+            const [linkId] = await platform.receiveDeepLink(jwt);
+            expect(platform.links.get(linkId)).toEqual({
+                title: 'Fractions',
+                custom: { assignment: '123456' },
+                lineItem: { scoreMaximum: 100, label: 'Fractions', resourceId: 'assignment-123456' }
+            });
+        });
+
+        test('links a live game without creating an assignment, once per request', async () => {
+            const { deepLinkId, user } = await launch('teacher');
+            const { jwt } = await service.completeDeepLink(deepLinkId, user.id, { quizFilename: 'fractions.json', mode: 'live' }, TOOL_URL);
+
+            const [linkId] = await platform.receiveDeepLink(jwt);
+            expect(platform.links.get(linkId).custom).toEqual({ mode: 'live', quiz: 'fractions.json' });
+            expect(assignmentService.createAssignment).not.toHaveBeenCalled();
+
+            await expect(service.completeDeepLink(deepLinkId, user.id, { quizFilename: 'fractions.json', mode: 'live' }, TOOL_URL))
+                .rejects.toMatchObject({ messageKey: 'error_lti_state_invalid' });
+        });
+
+        test('is only for instructors, and only the one who launched it', async () => {
+            await expect(launch('alice')).rejects.toMatchObject({ messageKey: 'error_lti_instructor_only', status: 403 });
+
+            const { deepLinkId } = await launch('teacher');
+            const alice = await userService.findOrCreateExternalUser({ issuer: platform.issuer, subject: 'user-alice' });
+            expect(() => service.getDeepLink(deepLinkId, alice.id)).toThrow(expect.objectContaining({ messageKey: 'error_lti_state_invalid' }));
+        });
+    });
+
+    describe('grade passback', () => {
+        const answers = [{ answer: 0, isCorrect: true }, { answer: 1, isPoll: true }, { answer: 0, isCorrect: false }];
+
+        test('sends a finished homework attempt\'s % score to the launched link', async () => {
+            const linkId = gradedLink({ assignment: '123456' });
+            const { user } = await launch('alice', linkId);
+
+            await service.recordAssignmentAttempt({ code: '123456', quiz: { questions: QUESTIONS } }, { userId: user.id, answers });
+
+            // The poll is not graded: 1 of 2
+            expect(platform.scores).toEqual([expect.objectContaining({
+                linkId,
+                userId: 'user-alice',
+                scoreGiven: 50,
+                scoreMaximum: 100,
+                activityProgress: 'Completed',
+                gradingProgress: 'FullyGraded'
+            })]);
+        });
+
+        test('ignores attempts without a launch for that assignment', async () => {
+            const { user } = await launch('alice', gradedLink({ assignment: '123456' }));
+
+            await service.recordAssignmentAttempt({ code: '654321', quiz: { questions: QUESTIONS } }, { userId: user.id, answers });
+            await service.recordAssignmentAttempt({ code: '123456', quiz: { questions: QUESTIONS } }, { answers });
+
+            expect(platform.scores).toEqual([]);
+        });
+
+        test('sends live game scores of players who launched a live link', async () => {
+            const linkId = gradedLink({ mode: 'live', quiz: 'fractions.json' });
+            const alice = (await launch('alice', linkId)).user;
+            const bob = await userService.findOrCreateExternalUser({ issuer: platform.issuer, subject: 'user-bob' });
+            const game = {
+                pin: '111111',
+                quiz: { filename: 'fractions.json', questions: QUESTIONS },
+                players: new Map([
+                    ['s1', { name: 'Alice', userId: alice.id, answers: [answers[0], answers[1], { answer: 1, isCorrect: true }] }],
+                    ['s2', { name: 'Bob', userId: bob.id, answers }],
+                    ['s3', { name: 'Guest', answers }]
+                ])
+            };
+
+            await service.recordGame(game);
+
+            expect(platform.scores).toEqual([expect.objectContaining({ linkId, userId: 'user-alice', scoreGiven: 100 })]);
+        });
+
+        test('sends a live game score only to the live link of the quiz played', async () => {
+            const fractions = gradedLink({ mode: 'live', quiz: 'fractions.json' });
+            const { user } = await launch('alice', fractions);
+            await launch('alice', gradedLink({ mode: 'live', quiz: 'decimals.json' }));
+            const game = (filename) => ({
+                pin: '111111',
+                quiz: { ...(filename && { filename }), questions: QUESTIONS },
+                players: new Map([['s1', { name: 'Alice', userId: user.id, answers }]])
+            });
+
+            await service.recordGame(game('fractions.json'));
+            await service.recordGame(game('percentages.json'));
+            await service.recordGame(game(null));
+
+            expect(platform.scores).toEqual([expect.objectContaining({ linkId: fractions, userId: 'user-alice', scoreGiven: 50 })]);
+        });
+
+        test('logs instead of throwing when the LMS refuses a score', async () => {
+            const linkId = gradedLink({ mode: 'live', quiz: 'fractions.json' });
+            const { user } = await launch('alice', linkId);
+            platform.links.delete(linkId);
+
+            await service.recordGame({ pin: '111111', quiz: { filename: 'fractions.json', questions: QUESTIONS }, players: new Map([['s1', { name: 'Alice', userId: user.id, answers }]]) });
+
+            expect(mockLogger.error).toHaveBeenCalledWith(expect.stringContaining('not sent'), expect.any(Error));
+        });
+    });
+});
@@ -0,0 +1,40 @@
+const { detectMediaType, isImageType, matchesMediaName } = require('../../utils/media-signature');
+
+const bytes = (...parts) => Buffer.concat(parts.map(part => Buffer.from(part)));
+
+const SAMPLES = {
+    jpeg: bytes([0xFF, 0xD8, 0xFF, 0xE0]),
+    png: bytes([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    gif: bytes('GIF89a'),
+    webp: bytes('RIFF', [0x24, 0, 0, 0], 'WEBP'),
+    bmp: bytes('BM', [0, 0, 0, 0]),
+    mp4: bytes([0, 0, 0, 0x18], 'ftypmp42'),
+    webm: bytes([0x1A, 0x45, 0xDF, 0xA3, 0x9F])
+};
+
+describe('media signatures', () => {
+    test.each(Object.entries(SAMPLES))('recognizes %s', (type, buffer) => {
+        expect(detectMediaType(buffer)).toBe(type);
+    });
+
+    test('recognizes nothing in text, RIFF audio or short files', () => {
+        expect(detectMediaType(Buffer.from('<svg onload="alert(1)">'))).toBeNull();
+        expect(detectMediaType(bytes('RIFF', [0x24, 0, 0, 0], 'WAVE'))).toBeNull();
+        expect(detectMediaType(Buffer.from([0xFF, 0xD8]))).toBeNull();
+        expect(detectMediaType(Buffer.alloc(0))).toBeNull();
+    });
+
+    test('tells images from videos', () => {
+        expect(isImageType('webp')).toBe(true);
+        expect(isImageType('mp4')).toBe(false);
+        expect(isImageType(null)).toBe(false);
+    });
+
+    test('matches content against the extension it is stored under', () => {
+        expect(matchesMediaName(SAMPLES.jpeg, 'photo.JPG')).toBe(true);
+        expect(matchesMediaName(SAMPLES.jpeg, 'photo.jpeg')).toBe(true);
+        expect(matchesMediaName(SAMPLES.mp4, 'clip.mp4')).toBe(true);
+        expect(matchesMediaName(SAMPLES.png, 'photo.jpg')).toBe(false);
+        expect(matchesMediaName(Buffer.from('<html>'), 'page.png')).toBe(false);
+    });
+});
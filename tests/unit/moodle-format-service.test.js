@@ -0,0 +1,162 @@
+/**
+ * MoodleFormatService Tests
+ *
+ * GIFT and Moodle XML parsing for every mapped question type, the skip
+ * warnings for types without a counterpart, and round trips through both
+ * formats.
+ */
+
+const { MoodleFormatService } = require('../../services/moodle-format-service');
+
+const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const QUIZ = {
+    title: 'Science / Week 1',
+    questions: [
+        { type: 'multiple-choice', question: 'What is 2+2?', options: ['4', '3', '5'], correctIndex: 0, explanation: 'Basic sums' },
+        { type: 'multiple-correct', question: 'Pick the primes', options: ['2', '3', '4'], correctIndices: [0, 1] },
+        { type: 'true-false', question: 'The sun is a star.', correctAnswer: true },
+        { type: 'numeric', question: 'Pi to two places?', correctAnswer: 3.14, tolerance: 0.005 },
+        { type: 'text-input', question: 'Capital of France?', acceptedAnswers: ['Paris', 'paris city'] },
+        { type: 'matching', question: 'Match the sounds', pairs: [{ left: 'cat', right: 'meow' }, { left: 'dog', right: 'woof' }] },
+        { type: 'multiple-choice', question: 'Escapes {a} = b: c ~ d # e', options: ['x=y', 'z~w'], correctIndex: 1 }
+    ]
+};
+
+describe('MoodleFormatService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new MoodleFormatService(mockLogger);
+    });
+
+    describe('parseGift', () => {
+        test('maps each GIFT question kind to its Quizix type', () => {
+            const gift = [
+                '// a comment',
+                '$CATEGORY: $course$/top/Math',
+                '',
+                '::Q1::What is 2+2? {=4 ~3 ~5#Nope ####Basic sums}',
+                '',
+                'Pick the primes {~%50%2 ~%50%3 ~%-100%4}',
+                '',
+                'The sun is a star.{T}',
+                '',
+                'Pi? {#3.14:0.005}',
+                '',
+                'Between one and five {#1..5}',
+                '',
+                'Capital of France? {=Paris =%50%Lutetia}',
+                '',
+                'Two plus {=two =2} equals four.'
+            ].join('\n');
+
+            const { questions, warnings, skipped } = service.parseGift(gift);
+
+            expect(warnings).toEqual([]);
+            expect(skipped).toBe(0);
+            expect(questions).toEqual([
+                { type: 'multiple-choice', question: 'What is 2+2?', explanation: 'Basic sums', options: ['4', '3', '5'], correctIndex: 0 },
+                { type: 'multiple-correct', question: 'Pick the primes', options: ['2', '3', '4'], correctIndices: [0, 1] },
+                { type: 'true-false', question: 'The sun is a star.', correctAnswer: true },
+                { type: 'numeric', question: 'Pi?', correctAnswer: 3.14, tolerance: 0.005 },
+                { type: 'numeric', question: 'Between one and five', correctAnswer: 3, tolerance: 2 },
+                { type: 'text-input', question: 'Capital of France?', acceptedAnswers: ['Paris'] },
+                { type: 'text-input', question: 'Two plus _____ equals four.', acceptedAnswers: ['two', '2'] }
+            ]);
+        });
+
+        test('skips essays and unparseable answers with a warning', () => {
+            const { questions, warnings, skipped } = service.parseGift('Write an essay {}\n\nHow many? {#lots}\n\nJust a description');
+
+            expect(questions).toEqual([]);
+            expect(skipped).toBe(3);
+            expect(warnings).toEqual([
+                'Question 1: essay questions are not supported, skipped',
+                'Question 2: numeric answer is not a number, skipped',
+                'Question 3: no answers, skipped'
+            ]);
+        });
+    });
+
+    describe('toGift', () => {
+        test('weights multiple-correct answers the way Moodle accepts', () => {
+            const { content } = service.toGift({ title: 'T', questions: [QUIZ.questions[1]] });
+
+            expect(content).toContain('~%50%2\n~%50%3\n~%-100%4');
+        });
+
+        test('round-trips every mapped type, escaping GIFT syntax', () => {
+            const { content, warnings } = service.toGift(QUIZ);
+            const { questions } = service.parseGift(content);
+
+            expect(warnings).toEqual([]);
+            expect(content).toContain('$CATEGORY: $course$/top/Science // Week 1');
+            expect(questions).toEqual(QUIZ.questions);
+        });
+
+        test('leaves out ordering questions and polls', () => {
+            const { content, warnings } = service.toGift({
+                title: 'T',
+                questions: [
+                    { type: 'ordering', question: 'Order', options: ['a', 'b'], correctOrder: [0, 1] },
+                    { type: 'true-false', question: 'Poll', isPoll: true }
+                ]
+            });
+
+            expect(content).not.toContain('Order');
+            expect(warnings).toEqual([
+                'Question 1: ordering questions have no Moodle counterpart, skipped',
+                'Question 2: poll questions have no Moodle counterpart, skipped'
+            ]);
+        });
+    });
+
+    describe('Moodle XML', () => {
+        test('reads question text, feedback and tags from HTML content', () => {
+            const xml = `<?xml version="1.0"?>
+<quiz>
+  <question type="category"><category><text>$course$/top/Bio</text></category></question>
+  <question type="multichoice">
+    <name><text>Cells</text></name>
+    <questiontext format="html"><text><![CDATA[<p>Which is an <b>organelle</b>?</p><p><img src="@@PLUGINFILE@@/cell.png"></p>]]></text></questiontext>
+    <generalfeedback format="html"><text><![CDATA[<p>Mitochondria &amp; friends</p>]]></text></generalfeedback>
+    <single>true</single>
+    <answer fraction="0" format="html"><text>Cell wall</text></answer>
+    <answer fraction="100" format="html"><text><![CDATA[<p>Mitochondrion</p>]]></text></answer>
+    <tags><tag><text>Cells</text></tag><tag><text>Biology</text></tag></tags>
+  </question>
+  <question type="essay"><questiontext format="html"><text>Discuss</text></questiontext></question>
+</quiz>`;
+
+            const { questions, warnings, skipped } = service.parseXml(xml);
+
+            expect(questions).toEqual([{
+                type: 'multiple-choice',
+                question: 'Which is an organelle?',
+                explanation: 'Mitochondria & friends',
+                concepts: ['Cells', 'Biology'],
+                options: ['Cell wall', 'Mitochondrion'],
+                correctIndex: 1
+            }]);
+            expect(skipped).toBe(1);
+            expect(warnings).toEqual([
+                'Question 1: images are not imported',
+                'Question 2: essay questions are not supported, skipped'
+            ]);
+        });
+
+        test('round-trips every mapped type', () => {
+            const withConcepts = { ...QUIZ, questions: QUIZ.questions.map(q => ({ ...q, concepts: ['Week 1'] })) };
+            const { content, warnings } = service.toXml(withConcepts);
+            const { questions } = service.parseXml(content);
+
+            expect(warnings).toEqual([]);
+            expect(questions).toEqual(withConcepts.questions);
+        });
+
+        test('refuses files that are not Moodle XML', () => {
+            expect(() => service.parseXml('<assessmentItem/>')).toThrow(expect.objectContaining({ messageKey: 'error_invalid_moodle_xml' }));
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Paper test layout: option shuffles keep the answer key pointing at the
+ * right letters, ordering and matching never print in answer order, and the
+ * worksheet markup puts answer keys after every version's pages.
+ */
+
+import { paperQuestion, buildPaperVersions, paperTestMarkup } from '../../public/js/quiz/modules/paper-test.js';
+
+const letterOf = letter => letter.charCodeAt(0) - 65;
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('paperQuestion', () => {
+    test('moves the key with shuffled choice options', () => {
+        // Fisher-Yates with random() = 0 turns [0, 1, 2] into [1, 2, 0]
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+
+        const single = paperQuestion({ type: 'multiple-choice', question: 'Q', options: ['a', 'b', 'c'], correctIndex: 0 }, true);
+        expect(single.options).toEqual(['b', 'c', 'a']);
+        expect(single.key).toBe('C');
+
+        const multiple = paperQuestion({ type: 'multiple-correct', question: 'Q', options: ['a', 'b', 'c'], correctIndices: [0, 1] }, true);
+        expect(multiple.key).toBe('A, C');
+    });
+
+    test('keeps choice options and true/false in place without shuffling', () => {
+        expect(paperQuestion({ type: 'multiple-choice', question: 'Q', options: ['a', 'b'], correctIndex: 1 }, false))
+            .toMatchObject({ options: ['a', 'b'], key: 'B' });
+        expect(paperQuestion({ type: 'true-false', question: 'Q', correctAnswer: false }, true).key).toBe('B');
+    });
+
+    test('always scrambles ordering items and matching answers, with keys that undo it', () => {
+        const ordering = paperQuestion({ type: 'ordering', question: 'Q', options: ['1', '5', '10', '50'], correctOrder: [0, 1, 2, 3] }, false);
+        expect(ordering.options).not.toEqual(['1', '5', '10', '50']);
+        expect(ordering.key.split(' → ').map(letter => ordering.options[letterOf(letter)])).toEqual(['1', '5', '10', '50']);
+
+        const pairs = [{ left: 'H', right: 'Hydrogen' }, { left: 'O', right: 'Oxygen' }, { left: 'N', right: 'Nitrogen' }];
+        const matching = paperQuestion({ type: 'matching', question: 'Q', pairs }, false);
+        expect(matching.items).toEqual(['H', 'O', 'N']);
+        expect(matching.options).not.toEqual(['Hydrogen', 'Oxygen', 'Nitrogen']);
+        expect(matching.key.split(', ').map(entry => matching.options[letterOf(entry.split('–')[1])]))
+            .toEqual(['Hydrogen', 'Oxygen', 'Nitrogen']);
+    });
+
+    test('writes numeric and text answers into the key', () => {
+        expect(paperQuestion({ type: 'numeric', question: 'Q', correctAnswer: 3.14, tolerance: 0.01 }).key).toBe('3.14 ± 0.01');
+        expect(paperQuestion({ type: 'numeric', question: 'Q', correctAnswer: 7, tolerance: 0 }).key).toBe('7');
+        expect(paperQuestion({ type: 'text-input', question: 'Q', acceptedAnswers: ['Paris', 'paris'] }).key).toBe('Paris / paris');
+    });
+});
+
+describe('buildPaperVersions', () => {
+    const questions = [
+        { type: 'true-false', question: 'One', correctAnswer: true },
+        { type: 'true-false', question: 'Two', correctAnswer: false },
+        { type: 'numeric', question: 'Three', correctAnswer: 3 }
+    ];
+
+    test('labels up to four versions and remembers each question\'s quiz number', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+
+        const versions = buildPaperVersions(questions, { versions: 9, shuffleQuestions: true });
+
+        expect(versions.map(version => version.label)).toEqual(['A', 'B', 'C', 'D']);
+        expect(versions[0].questions.map(layout => layout.source)).toEqual([2, 3, 1]);
+        expect(versions[0].questions[0].question.question).toBe('Two');
+    });
+
+    test('keeps the quiz order when questions are not shuffled', () => {
+        const [version] = buildPaperVersions(questions);
+        expect(version.questions.map(layout => layout.source)).toEqual([1, 2, 3]);
+    });
+});
+
+describe('paperTestMarkup', () => {
+    const questions = [
+        { type: 'multiple-choice', question: '<img src=x onerror=alert(1)> $x^2$', options: ['a', 'b'], correctIndex: 0 },
+        { type: 'text-input', question: 'Name it', acceptedAnswers: ['H2O'] }
+    ];
+
+    function render(options, versionCount = 2) {
+        document.body.innerHTML = paperTestMarkup('Chem <1>', buildPaperVersions(questions, { versions: versionCount }), options);
+        return [...document.querySelectorAll('.paper-sheet')];
+    }
+
+    test('escapes quiz text and leaves LaTeX for MathJax', () => {
+        const [sheet] = render({}, 1);
+
+        expect(sheet.querySelector('h1').textContent).toBe('Chem <1>');
+        expect(sheet.querySelector('.paper-text img')).toBeNull();
+        expect(sheet.querySelector('.paper-text').textContent).toContain('$x^2$');
+        // A single version carries no version badge
+        expect(sheet.querySelector('.paper-version')).toBeNull();
+        expect(sheet.querySelectorAll('.paper-answer-line')).toHaveLength(1);
+    });
+
+    test('adds a bubble sheet per version and puts every answer key last', () => {
+        const sheets = render({ bubbleSheet: true, answerKey: true });
+
+        expect(sheets).toHaveLength(6);
+        expect(sheets.map(sheet => sheet.querySelector('.paper-version').textContent)).toEqual([
+            'paper_test_version', 'paper_test_answer_sheet — paper_test_version',
+            'paper_test_version', 'paper_test_answer_sheet — paper_test_version',
+            'paper_test_answer_key — paper_test_version', 'paper_test_answer_key — paper_test_version'
+        ]);
+        // Answers go on the bubble sheet, not next to the questions
+        expect(sheets[0].querySelector('.paper-answer-line')).toBeNull();
+        expect(sheets[1].querySelectorAll('.paper-bubble-row')[0].querySelectorAll('.paper-bubble')).toHaveLength(2);
+        expect(sheets[1].querySelector('.paper-write-in')).not.toBeNull();
+        expect([...sheets[4].querySelectorAll('tbody td')].map(cell => cell.textContent)).toEqual(['1', 'A', '1', '2', 'H2O', '2']);
+        expect(sheets[4].querySelector('.paper-fields')).toBeNull();
+    });
+});
@@ -3,6 +3,7 @@
  */
 
 const { PlayerManagementService } = require('../../services/player-management-service');
+const { Game } = require('../../services/game');
 
 const mockLogger = {
     debug: jest.fn(),
@@ -707,6 +708,253 @@ describe('PlayerManagementService', () => {
         });
     });
 
+    describe('handleKickPlayer', () => {
+        // Adds the moderation surface of the real Game to the plain mock
+        const createModeratedGame = (state = 'lobby') => {
+            const game = createMockGame(state);
+            const banned = new Set();
+            game.disconnectEpoch = 0;
+            game.answerMappings = new Map();
+            game.banPlayer = jest.fn(player => banned.add(player.name.toLowerCase()));
+            game.isBanned = jest.fn(({ name }) => !!name && banned.has(name.toLowerCase()));
+            return game;
+        };
+        const createKickIO = (sockets = new Map()) => ({
+            ...createMockIO(),
+            sockets: { sockets }
+        });
+
+        test('removes the player, notifies them and drops them from the room', () => {
+            const socket = createMockSocket('p1');
+            socket.leave = jest.fn();
+            const io = createKickIO(new Map([['p1', socket]]));
+            const game = createModeratedGame();
+            playerService.handlePlayerJoin('p1', '123456', 'Alice', game, socket, io);
+
+            const result = playerService.handleKickPlayer('p1', game, io);
+
+            expect(result).toEqual({ success: true, playerName: 'Alice', banned: false });
+            expect(game.players.has('p1')).toBe(false);
+            expect(playerService.getPlayer('p1')).toBeUndefined();
+            expect(game.disconnectEpoch).toBe(1);
+            expect(game.banPlayer).not.toHaveBeenCalled();
+            expect(io.to).toHaveBeenCalledWith('p1');
+            expect(io.emit).toHaveBeenCalledWith('player-kicked', {
+                banned: false, messageKey: 'player_kicked_notice'
+            });
+            expect(socket.leave).toHaveBeenCalledWith('game-123456');
+        });
+
+        test('a kicked player may join again, a banned one may not', () => {
+            const io = createKickIO();
+            const game = createModeratedGame();
+            playerService.handlePlayerJoin('p1', '123456', 'Alice', game, createMockSocket('p1'), io);
+            playerService.handlePlayerJoin('p2', '123456', 'Bob', game, createMockSocket('p2'), io);
+
+            playerService.handleKickPlayer('p1', game, io);
+            playerService.handleKickPlayer('p2', game, io, true);
+
+            expect(io.emit).toHaveBeenCalledWith('player-kicked', {
+                banned: true, messageKey: 'player_banned_notice'
+            });
+            expect(playerService.handlePlayerJoin('p3', '123456', 'Alice', game, createMockSocket('p3'), io).success).toBe(true);
+            const rejoin = playerService.handlePlayerJoin('p4', '123456', 'bob', game, createMockSocket('p4'), io);
+            expect(rejoin.success).toBe(false);
+            expect(rejoin.messageKey).toBe('error_player_banned');
+        });
+
+        test('cancels a pending grace-period removal for a disconnected player', () => {
+            const io = createKickIO();
+            const game = createModeratedGame();
+            playerService.handlePlayerJoin('p1', '123456', 'Alice', game, createMockSocket('p1'), io);
+            game.gameState = 'question';
+            const { sessionToken } = game.players.get('p1');
+            playerService.handlePlayerDisconnect('p1', game, io, false);
+            expect(playerService.disconnectTimers.has(sessionToken)).toBe(true);
+
+            playerService.handleKickPlayer('p1', game, io);
+
+            expect(playerService.disconnectTimers.has(sessionToken)).toBe(false);
+        });
+
+        test('fails for an unknown player or missing game', () => {
+            const io = createKickIO();
+            expect(playerService.handleKickPlayer('ghost', createModeratedGame(), io).messageKey)
+                .toBe('error_player_not_found');
+            expect(playerService.handleKickPlayer('p1', null, io).messageKey).toBe('error_game_not_found');
+        });
+    });
+
+    describe('webhooks', () => {
+        let webhookService;
+        let io;
+        let game;
+
+        beforeEach(() => {
+            webhookService = { emit: jest.fn() };
+            playerService.setWebhookService(webhookService);
+            io = { ...createMockIO(), sockets: { sockets: new Map() } };
+            game = createMockGame();
+            game.quiz = { title: 'Fractions' };
+            game.ownerId = 'user-1';
+            game.disconnectEpoch = 0;
+            game.removedPlayers = [];
+            game.answerMappings = new Map();
+            game.banPlayer = jest.fn();
+            game.isBanned = jest.fn(() => false);
+        });
+
+        test('sends player.joined and player.left to the host\'s webhooks', () => {
+            playerService.handlePlayerJoin('p1', '123456', 'Alice', game, createMockSocket('p1'), io);
+            playerService.handlePlayerDisconnect('p1', game, io);
+
+            expect(webhookService.emit).toHaveBeenCalledWith('player.joined', {
+                pin: '123456', quizTitle: 'Fractions', player: 'Alice', playerCount: 1
+            }, 'user-1');
+            expect(webhookService.emit).toHaveBeenCalledWith('player.left', {
+                pin: '123456', quizTitle: 'Fractions', player: 'Alice', reason: 'left', playerCount: 0
+            }, 'user-1');
+        });
+
+        test('a mid-game disconnect is only a departure once the grace period ends', () => {
+            playerService.handlePlayerJoin('p1', '123456', 'Alice', game, createMockSocket('p1'), io);
+            game.gameState = 'question';
+            webhookService.emit.mockClear();
+
+            playerService.handlePlayerDisconnect('p1', game, io);
+            expect(webhookService.emit).not.toHaveBeenCalled();
+
+            jest.runOnlyPendingTimers();
+            expect(webhookService.emit).toHaveBeenCalledWith('player.left', expect.objectContaining({
+                player: 'Alice', reason: 'disconnected'
+            }), 'user-1');
+        });
+
+        test('kicks and bans are reported with their reason', () => {
+            playerService.handlePlayerJoin('p1', '123456', 'Alice', game, createMockSocket('p1'), io);
+            playerService.handlePlayerJoin('p2', '123456', 'Bob', game, createMockSocket('p2'), io);
+
+            playerService.handleKickPlayer('p1', game, io);
+            playerService.handleKickPlayer('p2', game, io, true);
+
+            expect(webhookService.emit).toHaveBeenCalledWith('player.left', expect.objectContaining({ player: 'Alice', reason: 'kicked' }), 'user-1');
+            expect(webhookService.emit).toHaveBeenCalledWith('player.left', expect.objectContaining({ player: 'Bob', reason: 'banned' }), 'user-1');
+        });
+    });
+
+    describe('team mode', () => {
+        const createTeamGame = (teamAssignment = 'auto') => {
+            const game = new Game('host-socket', {
+                title: 'Teams',
+                questions: [{ question: 'Q', options: ['A', 'B'], correctAnswer: 0 }],
+                teamMode: true,
+                teamCount: 2,
+                teamAssignment
+            }, mockLogger, mockConfig, { MAX_PLAYERS_PER_GAME: 50 });
+            game.pin = '123456';
+            return game;
+        };
+        const join = (game, id, name, io = createMockIO()) =>
+            playerService.handlePlayerJoin(id, '123456', name, game, createMockSocket(id), io);
+
+        test('auto assignment balances players as they join', () => {
+            const game = createTeamGame();
+            ['Ann', 'Ben', 'Cat'].forEach((name, i) => join(game, `p${i}`, name));
+
+            expect(['p0', 'p1', 'p2'].map(id => game.players.get(id).teamId)).toEqual([1, 2, 1]);
+            expect(playerService._getPlayerListForBroadcast(game)[1]).toMatchObject({ name: 'Ben', teamId: 2 });
+        });
+
+        test('manual assignment leaves lobby joiners unplaced but balances late joiners', () => {
+            const game = createTeamGame('manual');
+            join(game, 'p0', 'Ann');
+            expect(game.players.get('p0').teamId).toBeUndefined();
+
+            game.gameState = 'question';
+            join(game, 'p1', 'Ben');
+            expect(game.players.get('p1').teamId).toBe(1);
+        });
+
+        test('the roster broadcast carries the teams', () => {
+            const io = createMockIO();
+            const game = createTeamGame();
+            join(game, 'p0', 'Ann', io);
+            jest.runOnlyPendingTimers();
+
+            expect(io.emit).toHaveBeenCalledWith('player-list-update', expect.objectContaining({
+                teams: game.teams
+            }));
+        });
+
+        test('handleAssignTeam moves a player in the lobby only', () => {
+            const io = createMockIO();
+            const game = createTeamGame('manual');
+            join(game, 'p0', 'Ann', io);
+
+            expect(playerService.handleAssignTeam('p0', 2, game, io)).toEqual({ success: true, teamId: 2 });
+            expect(game.players.get('p0').teamId).toBe(2);
+            expect(playerService.handleAssignTeam('p0', 5, game, io).messageKey).toBe('error_team_not_found');
+
+            game.gameState = 'question';
+            expect(playerService.handleAssignTeam('p0', 1, game, io).messageKey).toBe('error_team_change_lobby_only');
+            expect(game.players.get('p0').teamId).toBe(2);
+        });
+    });
+
+    describe('roster students', () => {
+        const ANN = { id: '11111111-1111-4111-8111-111111111111', name: 'Ann', joinCode: 'ABC234' };
+        const createRosterGame = () => {
+            const game = new Game('host-socket', {
+                title: 'Roster',
+                questions: [{ question: 'Q', options: ['A', 'B'], correctAnswer: 0 }]
+            }, mockLogger, mockConfig, { MAX_PLAYERS_PER_GAME: 50 });
+            game.pin = '123456';
+            game.setRoster('owner-1', [ANN]);
+            return game;
+        };
+        const join = (game, id, name, claim, io = createMockIO()) =>
+            playerService.handlePlayerJoin(id, '123456', name, game, createMockSocket(id), io, null, claim);
+
+        test('a join code links the player to the student', () => {
+            const game = createRosterGame();
+            const socket = createMockSocket('p0');
+            const result = playerService.handlePlayerJoin('p0', '123456', 'Annie', game, socket, createMockIO(), null, { joinCode: ' abc234 ' });
+
+            expect(result.success).toBe(true);
+            expect(game.players.get('p0').studentId).toBe(ANN.id);
+            expect(socket.emit).toHaveBeenCalledWith('player-joined', expect.objectContaining({
+                student: { id: ANN.id, name: 'Ann' }
+            }));
+        });
+
+        test('an unknown code is rejected before the player is added', () => {
+            const game = createRosterGame();
+            const result = join(game, 'p0', 'Ann', { joinCode: 'ZZZ999' });
+
+            expect(result).toMatchObject({ success: false, messageKey: 'error_student_code_invalid' });
+            expect(game.players.size).toBe(0);
+        });
+
+        test('a student can be claimed by one connected player only', () => {
+            const game = createRosterGame();
+            join(game, 'p0', 'Ann', { studentId: ANN.id });
+
+            expect(join(game, 'p1', 'Ann 2', { studentId: ANN.id }).messageKey).toBe('error_student_already_joined');
+
+            // Once the first player has dropped, the student moves to the new one
+            game.players.get('p0').disconnected = true;
+            expect(join(game, 'p1', 'Ann 2', { joinCode: ANN.joinCode }).success).toBe(true);
+            expect(game.players.get('p1').studentId).toBe(ANN.id);
+            expect(game.players.get('p0').studentId).toBeUndefined();
+        });
+
+        test('joining without a claim stays anonymous', () => {
+            const game = createRosterGame();
+            expect(join(game, 'p0', 'Guest').success).toBe(true);
+            expect(game.players.get('p0').studentId).toBeUndefined();
+        });
+    });
+
     describe('Session edge cases', () => {
         test('device switching hosts clears old session binding', () => {
             const host1Session = playerService.createOrGetSession('host-1');
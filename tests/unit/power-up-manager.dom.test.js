@@ -0,0 +1,133 @@
+/**
+ * @jest-environment jsdom
+ *
+ * PowerUpManager (public/js/game/modules/power-up-manager.js): buttons come
+ * from the game's catalogue, effects are applied only when the game's
+ * power-up-result arrives, and the player-result state is taken over as is.
+ *
+ * getTranslation() returns the key itself when no language pack is loaded,
+ * so label and hint keys appear verbatim.
+ */
+
+import { PowerUpManager } from '../../public/js/game/modules/power-up-manager.js';
+
+function buildDom() {
+    document.body.innerHTML = `
+        <div id="power-ups-container" class="hidden"></div>
+        <div id="power-up-hint" class="hidden"></div>
+        <div id="player-multiple-choice">
+            <button class="player-option">A</button>
+            <button class="player-option">B</button>
+            <button class="player-option">C</button>
+            <button class="player-option">D</button>
+        </div>
+        <button class="tf-option" data-answer="true">TRUE</button>
+        <button class="tf-option" data-answer="false">FALSE</button>
+    `;
+}
+
+const CATALOGUE = {
+    'fifty-fifty': { uses: 2 },
+    'double-points': { uses: 1, multiplier: 3 },
+    'reveal-hint': { uses: 1 }
+};
+
+let manager;
+let eventBus;
+
+beforeEach(() => {
+    buildDom();
+    eventBus = { emit: jest.fn() };
+    manager = new PowerUpManager();
+    manager.setEventBus(eventBus);
+    manager.initialize(true, CATALOGUE);
+});
+
+const button = (id) => document.getElementById(`power-up-${id}`);
+
+describe('PowerUpManager', () => {
+    test('renders one button per catalogue entry with its parameters', () => {
+        expect(document.getElementById('power-ups-container').classList.contains('hidden')).toBe(false);
+        expect(Array.from(document.querySelectorAll('.power-up-btn')).map(b => b.dataset.powerUp))
+            .toEqual(['fifty-fifty', 'double-points', 'reveal-hint']);
+        expect(button('double-points').querySelector('.power-up-icon').textContent).toBe('×3');
+        expect(button('double-points').querySelector('.power-up-label').dataset.translateArgs).toBe('3');
+        // Uses left are shown only for a budget above one
+        expect(button('fifty-fifty').querySelector('.power-up-count').textContent).toBe('2');
+        expect(button('reveal-hint').querySelector('.power-up-count').textContent).toBe('');
+    });
+
+    test('enables only the power-ups that apply to the question', () => {
+        manager.startQuestion('numeric');
+        expect(button('fifty-fifty').disabled).toBe(true);
+        expect(button('fifty-fifty').classList.contains('unavailable')).toBe(true);
+        expect(button('reveal-hint').disabled).toBe(false);
+
+        manager.setAnswered(true);
+        expect(button('reveal-hint').disabled).toBe(true);
+    });
+
+    test('asks the game and waits for the result before applying the effect', () => {
+        manager.startQuestion('multiple-choice');
+        manager.bindEventListeners();
+        button('fifty-fifty').click();
+
+        expect(eventBus.emit).toHaveBeenCalledTimes(1);
+        expect(eventBus.emit).toHaveBeenCalledWith('use-power-up', { type: 'fifty-fifty' });
+        expect(document.querySelectorAll('.power-up-hidden')).toHaveLength(0);
+        // A second request waits for the first result
+        expect(manager.usePowerUp('reveal-hint')).toBe(false);
+
+        manager.applyResult({ success: true, type: 'fifty-fifty', remaining: 1, hiddenOptions: [0, 3] });
+        const options = document.querySelectorAll('.player-option');
+        expect(options[0].classList.contains('power-up-hidden')).toBe(true);
+        expect(options[0].disabled).toBe(true);
+        expect(options[3].classList.contains('power-up-hidden')).toBe(true);
+        expect(button('fifty-fifty').querySelector('.power-up-count').textContent).toBe('1');
+
+        manager.startQuestion('multiple-choice');
+        expect(document.querySelectorAll('.power-up-hidden')).toHaveLength(0);
+        expect(options[0].disabled).toBe(false);
+    });
+
+    test('hides a true-false option by its answer', () => {
+        manager.startQuestion('true-false');
+        manager.usePowerUp('fifty-fifty');
+        manager.applyResult({ success: true, type: 'fifty-fifty', remaining: 1, hiddenOptions: [1] });
+        expect(document.querySelector('.tf-option[data-answer="false"]').classList.contains('power-up-hidden')).toBe(true);
+        expect(document.querySelector('.tf-option[data-answer="true"]').classList.contains('power-up-hidden')).toBe(false);
+    });
+
+    test('shows the hint and clears it on the next question', () => {
+        manager.startQuestion('numeric');
+        manager.usePowerUp('reveal-hint');
+        manager.applyResult({ success: true, type: 'reveal-hint', remaining: 0, hint: { kind: 'range', min: 10, max: 20 } });
+
+        const hint = document.getElementById('power-up-hint');
+        expect(hint.classList.contains('hidden')).toBe(false);
+        expect(hint.textContent).toContain('hint_range');
+        expect(button('reveal-hint').classList.contains('used')).toBe(true);
+
+        manager.startQuestion('numeric');
+        expect(hint.classList.contains('hidden')).toBe(true);
+    });
+
+    test('an armed power-up stays active until the player-result state spends it', () => {
+        manager.startQuestion('multiple-choice');
+        manager.usePowerUp('double-points');
+        manager.applyResult({ success: true, type: 'double-points', remaining: 0, multiplier: 3 });
+        expect(button('double-points').classList.contains('active')).toBe(true);
+
+        manager.syncState({ 'double-points': { remaining: 0, active: false } });
+        expect(button('double-points').classList.contains('active')).toBe(false);
+        expect(button('double-points').classList.contains('used')).toBe(true);
+    });
+
+    test('a failed use leaves the state alone and frees the buttons', () => {
+        manager.startQuestion('multiple-choice');
+        manager.usePowerUp('fifty-fifty');
+        manager.applyResult({ success: false, error: 'Power-up cannot be used on this question' });
+        expect(manager.powerUps.get('fifty-fifty').remaining).toBe(2);
+        expect(button('fifty-fifty').disabled).toBe(false);
+    });
+});
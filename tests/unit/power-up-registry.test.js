@@ -0,0 +1,120 @@
+/**
+ * Power-up registry — server catalogue and its practice-mode mirror
+ *
+ * services/power-up-registry.js is authoritative; public/js/utils/power-up-registry.js
+ * repeats it for LocalGameSession. Every case runs against both and must
+ * give the same answer, so a change to one copy that misses the other fails
+ * here.
+ */
+
+import * as client from '../../public/js/utils/power-up-registry.js';
+
+const server = require('../../services/power-up-registry');
+
+/**
+ * Deterministic random source (mulberry32)
+ * @param {number} seed
+ * @returns {Function}
+ */
+function seeded(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const QUESTIONS = [
+    { type: 'multiple-choice', options: ['A', 'B', 'C', 'D'], correctAnswer: 2 },
+    { type: 'multiple-choice', options: ['A', 'B', 'C', 'D', 'E', 'F'], correctIndex: 0 },
+    { type: 'multiple-correct', options: ['A', 'B', 'C', 'D', 'E'], correctAnswers: [1, 3] },
+    { type: 'true-false', correctAnswer: 'true' },
+    { type: 'true-false', correctAnswer: false },
+    { type: 'numeric', correctAnswer: 1969, tolerance: 2 },
+    { type: 'numeric', correctAnswer: -0.5 },
+    { type: 'text-input', acceptedAnswers: [' ', 'Mercury'] },
+    { type: 'ordering', options: ['First', 'Second', 'Third'], correctOrder: [2, 0, 1] },
+    { type: 'matching', pairs: [{ left: 'H', right: 'Hydrogen' }, { left: 'O', right: 'Oxygen' }] },
+    { type: 'multiple-choice', options: ['Yes', 'No'], isPoll: true }
+];
+
+const SETTINGS = [
+    undefined,
+    {},
+    { 'fifty-fifty': { enabled: false }, 'shield': { enabled: true, uses: 3 } },
+    { 'extend-time': { uses: 0, extraSeconds: 500 }, 'double-points': { multiplier: 2.6 } },
+    { 'second-chance': { enabled: true, pointsPercent: 5 }, 'reveal-hint': { enabled: true }, 'teleport': { enabled: true } }
+];
+
+describe('power-up registry mirror', () => {
+    test('lists the same power-ups with the same definitions', () => {
+        const shape = (registry) => registry.listPowerUps().map(({ id, enabledByDefault, armed, params }) => ({
+            id, enabledByDefault, armed, params
+        }));
+        expect(shape(client)).toEqual(shape(server));
+        expect(client.DEFAULT_USES).toBe(server.DEFAULT_USES);
+        expect(client.MAX_USES).toBe(server.MAX_USES);
+    });
+
+    test.each(SETTINGS.map(settings => [JSON.stringify(settings), settings]))(
+        'resolves settings %s identically', (_label, settings) => {
+            const catalogue = server.resolvePowerUpSettings(settings);
+            expect(client.resolvePowerUpSettings(settings)).toEqual(catalogue);
+            expect(client.createPowerUpState(catalogue)).toEqual(server.createPowerUpState(catalogue));
+        });
+
+    test.each(QUESTIONS.map(question => [question.type, question]))(
+        'gives the same applicability and effects for %s', (_type, question) => {
+            const catalogue = server.resolvePowerUpSettings(Object.fromEntries(
+                server.listPowerUps().map(({ id }) => [id, { enabled: true }])
+            ));
+            for (const { id } of server.listPowerUps()) {
+                expect([id, client.isPowerUpApplicable(id, question)]).toEqual([id, server.isPowerUpApplicable(id, question)]);
+                for (const seed of [1, 7, 42]) {
+                    const expected = server.getPowerUp(id).effect(question, catalogue[id], seeded(seed));
+                    expect(client.getPowerUp(id).effect(question, catalogue[id], seeded(seed))).toEqual(expected);
+                }
+            }
+        });
+});
+
+describe('power-up settings', () => {
+    test('defaults to the original three power-ups, one use each', () => {
+        expect(server.resolvePowerUpSettings()).toEqual({
+            'fifty-fifty': { uses: 1 },
+            'extend-time': { uses: 1, extraSeconds: 10 },
+            'double-points': { uses: 1, multiplier: 2 }
+        });
+    });
+
+    test('clamps uses and parameters and ignores unknown IDs', () => {
+        expect(server.resolvePowerUpSettings(SETTINGS[3])).toMatchObject({
+            'extend-time': { uses: 1, extraSeconds: 60 },
+            'double-points': { uses: 1, multiplier: 3 }
+        });
+        const resolved = server.resolvePowerUpSettings(SETTINGS[4]);
+        expect(resolved['second-chance']).toEqual({ uses: 1, pointsPercent: 10 });
+        expect(resolved).not.toHaveProperty('teleport');
+    });
+
+    test('effects never expose a correct option', () => {
+        for (const seed of [1, 2, 3, 4, 5]) {
+            expect(server.getPowerUp('fifty-fifty').effect(QUESTIONS[0], {}, seeded(seed)).hiddenOptions).not.toContain(2);
+            expect(server.getPowerUp('reveal-hint').effect(QUESTIONS[0], {}, seeded(seed)).hint.option).not.toBe(2);
+        }
+        expect(server.getPowerUp('fifty-fifty').effect(QUESTIONS[3], {}, seeded(1)).hiddenOptions).toEqual([1]);
+    });
+
+    test('hints are built from the question', () => {
+        const hint = (question) => server.getPowerUp('reveal-hint').effect(question, {}, seeded(3)).hint;
+        expect(hint(QUESTIONS[2])).toEqual({ kind: 'correct-count', count: 2 });
+        expect(hint(QUESTIONS[7])).toEqual({ kind: 'first-letter', letter: 'M', length: 7 });
+        expect(hint(QUESTIONS[8])).toEqual({ kind: 'first-item', text: 'Third' });
+        const range = hint(QUESTIONS[5]);
+        expect(range.min).toBeLessThanOrEqual(1969);
+        expect(range.max).toBeGreaterThanOrEqual(1969);
+        expect(server.isPowerUpApplicable('reveal-hint', QUESTIONS[10])).toBe(false);
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * QtiPackageService Tests
+ *
+ * Round-trips questions and their images through QTI 2.1 and 3.0 packages,
+ * reads a package written by another tool, and checks that what has no QTI
+ * counterpart is skipped with a warning.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const JSZip = require('jszip');
+
+const { QtiPackageService } = require('../../services/qti-package-service');
+
+const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 1, 2, 3]);
+
+const QUESTIONS = [
+    { type: 'multiple-choice', question: 'Which organelle?\nPick one.', options: ['Nucleus', 'Cell <wall>'], correctIndex: 1, image: '/uploads/cell.png' },
+    { type: 'multiple-correct', question: 'Pick the primes', options: ['2', '3', '4'], correctIndices: [0, 1] },
+    { type: 'true-false', question: 'The sun is a star.', correctAnswer: false },
+    { type: 'ordering', question: 'Smallest first', options: ['10', '1', '5'], correctOrder: [1, 2, 0] },
+    { type: 'text-input', question: 'Capital of France?', acceptedAnswers: ['Paris', 'paris city'] },
+    { type: 'numeric', question: 'Pi to two places?', correctAnswer: 3.14, tolerance: 0.005 }
+];
+
+function item(body, declaration) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" identifier="i" title="i" adaptive="false" timeDependent="false">
+  ${declaration}
+  <itemBody>${body}</itemBody>
+  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response"/>
+</assessmentItem>`;
+}
+
+async function cleanup(dir) {
+    try {
+        await fs.rm(dir, { recursive: true, force: true });
+    } catch { /* ignore */ }
+}
+
+describe('QtiPackageService', () => {
+    let sourceDir;
+    let targetDir;
+    let source;
+    let target;
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        sourceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quizix-qti-src-'));
+        targetDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quizix-qti-dst-'));
+        await fs.writeFile(path.join(sourceDir, 'cell.png'), PNG);
+        source = new QtiPackageService(mockLogger, { uploadsDir: sourceDir });
+        target = new QtiPackageService(mockLogger, { uploadsDir: targetDir });
+    });
+
+    afterEach(async () => {
+        await cleanup(sourceDir);
+        await cleanup(targetDir);
+    });
+
+    test.each(['2.1', '3.0'])('round-trips every mapped type and images through QTI %s', async version => {
+        const { buffer, filename, warnings } = await source.exportPackage({ title: 'Cells', questions: QUESTIONS }, version);
+
+        expect(filename).toBe('cells.qti.zip');
+        expect(warnings).toEqual([]);
+
+        const pkg = await target.readPackage(buffer);
+        expect(pkg.title).toBe('Cells');
+        expect(pkg.warnings).toEqual([]);
+
+        const { questions, mediaCount } = await target.importPackage(pkg);
+        expect(mediaCount).toBe(1);
+        expect(questions[0].image).toMatch(/^\/uploads\/\d+-[0-9a-f]{32}\.png$/);
+        expect(await fs.readFile(path.join(targetDir, path.basename(questions[0].image)))).toEqual(PNG);
+        expect(questions.slice(1)).toEqual(QUESTIONS.slice(1));
+        expect({ ...questions[0], image: QUESTIONS[0].image }).toEqual(QUESTIONS[0]);
+    });
+
+    test('leaves out images whose content is not what their name claims', async () => {
+        await fs.writeFile(path.join(sourceDir, 'cell.png'), '<script>alert(1)</script>');
+        const exported = await source.exportPackage({ title: 'Cells', questions: QUESTIONS.slice(0, 1) });
+        expect((await JSZip.loadAsync(exported.buffer)).file('images/cell.png')).toBeNull();
+
+        const zip = new JSZip();
+        zip.file('images/cell.png', '<script>alert(1)</script>');
+        const question = { ...QUESTIONS[0], image: undefined };
+        const { questions, mediaCount, warnings } = await target.importPackage({
+            title: null,
+            items: [{ question, image: 'images/cell.png' }],
+            zip
+        });
+
+        expect(mediaCount).toBe(0);
+        expect(questions).toEqual([question]);
+        expect(warnings).toEqual(['images/cell.png: not a valid image, left out']);
+        expect(await fs.readdir(targetDir)).toEqual([]);
+    });
+
+    test('writes version-specific element names and a manifest listing the images', async () => {
+        const quiz = { title: 'Cells', questions: QUESTIONS.slice(0, 1) };
+        const v2 = await JSZip.loadAsync((await source.exportPackage(quiz, '2.1')).buffer);
+        const v3 = await JSZip.loadAsync((await source.exportPackage(quiz, '3.0')).buffer);
+
+        expect(await v2.file('item-1.xml').async('string')).toContain('<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">');
+        expect(await v3.file('item-1.xml').async('string')).toContain('<qti-choice-interaction response-identifier="RESPONSE" shuffle="false" max-choices="1">');
+        const manifest = await v3.file('imsmanifest.xml').async('string');
+        expect(manifest).toContain('type="imsqti_item_xmlv3p0" href="item-1.xml"');
+        expect(manifest).toContain('<file href="images/cell.png"/>');
+        expect(v3.file('images/cell.png')).not.toBeNull();
+    });
+
+    test('leaves out matching questions and polls', async () => {
+        const { warnings } = await source.exportPackage({
+            title: 'T',
+            questions: [
+                { type: 'matching', question: 'Match', pairs: [{ left: 'a', right: 'b' }, { left: 'c', right: 'd' }] },
+                { type: 'true-false', question: 'Poll', isPoll: true },
+                QUESTIONS[2]
+            ]
+        });
+
+        expect(warnings).toEqual([
+            'Question 1: matching questions have no QTI counterpart, skipped',
+            'Question 2: poll questions have no QTI counterpart, skipped'
+        ]);
+    });
+
+    test('reads packages from other tools and skips items it cannot map', async () => {
+        const zip = new JSZip();
+        zip.file('content/imsmanifest.xml', `<?xml version="1.0"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="m">
+  <resources>
+    <resource identifier="a" type="imsqti_item_xmlv2p1" href="items/blank.xml"><file href="items/blank.xml"/></resource>
+    <resource identifier="b" type="imsqti_item_xmlv2p1" href="items/essay.xml"><file href="items/essay.xml"/></resource>
+    <resource identifier="c" type="imsqti_item_xmlv2p1" href="items/photo.xml"><file href="items/photo.xml"/></resource>
+    <resource identifier="d" type="webcontent" href="items/img/leaf%20one.png"><file href="items/img/leaf%20one.png"/></resource>
+  </resources>
+</manifest>`);
+        zip.file('content/items/blank.xml', item(
+            '<p>Two plus <textEntryInteraction responseIdentifier="R1"/> equals four.</p>',
+            `<responseDeclaration identifier="R1" cardinality="single" baseType="string">
+               <mapping defaultValue="0"><mapEntry mapKey="two" mappedValue="1"/><mapEntry mapKey="2" mappedValue="1"/><mapEntry mapKey="three" mappedValue="0"/></mapping>
+             </responseDeclaration>`
+        ));
+        zip.file('content/items/essay.xml', item(
+            '<extendedTextInteraction responseIdentifier="R"><prompt>Discuss</prompt></extendedTextInteraction>',
+            '<responseDeclaration identifier="R" cardinality="single" baseType="string"/>'
+        ));
+        zip.file('content/items/photo.xml', item(
+            `<p>Which leaf is this?</p><div><img src="img/leaf%20one.png"/></div>
+             <choiceInteraction responseIdentifier="R" maxChoices="1"><simpleChoice identifier="A">Oak</simpleChoice><simpleChoice identifier="B"><b>Maple</b></simpleChoice></choiceInteraction>`,
+            '<responseDeclaration identifier="R" cardinality="single" baseType="identifier"><correctResponse><value>B</value></correctResponse></responseDeclaration>'
+        ));
+        zip.file('content/items/img/leaf one.png', PNG);
+
+        const pkg = await target.readPackage(await zip.generateAsync({ type: 'nodebuffer' }));
+
+        expect(pkg.title).toBeNull();
+        expect(pkg.skipped).toBe(1);
+        expect(pkg.warnings).toEqual(['Question 2: essay questions are not supported, skipped']);
+        expect(pkg.items).toEqual([
+            { question: { type: 'text-input', question: 'Two plus _____ equals four.', acceptedAnswers: ['two', '2'] }, image: null },
+            { question: { type: 'multiple-choice', question: 'Which leaf is this?', options: ['Oak', 'Maple'], correctIndex: 1 }, image: 'content/items/img/leaf one.png' }
+        ]);
+    });
+
+    test('refuses files that are not QTI packages', async () => {
+        await expect(target.readPackage(Buffer.from('<assessmentItem/>')))
+            .rejects.toMatchObject({ messageKey: 'error_invalid_qti_package' });
+
+        const zip = new JSZip();
+        zip.file('quiz.json', '{}');
+        await expect(target.readPackage(await zip.generateAsync({ type: 'nodebuffer' })))
+            .rejects.toMatchObject({ messageKey: 'error_invalid_qti_package' });
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * QuestionBankService Tests
+ *
+ * Covers search filters and visibility, fetching full question copies by
+ * reference, random draws per concept, and re-indexing changed quizzes.
+ *
+ * Storage is an in-memory adapter; visibility comes from a stub of
+ * MetadataService.isQuizVisibleToUser.
+ */
+
+const { QuestionBankService } = require('../../services/question-bank-service');
+const { COLLECTIONS } = require('../../services/storage-adapter');
+const { MemoryStorageAdapter } = require('../helpers/memory-storage-adapter');
+
+const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const FRACTIONS = {
+    title: 'Fractions',
+    questions: [
+        { type: 'multiple-choice', question: 'What is 1/2 + 1/4?', options: ['3/4', '2/6'], correctIndex: 0, difficulty: 'easy', concepts: ['Fractions'] },
+        { type: 'numeric', question: 'Write 3/4 as a decimal', correctAnswer: 0.75, difficulty: 'medium', concepts: ['fractions', 'Decimals'] },
+        { type: 'true-false', question: 'Is 2/4 equal to 1/2?', correctAnswer: true, difficulty: 'hard', concepts: ['Fractions'] }
+    ]
+};
+
+const GEOMETRY = {
+    title: 'Geometry',
+    questions: [
+        { type: 'multiple-choice', question: 'How many sides has a hexagon?', options: ['5', '6'], correctIndex: 1, difficulty: 'easy', concepts: ['Shapes'] },
+        // Same question as in Fractions: never drawn twice
+        { type: 'true-false', question: 'Is 2/4 equal to 1/2?', correctAnswer: true, difficulty: 'hard', concepts: ['Fractions'] }
+    ]
+};
+
+const PRIVATE = {
+    title: 'Secret',
+    questions: [
+        { type: 'multiple-choice', question: 'Private fraction question', options: ['A', 'B'], correctIndex: 0, concepts: ['Fractions'] }
+    ]
+};
+
+// private.json belongs to owner-1
+const metadataService = {
+    isQuizVisibleToUser: jest.fn((filename, userId) => filename !== 'private.json' || userId === 'owner-1')
+};
+
+describe('QuestionBankService', () => {
+    let storage;
+    let service;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storage = new MemoryStorageAdapter({
+            [COLLECTIONS.QUIZZES]: { 'fractions.json': FRACTIONS, 'geometry.json': GEOMETRY, 'private.json': PRIVATE }
+        });
+        jest.spyOn(storage, 'read');
+        service = new QuestionBankService(mockLogger, storage, metadataService);
+    });
+
+    describe('search', () => {
+        test('lists every visible question with its reference and concepts', async () => {
+            const result = await service.search(null);
+
+            expect(result.total).toBe(5);
+            expect(result.items[0]).toEqual({
+                ref: 'fractions.json#0',
+                quizFilename: 'fractions.json',
+                quizTitle: 'Fractions',
+                index: 0,
+                question: 'What is 1/2 + 1/4?',
+                type: 'multiple-choice',
+                difficulty: 'easy',
+                concepts: ['Fractions']
+            });
+            expect(result.concepts).toEqual(['Decimals', 'Fractions', 'Shapes']);
+        });
+
+        test('includes private quizzes only for their owner', async () => {
+            expect((await service.search('someone-else', { q: 'private' })).total).toBe(0);
+            expect((await service.search('owner-1', { q: 'private' })).total).toBe(1);
+        });
+
+        test('matches every word of the query in text, answers or quiz title', async () => {
+            expect((await service.search(null, { q: 'hexagon' })).items.map(i => i.ref)).toEqual(['geometry.json#0']);
+            expect((await service.search(null, { q: '2/6' })).items.map(i => i.ref)).toEqual(['fractions.json#0']);
+            expect((await service.search(null, { q: 'geometry sides' })).total).toBe(1);
+            expect((await service.search(null, { q: 'hexagon fractions' })).total).toBe(0);
+        });
+
+        test('filters by type, difficulty and concept (case-insensitive)', async () => {
+            expect((await service.search(null, { type: 'numeric' })).items.map(i => i.ref)).toEqual(['fractions.json#1']);
+            expect((await service.search(null, { difficulty: 'hard' })).total).toBe(2);
+            expect((await service.search(null, { concept: 'FRACTIONS' })).total).toBe(4);
+            expect((await service.search(null, { concept: 'fractions', difficulty: 'easy' })).total).toBe(1);
+        });
+
+        test('pages with limit and offset', async () => {
+            const page = await service.search(null, { limit: 2, offset: 2 });
+            expect(page.total).toBe(5);
+            expect(page.items.map(i => i.ref)).toEqual(['fractions.json#2', 'geometry.json#0']);
+        });
+
+        test('re-reads a quiz only after it changes', async () => {
+            await service.search(null);
+            await service.search(null);
+            expect(storage.read).toHaveBeenCalledTimes(2);
+
+            await storage.write(COLLECTIONS.QUIZZES, 'geometry.json', { title: 'Geometry', questions: [{ question: 'Area of a square?', concepts: [] }] });
+            storage.modified.set(`${COLLECTIONS.QUIZZES}/geometry.json`, new Date('2000-01-01T00:00:00Z'));
+
+            expect((await service.search(null, { q: 'square' })).total).toBe(1);
+            expect(storage.read).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('getQuestions', () => {
+        test('returns full copies in the requested order', async () => {
+            const questions = await service.getQuestions(null, ['geometry.json#0', 'fractions.json#1']);
+
+            expect(questions).toEqual([GEOMETRY.questions[0], FRACTIONS.questions[1]]);
+            expect(questions[0]).not.toBe(GEOMETRY.questions[0]);
+        });
+
+        test('refuses questions from quizzes the user cannot see', async () => {
+            await expect(service.getQuestions('someone-else', ['private.json#0']))
+                .rejects.toMatchObject({ status: 403, messageKey: 'error_quiz_forbidden' });
+        });
+
+        test('rejects malformed and missing references', async () => {
+            await expect(service.getQuestions(null, ['../users.json#0']))
+                .rejects.toMatchObject({ messageKey: 'error_invalid_question_ref' });
+            await expect(service.getQuestions(null, ['fractions.json#9']))
+                .rejects.toMatchObject({ status: 404, messageKey: 'error_question_not_found' });
+        });
+    });
+
+    describe('drawQuestions', () => {
+        test('draws the requested number per concept without repeats', async () => {
+            const { questions, shortfalls } = await service.drawQuestions(null, [
+                { concept: 'fractions', count: 3 },
+                { concept: 'Shapes', count: 1 }
+            ]);
+
+            expect(questions).toHaveLength(4);
+            expect(new Set(questions.map(q => q.question)).size).toBe(4);
+            expect(questions[3].question).toBe('How many sides has a hexagon?');
+            expect(shortfalls).toEqual([]);
+        });
+
+        test('honors difficulty and skips questions already in the quiz', async () => {
+            const { questions } = await service.drawQuestions(null, [
+                { concept: 'Fractions', count: 5, difficulty: 'easy' }
+            ], ['What is 1/2 + 1/4?']);
+
+            expect(questions).toEqual([]);
+        });
+
+        test('reports rules the bank has too few questions for', async () => {
+            const { questions, shortfalls } = await service.drawQuestions('someone-else', [
+                { concept: 'Fractions', count: 5 }
+            ]);
+
+            expect(questions).toHaveLength(3);
+            expect(shortfalls).toEqual([{ concept: 'Fractions', requested: 5, drawn: 3 }]);
+        });
+    });
+});
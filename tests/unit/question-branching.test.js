@@ -0,0 +1,111 @@
+/**
+ * Question branching — server rules and their practice/editor mirror
+ *
+ * services/question-branching.js is authoritative; public/js/utils/question-branching.js
+ * repeats it for LocalGameSession and the editor. Every case runs against both copies.
+ */
+
+import * as client from '../../public/js/utils/question-branching.js';
+
+const server = require('../../services/question-branching');
+
+const mc = (extra = {}) => ({ question: 'Q', type: 'multiple-choice', options: ['a', 'b', 'c'], correctIndex: 0, ...extra });
+
+const LESSON = [
+    mc({ label: 'start', next: { when: 'accuracy-below', value: 50, goTo: 'review', otherwise: 'hard' } }),
+    mc({ label: 'review', next: { when: 'always', goTo: 'end' } }),
+    mc({ label: 'hard' }),
+    mc({ label: 'end' })
+];
+
+describe.each([['server', server], ['client', client]])('question branching (%s)', (_name, branching) => {
+    test('keeps the same conditions and label length', () => {
+        expect(branching.BRANCH_CONDITIONS).toEqual(server.BRANCH_CONDITIONS);
+        expect(branching.MAX_LABEL_LENGTH).toBe(server.MAX_LABEL_LENGTH);
+    });
+
+    test('notices a quiz with rules', () => {
+        expect(branching.hasBranching(LESSON)).toBe(true);
+        expect(branching.hasBranching([mc(), mc({ label: 'x' })])).toBe(false);
+        expect(branching.hasBranching(undefined)).toBe(false);
+    });
+
+    test('follows the accuracy rule either way', () => {
+        expect(branching.resolveNextIndex(LESSON, 0, { accuracy: 30, topOption: null })).toBe(1);
+        expect(branching.resolveNextIndex(LESSON, 0, { accuracy: 50, topOption: null })).toBe(2);
+        expect(branching.resolveNextIndex(LESSON, 1, { accuracy: 0, topOption: null })).toBe(3);
+        expect(branching.resolveNextIndex(LESSON, 3, { accuracy: 0, topOption: null })).toBe(4);
+    });
+
+    test('goes on in order without a target to go to', () => {
+        const questions = [
+            mc({ next: { when: 'accuracy-at-least', value: 80, goTo: 'last' } }),
+            mc(),
+            mc({ label: 'last' })
+        ];
+        expect(branching.resolveNextIndex(questions, 0, { accuracy: 90 })).toBe(2);
+        expect(branching.resolveNextIndex(questions, 0, { accuracy: 10 })).toBe(1);
+        // A poll or an empty room has no accuracy: neither condition holds
+        expect(branching.resolveNextIndex(questions, 0, { accuracy: null })).toBe(1);
+    });
+
+    test('branches on the option picked most, not on a tie', () => {
+        const questions = [
+            mc({ next: { when: 'option', value: 2, goTo: 'c' } }),
+            mc(),
+            mc({ label: 'c' })
+        ];
+        expect(branching.topOption([2, 2, 0, 'x'])).toBe(2);
+        expect(branching.topOption([1, 0])).toBeNull();
+        expect(branching.topOption([])).toBeNull();
+        expect(branching.resolveNextIndex(questions, 0, { topOption: 2 })).toBe(2);
+        expect(branching.resolveNextIndex(questions, 0, { topOption: null })).toBe(1);
+    });
+
+    test('accepts a sound lesson', () => {
+        expect(branching.validateBranching(LESSON)).toEqual([]);
+    });
+
+    test('reports bad labels and rules by question', () => {
+        expect(branching.validateBranching([mc({ label: 'a' }), mc({ label: 'a' })]))
+            .toEqual([{ index: 1, messageKey: 'branch_label_duplicate' }]);
+        expect(branching.validateBranching([mc({ label: 'x'.repeat(41) })]))
+            .toEqual([{ index: 0, messageKey: 'branch_label_invalid' }]);
+        expect(branching.validateBranching([mc({ next: { when: 'sometimes', goTo: 'a' } })]))
+            .toEqual([{ index: 0, messageKey: 'branch_rule_invalid' }]);
+        expect(branching.validateBranching([{ type: 'numeric', next: { when: 'option', value: 0, goTo: 'a' } }]))
+            .toEqual([{ index: 0, messageKey: 'branch_option_needs_choice' }]);
+        expect(branching.validateBranching([mc({ label: 'a', next: { when: 'option', value: 3, goTo: 'a' } })]))
+            .toEqual([{ index: 0, messageKey: 'branch_value_invalid' }]);
+        expect(branching.validateBranching([mc({ next: { when: 'accuracy-below', value: 101, goTo: 'a' } })]))
+            .toEqual([{ index: 0, messageKey: 'branch_value_invalid' }]);
+        expect(branching.validateBranching([mc({ next: { when: 'always', goTo: 'nowhere' } })]))
+            .toEqual([{ index: 0, messageKey: 'branch_target_missing' }]);
+        expect(branching.validateBranching([mc({ label: 'a', next: { when: 'accuracy-below', value: 5, goTo: 'a', otherwise: 'b' } })]))
+            .toEqual([{ index: 0, messageKey: 'branch_target_missing' }]);
+    });
+
+    test('refuses rules that can go round forever', () => {
+        const selfLoop = [mc({ label: 'a', next: { when: 'accuracy-below', value: 50, goTo: 'a' } }), mc()];
+        expect(branching.validateBranching(selfLoop)).toEqual([{ index: 0, messageKey: 'branch_loop' }]);
+
+        const backJump = [
+            mc({ label: 'intro' }),
+            mc(),
+            mc({ next: { when: 'option', value: 1, goTo: 'next', otherwise: 'intro' } }),
+            mc({ label: 'next' })
+        ];
+        expect(branching.validateBranching(backJump)).toEqual([{ index: 0, messageKey: 'branch_loop' }]);
+    });
+
+    test('allows jumping back to a question that no longer leads there', () => {
+        const questions = [
+            mc({ next: { when: 'always', goTo: 'extra' } }),
+            mc({ label: 'recap' }),
+            mc({ label: 'end', next: { when: 'always', goTo: 'done' } }),
+            mc({ label: 'extra', next: { when: 'always', goTo: 'recap' } }),
+            mc({ label: 'done' })
+        ];
+        expect(branching.validateBranching(questions)).toEqual([]);
+    });
+});
@@ -452,6 +452,42 @@ describe('QuestionFlowService', () => {
                 expect.anything()
             );
         });
+
+        test('does not wait for ghosts in elimination mode, except on a revival round', () => {
+            const io = createMockIO();
+            const game = createMockGame({
+                players: [
+                    { id: 'player-1', name: 'Player1', score: 0 },
+                    { id: 'player-2', name: 'Player2', score: 0, eliminated: true }
+                ]
+            });
+            let revivalRound = false;
+            Object.assign(game, {
+                isEliminationMode: true,
+                isAwaitingAnswer: player => !player.eliminated || revivalRound,
+                getSurvivors: () => [game.players.get('player-1')]
+            });
+            const spy = jest.spyOn(questionFlowService, 'endQuestionEarly').mockImplementation(() => {});
+            const socket = createMockSocket('player-1');
+
+            questionFlowService.handleAnswerSubmission(
+                socket.id, 0, 'multiple-choice', { gamePin: '123456', name: 'Player1' }, game, socket, io
+            );
+            jest.advanceTimersByTime(100);
+
+            expect(spy).toHaveBeenCalledWith(game, io);
+            expect(countUpdates(io)[0][1]).toEqual({
+                answeredPlayers: 1,
+                connectedPlayers: 2,
+                totalPlayers: 2,
+                survivors: 1
+            });
+
+            spy.mockClear();
+            revivalRound = true;
+            questionFlowService.flushAnswerCount(game, io);
+            expect(spy).not.toHaveBeenCalled();
+        });
     });
 
     describe('endQuestionEarly', () => {
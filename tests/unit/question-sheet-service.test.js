@@ -0,0 +1,108 @@
+/**
+ * QuestionSheetService Tests
+ *
+ * CSV in the column template: every sheet question type, header and
+ * delimiter leniency, row-numbered errors from QuestionTypeService
+ * validation, and the template round-tripping through import.
+ */
+
+const { QuestionSheetService } = require('../../services/question-sheet-service');
+
+const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('QuestionSheetService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new QuestionSheetService(mockLogger);
+    });
+
+    test('reads every question type from the column template', () => {
+        const csv = [
+            'type,question,option1,option2,option3,option4,option5,option6,correct,tolerance,time,difficulty,concepts,explanation,image URL',
+            ',Capital of France?,Berlin,Paris,,,,,B,,25,Easy,Geography; Europe,Since 987,/uploads/paris.png',
+            'multiple-correct,Primes?,2,4,5,,,,1;3,,,,,,',
+            'true-false,The sun is a star.,,,,,,,yes,,,,,,',
+            'numeric,Pi?,,,,,,,"3,14",0.01,,,,,',
+            'ordering,Smallest first,1,5,10,,,,,,,,,,',
+            'text-input,Gas plants absorb?,,,,,,,carbon dioxide; CO2,,,,,,'
+        ].join('\r\n');
+
+        const { questions, warnings, skipped } = service.parseCsv(csv);
+
+        expect(warnings).toEqual([]);
+        expect(skipped).toBe(0);
+        expect(questions).toEqual([
+            {
+                type: 'multiple-choice', question: 'Capital of France?', options: ['Berlin', 'Paris'], correctIndex: 1,
+                timeLimit: 25, difficulty: 'easy', concepts: ['Geography', 'Europe'], explanation: 'Since 987', image: '/uploads/paris.png'
+            },
+            { type: 'multiple-correct', question: 'Primes?', options: ['2', '4', '5'], correctIndices: [0, 2] },
+            { type: 'true-false', question: 'The sun is a star.', correctAnswer: true },
+            { type: 'numeric', question: 'Pi?', correctAnswer: 3.14, tolerance: 0.01 },
+            { type: 'ordering', question: 'Smallest first', options: ['1', '5', '10'], correctOrder: [0, 1, 2] },
+            { type: 'text-input', question: 'Gas plants absorb?', acceptedAnswers: ['carbon dioxide', 'CO2'] }
+        ]);
+    });
+
+    test('accepts semicolon-separated sheets with reordered, loosely written headers', () => {
+        const csv = 'Question;Option 1;Option_2;Correct\n"Say ""hi""; politely";Hi;Hello;hello\n';
+
+        const { questions } = service.parseCsv(csv);
+
+        expect(questions).toEqual([
+            { type: 'multiple-choice', question: 'Say "hi"; politely', options: ['Hi', 'Hello'], correctIndex: 1 }
+        ]);
+    });
+
+    test('reports invalid rows by spreadsheet row number and keeps the rest', () => {
+        const csv = [
+            'type,question,option1,option2,correct,time',
+            'multiple-choice,No answer,a,b,,',
+            '',
+            'numeric,Not a number,,,lots,',
+            'matching,Pairs,a,b,,',
+            'true-false,Fine,,,false,',
+            'true-false,Too slow,,,true,900'
+        ].join('\n');
+
+        const { questions, warnings, skipped } = service.parseCsv(csv);
+
+        expect(questions).toEqual([{ type: 'true-false', question: 'Fine', correctAnswer: false }]);
+        expect(skipped).toBe(4);
+        expect(warnings).toEqual([
+            'Row 2: Valid correct answer must be selected',
+            'Row 4: Answer must be a valid number',
+            'Row 5: unknown question type "matching" (use multiple-choice, multiple-correct, true-false, numeric, ordering, text-input)',
+            'Row 7: time must be a whole number of seconds from 5 to 300'
+        ]);
+    });
+
+    test('refuses sheets without a question column', () => {
+        expect(() => service.parseCsv('name,answer\nx,y')).toThrow(expect.objectContaining({ messageKey: 'error_invalid_question_sheet' }));
+    });
+
+    test('the template imports cleanly and exports round-trip', () => {
+        const { questions, warnings } = service.parseCsv(service.template());
+
+        expect(warnings).toEqual([]);
+        expect(questions.map(q => q.type)).toEqual(['multiple-choice', 'multiple-correct', 'true-false', 'numeric', 'ordering', 'text-input']);
+
+        const again = service.parseCsv(service.toCsv({ title: 'T', questions }).content);
+        expect(again.questions).toEqual(questions);
+    });
+
+    test('export guards formula-like cells and leaves out types the layout cannot hold', () => {
+        const { content, warnings } = service.toCsv({
+            title: 'T',
+            questions: [
+                { type: 'text-input', question: '=1+1 equals?', acceptedAnswers: ['2'] },
+                { type: 'matching', question: 'Pairs', pairs: [{ left: 'a', right: 'b' }, { left: 'c', right: 'd' }] }
+            ]
+        });
+
+        expect(content).toContain('text-input,\'=1+1 equals?');
+        expect(warnings).toEqual(['Question 2: matching questions do not fit the sheet layout, skipped']);
+        expect(service.parseCsv(content).questions[0].question).toBe('=1+1 equals?');
+    });
+});
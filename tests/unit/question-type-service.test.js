@@ -16,7 +16,9 @@ describe('QuestionTypeService', () => {
             expect(types).toContain('true-false');
             expect(types).toContain('numeric');
             expect(types).toContain('ordering');
-            expect(types).toHaveLength(5);
+            expect(types).toContain('text-input');
+            expect(types).toContain('matching');
+            expect(types).toHaveLength(7);
         });
     });
 
@@ -304,6 +306,150 @@ describe('QuestionTypeService', () => {
         });
     });
 
+    describe('Text Input Questions', () => {
+        describe('validation', () => {
+            it('should validate a question with accepted answers', () => {
+                const result = QuestionTypeService.validate('text-input', {
+                    acceptedAnswers: ['Paris'],
+                    fuzzyThreshold: 1
+                });
+
+                expect(result.valid).toBe(true);
+            });
+
+            it('should reject missing or blank accepted answers', () => {
+                expect(QuestionTypeService.validate('text-input', {}).valid).toBe(false);
+                expect(QuestionTypeService.validate('text-input', { acceptedAnswers: [] }).valid).toBe(false);
+                expect(QuestionTypeService.validate('text-input', { acceptedAnswers: ['  '] }).valid).toBe(false);
+            });
+
+            it('should reject an out-of-range fuzzy threshold', () => {
+                expect(QuestionTypeService.validate('text-input', {
+                    acceptedAnswers: ['Paris'],
+                    fuzzyThreshold: 4
+                }).valid).toBe(false);
+                expect(QuestionTypeService.validate('text-input', {
+                    acceptedAnswers: ['Paris'],
+                    fuzzyThreshold: 1.5
+                }).valid).toBe(false);
+            });
+        });
+
+        describe('scoring', () => {
+            it('should ignore case, accents and whitespace', () => {
+                expect(QuestionTypeService.scoreAnswer('text-input', 'paris', ['Paris'])).toBe(true);
+                expect(QuestionTypeService.scoreAnswer('text-input', '  São   Paulo ', ['sao paulo'])).toBe(true);
+                expect(QuestionTypeService.scoreAnswer('text-input', 'ÉCOLE', ['ecole'])).toBe(true);
+            });
+
+            it('should accept any of the accepted answers', () => {
+                const accepted = ['H2O', 'water'];
+                expect(QuestionTypeService.scoreAnswer('text-input', 'Water', accepted)).toBe(true);
+                expect(QuestionTypeService.scoreAnswer('text-input', 'h2o', accepted)).toBe(true);
+                expect(QuestionTypeService.scoreAnswer('text-input', 'ice', accepted)).toBe(false);
+            });
+
+            it('should require an exact match without a fuzzy threshold', () => {
+                expect(QuestionTypeService.scoreAnswer('text-input', 'Pariss', ['Paris'])).toBe(false);
+            });
+
+            it('should accept answers within the fuzzy threshold', () => {
+                expect(QuestionTypeService.scoreAnswer('text-input', 'Pariss', ['Paris'], { fuzzyThreshold: 1 })).toBe(true);
+                expect(QuestionTypeService.scoreAnswer('text-input', 'Prais', ['Paris'], { fuzzyThreshold: 1 })).toBe(false);
+                expect(QuestionTypeService.scoreAnswer('text-input', 'Prais', ['Paris'], { fuzzyThreshold: 2 })).toBe(true);
+            });
+
+            it('should reject empty and non-string answers', () => {
+                expect(QuestionTypeService.scoreAnswer('text-input', '', ['Paris'], { fuzzyThreshold: 3 })).toBe(false);
+                expect(QuestionTypeService.scoreAnswer('text-input', 42, ['42'])).toBe(false);
+                expect(QuestionTypeService.scoreAnswer('text-input', 'Paris', null)).toBe(false);
+            });
+        });
+
+        describe('statistics', () => {
+            it('should group spellings into a word cloud, most frequent first', () => {
+                const stats = QuestionTypeService.buildStatistics(
+                    'text-input',
+                    ['Paris', 'paris ', 'PARÍS', 'Lyon', ''],
+                    { acceptedAnswers: ['Paris'] }
+                );
+
+                expect(stats.type).toBe('word-cloud');
+                expect(stats.total).toBe(5);
+                expect(stats.words).toEqual([
+                    { text: 'Paris', count: 3, correct: true },
+                    { text: 'Lyon', count: 1, correct: false }
+                ]);
+                expect(stats.correctCount).toBe(3);
+            });
+        });
+    });
+
+    describe('Matching Questions', () => {
+        const pairs = [
+            { left: 'France', right: 'Paris' },
+            { left: 'Spain', right: 'Madrid' },
+            { left: 'Italy', right: 'Rome' }
+        ];
+
+        describe('validation', () => {
+            it('should validate complete pairs', () => {
+                expect(QuestionTypeService.validate('matching', { pairs }).valid).toBe(true);
+            });
+
+            it('should reject fewer than 2 pairs', () => {
+                expect(QuestionTypeService.validate('matching', {}).valid).toBe(false);
+                expect(QuestionTypeService.validate('matching', { pairs: [pairs[0]] }).valid).toBe(false);
+            });
+
+            it('should reject pairs missing a side', () => {
+                const result = QuestionTypeService.validate('matching', {
+                    pairs: [pairs[0], { left: 'Spain', right: '  ' }]
+                });
+                expect(result.valid).toBe(false);
+            });
+
+            it('should reject duplicate right items', () => {
+                const result = QuestionTypeService.validate('matching', {
+                    pairs: [pairs[0], { left: 'Texas', right: ' paris' }]
+                });
+                expect(result.valid).toBe(false);
+            });
+        });
+
+        describe('scoring (partial credit)', () => {
+            it('should return 1 when every pair is matched', () => {
+                expect(QuestionTypeService.scoreAnswer('matching', [0, 1, 2], [0, 1, 2])).toBe(1);
+            });
+
+            it('should return the fraction of correct pairs', () => {
+                expect(QuestionTypeService.scoreAnswer('matching', [0, 2, 1], [0, 1, 2])).toBeCloseTo(1 / 3);
+                expect(QuestionTypeService.scoreAnswer('matching', [1, 2, 0], [0, 1, 2])).toBe(0);
+            });
+
+            it('should return 0 for malformed answers', () => {
+                expect(QuestionTypeService.scoreAnswer('matching', [0, 1], [0, 1, 2])).toBe(0);
+                expect(QuestionTypeService.scoreAnswer('matching', null, [0, 1, 2])).toBe(0);
+            });
+        });
+
+        describe('statistics', () => {
+            it('should count correct matches per pair', () => {
+                const stats = QuestionTypeService.buildStatistics(
+                    'matching',
+                    [[0, 1, 2], [0, 2, 1], [1, 0, 2]],
+                    { pairs }
+                );
+
+                expect(stats.type).toBe('matching');
+                expect(stats.pairCorrect).toEqual([2, 1, 2]);
+                expect(stats.fullyCorrect).toBe(1);
+                expect(stats.averageScore).toBeCloseTo(5 / 9);
+                expect(stats.total).toBe(3);
+            });
+        });
+    });
+
     describe('Error Handling', () => {
         it('should fall back to multiple-choice for unknown types', () => {
             // Should not throw, should use fallback
@@ -9,6 +9,7 @@
 
 import { dom } from '../../public/js/utils/dom.js';
 import { collectSettings, restoreSettings } from '../../public/js/quiz/modules/settings-persistence.js';
+import { getPowerUpSettings, initPowerUpSettings } from '../../public/js/quiz/modules/power-up-settings.js';
 import { updateQuestionsUI } from '../../public/js/quiz/modules/question-editing.js';
 import { exportQuiz } from '../../public/js/quiz/modules/import-export.js';
 
@@ -26,16 +27,32 @@ describe('settings-persistence round-trip', () => {
             <input type="checkbox" id="same-time-all">
             <input type="text" id="default-time" value="20">
             <input type="checkbox" id="manual-advancement">
+            <input type="checkbox" id="enable-power-ups">
             <input type="checkbox" id="show-leaderboard-between">
             <input type="checkbox" id="consensus-mode">
             <input type="text" id="consensus-threshold" value="66">
             <input type="text" id="discussion-time" value="30">
             <input type="checkbox" id="allow-chat">
+            <input type="checkbox" id="team-mode">
+            <input type="text" id="team-count" value="2">
+            <input type="text" id="team-aggregation" value="sum">
+            <input type="text" id="team-assignment" value="auto">
+            <input type="checkbox" id="elimination-mode">
+            <input type="text" id="elimination-slowest-percent" value="0">
+            <input type="text" id="elimination-revival-every" value="0">
+            <input type="checkbox" id="adaptive-mode">
+            <input type="text" id="adaptive-question-count" value="0">
             <input type="checkbox" id="time-bonus-enabled">
             <input type="text" id="time-bonus-threshold" value="0">
             <input type="text" id="easy-multiplier" value="1">
             <input type="text" id="medium-multiplier" value="2">
             <input type="text" id="hard-multiplier" value="3">
+            <input type="checkbox" id="streak-bonus-enabled">
+            <input type="text" id="streak-bonus-step" value="10">
+            <input type="text" id="streak-bonus-max" value="50">
+            <input type="checkbox" id="comeback-bonus-enabled">
+            <input type="text" id="comeback-bonus-misses" value="2">
+            <input type="text" id="comeback-bonus-percent" value="50">
         `;
     }
 
@@ -46,15 +63,30 @@ describe('settings-persistence round-trip', () => {
             useGlobalTime: true,
             globalTimeLimit: 45,
             manualAdvance: true,
+            powerUpsEnabled: true,
             showLeaderboardBetweenQuestions: false,
             consensusMode: true,
             consensusThreshold: '75',
             discussionTime: 50,
             allowChat: true,
+            teamMode: true,
+            teamCount: 4,
+            teamAggregation: 'best',
+            teamAssignment: 'manual',
+            eliminationMode: true,
+            eliminationSlowestPercent: 20,
+            eliminationRevivalEvery: 3,
+            adaptiveMode: true,
+            adaptiveQuestionCount: 8,
             scoringConfig: {
                 timeBonusEnabled: false,
                 timeBonusThreshold: 7,
-                difficultyMultipliers: { easy: 1, medium: 4, hard: 6 }
+                difficultyMultipliers: { easy: 1, medium: 4, hard: 6 },
+                streakBonus: { enabled: true, stepPercent: 15, maxPercent: 60 }
+            },
+            powerUpSettings: {
+                'extend-time': { enabled: true, uses: 2, extraSeconds: 20 },
+                'shield': { enabled: true, uses: 1 }
             }
         };
 
@@ -85,6 +117,47 @@ describe('settings-persistence round-trip', () => {
         restoreSettings(null);
         expect(document.getElementById('default-time').value).toBe('33');
     });
+
+    test('question bank draws round-trip and are cleared by a quiz without them', () => {
+        buildSettingsDom();
+        const bankDraws = [{ concept: 'Fractions', count: 3 }, { concept: 'Decimals', count: 2, difficulty: 'hard' }];
+
+        restoreSettings({ bankDraws });
+        expect(collectSettings().bankDraws).toEqual(bankDraws);
+
+        restoreSettings(null);
+        expect(collectSettings()).not.toHaveProperty('bankDraws');
+    });
+
+    test('power-up panel edits are clamped, mirrored into the other panel and saved', () => {
+        buildSettingsDom();
+        document.body.insertAdjacentHTML('beforeend',
+            '<div id="power-up-settings"></div><div id="modal-power-up-settings"></div>');
+        restoreSettings(null);
+        initPowerUpSettings();
+
+        const row = (panel, id) => document.querySelector(`#${panel} [data-power-up="${id}"]`);
+        expect(row('power-up-settings', 'fifty-fifty').querySelector('[data-field="enabled"]').checked).toBe(true);
+        expect(row('power-up-settings', 'skip').querySelector('[data-field="enabled"]').checked).toBe(false);
+
+        const seconds = row('power-up-settings', 'extend-time').querySelector('[data-field="extraSeconds"]');
+        seconds.value = '500';
+        seconds.dispatchEvent(new Event('change', { bubbles: true }));
+        const skip = row('power-up-settings', 'skip').querySelector('[data-field="enabled"]');
+        skip.checked = true;
+        skip.dispatchEvent(new Event('change', { bubbles: true }));
+
+        expect(seconds.value).toBe('60');
+        expect(row('modal-power-up-settings', 'extend-time').querySelector('[data-field="extraSeconds"]').value).toBe('60');
+        expect(getPowerUpSettings()).toEqual({
+            'extend-time': { enabled: true, uses: 1, extraSeconds: 60 },
+            'skip': { enabled: true, uses: 1 }
+        });
+        expect(collectSettings().powerUpSettings).toEqual(getPowerUpSettings());
+
+        restoreSettings({});
+        expect(collectSettings()).not.toHaveProperty('powerUpSettings');
+    });
 });
 
 describe('question-editing updateQuestionsUI', () => {
@@ -164,6 +237,7 @@ describe('import-export exportQuiz', () => {
     function makeManager(questions) {
         return {
             collectQuestions: () => questions,
+            collectSettings: () => ({ randomizeQuestions: true }),
             errorHandler: {
                 // Faithful enough: run the operation, swallow into fallback on throw.
                 wrapAsyncOperation: async (fn, opts) => {
@@ -177,36 +251,61 @@ describe('import-export exportQuiz', () => {
         };
     }
 
-    test('produces a JSON blob that parses back into the quiz', async () => {
-        document.body.innerHTML = '<input id="quiz-title" value="My Quiz">';
-
-        const questions = [
-            { question: 'Q1', type: 'multiple-choice', options: ['a', 'b'], correctIndex: 0 }
-        ];
-
-        // jsdom's Blob has no .text(); capture the raw parts/type via a stub.
-        let blobText = null;
-        let blobType = null;
-        const realBlob = win.Blob;
+    // Run an export with fetch and the download link stubbed out
+    async function captureExport(run) {
+        let request = null;
+        let downloaded = null;
+        const realFetch = win.fetch;
         const realCreate = win.URL.createObjectURL;
-        win.Blob = function (parts, opts) {
-            blobText = (parts || []).join('');
-            blobType = opts?.type;
-            return { type: opts?.type };
+        const realRevoke = win.URL.revokeObjectURL;
+        const realClick = win.HTMLAnchorElement.prototype.click;
+        win.fetch = async (url, options) => {
+            request = { url, options };
+            return { ok: true, status: 200, blob: async () => ({ type: 'application/zip' }) };
         };
         win.URL.createObjectURL = () => 'blob:mock';
+        win.URL.revokeObjectURL = () => {};
+        win.HTMLAnchorElement.prototype.click = function () {
+            downloaded = this.download;
+        };
         try {
-            await exportQuiz(makeManager(questions));
+            await run();
         } finally {
-            win.Blob = realBlob;
+            win.fetch = realFetch;
             win.URL.createObjectURL = realCreate;
+            win.URL.revokeObjectURL = realRevoke;
+            win.HTMLAnchorElement.prototype.click = realClick;
         }
+        return { request, downloaded };
+    }
+
+    const questions = [
+        { question: 'Q1', type: 'multiple-choice', options: ['a', 'b'], correctIndex: 0 }
+    ];
+
+    test('posts the quiz and its settings for packaging and downloads a .quizix file', async () => {
+        document.body.innerHTML = '<input id="quiz-title" value="My Quiz">';
+
+        const { request, downloaded } = await captureExport(() => exportQuiz(makeManager(questions)));
+
+        expect(request.url).toMatch(/\/api\/quiz-package\/export$/);
+        expect(request.options.method).toBe('POST');
+        expect(JSON.parse(request.options.body)).toEqual({
+            title: 'My Quiz',
+            questions,
+            settings: { randomizeQuestions: true }
+        });
+        expect(downloaded).toBe('my_quiz.quizix');
+    });
+
+    test('asks for the chosen QTI version and downloads a .qti.zip file', async () => {
+        document.body.innerHTML = '<input id="quiz-title" value="My Quiz">';
+
+        const { request, downloaded } = await captureExport(() => exportQuiz(makeManager(questions), 'qti-3.0'));
 
-        expect(blobType).toBe('application/json');
-        const parsed = JSON.parse(blobText);
-        expect(parsed.title).toBe('My Quiz');
-        expect(parsed.questions).toEqual(questions);
-        expect(typeof parsed.createdAt).toBe('string');
+        expect(request.url).toMatch(/\/api\/qti-package\/export$/);
+        expect(JSON.parse(request.options.body)).toEqual({ version: '3.0', title: 'My Quiz', questions });
+        expect(downloaded).toBe('my_quiz.qti.zip');
     });
 
     test('does nothing (no blob) when there are no questions', async () => {
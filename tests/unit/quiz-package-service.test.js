@@ -0,0 +1,136 @@
+/**
+ * QuizPackageService Tests
+ *
+ * Round-trips quizzes through .quizix packages between two temp upload
+ * directories (the "school server" and the "laptop"), and checks that bad
+ * archives are refused before anything is written.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const JSZip = require('jszip');
+
+const { QuizPackageService, PACKAGE_VERSION } = require('../../services/quiz-package-service');
+
+const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 1, 2, 3]);
+const MP4 = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypisom'), Buffer.alloc(12)]);
+
+const QUIZ = {
+    title: 'Cells',
+    questions: [
+        { type: 'multiple-choice', question: 'Which organelle?', options: ['A', 'B'], correctIndex: 0, image: '/uploads/cell.png' },
+        { type: 'true-false', question: 'Same picture again', correctAnswer: true, image: '/uploads/cell.png', video: '/uploads/mitosis.mp4' },
+        { type: 'true-false', question: 'Lost picture', correctAnswer: false, image: '/uploads/gone.png' }
+    ],
+    settings: { randomizeQuestions: true }
+};
+
+async function cleanup(dir) {
+    try {
+        await fs.rm(dir, { recursive: true, force: true });
+    } catch { /* ignore */ }
+}
+
+describe('QuizPackageService', () => {
+    let sourceDir;
+    let targetDir;
+    let source;
+    let target;
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        sourceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quizix-pkg-src-'));
+        targetDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quizix-pkg-dst-'));
+        await fs.writeFile(path.join(sourceDir, 'cell.png'), PNG);
+        await fs.writeFile(path.join(sourceDir, 'mitosis.mp4'), MP4);
+        source = new QuizPackageService(mockLogger, { uploadsDir: sourceDir });
+        target = new QuizPackageService(mockLogger, { uploadsDir: targetDir });
+    });
+
+    afterEach(async () => {
+        await cleanup(sourceDir);
+        await cleanup(targetDir);
+    });
+
+    test('packages the quiz, its settings, each referenced upload once and a manifest', async () => {
+        const { buffer, filename, mediaCount, missingMedia } = await source.exportPackage(QUIZ);
+
+        expect(filename).toBe('cells.quizix');
+        expect(mediaCount).toBe(2);
+        expect(missingMedia).toEqual(['/uploads/gone.png']);
+
+        const zip = await JSZip.loadAsync(buffer);
+        const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+        expect(manifest).toMatchObject({ format: 'quizix', formatVersion: PACKAGE_VERSION, title: 'Cells', questionCount: 3 });
+        expect(manifest.media.map(m => m.file).sort()).toEqual(['media/cell.png', 'media/mitosis.mp4']);
+        expect(JSON.parse(await zip.file('quiz.json').async('string'))).toEqual(QUIZ);
+        expect(await zip.file('media/cell.png').async('nodebuffer')).toEqual(PNG);
+    });
+
+    test('imports media under fresh names and rewrites the quiz to match', async () => {
+        const { buffer } = await source.exportPackage(QUIZ);
+
+        const pkg = await target.readPackage(buffer);
+        const { quiz, mediaCount, missingMedia, rejectedMedia } = await target.importPackage(pkg);
+
+        expect(mediaCount).toBe(2);
+        expect(missingMedia).toEqual(['/uploads/gone.png']);
+        expect(rejectedMedia).toEqual([]);
+
+        const [first, second, third] = quiz.questions;
+        expect(first.image).toMatch(/^\/uploads\/\d+-[0-9a-f]{32}\.png$/);
+        expect(second.image).toBe(first.image);
+        expect(second.video).toMatch(/\.mp4$/);
+        expect(third.image).toBe('/uploads/gone.png');
+        expect(quiz.settings).toEqual(QUIZ.settings);
+
+        expect(await fs.readFile(path.join(targetDir, path.basename(first.image)))).toEqual(PNG);
+        expect(await fs.readFile(path.join(targetDir, path.basename(second.video)))).toEqual(MP4);
+        expect(await fs.readdir(targetDir)).toHaveLength(2);
+    });
+
+    test('leaves out media whose content is not what its name claims', async () => {
+        await fs.writeFile(path.join(sourceDir, 'cell.png'), '<script>alert(1)</script>');
+        const { buffer } = await source.exportPackage(QUIZ);
+
+        const pkg = await target.readPackage(buffer);
+        const { quiz, mediaCount, rejectedMedia } = await target.importPackage(pkg);
+
+        expect(mediaCount).toBe(1);
+        expect(rejectedMedia).toEqual(['/uploads/cell.png']);
+        expect(quiz.questions[0].image).toBe('/uploads/cell.png');
+        expect(await fs.readdir(targetDir)).toEqual([path.basename(quiz.questions[1].video)]);
+    });
+
+    test('never packages files outside the uploads directory', async () => {
+        await fs.writeFile(path.join(sourceDir, 'notes.txt'), 'secret');
+        const quiz = { ...QUIZ, questions: [{ question: 'x', image: '/uploads/..', explanation: '/uploads/notes.txt' }] };
+
+        const { buffer, mediaCount } = await source.exportPackage(quiz);
+
+        expect(mediaCount).toBe(0);
+        expect(Object.keys((await JSZip.loadAsync(buffer)).files).sort()).toEqual(['manifest.json', 'quiz.json']);
+    });
+
+    test('refuses files that are not packages', async () => {
+        await expect(target.readPackage(Buffer.from('{"title":"x"}')))
+            .rejects.toMatchObject({ messageKey: 'error_invalid_package' });
+
+        const zip = new JSZip();
+        zip.file('quiz.json', JSON.stringify(QUIZ));
+        await expect(target.readPackage(await zip.generateAsync({ type: 'nodebuffer' })))
+            .rejects.toMatchObject({ messageKey: 'error_invalid_package' });
+    });
+
+    test('refuses packages from a newer format version', async () => {
+        const zip = new JSZip();
+        zip.file('manifest.json', JSON.stringify({ format: 'quizix', formatVersion: PACKAGE_VERSION + 1 }));
+        zip.file('quiz.json', JSON.stringify(QUIZ));
+
+        await expect(target.readPackage(await zip.generateAsync({ type: 'nodebuffer' })))
+            .rejects.toMatchObject({ messageKey: 'error_package_version_unsupported' });
+    });
+});
@@ -0,0 +1,40 @@
+/**
+ * @jest-environment jsdom
+ *
+ * LeaderboardManager — the player's "download my report" link on the final
+ * screen points at their report card in the saved results, and stays hidden
+ * when the server sent no link (results not saved, or a rematch reusing the
+ * screen).
+ */
+
+import { LeaderboardManager } from '../../public/js/game/modules/leaderboard-manager.js';
+
+function makeManager() {
+    return new LeaderboardManager({ getGameState: () => ({ isHost: false }) }, { showScreen: jest.fn() }, null);
+}
+
+beforeEach(() => {
+    document.body.innerHTML = '<a id="download-my-report" class="btn secondary hidden" download>Download my report</a>';
+});
+
+describe('LeaderboardManager.showReportCardLink', () => {
+    test('links to the player\'s report card, encoding the file and player name', () => {
+        makeManager().showReportCardLink({ filename: 'results_123456_1700000000000.json', player: 'Ana & Bo/学生' });
+
+        const link = document.getElementById('download-my-report');
+        expect(link.classList.contains('hidden')).toBe(false);
+        expect(link.getAttribute('href')).toMatch(
+            /\/api\/results\/results_123456_1700000000000\.json\/reports\/Ana%20%26%20Bo%2F%E5%AD%A6%E7%94%9F$/
+        );
+    });
+
+    test('hides the link again when a later game sends none', () => {
+        const manager = makeManager();
+        manager.showReportCardLink({ filename: 'results_123456_1700000000000.json', player: 'Ana' });
+        manager.showReportCardLink(null);
+
+        const link = document.getElementById('download-my-report');
+        expect(link.classList.contains('hidden')).toBe(true);
+        expect(link.hasAttribute('href')).toBe(false);
+    });
+});
@@ -2,8 +2,8 @@
  * @jest-environment jsdom
  *
  * DOM behaviour of the analytics modal builders: what an educator actually sees
- * for unanswered questions, index-based answers, and tab switching while a
- * second modal is open.
+ * for unanswered questions, index-based answers, the difficulty trajectory of
+ * adaptive results, and tab switching while a second modal is open.
  *
  * getTranslation() returns the key itself when no language pack is loaded.
  */
@@ -13,6 +13,7 @@ import {
     getQuizSummaryStats,
     createAnalyticsModal,
     createQuestionDrilldownModal,
+    calculateDifficultyTrajectory,
     switchAnalyticsTab
 } from '../../public/js/utils/results-viewer/results-analytics.js';
 
@@ -97,6 +98,72 @@ describe('createAnalyticsModal', () => {
     });
 });
 
+describe('difficulty trajectory', () => {
+    function build(result) {
+        const analytics = calculateQuestionAnalytics(result);
+        return createAnalyticsModal(result, analytics, getQuizSummaryStats(analytics));
+    }
+
+    test('is absent for a result that did not adapt', () => {
+        expect(calculateDifficultyTrajectory(RESULT)).toBeNull();
+        expect(build(RESULT).querySelector('.difficulty-trajectory')).toBeNull();
+    });
+
+    test('follows the room in a live game', () => {
+        const result = {
+            ...RESULT,
+            adaptive: {
+                mode: 'room',
+                path: [
+                    { sourceIndex: 3, difficulty: 'medium', accuracy: 80 },
+                    { sourceIndex: 0, difficulty: 'hard', accuracy: null }
+                ]
+            }
+        };
+        expect(calculateDifficultyTrajectory(result)).toEqual({
+            mode: 'room',
+            steps: [
+                { number: 1, difficulty: 'medium', accuracy: 80 },
+                { number: 2, difficulty: 'hard', accuracy: null }
+            ]
+        });
+
+        const section = build(result).querySelector('#overview-tab .difficulty-trajectory');
+        expect(section.querySelector('h3').textContent).toBe('analytics_trajectory_room');
+        const steps = section.querySelectorAll('.trajectory-step');
+        expect(Array.from(steps).map(step => step.className)).toEqual(['trajectory-step medium', 'trajectory-step hard']);
+        expect(steps[0].querySelector('.trajectory-detail').textContent).toBe('Q1 · 80%');
+        expect(steps[1].querySelector('.trajectory-detail').textContent).toBe('Q2');
+    });
+
+    test('follows each student in adaptive homework', () => {
+        const result = {
+            ...RESULT,
+            adaptive: { mode: 'player' },
+            results: [
+                { name: 'Ana', score: 100, questionOrder: [0, 1], answers: [{ isCorrect: true }, { isCorrect: false }] },
+                { name: 'Ben', score: 0, questionOrder: [1], answers: [] }
+            ]
+        };
+        const trajectory = calculateDifficultyTrajectory(result);
+        expect(trajectory.players).toEqual([
+            {
+                name: 'Ana',
+                steps: [
+                    { number: 1, questionNumber: 1, difficulty: 'medium', isCorrect: true },
+                    { number: 2, questionNumber: 2, difficulty: 'easy', isCorrect: false }
+                ]
+            },
+            { name: 'Ben', steps: [{ number: 1, questionNumber: 2, difficulty: 'easy', isCorrect: null }] }
+        ]);
+
+        const rows = build(result).querySelectorAll('.trajectory-player');
+        expect(rows).toHaveLength(2);
+        expect(rows[0].querySelector('.trajectory-player-name').textContent).toBe('Ana');
+        expect(Array.from(rows[0].querySelectorAll('.trajectory-detail')).map(el => el.textContent)).toEqual(['Q1 ✓', 'Q2 ✗']);
+    });
+});
+
 describe('switchAnalyticsTab', () => {
     test('does not deactivate tab panels belonging to another modal', () => {
         const analytics = calculateQuestionAnalytics(RESULT);
@@ -70,6 +70,26 @@ const UNANSWERED_QUESTION = {
     difficulty: 'easy'
 };
 
+const MATCHING_QUESTION = {
+    questionNumber: 6,
+    text: 'Match the capitals',
+    type: 'matching',
+    pairs: [
+        { left: 'France', right: 'Paris' },
+        { left: 'Spain', right: 'Madrid' },
+        { left: 'Italy', right: 'Rome' }
+    ],
+    difficulty: 'medium'
+};
+
+const TEXT_QUESTION = {
+    questionNumber: 7,
+    text: 'Capital of France?',
+    type: 'text-input',
+    acceptedAnswers: ['Paris', 'Paname'],
+    difficulty: 'easy'
+};
+
 /** Build a modern answer record. */
 function ans(answer, isCorrect, timeMs = 5000, points = 100) {
     return { answer, isCorrect, points, timeMs, doublePointsUsed: false };
@@ -358,6 +378,8 @@ describe('client/server answer formatting parity', () => {
         ['out-of-range index', 9, MC_QUESTION],
         ['ordering sequence', [2, 0, 1], ORDERING_QUESTION],
         ['multiple-correct set', [0, 2], MULTI_QUESTION],
+        ['matching pairs', [0, 2, 1], MATCHING_QUESTION],
+        ['typed text', 'paris', TEXT_QUESTION],
         ['numeric literal', 42, { type: 'numeric' }]
     ];
 
@@ -368,7 +390,9 @@ describe('client/server answer formatting parity', () => {
     test.each([
         ['multiple-choice', MC_QUESTION],
         ['ordering', ORDERING_QUESTION],
-        ['multiple-correct', MULTI_QUESTION]
+        ['multiple-correct', MULTI_QUESTION],
+        ['matching', MATCHING_QUESTION],
+        ['text-input', TEXT_QUESTION]
     ])('%s correct answer resolves identically on both sides', (_label, question) => {
         expect(resolveCorrectAnswerLabel(question)).toBe(service._formatCorrectAnswer(question));
     });
@@ -5,6 +5,7 @@
 const { ResultsService } = require('../../services/results-service');
 const fs = require('fs').promises;
 const path = require('path');
+const JSZip = require('jszip');
 
 // Mock fs module
 jest.mock('fs', () => ({
@@ -47,18 +48,6 @@ describe('ResultsService', () => {
         });
     });
 
-    describe('validatePath', () => {
-        test('should return resolved path for valid filename', () => {
-            const result = resultsService.validatePath('results_123456_1704067200000.json');
-            expect(result).toContain('results');
-        });
-
-        test('should throw error for path traversal attempt', () => {
-            expect(() => resultsService.validatePath('../secret.json'))
-                .toThrow('Invalid path: attempted directory traversal');
-        });
-    });
-
     describe('saveResults', () => {
         test('should save valid results', async () => {
             fs.writeFile.mockResolvedValue();
@@ -113,6 +102,29 @@ describe('ResultsService', () => {
             expect(savedData.questions).toEqual(questions);
         });
 
+        test('should announce the save to the owner\'s webhooks', async () => {
+            fs.writeFile.mockResolvedValue();
+            const webhookService = { emit: jest.fn() };
+            resultsService.setWebhookService(webhookService);
+
+            const { filename } = await resultsService.saveResults(
+                'Test Quiz',
+                '123456',
+                [{ name: 'Player1', score: 100 }, { name: 'Player2', score: 50 }],
+                '2024-01-01T10:00:00Z',
+                '2024-01-01T10:30:00Z',
+                undefined,
+                'user-1'
+            );
+
+            expect(webhookService.emit).toHaveBeenCalledWith('results.saved', {
+                filename,
+                quizTitle: 'Test Quiz',
+                pin: '123456',
+                playerCount: 2
+            }, 'user-1');
+        });
+
         test('should reject missing required data', async () => {
             await expect(resultsService.saveResults(null, '123456', []))
                 .rejects.toThrow('Invalid results data');
@@ -284,6 +296,187 @@ describe('ResultsService', () => {
             )).rejects.toThrow('Unsupported export format');
         });
 
+        describe('XLSX and PDF reports', () => {
+            const classResult = {
+                quizTitle: 'Chemistry',
+                gamePin: '123456',
+                saved: '2026-03-02T10:00:00.000Z',
+                results: [
+                    {
+                        name: 'Ana',
+                        score: 300,
+                        answers: [
+                            { answer: 1, isCorrect: true, timeMs: 4000, points: 200 },
+                            { answer: [0, 1], isCorrect: false, partialScore: 0.5, timeMs: 6000, points: 100 },
+                            { answer: 0, isCorrect: false, timeMs: 2000, points: 0, isPoll: true }
+                        ]
+                    },
+                    {
+                        name: 'Ben',
+                        score: 900,
+                        answers: [
+                            { answer: 1, isCorrect: true, timeMs: 2000, points: 400 },
+                            { answer: [1, 0], isCorrect: true, timeMs: 4000, points: 500 }
+                        ]
+                    }
+                ],
+                questions: [
+                    { text: 'Symbol for gold?', type: 'multiple-choice', options: ['Ag', 'Au'], correctAnswer: 1, concepts: ['Elements'] },
+                    { text: 'Order by mass', type: 'ordering', options: ['H', 'He'], correctOrder: [1, 0], concepts: ['Elements', 'Mass'] },
+                    { text: 'Enjoyed it?', type: 'multiple-choice', options: ['Yes', 'No'], isPoll: true, concepts: ['Mass'] }
+                ]
+            };
+
+            beforeEach(() => {
+                fs.readFile.mockResolvedValue(JSON.stringify(classResult));
+            });
+
+            test('report views rank players and skip polls when grading', () => {
+                const views = resultsService._reportViews(classResult);
+
+                expect(views.players.map(p => [p.rank, p.name, p.correct, p.graded, p.successRate])).toEqual([
+                    [1, 'Ben', 2, 2, 100],
+                    [2, 'Ana', 1, 2, 50]
+                ]);
+                expect(views.questions[0]).toMatchObject({ correctAnswer: 'Au', responses: 2, successRate: 100, averageTime: 3 });
+                expect(views.questions[2]).toMatchObject({ responses: 1, successRate: null });
+                expect(views.answers[1].answers).toEqual(['Au ✓', 'H → He ~50%', 'Yes –']);
+                // Elements: 2 questions x 2 players, 3 correct; the poll adds nothing to Mass
+                expect(views.concepts).toEqual([
+                    { name: 'Mass', questions: 1, attempts: 2, correct: 1, mastery: 50 },
+                    { name: 'Elements', questions: 2, attempts: 4, correct: 3, mastery: 75 }
+                ]);
+            });
+
+            test('exports an XLSX workbook with one sheet per view', async () => {
+                const result = await resultsService.exportResults('results_123456_1704067200000.json', 'XLSX');
+
+                expect(result.type).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+                expect(result.filename).toBe('quiz_results_123456.xlsx');
+
+                const zip = await JSZip.loadAsync(result.content);
+                const workbook = await zip.file('xl/workbook.xml').async('string');
+                expect([...workbook.matchAll(/<sheet name="([^"]+)"/g)].map(m => m[1]))
+                    .toEqual(['Summary', 'Players', 'Questions', 'Answers', 'Concepts']);
+
+                const players = await zip.file('xl/worksheets/sheet2.xml').async('string');
+                expect(players).toContain('<c r="B2" t="inlineStr"><is><t xml:space="preserve">Ben</t></is></c><c r="C2"><v>900</v></c>');
+                const answers = await zip.file('xl/worksheets/sheet4.xml').async('string');
+                expect(answers).toContain('H → He ~50%');
+            });
+
+            test('keeps formula-like text as a string cell', async () => {
+                fs.readFile.mockResolvedValue(JSON.stringify({
+                    ...classResult,
+                    results: [{ name: '=HYPERLINK("x")<b>', score: 0, answers: [] }]
+                }));
+
+                const result = await resultsService.exportResults('results_123456_1704067200000.json', 'xlsx');
+                const zip = await JSZip.loadAsync(result.content);
+                const players = await zip.file('xl/worksheets/sheet2.xml').async('string');
+
+                expect(players).toContain('t="inlineStr"><is><t xml:space="preserve">=HYPERLINK(&quot;x&quot;)&lt;b&gt;</t>');
+            });
+
+            test('exports a PDF report', async () => {
+                const result = await resultsService.exportResults('results_123456_1704067200000.json', 'pdf');
+                const pdf = result.content.toString('latin1');
+                const hex = text => Buffer.from(text, 'latin1').toString('hex');
+
+                expect(result.type).toBe('application/pdf');
+                expect(result.filename).toBe('quiz_results_123456.pdf');
+                expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+                expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+                expect(pdf).toContain(`<${hex('Ben')}>`);
+                expect(pdf).toContain(`<${hex('Symbol for gold?')}>`);
+                expect(pdf).toContain(`<${hex('Elements')}>`);
+            });
+        });
+
+        describe('report cards', () => {
+            const classResult = {
+                quizTitle: 'Chemistry',
+                gamePin: '123456',
+                saved: '2026-03-02T10:00:00.000Z',
+                results: [
+                    {
+                        name: 'Ana <b>',
+                        score: 300,
+                        answers: [
+                            { answer: 0, isCorrect: false, timeMs: 4000, points: 0 },
+                            { answer: 'H', isCorrect: true, timeMs: 6000, points: 300 }
+                        ]
+                    },
+                    { name: 'Ben', score: 900, answers: [{ answer: 1, isCorrect: true, timeMs: 2000, points: 400 }] },
+                    { name: '学生', score: 0, answers: [] },
+                    { name: '学生!', score: 0, answers: [] }
+                ],
+                questions: [
+                    { text: 'Symbol for gold?', type: 'multiple-choice', options: ['Ag', 'Au'], correctAnswer: 1,
+                        concepts: ['Metals'], explanation: 'From the Latin aurum.' },
+                    { text: 'Lightest element?', type: 'text-input', acceptedAnswers: ['H'], concepts: ['Elements'] }
+                ]
+            };
+            const file = 'results_123456_1704067200000.json';
+
+            beforeEach(() => {
+                fs.readFile.mockResolvedValue(JSON.stringify(classResult));
+            });
+
+            test('builds a player\'s answers, rank, mastery and review suggestions', () => {
+                const report = resultsService._playerReport(classResult, classResult.results[0]);
+
+                expect(report).toMatchObject({ rank: 2, playerCount: 4, score: 300, classAverage: 300, correct: 1, graded: 2 });
+                expect(report.questions[0]).toMatchObject({
+                    yourAnswer: 'Ag', correctAnswer: 'Au', verdict: 'incorrect', points: 0, time: 4,
+                    explanation: 'From the Latin aurum.'
+                });
+                expect(report.concepts).toEqual([
+                    { name: 'Metals', correct: 0, total: 1, mastery: 0 },
+                    { name: 'Elements', correct: 1, total: 1, mastery: 100 }
+                ]);
+                expect(report.review).toEqual(['Metals']);
+                expect(resultsService._playerReport(classResult, classResult.results[2]).questions[1].verdict).toBe('unanswered');
+            });
+
+            test('renders one player\'s report as escaped standalone HTML', async () => {
+                const report = await resultsService.getPlayerReport(file, 'ANA <B>');
+
+                expect(report.type).toBe('text/html; charset=utf-8');
+                expect(report.filename).toBe('report_123456_Ana_b.html');
+                expect(report.content).toContain('<h1>Ana &lt;b&gt;</h1>');
+                expect(report.content).toContain('From the Latin aurum.');
+                expect(report.content).toContain('<h2>Suggested review</h2>');
+                expect(report.content).not.toContain('<link');
+            });
+
+            test('renders a PDF report', async () => {
+                const report = await resultsService.getPlayerReport(file, 'Ben', 'pdf');
+
+                expect(report.type).toBe('application/pdf');
+                expect(report.content.toString('latin1').startsWith('%PDF-1.4')).toBe(true);
+                expect(report.content.toString('latin1')).toContain(`<${Buffer.from('Ben').toString('hex')}>`);
+            });
+
+            test('rejects unknown players and formats', async () => {
+                await expect(resultsService.getPlayerReport(file, 'Zoe')).rejects.toThrow('Player not found in result');
+                await expect(resultsService.getPlayerReport(file, 'Ben', 'docx')).rejects.toThrow('Unsupported report format');
+                await expect(resultsService.exportPlayerReports(file, 'csv')).rejects.toThrow('Unsupported report format');
+            });
+
+            test('zips one report per player with distinct file names', async () => {
+                const bundle = await resultsService.exportPlayerReports(file, 'html');
+
+                expect(bundle.type).toBe('application/zip');
+                expect(bundle.filename).toBe('report_cards_123456_html.zip');
+                const zip = await JSZip.loadAsync(bundle.content);
+                expect(Object.keys(zip.files).sort()).toEqual([
+                    'report_123456_Ana_b.html', 'report_123456_Ben.html',
+                    'report_123456_学生.html', 'report_123456_学生_2.html'
+                ]);
+            });
+        });
+
         describe('analytics CSV content', () => {
             // Scores carry difficulty multipliers and time bonuses, so a single
             // question is routinely worth far more than 100 points. The summary
@@ -0,0 +1,144 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Review queue scheduling tests (public/js/review/review-queue.js)
+ *
+ * Covers the SM-2 grading and intervals, merging missed questions into the
+ * queue, and how review sessions pick and interleave items by concept.
+ * The storage side (localStorage / account) is not exercised here.
+ */
+
+import {
+    gradeAnswer,
+    scheduleReview,
+    mergeMissed,
+    buildReviewSession,
+    interleaveByConcept,
+    questionKey,
+    MAX_REVIEW_ITEMS
+} from '../../public/js/review/review-queue.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-05-01T12:00:00.000Z');
+
+function question(text, concepts = []) {
+    return { type: 'multiple-choice', question: text, options: ['A', 'B'], correctAnswer: 0, concepts };
+}
+
+function item(text, { concepts = [], dueInDays = 0, interval = 0 } = {}) {
+    const [merged] = mergeMissed([], [question(text, concepts)], 'Quiz', NOW);
+    return { ...merged, interval, due: new Date(NOW + dueInDays * DAY_MS).toISOString() };
+}
+
+describe('review queue', () => {
+    describe('gradeAnswer', () => {
+        test('grades by correctness and speed', () => {
+            expect(gradeAnswer(undefined, 20)).toBe(0);
+            expect(gradeAnswer({ answer: null, timedOut: true, isCorrect: false }, 20)).toBe(0);
+            expect(gradeAnswer({ answer: 1, isCorrect: false }, 20)).toBe(1);
+            expect(gradeAnswer({ answer: [0, 1], isCorrect: 0.5 }, 20)).toBe(3);
+            expect(gradeAnswer({ answer: 0, isCorrect: true, responseTime: 12000 }, 20)).toBe(4);
+            expect(gradeAnswer({ answer: 0, isCorrect: true, responseTime: 3000 }, 20)).toBe(5);
+        });
+    });
+
+    describe('scheduleReview', () => {
+        test('passing reviews wait 1, 6, then interval × ease days', () => {
+            let current = item('Q');
+            const intervals = [];
+            for (let i = 0; i < 4; i++) {
+                current = scheduleReview(current, 4, NOW);
+                intervals.push(current.interval);
+            }
+
+            expect(intervals.slice(0, 2)).toEqual([1, 6]);
+            expect(intervals[2]).toBe(Math.round(6 * current.ease));
+            expect(intervals[3]).toBeGreaterThan(intervals[2]);
+            expect(Date.parse(current.due)).toBe(NOW + intervals[3] * DAY_MS);
+        });
+
+        test('a failed review starts over and lowers the ease', () => {
+            const learned = { ...item('Q'), reps: 3, interval: 15 };
+            const failed = scheduleReview(learned, 1, NOW);
+
+            expect(failed).toMatchObject({ reps: 0, lapses: 1, interval: 1 });
+            expect(failed.ease).toBeLessThan(learned.ease);
+            expect(failed.ease).toBeGreaterThanOrEqual(1.3);
+            expect(failed.lastReviewed).toBe(new Date(NOW).toISOString());
+        });
+    });
+
+    describe('mergeMissed', () => {
+        test('adds new questions as due now, stripped to what a review needs', () => {
+            const [added] = mergeMissed([], [{ ...question('Q'), video: 'v.mp4', time: 30 }], 'Quiz', NOW);
+
+            expect(added).toMatchObject({ id: questionKey(question('Q')), quizTitle: 'Quiz', reps: 0, lapses: 0 });
+            expect(added.due).toBe(new Date(NOW).toISOString());
+            expect(added.question.video).toBeUndefined();
+            expect(added.question.timeLimit).toBe(30);
+        });
+
+        test('a question missed again lapses instead of being duplicated', () => {
+            const learned = { ...item('Q'), reps: 2, interval: 6, due: new Date(NOW + 6 * DAY_MS).toISOString() };
+            const items = mergeMissed([learned], [question('Q')], 'Other quiz', NOW);
+
+            expect(items).toHaveLength(1);
+            expect(items[0]).toMatchObject({ reps: 0, lapses: 1, quizTitle: 'Quiz' });
+            expect(items[0].due).toBe(new Date(NOW).toISOString());
+        });
+
+        test('drops the best-learned items beyond the cap', () => {
+            const existing = Array.from({ length: MAX_REVIEW_ITEMS }, (_, i) => ({ ...item(`Q${i}`), interval: i }));
+            const items = mergeMissed(existing, [question('New')], 'Quiz', NOW);
+
+            expect(items).toHaveLength(MAX_REVIEW_ITEMS);
+            expect(items.some(i => i.question.question === 'New')).toBe(true);
+            expect(items.some(i => i.interval === MAX_REVIEW_ITEMS - 1)).toBe(false);
+        });
+    });
+
+    describe('buildReviewSession', () => {
+        test('takes due items, most overdue first, and nothing when none are due', () => {
+            const items = [
+                item('Later', { dueInDays: 2 }),
+                item('Due', { dueInDays: -1 }),
+                item('Overdue', { dueInDays: -5 })
+            ];
+
+            expect(buildReviewSession(items, NOW, 10).map(i => i.question.question)).toEqual(['Overdue', 'Due']);
+            expect(buildReviewSession([item('Later', { dueInDays: 2 })], NOW, 10)).toEqual([]);
+        });
+
+        test('tops up with not-yet-due items sharing a concept', () => {
+            const items = [
+                item('Due fraction', { concepts: ['Fractions'], dueInDays: -1 }),
+                item('Related', { concepts: ['fractions'], dueInDays: 3 }),
+                item('Unrelated', { concepts: ['verbs'], dueInDays: 1 })
+            ];
+
+            expect(buildReviewSession(items, NOW, 10).map(i => i.question.question)).toEqual(['Due fraction', 'Related']);
+        });
+
+        test('respects the session size', () => {
+            const items = Array.from({ length: 15 }, (_, i) => item(`Q${i}`, { dueInDays: -1 }));
+            expect(buildReviewSession(items, NOW, 10)).toHaveLength(10);
+        });
+    });
+
+    describe('interleaveByConcept', () => {
+        test('avoids back-to-back questions on the same concept', () => {
+            const items = [
+                item('A1', { concepts: ['a'] }),
+                item('A2', { concepts: ['a'] }),
+                item('A3', { concepts: ['a'] }),
+                item('B1', { concepts: ['b'] }),
+                item('B2', { concepts: ['b'] }),
+                item('C1', { concepts: ['c'] })
+            ];
+            const order = interleaveByConcept(items).map(i => i.question.concepts[0]);
+
+            expect(order).toHaveLength(6);
+            order.slice(1).forEach((concept, i) => expect(concept).not.toBe(order[i]));
+        });
+    });
+});
@@ -3,7 +3,7 @@
  *
  * Comprehensive tests for the scoring system covering:
  * - Base formula (basePoints + timeBonus) × multipliers
- * - All question types (multiple-choice, multiple-correct, true-false, numeric, ordering)
+ * - All question types (multiple-choice, multiple-correct, true-false, numeric, ordering, text-input, matching)
  * - All difficulty levels (easy, medium, hard) with default and custom multipliers
  * - Time bonus: enabled, disabled, and threshold (grace period) mode
  * - Power-up double points multiplier
@@ -593,6 +593,95 @@ describe('ScoringService.calculateScore', () => {
         });
     });
 
+    // ── Text Input ────────────────────────────────────────────────────────
+
+    describe('text-input questions', () => {
+        const textQuestion = (overrides = {}) => ({
+            type: 'text-input',
+            acceptedAnswers: ['Mitochondria', 'mitochondrion'],
+            difficulty: 'medium',
+            ...overrides
+        });
+
+        test('normalized match scores full points', () => {
+            const now = Date.now();
+            const result = ScoringService.calculateScore(buildScoreParams({
+                answer: '  MITOCHONDRIA ',
+                question: textQuestion(),
+                questionType: 'text-input',
+                questionStartTime: now - 5000
+            }));
+
+            expect(result.isCorrect).toBe(true);
+            expect(result.partialScore).toBeNull();
+            expect(result.points).toBe(expectedScore({ timeTakenMs: 5000 }));
+        });
+
+        test('typo is wrong without a fuzzy threshold', () => {
+            const result = ScoringService.calculateScore(buildScoreParams({
+                answer: 'mitocondria',
+                question: textQuestion(),
+                questionType: 'text-input'
+            }));
+
+            expect(result.isCorrect).toBe(false);
+            expect(result.points).toBe(0);
+        });
+
+        test('typo within the question fuzzy threshold is correct', () => {
+            const result = ScoringService.calculateScore(buildScoreParams({
+                answer: 'mitocondria',
+                question: textQuestion({ fuzzyThreshold: 1 }),
+                questionType: 'text-input'
+            }));
+
+            expect(result.isCorrect).toBe(true);
+        });
+    });
+
+    // ── Matching (Partial Credit) ─────────────────────────────────────────
+
+    describe('matching questions (partial credit)', () => {
+        const matchingQuestion = {
+            type: 'matching',
+            pairs: [
+                { left: 'H2O', right: 'Water' },
+                { left: 'NaCl', right: 'Salt' },
+                { left: 'CO2', right: 'Carbon dioxide' },
+                { left: 'O2', right: 'Oxygen' }
+            ],
+            difficulty: 'medium'
+        };
+
+        test('all pairs matched scores 100%', () => {
+            const now = Date.now();
+            const result = ScoringService.calculateScore(buildScoreParams({
+                answer: [0, 1, 2, 3],
+                question: matchingQuestion,
+                questionType: 'matching',
+                questionStartTime: now - 5000
+            }));
+
+            expect(result.isCorrect).toBe(true);
+            expect(result.partialScore).toBe(1);
+            expect(result.points).toBe(1700);
+        });
+
+        test('half the pairs matched scores 50% of points', () => {
+            const now = Date.now();
+            const result = ScoringService.calculateScore(buildScoreParams({
+                answer: [0, 1, 3, 2],
+                question: matchingQuestion,
+                questionType: 'matching',
+                questionStartTime: now - 5000
+            }));
+
+            expect(result.isCorrect).toBe(false);
+            expect(result.partialScore).toBe(0.5);
+            expect(result.points).toBe(850);
+        });
+    });
+
     // ── Ordering (Partial Credit) ─────────────────────────────────────────
 
     describe('ordering questions (partial credit)', () => {
@@ -966,6 +1055,67 @@ describe('ScoringService.calculateScore', () => {
             expect(result.points).toBe(400);
         });
     });
+
+    // ── Streak and Comeback Bonuses ────────────────────────────────────────
+    describe('streak and comeback bonuses', () => {
+        const STREAK = { streakBonus: { enabled: true, stepPercent: 10, maxPercent: 50 } };
+        const COMEBACK = { comebackBonus: { enabled: true, afterMisses: 2, percent: 50 } };
+
+        test('each answer already in the streak adds stepPercent of the points', () => {
+            const result = ScoringService.calculateScore(buildScoreParams({ scoringConfig: STREAK, streak: 2 }));
+            // 5s on 20s, medium: 1700 + 20% = 2040
+            expect(result.points).toBe(2040);
+            expect(result.breakdown.streakBonus).toBe(340);
+        });
+
+        test('the streak bonus stops at maxPercent', () => {
+            const result = ScoringService.calculateScore(buildScoreParams({ scoringConfig: STREAK, streak: 9 }));
+            expect(result.points).toBe(2550);
+        });
+
+        test('no bonus and no breakdown entry when off or before a streak', () => {
+            const off = ScoringService.calculateScore(buildScoreParams({ streak: 5, misses: 5 }));
+            const first = ScoringService.calculateScore(buildScoreParams({ scoringConfig: STREAK, streak: 0 }));
+            expect(off.points).toBe(1700);
+            expect(first.points).toBe(1700);
+            expect(off.breakdown).not.toHaveProperty('streakBonus');
+            expect(off.breakdown).not.toHaveProperty('comebackBonus');
+            expect(first.breakdown).not.toHaveProperty('streakBonus');
+        });
+
+        test('comeback bonus adds a share of base points after enough misses', () => {
+            const after = ScoringService.calculateScore(buildScoreParams({ scoringConfig: COMEBACK, misses: 2 }));
+            const tooSoon = ScoringService.calculateScore(buildScoreParams({ scoringConfig: COMEBACK, misses: 1 }));
+            // 50% of 200 base points
+            expect(after.points).toBe(1800);
+            expect(after.breakdown.comebackBonus).toBe(100);
+            expect(tooSoon.points).toBe(1700);
+        });
+
+        test('wrong answers and partial credit earn no bonus', () => {
+            const wrong = ScoringService.calculateScore(buildScoreParams({
+                answer: 1, scoringConfig: { ...STREAK, ...COMEBACK }, streak: 3, misses: 3
+            }));
+            const partial = ScoringService.calculateScore(buildScoreParams({
+                answer: [0, 1, 3, 2],
+                question: { type: 'ordering', options: ['A', 'B', 'C', 'D'], correctOrder: [0, 1, 2, 3], difficulty: 'medium' },
+                questionType: 'ordering',
+                scoringConfig: { ...STREAK, ...COMEBACK },
+                streak: 3,
+                misses: 3
+            }));
+            expect(wrong.points).toBe(0);
+            expect(wrong.breakdown).not.toHaveProperty('streakBonus');
+            expect(partial.points).toBe(850);
+        });
+
+        test('double points doubles the bonus too', () => {
+            const result = ScoringService.calculateScore(buildScoreParams({
+                scoringConfig: STREAK, streak: 2, doublePointsMultiplier: 2
+            }));
+            expect(result.points).toBe(4080);
+        });
+    });
 });
 
 // ─── ScoringService.calculateTimeBonus ─────────────────────────────────────
@@ -1540,11 +1690,66 @@ describe('Power-up scoring integration via Game', () => {
 
         // Power-up should be consumed (not available for next question)
         const player = game.players.get('alice');
-        expect(player.powerUps['double-points'].used).toBe(true);
+        expect(player.powerUps['double-points'].remaining).toBe(0);
         expect(player.powerUps['double-points'].active).toBe(false);
     });
 });
 
+// ─── Streak and Comeback Bonuses via Game ──────────────────────────────────
+
+describe('Streak and comeback bonuses via Game', () => {
+    const question = (n) => ({
+        type: 'multiple-choice',
+        question: `Q${n}`,
+        options: ['A', 'B', 'C', 'D'],
+        correctIndex: 0,
+        difficulty: 'medium',
+        timeLimit: 20
+    });
+    const quiz = {
+        title: 'Streak Test',
+        scoringConfig: {
+            timeBonusEnabled: false,
+            streakBonus: { enabled: true, stepPercent: 25, maxPercent: 50 },
+            comebackBonus: { enabled: true, afterMisses: 2, percent: 100 }
+        },
+        questions: [1, 2, 3, 4, 5, 6, 7].map(question)
+    };
+
+    function play(game, answers) {
+        return answers.map((answer, index) => {
+            game.currentQuestion = index;
+            game.gameState = 'question';
+            game.questionStartTime = Date.now() - 2000;
+            return game.submitAnswer('alice', answer, 'multiple-choice');
+        });
+    }
+
+    test('the streak bonus grows with each answer in a row and resets on a miss', () => {
+        const game = new Game('host-1', quiz, mockLogger, CONFIG);
+        game.addPlayer('alice', 'Alice');
+
+        const points = play(game, [0, 0, 0, 0, 1, 0]).map(result => result.points);
+
+        // Flat 200 per answer: +0%, +25%, +50%, capped at +50%, miss, streak restarts
+        expect(points).toEqual([200, 250, 300, 300, 0, 200]);
+        const alice = game.players.get('alice');
+        expect(alice.streak).toBe(1);
+        expect(alice.bestStreak).toBe(4);
+    });
+
+    test('a correct answer after two misses earns the comeback bonus', () => {
+        const game = new Game('host-1', quiz, mockLogger, CONFIG);
+        game.addPlayer('alice', 'Alice');
+
+        const results = play(game, [1, 1, 0, 0]);
+
+        expect(results.map(result => result.points)).toEqual([0, 0, 400, 250]);
+        expect(results[2].breakdown.comebackBonus).toBe(200);
+        expect(game.players.get('alice').misses).toBe(0);
+    });
+});
+
 // ─── Poll Questions via Game ───────────────────────────────────────────────
 
 describe('Poll question scoring via Game', () => {
@@ -95,6 +95,11 @@ describe('SessionService', () => {
             const cookie = svc.buildSetCookie('abc.def', { secure: true });
             expect(cookie).toContain('Secure');
         });
+
+        test('crossSite uses SameSite=None, but only on Secure cookies', () => {
+            expect(svc.buildSetCookie('abc.def', { secure: true, crossSite: true })).toContain('SameSite=None');
+            expect(svc.buildSetCookie('abc.def', { crossSite: true })).toContain('SameSite=Lax');
+        });
     });
 
     describe('buildClearCookie', () => {
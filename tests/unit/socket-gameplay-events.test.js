@@ -82,6 +82,7 @@ describe('gameplay-events: use-power-up', () => {
         expect(game.usePowerUp).toHaveBeenCalledWith('player-sock', 'fifty-fifty');
         expect(findEmit(socket.emits, 'power-up-result').data).toEqual({ success: true });
         expect(options.gameSessionService.extendQuestionTimer).not.toHaveBeenCalled();
+        expect(options.questionFlowService.scheduleAnswerCountUpdate).not.toHaveBeenCalled();
     });
 
     it('extends the room timer for a successful extend-time power-up', () => {
@@ -95,6 +96,17 @@ describe('gameplay-events: use-power-up', () => {
         expect(options.gameSessionService.extendQuestionTimer).toHaveBeenCalledWith(game, io, 10);
     });
 
+    it('counts a skip towards the answer count', () => {
+        const game = { pin: '123456', usePowerUp: jest.fn(() => ({ success: true, type: 'skip', skipped: true })) };
+        const { io, options, h } = setup();
+        options.playerManagementService.getPlayer.mockReturnValue({ name: 'Al', gamePin: '123456' });
+        options.gameSessionService.getGame.mockReturnValue(game);
+
+        h['use-power-up']({ type: 'skip' });
+
+        expect(options.questionFlowService.scheduleAnswerCountUpdate).toHaveBeenCalledWith(game, io);
+    });
+
     it('rejects missing power-up data', () => {
         const { socket, options, h } = setup();
         h['use-power-up']({});
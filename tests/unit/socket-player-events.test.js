@@ -3,7 +3,7 @@
  *
  * Exercises player-join, player-change-name (handler wiring only — schema
  * itself is covered by player-events-validation.test.js), player-rejoin,
- * leave-game, host-rejoin, session-check, leave-session, release-session,
+ * leave-game, kick-player, ban-player, host-rejoin, session-check, leave-session, release-session,
  * request-time-sync, and disconnect. Validation is REAL; services are mocks.
  */
 
@@ -32,11 +32,23 @@ describe('player-events: player-join', () => {
         h['player-join']({ pin: '123456', name: 'Al' });
 
         expect(options.playerManagementService.handlePlayerJoin).toHaveBeenCalledWith(
-            'player-sock', '123456', 'Al', game, socket, io, undefined
+            'player-sock', '123456', 'Al', game, socket, io, undefined, { studentId: undefined, joinCode: undefined }
         );
         expect(findEmit(socket.emits, 'error')).toBeFalsy();
     });
 
+    it('forwards a student code with the join', () => {
+        const game = { pin: '123456' };
+        const { socket, io, options, h } = setup();
+        options.gameSessionService.getGame.mockReturnValue(game);
+
+        h['player-join']({ pin: '123456', name: 'Al', joinCode: 'abc234' });
+
+        expect(options.playerManagementService.handlePlayerJoin).toHaveBeenCalledWith(
+            'player-sock', '123456', 'Al', game, socket, io, undefined, { studentId: undefined, joinCode: 'abc234' }
+        );
+    });
+
     it('emits an error when the join fails', () => {
         const { socket, options, h } = setup();
         options.gameSessionService.getGame.mockReturnValue({ pin: '123456' });
@@ -133,6 +145,60 @@ describe('player-events: leave-game', () => {
     });
 });
 
+describe('player-events: kick-player / ban-player', () => {
+    const hostedGame = { pin: '123456' };
+
+    it('kicks through the player service when sent by the host', () => {
+        const { io, options, h } = setup();
+        options.gameSessionService.findGameByHost.mockReturnValue(hostedGame);
+
+        h['kick-player']({ pin: '123456', playerId: 'p1' });
+
+        expect(options.playerManagementService.handleKickPlayer).toHaveBeenCalledWith('p1', hostedGame, io, false);
+    });
+
+    it('bans through the player service on ban-player', () => {
+        const { io, options, h } = setup();
+        options.gameSessionService.findGameByHost.mockReturnValue(hostedGame);
+
+        h['ban-player']({ pin: '123456', playerId: 'p1' });
+
+        expect(options.playerManagementService.handleKickPlayer).toHaveBeenCalledWith('p1', hostedGame, io, true);
+    });
+
+    it('rejects a socket that does not host the game', () => {
+        const { socket, options, h } = setup();
+        options.gameSessionService.findGameByHost.mockReturnValue(null);
+
+        h['kick-player']({ pin: '123456', playerId: 'p1' });
+
+        expect(options.playerManagementService.handleKickPlayer).not.toHaveBeenCalled();
+        expect(findEmit(socket.emits, 'error').data.messageKey).toBe('error_not_authorized_host');
+    });
+
+    it('rejects a host acting on a different game', () => {
+        const { socket, options, h } = setup();
+        options.gameSessionService.findGameByHost.mockReturnValue({ pin: '654321' });
+
+        h['ban-player']({ pin: '123456', playerId: 'p1' });
+
+        expect(options.playerManagementService.handleKickPlayer).not.toHaveBeenCalled();
+        expect(findEmit(socket.emits, 'error')).toBeTruthy();
+    });
+
+    it('relays a service failure to the host', () => {
+        const { socket, options, h } = setup();
+        options.gameSessionService.findGameByHost.mockReturnValue(hostedGame);
+        options.playerManagementService.handleKickPlayer.mockReturnValue({
+            success: false, error: 'Player not found', messageKey: 'error_player_not_found'
+        });
+
+        h['kick-player']({ pin: '123456', playerId: 'ghost' });
+
+        expect(findEmit(socket.emits, 'error').data.messageKey).toBe('error_player_not_found');
+    });
+});
+
 describe('player-events: host-rejoin', () => {
     function disconnectedGame() {
         return {
@@ -235,6 +301,38 @@ describe('player-events: host-rejoin', () => {
         expect(findEmit(socket.emits, 'question-start')).toBeFalsy();
         expect(findEmit(socket.emits, 'host-rejoin-success')).toBeTruthy();
     });
+
+    // The Next button of a manual game paused on the reveal went to the old socket
+    it('replays show-next-button when a manual game is waiting between questions', () => {
+        const game = disconnectedGame();
+        game.gameState = 'revealing';
+        game.manualAdvancement = true;
+        game.isAdvancing = false;
+        game.quiz = { title: 'Q', questions: [{ question: 'Q1?' }, { question: 'Q2?' }] };
+        game.hasNextQuestion = jest.fn(() => true);
+        const { socket, options, h } = setup();
+        options.gameSessionService.getGame.mockReturnValue(game);
+
+        h['host-rejoin']({ pin: '123456', token: 'secret' });
+
+        expect(findEmit(socket.emits, 'show-next-button').data).toEqual({ isLastQuestion: false });
+    });
+
+    // An elimination game whose winner is decided ends early, whatever the question index
+    it('replays a Finish button when the game has no next question', () => {
+        const game = disconnectedGame();
+        game.gameState = 'revealing';
+        game.manualAdvancement = true;
+        game.isAdvancing = false;
+        game.quiz = { title: 'Q', questions: [{ question: 'Q1?' }, { question: 'Q2?' }] };
+        game.hasNextQuestion = jest.fn(() => false);
+        const { socket, options, h } = setup();
+        options.gameSessionService.getGame.mockReturnValue(game);
+
+        h['host-rejoin']({ pin: '123456', token: 'secret' });
+
+        expect(findEmit(socket.emits, 'show-next-button').data).toEqual({ isLastQuestion: true });
+    });
 });
 
 describe('player-events: session-check', () => {
@@ -0,0 +1,320 @@
+/**
+ * Storage Adapter Tests
+ *
+ * Both backends run the same contract suite: the file adapter against a real
+ * temp directory, the SQLite adapter against an in-memory database. The
+ * SQLite suite is skipped when the optional better-sqlite3 package is absent.
+ * The in-memory adapter the service tests use runs it too.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const { createStorageAdapter, COLLECTIONS, StorageAdapter } = require('../../services/storage-adapter');
+const { FileStorageAdapter } = require('../../services/file-storage-adapter');
+const { SqliteStorageAdapter } = require('../../services/sqlite-storage-adapter');
+const { migrateStorage } = require('../../scripts/migrate-storage');
+const { MemoryStorageAdapter } = require('../helpers/memory-storage-adapter');
+
+const mockLogger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+};
+
+let hasSqlite = true;
+try {
+    require('better-sqlite3');
+} catch {
+    hasSqlite = false;
+}
+const describeSqlite = hasSqlite ? describe : describe.skip;
+
+async function cleanup(dir) {
+    try {
+        await fs.rm(dir, { recursive: true, force: true });
+    } catch { /* ignore */ }
+}
+
+const summarizeTitle = (doc) => ({ title: doc.title });
+
+/**
+ * Behavior every adapter must share
+ * @param {Function} setup - async () => { adapter, teardown }
+ */
+function describeContract(setup) {
+    let adapter;
+    let teardown;
+
+    beforeEach(async () => {
+        ({ adapter, teardown } = await setup());
+    });
+
+    afterEach(async () => {
+        await teardown();
+    });
+
+    test('read returns null for a missing document', async () => {
+        expect(await adapter.read(COLLECTIONS.QUIZZES, 'missing.json')).toBeNull();
+    });
+
+    test('write then read round-trips the document', async () => {
+        const doc = { title: 'Quiz', questions: [{ question: 'Q1' }] };
+        await adapter.write(COLLECTIONS.QUIZZES, 'quiz.json', doc);
+        expect(await adapter.read(COLLECTIONS.QUIZZES, 'quiz.json')).toEqual(doc);
+    });
+
+    test('exists and remove', async () => {
+        await adapter.write(COLLECTIONS.RESULTS, 'r.json', { quizTitle: 'R' });
+        expect(await adapter.exists(COLLECTIONS.RESULTS, 'r.json')).toBe(true);
+
+        await adapter.remove(COLLECTIONS.RESULTS, 'r.json');
+        expect(await adapter.exists(COLLECTIONS.RESULTS, 'r.json')).toBe(false);
+    });
+
+    test('keys are scoped to their collection', async () => {
+        await adapter.write(COLLECTIONS.QUIZZES, 'a.json', { title: 'A' });
+        await adapter.write(COLLECTIONS.SYSTEM, 'users.json', { users: [] });
+        await adapter.write(COLLECTIONS.RESULTS, 'r.json', { quizTitle: 'R' });
+
+        expect(await adapter.keys(COLLECTIONS.QUIZZES)).toEqual(['a.json']);
+        expect(await adapter.keys(COLLECTIONS.SYSTEM)).toEqual(['users.json']);
+        expect(await adapter.keys(COLLECTIONS.RESULTS)).toEqual(['r.json']);
+    });
+
+    test('list returns summaries with size and modified date', async () => {
+        await adapter.write(COLLECTIONS.QUIZZES, 'a.json', { title: 'A', questions: [] });
+
+        const entries = await adapter.list(COLLECTIONS.QUIZZES, summarizeTitle);
+
+        expect(entries).toHaveLength(1);
+        expect(entries[0].key).toBe('a.json');
+        expect(entries[0].summary).toEqual({ title: 'A' });
+        expect(entries[0].size).toBeGreaterThan(0);
+        expect(typeof entries[0].modified.toISOString()).toBe('string');
+    });
+
+    test('list reuses cached summaries until the document changes', async () => {
+        await adapter.write(COLLECTIONS.QUIZZES, 'a.json', { title: 'A' });
+        const summarize = jest.fn(summarizeTitle);
+
+        await adapter.list(COLLECTIONS.QUIZZES, summarize);
+        await adapter.list(COLLECTIONS.QUIZZES, summarize);
+        expect(summarize).toHaveBeenCalledTimes(1);
+
+        // Backdate the cache so an mtime-based adapter sees the rewrite
+        // even within the same filesystem timestamp tick
+        for (const cache of adapter.summaryCache?.values() || []) {
+            for (const entry of cache.values()) entry.mtimeMs = -1;
+        }
+        await adapter.write(COLLECTIONS.QUIZZES, 'a.json', { title: 'B' });
+
+        const entries = await adapter.list(COLLECTIONS.QUIZZES, summarize);
+        expect(summarize).toHaveBeenCalledTimes(2);
+        expect(entries[0].summary).toEqual({ title: 'B' });
+    });
+}
+
+describe('FileStorageAdapter', () => {
+    let tmpDir;
+
+    describeContract(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-storage-test-'));
+        const adapter = new FileStorageAdapter(mockLogger, {
+            quizzesDir: path.join(tmpDir, 'quizzes'),
+            resultsDir: path.join(tmpDir, 'results')
+        });
+        await adapter.initialize();
+        return { adapter, teardown: () => cleanup(tmpDir) };
+    });
+
+    describe('file layout', () => {
+        let adapter;
+
+        beforeEach(async () => {
+            tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-storage-test-'));
+            adapter = new FileStorageAdapter(mockLogger, { quizzesDir: tmpDir, resultsDir: tmpDir });
+            await adapter.initialize();
+        });
+
+        afterEach(async () => {
+            await cleanup(tmpDir);
+        });
+
+        test('writes pretty-printed JSON to <dir>/<key>', async () => {
+            await adapter.write(COLLECTIONS.QUIZZES, 'quiz.json', { title: 'Quiz' });
+            const raw = await fs.readFile(path.join(tmpDir, 'quiz.json'), 'utf8');
+            expect(raw).toBe(JSON.stringify({ title: 'Quiz' }, null, 2));
+        });
+
+        test('system files and non-JSON files are not quizzes', async () => {
+            await adapter.write(COLLECTIONS.QUIZZES, 'quiz.json', { title: 'Quiz' });
+            await adapter.write(COLLECTIONS.SYSTEM, 'quiz-metadata.json', {});
+            await fs.writeFile(path.join(tmpDir, 'quizix.db'), '');
+
+            expect(await adapter.keys(COLLECTIONS.QUIZZES)).toEqual(['quiz.json']);
+        });
+
+        test('keys returns an empty list when the directory is missing', async () => {
+            const missing = new FileStorageAdapter(mockLogger, { quizzesDir: path.join(tmpDir, 'nope') });
+            expect(await missing.keys(COLLECTIONS.QUIZZES)).toEqual([]);
+        });
+
+        test('read throws on malformed JSON', async () => {
+            await fs.writeFile(path.join(tmpDir, 'bad.json'), '{ not json');
+            await expect(adapter.read(COLLECTIONS.QUIZZES, 'bad.json')).rejects.toThrow(SyntaxError);
+        });
+
+        test('list skips unreadable files', async () => {
+            await adapter.write(COLLECTIONS.QUIZZES, 'good.json', { title: 'Good' });
+            await fs.writeFile(path.join(tmpDir, 'bad.json'), '{ not json');
+
+            const entries = await adapter.list(COLLECTIONS.QUIZZES, summarizeTitle);
+            expect(entries.map(e => e.key)).toEqual(['good.json']);
+            expect(mockLogger.error).toHaveBeenCalled();
+        });
+
+        test.each(['../etc/passwd', 'sub/file.json', '..', ''])('rejects key %p', async (key) => {
+            await expect(adapter.read(COLLECTIONS.RESULTS, key)).rejects.toMatchObject({
+                messageKey: 'error_invalid_path'
+            });
+        });
+    });
+});
+
+describeSqlite('SqliteStorageAdapter', () => {
+    describeContract(async () => {
+        const adapter = new SqliteStorageAdapter(mockLogger, { filename: ':memory:' });
+        await adapter.initialize();
+        return { adapter, teardown: () => adapter.shutdown() };
+    });
+
+    test('persists documents across reopen', async () => {
+        const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sqlite-storage-test-'));
+        const filename = path.join(tmpDir, 'nested', 'quizix.db');
+        try {
+            const first = new SqliteStorageAdapter(mockLogger, { filename });
+            await first.initialize();
+            await first.write(COLLECTIONS.SYSTEM, 'users.json', { users: [{ username: 'a' }] });
+            await first.shutdown();
+
+            const second = new SqliteStorageAdapter(mockLogger, { filename });
+            await second.initialize();
+            expect(await second.read(COLLECTIONS.SYSTEM, 'users.json')).toEqual({ users: [{ username: 'a' }] });
+            await second.shutdown();
+        } finally {
+            await cleanup(tmpDir);
+        }
+    });
+
+    test('list leaves out documents whose summary cannot be built', async () => {
+        const adapter = new SqliteStorageAdapter(mockLogger, { filename: ':memory:' });
+        await adapter.initialize();
+        await adapter.write(COLLECTIONS.RESULTS, 'ok.json', { title: 'OK' });
+        await adapter.write(COLLECTIONS.RESULTS, 'broken.json', { title: 'Broken' });
+
+        const entries = await adapter.list(COLLECTIONS.RESULTS, (doc) => {
+            if (doc.title === 'Broken') throw new Error('bad document');
+            return summarizeTitle(doc);
+        });
+
+        expect(entries.map(e => e.key)).toEqual(['ok.json']);
+        await adapter.shutdown();
+    });
+});
+
+describe('MemoryStorageAdapter (test helper)', () => {
+    describeContract(async () => ({ adapter: new MemoryStorageAdapter(), teardown: async () => {} }));
+
+    test('hands out copies, never the stored document', async () => {
+        const adapter = new MemoryStorageAdapter({ [COLLECTIONS.QUIZZES]: { 'a.json': { title: 'A' } } });
+        const doc = await adapter.read(COLLECTIONS.QUIZZES, 'a.json');
+        doc.title = 'changed';
+        expect(await adapter.read(COLLECTIONS.QUIZZES, 'a.json')).toEqual({ title: 'A' });
+    });
+});
+
+describe('createStorageAdapter', () => {
+    test('defaults to the file backend', () => {
+        expect(createStorageAdapter(mockLogger, { backend: 'file' })).toBeInstanceOf(FileStorageAdapter);
+    });
+
+    test('selects the SQLite backend', () => {
+        const adapter = createStorageAdapter(mockLogger, { backend: 'sqlite', sqlitePath: ':memory:' });
+        expect(adapter).toBeInstanceOf(SqliteStorageAdapter);
+        expect(adapter.filename).toBe(':memory:');
+    });
+
+    test('rejects an unknown backend', () => {
+        expect(() => createStorageAdapter(mockLogger, { backend: 'mongo' })).toThrow('Unknown STORAGE_BACKEND');
+    });
+
+    test('base class methods must be implemented', async () => {
+        await expect(new StorageAdapter().read('quizzes', 'a.json')).rejects.toThrow('must implement read()');
+    });
+});
+
+describeSqlite('migrateStorage', () => {
+    let tmpDir;
+    let source;
+    let target;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrate-storage-test-'));
+        source = new FileStorageAdapter(mockLogger, {
+            quizzesDir: path.join(tmpDir, 'quizzes'),
+            resultsDir: path.join(tmpDir, 'results')
+        });
+        await source.initialize();
+        target = new SqliteStorageAdapter(mockLogger, { filename: ':memory:' });
+        await target.initialize();
+
+        await source.write(COLLECTIONS.QUIZZES, 'quiz.json', { title: 'Quiz' });
+        await source.write(COLLECTIONS.RESULTS, 'result.json', { quizTitle: 'Quiz' });
+        await source.write(COLLECTIONS.SYSTEM, 'quiz-metadata.json', { version: 1 });
+        await source.write(COLLECTIONS.SYSTEM, 'users.json', { users: [] });
+    });
+
+    afterEach(async () => {
+        await target.shutdown();
+        await cleanup(tmpDir);
+    });
+
+    test('imports every collection', async () => {
+        const report = await migrateStorage(source, target);
+
+        expect(report.quizzes.imported).toBe(1);
+        expect(report.results.imported).toBe(1);
+        expect(report.system.imported).toBe(2);
+        expect(await target.read(COLLECTIONS.SYSTEM, 'users.json')).toEqual({ users: [] });
+    });
+
+    test('dry run writes nothing', async () => {
+        const report = await migrateStorage(source, target, { dryRun: true });
+
+        expect(report.quizzes.imported).toBe(1);
+        expect(await target.keys(COLLECTIONS.QUIZZES)).toEqual([]);
+    });
+
+    test('skips existing documents unless overwriting', async () => {
+        await target.write(COLLECTIONS.QUIZZES, 'quiz.json', { title: 'Already there' });
+
+        const report = await migrateStorage(source, target);
+        expect(report.quizzes.skipped).toBe(1);
+        expect(await target.read(COLLECTIONS.QUIZZES, 'quiz.json')).toEqual({ title: 'Already there' });
+
+        await migrateStorage(source, target, { overwrite: true });
+        expect(await target.read(COLLECTIONS.QUIZZES, 'quiz.json')).toEqual({ title: 'Quiz' });
+    });
+
+    test('reports unreadable files without stopping', async () => {
+        await fs.writeFile(path.join(tmpDir, 'results', 'bad.json'), '{ not json');
+
+        const report = await migrateStorage(source, target);
+
+        expect(report.results.imported).toBe(1);
+        expect(report.results.failed).toEqual([{ key: 'bad.json', error: expect.any(String) }]);
+    });
+});
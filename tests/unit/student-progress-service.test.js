@@ -0,0 +1,201 @@
+/**
+ * StudentProgressService Tests
+ *
+ * Covers recording finished games for roster-matched players (accuracy,
+ * concept mastery, rematch de-duplication), the longitudinal profile built
+ * from those sessions, owner scoping, export and deletion.
+ *
+ * Games are real Game instances; storage is an in-memory adapter.
+ */
+
+const { StudentProgressService } = require('../../services/student-progress-service');
+const { Game } = require('../../services/game');
+const { COLLECTIONS } = require('../../services/storage-adapter');
+const { MemoryStorageAdapter } = require('../helpers/memory-storage-adapter');
+
+const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+const mockConfig = { SCORING: { BASE_POINTS: 100 }, LIMITS: { MAX_PLAYER_NAME_LENGTH: 20 } };
+
+const OWNER = 'owner-1';
+const ANN = { id: '11111111-1111-4111-8111-111111111111', name: 'Ann', joinCode: 'ABC234' };
+const BEN = { id: '22222222-2222-4222-8222-222222222222', name: 'Ben', joinCode: 'XYZ789' };
+
+function makeUserService(roster = [ANN, BEN]) {
+    return {
+        getRoster: jest.fn(ownerId => (ownerId === OWNER ? roster.map(s => ({ ...s })) : [])),
+        getStudent: jest.fn((ownerId, studentId) => (ownerId === OWNER ? roster.find(s => s.id === studentId) || null : null))
+    };
+}
+
+/**
+ * A finished game where each player answered the given questions correctly
+ * @param {Object<string, boolean[]>} answers - studentId -> correctness per question
+ * @param {string} endTime - ISO end time
+ */
+function finishedGame(answers, endTime) {
+    const game = new Game('host', {
+        title: 'Fractions',
+        questions: [
+            { question: 'Q1', options: ['A', 'B'], correctAnswer: 0, concepts: ['fractions'] },
+            { question: 'Q2', options: ['A', 'B'], correctAnswer: 0, concepts: ['fractions', 'decimals'] },
+            { question: 'Poll', options: ['A', 'B'], isPoll: true, concepts: ['decimals'] }
+        ]
+    }, mockLogger, mockConfig, { MAX_PLAYERS_PER_GAME: 50 });
+    game.setRoster(OWNER, [ANN, BEN]);
+
+    Object.entries(answers).forEach(([studentId, correctness], i) => {
+        const playerId = `p${i}`;
+        game.addPlayer(playerId, `Player ${i}`);
+        const player = game.players.get(playerId);
+        if (studentId !== 'anonymous') game.claimRosterStudent(playerId, studentId);
+        correctness.forEach((isCorrect, q) => {
+            player.answers[q] = { answer: 0, isCorrect, points: isCorrect ? 100 : 0 };
+        });
+        player.score = correctness.filter(Boolean).length * 100;
+    });
+    game.gameState = 'finished';
+    game.endTime = endTime;
+    return game;
+}
+
+function setup() {
+    const storage = new MemoryStorageAdapter();
+    const userService = makeUserService();
+    const service = new StudentProgressService(mockLogger, storage, userService);
+    return { service, storage, userService };
+}
+
+describe('StudentProgressService', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    describe('recordGame', () => {
+        test('appends a session for each matched player only', async () => {
+            const { service, storage } = setup();
+            const game = finishedGame({ [ANN.id]: [true, false], anonymous: [true, true] }, '2026-03-01T10:00:00.000Z');
+
+            expect(await service.recordGame(game)).toBe(1);
+
+            const doc = storage.docs.get(`${COLLECTIONS.PROGRESS}/${ANN.id}.json`);
+            expect(doc).toMatchObject({ studentId: ANN.id, ownerId: OWNER });
+            expect(doc.sessions).toHaveLength(1);
+            // The poll is left out of accuracy and mastery
+            expect(doc.sessions[0]).toMatchObject({
+                quizTitle: 'Fractions',
+                score: 100,
+                correct: 1,
+                total: 2,
+                accuracy: 50
+            });
+            expect(doc.sessions[0].concepts).toEqual(expect.arrayContaining([
+                { name: 'fractions', mastery: 50, correct: 1, total: 2 },
+                { name: 'decimals', mastery: 0, correct: 0, total: 1 }
+            ]));
+        });
+
+        test('ignores games without an owner roster', async () => {
+            const { service, storage } = setup();
+            const game = finishedGame({ [ANN.id]: [true, true] }, '2026-03-01T10:00:00.000Z');
+            game.setRoster(null, []);
+            jest.spyOn(storage, 'write');
+
+            expect(await service.recordGame(game)).toBe(0);
+            expect(storage.write).not.toHaveBeenCalled();
+        });
+
+        test('records a game once, but a rematch again', async () => {
+            const { service, storage } = setup();
+            const game = finishedGame({ [ANN.id]: [true, true] }, '2026-03-01T10:00:00.000Z');
+
+            await service.recordGame(game);
+            await service.recordGame(game);
+            game.endTime = '2026-03-01T10:30:00.000Z';
+            await service.recordGame(game);
+
+            expect(storage.docs.get(`${COLLECTIONS.PROGRESS}/${ANN.id}.json`).sessions).toHaveLength(2);
+        });
+    });
+
+    describe('getProfile', () => {
+        test('builds games played, accuracy trend and concept mastery over time', async () => {
+            const { service } = setup();
+            await service.recordGame(finishedGame({ [ANN.id]: [false, false] }, '2026-03-01T10:00:00.000Z'));
+            await service.recordGame(finishedGame({ [ANN.id]: [true, false] }, '2026-03-08T10:00:00.000Z'));
+            await service.recordGame(finishedGame({ [ANN.id]: [true, true] }, '2026-03-15T10:00:00.000Z'));
+
+            const profile = await service.getProfile(OWNER, ANN.id);
+
+            expect(profile.student).toEqual({ id: ANN.id, name: 'Ann' });
+            expect(profile.gamesPlayed).toBe(3);
+            expect(profile.accuracyTrend.map(g => g.accuracy)).toEqual([0, 50, 100]);
+            expect(profile.averageAccuracy).toBe(50);
+            expect(profile.trend).toBe('improving');
+
+            const fractions = profile.concepts.find(c => c.name === 'fractions');
+            expect(fractions).toMatchObject({ mastery: 50, latest: 100, gamesSeen: 3 });
+            expect(fractions.history.map(h => h.mastery)).toEqual([0, 50, 100]);
+            // Weakest concept first
+            expect(profile.concepts[0].name).toBe('decimals');
+        });
+
+        test('a student with no games has an empty profile', async () => {
+            const { service } = setup();
+            const profile = await service.getProfile(OWNER, BEN.id);
+
+            expect(profile).toMatchObject({ gamesPlayed: 0, averageAccuracy: null, trend: null, concepts: [] });
+        });
+
+        test('only the owner can read a profile', async () => {
+            const { service } = setup();
+            await service.recordGame(finishedGame({ [ANN.id]: [true, true] }, '2026-03-01T10:00:00.000Z'));
+
+            await expect(service.getProfile('someone-else', ANN.id))
+                .rejects.toMatchObject({ messageKey: 'error_student_not_found', status: 404 });
+        });
+
+        test('listSummaries adds progress to every roster entry', async () => {
+            const { service } = setup();
+            await service.recordGame(finishedGame({ [ANN.id]: [true, false] }, '2026-03-01T10:00:00.000Z'));
+
+            const summaries = await service.listSummaries(OWNER);
+            expect(summaries).toEqual([
+                expect.objectContaining({ id: ANN.id, joinCode: 'ABC234', gamesPlayed: 1, averageAccuracy: 50 }),
+                expect.objectContaining({ id: BEN.id, gamesPlayed: 0, averageAccuracy: null })
+            ]);
+        });
+    });
+
+    describe('exportProfile', () => {
+        test('CSV has one row per game', async () => {
+            const { service } = setup();
+            await service.recordGame(finishedGame({ [ANN.id]: [true, false] }, '2026-03-01T10:00:00.000Z'));
+
+            const exported = await service.exportProfile(OWNER, ANN.id, 'csv');
+            const lines = exported.content.trim().split('\n');
+
+            expect(exported).toMatchObject({ type: 'text/csv', filename: 'student_progress_Ann.csv' });
+            expect(lines).toHaveLength(2);
+            expect(lines[1]).toContain('"Fractions"');
+            expect(lines[1]).toContain('fractions: 50%');
+        });
+
+        test('JSON is the full profile; other formats are rejected', async () => {
+            const { service } = setup();
+            const exported = await service.exportProfile(OWNER, ANN.id, 'json');
+            expect(JSON.parse(exported.content).student.name).toBe('Ann');
+
+            await expect(service.exportProfile(OWNER, ANN.id, 'xml'))
+                .rejects.toMatchObject({ messageKey: 'error_unsupported_format' });
+        });
+    });
+
+    test('deleteProgress removes the document and tolerates a missing one', async () => {
+        const { service, storage } = setup();
+        await service.recordGame(finishedGame({ [ANN.id]: [true, true] }, '2026-03-01T10:00:00.000Z'));
+
+        await service.deleteProgress(ANN.id);
+        await service.deleteProgress(BEN.id);
+
+        expect(storage.docs.size).toBe(0);
+        await expect(service.deleteProgress('../etc')).rejects.toMatchObject({ messageKey: 'error_invalid_student_id' });
+    });
+});
@@ -128,6 +128,54 @@ describe('UploadGCService.sweep', () => {
         expect(fs.unlink).not.toHaveBeenCalled();
     });
 
+    test('with a storage adapter, references come from its documents', async () => {
+        setup({
+            refFiles: {},
+            uploads: { 'indb.png': fileStat(100, OLD_MTIME), 'orphan.png': fileStat(200, OLD_MTIME) }
+        });
+        const docs = {
+            quizzes: { 'q1.json': { questions: [{ image: '/uploads/indb.png' }] } },
+            results: { 'broken.json': new Error('corrupt') }
+        };
+        const storage = {
+            keys: async (collection) => Object.keys(docs[collection] || {}),
+            read: async (collection, key) => {
+                const doc = docs[collection][key];
+                if (doc instanceof Error) throw doc;
+                return doc;
+            }
+        };
+
+        const svc = new UploadGCService(mockLogger, { storage });
+        const summary = await svc.sweep();
+
+        expect(fs.unlink).toHaveBeenCalledTimes(1);
+        expect(fs.unlink).toHaveBeenCalledWith('public/uploads/orphan.png');
+        expect(summary).toMatchObject({ referencedCount: 1, deleted: 1 });
+    });
+
+    test('keeps images still queued for review after their quiz was deleted', async () => {
+        setup({
+            refFiles: {},
+            uploads: { 'queued.png': fileStat(100, OLD_MTIME), 'orphan.png': fileStat(200, OLD_MTIME) }
+        });
+        const docs = {
+            review: {
+                'u1.json': { items: [{ question: { question: 'Q?', image: '/uploads/queued.png' } }] }
+            }
+        };
+        const storage = {
+            keys: async (collection) => Object.keys(docs[collection] || {}),
+            read: async (collection, key) => docs[collection][key]
+        };
+
+        const svc = new UploadGCService(mockLogger, { storage });
+        await svc.sweep();
+
+        expect(fs.unlink).toHaveBeenCalledTimes(1);
+        expect(fs.unlink).toHaveBeenCalledWith('public/uploads/orphan.png');
+    });
+
     test('malformed / unreadable quiz JSON is skipped without crashing; other orphans still collected', async () => {
         setup({
             refFiles: {
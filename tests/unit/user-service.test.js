@@ -9,7 +9,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 
-const { UserService } = require('../../services/user-service');
+const { UserService, JOIN_CODE_ALPHABET, JOIN_CODE_LENGTH } = require('../../services/user-service');
 
 const mockLogger = {
     debug: jest.fn(),
@@ -191,4 +191,93 @@ describe('UserService', () => {
             expect(svc.isRateLimited(ip)).toBe(false);
         });
     });
+
+    describe('student roster', () => {
+        let owner;
+
+        beforeEach(async () => {
+            owner = await svc.createUser('teacher', 'hunter22!');
+        });
+
+        test('addStudent issues a join code from the unambiguous alphabet', async () => {
+            const student = await svc.addStudent(owner.id, '  Ann Lee ');
+            expect(student.name).toBe('Ann Lee');
+            expect(student.joinCode).toHaveLength(JOIN_CODE_LENGTH);
+            expect([...student.joinCode].every(c => JOIN_CODE_ALPHABET.includes(c))).toBe(true);
+
+            // Persisted with the account, not exposed by getUser
+            const raw = JSON.parse(await fs.readFile(path.join(tmpDir, 'users.json'), 'utf8'));
+            expect(raw.users[owner.id].roster).toEqual([student]);
+            expect(svc.getUser(owner.id)).toEqual({ id: owner.id, username: 'teacher' });
+        });
+
+        test('join codes are unique within a roster', async () => {
+            const students = await Promise.all(['A', 'B', 'C', 'D', 'E'].map(name => svc.addStudent(owner.id, name)));
+            expect(new Set(students.map(s => s.joinCode)).size).toBe(5);
+            expect(svc.getRoster(owner.id).map(s => s.name)).toEqual(['A', 'B', 'C', 'D', 'E']);
+        });
+
+        test('rejects invalid names and unknown owners', async () => {
+            await expect(svc.addStudent(owner.id, '   ')).rejects.toMatchObject({ messageKey: 'error_student_name_length' });
+            await expect(svc.addStudent(owner.id, '<script>')).rejects.toMatchObject({ messageKey: 'error_name_invalid_chars' });
+            await expect(svc.addStudent('nobody', 'Ann')).rejects.toMatchObject({ messageKey: 'error_user_not_found', status: 404 });
+        });
+
+        test('updateStudent renames and regenerates the code', async () => {
+            const student = await svc.addStudent(owner.id, 'Ann');
+            const renamed = await svc.updateStudent(owner.id, student.id, { name: 'Annie' });
+            expect(renamed).toMatchObject({ id: student.id, name: 'Annie', joinCode: student.joinCode });
+
+            const recoded = await svc.updateStudent(owner.id, student.id, { regenerateCode: true });
+            expect(recoded.id).toBe(student.id);
+            expect(recoded.joinCode).toHaveLength(JOIN_CODE_LENGTH);
+
+            await expect(svc.updateStudent(owner.id, 'missing', { name: 'X' }))
+                .rejects.toMatchObject({ messageKey: 'error_student_not_found', status: 404 });
+        });
+
+        test('rosters are per owner', async () => {
+            const other = await svc.createUser('other', 'hunter22!');
+            const student = await svc.addStudent(owner.id, 'Ann');
+
+            expect(svc.getRoster(other.id)).toEqual([]);
+            expect(svc.getStudent(other.id, student.id)).toBeNull();
+            await expect(svc.removeStudent(other.id, student.id)).rejects.toMatchObject({ messageKey: 'error_student_not_found' });
+
+            await svc.removeStudent(owner.id, student.id);
+            expect(svc.getRoster(owner.id)).toEqual([]);
+        });
+    });
+
+    describe('LMS accounts', () => {
+        const identity = { issuer: 'https://lms.example.edu', subject: 'user-42', name: 'Ana Perez' };
+
+        test('creates one account per LMS user and reuses it on later launches', async () => {
+            const first = await svc.findOrCreateExternalUser(identity);
+            expect(first.username).toMatch(/^lti_[a-f0-9]{8}$/);
+            expect(first.displayName).toBe('Ana Perez');
+
+            const again = await svc.findOrCreateExternalUser({ ...identity, name: 'Ana P.' });
+            expect(again.id).toBe(first.id);
+            expect(again.displayName).toBe('Ana P.');
+            expect(svc.getExternalIdentity(first.id)).toEqual({ issuer: identity.issuer, subject: identity.subject });
+
+            const other = await svc.findOrCreateExternalUser({ ...identity, issuer: 'https://other.example.edu' });
+            expect(other.id).not.toBe(first.id);
+        });
+
+        test('has no password and persists across restarts', async () => {
+            const user = await svc.findOrCreateExternalUser(identity);
+            expect(await svc.authenticate(user.username, '')).toBeNull();
+
+            const reloaded = new UserService(mockLogger, tmpDir);
+            await reloaded.initialize();
+            expect((await reloaded.findOrCreateExternalUser(identity)).id).toBe(user.id);
+        });
+
+        test('rejects an incomplete identity', async () => {
+            await expect(svc.findOrCreateExternalUser({ issuer: identity.issuer }))
+                .rejects.toMatchObject({ messageKey: 'error_lti_launch_invalid' });
+        });
+    });
 });
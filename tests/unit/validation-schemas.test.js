@@ -15,8 +15,15 @@ const {
     socketSubmitAnswerSchema,
     sessionCheckSchema,
     leaveSessionSchema,
-    releaseSessionSchema
+    releaseSessionSchema,
+    saveReviewQueueSchema,
+    questionBankSearchSchema,
+    questionBankDrawSchema,
+    gradebookExportSchema,
+    createWebhookSchema,
+    updateWebhookSchema
 } = require('../../services/validation-schemas.js');
+const { WEBHOOK_EVENTS } = require('../../services/webhook-service.js');
 
 describe('Validation Schemas', () => {
 
@@ -169,6 +176,74 @@ describe('Validation Schemas', () => {
                 expect(result.success).toBe(true);
             });
         });
+
+        describe('text-input', () => {
+            it('should validate text-input question and default the fuzzy threshold', () => {
+                const question = {
+                    type: 'text-input',
+                    question: 'What is the capital of France?',
+                    acceptedAnswers: ['Paris']
+                };
+
+                const result = questionSchema.safeParse(question);
+                expect(result.success).toBe(true);
+                expect(result.data.fuzzyThreshold).toBe(0);
+            });
+
+            it('should reject a question without accepted answers', () => {
+                const result = questionSchema.safeParse({
+                    type: 'text-input',
+                    question: 'Capital of France?',
+                    acceptedAnswers: []
+                });
+                expect(result.success).toBe(false);
+            });
+
+            it('should reject a fuzzy threshold above 3', () => {
+                const result = questionSchema.safeParse({
+                    type: 'text-input',
+                    question: 'Capital of France?',
+                    acceptedAnswers: ['Paris'],
+                    fuzzyThreshold: 5
+                });
+                expect(result.success).toBe(false);
+            });
+        });
+
+        describe('matching', () => {
+            it('should validate a matching question', () => {
+                const result = questionSchema.safeParse({
+                    type: 'matching',
+                    question: 'Match each country to its capital',
+                    pairs: [
+                        { left: 'France', right: 'Paris' },
+                        { left: 'Spain', right: 'Madrid' }
+                    ]
+                });
+                expect(result.success).toBe(true);
+            });
+
+            it('should reject a single pair', () => {
+                const result = questionSchema.safeParse({
+                    type: 'matching',
+                    question: 'Match',
+                    pairs: [{ left: 'France', right: 'Paris' }]
+                });
+                expect(result.success).toBe(false);
+            });
+
+            it('should reject a pair with an empty side', () => {
+                const result = questionSchema.safeParse({
+                    type: 'matching',
+                    question: 'Match',
+                    pairs: [
+                        { left: 'France', right: 'Paris' },
+                        { left: 'Spain', right: '   ' }
+                    ]
+                });
+                expect(result.success).toBe(false);
+            });
+        });
     });
 
     describe('Save Quiz Schema', () => {
@@ -230,7 +305,9 @@ describe('Validation Schemas', () => {
                     scoringConfig: {
                         timeBonusEnabled: false,
                         timeBonusThreshold: 3,
-                        difficultyMultipliers: { easy: 1.5, medium: 2, hard: 4 }
+                        difficultyMultipliers: { easy: 1.5, medium: 2, hard: 4 },
+                        streakBonus: { enabled: true, stepPercent: 10, maxPercent: 50 },
+                        comebackBonus: { enabled: true, afterMisses: 2, percent: 50 }
                     }
                 }
             };
@@ -240,6 +317,19 @@ describe('Validation Schemas', () => {
             expect(result.data.settings.scoringConfig).toEqual(quiz.settings.scoringConfig);
         });
 
+        it('should reject out-of-range streak and comeback bonuses', () => {
+            const quiz = (scoringConfig) => ({
+                title: 'Scored Quiz',
+                questions: [
+                    { type: 'multiple-choice', question: 'Q?', options: ['A', 'B'], correctIndex: 0 }
+                ],
+                settings: { scoringConfig }
+            });
+
+            expect(saveQuizSchema.safeParse(quiz({ streakBonus: { enabled: true, stepPercent: 0 } })).success).toBe(false);
+            expect(saveQuizSchema.safeParse(quiz({ comebackBonus: { enabled: true, afterMisses: 11 } })).success).toBe(false);
+        });
+
         it('should not invent a scoringConfig when the quiz has none', () => {
             const quiz = {
                 title: 'Legacy Quiz',
@@ -253,6 +343,41 @@ describe('Validation Schemas', () => {
             expect(result.success).toBe(true);
             expect('scoringConfig' in result.data.settings).toBe(false);
         });
+
+        describe('question branching', () => {
+            const mc = (extra) => ({ type: 'multiple-choice', question: 'Q?', options: ['A', 'B'], correctIndex: 0, ...extra });
+            const quiz = (questions) => ({ title: 'Lesson', questions });
+
+            it('should keep labels and rules that lead somewhere', () => {
+                const result = saveQuizSchema.safeParse(quiz([
+                    mc({ label: ' start ', next: { when: 'option', value: 1, goTo: 'end', otherwise: 'middle' } }),
+                    mc({ label: 'middle' }),
+                    mc({ label: 'end' })
+                ]));
+                expect(result.success).toBe(true);
+                expect(result.data.questions[0].label).toBe('start');
+                expect(result.data.questions[0].next).toEqual({ when: 'option', value: 1, goTo: 'end', otherwise: 'middle' });
+            });
+
+            it('should reject a jump to a missing label', () => {
+                const result = saveQuizSchema.safeParse(quiz([mc({ next: { when: 'always', goTo: 'nowhere' } }), mc()]));
+                expect(result.success).toBe(false);
+                expect(result.error.issues[0].path).toEqual(['questions', 0, 'next']);
+                expect(result.error.issues[0].message).toBe('Branching target label does not exist');
+            });
+
+            it('should reject rules that can loop forever, also when hosting', () => {
+                const looping = [
+                    mc({ label: 'again', next: { when: 'accuracy-below', value: 80, goTo: 'again' } }),
+                    mc()
+                ];
+                const result = saveQuizSchema.safeParse(quiz(looping));
+                expect(result.success).toBe(false);
+                expect(result.error.issues[0].message).toBe('Branching rules can loop forever');
+
+                expect(validateSocketEvent('host-join', { quiz: quiz(looping) }).valid).toBe(false);
+            });
+        });
     });
 
     describe('Join Game Schema', () => {
@@ -353,6 +478,59 @@ describe('Socket Event Validation', () => {
                 expect(result.valid).toBe(true);
             });
 
+            it('should default and bound the elimination settings', () => {
+                const quiz = (settings) => ({
+                    quiz: {
+                        title: 'Test Quiz',
+                        questions: [{ type: 'true-false', question: 'Test?', correctAnswer: 'true' }],
+                        ...settings
+                    }
+                });
+
+                const plain = validateSocketEvent('host-join', quiz({}));
+                expect(plain.valid).toBe(true);
+                expect(plain.data.quiz).toMatchObject({
+                    eliminationMode: false,
+                    eliminationSlowestPercent: 0,
+                    eliminationRevivalEvery: 0
+                });
+
+                const on = validateSocketEvent('host-join', quiz({ eliminationMode: true, eliminationSlowestPercent: 25, eliminationRevivalEvery: 3 }));
+                expect(on.data.quiz).toMatchObject({ eliminationMode: true, eliminationSlowestPercent: 25, eliminationRevivalEvery: 3 });
+
+                expect(validateSocketEvent('host-join', quiz({ eliminationSlowestPercent: 60 })).valid).toBe(false);
+            });
+
+            it('should default and bound the adaptive difficulty settings', () => {
+                const quiz = (settings) => ({
+                    quiz: {
+                        title: 'Test Quiz',
+                        questions: [{ type: 'true-false', question: 'Test?', correctAnswer: 'true' }],
+                        ...settings
+                    }
+                });
+
+                expect(validateSocketEvent('host-join', quiz({})).data.quiz)
+                    .toMatchObject({ adaptiveMode: false, adaptiveQuestionCount: 0 });
+
+                const on = validateSocketEvent('host-join', quiz({ adaptiveMode: true, adaptiveQuestionCount: 10 }));
+                expect(on.data.quiz).toMatchObject({ adaptiveMode: true, adaptiveQuestionCount: 10 });
+
+                expect(validateSocketEvent('host-join', quiz({ adaptiveQuestionCount: -1 })).valid).toBe(false);
+                expect(validateSocketEvent('host-join', quiz({ adaptiveQuestionCount: 2.5 })).valid).toBe(false);
+            });
+
+            it('should keep the library filename of the hosted quiz', () => {
+                const result = validateSocketEvent('host-join', {
+                    quiz: {
+                        title: 'Test Quiz',
+                        filename: 'fractions_1700000000000.json',
+                        questions: [{ type: 'true-false', question: 'Test?', correctAnswer: 'true' }]
+                    }
+                });
+                expect(result.data.quiz.filename).toBe('fractions_1700000000000.json');
+            });
+
             it('should reject host-join without quiz title', () => {
                 const data = {
                     quiz: {
@@ -408,6 +586,20 @@ describe('Socket Event Validation', () => {
                 expect(result.valid).toBe(true);
             });
 
+            it('should validate text answer submission', () => {
+                const result = validateSocketEvent('submit-answer', {
+                    answer: 'Paris'
+                });
+                expect(result.valid).toBe(true);
+            });
+
+            it('should reject an overlong text answer', () => {
+                const result = validateSocketEvent('submit-answer', {
+                    answer: 'x'.repeat(201)
+                });
+                expect(result.valid).toBe(false);
+            });
+
             it('should validate answer with optional type field', () => {
                 const result = validateSocketEvent('submit-answer', {
                     answer: 1,
@@ -494,3 +686,101 @@ describe('Session event schemas', () => {
         expect(result.valid).toBe(true);
     });
 });
+
+describe('Review queue schema', () => {
+    const reviewItem = (overrides = {}) => ({
+        id: 'k3x9a1',
+        question: { type: 'true-false', question: 'Water boils at 100°C', correctAnswer: 'true' },
+        ease: 2.5,
+        interval: 0,
+        reps: 0,
+        lapses: 0,
+        due: '2026-05-01T12:00:00.000Z',
+        added: '2026-05-01T12:00:00.000Z',
+        lastReviewed: null,
+        ...overrides
+    });
+
+    test('accepts a queue and normalizes its questions', () => {
+        const result = saveReviewQueueSchema.safeParse({ items: [reviewItem()] });
+        expect(result.success).toBe(true);
+        expect(result.data.items[0].question.correctAnswer).toBe(true);
+    });
+
+    test('rejects unplayable questions, bad IDs and out-of-range scheduling', () => {
+        expect(saveReviewQueueSchema.safeParse({ items: [reviewItem({ question: { type: 'numeric' } })] }).success).toBe(false);
+        expect(saveReviewQueueSchema.safeParse({ items: [reviewItem({ id: '../users' })] }).success).toBe(false);
+        expect(saveReviewQueueSchema.safeParse({ items: [reviewItem({ ease: 0.5 })] }).success).toBe(false);
+    });
+
+    test('caps the number of items', () => {
+        const items = Array.from({ length: 501 }, () => reviewItem());
+        expect(saveReviewQueueSchema.safeParse({ items }).success).toBe(false);
+    });
+});
+
+describe('Question bank schemas', () => {
+    const quiz = (settings) => ({
+        title: 'Fractions',
+        questions: [{ type: 'true-false', question: 'Is 2/4 equal to 1/2?', correctAnswer: true }],
+        settings
+    });
+
+    test('saved quiz settings keep their bank draws', () => {
+        const result = saveQuizSchema.safeParse(quiz({ bankDraws: [{ concept: ' Fractions ', count: 3, difficulty: 'hard' }] }));
+        expect(result.success).toBe(true);
+        expect(result.data.settings.bankDraws).toEqual([{ concept: 'Fractions', count: 3, difficulty: 'hard' }]);
+    });
+
+    test('rejects empty concepts and out-of-range counts', () => {
+        expect(saveQuizSchema.safeParse(quiz({ bankDraws: [{ concept: ' ', count: 3 }] })).success).toBe(false);
+        expect(saveQuizSchema.safeParse(quiz({ bankDraws: [{ concept: 'Fractions', count: 0 }] })).success).toBe(false);
+        expect(questionBankDrawSchema.safeParse({ draws: [] }).success).toBe(false);
+    });
+
+    test('search query strings are coerced and defaulted', () => {
+        const result = questionBankSearchSchema.safeParse({ q: 'half', limit: '20' });
+        expect(result.data).toEqual({ q: 'half', limit: 20, offset: 0 });
+        expect(questionBankSearchSchema.safeParse({ type: 'essay' }).success).toBe(false);
+        expect(questionBankSearchSchema.safeParse({ limit: '500' }).success).toBe(false);
+    });
+});
+
+describe('Gradebook export schema', () => {
+    const files = ['results_123456_1704067200000.json'];
+
+    test('defaults to % correct, no scale and the generic layout', () => {
+        const result = gradebookExportSchema.safeParse({ files });
+        expect(result.success).toBe(true);
+        expect(result.data).toEqual({ files, normalization: 'percent', scale: 'none', passPercent: 60, bands: [], layout: 'generic' });
+    });
+
+    test('rejects bad filenames, unknown layouts and a custom scale without bands', () => {
+        expect(gradebookExportSchema.safeParse({ files: ['../quiz.json'] }).success).toBe(false);
+        expect(gradebookExportSchema.safeParse({ files: [] }).success).toBe(false);
+        expect(gradebookExportSchema.safeParse({ files, layout: 'blackboard' }).success).toBe(false);
+        expect(gradebookExportSchema.safeParse({ files, scale: 'custom' }).success).toBe(false);
+        expect(gradebookExportSchema.safeParse({ files, scale: 'custom', bands: [{ min: 50, grade: 'Pass' }] }).success).toBe(true);
+    });
+});
+
+describe('Webhook schemas', () => {
+    test('accepts an http(s) URL with known events', () => {
+        const result = createWebhookSchema.safeParse({ url: 'https://example.com/hook', events: ['game.ended'] });
+        expect(result.success).toBe(true);
+        expect(result.data.description).toBe('');
+    });
+
+    test('rejects other schemes, unknown events and an empty event list', () => {
+        expect(createWebhookSchema.safeParse({ url: 'ftp://example.com/hook', events: ['game.ended'] }).success).toBe(false);
+        expect(createWebhookSchema.safeParse({ url: 'https://example.com/hook', events: ['game.paused'] }).success).toBe(false);
+        expect(createWebhookSchema.safeParse({ url: 'https://example.com/hook', events: [] }).success).toBe(false);
+        expect(updateWebhookSchema.safeParse({ enabled: false }).success).toBe(true);
+    });
+
+    test('lists the same events as WebhookService', () => {
+        for (const event of WEBHOOK_EVENTS) {
+            expect(createWebhookSchema.safeParse({ url: 'https://example.com/hook', events: [event] }).success).toBe(true);
+        }
+    });
+});
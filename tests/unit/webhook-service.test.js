@@ -0,0 +1,274 @@
+/**
+ * WebhookService Tests
+ *
+ * Deliveries go over real HTTP to the receiver in scripts/webhook-receiver.js
+ * on a free loopback port, so user hooks are created with allowPrivate. The
+ * backoff schedule is shortened to zero delays, which lets one processQueue()
+ * pass run every retry. Storage is in memory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { WebhookService, signPayload, verifySignature } = require('../../services/webhook-service');
+const { COLLECTIONS } = require('../../services/storage-adapter');
+const { MemoryStorageAdapter } = require('../helpers/memory-storage-adapter');
+const { WebhookReceiver } = require('../../scripts/webhook-receiver');
+
+const USER_ID = 'user-1';
+
+const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('signatures', () => {
+    const body = JSON.stringify({ event: 'game.ended' });
+    const now = () => Math.floor(Date.now() / 1000);
+
+    test('a signed body verifies; a changed body, secret or old timestamp does not', () => {
+        const timestamp = now();
+        const signature = signPayload('whsec_a', timestamp, body);
+
+        expect(signature).toMatch(/^sha256=[a-f0-9]{64}$/);
+        expect(verifySignature('whsec_a', String(timestamp), body, signature)).toBe(true);
+        expect(verifySignature('whsec_a', String(timestamp), `${body} `, signature)).toBe(false);
+        expect(verifySignature('whsec_b', String(timestamp), body, signature)).toBe(false);
+
+        const old = timestamp - 3600;
+        expect(verifySignature('whsec_a', String(old), body, signPayload('whsec_a', old, body))).toBe(false);
+        expect(verifySignature('whsec_a', String(old), body, signPayload('whsec_a', old, body), 0)).toBe(true);
+    });
+});
+
+describe('WebhookService', () => {
+    let receiver;
+    let storage;
+    let service;
+    let tmpDir;
+
+    beforeAll(async () => {
+        receiver = new WebhookReceiver();
+        await receiver.start();
+    });
+
+    afterAll(async () => {
+        await receiver.stop();
+    });
+
+    function createService(options = {}) {
+        return new WebhookService(mockLogger, storage, {
+            configPath: path.join(tmpDir, 'webhooks.json'),
+            allowPrivate: true,
+            retryDelaysMs: [0, 0],
+            ...options
+        });
+    }
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-service-test-'));
+        storage = new MemoryStorageAdapter();
+        receiver.received.length = 0;
+        receiver.failures.length = 0;
+        receiver.secret = null;
+        service = createService();
+        await service.initialize();
+    });
+
+    afterEach(async () => {
+        await service.shutdown();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    async function deliveries() {
+        return service.listDeliveries(USER_ID);
+    }
+
+    describe('hooks', () => {
+        test('the secret is returned on creation only', async () => {
+            const hook = await service.createHook(USER_ID, { url: receiver.url, events: ['game.ended'] });
+
+            expect(hook.secret).toMatch(/^whsec_[a-f0-9]{48}$/);
+            const [listed] = await service.listHooks(USER_ID);
+            expect(listed.secret).toBeUndefined();
+            expect(listed.secretHint).toBe(`…${hook.secret.slice(-4)}`);
+            expect(listed).toMatchObject({ id: hook.id, url: receiver.url, events: ['game.ended'], enabled: true });
+        });
+
+        test('private addresses are refused unless allowed', async () => {
+            const strict = createService({ allowPrivate: false });
+
+            await expect(strict.createHook(USER_ID, { url: 'http://127.0.0.1:9/hook', events: ['game.ended'] }))
+                .rejects.toMatchObject({ messageKey: 'error_webhook_url_blocked' });
+            await expect(strict.createHook(USER_ID, { url: 'http://[::1]/hook', events: ['game.ended'] }))
+                .rejects.toMatchObject({ messageKey: 'error_webhook_url_blocked' });
+            await strict.shutdown();
+        });
+
+        test('updates, rotates the secret and deletes', async () => {
+            const hook = await service.createHook(USER_ID, { url: receiver.url, events: ['game.ended'] });
+
+            const updated = await service.updateHook(USER_ID, hook.id, { events: ['player.left', 'game.started'], enabled: false });
+            expect(updated.events).toEqual(['game.started', 'player.left']);
+            expect(updated.enabled).toBe(false);
+
+            const rotated = await service.rotateSecret(USER_ID, hook.id);
+            expect(rotated.secret).not.toBe(hook.secret);
+
+            await service.deleteHook(USER_ID, hook.id);
+            expect(await service.listHooks(USER_ID)).toEqual([]);
+            await expect(service.deleteHook(USER_ID, hook.id)).rejects.toMatchObject({ status: 404 });
+        });
+    });
+
+    describe('delivery', () => {
+        test('posts a signed envelope to the owner\'s subscribed, enabled hooks', async () => {
+            const hook = await service.createHook(USER_ID, { url: receiver.url, events: ['game.ended'] });
+            const other = await service.createHook(USER_ID, { url: receiver.url, events: ['game.started'] });
+            const disabled = await service.createHook(USER_ID, { url: receiver.url, events: ['game.ended'] });
+            await service.updateHook(USER_ID, disabled.id, { enabled: false });
+            receiver.secret = hook.secret;
+
+            await service.emit('game.ended', { pin: '123456' }, USER_ID);
+            await service.emit('game.ended', { pin: '654321' }, 'someone-else');
+            await service.processQueue();
+
+            expect(receiver.received).toHaveLength(1);
+            const [received] = receiver.received;
+            expect(received.signatureValid).toBe(true);
+            expect(received.event).toBe('game.ended');
+            expect(received.payload).toMatchObject({ event: 'game.ended', data: { pin: '123456' } });
+
+            const [logged] = await deliveries();
+            expect(logged).toMatchObject({ id: received.deliveryId, hookId: hook.id, status: 'delivered', attempts: 1, responseStatus: 200 });
+            expect(other.id).not.toBe(logged.hookId);
+        });
+
+        test('retries server errors and delivers on a later attempt', async () => {
+            await service.createHook(USER_ID, { url: receiver.url, events: ['game.started'] });
+            receiver.failNext(503);
+
+            await service.emit('game.started', { pin: '123456' }, USER_ID);
+            await service.processQueue();
+
+            expect(receiver.received.map(r => r.status)).toEqual([503, 200]);
+            expect((await deliveries())[0]).toMatchObject({ status: 'delivered', attempts: 2 });
+            expect(service.queue).toHaveLength(0);
+        });
+
+        test('gives up after the last retry', async () => {
+            await service.createHook(USER_ID, { url: receiver.url, events: ['game.started'] });
+            receiver.failNext(500, 500, 500);
+
+            await service.emit('game.started', {}, USER_ID);
+            await service.processQueue();
+
+            expect((await deliveries())[0]).toMatchObject({ status: 'failed', attempts: 3, responseStatus: 500 });
+        });
+
+        test('client errors and redirects fail without a retry', async () => {
+            await service.createHook(USER_ID, { url: receiver.url, events: ['game.started'] });
+            receiver.failNext(404, 302);
+
+            await service.emit('game.started', {}, USER_ID);
+            await service.emit('game.started', {}, USER_ID);
+            await service.processQueue();
+
+            const statuses = (await deliveries()).map(d => [d.status, d.attempts, d.responseStatus]);
+            expect(statuses).toEqual(expect.arrayContaining([['failed', 1, 404], ['failed', 1, 302]]));
+            expect(receiver.received).toHaveLength(2);
+        });
+
+        test('the retry queue is kept on disk and resumed by the next instance', async () => {
+            await service.shutdown();
+            service = createService({ retryDelaysMs: [60 * 60 * 1000] });
+            await service.initialize();
+            await service.createHook(USER_ID, { url: receiver.url, events: ['game.started'] });
+            receiver.failNext(503);
+
+            await service.emit('game.started', {}, USER_ID);
+            await service.processQueue();
+            expect((await deliveries())[0]).toMatchObject({ status: 'retrying', attempts: 1 });
+            expect(storage.docs.get(`${COLLECTIONS.WEBHOOKS}/queue.json`).deliveries).toHaveLength(1);
+            await service.shutdown();
+
+            service = createService();
+            await service.initialize();
+            expect(service.queue).toHaveLength(1);
+            service.queue[0].nextAttemptAt = Date.now();
+            await service.processQueue();
+
+            expect((await deliveries())[0]).toMatchObject({ status: 'delivered', attempts: 2 });
+            expect(storage.docs.get(`${COLLECTIONS.WEBHOOKS}/queue.json`).deliveries).toHaveLength(0);
+        });
+
+        test('a queued delivery to a deleted hook fails', async () => {
+            await service.shutdown();
+            service = createService({ retryDelaysMs: [60 * 60 * 1000] });
+            await service.initialize();
+            const hook = await service.createHook(USER_ID, { url: receiver.url, events: ['game.started'] });
+            receiver.failNext(503);
+            await service.emit('game.started', {}, USER_ID);
+            await service.processQueue();
+
+            await service.deleteHook(USER_ID, hook.id);
+            service.queue[0].nextAttemptAt = Date.now();
+            await service.processQueue();
+
+            expect((await deliveries())[0]).toMatchObject({ status: 'failed', error: 'Webhook was deleted or disabled' });
+        });
+
+        test('server-wide hooks get every game\'s events', async () => {
+            fs.writeFileSync(path.join(tmpDir, 'webhooks.json'), JSON.stringify({
+                webhooks: [
+                    { url: receiver.url, secret: 'whsec_server', events: ['results.saved'] },
+                    { url: 'not a url', secret: 'x' }
+                ]
+            }));
+            await service.shutdown();
+            service = createService({ allowPrivate: false });
+            await service.initialize();
+            receiver.secret = 'whsec_server';
+
+            await service.emit('results.saved', { filename: 'results_123456_1.json' });
+            await service.emit('game.ended', {});
+            await service.processQueue();
+
+            expect(service.serverHooks).toHaveLength(1);
+            expect(receiver.received).toHaveLength(1);
+            expect(receiver.received[0]).toMatchObject({ event: 'results.saved', signatureValid: true });
+            expect(storage.docs.get(`${COLLECTIONS.WEBHOOKS}/deliveries_server.json`).deliveries[0].status).toBe('delivered');
+        });
+    });
+
+    describe('delivery log', () => {
+        test('a test ping reaches the hook whatever its events', async () => {
+            const hook = await service.createHook(USER_ID, { url: receiver.url, events: ['game.ended'] });
+
+            const queued = await service.sendTest(USER_ID, hook.id);
+            expect(queued.status).toBe('pending');
+            await service.processQueue();
+
+            expect(receiver.received[0].event).toBe('ping');
+            expect(await service.listDeliveries(USER_ID, { status: 'delivered' })).toHaveLength(1);
+        });
+
+        test('a finished delivery can be sent again, a queued one cannot', async () => {
+            await service.createHook(USER_ID, { url: receiver.url, events: ['game.ended'] });
+            receiver.failNext(400);
+            await service.emit('game.ended', { pin: '123456' }, USER_ID);
+            await service.processQueue();
+            const [failed] = await deliveries();
+            expect(failed.status).toBe('failed');
+
+            const retry = await service.retryDelivery(USER_ID, failed.id);
+            await expect(service.retryDelivery(USER_ID, retry.id))
+                .rejects.toMatchObject({ messageKey: 'error_webhook_delivery_queued' });
+            await service.processQueue();
+
+            const [latest] = await deliveries();
+            expect(latest).toMatchObject({ id: retry.id, retryOf: failed.id, status: 'delivered', body: failed.body });
+            await expect(service.retryDelivery(USER_ID, 'missing'))
+                .rejects.toMatchObject({ status: 404 });
+        });
+    });
+});
@@ -9,6 +9,7 @@ class GracefulShutdown {
         this.server = null;
         this.io = null;
         this.services = [];
+        this.beforeCloseTasks = [];
         this.forceTimeout = options.forceTimeout || 10000;
         this.isShuttingDown = false;
     }
@@ -39,6 +40,16 @@ class GracefulShutdown {
         this.services.push({ service, name });
     }
 
+    /**
+     * Register an async task that runs before connections are closed, while
+     * in-memory state is still intact (closing sockets runs disconnect handlers)
+     * @param {Function} task - Async function to await
+     * @param {string} name - Task name for logging
+     */
+    registerBeforeClose(task, name) {
+        this.beforeCloseTasks.push({ task, name });
+    }
+
     /**
      * Perform graceful shutdown
      * @param {string} signal - The signal that triggered shutdown
@@ -59,6 +70,15 @@ class GracefulShutdown {
         }, this.forceTimeout);
 
         try {
+            for (const { task, name } of this.beforeCloseTasks) {
+                try {
+                    await task();
+                    this.logger.info(`${name} complete`);
+                } catch (error) {
+                    this.logger.error(`Error in ${name}:`, error);
+                }
+            }
+
             // Stop accepting new HTTP connections
             if (this.server) {
                 await new Promise((resolve) => {
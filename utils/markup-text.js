@@ -0,0 +1,38 @@
+/**
+ * Markup text helpers.
+ *
+ * Shared by the question exchange format converters (moodle-format-service,
+ * qti-package-service): escaping plain text into XML, and reading the plain
+ * text back out of the HTML those formats carry question text in.
+ */
+
+const cheerio = require('cheerio');
+
+const XML_ENTITIES = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&apos;' };
+
+/**
+ * Escape text for XML element content or attribute values
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text ?? '').replace(/[<>&"']/g, ch => XML_ENTITIES[ch]);
+}
+
+/**
+ * Plain text of an HTML fragment, keeping line breaks
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    const withBreaks = String(html || '').replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div|li|h\d)>/gi, '\n');
+    return cheerio.load(withBreaks, null, false).root().text()
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    escapeXml,
+    htmlToText
+};
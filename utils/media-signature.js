@@ -0,0 +1,69 @@
+/**
+ * Media content signatures.
+ *
+ * Everything written to public/uploads is served by extension, so the file's
+ * first bytes must agree with what its name claims. Used by POST /upload and
+ * by the `.quizix` and QTI package importers.
+ */
+
+const path = require('path');
+
+// Bytes needed to tell every supported type apart
+const SIGNATURE_BYTES = 12;
+
+// Media type -> file extensions it may be stored under
+const MEDIA_EXTENSIONS = {
+    jpeg: ['.jpg', '.jpeg'],
+    png: ['.png'],
+    gif: ['.gif'],
+    webp: ['.webp'],
+    bmp: ['.bmp'],
+    mp4: ['.mp4'],
+    webm: ['.webm']
+};
+
+const IMAGE_TYPES = new Set(['jpeg', 'png', 'gif', 'webp', 'bmp']);
+
+function startsWith(buffer, bytes, offset = 0) {
+    return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+/**
+ * Media type of a file from its first bytes
+ * @param {Buffer} buffer - At least the first SIGNATURE_BYTES of the file
+ * @returns {string|null} 'jpeg', 'png', 'gif', 'webp', 'bmp', 'mp4', 'webm', or null
+ */
+function detectMediaType(buffer) {
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'jpeg';
+    if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47])) return 'png';
+    if (startsWith(buffer, [0x47, 0x49, 0x46, 0x38])) return 'gif';
+    if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) return 'webp';
+    if (startsWith(buffer, [0x42, 0x4D])) return 'bmp';
+    // ISO base media: a box size, then 'ftyp'
+    if (startsWith(buffer, [0x66, 0x74, 0x79, 0x70], 4)) return 'mp4';
+    // EBML header (Matroska/WebM)
+    if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) return 'webm';
+    return null;
+}
+
+/**
+ * Is this an image type POST /upload accepts?
+ * @param {string|null} type - From detectMediaType
+ * @returns {boolean}
+ */
+function isImageType(type) {
+    return IMAGE_TYPES.has(type);
+}
+
+/**
+ * Does a file's content match the media type its name claims?
+ * @param {Buffer} buffer - File contents (or at least their start)
+ * @param {string} filename - Name the file will be stored under
+ * @returns {boolean}
+ */
+function matchesMediaName(buffer, filename) {
+    const type = detectMediaType(buffer);
+    return type !== null && MEDIA_EXTENSIONS[type].includes(path.extname(filename).toLowerCase());
+}
+
+module.exports = { SIGNATURE_BYTES, detectMediaType, isImageType, matchesMediaName };
@@ -0,0 +1,305 @@
+/**
+ * PDF writer.
+ *
+ * Text-only A4 documents (headings, paragraphs and one-line-per-row tables)
+ * set in the standard Helvetica fonts every PDF viewer carries, so no font
+ * is embedded. Text is WinAnsi-encoded: Latin-1 and common punctuation print
+ * as written, anything else (CJK, emoji, most math symbols) prints as "?".
+ * Enough for server-generated reports without a PDF library.
+ */
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const FOOTER_SIZE = 8;
+const LINE_SPACING = 1.4;
+const CELL_PADDING = 4;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+    278, 278, 584, 584, 584, 556, 1015,
+    667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+    722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+    278, 278, 278, 469, 556, 333,
+    556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833,
+    556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500,
+    334, 260, 334, 584
+];
+const DEFAULT_WIDTH = 556;
+// Helvetica-Bold runs about 5% wider
+const BOLD_FACTOR = 1.05;
+
+// WinAnsi code points outside Latin-1
+const WIN_ANSI_EXTRA = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86,
+    '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C,
+    'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+    '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+    'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+// Characters WinAnsi lacks that have a readable ASCII spelling
+const TEXT_SUBSTITUTES = { '→': '->', '←': '<-', '≤': '<=', '≥': '>=', '≠': '!=' };
+
+const ELLIPSIS = [0x2E, 0x2E, 0x2E];
+
+/**
+ * WinAnsi bytes of a single line of text (whitespace runs become one space)
+ * @param {*} text
+ * @returns {number[]}
+ */
+function encodeText(text) {
+    const bytes = [];
+    for (const ch of String(text ?? '').replace(/\s+/g, ' ')) {
+        const code = ch.codePointAt(0);
+        if ((code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF)) {
+            bytes.push(code);
+        } else if (WIN_ANSI_EXTRA[ch]) {
+            bytes.push(WIN_ANSI_EXTRA[ch]);
+        } else if (TEXT_SUBSTITUTES[ch]) {
+            bytes.push(...[...TEXT_SUBSTITUTES[ch]].map(c => c.charCodeAt(0)));
+        } else {
+            bytes.push(0x3F);
+        }
+    }
+    return bytes;
+}
+
+function textWidth(bytes, size, bold) {
+    const units = bytes.reduce((sum, b) => sum + (b >= 0x20 && b <= 0x7E ? HELVETICA_WIDTHS[b - 0x20] : DEFAULT_WIDTH), 0);
+    return units * size / 1000 * (bold ? BOLD_FACTOR : 1);
+}
+
+function hexString(bytes) {
+    return `<${bytes.map(b => b.toString(16).padStart(2, '0')).join('')}>`;
+}
+
+/**
+ * Cut bytes to a width, ending in "..." when anything was cut
+ */
+function truncate(bytes, size, bold, width) {
+    if (textWidth(bytes, size, bold) <= width) {
+        return bytes;
+    }
+    const room = width - textWidth(ELLIPSIS, size, bold);
+    let end = bytes.length;
+    while (end > 0 && textWidth(bytes.slice(0, end), size, bold) > room) {
+        end--;
+    }
+    return [...bytes.slice(0, end), ...ELLIPSIS];
+}
+
+/**
+ * Greedy word wrap; words wider than a line are split
+ */
+function wrap(bytes, size, bold, width) {
+    const lines = [];
+    let line = [];
+    const words = [];
+    let word = [];
+    bytes.forEach(b => {
+        if (b === 0x20) {
+            words.push(word);
+            word = [];
+        } else {
+            word.push(b);
+        }
+    });
+    words.push(word);
+
+    for (let w of words) {
+        const candidate = line.length > 0 ? [...line, 0x20, ...w] : w;
+        if (textWidth(candidate, size, bold) <= width) {
+            line = candidate;
+            continue;
+        }
+        if (line.length > 0) {
+            lines.push(line);
+        }
+        while (textWidth(w, size, bold) > width) {
+            let end = w.length - 1;
+            while (end > 1 && textWidth(w.slice(0, end), size, bold) > width) {
+                end--;
+            }
+            lines.push(w.slice(0, end));
+            w = w.slice(end);
+        }
+        line = w;
+    }
+    lines.push(line);
+    return lines;
+}
+
+function number(value) {
+    return Number(value.toFixed(2));
+}
+
+class PdfDocument {
+    /**
+     * @param {string} title - Document title (metadata and page footers)
+     */
+    constructor(title) {
+        this.title = String(title || '');
+        this.pages = [];
+        this._newPage();
+    }
+
+    _newPage() {
+        this.page = [];
+        this.pages.push(this.page);
+        this.y = PAGE_HEIGHT - MARGIN;
+    }
+
+    /**
+     * Start a new page unless `height` more points fit above the footer
+     */
+    _ensure(height) {
+        if (this.y - height < MARGIN + FOOTER_SIZE * 2) {
+            this._newPage();
+            return true;
+        }
+        return false;
+    }
+
+    _draw(bytes, x, size, bold, gray = false) {
+        const color = gray ? '0.4 g ' : '';
+        this.page.push(`q ${color}BT /${bold ? 'F2' : 'F1'} ${size} Tf ${number(x)} ${number(this.y - size)} Td ${hexString(bytes)} Tj ET Q`);
+    }
+
+    _rule(y) {
+        this.page.push(`0.5 w ${MARGIN} ${number(y)} m ${number(MARGIN + CONTENT_WIDTH)} ${number(y)} l S`);
+    }
+
+    /**
+     * Wrapped paragraph
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {number} [options.size=10] - Font size in points
+     * @param {boolean} [options.bold=false]
+     * @returns {PdfDocument} this
+     */
+    text(text, { size = 10, bold = false } = {}) {
+        const lineHeight = size * LINE_SPACING;
+        for (const line of wrap(encodeText(text), size, bold, CONTENT_WIDTH)) {
+            this._ensure(lineHeight);
+            this._draw(line, MARGIN, size, bold);
+            this.y -= lineHeight;
+        }
+        return this;
+    }
+
+    /**
+     * Bold heading with a little space above it, kept with the next lines
+     * @param {string} text
+     * @param {number} [size=14]
+     * @returns {PdfDocument} this
+     */
+    heading(text, size = 14) {
+        if (this.y < PAGE_HEIGHT - MARGIN) {
+            this.y -= size * 0.6;
+        }
+        this._ensure(size * LINE_SPACING * 3);
+        return this.text(text, { size, bold: true });
+    }
+
+    /**
+     * Vertical space
+     * @param {number} points
+     * @returns {PdfDocument} this
+     */
+    space(points) {
+        this.y -= points;
+        return this;
+    }
+
+    /**
+     * Table with one line per row; cells too wide for their column are cut
+     * short with "...". The header row repeats on each page the table spans.
+     * @param {Array<{header: string, width: number, align?: 'left'|'right'}>} columns -
+     *   Widths are fractions of the text width
+     * @param {Array<Array<*>>} rows - Cell values
+     * @param {number} [size=9] - Font size in points
+     * @returns {PdfDocument} this
+     */
+    table(columns, rows, size = 9) {
+        const lineHeight = size * LINE_SPACING;
+        const total = columns.reduce((sum, column) => sum + column.width, 0);
+        const widths = columns.map(column => column.width / total * CONTENT_WIDTH);
+
+        const drawRow = (cells, bold) => {
+            let x = MARGIN;
+            cells.forEach((cell, i) => {
+                const room = widths[i] - CELL_PADDING;
+                const bytes = truncate(encodeText(cell), size, bold, room);
+                const offset = columns[i].align === 'right' ? room - textWidth(bytes, size, bold) : 0;
+                this._draw(bytes, x + offset, size, bold);
+                x += widths[i];
+            });
+            this.y -= lineHeight;
+        };
+        const drawHeader = () => {
+            drawRow(columns.map(column => column.header), true);
+            this._rule(this.y + size * 0.2);
+        };
+
+        this._ensure(lineHeight * 3);
+        drawHeader();
+        rows.forEach(row => {
+            if (this._ensure(lineHeight)) {
+                drawHeader();
+            }
+            drawRow(row, false);
+        });
+        this.y -= lineHeight / 2;
+        return this;
+    }
+
+    /**
+     * Serialize the document, adding "title | Page i of n" footers
+     * @returns {Buffer} PDF file contents
+     */
+    toBuffer() {
+        const pageCount = this.pages.length;
+        this.pages.forEach((page, i) => {
+            const footer = truncate(encodeText(`${this.title} | Page ${i + 1} of ${pageCount}`), FOOTER_SIZE, false, CONTENT_WIDTH);
+            const x = (PAGE_WIDTH - textWidth(footer, FOOTER_SIZE, false)) / 2;
+            page.push(`q 0.4 g BT /F1 ${FOOTER_SIZE} Tf ${number(x)} ${MARGIN / 2} Td ${hexString(footer)} Tj ET Q`);
+        });
+
+        // Objects 1-5 are fixed; each page adds a content stream and a page object
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${this.pages.map((_, i) => `${7 + i * 2} 0 R`).join(' ')}] /Count ${pageCount} >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+            `<< /Title ${hexString(encodeText(this.title))} /Producer (Quizix Pro) >>`
+        ];
+        this.pages.forEach((page, i) => {
+            const stream = page.join('\n');
+            objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+            objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+                + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`);
+        });
+
+        // Everything below is ASCII (text is in hex strings), so string length is byte length
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((body, i) => {
+            const offset = pdf.length;
+            pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return Buffer.from(pdf, 'latin1');
+    }
+}
+
+module.exports = {
+    PdfDocument
+};
@@ -0,0 +1,135 @@
+/**
+ * XLSX writer.
+ *
+ * Builds Office Open XML workbooks with JSZip: one worksheet per entry, a
+ * bold header row frozen at the top, numbers as numbers and everything else
+ * as inline strings. Inline strings are never evaluated, so quiz or player
+ * text that looks like a formula stays text (no CSV-style quote prefixing).
+ * Enough for server-generated reports without a spreadsheet library.
+ */
+
+const JSZip = require('jszip');
+
+const SHEET_NAME_LENGTH = 31;
+const DEFAULT_COLUMN_WIDTH = 14;
+const MAX_COLUMN_WIDTH = 60;
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+const XML_ENTITIES = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&apos;' };
+
+const CONTENT_TYPES = (sheetCount) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${Array.from({ length: sheetCount }, (_, i) =>
+        `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+// Style 0: default; style 1: bold (header rows)
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`;
+
+function xmlText(value) {
+    return String(value).replace(INVALID_XML_CHARS, '').replace(/[<>&"']/g, ch => XML_ENTITIES[ch]);
+}
+
+/**
+ * Spreadsheet column name for a 0-based index (0 → A, 26 → AA)
+ * @param {number} index
+ * @returns {string}
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Sheet names: at most 31 characters, none of []:*?/\, unique in the workbook
+ */
+function sheetNames(sheets) {
+    const used = new Set();
+    return sheets.map((sheet, i) => {
+        const base = String(sheet.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, SHEET_NAME_LENGTH) || `Sheet${i + 1}`;
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            name = `${base.slice(0, SHEET_NAME_LENGTH - String(n).length - 1)} ${n}`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+function cellXml(value, ref, bold) {
+    const style = bold ? ' s="1"' : '';
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    }
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+}
+
+function worksheetXml({ rows = [], widths = [] }) {
+    const columnCount = Math.max(0, ...rows.map(row => row.length));
+    const cols = Array.from({ length: columnCount }, (_, i) =>
+        `<col min="${i + 1}" max="${i + 1}" width="${Math.min(MAX_COLUMN_WIDTH, widths[i] || DEFAULT_COLUMN_WIDTH)}" customWidth="1"/>`).join('');
+    const data = rows.map((row, r) =>
+        `<row r="${r + 1}">${row.map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`, r === 0)).join('')}</row>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+${cols ? `<cols>${cols}</cols>` : ''}<sheetData>${data}</sheetData>
+</worksheet>`;
+}
+
+/**
+ * Build an XLSX workbook
+ * @param {Array<{name: string, rows: Array<Array<string|number|null>>, widths?: number[]}>} sheets -
+ *   Worksheets in tab order; the first row of each is its (bold, frozen) header
+ * @returns {Promise<Buffer>} Workbook file contents
+ */
+async function buildWorkbook(sheets) {
+    const names = sheetNames(sheets);
+    const zip = new JSZip();
+    // Spreadsheet apps expect parts only, without directory entries
+    const file = (path, content) => zip.file(path, content, { createFolders: false });
+
+    file('[Content_Types].xml', CONTENT_TYPES(sheets.length));
+    file('_rels/.rels', ROOT_RELS);
+    file('xl/styles.xml', STYLES);
+    file('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${names.map((name, i) => `<sheet name="${xmlText(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>
+</workbook>`);
+    file('xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`);
+    sheets.forEach((sheet, i) => file(`xl/worksheets/sheet${i + 1}.xml`, worksheetXml(sheet)));
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+    buildWorkbook
+};